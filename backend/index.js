@@ -6,7 +6,7 @@ const cors = require('cors');
 
 const mongoose = require('mongoose');
 const connectDB = require('./src/infrastructure/db/connection');
-const { initializeSocket, stopCleanupService, stopTimerService, stopRateLimiter, gameUseCases } = require('./src/infrastructure/ws/socket');
+const { initializeSocket, stopCleanupService, stopTimerService, stopLobbyBots, stopRoomEventRecorder, stopRateLimiter, recoverRooms, persistRooms, gameUseCases } = require('./src/infrastructure/ws/socket');
 const { quizRoutes, authRoutes, gameRoutes, adminRoutes, statsRoutes, tournamentRoutes, classroomRoutes } = require('./src/api/routes');
 const { errorHandler } = require('./src/api/middlewares/errorHandler');
 const { sanitize } = require('./src/api/middlewares/sanitizeMiddleware');
@@ -49,9 +49,14 @@ app.use(errorHandler);
 
 const PORT = process.env.PORT || 3000;
 
-server.listen(PORT, () => {
-  console.log(`Server running on port ${PORT}`);
-});
+// Bring back the games that were running before a restart, then start taking connections
+recoverRooms()
+  .catch((error) => console.error('Room recovery failed:', error.message))
+  .finally(() => {
+    server.listen(PORT, () => {
+      console.log(`Server running on port ${PORT}`);
+    });
+  });
 
 /**
  * Graceful shutdown handler
@@ -72,24 +77,37 @@ const gracefulShutdown = async (signal) => {
       console.log('HTTP server closed');
     });
 
-    // 2. Save all active games as interrupted before shutdown
-    console.log('Saving interrupted games...');
+    // 2. With a room store, keep active games for the next start;
+    // otherwise save them as interrupted before shutdown
+    let roomsPersisted = false;
     try {
-      const { saved, failed } = await gameUseCases.saveAllInterruptedGames('server_shutdown');
-      console.log(`Interrupted games saved: ${saved}, failed: ${failed}`);
+      stopCleanupService();
+      roomsPersisted = await persistRooms();
+      if (roomsPersisted) console.log('Active rooms saved for recovery');
     } catch (err) {
-      console.error('Error saving interrupted games:', err.message);
+      console.error('Error saving active rooms:', err.message);
+    }
+    if (!roomsPersisted) {
+      console.log('Saving interrupted games...');
+      try {
+        const { saved, failed } = await gameUseCases.saveAllInterruptedGames('server_shutdown');
+        console.log(`Interrupted games saved: ${saved}, failed: ${failed}`);
+      } catch (err) {
+        console.error('Error saving interrupted games:', err.message);
+      }
     }
 
     // 3. Stop all background services
     console.log('Stopping background services...');
-    stopCleanupService();
     stopTimerService();
+    stopLobbyBots();
+    stopRoomEventRecorder();
     stopRateLimiter();
 
     // 4. Close Socket.IO connections
     if (io) {
-      io.disconnectSockets(true);
+      // Only this server's sockets: in a cluster the other servers keep theirs
+      io.local.disconnectSockets(true);
       console.log('Socket.IO connections closed');
     }
 
@@ -0,0 +1,121 @@
+/**
+ * Connect bot players to a game over Socket.IO, to see how the server copes with a full room
+ * Usage:
+ *   node scripts/botPlayers.js --pin <pin> [options]                  Join a room someone else hosts
+ *   node scripts/botPlayers.js --quiz <quizId> --token <jwt> [options] Host the quiz and play it through
+ * Options:
+ *   --url <url>              Server (default: http://localhost:$PORT, or 3000)
+ *   --count <n>              Bots (default: MAX_PLAYERS, a room's default capacity); joining stops once the room is full
+ *   --accuracy <0-1>         Share of questions answered correctly (default: 0.7); bots joining someone
+ *                            else's room cannot know the answers, so they answer at random
+ *   --latency <ms>[-<ms>]    Time a bot takes to answer (default: 500-3000)
+ *   --json                   Print the report as JSON
+ * Exits with 1 when an event failed.
+ */
+const { BotSwarm, BotHost, BotStats, connectBotSocket } = require('../src/infrastructure/bots');
+const { socketRateLimiter } = require('../src/api/middlewares/socketRateLimiter');
+const { MAX_PLAYERS } = require('../src/shared/config/constants');
+
+const USAGE = 'Usage: node scripts/botPlayers.js (--pin <pin> | --quiz <quizId> --token <jwt>) '
+  + '[--url <url>] [--count <n>] [--accuracy <0-1>] [--latency <ms>[-<ms>]] [--json]';
+
+const parseArgs = (args) => {
+  const options = {};
+  for (let i = 0; i < args.length; i++) {
+    if (!args[i].startsWith('--')) continue;
+    const name = args[i].slice(2);
+    options[name] = name === 'json' ? true : args[++i];
+  }
+  return options;
+};
+
+const printReport = (report) => {
+  console.log(`Bots: ${report.joined}/${report.bots} joined${report.failedJoins ? `, ${report.failedJoins} could not` : ''}`);
+  const { answers } = report;
+  if (answers.sent) {
+    const keyed = answers.keyed ? `, ${answers.correct}/${answers.keyed} correct (aimed for ${answers.aimedCorrect})` : '';
+    console.log(`Answers: ${answers.sent}${keyed}`);
+  }
+  console.log('Event              sent  errors  min    avg    p50    p95    max (ms)');
+  for (const [event, stats] of Object.entries(report.events)) {
+    const latency = stats.latency || {};
+    const columns = [latency.min, latency.avg, latency.p50, latency.p95, latency.max].map(ms => String(ms ?? '-').padEnd(6));
+    console.log(`${event.padEnd(18)} ${String(stats.sent).padEnd(5)} ${`${(stats.errorRate * 100).toFixed(1)}%`.padEnd(7)} ${columns.join(' ')}`);
+  }
+  for (const [error, count] of Object.entries(report.errors)) {
+    console.log(`  ${count} x ${error}`);
+  }
+};
+
+const main = async () => {
+  const options = parseArgs(process.argv.slice(2));
+  if (!options.pin && !(options.quiz && options.token)) {
+    console.error(USAGE);
+    return 2;
+  }
+  const url = options.url || `http://localhost:${process.env.PORT || 3000}`;
+  const [minLatency, maxLatency = minLatency] = (options.latency || '').split('-');
+  const botOptions = BotSwarm.validateOptions({
+    accuracy: options.accuracy !== undefined ? Number(options.accuracy) : undefined,
+    minLatencyMs: minLatency ? Number(minLatency) : undefined,
+    maxLatencyMs: maxLatency ? Number(maxLatency) : undefined
+  });
+
+  const count = options.count ? parseInt(options.count, 10) : MAX_PLAYERS;
+  if (!(count > 0)) {
+    console.error(USAGE);
+    return 2;
+  }
+
+  const stats = new BotStats();
+  const host = options.quiz ? new BotHost(connectBotSocket(url, { auth: { token: options.token } }), { stats }) : null;
+  const swarm = new BotSwarm({
+    ...botOptions,
+    connect: () => connectBotSocket(url),
+    count,
+    stats,
+    answerKey: host ? () => host.answerKey() : null
+  });
+
+  let failure = null;
+  try {
+    const pin = host ? await host.createRoom(options.quiz) : options.pin;
+    console.log(`Room ${pin}: joining ${swarm.count} bots to ${url}...`);
+    await swarm.join(pin);
+    if (host) {
+      console.log(`${swarm.bots.length} bots in, playing the game...`);
+      await host.play();
+      await swarm.done();
+      console.log(`Game over after ${host.questionsPlayed} questions`);
+    } else {
+      console.log(`${swarm.bots.length} bots in, waiting for the game to end (Ctrl+C to stop)...`);
+      process.once('SIGINT', () => swarm.leave());
+      await swarm.done();
+    }
+  } catch (error) {
+    failure = error;
+  } finally {
+    swarm.leave();
+    if (host) await host.closeRoom();
+  }
+
+  const report = swarm.report();
+  if (options.json) {
+    console.log(JSON.stringify(report, null, 2));
+  } else {
+    printReport(report);
+  }
+  if (failure) {
+    console.error('Bots failed:', failure.message);
+    return 1;
+  }
+  return Object.values(report.events).some(event => event.errors > 0) ? 1 : 0;
+};
+
+main()
+  .then(code => { process.exitCode = code; })
+  .catch(error => {
+    console.error('Bots failed:', error.message);
+    process.exitCode = 1;
+  })
+  .finally(() => socketRateLimiter.stop());
@@ -0,0 +1,47 @@
+/**
+ * Replay a room's event log, downloaded from GET /api/admin/rooms/:pin/events, to reproduce the game
+ * Usage: node scripts/replayRoomLog.js <log.json> [--seed <seed>] [--sent]
+ *   --seed  Seed of the replay's random draws (default: the room's pin)
+ *   --sent  Also print every message the handlers sent
+ * Exits with 1 when the replay did not go like the recording.
+ */
+const fs = require('fs');
+const { replayRoomEvents } = require('../src/infrastructure/ws/RoomEventReplay');
+const { socketRateLimiter } = require('../src/api/middlewares/socketRateLimiter');
+
+const main = async () => {
+  const args = process.argv.slice(2);
+  const [file] = args.filter((arg, index) => !arg.startsWith('--') && args[index - 1] !== '--seed');
+  if (!file) {
+    console.error('Usage: node scripts/replayRoomLog.js <log.json> [--seed <seed>] [--sent]');
+    return 2;
+  }
+  const log = JSON.parse(fs.readFileSync(file, 'utf8'));
+  const seedIndex = args.indexOf('--seed');
+  const options = seedIndex !== -1 ? { seed: args[seedIndex + 1] } : {};
+
+  const inbound = log.entries.filter(entry => entry.type === 'in').length;
+  console.log(`Room ${log.pin}: ${log.entries.length} entries (${inbound} events) since ${log.startedAt}${log.truncated ? ', truncated' : ''}`);
+
+  const result = await replayRoomEvents(log, options);
+
+  if (args.includes('--sent')) {
+    result.sent.forEach(({ to, event, args: payload }) => console.log(`${event} -> ${to.join(',')}`, JSON.stringify(payload)));
+  }
+  console.log(`Replayed room: ${result.room ? result.room.state : 'gone'}`);
+  if (result.reproduced) {
+    console.log('Reproduced: the replay went like the recording');
+    return 0;
+  }
+  console.log('Diverged:');
+  result.divergences.forEach(divergence => console.log(JSON.stringify(divergence)));
+  return 1;
+};
+
+main()
+  .then(code => { process.exitCode = code; })
+  .catch(error => {
+    console.error('Replay failed:', error.message);
+    process.exitCode = 1;
+  })
+  .finally(() => socketRateLimiter.stop());
@@ -0,0 +1,43 @@
+const { handleSocketError } = require('../middlewares/errorHandler');
+const { createRateLimiter, createAuthChecker, isValidPin } = require('./socketHandlerUtils');
+
+/**
+ * Bot WebSocket Handler
+ * Lets a host fill their lobby with bot players for a demo
+ */
+const createBotHandler = (io, socket, roomUseCases, lobbyBots = null) => {
+  const checkRateLimit = createRateLimiter(socket);
+  const requireAuth = createAuthChecker(socket);
+  const sendAck = (ack, payload) => {
+    if (typeof ack === 'function') ack(payload);
+  };
+
+  // Host adds bots to the lobby (at most as many as fit); they join like players, one after another
+  socket.on('add_bots', async (data, ack) => {
+    try {
+      if (!checkRateLimit('add_bots')) {
+        sendAck(ack, { ok: false, error: 'Too many requests' });
+        return;
+      }
+      requireAuth();
+
+      const { pin, count, accuracy, minLatencyMs, maxLatencyMs } = data || {};
+      if (!isValidPin(pin)) { sendAck(ack, { ok: false, error: 'Valid PIN is required' }); return; }
+      if (!lobbyBots) { sendAck(ack, { ok: false, error: 'Bots are not available' }); return; }
+
+      const result = await roomUseCases.getBotSlots({
+        pin,
+        count: parseInt(count, 10),
+        requesterId: socket.id
+      });
+
+      const swarm = lobbyBots.fill(pin, { count: result.count, accuracy, minLatencyMs, maxLatencyMs });
+      sendAck(ack, { ok: true, count: swarm.count });
+    } catch (error) {
+      sendAck(ack, { ok: false, error: error.message });
+      handleSocketError(socket, error, { hasAck: true });
+    }
+  });
+};
+
+module.exports = { createBotHandler };
@@ -0,0 +1,66 @@
+const { autoAdvanceToResults } = require('./socketHandlerUtils');
+const { endAnsweringLocks } = require('./gameHandler');
+const { socketRateLimiter } = require('../middlewares/socketRateLimiter');
+
+/**
+ * Disconnect WebSocket Handler
+ * Tells the room a host, player or spectator lost their connection
+ */
+const createDisconnectHandler = (io, socket, roomUseCases, timerService, gameUseCases) => {
+  socket.on('disconnect', async () => {
+    console.log('User disconnected:', socket.id);
+
+    // Clean up rate limiter entries for this socket
+    socketRateLimiter.removeSocket(socket.id);
+
+    try {
+      const result = await roomUseCases.handleDisconnect({ socketId: socket.id });
+
+      if (result.type === 'host_disconnected') {
+        // Notify players that host disconnected (but room still exists for reconnection)
+        io.to(result.pin).emit('host_disconnected', {
+          message: 'Host disconnected. Waiting for reconnection...'
+        });
+      } else if (result.type === 'player_left') {
+        // Lobby disconnect: player permanently removed — no reconnection needed
+        io.to(result.pin).emit('player_left', {
+          playerId: result.player.id,
+          nickname: result.player.nickname,
+          playerCount: result.playerCount,
+          connectedPlayerCount: result.connectedPlayerCount,
+          disconnected: false,
+          reason: 'connection_lost'
+        });
+      } else if (result.type === 'player_disconnected') {
+        io.to(result.pin).emit('player_left', {
+          playerId: result.player.id,
+          nickname: result.player.nickname,
+          playerCount: result.playerCount,
+          connectedPlayerCount: result.connectedPlayerCount,
+          disconnected: true,
+          reason: 'connection_lost'
+        });
+
+        // Notify host when all players have left during an active game
+        if (result.connectedPlayerCount === 0 && result.isActiveGame) {
+          io.to(result.pin).emit('all_players_left');
+        }
+
+        // Auto-advance if remaining connected players have all answered
+        if (result.shouldAutoAdvance) {
+          await autoAdvanceToResults({ io, pin: result.pin, endAnsweringLocks, timerService, gameUseCases });
+        }
+      } else if (result.type === 'spectator_disconnected') {
+        io.to(result.pin).emit('spectator_left', {
+          spectatorId: result.spectator.id,
+          nickname: result.spectator.nickname,
+          spectatorCount: result.spectatorCount
+        });
+      }
+    } catch (error) {
+      console.error('Disconnect handler error:', error.message);
+    }
+  });
+};
+
+module.exports = { createDisconnectHandler };
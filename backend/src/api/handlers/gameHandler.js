@@ -1,9 +1,8 @@
 const { handleSocketError } = require('../middlewares/errorHandler');
-const { createRateLimiter, createAuthChecker, toLeaderboardPlayerDTO, toPlayerQuestionDTO, toShowResultsDTO, autoAdvanceToResults, isValidPin } = require('./socketHandlerUtils');
+const { createRateLimiter, createAuthChecker, toLeaderboardPlayerDTO, toScoringRulesDTO, toPlayerQuestionDTO, toPlayerQuestionFor, emitToRoomPlayers, emitShowResults, emitAnswerCount, answerCountTicks, emitTeamProposals, emitTeamAnswer, autoAdvanceToResults, isValidPin } = require('./socketHandlerUtils');
 const { MAX_TIMER_EXTENSION_MS, GAME_FLOW_LOCK_TIMEOUT_MS, MAX_EXTENDED_TIMER_SECONDS } = require('../../shared/config/constants');
 const { RoomState } = require('../../domain/entities');
 const { LockManager } = require('../../shared/utils/LockManager');
-const { DEFAULT_POWER_UPS } = require('../../domain/value-objects/PowerUp');
 
 /**
  * Game WebSocket Handler
@@ -53,8 +52,9 @@ const createGameHandler = (io, socket, gameUseCases, timerService) => {
       const gameStartedBase = {
         totalQuestions: result.totalQuestions,
         questionIndex: 0,
-        powerUps: DEFAULT_POWER_UPS,
-        teamMode: result.room.isTeamMode()
+        powerUps: result.room.getStartingPowerUps(),
+        teamMode: result.room.isTeamMode(),
+        scoringRules: toScoringRulesDTO(result.room.getQuizSnapshot().scoringProfile)
       };
 
       // Send to host with full question data
@@ -63,11 +63,14 @@ const createGameHandler = (io, socket, gameUseCases, timerService) => {
         currentQuestion: result.currentQuestion
       });
 
-      // Send to players without answer
-      socket.to(pin).emit('game_started', {
+      // Send to players without answer, each with their own question while shuffling
+      emitToRoomPlayers(io, socket.to(pin), result.room, 'game_started', {
         ...gameStartedBase,
         currentQuestion: toPlayerQuestionDTO(result.currentQuestion)
-      });
+      }, player => ({
+        ...gameStartedBase,
+        currentQuestion: toPlayerQuestionFor(result.room, player)
+      }));
       sendAck(ack, { ok: true });
     } catch (error) {
       sendAck(ack, { ok: false, error: error.message });
@@ -100,19 +103,33 @@ const createGameHandler = (io, socket, gameUseCases, timerService) => {
           // Timer expired — emit time_expired before auto-advancing
           io.to(pin).emit('time_expired');
           await autoAdvanceToResults({ io, pin, endAnsweringLocks, timerService, gameUseCases });
-        }, { silent: true });
+        }, {
+          silent: true,
+          // Team discussion time may take a long question past the usual ceiling
+          ...(result.discussionSeconds > 0 && { maxDuration: MAX_EXTENDED_TIMER_SECONDS })
+        });
       } catch (timerErr) {
         // Timer failed — rollback state to prevent stuck ANSWERING_PHASE without timer
         await gameUseCases.rollbackAnsweringPhase({ pin });
         throw timerErr;
       }
 
-      io.to(pin).emit('answering_started', {
+      const answeringStarted = {
         timeLimit: result.timeLimit,
         optionCount: result.optionCount,
         isLightning: result.isLightning || false,
-        fiftyFiftyAvailable: result.optionCount > 2,
-        connectedPlayerCount: result.room.getConnectedPlayerCount()
+        // 50:50 must leave at least one wrong option, so it needs 2+ wrong options to remove one
+        fiftyFiftyAvailable: result.wrongOptionCount > 1,
+        connectedPlayerCount: result.room.getConnectedPlayerCount(),
+        discussionSeconds: result.discussionSeconds || 0
+      };
+      emitToRoomPlayers(io, io.to(pin), result.room, 'answering_started', answeringStarted, (player) => {
+        const question = result.room.getPlayerQuestion(player);
+        return {
+          ...answeringStarted,
+          optionCount: question.options.length,
+          fiftyFiftyAvailable: question.getWrongOptionCount() > 1
+        };
       });
       io.to(pin).emit('timer_started', timerInfo);
       sendAck(ack, { ok: true });
@@ -131,7 +148,7 @@ const createGameHandler = (io, socket, gameUseCases, timerService) => {
         return;
       }
 
-      const { pin, answerIndex } = data || {};
+      const { pin, answerIndex, answerValue, confidence } = data || {};
       if (!isValidPin(pin)) { if (typeof ack === 'function') ack({ ok: false, error: 'Valid PIN is required' }); return; }
 
       // Verify socket is a member of the room
@@ -140,7 +157,12 @@ const createGameHandler = (io, socket, gameUseCases, timerService) => {
         return;
       }
 
-      // SECURITY: Only use pin and answerIndex from client
+      // SECURITY: Only use pin, answerIndex, answerValue and confidence from client
+      // answerIndex is a single option index, or an array of option indices for
+      // MULTI_SELECT (picked options), ORDERING (options in the player's order) and
+      // MATCHING (the matchTargets index paired with each option, in option order).
+      // NUMERIC and TYPE_ANSWER questions send the typed number or text as answerValue instead
+      // confidence is the LOW / MEDIUM / HIGH wager, only accepted when the quiz allows wagers
       // Elapsed time MUST be calculated server-side to prevent manipulation
       // Client could send fake elapsedTimeMs to get maximum score
 
@@ -160,28 +182,52 @@ const createGameHandler = (io, socket, gameUseCases, timerService) => {
         pin,
         socketId: socket.id,
         answerIndex,
+        answerValue,
+        confidence,
         elapsedTimeMs,
         effectiveTimeLimitMs
       });
 
-      const answerPayload = {
-        isCorrect: result.answer.isCorrect,
-        score: result.actualScore,
-        totalScore: result.player.score,
-        streak: result.player.streak,
-        streakBonus: result.answer.streakBonus,
-        doublePointsRefunded: result.doublePointsRefunded || false
-      };
-      socket.emit('answer_received', answerPayload);
-      if (typeof ack === 'function') {
-        ack(answerPayload);
+      if (result.team) {
+        // Teams answering together: the answer was a proposal, and the result only comes once the team's answer is locked in
+        if (typeof ack === 'function') {
+          ack({ ok: true, proposed: true, teamAnswered: result.teamAnswer !== null });
+        }
+        emitTeamProposals(io, result.room, result.team);
+        if (result.teamAnswer) {
+          emitTeamAnswer(io, result.room, result.team, result.teamAnswer);
+        }
+      } else {
+        const answerPayload = {
+          isCorrect: result.answer.isCorrect,
+          score: result.actualScore,
+          totalScore: result.player.score,
+          streak: result.player.streak,
+          streakBonus: result.answer.streakBonus,
+          confidence: result.answer.confidence,
+          doublePointsRefunded: result.doublePointsRefunded || false,
+          streakShielded: result.streakShielded || false
+        };
+        socket.emit('answer_received', answerPayload);
+        if (typeof ack === 'function') {
+          ack(answerPayload);
+        }
+        if (result.earnedPowerUp) {
+          socket.emit('power_up_earned', {
+            type: result.earnedPowerUp,
+            reason: 'STREAK',
+            powerUps: result.player.getAllPowerUps()
+          });
+        }
       }
 
-      io.to(pin).emit('answer_count_updated', {
+      emitAnswerCount(io, result.room, {
         answeredCount: result.answeredCount,
         totalPlayersInPhase: result.totalPlayers,
         connectedPlayerCount: result.connectedPlayerCount,
-        disconnectedPlayerCount: result.disconnectedPlayerCount
+        disconnectedPlayerCount: result.disconnectedPlayerCount,
+        // Polls show their distribution or word cloud live
+        ...result.liveResults
       });
 
       if (result.allAnswered) {
@@ -229,7 +275,7 @@ const createGameHandler = (io, socket, gameUseCases, timerService) => {
           requesterId: socket.id
         });
 
-        io.to(pin).emit('show_results', toShowResultsDTO(result));
+        emitShowResults(io, pin, result);
         sendAck(ack, { ok: true });
       } catch (error) {
         sendAck(ack, { ok: false, error: error.message });
@@ -267,7 +313,31 @@ const createGameHandler = (io, socket, gameUseCases, timerService) => {
       if (result.teamLeaderboard) {
         leaderboardPayload.teamLeaderboard = result.teamLeaderboard;
       }
+      // Eliminated players get their spectator token before the leaderboard shows them out
+      if (result.eliminated.length > 0) {
+        result.eliminated.forEach((spectator) => {
+          io.to(spectator.socketId).emit('eliminated', {
+            spectatorId: spectator.id,
+            spectatorToken: spectator.token,
+            nickname: spectator.nickname,
+            questionIndex: result.room.currentQuestionIndex
+          });
+        });
+        io.to(pin).emit('players_eliminated', {
+          players: result.eliminated.map(({ id, nickname }) => ({ id, nickname })),
+          remainingCount: result.room.getPlayerCount(),
+          spectatorCount: result.room.getSpectatorCount()
+        });
+      }
       io.to(pin).emit('leaderboard', leaderboardPayload);
+      // Catch-up power-ups go only to the players who earned them
+      result.earnedPowerUps.forEach(({ player, type }) => {
+        io.to(player.socketId).emit('power_up_earned', {
+          type,
+          reason: 'CATCH_UP',
+          powerUps: player.getAllPowerUps()
+        });
+      });
       sendAck(ack, { ok: true });
     } catch (error) {
       sendAck(ack, { ok: false, error: error.message });
@@ -311,6 +381,7 @@ const createGameHandler = (io, socket, gameUseCases, timerService) => {
           if (result.room.isTeamMode()) {
             gameOverPayload.teamLeaderboard = result.room.getTeamLeaderboard();
           }
+          answerCountTicks.cancel(pin);
           io.to(pin).emit('game_over', gameOverPayload);
 
           // Archive game but keep room in PODIUM state for late reconnects/get_results.
@@ -332,11 +403,17 @@ const createGameHandler = (io, socket, gameUseCases, timerService) => {
           });
 
           // Send to players without correct answer
-          socket.to(pin).emit('question_intro', {
+          const questionIntro = {
             questionIndex: result.questionIndex,
-            totalQuestions: result.totalQuestions,
+            totalQuestions: result.totalQuestions
+          };
+          emitToRoomPlayers(io, socket.to(pin), result.room, 'question_intro', {
+            ...questionIntro,
             currentQuestion: toPlayerQuestionDTO(result.currentQuestion)
-          });
+          }, player => ({
+            ...questionIntro,
+            currentQuestion: toPlayerQuestionFor(result.room, player)
+          }));
           sendAck(ack, { ok: true, isGameOver: false });
         }
       } finally {
@@ -437,6 +514,7 @@ const createGameHandler = (io, socket, gameUseCases, timerService) => {
       };
       if (result.teamPodium) gameOverPayload.teamPodium = result.teamPodium;
       if (result.teamLeaderboard) gameOverPayload.teamLeaderboard = result.teamLeaderboard;
+      answerCountTicks.cancel(pin);
       io.to(pin).emit('game_over', gameOverPayload);
 
       // Archive the game
@@ -537,6 +615,9 @@ const createGameHandler = (io, socket, gameUseCases, timerService) => {
       if (emitActions.roomEmits) {
         emitActions.roomEmits.forEach(e => io.to(pin).emit(e.event, e.data));
       }
+      if (emitActions.targetEmits) {
+        emitActions.targetEmits.forEach(e => io.to(e.socketId).emit(e.event, e.data));
+      }
 
       io.to(pin).emit('power_up_used', {
         nickname: result.nickname,
@@ -646,7 +727,7 @@ const createGameHandler = (io, socket, gameUseCases, timerService) => {
               io.to(pin).emit('all_players_answered');
               const endResult = await gameUseCases.endAnsweringPhase({ pin, isSystemTriggered: true });
               if (endResult) {
-                io.to(pin).emit('show_results', toShowResultsDTO(endResult));
+                emitShowResults(io, pin, endResult);
               }
             } catch (err) {
               console.warn(`Auto-advance on resume skipped for ${pin}: ${err.message}`);
@@ -682,7 +763,7 @@ const createGameHandler = (io, socket, gameUseCases, timerService) => {
                 io.to(pin).emit('all_players_answered');
                 const endResult = await gameUseCases.endAnsweringPhase({ pin, isSystemTriggered: true });
                 if (endResult) {
-                  io.to(pin).emit('show_results', toShowResultsDTO(endResult));
+                  emitShowResults(io, pin, endResult);
                 }
               } catch (err) {
                 console.warn(`Auto-advance on resume timer failure for ${pin}: ${err.message}`);
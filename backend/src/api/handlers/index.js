@@ -1,9 +1,13 @@
 const { createRoomHandler } = require('./roomHandler');
 const { createGameHandler, endAnsweringLocks, nextQuestionLocks } = require('./gameHandler');
+const { createDisconnectHandler } = require('./disconnectHandler');
+const { createBotHandler } = require('./botHandler');
 
 module.exports = {
   createRoomHandler,
   createGameHandler,
+  createDisconnectHandler,
+  createBotHandler,
   endAnsweringLocks,
   nextQuestionLocks
 };
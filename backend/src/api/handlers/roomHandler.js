@@ -2,7 +2,7 @@ const { handleSocketError } = require('../middlewares/errorHandler');
 const { ConflictError } = require('../../shared/errors');
 const { RoomState } = require('../../domain/entities');
 const { sanitizeObject, sanitizeNickname } = require('../../shared/utils/sanitize');
-const { createRateLimiter, createAuthChecker, toPlayerDTO, toLeaderboardPlayerDTO, toPlayerQuestionDTO, toShowResultsDTO, validateToken, autoAdvanceToResults, buildShowResultsPayload, buildLeaderboardPayload, buildPodiumPayload, isValidPin } = require('./socketHandlerUtils');
+const { createRateLimiter, createAuthChecker, toPlayerDTO, toLeaderboardPlayerDTO, toScoringRulesDTO, toPlayerQuestionDTO, toPlayerQuestionFor, toPlayerShowResults, emitShowResults, validateToken, autoAdvanceToResults, buildShowResultsPayload, buildLeaderboardPayload, buildPodiumPayload, isValidPin, answerCountTicks } = require('./socketHandlerUtils');
 const { endAnsweringLocks } = require('./gameHandler');
 
 /**
@@ -18,11 +18,24 @@ const appendPhasePayload = (payload, room, snapshot) => {
   // Always include team mode config so reconnecting clients can render team UI
   if (room.isTeamMode()) {
     payload.teamMode = true;
-    payload.teams = room.getAllTeams().map(toTeamDTO);
+    payload.teams = toTeamsDTO(room);
+    payload.teamAnswers = room.getTeamAnswerConfig();
   }
 
   // Always include lightning round config for reconnecting clients
   payload.lightningRound = room.getLightningConfig();
+  payload.powerUpLoadout = room.getPowerUpLoadout();
+  payload.earnPowerUps = room.isEarningPowerUps();
+  payload.elimination = room.getEliminationConfig();
+  payload.shuffle = room.getShuffleConfig();
+  payload.adaptive = room.isAdaptive();
+  payload.capacity = room.getCapacityConfig();
+  payload.largeEvent = room.isLargeEvent();
+
+  // Scoring rules come from the quiz snapshot, so they exist once the game has started
+  if (snapshot) {
+    payload.scoringRules = toScoringRulesDTO(snapshot.scoringProfile);
+  }
 
   if (state === RoomState.ANSWERING_PHASE) {
     payload.answeredCount = room.getAnsweredCount();
@@ -66,12 +79,27 @@ const appendPhasePayload = (payload, room, snapshot) => {
  * @param {Team} team - Team entity
  * @returns {Object} Sanitized team data
  */
-const toTeamDTO = (team) => ({
+const toTeamDTO = (team, strength = null) => ({
   id: team.id,
   name: team.name,
   color: team.color,
   playerIds: [...team.playerIds],
-  playerCount: team.getPlayerCount()
+  playerCount: team.getPlayerCount(),
+  captainId: team.getCaptainId(),
+  // Balanced teams: the team's expected share of correct answers as a percentage, null until balanced
+  strength: strength === null ? null : Math.round(strength * 100)
+});
+
+const toTeamsDTO = (room) => room.getAllTeams().map(team => toTeamDTO(team, room.getTeamStrength(team)));
+
+/**
+ * Sent to someone reconnecting for the first time after the server restarted and restored their room
+ * @param {Room} room
+ */
+const toRoomRecoveredDTO = (room) => ({
+  pin: room.pin,
+  state: room.state,
+  recoveredAt: room.recoveredAt.toISOString()
 });
 
 /**
@@ -101,9 +129,9 @@ const createRoomHandler = (io, socket, roomUseCases, timerService = null, gameUs
     if (!snapshot) return payload;
 
     payload.currentQuestionIndex = room.currentQuestionIndex;
-    payload.totalQuestions = snapshot.getTotalQuestions();
+    payload.totalQuestions = room.getTotalQuestions();
 
-    const question = snapshot.getQuestion(room.currentQuestionIndex);
+    const question = room.getCurrentQuestion();
     if (question) {
       payload.currentQuestion = toPlayerQuestionDTO(question.getHostData());
     }
@@ -135,6 +163,7 @@ const createRoomHandler = (io, socket, roomUseCases, timerService = null, gameUs
    */
   const cleanupBeforeRoomClose = async (pin, room) => {
     if (timerService) timerService.stopTimer(pin);
+    answerCountTicks.cancel(pin);
     if (gameUseCases && room && room.hasQuizSnapshot && room.hasQuizSnapshot()) {
       try {
         await gameUseCases.saveInterruptedGame({ pin, reason: 'host_closed' });
@@ -181,7 +210,10 @@ const createRoomHandler = (io, socket, roomUseCases, timerService = null, gameUs
         pin: result.room.pin,
         hostToken: result.hostToken,
         quizTitle: result.quiz.title,
-        totalQuestions: result.quiz.getTotalQuestions()
+        // Questions one game plays; question pools draw only part of the bank
+        totalQuestions: result.quiz.getPlayedQuestionCount(),
+        capacity: result.room.getCapacityConfig(),
+        largeEvent: result.room.isLargeEvent()
       };
       socket.emit('room_created', payload);
       sendAck(ack, payload);
@@ -224,7 +256,10 @@ const createRoomHandler = (io, socket, roomUseCases, timerService = null, gameUs
       const result = await roomUseCases.joinRoom({
         pin,
         nickname: sanitizedNickname,
-        socketId: socket.id
+        socketId: socket.id,
+        // Signed-in players are known by account in past games, not just by nickname
+        userId: socket.isAuthenticated ? socket.user?.userId || null : null,
+        isBot: socket.isBot === true
       });
 
       socket.join(pin);
@@ -431,15 +466,15 @@ const createRoomHandler = (io, socket, roomUseCases, timerService = null, gameUs
       // Include quiz snapshot data if game has started
       const snapshot = result.room.getQuizSnapshot();
       if (snapshot) {
-        reconnectPayload.totalQuestions = snapshot.getTotalQuestions();
-        const question = snapshot.getQuestion(result.room.currentQuestionIndex);
+        reconnectPayload.totalQuestions = result.room.getTotalQuestions();
+        const question = result.room.getCurrentQuestion();
         if (question) {
           reconnectPayload.currentQuestion = question.getHostData();
         }
       } else if (result.quiz) {
         // Game hasn't started yet — provide lobby info from the original quiz
         reconnectPayload.quizTitle = result.quiz.title;
-        reconnectPayload.totalQuestions = result.quiz.getTotalQuestions();
+        reconnectPayload.totalQuestions = result.quiz.getPlayedQuestionCount();
       }
 
       // Include timer sync if in answering phase
@@ -455,6 +490,9 @@ const createRoomHandler = (io, socket, roomUseCases, timerService = null, gameUs
 
       socket.emit('host_reconnected', reconnectPayload);
       sendAck(ack, reconnectPayload);
+      if (result.recovered) {
+        socket.emit('room_recovered', toRoomRecoveredDTO(result.room));
+      }
 
       socket.to(pin).emit('host_returned');
     } catch (error) {
@@ -497,11 +535,9 @@ const createRoomHandler = (io, socket, roomUseCases, timerService = null, gameUs
       let currentQuestion = null;
       let totalQuestions = 0;
       if (snapshot) {
-        totalQuestions = snapshot.getTotalQuestions();
-        const question = snapshot.getQuestion(result.room.currentQuestionIndex);
-        if (question) {
-          currentQuestion = toPlayerQuestionDTO(question.getHostData());
-        }
+        totalQuestions = result.room.getTotalQuestions();
+        // With shuffling on, the player's own question and option order
+        currentQuestion = toPlayerQuestionFor(result.room, result.player);
       }
 
       // Build reconnect payload with phase-specific data
@@ -518,7 +554,8 @@ const createRoomHandler = (io, socket, roomUseCases, timerService = null, gameUs
         timerSync, // null if not in answering phase or no timer
         playerToken: result.newPlayerToken, // New rotated token for security
         powerUps: result.player.getAllPowerUps(),
-        eliminatedOptions: result.player.eliminatedOptions || [],
+        eliminatedOptions: result.room.toShownOptionIndex(result.player, result.player.eliminatedOptions || []),
+        revealedHint: result.player.revealedHint,
         hasAnswered: result.player.hasAnswered(),
         answeredCount: result.room.getAnsweredCount(),
         totalPlayersInPhase: result.room.answeringPhasePlayerCount
@@ -526,20 +563,29 @@ const createRoomHandler = (io, socket, roomUseCases, timerService = null, gameUs
 
       // Restore the player's own answer feedback so they see correct/incorrect after reconnect
       if (result.player.hasAnswered() && result.player.answerAttempt && snapshot) {
-        const question = snapshot.getQuestion(result.room.currentQuestionIndex);
+        const question = result.room.getPlayerQuestion(result.player);
         if (question) {
+          const { answerIndex, answerValue } = result.player.answerAttempt;
           reconnectPayload.lastAnswer = {
-            answerIndex: result.player.answerAttempt.answerIndex,
-            isCorrect: question.isCorrect(result.player.answerAttempt.answerIndex)
+            answerIndex: result.room.toShownOptionIndex(result.player, answerIndex),
+            answerValue,
+            isCorrect: question.isCorrect(answerValue ?? answerIndex)
           };
         }
       }
 
       // Include phase-specific data for reconnection
       appendPhasePayload(reconnectPayload, result.room, snapshot);
+      if (result.room.isShuffling() && reconnectPayload.correctCount !== undefined) {
+        // Results restored in the player's own order
+        Object.assign(reconnectPayload, toPlayerShowResults(result.room, result.player, reconnectPayload));
+      }
 
       socket.emit('player_reconnected', reconnectPayload);
       sendAck(ack, reconnectPayload);
+      if (result.recovered) {
+        socket.emit('room_recovered', toRoomRecoveredDTO(result.room));
+      }
 
       socket.to(pin).emit('player_returned', {
         playerId: result.player.id,
@@ -650,6 +696,177 @@ const createRoomHandler = (io, socket, roomUseCases, timerService = null, gameUs
     }
   });
 
+  // ==================== ELIMINATION MODE ====================
+
+  // Host turns elimination mode on or off and picks who gets knocked out
+  socket.on('set_elimination', async (data, ack) => {
+    try {
+      if (!checkRateLimit('set_elimination')) {
+        sendAck(ack, { ok: false, error: 'Too many requests' });
+        return;
+      }
+      requireAuth();
+
+      const { pin, enabled, rule, count } = data || {};
+      if (!isValidPin(pin)) { sendAck(ack, { ok: false, error: 'Valid PIN is required' }); return; }
+
+      const result = await roomUseCases.setElimination({
+        pin,
+        enabled: !!enabled,
+        rule,
+        count: count ? parseInt(count, 10) : 1,
+        requesterId: socket.id
+      });
+
+      io.to(pin).emit('elimination_updated', { elimination: result.elimination });
+      sendAck(ack, { ok: true });
+    } catch (error) {
+      sendAck(ack, { ok: false, error: error.message });
+      handleSocketError(socket, error, { hasAck: true });
+    }
+  });
+
+  // ==================== SHUFFLING ====================
+
+  // Host gives each player their own question order and/or option order
+  socket.on('set_shuffle', async (data, ack) => {
+    try {
+      if (!checkRateLimit('set_shuffle')) {
+        sendAck(ack, { ok: false, error: 'Too many requests' });
+        return;
+      }
+      requireAuth();
+
+      const { pin, questions, options } = data || {};
+      if (!isValidPin(pin)) { sendAck(ack, { ok: false, error: 'Valid PIN is required' }); return; }
+
+      const result = await roomUseCases.setShuffle({
+        pin,
+        questions: !!questions,
+        options: !!options,
+        requesterId: socket.id
+      });
+
+      io.to(pin).emit('shuffle_updated', { shuffle: result.shuffle });
+      sendAck(ack, { ok: true });
+    } catch (error) {
+      sendAck(ack, { ok: false, error: error.message });
+      handleSocketError(socket, error, { hasAck: true });
+    }
+  });
+
+  // ==================== ADAPTIVE DIFFICULTY ====================
+
+  // Host lets each question be picked from how the room did on the previous one
+  socket.on('set_adaptive', async (data, ack) => {
+    try {
+      if (!checkRateLimit('set_adaptive')) {
+        sendAck(ack, { ok: false, error: 'Too many requests' });
+        return;
+      }
+      requireAuth();
+
+      const { pin, enabled } = data || {};
+      if (!isValidPin(pin)) { sendAck(ack, { ok: false, error: 'Valid PIN is required' }); return; }
+
+      const result = await roomUseCases.setAdaptiveDifficulty({
+        pin,
+        enabled: !!enabled,
+        requesterId: socket.id
+      });
+
+      io.to(pin).emit('adaptive_updated', { adaptive: result.adaptive });
+      sendAck(ack, { ok: true });
+    } catch (error) {
+      sendAck(ack, { ok: false, error: error.message });
+      handleSocketError(socket, error, { hasAck: true });
+    }
+  });
+
+  // ==================== ROOM CAPACITY ====================
+
+  // Host sets how many players (up to their account's limit) and spectators the room lets in
+  socket.on('set_room_capacity', async (data, ack) => {
+    try {
+      if (!checkRateLimit('set_room_capacity')) {
+        sendAck(ack, { ok: false, error: 'Too many requests' });
+        return;
+      }
+      requireAuth();
+
+      const { pin, players, spectators } = data || {};
+      if (!isValidPin(pin)) { sendAck(ack, { ok: false, error: 'Valid PIN is required' }); return; }
+
+      const result = await roomUseCases.setRoomCapacity({
+        pin,
+        players: parseInt(players, 10),
+        spectators: parseInt(spectators, 10),
+        requesterId: socket.id
+      });
+
+      io.to(pin).emit('room_capacity_updated', { capacity: result.capacity });
+      sendAck(ack, { ok: true, capacity: result.capacity });
+    } catch (error) {
+      sendAck(ack, { ok: false, error: error.message });
+      handleSocketError(socket, error, { hasAck: true });
+    }
+  });
+
+  // Host turns large-event mode on/off: answer counts are then broadcast in batched ticks
+  socket.on('set_large_event', async (data, ack) => {
+    try {
+      if (!checkRateLimit('set_large_event')) {
+        sendAck(ack, { ok: false, error: 'Too many requests' });
+        return;
+      }
+      requireAuth();
+
+      const { pin, enabled } = data || {};
+      if (!isValidPin(pin)) { sendAck(ack, { ok: false, error: 'Valid PIN is required' }); return; }
+
+      const result = await roomUseCases.setLargeEvent({
+        pin,
+        enabled: !!enabled,
+        requesterId: socket.id
+      });
+
+      io.to(pin).emit('large_event_updated', { largeEvent: result.largeEvent });
+      sendAck(ack, { ok: true });
+    } catch (error) {
+      sendAck(ack, { ok: false, error: error.message });
+      handleSocketError(socket, error, { hasAck: true });
+    }
+  });
+
+  // ==================== POWER-UP LOADOUT ====================
+
+  // Host sets which power-ups players start with and how many
+  socket.on('set_power_up_loadout', async (data, ack) => {
+    try {
+      if (!checkRateLimit('set_power_up_loadout')) {
+        sendAck(ack, { ok: false, error: 'Too many requests' });
+        return;
+      }
+      requireAuth();
+
+      const { pin, loadout, earn } = data || {};
+      if (!isValidPin(pin)) { sendAck(ack, { ok: false, error: 'Valid PIN is required' }); return; }
+
+      const result = await roomUseCases.setPowerUpLoadout({
+        pin,
+        loadout,
+        earn: !!earn,
+        requesterId: socket.id
+      });
+
+      io.to(pin).emit('power_up_loadout_updated', { loadout: result.loadout, earnPowerUps: result.earn });
+      sendAck(ack, { ok: true });
+    } catch (error) {
+      sendAck(ack, { ok: false, error: error.message });
+      handleSocketError(socket, error, { hasAck: true });
+    }
+  });
+
   // ==================== KICK/BAN EVENTS ====================
 
   /**
@@ -703,7 +920,7 @@ const createRoomHandler = (io, socket, roomUseCases, timerService = null, gameUs
           io.to(pin).emit('all_players_answered');
           const endResult = await gameUseCases.endAnsweringPhase({ pin, isSystemTriggered: true });
           if (endResult) {
-            io.to(pin).emit('show_results', toShowResultsDTO(endResult));
+            emitShowResults(io, pin, endResult);
           }
         } catch (err) {
           // State already transitioned or room deleted — benign
@@ -929,6 +1146,9 @@ const createRoomHandler = (io, socket, roomUseCases, timerService = null, gameUs
       };
       socket.emit('spectator_reconnected', payload);
       sendAck(ack, payload);
+      if (result.recovered) {
+        socket.emit('room_recovered', toRoomRecoveredDTO(result.room));
+      }
 
       socket.to(pin).emit('spectator_returned', {
         spectatorId: result.spectator.id,
@@ -991,7 +1211,7 @@ const createRoomHandler = (io, socket, roomUseCases, timerService = null, gameUs
 
       io.to(pin).emit('team_mode_updated', {
         teamMode: true,
-        teams: result.room.getAllTeams().map(toTeamDTO)
+        teams: toTeamsDTO(result.room)
       });
       sendAck(ack, { ok: true });
     } catch (error) {
@@ -1047,7 +1267,7 @@ const createRoomHandler = (io, socket, roomUseCases, timerService = null, gameUs
       });
 
       io.to(pin).emit('teams_updated', {
-        teams: result.room.getAllTeams().map(toTeamDTO)
+        teams: toTeamsDTO(result.room)
       });
       sendAck(ack, { ok: true });
     } catch (error) {
@@ -1075,7 +1295,7 @@ const createRoomHandler = (io, socket, roomUseCases, timerService = null, gameUs
       });
 
       io.to(pin).emit('teams_updated', {
-        teams: result.room.getAllTeams().map(toTeamDTO)
+        teams: toTeamsDTO(result.room)
       });
       sendAck(ack, { ok: true });
     } catch (error) {
@@ -1102,7 +1322,34 @@ const createRoomHandler = (io, socket, roomUseCases, timerService = null, gameUs
       });
 
       io.to(pin).emit('teams_updated', {
-        teams: result.room.getAllTeams().map(toTeamDTO)
+        teams: toTeamsDTO(result.room)
+      });
+      sendAck(ack, { ok: true });
+    } catch (error) {
+      sendAck(ack, { ok: false, error: error.message });
+      handleSocketError(socket, error, { hasAck: true });
+    }
+  });
+
+  // Distribute all players so teams are of similar strength, judged from past games
+  socket.on('balance_teams', async (data, ack) => {
+    try {
+      if (!checkRateLimit('balance_teams')) {
+        sendAck(ack, { ok: false, error: 'Too many requests' });
+        return;
+      }
+      requireAuth();
+
+      const { pin } = data || {};
+      if (!isValidPin(pin)) { sendAck(ack, { ok: false, error: 'Valid PIN is required' }); return; }
+
+      const result = await roomUseCases.balanceTeams({
+        pin,
+        requesterId: socket.id
+      });
+
+      io.to(pin).emit('teams_updated', {
+        teams: toTeamsDTO(result.room)
       });
       sendAck(ack, { ok: true });
     } catch (error) {
@@ -1131,7 +1378,7 @@ const createRoomHandler = (io, socket, roomUseCases, timerService = null, gameUs
       });
 
       io.to(pin).emit('teams_updated', {
-        teams: result.room.getAllTeams().map(toTeamDTO)
+        teams: toTeamsDTO(result.room)
       });
       sendAck(ack, { ok: true });
     } catch (error) {
@@ -1160,8 +1407,65 @@ const createRoomHandler = (io, socket, roomUseCases, timerService = null, gameUs
       });
 
       io.to(pin).emit('teams_updated', {
-        teams: result.room.getAllTeams().map(toTeamDTO)
+        teams: toTeamsDTO(result.room)
+      });
+      sendAck(ack, { ok: true });
+    } catch (error) {
+      sendAck(ack, { ok: false, error: error.message });
+      handleSocketError(socket, error, { hasAck: true });
+    }
+  });
+
+  // Host makes a member the captain of their team
+  socket.on('set_team_captain', async (data, ack) => {
+    try {
+      if (!checkRateLimit('set_team_captain')) {
+        sendAck(ack, { ok: false, error: 'Too many requests' });
+        return;
+      }
+      requireAuth();
+
+      const { pin, teamId, playerId } = data || {};
+      if (!isValidPin(pin)) { sendAck(ack, { ok: false, error: 'Valid PIN is required' }); return; }
+
+      const result = await roomUseCases.setTeamCaptain({
+        pin,
+        teamId,
+        playerId,
+        requesterId: socket.id
+      });
+
+      io.to(pin).emit('teams_updated', {
+        teams: toTeamsDTO(result.room)
+      });
+      sendAck(ack, { ok: true });
+    } catch (error) {
+      sendAck(ack, { ok: false, error: error.message });
+      handleSocketError(socket, error, { hasAck: true });
+    }
+  });
+
+  // Host has each team submit one answer, decided by majority vote or by the captain
+  socket.on('set_team_answers', async (data, ack) => {
+    try {
+      if (!checkRateLimit('set_team_answers')) {
+        sendAck(ack, { ok: false, error: 'Too many requests' });
+        return;
+      }
+      requireAuth();
+
+      const { pin, enabled, rule, discussionSeconds } = data || {};
+      if (!isValidPin(pin)) { sendAck(ack, { ok: false, error: 'Valid PIN is required' }); return; }
+
+      const result = await roomUseCases.setTeamAnswers({
+        pin,
+        enabled: !!enabled,
+        rule,
+        discussionSeconds,
+        requesterId: socket.id
       });
+
+      io.to(pin).emit('team_answers_updated', { teamAnswers: result.teamAnswers });
       sendAck(ack, { ok: true });
     } catch (error) {
       sendAck(ack, { ok: false, error: error.message });
@@ -1,5 +1,10 @@
 const { UnauthorizedError, ValidationError, NotFoundError, ConflictError } = require('../../shared/errors');
 const { socketRateLimiter } = require('../middlewares/socketRateLimiter');
+const { TickBatcher } = require('../../shared/utils/TickBatcher');
+const { LARGE_EVENT_TICK_MS } = require('../../shared/config/constants');
+
+// Large-event rooms get their answer counts in batched ticks instead of one broadcast per answer
+const answerCountTicks = new TickBatcher(LARGE_EVENT_TICK_MS);
 
 /**
  * Create rate limit checker for a socket
@@ -52,9 +57,21 @@ const toLeaderboardPlayerDTO = (player) => ({
   score: player.score,
   streak: player.streak,
   correctAnswers: player.correctAnswers,
-  longestStreak: player.longestStreak
+  longestStreak: player.longestStreak,
+  // Elimination mode only: the question that knocked the player out
+  ...(player.isEliminated() && { eliminatedAtQuestion: player.eliminatedAtQuestion })
 });
 
+/**
+ * Scoring rules players need before they answer
+ * @param {ScoringProfile|null} scoringProfile - The quiz snapshot's scoring profile
+ * @returns {Object|null} Negative marking share and whether confidence wagers are on
+ */
+const toScoringRulesDTO = (scoringProfile) => (scoringProfile ? {
+  wrongAnswerPenalty: scoringProfile.wrongAnswerPenalty,
+  confidenceWagers: scoringProfile.confidenceWagers
+} : null);
+
 /**
  * Strip correct answer info from question data for players
  * @param {Object} questionData - Host question data
@@ -66,9 +83,92 @@ const toPlayerQuestionDTO = (questionData) => {
     text: questionData.text,
     type: questionData.type,
     options: questionData.options,
+    matchTargets: questionData.matchTargets || null,
+    unit: questionData.unit || null,
+    isPoll: questionData.isPoll === true,
     timeLimit: questionData.timeLimit,
     points: questionData.points,
-    imageUrl: questionData.imageUrl
+    imageUrl: questionData.imageUrl,
+    hasHint: !!questionData.hint
+  };
+};
+
+/**
+ * Player-safe data for the question a player gets this round, with the options in their order
+ * @param {Room} room
+ * @param {Player} player
+ * @returns {Object|null}
+ */
+const toPlayerQuestionFor = (room, player) => {
+  const questionIndex = room.getPlayerQuestionIndex(player);
+  const question = room.getQuizSnapshot().getQuestion(questionIndex);
+  if (!question) return null;
+  const questionData = toPlayerQuestionDTO(question.getHostData());
+  const shuffle = room.getPlayerShuffle(player);
+  return shuffle
+    ? { ...questionData, options: shuffle.toShownOptions(questionIndex, questionData.options) }
+    : questionData;
+};
+
+/**
+ * Answer key fields of a question for results screens
+ * @param {Question} question
+ * @returns {Object}
+ */
+const toAnswerKeyDTO = (question) => ({
+  correctAnswerIndex: question.correctAnswerIndex,
+  correctAnswerIndices: question.correctAnswerIndices || null,
+  correctOrder: question.correctOrder || null,
+  correctMatches: question.correctMatches || null,
+  correctValue: question.correctValue ?? null,
+  tolerance: question.tolerance ?? null,
+  unit: question.unit || null,
+  acceptedAnswers: question.acceptedAnswers || null,
+  hotspotRegions: question.getHostData().hotspotRegions,
+  explanation: question.explanation || null
+});
+
+/**
+ * Emit an event to a room. While the room shuffles questions or options, each connected
+ * player gets their own payload and the rest of the room (host, spectators) the shared one.
+ * @param {Object} io - Socket.IO server
+ * @param {Object} emitter - io.to(pin), or socket.to(pin) to leave out the sender
+ * @param {Room} room
+ * @param {string} event
+ * @param {Object} payload - Shared payload
+ * @param {Function} toPlayerPayload - (player) => payload for that player
+ */
+const emitToRoomPlayers = (io, emitter, room, event, payload, toPlayerPayload) => {
+  if (!room.isShuffling()) {
+    emitter.emit(event, payload);
+    return;
+  }
+  const players = room.getAllPlayers().filter(player => !player.isDisconnected());
+  emitter.except(players.map(player => player.socketId)).emit(event, payload);
+  players.forEach(player => io.to(player.socketId).emit(event, toPlayerPayload(player)));
+};
+
+/**
+ * Results as one player sees them: with shuffled questions the answer key is their own question's,
+ * with shuffled options the answer key and distribution point at the options where they saw them
+ * @param {Room} room
+ * @param {Player} player
+ * @param {Object} payload - Shared show_results payload
+ * @returns {Object}
+ */
+const toPlayerShowResults = (room, player, payload) => {
+  const questionIndex = room.getPlayerQuestionIndex(player);
+  const results = room.hasMixedQuestions()
+    ? { ...payload, ...toAnswerKeyDTO(room.getQuizSnapshot().getQuestion(questionIndex)) }
+    : { ...payload };
+  const shuffle = room.getPlayerShuffle(player);
+  if (!shuffle) return results;
+  return {
+    ...results,
+    correctAnswerIndex: shuffle.toShown(questionIndex, results.correctAnswerIndex),
+    correctAnswerIndices: shuffle.toShown(questionIndex, results.correctAnswerIndices),
+    correctOrder: shuffle.toShown(questionIndex, results.correctOrder),
+    distribution: shuffle.toShownDistribution(questionIndex, results.distribution)
   };
 };
 
@@ -79,15 +179,109 @@ const toPlayerQuestionDTO = (questionData) => {
  */
 const toShowResultsDTO = (endResult) => ({
   correctAnswerIndex: endResult.correctAnswerIndex,
+  correctAnswerIndices: endResult.correctAnswerIndices || null,
+  correctOrder: endResult.correctOrder || null,
+  correctMatches: endResult.correctMatches || null,
+  correctValue: endResult.correctValue ?? null,
+  tolerance: endResult.tolerance ?? null,
+  unit: endResult.unit || null,
+  acceptedAnswers: endResult.acceptedAnswers || null,
+  hotspotRegions: endResult.hotspotRegions || null,
   distribution: endResult.distribution,
+  histogram: endResult.histogram || null,
+  topWrongAnswers: endResult.topWrongAnswers || null,
+  wordCloud: endResult.wordCloud || null,
+  clicks: endResult.clicks || null,
   correctCount: endResult.correctCount,
   skippedCount: endResult.skippedCount || 0,
   answeredCount: endResult.answeredCount,
   totalPlayersInPhase: endResult.totalPlayers,
   connectedPlayerCount: endResult.connectedPlayerCount,
-  explanation: endResult.explanation || null
+  explanation: endResult.explanation || null,
+  // Shuffled questions: players answered different questions, so there is no shared answer key
+  ...(endResult.mixedQuestions && { mixedQuestions: true })
 });
 
+/**
+ * Send a team's members what their teammates have proposed so far, each with options where they see them
+ * @param {Object} io - Socket.IO server
+ * @param {Room} room
+ * @param {Team} team
+ */
+const emitTeamProposals = (io, room, team) => {
+  const proposals = room.getTeamProposals(team.id);
+  team.playerIds.forEach((playerId) => {
+    const member = room.getPlayerById(playerId);
+    if (!member || member.isDisconnected()) return;
+    io.to(member.socketId).emit('team_proposal_updated', {
+      teamId: team.id,
+      captainId: team.getCaptainId(),
+      proposals: proposals.map(proposal => ({
+        playerId: proposal.playerId,
+        nickname: proposal.nickname,
+        answerIndex: room.toShownOptionIndex(member, proposal.answerIndex),
+        answerValue: proposal.answerValue
+      }))
+    });
+  });
+};
+
+/**
+ * Tell every member of a team the result of the answer their team locked in; it counts for all of them
+ * @param {Object} io - Socket.IO server
+ * @param {Room} room
+ * @param {Team} team
+ * @param {Object} teamAnswer - Locked team answer from the room
+ */
+const emitTeamAnswer = (io, room, team, teamAnswer) => {
+  team.playerIds.forEach((playerId) => {
+    const member = room.getPlayerById(playerId);
+    if (!member || member.isDisconnected()) return;
+    io.to(member.socketId).emit('answer_received', {
+      isCorrect: teamAnswer.isCorrect,
+      score: teamAnswer.score,
+      totalScore: member.score,
+      streak: member.streak,
+      streakBonus: teamAnswer.streakBonus,
+      confidence: teamAnswer.confidence,
+      doublePointsRefunded: false,
+      streakShielded: false,
+      teamAnswer: true
+    });
+  });
+};
+
+/**
+ * Emit answer_count_updated to a room after an answer: at once, or with the next tick in large-event mode
+ * @param {Object} io - Socket.IO server
+ * @param {Room} room
+ * @param {Object} payload
+ */
+const emitAnswerCount = (io, room, payload) => {
+  const send = () => io.to(room.pin).emit('answer_count_updated', payload);
+  if (room.isLargeEvent()) {
+    answerCountTicks.schedule(room.pin, send);
+  } else {
+    send();
+  }
+};
+
+/**
+ * Emit show_results to a room, personalized per player while the room shuffles
+ * @param {Object} io - Socket.IO server
+ * @param {string} pin - Room PIN
+ * @param {Object} endResult - Result from gameUseCases.endAnsweringPhase
+ */
+const emitShowResults = (io, pin, endResult) => {
+  // A batched answer count still waiting must not arrive after the results
+  answerCountTicks.flush(pin);
+  // Teams that settled only when answering closed learn their result before the answer key
+  (endResult.teamAnswers || []).forEach(({ team, teamAnswer }) => emitTeamAnswer(io, endResult.room, team, teamAnswer));
+  const payload = toShowResultsDTO(endResult);
+  emitToRoomPlayers(io, io.to(pin), endResult.room, 'show_results', payload,
+    player => toPlayerShowResults(endResult.room, player, payload));
+};
+
 /**
  * Validate token format and emit error if invalid
  * @param {Socket} socket - Socket.IO socket instance
@@ -124,7 +318,7 @@ const autoAdvanceToResults = async ({ io, pin, endAnsweringLocks, timerService,
     io.to(pin).emit('all_players_answered');
     const endResult = await gameUseCases.endAnsweringPhase({ pin, isSystemTriggered: true });
     if (endResult) {
-      io.to(pin).emit('show_results', toShowResultsDTO(endResult));
+      emitShowResults(io, pin, endResult);
     }
   } catch (err) {
     // Expected errors: state already transitioned (race with manual end/pause), room deleted, etc.
@@ -146,21 +340,25 @@ const autoAdvanceToResults = async ({ io, pin, endAnsweringLocks, timerService,
  * Single source of truth for reconnect, spectator snapshot, and PAUSED-from-SHOW_RESULTS.
  */
 const buildShowResultsPayload = (room, snapshot) => {
-  const question = snapshot.getQuestion(room.currentQuestionIndex);
+  const question = snapshot.getQuestion(room.getRoundQuestionIndex());
   if (!question) return null;
-  const { distribution, correctCount, skippedCount } = room.getAnswerDistribution(
-    question.options.length,
-    (idx) => question.isCorrect(idx)
-  );
+  const mixedQuestions = room.hasMixedQuestions();
+  const {
+    distribution = [], histogram = null, topWrongAnswers = null, wordCloud = null, clicks = null, correctCount, skippedCount
+  } = mixedQuestions ? room.getMixedRoundSummary() : room.getResultsSummary(question);
   return {
-    correctAnswerIndex: question.correctAnswerIndex,
+    ...toAnswerKeyDTO(question),
     distribution,
+    histogram,
+    topWrongAnswers,
+    wordCloud,
+    clicks,
     correctCount,
     skippedCount,
-    explanation: question.explanation || null,
     answeredCount: room.getTotalAnsweredCount(),
     totalPlayersInPhase: room.answeringPhasePlayerCount,
-    connectedPlayerCount: room.getConnectedPlayerCount()
+    connectedPlayerCount: room.getConnectedPlayerCount(),
+    ...(mixedQuestions && { mixedQuestions: true })
   };
 };
 
@@ -196,6 +394,7 @@ const buildPodiumPayload = (room) => {
 const isValidPin = (pin) => !!pin && typeof pin === 'string' && pin.trim().length > 0;
 
 module.exports = {
-  createRateLimiter, createAuthChecker, toPlayerDTO, toLeaderboardPlayerDTO, toPlayerQuestionDTO, toShowResultsDTO, validateToken, autoAdvanceToResults,
+  createRateLimiter, createAuthChecker, toPlayerDTO, toLeaderboardPlayerDTO, toScoringRulesDTO, toPlayerQuestionDTO, toShowResultsDTO, validateToken, autoAdvanceToResults,
+  toPlayerQuestionFor, toPlayerShowResults, emitToRoomPlayers, emitShowResults, emitAnswerCount, answerCountTicks, emitTeamProposals, emitTeamAnswer,
   buildShowResultsPayload, buildLeaderboardPayload, buildPodiumPayload, isValidPin
 };
@@ -3,26 +3,30 @@
  * Prevents spam attacks on socket events
  */
 
+// Requests a socket may send per window, by event (bot players pace themselves by these too)
+const EVENT_LIMITS = {
+  submit_answer: { maxRequests: 5, windowMs: 10000 },    // 5 per 10 seconds
+  join_room: { maxRequests: 3, windowMs: 60000 },        // 3 per minute
+  create_room: { maxRequests: 5, windowMs: 60000 },      // 5 per minute
+  reconnect_player: { maxRequests: 5, windowMs: 60000 }, // 5 per minute
+  reconnect_host: { maxRequests: 5, windowMs: 60000 },   // 5 per minute
+  // Host game control operations
+  start_game: { maxRequests: 3, windowMs: 60000 },       // 3 per minute
+  start_answering: { maxRequests: 10, windowMs: 60000 }, // 10 per minute (one per question)
+  end_answering: { maxRequests: 10, windowMs: 60000 },   // 10 per minute
+  show_leaderboard: { maxRequests: 10, windowMs: 60000 },// 10 per minute
+  next_question: { maxRequests: 10, windowMs: 60000 },   // 10 per minute
+  add_bots: { maxRequests: 5, windowMs: 60000 },         // 5 per minute
+  default: { maxRequests: 30, windowMs: 60000 }          // 30 per minute for others
+};
+
 class SocketRateLimiter {
   constructor() {
     // Map: socketId -> Map<eventName, { count, resetTime }>
     this.limits = new Map();
 
     // Default limits per event type
-    this.eventLimits = {
-      submit_answer: { maxRequests: 5, windowMs: 10000 },    // 5 per 10 seconds
-      join_room: { maxRequests: 3, windowMs: 60000 },        // 3 per minute
-      create_room: { maxRequests: 5, windowMs: 60000 },      // 5 per minute
-      reconnect_player: { maxRequests: 5, windowMs: 60000 }, // 5 per minute
-      reconnect_host: { maxRequests: 5, windowMs: 60000 },   // 5 per minute
-      // Host game control operations
-      start_game: { maxRequests: 3, windowMs: 60000 },       // 3 per minute
-      start_answering: { maxRequests: 10, windowMs: 60000 }, // 10 per minute (one per question)
-      end_answering: { maxRequests: 10, windowMs: 60000 },   // 10 per minute
-      show_leaderboard: { maxRequests: 10, windowMs: 60000 },// 10 per minute
-      next_question: { maxRequests: 10, windowMs: 60000 },   // 10 per minute
-      default: { maxRequests: 30, windowMs: 60000 }          // 30 per minute for others
-    };
+    this.eventLimits = { ...EVENT_LIMITS };
 
     // Cleanup interval (every 5 minutes)
     this.cleanupInterval = setInterval(() => this.cleanup(), 5 * 60 * 1000);
@@ -120,4 +124,4 @@ class SocketRateLimiter {
 // Singleton instance
 const socketRateLimiter = new SocketRateLimiter();
 
-module.exports = { SocketRateLimiter, socketRateLimiter };
+module.exports = { SocketRateLimiter, socketRateLimiter, EVENT_LIMITS };
@@ -5,6 +5,8 @@ const { mongoQuizRepository } = require('../../infrastructure/repositories/Mongo
 const { roomRepository } = require('../../infrastructure/repositories/RoomRepository');
 const { gameSessionRepository } = require('../../infrastructure/repositories/GameSessionRepository');
 const { auditLogRepository } = require('../../infrastructure/repositories/AuditLogRepository');
+const { roleLimitRepository } = require('../../infrastructure/repositories/RoleLimitRepository');
+const { roomEventRecorder } = require('../../infrastructure/services/RoomEventRecorder');
 const { authenticate, requireAdmin } = require('../middlewares/authMiddleware');
 const { parsePagination } = require('../helpers/routeHelpers');
 
@@ -16,7 +18,8 @@ const adminUseCases = new AdminUseCases(
   mongoQuizRepository,
   roomRepository,
   gameSessionRepository,
-  auditLogRepository
+  auditLogRepository,
+  { roomEventLog: roomEventRecorder, roleLimitRepository }
 );
 
 // All admin routes require authentication and admin role
@@ -115,6 +118,59 @@ router.put('/users/:id/status', async (req, res, next) => {
   }
 });
 
+/**
+ * PUT /api/admin/users/:id/room-capacity
+ * Set how many players the user's rooms can take (null = their role's limit)
+ */
+router.put('/users/:id/room-capacity', async (req, res, next) => {
+  try {
+    const { maxRoomCapacity = null } = req.body;
+
+    const result = await adminUseCases.updateUserRoomCapacity({
+      requesterId: req.user.id,
+      userId: req.params.id,
+      maxRoomCapacity
+    });
+    res.json(result.user);
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * GET /api/admin/roles/room-capacity
+ * How many players each role's rooms can take
+ */
+router.get('/roles/room-capacity', async (req, res, next) => {
+  try {
+    const result = await adminUseCases.getRoleRoomCapacities({
+      requesterId: req.user.id
+    });
+    res.json(result);
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * PUT /api/admin/roles/:role/room-capacity
+ * Set how many players the rooms of everyone with the role can take (null = the default)
+ */
+router.put('/roles/:role/room-capacity', async (req, res, next) => {
+  try {
+    const { maxRoomCapacity = null } = req.body;
+
+    const result = await adminUseCases.updateRoleRoomCapacity({
+      requesterId: req.user.id,
+      role: req.params.role,
+      maxRoomCapacity
+    });
+    res.json(result);
+  } catch (error) {
+    next(error);
+  }
+});
+
 /**
  * DELETE /api/admin/users/:id
  * Delete user
@@ -201,6 +257,26 @@ router.delete('/rooms/:pin', async (req, res, next) => {
   }
 });
 
+/**
+ * GET /api/admin/rooms/:pin/events
+ * Download a room's recorded socket events and current state, to replay the game
+ * (node scripts/replayRoomLog.js <file>)
+ */
+router.get('/rooms/:pin/events', async (req, res, next) => {
+  try {
+    const result = await adminUseCases.getRoomEventLog({
+      requesterId: req.user.id,
+      pin: req.params.pin
+    });
+
+    res.setHeader('Content-Type', 'application/json');
+    res.setHeader('Content-Disposition', `attachment; filename="room-${result.log.pin}-events.json"`);
+    res.json(result.log);
+  } catch (error) {
+    next(error);
+  }
+});
+
 // ==================== SESSION MANAGEMENT ====================
 
 /**
@@ -1,10 +1,10 @@
 const express = require('express');
 const { authenticate } = require('../middlewares/authMiddleware');
 const { ClassroomUseCases } = require('../../application/use-cases/ClassroomUseCases');
-const { classroomRepository } = require('../../infrastructure/repositories');
+const { classroomRepository, homeworkAttemptRepository, mongoQuizRepository } = require('../../infrastructure/repositories');
 
 const router = express.Router();
-const classroomUseCases = new ClassroomUseCases(classroomRepository);
+const classroomUseCases = new ClassroomUseCases(classroomRepository, homeworkAttemptRepository, mongoQuizRepository);
 
 router.post('/', authenticate, async (req, res, next) => {
   try {
@@ -44,6 +44,43 @@ router.post('/join', async (req, res, next) => {
   } catch (error) { next(error); }
 });
 
+// Self-paced homework: students are known by join code and nickname, not by account
+router.post('/homework', async (req, res, next) => {
+  try {
+    const { joinCode, nickname } = req.body;
+    const homework = await classroomUseCases.getHomework(joinCode, nickname);
+    res.json(homework);
+  } catch (error) { next(error); }
+});
+
+router.post('/homework/start', async (req, res, next) => {
+  try {
+    const { joinCode, nickname, assignmentId } = req.body;
+    const attempt = await classroomUseCases.startHomework({ joinCode, nickname, assignmentId });
+    res.json(attempt);
+  } catch (error) { next(error); }
+});
+
+router.post('/homework/attempts/:attemptId/answer', async (req, res, next) => {
+  try {
+    const { nickname, answerIndex, answerValue } = req.body;
+    const result = await classroomUseCases.submitHomeworkAnswer({
+      attemptId: req.params.attemptId,
+      nickname,
+      answerIndex: answerIndex ?? null,
+      answerValue: answerValue ?? null
+    });
+    res.json(result);
+  } catch (error) { next(error); }
+});
+
+router.get('/:id/results', authenticate, async (req, res, next) => {
+  try {
+    const results = await classroomUseCases.getHomeworkResults(req.params.id, req.user.id);
+    res.json(results);
+  } catch (error) { next(error); }
+});
+
 router.delete('/:id/students/:nickname', authenticate, async (req, res, next) => {
   try {
     const result = await classroomUseCases.removeStudent(req.params.id, req.params.nickname, req.user.id);
@@ -53,8 +90,8 @@ router.delete('/:id/students/:nickname', authenticate, async (req, res, next) =>
 
 router.post('/:id/assign', authenticate, async (req, res, next) => {
   try {
-    const { quizId, dueDate } = req.body;
-    const updated = await classroomUseCases.assignQuiz(req.params.id, quizId, dueDate, req.user.id);
+    const { quizId, dueDate, adaptive } = req.body;
+    const updated = await classroomUseCases.assignQuiz(req.params.id, quizId, dueDate, req.user.id, adaptive === true);
     res.json(updated);
   } catch (error) { next(error); }
 });
@@ -85,7 +85,7 @@ router.get('/join/:pin', async (req, res, next) => {
     res.json({
       pin: room.pin,
       playerCount: room.getPlayerCount(),
-      maxPlayers: require('../../shared/config/constants').MAX_PLAYERS,
+      maxPlayers: room.getCapacityConfig().players,
       state: room.state,
       quizTitle: room.getQuizSnapshot()?.title || null,
       canJoin: room.state === 'WAITING_PLAYERS'
@@ -9,6 +9,20 @@ const { QUIZ_CATEGORIES } = require('../../infrastructure/db/models/Quiz');
 const { parsePagination } = require('../helpers/routeHelpers');
 
 const router = express.Router();
+
+// Field holding the answer key for each question type (others use correctAnswerIndex)
+const ANSWER_KEY_FIELDS = {
+  MULTI_SELECT: 'correctAnswerIndices',
+  ORDERING: 'correctOrder',
+  MATCHING: 'correctMatches',
+  NUMERIC: 'correctValue',
+  TYPE_ANSWER: 'acceptedAnswers',
+  HOTSPOT: 'hotspotRegions'
+};
+
+// Question types answered without options
+const OPTIONLESS_TYPES = ['NUMERIC', 'TYPE_ANSWER', 'WORD_CLOUD', 'HOTSPOT'];
+
 const quizUseCases = new QuizUseCases(mongoQuizRepository, null, null, quizRatingRepository);
 
 /**
@@ -17,7 +31,7 @@ const quizUseCases = new QuizUseCases(mongoQuizRepository, null, null, quizRatin
  */
 router.post('/', authenticate, quizCreationLimiter, async (req, res, next) => {
   try {
-    const { title, description, isPublic, category, tags } = req.body;
+    const { title, description, isPublic, category, tags, scoringProfile } = req.body;
 
     if (!title) {
       throw new ValidationError('Title is required');
@@ -29,7 +43,8 @@ router.post('/', authenticate, quizCreationLimiter, async (req, res, next) => {
       createdBy: req.user.id,
       isPublic,
       category,
-      tags
+      tags,
+      scoringProfile
     });
 
     res.status(201).json(result.quiz);
@@ -158,7 +173,7 @@ router.get('/:id', optionalAuthenticate, async (req, res, next) => {
 router.put('/:id', authenticate, async (req, res, next) => {
   try {
     const { id } = req.params;
-    const { title, description, isPublic, category, tags } = req.body;
+    const { title, description, isPublic, category, tags, scoringProfile, questionPools } = req.body;
 
     const result = await quizUseCases.updateQuiz({
       quizId: id,
@@ -167,6 +182,8 @@ router.put('/:id', authenticate, async (req, res, next) => {
       isPublic,
       category,
       tags,
+      scoringProfile,
+      questionPools,
       requesterId: req.user.id
     });
 
@@ -219,8 +236,18 @@ router.post('/:id/questions', authenticate, async (req, res, next) => {
     const { id } = req.params;
     const questionData = req.body;
 
-    if (!questionData.text || !questionData.options || questionData.correctAnswerIndex === undefined) {
-      throw new ValidationError('text, options, and correctAnswerIndex are required');
+    const answerKeyField = ANSWER_KEY_FIELDS[questionData.type] || 'correctAnswerIndex';
+    const needsOptions = !OPTIONLESS_TYPES.includes(questionData.type);
+    // Polls (word clouds included) have no answer key
+    const needsAnswerKey = questionData.isPoll !== true && questionData.type !== 'WORD_CLOUD';
+    if (!questionData.text || (needsOptions && !questionData.options) ||
+        (needsAnswerKey && questionData[answerKeyField] === undefined)) {
+      if (!needsAnswerKey) {
+        throw new ValidationError(needsOptions ? 'text and options are required' : 'text is required');
+      }
+      throw new ValidationError(needsOptions
+        ? `text, options, and ${answerKeyField} are required`
+        : `text and ${answerKeyField} are required`);
     }
 
     const result = await quizUseCases.addQuestion({
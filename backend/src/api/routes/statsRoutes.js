@@ -5,7 +5,7 @@ const { gameSessionRepository, mongoQuizRepository } = require('../../infrastruc
 const { parsePagination } = require('../helpers/routeHelpers');
 
 const router = express.Router();
-const gameStatsUseCases = new GameStatsUseCases(gameSessionRepository);
+const gameStatsUseCases = new GameStatsUseCases(gameSessionRepository, mongoQuizRepository);
 
 /**
  * GET /api/stats/dashboard
@@ -81,8 +81,18 @@ router.get('/sessions/:id', authenticate, async (req, res, next) => {
         if (fullQuiz) {
           quizQuestions = fullQuiz.questions.map(q => ({
             text: q.text,
+            type: q.type,
             options: q.options,
             correctAnswerIndex: q.correctAnswerIndex,
+            correctAnswerIndices: q.correctAnswerIndices,
+            correctOrder: q.correctOrder,
+            matchTargets: q.matchTargets,
+            correctMatches: q.correctMatches,
+            correctValue: q.correctValue,
+            tolerance: q.tolerance,
+            unit: q.unit,
+            acceptedAnswers: q.acceptedAnswers,
+            isPoll: q.isPoll,
             timeLimit: q.timeLimit,
             points: q.points
           }));
@@ -1,4 +1,6 @@
 const { NotFoundError, ForbiddenError, ValidationError, ConflictError } = require('../../shared/errors');
+const { User } = require('../../domain/entities');
+const { ROOM_CAPACITY_BY_ROLE } = require('../../shared/config/constants');
 
 class AdminUseCases {
   constructor(userRepository, quizRepository, roomRepository, gameSessionRepository, auditLogRepository = null, options = {}) {
@@ -9,6 +11,10 @@ class AdminUseCases {
     this.auditLogRepository = auditLogRepository;
     // Callback for notifying room closure (set by socket handler)
     this.onRoomClosed = options.onRoomClosed || null;
+    // Recorded socket traffic of the rooms (RoomEventRecorder)
+    this.roomEventLog = options.roomEventLog || null;
+    // Limits set per role (RoleLimitRepository)
+    this.roleLimitRepository = options.roleLimitRepository || null;
   }
 
   /**
@@ -284,6 +290,79 @@ class AdminUseCases {
     }
   }
 
+  // ==================== ROOM CAPACITY LIMITS ====================
+
+  /**
+   * Set how many players a user's rooms can take, over their role's limit (null = back to the role's)
+   */
+  async updateUserRoomCapacity({ requesterId, userId, maxRoomCapacity }) {
+    const admin = await this._validateAdmin(requesterId);
+    User.validateRoomCapacity(maxRoomCapacity);
+
+    const oldUser = await this.userRepository.findById(userId);
+    if (!oldUser) {
+      throw new NotFoundError('User not found');
+    }
+
+    const user = await this.userRepository.updateById(userId, { maxRoomCapacity });
+
+    await this._logAction(admin, 'USER_ROOM_CAPACITY_UPDATED', 'user', userId, {
+      oldLimit: oldUser.maxRoomCapacity,
+      newLimit: maxRoomCapacity,
+      targetEmail: user.email
+    });
+
+    return { user: user.toPublicJSON ? user.toPublicJSON() : user };
+  }
+
+  /**
+   * How many players each role's rooms can take
+   * @returns {Promise<{ limits: Object }>} role -> { maxRoomCapacity, isDefault }
+   */
+  async getRoleRoomCapacities({ requesterId }) {
+    await this._validateAdmin(requesterId);
+    const limits = await this._getRoleLimits();
+
+    return {
+      limits: Object.fromEntries(User.ROLES.map(role => [role, {
+        maxRoomCapacity: limits[role] ?? ROOM_CAPACITY_BY_ROLE[role],
+        isDefault: limits[role] === undefined
+      }]))
+    };
+  }
+
+  /**
+   * Set how many players the rooms of everyone with a role can take (null = back to the default)
+   */
+  async updateRoleRoomCapacity({ requesterId, role, maxRoomCapacity }) {
+    const admin = await this._validateAdmin(requesterId);
+
+    if (!User.ROLES.includes(role)) {
+      throw new ValidationError('Invalid role. Must be "user" or "admin"');
+    }
+    User.validateRoomCapacity(maxRoomCapacity);
+    if (!this.roleLimitRepository) {
+      throw new ValidationError('Role limits are not available');
+    }
+
+    const oldLimits = await this._getRoleLimits();
+    await this.roleLimitRepository.setRoomCapacityLimit(role, maxRoomCapacity);
+
+    await this._logAction(admin, 'ROLE_ROOM_CAPACITY_UPDATED', 'role', role, {
+      oldLimit: oldLimits[role] ?? null,
+      newLimit: maxRoomCapacity
+    });
+
+    return this.getRoleRoomCapacities({ requesterId });
+  }
+
+  /**
+   * @private
+   */
+  async _getRoleLimits() {
+    return this.roleLimitRepository ? this.roleLimitRepository.getRoomCapacityLimits() : {};
+  }
+
   // ==================== QUIZ MANAGEMENT ====================
 
   /**
@@ -404,6 +483,41 @@ class AdminUseCases {
     return { success: true, pin, playerCount, spectatorCount };
   }
 
+  /**
+   * A room's recorded events along with its current state, to download and replay a game
+   */
+  async getRoomEventLog({ requesterId, pin }) {
+    const admin = await this._validateAdmin(requesterId);
+
+    const log = this.roomEventLog ? this.roomEventLog.getLog(pin) : null;
+    if (!log) {
+      throw new NotFoundError('No events recorded for this room');
+    }
+
+    const room = this.roomRepository ? await this.roomRepository.findByPin(pin) : null;
+    // A game that never started has not kept its quiz; the replay still needs it to create the room
+    let quiz = log.quiz;
+    if (!quiz && log.quizId) {
+      const current = await this.quizRepository.findById(log.quizId);
+      quiz = current ? current.toSnapshot() : null;
+    }
+
+    await this._logAction(admin, 'ROOM_EVENTS_DOWNLOADED', 'room', pin, {
+      entryCount: log.entries.length,
+      truncated: log.truncated
+    });
+
+    return {
+      log: {
+        ...log,
+        quiz,
+        // Tokens redacted like the rest of the log
+        room: room ? this.roomEventLog.redact(room.toSnapshot()) : null,
+        exportedAt: new Date().toISOString()
+      }
+    };
+  }
+
   // ==================== SESSION MANAGEMENT ====================
 
   /**
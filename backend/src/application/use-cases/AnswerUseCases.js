@@ -15,10 +15,22 @@ class AnswerUseCases extends SharedUseCases {
     return this.pendingAnswers.cleanupExpired();
   }
 
-  async submitAnswer({ pin, socketId, answerIndex, elapsedTimeMs, effectiveTimeLimitMs = null }) {
-    if (answerIndex === null || answerIndex === undefined ||
-        typeof answerIndex !== 'number' || !Number.isInteger(answerIndex) ||
-        answerIndex < 0) {
+  async submitAnswer({ pin, socketId, answerIndex, answerValue = null, confidence = null, elapsedTimeMs, effectiveTimeLimitMs = null }) {
+    // NUMERIC, TYPE_ANSWER, WORD_CLOUD and HOTSPOT answers are sent as an answerValue instead of an option index
+    const hasAnswerValue = answerValue !== null && answerValue !== undefined;
+    // MULTI_SELECT, ORDERING and MATCHING answers are sent as an array of option indices
+    const selectedIndices = Array.isArray(answerIndex) ? answerIndex : [answerIndex];
+    if (hasAnswerValue) {
+      if (answerIndex !== null && answerIndex !== undefined) {
+        throw new ValidationError('Send either an answer index or an answer value, not both');
+      }
+      const isNumber = typeof answerValue === 'number' && Number.isFinite(answerValue);
+      const isClick = typeof answerValue === 'object' && !Array.isArray(answerValue);
+      if (!isNumber && !isClick && typeof answerValue !== 'string') {
+        throw new ValidationError('Invalid answer value');
+      }
+    } else if (selectedIndices.length === 0 || selectedIndices.some(i =>
+      i === null || i === undefined || typeof i !== 'number' || !Number.isInteger(i) || i < 0)) {
       throw new ValidationError('Invalid answer index');
     }
     if (elapsedTimeMs !== null && elapsedTimeMs !== undefined &&
@@ -37,11 +49,28 @@ class AnswerUseCases extends SharedUseCases {
       if (player.isDisconnected()) throw new ValidationError('Disconnected players cannot submit answers');
       if (player.hasAnswered()) throw new ConflictError('Already answered');
 
-      const currentQuestion = this._getQuestionFromSnapshot(room, room.currentQuestionIndex);
-      if (!currentQuestion.options || !Array.isArray(currentQuestion.options) || currentQuestion.options.length === 0) {
-        throw new ValidationError('Question has invalid or missing options');
+      // With shuffled questions each player answers their own question of the round
+      const questionIndex = room.getPlayerQuestionIndex(player);
+      const currentQuestion = this._getQuestionFromSnapshot(room, questionIndex);
+      if (currentQuestion.expectsAnswerValue()) {
+        if (!hasAnswerValue) throw new ValidationError('This question expects an answer value');
+        currentQuestion.validateAnswerValue(answerValue);
+        // Keep only what the question needs from client-sent objects
+        answerValue = currentQuestion.normalizeAnswerValue(answerValue);
+      } else {
+        if (hasAnswerValue) throw new ValidationError('This question expects an answer index');
+        if (!currentQuestion.options || !Array.isArray(currentQuestion.options) || currentQuestion.options.length === 0) {
+          throw new ValidationError('Question has invalid or missing options');
+        }
+        if (selectedIndices.some(i => i >= currentQuestion.options.length)) throw new ValidationError('Answer index out of bounds');
+        if (Array.isArray(answerIndex) !== currentQuestion.expectsIndexArray()) {
+          throw new ValidationError(currentQuestion.expectsIndexArray()
+            ? 'This question expects an array of answer indices'
+            : 'This question expects a single answer index');
+        }
+        // Shuffled options: score and store the options the player picked, not their screen positions
+        answerIndex = room.toCanonicalAnswerIndex(player, answerIndex);
       }
-      if (answerIndex >= currentQuestion.options.length) throw new ValidationError('Answer index out of bounds');
 
       const streakBeforeAnswer = player.streak;
       const answer = Answer.create({
@@ -49,21 +78,61 @@ class AnswerUseCases extends SharedUseCases {
         questionId: currentQuestion.id,
         roomPin: pin,
         answerIndex,
+        answerValue,
         question: currentQuestion,
         elapsedTimeMs: validElapsedTime,
         currentStreak: streakBeforeAnswer,
-        effectiveTimeLimitMs
+        effectiveTimeLimitMs,
+        scoringProfile: room.getQuizSnapshot().scoringProfile,
+        confidence
       });
 
-      player.submitAnswer(answerIndex, validElapsedTime);
+      // Teams answering together: the answer is the member's proposal, only scored once the team settles on its answer
+      if (room.isTeamAnswering()) {
+        const { team, teamAnswer } = room.proposeTeamAnswer(player, {
+          answerIndex,
+          answerValue,
+          confidence: answer.confidence,
+          elapsedTimeMs: validElapsedTime,
+          effectiveTimeLimitMs
+        });
+        player.submitAnswer(answerIndex, validElapsedTime, answerValue);
+        await this.roomRepository.save(room);
+        return {
+          room,
+          player,
+          team,
+          teamAnswer,
+          proposals: room.getTeamProposals(team.id),
+          allAnswered: room.shouldAutoAdvance(),
+          answeredCount: room.getAnsweredCount(),
+          totalPlayers: room.answeringPhasePlayerCount,
+          connectedPlayerCount: room.getConnectedPlayerCount(),
+          disconnectedPlayerCount: room.getDisconnectedPlayers().length
+        };
+      }
+
+      player.submitAnswer(answerIndex, validElapsedTime, answerValue);
       let actualScore = 0;
       let archiveBaseScore = answer.score;
+      let earnedPowerUp = null;
       const hasDoublePoints = player.hasActivePowerUp(PowerUpType.DOUBLE_POINTS);
-      // Clear active power-up after checking — consumed on correct, refunded on incorrect
+      const hasStreakShield = player.hasStreakShield();
+      // Clear active power-up after checking — consumed when the answer scores, refunded when it does not
       player.clearActivePowerUp();
 
-      if (answer.isCorrect) {
-        player.incrementStreak();
+      if (currentQuestion.isPoll) {
+        // Polls award no points and leave the streak as it was
+      } else if (answer.isCorrect || answer.score > 0) {
+        // MULTI_SELECT / ORDERING / MATCHING partial credit is not a correct answer (the streak resets),
+        // but its points count and DOUBLE_POINTS applies to them as to a correct answer
+        if (!answer.isCorrect) {
+          if (!hasStreakShield) {
+            player.resetStreak();
+          }
+        } else if (player.incrementStreak()) {
+          earnedPowerUp = room.awardStreakPowerUp(player);
+        }
         const baseScore = answer.score;
         const streakBonus = answer.streakBonus;
         if (hasDoublePoints) {
@@ -81,10 +150,17 @@ class AnswerUseCases extends SharedUseCases {
         }
         player.addScore(actualScore);
       } else {
-        player.resetStreak();
-        // Refund DOUBLE_POINTS on wrong answer — unlike FIFTY_FIFTY and TIME_EXTENSION
+        if (answer.penalty > 0) {
+          // Negative marking: the score stops at zero, so a player may lose less than the penalty
+          actualScore = -player.deductScore(answer.penalty);
+        }
+        // STREAK_SHIELD is spent either way, but only a wrong answer needs it
+        if (!hasStreakShield) {
+          player.resetStreak();
+        }
+        // Refund DOUBLE_POINTS on an answer that earned nothing — unlike FIFTY_FIFTY and TIME_EXTENSION
         // which have immediate effects, DOUBLE_POINTS is a deferred bet on the answer.
-        // Consuming it on wrong answers punishes the player twice (wrong + lost power-up).
+        // Consuming it on such answers punishes the player twice (wrong + lost power-up).
         if (hasDoublePoints) {
           player.refundPowerUp(PowerUpType.DOUBLE_POINTS);
         }
@@ -94,23 +170,40 @@ class AnswerUseCases extends SharedUseCases {
         playerId: player.id,
         playerNickname: player.nickname,
         questionId: currentQuestion.id,
+        questionIndex,
         answerIndex,
+        answerValue,
         isCorrect: answer.isCorrect,
+        isPoll: currentQuestion.isPoll,
         elapsedTimeMs: validElapsedTime,
         score: archiveBaseScore,
         streak: streakBeforeAnswer,
         streakBonus: answer.streakBonus,
+        confidence: answer.confidence,
+        penalty: Math.max(0, -actualScore),
         optionCount: currentQuestion.options.length
       });
 
-      const doublePointsRefunded = !answer.isCorrect && hasDoublePoints;
+      const doublePointsRefunded = !answer.isCorrect && answer.score === 0 && hasDoublePoints;
+      const streakShielded = !currentQuestion.isPoll && !answer.isCorrect && hasStreakShield;
+      // Poll answers reveal nothing, so their distribution or word cloud is shared while answering is still open.
+      // Not while shuffling: players see the options in different orders, or answer different questions.
+      let liveResults = null;
+      if (currentQuestion.isPoll && !room.isShuffling()) {
+        const { distribution, wordCloud } = room.getResultsSummary(currentQuestion);
+        liveResults = wordCloud ? { wordCloud } : { distribution };
+      }
 
       await this.roomRepository.save(room);
       return {
+        room,
         answer,
         player,
         actualScore,
         doublePointsRefunded,
+        streakShielded,
+        earnedPowerUp,
+        liveResults,
         allAnswered: room.shouldAutoAdvance(),
         answeredCount: room.getAnsweredCount(),
         totalPlayers: room.answeringPhasePlayerCount,
@@ -138,7 +231,8 @@ class AnswerUseCases extends SharedUseCases {
         throw new ValidationError(`No ${powerUpType} power-up remaining`);
       }
 
-      const currentQuestion = this._getQuestionFromSnapshot(room, room.currentQuestionIndex);
+      const currentQuestion = this._getQuestionFromSnapshot(room, room.getPlayerQuestionIndex(player));
+      if (currentQuestion.isPoll) throw new ValidationError('Power-ups cannot be used on poll questions');
       const { result, emitActions } = powerUpRegistry.execute(powerUpType, { room, socketId, currentQuestion });
 
       // Decrement after successful execution
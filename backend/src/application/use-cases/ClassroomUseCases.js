@@ -1,8 +1,15 @@
-const { NotFoundError, ForbiddenError, ValidationError } = require('../../shared/errors');
+const { NotFoundError, ForbiddenError, ValidationError, ConflictError } = require('../../shared/errors');
+const { QuestionDifficulty } = require('../../domain/entities');
+const { Answer, AdaptiveDifficulty } = require('../../domain/value-objects');
+const { HOMEWORK_ANSWER_GRACE_MS, MAX_STREAK, MAX_SCORE } = require('../../shared/config/constants');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
 
 class ClassroomUseCases {
-  constructor(classroomRepository) {
+  constructor(classroomRepository, homeworkAttemptRepository = null, quizRepository = null) {
     this.classroomRepository = classroomRepository;
+    this.homeworkAttemptRepository = homeworkAttemptRepository;
+    this.quizRepository = quizRepository;
   }
 
   _assertTeacher(classroom, requesterId) {
@@ -72,12 +79,12 @@ class ClassroomUseCases {
     return { message: 'Öğrenci çıkarıldı' };
   }
 
-  async assignQuiz(id, quizId, dueDate, requesterId) {
+  async assignQuiz(id, quizId, dueDate, requesterId, adaptive = false) {
     if (!quizId) throw new ValidationError('Quiz ID gerekli');
     const classroom = await this.classroomRepository.findById(id);
     if (!classroom) throw new NotFoundError('Sınıf bulunamadı');
     this._assertTeacher(classroom, requesterId);
-    return this.classroomRepository.assignQuiz(id, quizId, dueDate || null);
+    return this.classroomRepository.assignQuiz(id, quizId, dueDate || null, adaptive);
   }
 
   async removeAssignment(id, assignmentIndex, requesterId) {
@@ -89,6 +96,348 @@ class ClassroomUseCases {
     return updated;
   }
 
+  async getHomeworkResults(id, requesterId) {
+    const classroom = await this.classroomRepository.findById(id);
+    if (!classroom) throw new NotFoundError('Sınıf bulunamadı');
+    this._assertTeacher(classroom, requesterId);
+
+    const attempts = await this.homeworkAttemptRepository.findCompletedByClassroom(id);
+    const results = classroom.assignedQuizzes.map(assignment => {
+      const assignmentId = assignment._id.toString();
+      const completedBy = assignment.completedBy || [];
+      return {
+        assignmentId,
+        quizTitle: assignment.quiz?.title || null,
+        dueDate: assignment.dueDate,
+        attempts: attempts
+          .filter(attempt => attempt.assignment.toString() === assignmentId)
+          .map(attempt => ({
+            id: attempt._id.toString(),
+            nickname: attempt.nickname,
+            score: attempt.score,
+            correctAnswers: attempt.correctAnswers,
+            wrongAnswers: attempt.wrongAnswers,
+            totalQuestions: attempt.totalQuestions,
+            averageResponseTime: attempt.averageResponseTime,
+            completedAt: attempt.completedAt
+          })),
+        pending: classroom.students
+          .map(s => s.nickname)
+          .filter(nickname => !completedBy.includes(nickname))
+      };
+    });
+    return { results };
+  }
+
+  /**
+   * Assignments a student can play on their own, with what they already completed
+   */
+  async getHomework(joinCode, nickname) {
+    const { classroom, student } = await this._getStudentClassroom(joinCode, nickname);
+    return {
+      classroomName: classroom.name,
+      nickname: student.nickname,
+      assignments: classroom.assignedQuizzes
+        // Assignments of deleted quizzes cannot be played
+        .filter(assignment => assignment.quiz)
+        .map(assignment => ({
+          id: assignment._id.toString(),
+          quizTitle: assignment.quiz.title,
+          assignedAt: assignment.assignedAt,
+          dueDate: assignment.dueDate,
+          adaptive: assignment.adaptive === true,
+          isOverdue: this._isOverdue(assignment),
+          completed: (assignment.completedBy || []).includes(student.nickname)
+        }))
+    };
+  }
+
+  /**
+   * Start a self-paced attempt, or resume the student's unfinished one, and hand out its current question.
+   * Each question's timer runs on the server from the moment it is first handed out,
+   * so students can take a break between questions but not during one.
+   */
+  async startHomework({ joinCode, nickname, assignmentId }) {
+    const { classroom, student } = await this._getStudentClassroom(joinCode, nickname);
+    const assignment = classroom.assignedQuizzes.find(a => a._id.toString() === String(assignmentId));
+    if (!assignment || !assignment.quiz) throw new NotFoundError('Ödev bulunamadı');
+    if ((assignment.completedBy || []).includes(student.nickname)) {
+      throw new ConflictError('Bu ödevi zaten tamamladınız');
+    }
+    if (this._isOverdue(assignment)) throw new ValidationError('Ödevin son tarihi geçti');
+
+    const quiz = await this.quizRepository.findById(this._toId(assignment.quiz));
+    if (!quiz || quiz.getTotalQuestions() === 0) throw new NotFoundError('Quiz bulunamadı');
+
+    let attempt = await this.homeworkAttemptRepository.findInProgress(classroom._id, assignment._id, student.nickname);
+    if (!attempt) {
+      // Question pools are drawn once per attempt, so each student gets their own selection
+      const adaptive = assignment.adaptive === true;
+      let questionIds = quiz.drawQuestions().questions.map(q => q.id);
+      if (adaptive) {
+        questionIds = this._moveNextAdaptiveQuestion(quiz, questionIds, 0, AdaptiveDifficulty.START_LEVEL);
+      }
+      attempt = await this.homeworkAttemptRepository.create({
+        classroom: classroom._id,
+        assignment: assignment._id,
+        quiz: this._toId(assignment.quiz),
+        nickname: student.nickname,
+        totalQuestions: questionIds.length,
+        questionIds,
+        adaptive,
+        questionStartedAt: new Date()
+      });
+    } else if (!attempt.questionStartedAt) {
+      attempt = await this.homeworkAttemptRepository.update(attempt._id, { questionStartedAt: new Date() });
+    }
+
+    return {
+      attemptId: attempt._id.toString(),
+      quizTitle: quiz.title,
+      totalQuestions: attempt.totalQuestions,
+      score: attempt.score,
+      ...this._toHomeworkQuestion(quiz, attempt)
+    };
+  }
+
+  /**
+   * Score the answer to the attempt's current question and move on to the next one,
+   * whose timer starts when startHomework hands it out.
+   * No answer, or one arriving after the time limit, counts as missed.
+   * Attempts end with the due date: once it has passed, no more answers are taken.
+   * The last answer completes the attempt and marks the assignment completed for the student.
+   */
+  async submitHomeworkAnswer({ attemptId, nickname, answerIndex = null, answerValue = null }) {
+    const attempt = await this.homeworkAttemptRepository.findById(attemptId);
+    if (!attempt || !nickname || attempt.nickname.toLowerCase() !== String(nickname).toLowerCase()) {
+      throw new NotFoundError('Ödev denemesi bulunamadı');
+    }
+    if (attempt.status !== 'in_progress') throw new ConflictError('Bu ödev zaten tamamlandı');
+    if (!attempt.questionStartedAt) throw new ConflictError('Soru henüz başlamadı');
+
+    const classroom = await this.classroomRepository.findById(this._toId(attempt.classroom));
+    const assignment = classroom && classroom.assignedQuizzes.find(a => a._id.toString() === this._toId(attempt.assignment));
+    if (!assignment) throw new NotFoundError('Ödev bulunamadı');
+    if (this._isOverdue(assignment)) throw new ValidationError('Ödevin son tarihi geçti');
+
+    const quiz = await this.quizRepository.findById(this._toId(attempt.quiz));
+    if (!quiz) throw new NotFoundError('Quiz bulunamadı');
+    const questionIndex = attempt.currentQuestionIndex;
+    const question = this._getAttemptQuestion(quiz, attempt, questionIndex);
+
+    const timeLimitMs = question.timeLimit * 1000;
+    const elapsedTimeMs = Math.max(0, Date.now() - new Date(attempt.questionStartedAt).getTime());
+    const answered = (answerIndex !== null || answerValue !== null) &&
+      elapsedTimeMs <= timeLimitMs + HOMEWORK_ANSWER_GRACE_MS;
+
+    let points = 0;
+    let streak = attempt.streak;
+    let answer = null;
+    if (answered) {
+      answer = this._createHomeworkAnswer(attempt, question, {
+        answerIndex,
+        answerValue,
+        elapsedTimeMs: Math.min(elapsedTimeMs, timeLimitMs),
+        scoringProfile: quiz.scoringProfile
+      });
+      if (question.isPoll) {
+        // Polls award no points and leave the streak as it was
+      } else if (answer.isCorrect) {
+        streak = Math.min(streak + 1, MAX_STREAK);
+        points = answer.getTotalScore();
+      } else {
+        // Partial credit still counts; otherwise negative marking stops at zero
+        points = answer.score > 0 ? answer.getTotalScore() : -Math.min(answer.penalty, attempt.score);
+        streak = 0;
+      }
+    } else if (!question.isPoll) {
+      streak = 0;
+    }
+
+    const answers = answer
+      ? [...attempt.answers, this._toAnswerRecord(attempt, questionIndex, question, answer, Math.max(0, -points))]
+      : [...attempt.answers];
+    const nextIndex = questionIndex + 1;
+    const finished = nextIndex >= attempt.totalQuestions;
+    const update = {
+      currentQuestionIndex: nextIndex,
+      questionStartedAt: null,
+      score: Math.min(attempt.score + points, MAX_SCORE),
+      streak,
+      longestStreak: Math.max(attempt.longestStreak, streak),
+      correctAnswers: attempt.correctAnswers + (answer && answer.isCorrect && !question.isPoll ? 1 : 0),
+      wrongAnswers: attempt.wrongAnswers + (!question.isPoll && !(answer && answer.isCorrect) ? 1 : 0),
+      answers
+    };
+    if (attempt.adaptive && !finished) {
+      // The student's own result on this question sets how hard the next one is
+      const accuracy = question.isPoll ? null : (answer && answer.isCorrect ? 1 : 0);
+      const level = AdaptiveDifficulty.nextLevel(question.difficulty, accuracy);
+      update.questionIds = this._moveNextAdaptiveQuestion(quiz, attempt.questionIds, nextIndex, level);
+    }
+    if (finished) {
+      update.status = 'completed';
+      update.completedAt = new Date();
+      update.averageResponseTime = answers.length > 0
+        ? Math.round(answers.reduce((sum, record) => sum + record.responseTimeMs, 0) / answers.length)
+        : 0;
+    }
+
+    // Only one answer per question: a second request for the same question finds the attempt moved on
+    const saved = await this.homeworkAttemptRepository.advance(attempt._id, questionIndex, update);
+    if (!saved) throw new ConflictError('Bu soru zaten cevaplandı');
+    if (finished) {
+      await this.classroomRepository.markAssignmentCompleted(attempt.classroom, attempt.assignment, attempt.nickname);
+    }
+
+    return {
+      result: {
+        answered,
+        isCorrect: answer ? answer.isCorrect : false,
+        isPoll: question.isPoll,
+        score: points,
+        explanation: question.explanation || ''
+      },
+      score: update.score,
+      streak,
+      finished,
+      summary: finished
+        ? {
+          score: update.score,
+          correctAnswers: update.correctAnswers,
+          wrongAnswers: update.wrongAnswers,
+          totalQuestions: attempt.totalQuestions,
+          averageResponseTime: update.averageResponseTime
+        }
+        : null
+    };
+  }
+
+  /**
+   * Find the classroom a student belongs to; nicknames match case-insensitively
+   * @private
+   */
+  async _getStudentClassroom(joinCode, nickname) {
+    if (!joinCode || !nickname) {
+      throw new ValidationError('Katılım kodu ve takma ad gerekli');
+    }
+    const classroom = await this.classroomRepository.findByJoinCode(String(joinCode).toUpperCase());
+    if (!classroom) throw new NotFoundError('Sınıf bulunamadı');
+
+    const student = classroom.students.find(
+      s => s.nickname.toLowerCase() === String(nickname).toLowerCase()
+    );
+    if (!student) throw new ForbiddenError('Bu takma adla kayıtlı öğrenci yok');
+    return { classroom, student };
+  }
+
+  /**
+   * Due dates are picked as calendar days, so the whole due day still counts
+   * @private
+   */
+  _isOverdue(assignment) {
+    if (!assignment.dueDate) return false;
+    return Date.now() >= new Date(assignment.dueDate).getTime() + DAY_MS;
+  }
+
+  /** @private */
+  _toId(ref) {
+    return ref._id ? ref._id.toString() : ref.toString();
+  }
+
+  /**
+   * The quiz question at a position of the attempt. Attempts play the questions drawn when they began;
+   * ones started before that was recorded play the quiz in order.
+   * @private
+   */
+  _getAttemptQuestion(quiz, attempt, questionIndex) {
+    const questionId = attempt.questionIds?.[questionIndex];
+    if (!questionId) return quiz.getQuestionOrThrow(questionIndex);
+    const question = quiz.questions.find(q => q.id === questionId);
+    if (!question) throw new NotFoundError('Soru bulunamadı');
+    return question;
+  }
+
+  /**
+   * Attempt question ids with the unplayed question closest to a difficulty moved to the given position.
+   * Questions deleted from the quiz since the attempt began count as medium.
+   * @private
+   */
+  _moveNextAdaptiveQuestion(quiz, questionIds, nextIndex, level) {
+    const played = questionIds.slice(0, nextIndex);
+    const remaining = questionIds.slice(nextIndex);
+    const candidates = remaining.map(id => quiz.questions.find(q => q.id === id) || { difficulty: QuestionDifficulty.MEDIUM });
+    const picked = AdaptiveDifficulty.pickQuestion(candidates, [], level);
+    return [...played, remaining[picked], ...remaining.filter((_, i) => i !== picked)];
+  }
+
+  /** @private */
+  _toHomeworkQuestion(quiz, attempt) {
+    const questionIndex = attempt.currentQuestionIndex;
+    const question = this._getAttemptQuestion(quiz, attempt, questionIndex);
+    const elapsedMs = Date.now() - new Date(attempt.questionStartedAt).getTime();
+    return {
+      questionIndex,
+      question: question.getPublicData(),
+      remainingMs: Math.max(0, question.timeLimit * 1000 - elapsedMs)
+    };
+  }
+
+  /** @private */
+  _createHomeworkAnswer(attempt, question, { answerIndex, answerValue, elapsedTimeMs, scoringProfile }) {
+    const hasAnswerValue = answerValue !== null;
+    if (question.expectsAnswerValue()) {
+      if (!hasAnswerValue) throw new ValidationError('Bu soru bir cevap değeri bekliyor');
+      question.validateAnswerValue(answerValue);
+      answerValue = question.normalizeAnswerValue(answerValue);
+    } else {
+      if (hasAnswerValue) throw new ValidationError('Bu soru bir seçenek bekliyor');
+      if (Array.isArray(answerIndex) !== question.expectsIndexArray()) {
+        throw new ValidationError('Geçersiz cevap biçimi');
+      }
+    }
+
+    return Answer.create({
+      playerId: attempt._id.toString(),
+      questionId: question.id,
+      // Homework has no game room; the classroom stands in for it
+      roomPin: attempt.classroom.toString(),
+      answerIndex: hasAnswerValue ? null : answerIndex,
+      answerValue: hasAnswerValue ? answerValue : null,
+      question,
+      elapsedTimeMs,
+      currentStreak: attempt.streak,
+      scoringProfile
+    });
+  }
+
+  /**
+   * Same shape as the answers archived with a live game session
+   * @param {number} penalty - Points actually taken, which the zero floor may keep below the nominal penalty
+   * @private
+   */
+  _toAnswerRecord(attempt, questionIndex, question, answer, penalty) {
+    let response;
+    if (answer.answerValue !== null) {
+      response = { answerIndex: null, answerValue: answer.answerValue };
+    } else if (Array.isArray(answer.answerIndex)) {
+      response = { answerIndex: null, answerIndices: [...answer.answerIndex] };
+    } else {
+      response = { answerIndex: answer.answerIndex };
+    }
+    return {
+      nickname: attempt.nickname,
+      questionIndex,
+      ...response,
+      isCorrect: answer.isCorrect,
+      ...(question.isPoll && { isPoll: true }),
+      responseTimeMs: answer.elapsedTimeMs,
+      score: answer.score,
+      streak: attempt.streak,
+      ...(penalty > 0 && { penalty })
+    };
+  }
+
   async delete(id, requesterId) {
     const classroom = await this.classroomRepository.findById(id);
     if (!classroom) throw new NotFoundError('Sınıf bulunamadı');
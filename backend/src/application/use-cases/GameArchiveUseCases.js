@@ -1,6 +1,7 @@
 const { SharedUseCases } = require('./SharedUseCases');
 const { LockManager } = require('../../shared/utils/LockManager');
 const { RoomState } = require('../../domain/entities');
+const { WordCloud } = require('../../domain/value-objects');
 const { ValidationError } = require('../../shared/errors');
 const { LOCK_TIMEOUT_MS } = require('../../shared/config/constants');
 
@@ -28,14 +29,19 @@ class GameArchiveUseCases extends SharedUseCases {
         : (typeof answer.responseTimeMs === 'number' ? answer.responseTimeMs : 0);
       stats.answerCount++;
       stats.totalResponseTime += Math.max(0, responseTimeMs);
+      if (answer.isPoll) continue;
       if (answer.isCorrect) stats.correctCount++;
       else stats.wrongCount++;
     }
     return playerStats;
   }
 
+  /**
+   * Ranks stay as the game ended, bots included; only the bots' own results are left out
+   */
   _buildPlayerResults(leaderboard, playerStats) {
     return leaderboard.map((player, index) => {
+      if (player.isBot) return null;
       const stats = playerStats.get(player.nickname) || { correctCount: 0, wrongCount: 0, totalResponseTime: 0, answerCount: 0 };
       return {
         nickname: player.nickname,
@@ -44,35 +50,111 @@ class GameArchiveUseCases extends SharedUseCases {
         correctAnswers: stats.correctCount,
         wrongAnswers: stats.wrongCount,
         averageResponseTime: stats.answerCount > 0 ? Math.round(stats.totalResponseTime / stats.answerCount) : 0,
-        longestStreak: player.longestStreak
+        longestStreak: player.longestStreak,
+        ...(player.userId && { userId: player.userId })
       };
-    });
+    }).filter(Boolean);
   }
 
   _mapAnswersToSessionFormat(answerHistory) {
     return answerHistory.map(answer => ({
       nickname: answer.playerNickname,
       questionIndex: answer.questionIndex,
-      answerIndex: answer.answerIndex,
+      ...this._toArchivedAnswer(answer),
+      isCorrect: answer.isCorrect,
+      ...(answer.isPoll && { isPoll: true }),
+      responseTimeMs: answer.elapsedTimeMs,
+      score: answer.score,
+      streak: answer.streak || 0,
+      ...(answer.confidence && { confidence: answer.confidence }),
+      ...(answer.penalty > 0 && { penalty: answer.penalty })
+    }));
+  }
+
+  /**
+   * Answers teams submitted together, in the same shape as players' answers
+   * @private
+   */
+  _mapTeamAnswersToSessionFormat(teamAnswers) {
+    return teamAnswers.map(answer => ({
+      teamName: answer.teamName,
+      questionIndex: answer.questionIndex,
+      ...this._toArchivedAnswer(answer),
       isCorrect: answer.isCorrect,
+      ...(answer.isPoll && { isPoll: true }),
       responseTimeMs: answer.elapsedTimeMs,
       score: answer.score,
-      streak: answer.streak || 0
+      streak: answer.streak || 0,
+      rule: answer.rule,
+      proposalCount: answer.proposalCount
     }));
   }
 
+  /**
+   * MULTI_SELECT / ORDERING / MATCHING picks go to answerIndices and NUMERIC / TYPE_ANSWER values to answerValue;
+   * answerIndex is left null for both
+   * @private
+   */
+  _toArchivedAnswer(answer) {
+    if (answer.answerValue !== null && answer.answerValue !== undefined) {
+      return { answerIndex: null, answerValue: answer.answerValue };
+    }
+    if (Array.isArray(answer.answerIndex)) {
+      return { answerIndex: null, answerIndices: answer.answerIndex };
+    }
+    return { answerIndex: answer.answerIndex };
+  }
+
+  /**
+   * Ids of the questions the game played, in game order; answers' questionIndex points into this list.
+   * Question pools and random subsets play only part of the quiz, so analytics map answers back through it.
+   * @private
+   */
+  _getPlayedQuestionIds(room) {
+    const snapshot = room.getQuizSnapshot();
+    return snapshot ? snapshot.questions.map(q => q.id) : [];
+  }
+
+  /**
+   * Final word cloud of every WORD_CLOUD question that received answers
+   * @private
+   */
+  _buildWordClouds(room, answerHistory) {
+    const snapshot = room.getQuizSnapshot();
+    if (!snapshot) return [];
+
+    const submissionsByQuestion = new Map();
+    for (const answer of answerHistory) {
+      if (!answer || typeof answer.answerValue !== 'string') continue;
+      const question = snapshot.getQuestion(answer.questionIndex);
+      if (!question || !question.isWordCloud()) continue;
+      if (!submissionsByQuestion.has(answer.questionIndex)) {
+        submissionsByQuestion.set(answer.questionIndex, []);
+      }
+      submissionsByQuestion.get(answer.questionIndex).push(answer.answerValue);
+    }
+
+    return [...submissionsByQuestion.entries()]
+      .sort(([a], [b]) => a - b)
+      .map(([questionIndex, submissions]) => ({ questionIndex, words: WordCloud.aggregate(submissions) }));
+  }
+
   _buildSessionData(room, status, extra = {}) {
     const leaderboard = room.getLeaderboard();
-    const answerHistory = room.getAnswerHistory();
+    // Lobby bots' answers would skew the quiz's analytics and the players' history
+    const bots = new Set(leaderboard.filter(player => player.isBot).map(player => player.nickname));
+    const answerHistory = room.getAnswerHistory().filter(answer => !bots.has(answer?.playerNickname));
     const playerStats = this._calculatePlayerStats(answerHistory);
 
     const sessionData = {
       pin: room.pin,
       quiz: room.quizId,
       host: room.hostUserId,
-      playerCount: room.getPlayerCount(),
+      playerCount: leaderboard.length - bots.size, // includes players knocked out in elimination mode
       playerResults: this._buildPlayerResults(leaderboard, playerStats),
       answers: this._mapAnswersToSessionFormat(answerHistory),
+      wordClouds: this._buildWordClouds(room, answerHistory),
+      questionIds: this._getPlayedQuestionIds(room),
       startedAt: room.getGameStartedAt() || room.createdAt,
       endedAt: new Date(),
       status,
@@ -83,6 +165,14 @@ class GameArchiveUseCases extends SharedUseCases {
       sessionData.teamMode = true;
       sessionData.teamResults = room.getTeamLeaderboard();
     }
+    // Teams that answered together: what each team answered, next to what its members proposed
+    if (room.isTeamAnswering()) {
+      sessionData.teamAnswers = this._mapTeamAnswersToSessionFormat(room.getTeamAnswerHistory());
+    }
+    // Adaptive games pick their questions as they go, so keep the order they were actually played in
+    if (room.isAdaptive()) {
+      sessionData.questionSequence = room.getQuestionSequence();
+    }
 
     return sessionData;
   }
@@ -14,24 +14,29 @@ class GameFlowUseCases extends SharedUseCases {
     const quiz = await this._getQuizOrThrow(room.quizId);
     if (quiz.getTotalQuestions() === 0) throw new ValidationError('Quiz must have at least one question');
 
-    // Create snapshot BEFORE mutating room state — if this fails, room stays in WAITING_PLAYERS
-    let quizSnapshot;
+    // Create snapshot BEFORE mutating room state — if this fails, room stays in WAITING_PLAYERS.
+    // Question pools are drawn from here, so every game of the quiz plays its own selection.
+    let quizSnapshot = quiz.drawQuestions();
+    let roundCount = null;
     if (questionCount !== undefined && questionCount !== null) {
       if (!Number.isInteger(questionCount) || questionCount < 1) {
         throw new ValidationError('Question count must be a positive integer');
       }
-      if (questionCount > quiz.getTotalQuestions()) {
-        throw new ValidationError(`Question count (${questionCount}) exceeds available questions (${quiz.getTotalQuestions()})`);
+      if (questionCount > quizSnapshot.getTotalQuestions()) {
+        throw new ValidationError(`Question count (${questionCount}) exceeds available questions (${quizSnapshot.getTotalQuestions()})`);
+      }
+      // Adaptive games keep every question to choose from and just stop after questionCount rounds
+      if (room.isAdaptive()) {
+        roundCount = questionCount;
+      } else {
+        quizSnapshot = quizSnapshot.getRandomSubset(questionCount);
       }
-      quizSnapshot = quiz.getRandomSubset(questionCount);
-    } else {
-      quizSnapshot = quiz.clone();
     }
 
     if (!Object.isFrozen(quizSnapshot)) throw new ValidationError('Failed to create immutable quiz snapshot - quiz not frozen');
 
     // Single atomic operation: validates host, player count, state, then sets snapshot + state
-    room.startGameSession(requesterId, quizSnapshot);
+    room.startGameSession(requesterId, quizSnapshot, roundCount);
     await this.roomRepository.save(room);
     // Non-critical: increment play count. Failure should not affect game start.
     try {
@@ -40,10 +45,10 @@ class GameFlowUseCases extends SharedUseCases {
       console.error('Failed to increment play count:', err.message);
     }
 
-    const currentQuestion = this._getQuestionFromSnapshot(room, room.currentQuestionIndex);
+    const currentQuestion = this._getQuestionFromSnapshot(room, room.getRoundQuestionIndex());
     return {
       room,
-      totalQuestions: quizSnapshot.getTotalQuestions(),
+      totalQuestions: room.getTotalQuestions(),
       currentQuestion: currentQuestion.getHostData()
     };
   }
@@ -60,15 +65,24 @@ class GameFlowUseCases extends SharedUseCases {
       }
     }
 
-    const currentQuestion = this._getQuestionFromSnapshot(room, room.currentQuestionIndex);
-    let timeLimit = currentQuestion.timeLimit;
+    const currentQuestion = this._getQuestionFromSnapshot(room, room.getRoundQuestionIndex());
+    let timeLimit = room.getRoundTimeLimit();
     let isLightning = false;
-    const snapshot = room.getQuizSnapshot();
-    if (room.lightningRound.enabled && room.isLightningQuestion(room.currentQuestionIndex, snapshot.getTotalQuestions())) {
+    if (room.lightningRound.enabled && room.isLightningQuestion(room.currentQuestionIndex, room.getTotalQuestions())) {
       timeLimit = Math.max(MIN_QUESTION_TIME, Math.floor(timeLimit / 2));
       isLightning = true;
     }
-    return { room, timeLimit, optionCount: currentQuestion.options.length, isLightning };
+    // Teams answering together get their discussion time on top of the question's
+    const discussionSeconds = room.getTeamDiscussionSeconds();
+    timeLimit += discussionSeconds;
+    return {
+      room,
+      timeLimit,
+      discussionSeconds,
+      optionCount: currentQuestion.options.length,
+      wrongOptionCount: currentQuestion.getWrongOptionCount(),
+      isLightning
+    };
   }
 
   /**
@@ -99,19 +113,37 @@ class GameFlowUseCases extends SharedUseCases {
       }
     });
 
+    // Teams answering together that never settled answer with the proposals they have
+    const teamAnswers = room.resolveTeamAnswers();
+
     room.setState(RoomState.SHOW_RESULTS);
     await this.roomRepository.save(room);
 
-    const currentQuestion = this._getQuestionFromSnapshot(room, room.currentQuestionIndex);
-    const { distribution, correctCount, skippedCount } = room.getAnswerDistribution(
-      currentQuestion.options.length,
-      (idx) => currentQuestion.isCorrect(idx)
-    );
+    const currentQuestion = this._getQuestionFromSnapshot(room, room.getRoundQuestionIndex());
+    // With shuffled questions the round mixes answers to different questions, so only the correct count is shared
+    const mixedQuestions = room.hasMixedQuestions();
+    const {
+      distribution = [], histogram = null, topWrongAnswers = null, wordCloud = null, clicks = null, correctCount, skippedCount
+    } = mixedQuestions ? room.getMixedRoundSummary() : room.getResultsSummary(currentQuestion);
 
     return {
       room,
+      mixedQuestions,
+      teamAnswers,
       correctAnswerIndex: currentQuestion.correctAnswerIndex,
+      correctAnswerIndices: currentQuestion.correctAnswerIndices,
+      correctOrder: currentQuestion.correctOrder,
+      correctMatches: currentQuestion.correctMatches,
+      correctValue: currentQuestion.correctValue,
+      tolerance: currentQuestion.tolerance,
+      unit: currentQuestion.unit,
+      acceptedAnswers: currentQuestion.acceptedAnswers,
+      hotspotRegions: currentQuestion.getHostData().hotspotRegions,
       distribution,
+      histogram,
+      topWrongAnswers,
+      wordCloud,
+      clicks,
       correctCount,
       skippedCount,
       answeredCount: room.getTotalAnsweredCount(),
@@ -128,9 +160,12 @@ class GameFlowUseCases extends SharedUseCases {
       throw new ValidationError('Leaderboard can only be shown after results');
     }
     room.setState(RoomState.LEADERBOARD);
+    // Eliminate first so catch-up power-ups only go to players still in the game
+    const eliminated = room.eliminatePlayers(room.getCurrentQuestion());
+    const earnedPowerUps = room.awardCatchUpPowerUps(room.getTotalQuestions());
     await this.roomRepository.save(room);
 
-    const result = { room, leaderboard: room.getLeaderboard() };
+    const result = { room, leaderboard: room.getLeaderboard(), earnedPowerUps, eliminated };
     if (room.isTeamMode()) result.teamLeaderboard = room.getTeamLeaderboard();
     return result;
   }
@@ -140,7 +175,7 @@ class GameFlowUseCases extends SharedUseCases {
     const snapshot = room.getQuizSnapshot();
     if (!snapshot) throw new ValidationError('Game has not started');
 
-    const totalQuestions = snapshot.getTotalQuestions();
+    const totalQuestions = room.getTotalQuestions();
     const hasMore = room.nextQuestion(requesterId, totalQuestions);
     await this.roomRepository.save(room);
 
@@ -150,7 +185,7 @@ class GameFlowUseCases extends SharedUseCases {
       return gameOverResult;
     }
 
-    const currentQuestion = this._getQuestionFromSnapshot(room, room.currentQuestionIndex);
+    const currentQuestion = this._getQuestionFromSnapshot(room, room.getRoundQuestionIndex());
     return {
       room,
       isGameOver: false,
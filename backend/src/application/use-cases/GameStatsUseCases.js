@@ -2,8 +2,9 @@ const { NotFoundError, ForbiddenError } = require('../../shared/errors');
 const { ANALYTICS_MAX_SESSIONS } = require('../../shared/config/constants');
 
 class GameStatsUseCases {
-  constructor(gameSessionRepository) {
+  constructor(gameSessionRepository, quizRepository = null) {
     this.gameSessionRepository = gameSessionRepository;
+    this.quizRepository = quizRepository;
   }
 
   /**
@@ -15,18 +16,21 @@ class GameStatsUseCases {
     return total > 0 ? Math.round((correct / total) * 100) : 0;
   }
 
-  _calculateAnswerDistribution(sessions) {
+  _calculateAnswerDistribution(sessions, bankIndexById = null) {
     const questionStats = new Map();
 
     for (const session of sessions) {
       for (const answer of (session.answers || [])) {
-        const key = answer.questionIndex;
+        const key = this._toBankIndex(session, answer.questionIndex, bankIndexById);
+        if (key === null) continue;
         if (!questionStats.has(key)) {
           questionStats.set(key, { correct: 0, wrong: 0, totalTime: 0, count: 0 });
         }
         const stats = questionStats.get(key);
         stats.count++;
         stats.totalTime += answer.responseTimeMs || 0;
+        // Poll answers have no right answer to count against
+        if (answer.isPoll) continue;
         if (answer.isCorrect) stats.correct++;
         else stats.wrong++;
       }
@@ -35,6 +39,93 @@ class GameStatsUseCases {
     return questionStats;
   }
 
+  /**
+   * Position in the quiz of the question an archived answer was given to.
+   * Sessions that recorded their played questions (question pools, random subsets) are mapped
+   * through those ids; older sessions played the quiz in order. Deleted questions map to null.
+   * @param {GameSession} session
+   * @param {number} questionIndex - Index in the game's order
+   * @param {Map<string, number>|null} bankIndexById - Quiz question id -> index, null when the quiz is unavailable
+   * @returns {number|null}
+   */
+  _toBankIndex(session, questionIndex, bankIndexById) {
+    const questionId = session.questionIds?.[questionIndex];
+    if (!questionId || !bankIndexById) return questionIndex;
+    return bankIndexById.has(questionId) ? bankIndexById.get(questionId) : null;
+  }
+
+  /**
+   * @private
+   * @returns {Map<string, number>|null}
+   */
+  _getBankIndexById(quiz) {
+    return quiz ? new Map(quiz.questions.map((question, index) => [question.id, index])) : null;
+  }
+
+  /**
+   * The quiz, or null when it cannot be loaded
+   * @private
+   */
+  async _findQuiz(quizId) {
+    if (!this.quizRepository) return null;
+    return this.quizRepository.findById(quizId);
+  }
+
+  /**
+   * Per-pair breakdown of a MATCHING question's archived answers.
+   * Each option row counts how often players paired it with each match target;
+   * answers that no longer fit the question (e.g. it was edited since) are skipped.
+   * @param {Array} sessions - Array of game sessions
+   * @param {number} questionIndex
+   * @param {Question} question - The MATCHING question
+   * @param {Map<string, number>|null} [bankIndexById] - See _toBankIndex
+   * @returns {Array<{ optionIndex, option, correctTargetIndex, correctCount, totalCount, accuracy, targetCounts }>}
+   */
+  _calculatePairDistribution(sessions, questionIndex, question, bankIndexById = null) {
+    const pairCount = question.options.length;
+    const rows = question.options.map((option, optionIndex) => ({
+      optionIndex,
+      option,
+      correctTargetIndex: question.correctMatches[optionIndex],
+      targetCounts: new Array(pairCount).fill(0)
+    }));
+
+    for (const session of sessions) {
+      for (const answer of (session.answers || [])) {
+        if (this._toBankIndex(session, answer.questionIndex, bankIndexById) !== questionIndex) continue;
+        const matches = answer.answerIndices;
+        if (!Array.isArray(matches) || matches.length !== pairCount) continue;
+        if (!matches.every(i => Number.isInteger(i) && i >= 0 && i < pairCount)) continue;
+        matches.forEach((targetIndex, optionIndex) => {
+          rows[optionIndex].targetCounts[targetIndex]++;
+        });
+      }
+    }
+
+    return rows.map(row => {
+      const totalCount = row.targetCounts.reduce((sum, count) => sum + count, 0);
+      const correctCount = row.targetCounts[row.correctTargetIndex];
+      return {
+        ...row,
+        correctCount,
+        totalCount,
+        accuracy: this._calculateAccuracy(correctCount, totalCount)
+      };
+    });
+  }
+
+  /**
+   * MATCHING questions of a quiz by index, or an empty map without the quiz
+   * @private
+   */
+  _getMatchingQuestions(quiz) {
+    const matching = new Map();
+    (quiz?.questions || []).forEach((question, index) => {
+      if (question.isMatching() && !question.isPoll) matching.set(index, question);
+    });
+    return matching;
+  }
+
   /**
    * Get aggregated dashboard stats for a host
    * @param {Object} params
@@ -139,7 +230,8 @@ class GameStatsUseCases {
   }
 
   /**
-   * Get per-question analytics for a specific quiz
+   * Get per-question analytics for a specific quiz.
+   * MATCHING questions also get a pairDistribution with per-pair accuracy.
    * @param {Object} params
    * @param {string} params.hostId - Host user ID
    * @param {string} params.quizId - Quiz ID
@@ -149,18 +241,25 @@ class GameStatsUseCases {
     const sessions = await this.gameSessionRepository.findByQuizAndHost(quizId, hostId, { page: 1, limit: ANALYTICS_MAX_SESSIONS });
     const allSessions = sessions.sessions || [];
 
-    const questionStats = this._calculateAnswerDistribution(allSessions);
+    const quiz = allSessions.length > 0 ? await this._findQuiz(quizId) : null;
+    const bankIndexById = this._getBankIndexById(quiz);
+    const questionStats = this._calculateAnswerDistribution(allSessions, bankIndexById);
+    const matchingQuestions = this._getMatchingQuestions(quiz);
 
     const results = [];
     for (const [questionIndex, stats] of questionStats) {
       const total = stats.correct + stats.wrong;
+      const matchingQuestion = matchingQuestions.get(questionIndex);
       results.push({
         questionIndex,
         accuracy: this._calculateAccuracy(stats.correct, total),
         averageResponseTime: stats.count > 0 ? Math.round(stats.totalTime / stats.count) : 0,
         totalAttempts: total,
         correctCount: stats.correct,
-        wrongCount: stats.wrong
+        wrongCount: stats.wrong,
+        ...(matchingQuestion && {
+          pairDistribution: this._calculatePairDistribution(allSessions, questionIndex, matchingQuestion, bankIndexById)
+        })
       });
     }
 
@@ -188,6 +287,7 @@ class GameStatsUseCases {
       const stats = quizAccuracy.get(quizId);
       stats.sessions++;
       for (const answer of (session.answers || [])) {
+        if (answer.isPoll) continue;
         if (answer.isCorrect) stats.correct++;
         else stats.wrong++;
       }
@@ -232,6 +332,7 @@ class GameStatsUseCases {
     for (const session of sessions) {
       totalPlayers += session.playerCount;
       for (const answer of session.answers) {
+        if (answer.isPoll) continue;
         totalAnswers++;
         if (answer.isCorrect) totalCorrect++;
       }
@@ -239,7 +340,8 @@ class GameStatsUseCases {
     }
 
     // Get per-question breakdown using shared helper
-    const questionStatsMap = this._calculateAnswerDistribution(sessions);
+    const quiz = await this._findQuiz(quizId);
+    const questionStatsMap = this._calculateAnswerDistribution(sessions, this._getBankIndexById(quiz));
 
     const questionBreakdown = Array.from(questionStatsMap.entries())
       .sort(([a], [b]) => a - b)
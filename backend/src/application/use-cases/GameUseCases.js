@@ -36,6 +36,17 @@ class GameUseCases {
     return null;
   }
 
+  /**
+   * Host data, answer key included, of the question a player is answering; lets bot players answer right
+   */
+  async getPlayerAnswerKey(pin, socketId) {
+    const room = await this.roomRepository.findByPin(pin);
+    if (!room) return null;
+    const player = room.getPlayer(socketId);
+    const question = player ? room.getPlayerQuestion(player) : null;
+    return question ? question.getHostData() : null;
+  }
+
   // Game flow delegation
   startGame(params) { return this._flow.startGame(params); }
   startAnsweringPhase(params) {
@@ -1,8 +1,9 @@
 const { Quiz, Question } = require('../../domain/entities');
+const { HotspotRegion, ScoringProfile } = require('../../domain/value-objects');
 const { generateId } = require('../../shared/utils/generateId');
 const { LockManager } = require('../../shared/utils/LockManager');
 const { NotFoundError, ForbiddenError, ConflictError, ValidationError } = require('../../shared/errors');
-const { LOCK_TIMEOUT_MS, MAX_OPTIONS, MIN_OPTIONS } = require('../../shared/config/constants');
+const { LOCK_TIMEOUT_MS, MAX_OPTIONS, MIN_OPTIONS, MAX_BANK_QUESTIONS } = require('../../shared/config/constants');
 
 // Current export format version
 const EXPORT_VERSION = '1.0';
@@ -57,7 +58,7 @@ class QuizUseCases {
   /**
    * Create a new quiz
    */
-  async createQuiz({ title, description, createdBy, isPublic = false, category, tags }) {
+  async createQuiz({ title, description, createdBy, isPublic = false, category, tags, scoringProfile }) {
     const slug = Quiz.generateSlug(title);
     const quiz = new Quiz({
       id: generateId(),
@@ -67,7 +68,8 @@ class QuizUseCases {
       isPublic,
       category,
       tags,
-      slug
+      slug,
+      scoringProfile
     });
     const savedQuiz = await this._saveWithSlugRetry(quiz, title);
     return { quiz: savedQuiz };
@@ -126,10 +128,15 @@ class QuizUseCases {
         text: q.text,
         type: q.type,
         options: q.options,
+        ...(q.matchTargets && { matchTargets: q.matchTargets }),
+        ...(q.unit && { unit: q.unit }),
+        ...(q.isPoll && { isPoll: true }),
         timeLimit: q.timeLimit,
         points: q.points,
         imageUrl: q.imageUrl,
-        explanation: q.explanation
+        explanation: q.explanation,
+        hint: q.hint,
+        difficulty: q.difficulty
       }));
       return { quiz: sanitized };
     }
@@ -173,7 +180,7 @@ class QuizUseCases {
   /**
    * Update quiz details
    */
-  async updateQuiz({ quizId, title, description, isPublic, category, tags, requesterId }) {
+  async updateQuiz({ quizId, title, description, isPublic, category, tags, scoringProfile, questionPools, requesterId }) {
     const quiz = await this._getQuizOrThrow(quizId);
     this._validateQuizOwnership(quiz, requesterId);
 
@@ -182,6 +189,8 @@ class QuizUseCases {
     if (isPublic !== undefined) quiz.setPublic(isPublic);
     if (category !== undefined) quiz.updateCategory(category);
     if (tags !== undefined) quiz.setTags(tags);
+    if (scoringProfile !== undefined) quiz.updateScoringProfile(scoringProfile);
+    if (questionPools !== undefined) quiz.setQuestionPools(questionPools);
 
     const savedQuiz = await this.quizRepository.save(quiz);
     return { quiz: savedQuiz };
@@ -280,10 +289,24 @@ class QuizUseCases {
       type: 'type' in questionData ? questionData.type : existingQuestion.type,
       options: 'options' in questionData ? questionData.options : existingQuestion.options,
       correctAnswerIndex: 'correctAnswerIndex' in questionData ? questionData.correctAnswerIndex : existingQuestion.correctAnswerIndex,
+      correctAnswerIndices: 'correctAnswerIndices' in questionData ? questionData.correctAnswerIndices : existingQuestion.correctAnswerIndices,
+      correctOrder: 'correctOrder' in questionData ? questionData.correctOrder : existingQuestion.correctOrder,
+      matchTargets: 'matchTargets' in questionData ? questionData.matchTargets : existingQuestion.matchTargets,
+      correctMatches: 'correctMatches' in questionData ? questionData.correctMatches : existingQuestion.correctMatches,
+      correctValue: 'correctValue' in questionData ? questionData.correctValue : existingQuestion.correctValue,
+      tolerance: 'tolerance' in questionData ? questionData.tolerance : existingQuestion.tolerance,
+      unit: 'unit' in questionData ? questionData.unit : existingQuestion.unit,
+      acceptedAnswers: 'acceptedAnswers' in questionData ? questionData.acceptedAnswers : existingQuestion.acceptedAnswers,
+      fuzzyMatching: 'fuzzyMatching' in questionData ? questionData.fuzzyMatching : existingQuestion.fuzzyMatching,
+      hotspotRegions: 'hotspotRegions' in questionData ? questionData.hotspotRegions : existingQuestion.hotspotRegions,
+      hotspotScoring: 'hotspotScoring' in questionData ? questionData.hotspotScoring : existingQuestion.hotspotScoring,
+      isPoll: 'isPoll' in questionData ? questionData.isPoll : existingQuestion.isPoll,
       timeLimit: 'timeLimit' in questionData ? questionData.timeLimit : existingQuestion.timeLimit,
       points: 'points' in questionData ? questionData.points : existingQuestion.points,
       imageUrl: 'imageUrl' in questionData ? questionData.imageUrl : existingQuestion.imageUrl,
-      explanation: 'explanation' in questionData ? questionData.explanation : existingQuestion.explanation
+      explanation: 'explanation' in questionData ? questionData.explanation : existingQuestion.explanation,
+      hint: 'hint' in questionData ? questionData.hint : existingQuestion.hint,
+      difficulty: 'difficulty' in questionData ? questionData.difficulty : existingQuestion.difficulty
     });
 
     quiz.questions[questionIndex] = updatedQuestion;
@@ -372,15 +395,32 @@ class QuizUseCases {
         description: quiz.description || '',
         category: quiz.category || 'Diğer',
         tags: quiz.tags || [],
+        scoringProfile: ScoringProfile.from(quiz.scoringProfile).toJSON(),
+        // Pools refer to questions by position, as question ids are not carried over on import
+        questionPools: (quiz.questionPools || []).map(pool => ({
+          name: pool.name,
+          drawCount: pool.drawCount,
+          questionIndices: pool.questionIds.map(id => quiz.questions.findIndex(q => q.id === id))
+        })),
         questions: quiz.questions.map(q => ({
           text: q.text,
           type: q.type,
           options: q.options,
           correctAnswerIndex: q.correctAnswerIndex,
+          ...(q.correctAnswerIndices && { correctAnswerIndices: q.correctAnswerIndices }),
+          ...(q.correctOrder && { correctOrder: q.correctOrder }),
+          ...(q.type === 'MATCHING' && { matchTargets: q.matchTargets }),
+          ...(q.correctMatches && { correctMatches: q.correctMatches }),
+          ...(q.type === 'NUMERIC' && { correctValue: q.correctValue, tolerance: q.tolerance, unit: q.unit }),
+          ...(q.type === 'TYPE_ANSWER' && { acceptedAnswers: q.acceptedAnswers, fuzzyMatching: q.fuzzyMatching }),
+          ...(q.type === 'HOTSPOT' && { hotspotRegions: q.hotspotRegions.map(r => r.toJSON()), hotspotScoring: q.hotspotScoring }),
+          ...(q.isPoll && { isPoll: true }),
           timeLimit: q.timeLimit,
           points: q.points,
           imageUrl: q.imageUrl || null,
-          explanation: q.explanation || ''
+          explanation: q.explanation || '',
+          hint: q.hint || '',
+          difficulty: q.difficulty
         }))
       }
     };
@@ -423,8 +463,20 @@ class QuizUseCases {
       throw new ValidationError('Invalid import data: quiz must have at least one question');
     }
 
-    if (quiz.questions.length > 50) {
-      throw new ValidationError('Invalid import data: maximum 50 questions allowed');
+    if (quiz.questions.length > MAX_BANK_QUESTIONS) {
+      throw new ValidationError(`Invalid import data: maximum ${MAX_BANK_QUESTIONS} questions allowed`);
+    }
+
+    if (quiz.questionPools !== undefined) {
+      if (!Array.isArray(quiz.questionPools)) {
+        throw new ValidationError('Invalid import data: questionPools must be an array');
+      }
+      quiz.questionPools.forEach((pool, index) => {
+        if (!pool || !Array.isArray(pool.questionIndices) ||
+            pool.questionIndices.some(i => !Number.isInteger(i) || i < 0 || i >= quiz.questions.length)) {
+          throw new ValidationError(`Invalid question pool at index ${index}: invalid questionIndices`);
+        }
+      });
     }
 
     // Validate each question
@@ -433,6 +485,44 @@ class QuizUseCases {
         throw new ValidationError(`Invalid question at index ${index}: missing text`);
       }
 
+      if (q.type === 'NUMERIC') {
+        if (typeof q.correctValue !== 'number' || !Number.isFinite(q.correctValue)) {
+          throw new ValidationError(`Invalid question at index ${index}: invalid correctValue`);
+        }
+        if (q.tolerance !== undefined && (typeof q.tolerance !== 'number' || !Number.isFinite(q.tolerance) || q.tolerance < 0)) {
+          throw new ValidationError(`Invalid question at index ${index}: tolerance must be a non-negative number`);
+        }
+        this._validateImportQuestionLimits(q, index);
+        return;
+      }
+
+      if (q.type === 'TYPE_ANSWER') {
+        if (!Array.isArray(q.acceptedAnswers) || q.acceptedAnswers.length === 0 ||
+            q.acceptedAnswers.some(a => typeof a !== 'string' || a.trim().length === 0)) {
+          throw new ValidationError(`Invalid question at index ${index}: acceptedAnswers must be non-empty strings`);
+        }
+        this._validateImportQuestionLimits(q, index);
+        return;
+      }
+
+      if (q.type === 'HOTSPOT') {
+        if (!q.imageUrl || typeof q.imageUrl !== 'string') {
+          throw new ValidationError(`Invalid question at index ${index}: HOTSPOT questions require an imageUrl`);
+        }
+        if (!Array.isArray(q.hotspotRegions) || q.hotspotRegions.length === 0 ||
+            !q.hotspotRegions.every(r => HotspotRegion.isValid(r))) {
+          throw new ValidationError(`Invalid question at index ${index}: invalid hotspotRegions`);
+        }
+        this._validateImportQuestionLimits(q, index);
+        return;
+      }
+
+      if (q.type === 'WORD_CLOUD') {
+        // Word clouds collect free words: no options and no answer key
+        this._validateImportQuestionLimits(q, index);
+        return;
+      }
+
       if (!Array.isArray(q.options) || q.options.length < MIN_OPTIONS || q.options.length > MAX_OPTIONS) {
         throw new ValidationError(`Invalid question at index ${index}: must have ${MIN_OPTIONS}-${MAX_OPTIONS} options`);
       }
@@ -443,23 +533,54 @@ class QuizUseCases {
         }
       }
 
-      if (typeof q.correctAnswerIndex !== 'number' || q.correctAnswerIndex < 0 || q.correctAnswerIndex >= q.options.length) {
-        throw new ValidationError(`Invalid question at index ${index}: invalid correctAnswerIndex`);
+      if (q.type === 'MATCHING' && (!Array.isArray(q.matchTargets) || q.matchTargets.length !== q.options.length ||
+          q.matchTargets.some(t => typeof t !== 'string' || t.trim().length === 0))) {
+        throw new ValidationError(`Invalid question at index ${index}: matchTargets must have one non-empty string per option`);
       }
 
-      // Validate optional fields
-      if (q.timeLimit !== undefined && (typeof q.timeLimit !== 'number' || q.timeLimit < 5 || q.timeLimit > 120)) {
-        throw new ValidationError(`Invalid question at index ${index}: timeLimit must be between 5 and 120`);
+      if (q.isPoll === true) {
+        // Polls have no answer key to check
+      } else if (q.type === 'MULTI_SELECT') {
+        if (!Array.isArray(q.correctAnswerIndices) || q.correctAnswerIndices.length === 0 ||
+            q.correctAnswerIndices.some(i => typeof i !== 'number' || i < 0 || i >= q.options.length)) {
+          throw new ValidationError(`Invalid question at index ${index}: invalid correctAnswerIndices`);
+        }
+      } else if (q.type === 'ORDERING') {
+        if (!Array.isArray(q.correctOrder) || q.correctOrder.length !== q.options.length ||
+            new Set(q.correctOrder).size !== q.correctOrder.length ||
+            q.correctOrder.some(i => typeof i !== 'number' || i < 0 || i >= q.options.length)) {
+          throw new ValidationError(`Invalid question at index ${index}: invalid correctOrder`);
+        }
+      } else if (q.type === 'MATCHING') {
+        if (!Array.isArray(q.correctMatches) || q.correctMatches.length !== q.options.length ||
+            new Set(q.correctMatches).size !== q.correctMatches.length ||
+            q.correctMatches.some(i => typeof i !== 'number' || i < 0 || i >= q.options.length)) {
+          throw new ValidationError(`Invalid question at index ${index}: invalid correctMatches`);
+        }
+      } else if (typeof q.correctAnswerIndex !== 'number' || q.correctAnswerIndex < 0 || q.correctAnswerIndex >= q.options.length) {
+        throw new ValidationError(`Invalid question at index ${index}: invalid correctAnswerIndex`);
       }
 
-      if (q.points !== undefined && (typeof q.points !== 'number' || q.points < 100 || q.points > 10000)) {
-        throw new ValidationError(`Invalid question at index ${index}: points must be between 100 and 10000`);
-      }
+      this._validateImportQuestionLimits(q, index);
     });
 
     return true;
   }
 
+  /**
+   * Validate the optional timeLimit and points of an imported question
+   * @private
+   */
+  _validateImportQuestionLimits(q, index) {
+    if (q.timeLimit !== undefined && (typeof q.timeLimit !== 'number' || q.timeLimit < 5 || q.timeLimit > 120)) {
+      throw new ValidationError(`Invalid question at index ${index}: timeLimit must be between 5 and 120`);
+    }
+
+    if (q.points !== undefined && (typeof q.points !== 'number' || q.points < 100 || q.points > 10000)) {
+      throw new ValidationError(`Invalid question at index ${index}: points must be between 100 and 10000`);
+    }
+  }
+
   /**
    * Import quiz from JSON format
    * @param {object} jsonData - The JSON data to import
@@ -472,6 +593,33 @@ class QuizUseCases {
 
     const { quiz: quizData } = jsonData;
 
+    const questions = quizData.questions.map(qData => new Question({
+      id: generateId(),
+      text: qData.text,
+      type: qData.type || 'MULTIPLE_CHOICE',
+      options: qData.options,
+      correctAnswerIndex: qData.correctAnswerIndex,
+      correctAnswerIndices: qData.correctAnswerIndices,
+      correctOrder: qData.correctOrder,
+      matchTargets: qData.matchTargets,
+      correctMatches: qData.correctMatches,
+      correctValue: qData.correctValue,
+      tolerance: qData.tolerance,
+      unit: qData.unit || '',
+      acceptedAnswers: qData.acceptedAnswers,
+      fuzzyMatching: qData.fuzzyMatching === true,
+      hotspotRegions: qData.hotspotRegions,
+      hotspotScoring: qData.hotspotScoring,
+      isPoll: qData.isPoll === true,
+      timeLimit: qData.timeLimit || 30,
+      points: qData.points || 1000,
+      imageUrl: qData.imageUrl || null,
+      explanation: qData.explanation || '',
+      hint: qData.hint || '',
+      difficulty: qData.difficulty || 'MEDIUM'
+    }));
+
+    // Questions and pools are set together: a bank larger than one game only fits with its pools
     const quiz = new Quiz({
       id: generateId(),
       title: quizData.title,
@@ -479,24 +627,16 @@ class QuizUseCases {
       createdBy: requesterId,
       isPublic,
       category: quizData.category,
-      tags: quizData.tags
+      tags: quizData.tags,
+      scoringProfile: quizData.scoringProfile,
+      questions,
+      questionPools: (quizData.questionPools || []).map(pool => ({
+        name: pool.name,
+        drawCount: pool.drawCount,
+        questionIds: pool.questionIndices.map(i => questions[i].id)
+      }))
     });
 
-    for (const qData of quizData.questions) {
-      const question = new Question({
-        id: generateId(),
-        text: qData.text,
-        type: qData.type || 'MULTIPLE_CHOICE',
-        options: qData.options,
-        correctAnswerIndex: qData.correctAnswerIndex,
-        timeLimit: qData.timeLimit || 30,
-        points: qData.points || 1000,
-        imageUrl: qData.imageUrl || null,
-        explanation: qData.explanation || ''
-      });
-      quiz.addQuestion(question);
-    }
-
     // Generate slug and save with collision retry
     quiz.slug = Quiz.generateSlug(quizData.title);
     const savedQuiz = await this._saveWithSlugRetry(quiz, quizData.title);
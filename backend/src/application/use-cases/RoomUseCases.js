@@ -1,13 +1,15 @@
 const { SharedUseCases } = require('./SharedUseCases');
 const { LockManager } = require('../../shared/utils/LockManager');
 const { Room, RoomState, Player, Spectator, Team, TEAM_COLORS } = require('../../domain/entities');
-const { PIN, Nickname } = require('../../domain/value-objects');
+const { PIN, Nickname, TeamBalancer } = require('../../domain/value-objects');
 const { generateId } = require('../../shared/utils/generateId');
 const { ValidationError, ConflictError } = require('../../shared/errors');
 const {
   PLAYER_GRACE_PERIOD_MS,
   HOST_GRACE_PERIOD_MS,
-  SPECTATOR_GRACE_PERIOD_MS
+  SPECTATOR_GRACE_PERIOD_MS,
+  TEAM_BALANCE_HISTORY_GAMES,
+  ROOM_CAPACITY_BY_ROLE
 } = require('../../shared/config/constants');
 
 class RoomUseCases extends SharedUseCases {
@@ -16,11 +18,17 @@ class RoomUseCases extends SharedUseCases {
     this.playerGracePeriod = options.playerGracePeriod || PLAYER_GRACE_PERIOD_MS;
     this.hostGracePeriod = options.hostGracePeriod || HOST_GRACE_PERIOD_MS;
     this.spectatorGracePeriod = options.spectatorGracePeriod || SPECTATOR_GRACE_PERIOD_MS;
+    // Archived games, used to rate players when balancing teams
+    this.gameSessionRepository = options.gameSessionRepository || null;
+    // Hosts' accounts and the limits an admin set per role, for how many players a host's rooms can take
+    this.userRepository = options.userRepository || null;
+    this.roleLimitRepository = options.roleLimitRepository || null;
 
     // Lock to prevent nickname collision race conditions (60s TTL)
     this.joinLocks = new LockManager(60000);
-    // Lock to prevent duplicate room creation by the same host (10s TTL)
-    this.createRoomLocks = new LockManager(10000);
+    // Lock to prevent duplicate room creation by the same host (10s TTL); with lockLeases
+    // it holds across server processes, which would otherwise each create a room
+    this.createRoomLocks = new LockManager(10000, { leases: options.lockLeases || null });
     // Lock to prevent duplicate-reconnect races per (pin, token) (15s TTL)
     this.reconnectLocks = new LockManager(15000);
   }
@@ -58,6 +66,7 @@ class RoomUseCases extends SharedUseCases {
       } while (await this.roomRepository.exists(pin.toString()));
 
       const hostToken = generateId();
+      const capacityLimit = await this._getRoomCapacityLimit(hostUserId);
 
       const room = new Room({
         id: generateId(),
@@ -66,7 +75,8 @@ class RoomUseCases extends SharedUseCases {
         hostUserId,
         hostToken,
         quizId,
-        state: RoomState.WAITING_PLAYERS
+        state: RoomState.WAITING_PLAYERS,
+        capacityLimit
       });
 
       await this.roomRepository.save(room);
@@ -75,7 +85,18 @@ class RoomUseCases extends SharedUseCases {
     });
   }
 
-  async joinRoom({ pin, nickname, socketId }) {
+  /**
+   * Most players the host's rooms can take: their own limit, their role's, or the role's default
+   * @private
+   */
+  async _getRoomCapacityLimit(hostUserId) {
+    const host = this.userRepository && hostUserId ? await this.userRepository.findById(hostUserId) : null;
+    if (!host) return ROOM_CAPACITY_BY_ROLE.user;
+    const roleLimits = this.roleLimitRepository ? await this.roleLimitRepository.getRoomCapacityLimits() : {};
+    return host.getRoomCapacityLimit(roleLimits);
+  }
+
+  async joinRoom({ pin, nickname, socketId, userId = null, isBot = false }) {
     const normalizedNickname = new Nickname(nickname).normalized();
     const lockKey = `${pin}:${normalizedNickname}`;
     return this.joinLocks.withLock(lockKey, 'Join in progress. Please try again.', async () => {
@@ -87,7 +108,9 @@ class RoomUseCases extends SharedUseCases {
         socketId,
         nickname,
         roomPin: pin,
-        token: playerToken
+        token: playerToken,
+        userId,
+        isBot
       });
 
       room.addPlayer(player);
@@ -219,10 +242,12 @@ class RoomUseCases extends SharedUseCases {
   async reconnectHost({ pin, hostToken, newSocketId }) {
     const room = await this._getRoomOrThrow(pin);
     const newHostToken = generateId();
+    // Whether the host is coming back for the first time since the server restarted
+    const recovered = room.missedRecovery(room.hostDisconnectedAt);
     room.reconnectHost(newSocketId, hostToken, this.hostGracePeriod, newHostToken);
     await this.roomRepository.save(room);
     const quiz = await this.quizRepository.findById(room.quizId);
-    return { room, quiz, newHostToken };
+    return { room, quiz, newHostToken, recovered };
   }
 
   async reconnectPlayer({ pin, playerToken, newSocketId }) {
@@ -230,6 +255,7 @@ class RoomUseCases extends SharedUseCases {
     return this.reconnectLocks.withLock(lockKey, 'Reconnect already in progress', async () => {
       const room = await this._getRoomOrThrow(pin);
       const newPlayerToken = generateId();
+      const recovered = room.missedRecovery(room.getPlayerByToken(playerToken)?.disconnectedAt ?? null);
       const player = room.reconnectPlayer(playerToken, newSocketId, this.playerGracePeriod, newPlayerToken);
       // Only clear active power-up if the player has already answered — eliminatedOptions
       // are preserved for UI display (50:50 visual state should survive reconnect)
@@ -237,7 +263,7 @@ class RoomUseCases extends SharedUseCases {
         player.clearActivePowerUp();
       }
       await this.roomRepository.save(room);
-      return { room, player, newPlayerToken };
+      return { room, player, newPlayerToken, recovered };
     });
   }
 
@@ -312,6 +338,100 @@ class RoomUseCases extends SharedUseCases {
     return { room };
   }
 
+  // ==================== ELIMINATION MODE ====================
+
+  async setElimination({ pin, enabled, rule, count, requesterId }) {
+    const room = await this._getRoomOrThrow(pin);
+    this._throwIfNotHost(room, requesterId);
+
+    room.setElimination(enabled, rule, count);
+    await this.roomRepository.save(room);
+
+    return { room, elimination: room.getEliminationConfig() };
+  }
+
+  // ==================== SHUFFLING ====================
+
+  async setShuffle({ pin, questions, options, requesterId }) {
+    const room = await this._getRoomOrThrow(pin);
+    this._throwIfNotHost(room, requesterId);
+
+    room.setShuffle(questions, options);
+    await this.roomRepository.save(room);
+
+    return { room, shuffle: room.getShuffleConfig() };
+  }
+
+  // ==================== ADAPTIVE DIFFICULTY ====================
+
+  async setAdaptiveDifficulty({ pin, enabled, requesterId }) {
+    const room = await this._getRoomOrThrow(pin);
+    this._throwIfNotHost(room, requesterId);
+
+    room.setAdaptiveDifficulty(enabled);
+    await this.roomRepository.save(room);
+
+    return { room, adaptive: room.isAdaptive() };
+  }
+
+  // ==================== ROOM CAPACITY ====================
+
+  async setRoomCapacity({ pin, players, spectators, requesterId }) {
+    const room = await this._getRoomOrThrow(pin);
+    this._throwIfNotHost(room, requesterId);
+
+    room.setCapacity({ players, spectators });
+    await this.roomRepository.save(room);
+
+    return { room, capacity: room.getCapacityConfig() };
+  }
+
+  async setLargeEvent({ pin, enabled, requesterId }) {
+    const room = await this._getRoomOrThrow(pin);
+    this._throwIfNotHost(room, requesterId);
+
+    room.setLargeEvent(enabled);
+    await this.roomRepository.save(room);
+
+    return { room, largeEvent: room.isLargeEvent() };
+  }
+
+  // ==================== BOT PLAYERS ====================
+
+  /**
+   * How many of the bots a host asked for fit in their lobby
+   * @returns {Promise<{ room: Room, count: number }>}
+   */
+  async getBotSlots({ pin, count, requesterId }) {
+    const room = await this._getRoomOrThrow(pin);
+    this._throwIfNotHost(room, requesterId);
+
+    if (!Number.isInteger(count) || count < 1) {
+      throw new ValidationError('Bot count must be a positive integer');
+    }
+    if (room.state !== RoomState.WAITING_PLAYERS) {
+      throw new ValidationError('Bots can only be added in lobby');
+    }
+    const openSlots = room.getOpenPlayerSlots();
+    if (openSlots === 0) {
+      throw new ValidationError(`Room is full (maximum ${room.getCapacityConfig().players} players)`);
+    }
+
+    return { room, count: Math.min(count, openSlots) };
+  }
+
+  // ==================== POWER-UP LOADOUT ====================
+
+  async setPowerUpLoadout({ pin, loadout, earn = false, requesterId }) {
+    const room = await this._getRoomOrThrow(pin);
+    this._throwIfNotHost(room, requesterId);
+
+    room.setPowerUpLoadout(loadout, earn);
+    await this.roomRepository.save(room);
+
+    return { room, loadout: room.getPowerUpLoadout(), earn: room.isEarningPowerUps() };
+  }
+
   // ==================== KICK/BAN METHODS ====================
 
   async kickPlayer({ pin, playerId, requesterId }) {
@@ -370,6 +490,7 @@ class RoomUseCases extends SharedUseCases {
   async reconnectSpectator({ pin, spectatorToken, newSocketId }) {
     const room = await this._getRoomOrThrow(pin);
     const newSpectatorToken = generateId();
+    const recovered = room.missedRecovery(room.getSpectatorByToken(spectatorToken)?.disconnectedAt ?? null);
     const spectator = room.reconnectSpectator(
       spectatorToken,
       newSocketId,
@@ -377,7 +498,7 @@ class RoomUseCases extends SharedUseCases {
       newSpectatorToken
     );
     await this.roomRepository.save(room);
-    return { room, spectator, newSpectatorToken };
+    return { room, spectator, newSpectatorToken, recovered };
   }
 
   async getSpectators({ pin }) {
@@ -457,6 +578,52 @@ class RoomUseCases extends SharedUseCases {
     return { room };
   }
 
+  /**
+   * Split the lobby into teams of similar strength, rating each player on their accuracy in the host's
+   * past games: by account when signed in, otherwise (or when the account has no games yet) by nickname
+   */
+  async balanceTeams({ pin, requesterId }) {
+    const room = await this._getRoomOrThrow(pin);
+    this._throwIfNotHost(room, requesterId);
+
+    const strengths = await this._getPlayerStrengths(room);
+    room.balanceTeams(strengths);
+    await this.roomRepository.save(room);
+
+    return { room };
+  }
+
+  /**
+   * @private
+   * @returns {Promise<Map<string, number|null>>} Player ID -> expected share of correct answers
+   */
+  async _getPlayerStrengths(room) {
+    const history = this.gameSessionRepository && room.hostUserId
+      ? await this.gameSessionRepository.getPlayerHistory(room.hostUserId, { sessionLimit: TEAM_BALANCE_HISTORY_GAMES })
+      : [];
+
+    const byUser = new Map();
+    const byNickname = new Map();
+    const addTo = (totals, key, row) => {
+      const current = totals.get(key) || { correctAnswers: 0, wrongAnswers: 0 };
+      totals.set(key, {
+        correctAnswers: current.correctAnswers + row.correctAnswers,
+        wrongAnswers: current.wrongAnswers + row.wrongAnswers
+      });
+    };
+    for (const row of history) {
+      if (row.userId) addTo(byUser, row.userId, row);
+      addTo(byNickname, row.nickname.trim().toLocaleLowerCase('tr'), row);
+    }
+
+    const strengths = new Map();
+    for (const player of room.players) {
+      const past = (player.userId && byUser.get(player.userId)) || byNickname.get(new Nickname(player.nickname).normalized());
+      strengths.set(player.id, TeamBalancer.strengthFromHistory(past || null));
+    }
+    return strengths;
+  }
+
   async swapTeamPlayers({ pin, playerIdA, playerIdB, requesterId }) {
     const room = await this._getRoomOrThrow(pin);
     this._throwIfNotHost(room, requesterId);
@@ -466,6 +633,26 @@ class RoomUseCases extends SharedUseCases {
 
     return { room };
   }
+
+  async setTeamAnswers({ pin, enabled, rule, discussionSeconds, requesterId }) {
+    const room = await this._getRoomOrThrow(pin);
+    this._throwIfNotHost(room, requesterId);
+
+    room.setTeamAnswers(enabled, rule, discussionSeconds);
+    await this.roomRepository.save(room);
+
+    return { room, teamAnswers: room.getTeamAnswerConfig() };
+  }
+
+  async setTeamCaptain({ pin, teamId, playerId, requesterId }) {
+    const room = await this._getRoomOrThrow(pin);
+    this._throwIfNotHost(room, requesterId);
+
+    room.setTeamCaptain(teamId, playerId);
+    await this.roomRepository.save(room);
+
+    return { room };
+  }
 }
 
 module.exports = { RoomUseCases };
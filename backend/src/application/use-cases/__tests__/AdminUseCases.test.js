@@ -297,6 +297,98 @@ describe('AdminUseCases', () => {
     });
   });
 
+  describe('room capacity limits', () => {
+    let mockRoleLimitRepository;
+
+    beforeEach(() => {
+      mockUserRepository.findById.mockImplementation((id) => {
+        if (id === 'admin-1') return Promise.resolve(adminUser);
+        if (id === 'user-1') return Promise.resolve(regularUser);
+        return Promise.resolve(null);
+      });
+      mockRoleLimitRepository = {
+        getRoomCapacityLimits: jest.fn().mockResolvedValue({ user: 200 }),
+        setRoomCapacityLimit: jest.fn().mockResolvedValue()
+      };
+      adminUseCases = new AdminUseCases(
+        mockUserRepository,
+        mockQuizRepository,
+        mockRoomRepository,
+        mockGameSessionRepository,
+        mockAuditLogRepository,
+        { roleLimitRepository: mockRoleLimitRepository }
+      );
+    });
+
+    it('should set a user\'s room capacity limit', async () => {
+      mockUserRepository.updateById.mockResolvedValue(new User({
+        id: 'user-1',
+        email: 'user@example.com',
+        username: 'regularuser',
+        maxRoomCapacity: 300
+      }));
+
+      const result = await adminUseCases.updateUserRoomCapacity({
+        requesterId: 'admin-1',
+        userId: 'user-1',
+        maxRoomCapacity: 300
+      });
+
+      expect(result.user.maxRoomCapacity).toBe(300);
+      expect(mockUserRepository.updateById).toHaveBeenCalledWith('user-1', { maxRoomCapacity: 300 });
+      expect(mockAuditLogRepository.create).toHaveBeenCalledWith(expect.objectContaining({
+        action: 'USER_ROOM_CAPACITY_UPDATED',
+        details: expect.objectContaining({ oldLimit: null, newLimit: 300 })
+      }));
+    });
+
+    it('should throw error for a user room capacity limit out of range', async () => {
+      await expect(adminUseCases.updateUserRoomCapacity({
+        requesterId: 'admin-1',
+        userId: 'user-1',
+        maxRoomCapacity: 100000
+      })).rejects.toThrow('Room capacity limit must be between 1 and 500 players');
+      expect(mockUserRepository.updateById).not.toHaveBeenCalled();
+    });
+
+    it('should list each role\'s limit, marking the defaults', async () => {
+      const result = await adminUseCases.getRoleRoomCapacities({ requesterId: 'admin-1' });
+
+      expect(result.limits).toEqual({
+        user: { maxRoomCapacity: 200, isDefault: false },
+        admin: { maxRoomCapacity: 500, isDefault: true }
+      });
+    });
+
+    it('should set a role\'s room capacity limit', async () => {
+      await adminUseCases.updateRoleRoomCapacity({ requesterId: 'admin-1', role: 'user', maxRoomCapacity: 250 });
+
+      expect(mockRoleLimitRepository.setRoomCapacityLimit).toHaveBeenCalledWith('user', 250);
+      expect(mockAuditLogRepository.create).toHaveBeenCalledWith(expect.objectContaining({
+        action: 'ROLE_ROOM_CAPACITY_UPDATED',
+        targetType: 'role',
+        targetId: 'user',
+        details: { oldLimit: 200, newLimit: 250 }
+      }));
+    });
+
+    it('should throw error for an unknown role', async () => {
+      await expect(adminUseCases.updateRoleRoomCapacity({
+        requesterId: 'admin-1',
+        role: 'teacher',
+        maxRoomCapacity: 250
+      })).rejects.toThrow('Invalid role');
+    });
+
+    it('should only let admins change limits', async () => {
+      await expect(adminUseCases.updateRoleRoomCapacity({
+        requesterId: 'user-1',
+        role: 'user',
+        maxRoomCapacity: 250
+      })).rejects.toThrow('Admin access required');
+    });
+  });
+
   describe('getAllQuizzes', () => {
     beforeEach(() => {
       mockUserRepository.findById.mockResolvedValue(adminUser);
@@ -416,6 +508,70 @@ describe('AdminUseCases', () => {
     });
   });
 
+  describe('getRoomEventLog', () => {
+    let mockRoomEventLog;
+    let recordedLog;
+
+    beforeEach(() => {
+      mockUserRepository.findById.mockResolvedValue(adminUser);
+      recordedLog = {
+        pin: '123456',
+        startedAt: '2026-01-01T10:00:00.000Z',
+        truncated: false,
+        quizId: 'quiz-1',
+        quiz: null,
+        initialRoom: null,
+        entries: [{ seq: 1, type: 'in', event: 'create_room' }]
+      };
+      mockRoomEventLog = { getLog: jest.fn().mockReturnValue(recordedLog), redact: jest.fn(value => value) };
+      adminUseCases = new AdminUseCases(
+        mockUserRepository,
+        mockQuizRepository,
+        mockRoomRepository,
+        mockGameSessionRepository,
+        mockAuditLogRepository,
+        { roomEventLog: mockRoomEventLog }
+      );
+    });
+
+    it('should return the log with the room and the quiz', async () => {
+      mockRoomRepository.findByPin.mockResolvedValue({ toSnapshot: () => ({ pin: '123456', state: 'WAITING_PLAYERS' }) });
+      mockQuizRepository.findById.mockResolvedValue({ toSnapshot: () => ({ id: 'quiz-1', title: 'Quiz' }) });
+
+      const result = await adminUseCases.getRoomEventLog({ requesterId: 'admin-1', pin: '123456' });
+
+      expect(mockRoomEventLog.getLog).toHaveBeenCalledWith('123456');
+      expect(result.log.entries).toEqual(recordedLog.entries);
+      expect(result.log.room).toEqual({ pin: '123456', state: 'WAITING_PLAYERS' });
+      expect(result.log.quiz).toEqual({ id: 'quiz-1', title: 'Quiz' });
+      expect(result.log.exportedAt).toBeDefined();
+      expect(mockAuditLogRepository.create).toHaveBeenCalledWith(expect.objectContaining({
+        action: 'ROOM_EVENTS_DOWNLOADED',
+        targetId: '123456'
+      }));
+    });
+
+    it('should keep the quiz the game was played with', async () => {
+      recordedLog.quiz = { id: 'quiz-1', title: 'As played' };
+      mockRoomRepository.findByPin.mockResolvedValue(null);
+
+      const result = await adminUseCases.getRoomEventLog({ requesterId: 'admin-1', pin: '123456' });
+
+      expect(result.log.quiz).toEqual({ id: 'quiz-1', title: 'As played' });
+      expect(result.log.room).toBeNull();
+      expect(mockQuizRepository.findById).not.toHaveBeenCalled();
+    });
+
+    it('should throw error when nothing was recorded for the room', async () => {
+      mockRoomEventLog.getLog.mockReturnValue(null);
+
+      await expect(adminUseCases.getRoomEventLog({
+        requesterId: 'admin-1',
+        pin: '999999'
+      })).rejects.toThrow('No events recorded for this room');
+    });
+  });
+
   describe('getAllSessions', () => {
     beforeEach(() => {
       mockUserRepository.findById.mockResolvedValue(adminUser);
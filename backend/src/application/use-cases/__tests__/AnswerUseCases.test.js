@@ -82,6 +82,495 @@ describe('AnswerUseCases', () => {
     });
   });
 
+  describe('submitAnswer (MULTI_SELECT)', () => {
+    let multiPin;
+
+    beforeEach(async () => {
+      const quiz = new Quiz({ id: 'quiz-multi', title: 'Multi', createdBy: 'u2' });
+      quiz.addQuestion(new Question({ id: 'm1', text: 'Pick the noble gases', type: QuestionType.MULTI_SELECT, options: ['He', 'O', 'Ne', 'N'], correctAnswerIndices: [0, 2], timeLimit: 30, points: 1000 }));
+      await quizRepo.save(quiz);
+
+      const create = await roomUseCases.createRoom({ hostId: 'host-multi', hostUserId: 'u2', quizId: 'quiz-multi' });
+      multiPin = create.room.pin;
+      await roomUseCases.joinRoom({ pin: multiPin, nickname: 'Player1', socketId: 'm1-sock' });
+      await flowUC.startGame({ pin: multiPin, requesterId: 'host-multi' });
+      await flowUC.startAnsweringPhase({ pin: multiPin, requesterId: 'host-multi' });
+    });
+
+    it('should award full score and streak for the exact set', async () => {
+      const result = await answerUC.submitAnswer({ pin: multiPin, socketId: 'm1-sock', answerIndex: [2, 0], elapsedTimeMs: 0 });
+      expect(result.answer.isCorrect).toBe(true);
+      expect(result.actualScore).toBe(1000);
+      expect(result.player.streak).toBe(1);
+    });
+
+    it('should award partial credit without extending the streak', async () => {
+      const result = await answerUC.submitAnswer({ pin: multiPin, socketId: 'm1-sock', answerIndex: [0], elapsedTimeMs: 0 });
+      expect(result.answer.isCorrect).toBe(false);
+      expect(result.actualScore).toBe(500);
+      expect(result.player.score).toBe(500);
+      expect(result.player.streak).toBe(0);
+    });
+
+    it('should apply DOUBLE_POINTS to partial credit', async () => {
+      await answerUC.usePowerUp({ pin: multiPin, socketId: 'm1-sock', powerUpType: 'DOUBLE_POINTS' });
+      const result = await answerUC.submitAnswer({ pin: multiPin, socketId: 'm1-sock', answerIndex: [0], elapsedTimeMs: 0 });
+      expect(result.actualScore).toBe(1000);
+      expect(result.doublePointsRefunded).toBe(false);
+      const room = await roomRepo.findByPin(multiPin);
+      expect(room.getAnswerHistory()[0].score).toBe(1000);
+    });
+
+    it('should refund DOUBLE_POINTS on an answer that earned nothing', async () => {
+      await answerUC.usePowerUp({ pin: multiPin, socketId: 'm1-sock', powerUpType: 'DOUBLE_POINTS' });
+      const result = await answerUC.submitAnswer({ pin: multiPin, socketId: 'm1-sock', answerIndex: [1], elapsedTimeMs: 0 });
+      expect(result.actualScore).toBe(0);
+      expect(result.doublePointsRefunded).toBe(true);
+    });
+
+    it('should record the selected indices in answer history', async () => {
+      await answerUC.submitAnswer({ pin: multiPin, socketId: 'm1-sock', answerIndex: [0, 1], elapsedTimeMs: 0 });
+      const room = await roomRepo.findByPin(multiPin);
+      expect(room.getAnswerHistory()[0].answerIndex).toEqual([0, 1]);
+    });
+
+    it('should reject a single index for a multi-select question', async () => {
+      await expect(answerUC.submitAnswer({ pin: multiPin, socketId: 'm1-sock', answerIndex: 0, elapsedTimeMs: 0 }))
+        .rejects.toThrow('expects an array');
+    });
+
+    it('should reject an empty selection', async () => {
+      await expect(answerUC.submitAnswer({ pin: multiPin, socketId: 'm1-sock', answerIndex: [], elapsedTimeMs: 0 }))
+        .rejects.toThrow('Invalid answer index');
+    });
+
+    it('should reject an array for a single-answer question', async () => {
+      await expect(answerUC.submitAnswer({ pin: roomPin, socketId: 'p1-sock', answerIndex: [1], elapsedTimeMs: 0 }))
+        .rejects.toThrow('expects a single answer index');
+    });
+  });
+
+  describe('submitAnswer (ORDERING)', () => {
+    let orderPin;
+
+    beforeEach(async () => {
+      const quiz = new Quiz({ id: 'quiz-order', title: 'Order', createdBy: 'u3' });
+      quiz.addQuestion(new Question({ id: 'o1', text: 'Order the steps', type: QuestionType.ORDERING, options: ['Boil', 'Fill', 'Pour'], correctOrder: [1, 0, 2], timeLimit: 30, points: 900 }));
+      await quizRepo.save(quiz);
+
+      const create = await roomUseCases.createRoom({ hostId: 'host-order', hostUserId: 'u3', quizId: 'quiz-order' });
+      orderPin = create.room.pin;
+      await roomUseCases.joinRoom({ pin: orderPin, nickname: 'Player1', socketId: 'o1-sock' });
+      await flowUC.startGame({ pin: orderPin, requesterId: 'host-order' });
+    });
+
+    it('should not offer 50:50 on ordering questions', async () => {
+      const result = await flowUC.startAnsweringPhase({ pin: orderPin, requesterId: 'host-order' });
+      expect(result.wrongOptionCount).toBe(0);
+    });
+
+    it('should award positional credit and count correctly placed options', async () => {
+      await flowUC.startAnsweringPhase({ pin: orderPin, requesterId: 'host-order' });
+      const result = await answerUC.submitAnswer({ pin: orderPin, socketId: 'o1-sock', answerIndex: [1, 2, 0], elapsedTimeMs: 0 });
+      expect(result.answer.isCorrect).toBe(false);
+      expect(result.actualScore).toBe(300);
+
+      const endResult = await flowUC.endAnsweringPhase({ pin: orderPin, requesterId: 'host-order' });
+      expect(endResult.correctOrder).toEqual([1, 0, 2]);
+      expect(endResult.distribution).toEqual([0, 1, 0]);
+    });
+  });
+
+  describe('submitAnswer (MATCHING)', () => {
+    let matchPin;
+
+    beforeEach(async () => {
+      const quiz = new Quiz({ id: 'quiz-match', title: 'Match', createdBy: 'u9' });
+      quiz.addQuestion(new Question({ id: 'm1', text: 'Match the capitals', type: QuestionType.MATCHING, options: ['Turkey', 'France', 'Japan'], matchTargets: ['Paris', 'Tokyo', 'Ankara'], correctMatches: [2, 0, 1], timeLimit: 30, points: 900 }));
+      await quizRepo.save(quiz);
+
+      const create = await roomUseCases.createRoom({ hostId: 'host-match', hostUserId: 'u9', quizId: 'quiz-match' });
+      matchPin = create.room.pin;
+      await roomUseCases.joinRoom({ pin: matchPin, nickname: 'Player1', socketId: 'm1-sock' });
+      await flowUC.startGame({ pin: matchPin, requesterId: 'host-match' });
+    });
+
+    it('should not offer 50:50 on matching questions', async () => {
+      const result = await flowUC.startAnsweringPhase({ pin: matchPin, requesterId: 'host-match' });
+      expect(result.wrongOptionCount).toBe(0);
+    });
+
+    it('should award credit per correct pair and count correctly paired options', async () => {
+      await flowUC.startAnsweringPhase({ pin: matchPin, requesterId: 'host-match' });
+      const result = await answerUC.submitAnswer({ pin: matchPin, socketId: 'm1-sock', answerIndex: [2, 1, 0], elapsedTimeMs: 0 });
+      expect(result.answer.isCorrect).toBe(false);
+      expect(result.actualScore).toBe(300);
+
+      const endResult = await flowUC.endAnsweringPhase({ pin: matchPin, requesterId: 'host-match' });
+      expect(endResult.correctMatches).toEqual([2, 0, 1]);
+      expect(endResult.distribution).toEqual([1, 0, 0]);
+    });
+
+    it('should require every option to be paired', async () => {
+      await flowUC.startAnsweringPhase({ pin: matchPin, requesterId: 'host-match' });
+      await expect(answerUC.submitAnswer({ pin: matchPin, socketId: 'm1-sock', answerIndex: [2, 0], elapsedTimeMs: 0 }))
+        .rejects.toThrow('pair every option');
+      await expect(answerUC.submitAnswer({ pin: matchPin, socketId: 'm1-sock', answerIndex: [2, 2, 1], elapsedTimeMs: 0 }))
+        .rejects.toThrow('duplicate');
+    });
+  });
+
+  describe('submitAnswer (scoring profile)', () => {
+    let examPin;
+    let quiz;
+
+    beforeEach(async () => {
+      quiz = new Quiz({ id: 'quiz-exam', title: 'Exam', createdBy: 'u10', scoringProfile: { preset: 'ACCURACY_ONLY' } });
+      quiz.addQuestion(new Question({ id: 'e1', text: 'What is 2+2?', options: ['3', '4'], correctAnswerIndex: 1, timeLimit: 30, points: 1000 }));
+      await quizRepo.save(quiz);
+
+      const create = await roomUseCases.createRoom({ hostId: 'host-exam', hostUserId: 'u10', quizId: 'quiz-exam' });
+      examPin = create.room.pin;
+      await roomUseCases.joinRoom({ pin: examPin, nickname: 'Player1', socketId: 'e1-sock' });
+      await flowUC.startGame({ pin: examPin, requesterId: 'host-exam' });
+      await flowUC.startAnsweringPhase({ pin: examPin, requesterId: 'host-exam' });
+    });
+
+    it('should award full points however long the answer took', async () => {
+      const result = await answerUC.submitAnswer({ pin: examPin, socketId: 'e1-sock', answerIndex: 1, elapsedTimeMs: 29000 });
+      expect(result.answer.score).toBe(1000);
+      expect(result.actualScore).toBe(1000);
+    });
+
+    it('should keep scoring with the profile snapshotted at game start', async () => {
+      quiz.updateScoringProfile({ preset: 'SPEED' });
+      const result = await answerUC.submitAnswer({ pin: examPin, socketId: 'e1-sock', answerIndex: 1, elapsedTimeMs: 29000 });
+      expect(result.actualScore).toBe(1000);
+    });
+  });
+
+  describe('submitAnswer (negative marking)', () => {
+    let markedPin;
+
+    beforeEach(async () => {
+      const quiz = new Quiz({
+        id: 'quiz-marked', title: 'Marked', createdBy: 'u11',
+        scoringProfile: { preset: 'ACCURACY_ONLY', wrongAnswerPenalty: 0.5, confidenceWagers: true }
+      });
+      quiz.addQuestion(new Question({ id: 'w1', text: 'What is 2+2?', options: ['3', '4'], correctAnswerIndex: 1, timeLimit: 30, points: 1000 }));
+      await quizRepo.save(quiz);
+
+      const create = await roomUseCases.createRoom({ hostId: 'host-marked', hostUserId: 'u11', quizId: 'quiz-marked' });
+      markedPin = create.room.pin;
+      await roomUseCases.joinRoom({ pin: markedPin, nickname: 'Player1', socketId: 'w1-sock' });
+      await flowUC.startGame({ pin: markedPin, requesterId: 'host-marked' });
+      await flowUC.startAnsweringPhase({ pin: markedPin, requesterId: 'host-marked' });
+    });
+
+    it('should subtract points for a wrong answer without going below zero', async () => {
+      const room = await roomRepo.findByPin(markedPin);
+      room.getPlayer('w1-sock').addScore(300);
+
+      const result = await answerUC.submitAnswer({ pin: markedPin, socketId: 'w1-sock', answerIndex: 0, confidence: 'HIGH', elapsedTimeMs: 0 });
+      expect(result.answer.penalty).toBe(1000);
+      expect(result.actualScore).toBe(-300);
+      expect(result.player.score).toBe(0);
+    });
+
+    it('should record the wager and the points lost in the answer history', async () => {
+      const room = await roomRepo.findByPin(markedPin);
+      room.getPlayer('w1-sock').addScore(2000);
+
+      await answerUC.submitAnswer({ pin: markedPin, socketId: 'w1-sock', answerIndex: 0, confidence: 'LOW', elapsedTimeMs: 0 });
+      const [record] = room.getAnswerHistory();
+      expect(record.confidence).toBe('LOW');
+      expect(record.penalty).toBe(250);
+      expect(record.score).toBe(0);
+      expect(room.getPlayer('w1-sock').score).toBe(1750);
+    });
+
+    it('should multiply the points won by the wager', async () => {
+      const result = await answerUC.submitAnswer({ pin: markedPin, socketId: 'w1-sock', answerIndex: 1, confidence: 'HIGH', elapsedTimeMs: 0 });
+      expect(result.actualScore).toBe(2000);
+    });
+
+    it('should reject an unknown confidence level', async () => {
+      await expect(answerUC.submitAnswer({ pin: markedPin, socketId: 'w1-sock', answerIndex: 1, confidence: 'ALL_IN', elapsedTimeMs: 0 }))
+        .rejects.toThrow('Confidence must be one of');
+    });
+  });
+
+  describe('submitAnswer (NUMERIC)', () => {
+    let numericPin;
+
+    beforeEach(async () => {
+      const quiz = new Quiz({ id: 'quiz-num', title: 'Numeric', createdBy: 'u4' });
+      quiz.addQuestion(new Question({ id: 'n1', text: 'Year of Malazgirt?', type: QuestionType.NUMERIC, correctValue: 1071, tolerance: 2, timeLimit: 30, points: 1000 }));
+      await quizRepo.save(quiz);
+
+      const create = await roomUseCases.createRoom({ hostId: 'host-num', hostUserId: 'u4', quizId: 'quiz-num' });
+      numericPin = create.room.pin;
+      await roomUseCases.joinRoom({ pin: numericPin, nickname: 'Player1', socketId: 'n1-sock' });
+      await roomUseCases.joinRoom({ pin: numericPin, nickname: 'Player2', socketId: 'n2-sock' });
+      await flowUC.startGame({ pin: numericPin, requesterId: 'host-num' });
+      await flowUC.startAnsweringPhase({ pin: numericPin, requesterId: 'host-num' });
+    });
+
+    it('should score by closeness and summarize answers as a histogram', async () => {
+      const close = await answerUC.submitAnswer({ pin: numericPin, socketId: 'n1-sock', answerValue: 1072, elapsedTimeMs: 0 });
+      expect(close.answer.isCorrect).toBe(true);
+      expect(close.actualScore).toBe(750);
+      const far = await answerUC.submitAnswer({ pin: numericPin, socketId: 'n2-sock', answerValue: 1453, elapsedTimeMs: 0 });
+      expect(far.actualScore).toBe(0);
+
+      const endResult = await flowUC.endAnsweringPhase({ pin: numericPin, requesterId: 'host-num' });
+      expect(endResult.correctValue).toBe(1071);
+      expect(endResult.correctCount).toBe(1);
+      expect(endResult.distribution).toEqual([]);
+      expect(endResult.histogram).toHaveLength(2);
+      expect(endResult.histogram[0]).toMatchObject({ min: 1072, count: 1 });
+    });
+
+    it('should require an answer value', async () => {
+      await expect(answerUC.submitAnswer({ pin: numericPin, socketId: 'n1-sock', answerIndex: 0, elapsedTimeMs: 0 }))
+        .rejects.toThrow('expects an answer value');
+      await expect(answerUC.submitAnswer({ pin: numericPin, socketId: 'n1-sock', answerValue: 'abc', elapsedTimeMs: 0 }))
+        .rejects.toThrow('Invalid answer value');
+    });
+
+    it('should reject answer values for option questions', async () => {
+      await expect(answerUC.submitAnswer({ pin: roomPin, socketId: 'p1-sock', answerValue: 3, elapsedTimeMs: 0 }))
+        .rejects.toThrow('expects an answer index');
+    });
+  });
+
+  describe('submitAnswer (TYPE_ANSWER)', () => {
+    let typedPin;
+
+    beforeEach(async () => {
+      const quiz = new Quiz({ id: 'quiz-typed', title: 'Typed', createdBy: 'u5' });
+      quiz.addQuestion(new Question({ id: 't1', text: 'Capital of Turkey?', type: QuestionType.TYPE_ANSWER, acceptedAnswers: ['Ankara'], timeLimit: 30, points: 1000 }));
+      await quizRepo.save(quiz);
+
+      const create = await roomUseCases.createRoom({ hostId: 'host-typed', hostUserId: 'u5', quizId: 'quiz-typed' });
+      typedPin = create.room.pin;
+      await roomUseCases.joinRoom({ pin: typedPin, nickname: 'Player1', socketId: 't1-sock' });
+      await roomUseCases.joinRoom({ pin: typedPin, nickname: 'Player2', socketId: 't2-sock' });
+      await roomUseCases.joinRoom({ pin: typedPin, nickname: 'Player3', socketId: 't3-sock' });
+      await flowUC.startGame({ pin: typedPin, requesterId: 'host-typed' });
+      await flowUC.startAnsweringPhase({ pin: typedPin, requesterId: 'host-typed' });
+    });
+
+    it('should match typed answers and list the most common wrong ones', async () => {
+      const right = await answerUC.submitAnswer({ pin: typedPin, socketId: 't1-sock', answerValue: 'ANKARA', elapsedTimeMs: 0 });
+      expect(right.answer.isCorrect).toBe(true);
+      expect(right.answer.answerValue).toBe('ANKARA');
+      await answerUC.submitAnswer({ pin: typedPin, socketId: 't2-sock', answerValue: 'İstanbul', elapsedTimeMs: 0 });
+      await answerUC.submitAnswer({ pin: typedPin, socketId: 't3-sock', answerValue: 'istanbul', elapsedTimeMs: 0 });
+
+      const endResult = await flowUC.endAnsweringPhase({ pin: typedPin, requesterId: 'host-typed' });
+      expect(endResult.acceptedAnswers).toEqual(['Ankara']);
+      expect(endResult.correctCount).toBe(1);
+      expect(endResult.topWrongAnswers).toEqual([{ answer: 'İstanbul', count: 2 }]);
+    });
+
+    it('should reject numbers and overlong text', async () => {
+      await expect(answerUC.submitAnswer({ pin: typedPin, socketId: 't1-sock', answerValue: 42, elapsedTimeMs: 0 }))
+        .rejects.toThrow('Invalid answer value');
+      await expect(answerUC.submitAnswer({ pin: typedPin, socketId: 't1-sock', answerValue: 'a'.repeat(101), elapsedTimeMs: 0 }))
+        .rejects.toThrow('Invalid answer value');
+    });
+  });
+
+  describe('submitAnswer (poll)', () => {
+    let pollPin;
+
+    beforeEach(async () => {
+      const quiz = new Quiz({ id: 'quiz-poll', title: 'Poll', createdBy: 'u6' });
+      quiz.addQuestion(new Question({ id: 'g1', text: 'Graded', options: ['A', 'B'], correctAnswerIndex: 0 }));
+      quiz.addQuestion(new Question({ id: 'o1', text: 'Favourite?', options: ['A', 'B', 'C'], isPoll: true }));
+      await quizRepo.save(quiz);
+
+      const create = await roomUseCases.createRoom({ hostId: 'host-poll', hostUserId: 'u6', quizId: 'quiz-poll' });
+      pollPin = create.room.pin;
+      await roomUseCases.joinRoom({ pin: pollPin, nickname: 'Player1', socketId: 'o1-sock' });
+      await roomUseCases.joinRoom({ pin: pollPin, nickname: 'Player2', socketId: 'o2-sock' });
+      await flowUC.startGame({ pin: pollPin, requesterId: 'host-poll' });
+      await flowUC.startAnsweringPhase({ pin: pollPin, requesterId: 'host-poll' });
+      await answerUC.submitAnswer({ pin: pollPin, socketId: 'o1-sock', answerIndex: 0, elapsedTimeMs: 0 });
+      await answerUC.submitAnswer({ pin: pollPin, socketId: 'o2-sock', answerIndex: 0, elapsedTimeMs: 0 });
+      await flowUC.endAnsweringPhase({ pin: pollPin, requesterId: 'host-poll' });
+      await flowUC.showLeaderboard({ pin: pollPin, requesterId: 'host-poll' });
+      await flowUC.nextQuestion({ pin: pollPin, requesterId: 'host-poll' });
+      await flowUC.startAnsweringPhase({ pin: pollPin, requesterId: 'host-poll' });
+    });
+
+    it('should award no points and keep the streak', async () => {
+      const result = await answerUC.submitAnswer({ pin: pollPin, socketId: 'o1-sock', answerIndex: 2, elapsedTimeMs: 0 });
+      expect(result.answer.isCorrect).toBe(false);
+      expect(result.actualScore).toBe(0);
+      expect(result.player.streak).toBe(1);
+      expect(result.player.correctAnswers).toBe(1);
+    });
+
+    it('should share the distribution live and in the results', async () => {
+      const first = await answerUC.submitAnswer({ pin: pollPin, socketId: 'o1-sock', answerIndex: 2, elapsedTimeMs: 0 });
+      expect(first.liveResults).toEqual({ distribution: [0, 0, 1] });
+      await answerUC.submitAnswer({ pin: pollPin, socketId: 'o2-sock', answerIndex: 1, elapsedTimeMs: 0 });
+
+      const endResult = await flowUC.endAnsweringPhase({ pin: pollPin, requesterId: 'host-poll' });
+      expect(endResult.distribution).toEqual([0, 1, 1]);
+      expect(endResult.correctAnswerIndex).toBeNull();
+      expect(endResult.correctCount).toBe(0);
+    });
+
+    it('should flag poll answers in the answer history', async () => {
+      await answerUC.submitAnswer({ pin: pollPin, socketId: 'o1-sock', answerIndex: 2, elapsedTimeMs: 0 });
+      const room = await roomRepo.findByPin(pollPin);
+      expect(room.getAnswerHistory().map(a => a.isPoll)).toEqual([false, false, true]);
+    });
+
+    it('should reject power-ups', async () => {
+      await expect(answerUC.usePowerUp({ pin: pollPin, socketId: 'o1-sock', powerUpType: 'DOUBLE_POINTS' }))
+        .rejects.toThrow('poll questions');
+    });
+  });
+
+  describe('submitAnswer (shuffling)', () => {
+    let shufflePin;
+
+    beforeEach(async () => {
+      const quiz = new Quiz({ id: 'quiz-shuffle', title: 'Shuffle', createdBy: 'u9' });
+      quiz.addQuestion(new Question({ id: 's1', text: 'S1?', options: ['A', 'B', 'C', 'D'], correctAnswerIndex: 1 }));
+      quiz.addQuestion(new Question({ id: 's2', text: 'S2?', options: ['A', 'B', 'C', 'D'], correctAnswerIndex: 0 }));
+      await quizRepo.save(quiz);
+
+      const create = await roomUseCases.createRoom({ hostId: 'host-shuffle', hostUserId: 'u9', quizId: 'quiz-shuffle' });
+      shufflePin = create.room.pin;
+      await roomUseCases.joinRoom({ pin: shufflePin, nickname: 'Player1', socketId: 'sh1-sock' });
+      await roomUseCases.setShuffle({ pin: shufflePin, questions: true, options: true, requesterId: 'host-shuffle' });
+      // Rotates every order: the player gets S2 first and sees its options as B, C, D, A
+      const random = jest.spyOn(Math, 'random').mockReturnValue(0);
+      await flowUC.startGame({ pin: shufflePin, requesterId: 'host-shuffle' });
+      random.mockRestore();
+      await flowUC.startAnsweringPhase({ pin: shufflePin, requesterId: 'host-shuffle' });
+    });
+
+    it('should score the option the player picked on their screen', async () => {
+      const result = await answerUC.submitAnswer({ pin: shufflePin, socketId: 'sh1-sock', answerIndex: 3, elapsedTimeMs: 0 });
+      expect(result.answer.isCorrect).toBe(true);
+      expect(result.answer.questionId).toBe('s2');
+    });
+
+    it('should archive the canonical option and question', async () => {
+      await answerUC.submitAnswer({ pin: shufflePin, socketId: 'sh1-sock', answerIndex: 0, elapsedTimeMs: 0 });
+      const room = await roomRepo.findByPin(shufflePin);
+      const [answer] = room.getAnswerHistory();
+      expect(answer.answerIndex).toBe(1);
+      expect(answer.questionIndex).toBe(1);
+      expect(answer.isCorrect).toBe(false);
+    });
+
+    it('should only share the correct count of a mixed round', async () => {
+      await answerUC.submitAnswer({ pin: shufflePin, socketId: 'sh1-sock', answerIndex: 3, elapsedTimeMs: 0 });
+      const endResult = await flowUC.endAnsweringPhase({ pin: shufflePin, requesterId: 'host-shuffle' });
+      expect(endResult.mixedQuestions).toBe(true);
+      expect(endResult.distribution).toEqual([]);
+      expect(endResult.correctCount).toBe(1);
+    });
+
+    it('should send 50:50 picks as the positions the player sees', async () => {
+      const { result } = await answerUC.usePowerUp({ pin: shufflePin, socketId: 'sh1-sock', powerUpType: 'FIFTY_FIFTY' });
+      const room = await roomRepo.findByPin(shufflePin);
+      const player = room.getPlayer('sh1-sock');
+      expect(player.eliminatedOptions).not.toContain(0);
+      expect(result.eliminatedOptions).toEqual(room.toShownOptionIndex(player, player.eliminatedOptions));
+      expect(result.eliminatedOptions).not.toContain(3);
+    });
+  });
+
+  describe('submitAnswer (HOTSPOT)', () => {
+    let mapPin;
+
+    beforeEach(async () => {
+      const quiz = new Quiz({ id: 'quiz-map', title: 'Map', createdBy: 'u8' });
+      quiz.addQuestion(new Question({
+        id: 'h1',
+        text: 'Click on Ankara',
+        type: 'HOTSPOT',
+        imageUrl: 'https://example.com/turkey.png',
+        hotspotRegions: [{ shape: 'circle', x: 0.4, y: 0.4, radius: 0.05 }],
+        hotspotScoring: 'DISTANCE'
+      }));
+      await quizRepo.save(quiz);
+
+      const create = await roomUseCases.createRoom({ hostId: 'host-map', hostUserId: 'u8', quizId: 'quiz-map' });
+      mapPin = create.room.pin;
+      await roomUseCases.joinRoom({ pin: mapPin, nickname: 'Player1', socketId: 'h1-sock' });
+      await roomUseCases.joinRoom({ pin: mapPin, nickname: 'Player2', socketId: 'h2-sock' });
+      await flowUC.startGame({ pin: mapPin, requesterId: 'host-map' });
+      await flowUC.startAnsweringPhase({ pin: mapPin, requesterId: 'host-map' });
+    });
+
+    it('should score hits fully and near misses partly', async () => {
+      const hit = await answerUC.submitAnswer({ pin: mapPin, socketId: 'h1-sock', answerValue: { x: 0.41, y: 0.4 }, elapsedTimeMs: 0 });
+      expect(hit.answer.isCorrect).toBe(true);
+      expect(hit.actualScore).toBe(1000);
+
+      const nearMiss = await answerUC.submitAnswer({ pin: mapPin, socketId: 'h2-sock', answerValue: { x: 0.55, y: 0.4 }, elapsedTimeMs: 0 });
+      expect(nearMiss.answer.isCorrect).toBe(false);
+      expect(nearMiss.actualScore).toBe(250);
+    });
+
+    it('should store only the click coordinates and show them in the results', async () => {
+      await answerUC.submitAnswer({ pin: mapPin, socketId: 'h1-sock', answerValue: { x: 0.41, y: 0.4, note: 'x' }, elapsedTimeMs: 0 });
+      const room = await roomRepo.findByPin(mapPin);
+      expect(room.getAnswerHistory()[0].answerValue).toEqual({ x: 0.41, y: 0.4 });
+
+      const endResult = await flowUC.endAnsweringPhase({ pin: mapPin, requesterId: 'host-map' });
+      expect(endResult.clicks).toEqual([{ x: 0.41, y: 0.4, isCorrect: true }]);
+      expect(endResult.hotspotRegions).toEqual([{ shape: 'circle', x: 0.4, y: 0.4, radius: 0.05 }]);
+    });
+
+    it('should reject clicks outside the image', async () => {
+      await expect(answerUC.submitAnswer({ pin: mapPin, socketId: 'h1-sock', answerValue: { x: 1.5, y: 0.4 }, elapsedTimeMs: 0 }))
+        .rejects.toThrow('between 0 and 1');
+    });
+  });
+
+  describe('submitAnswer (WORD_CLOUD)', () => {
+    let cloudPin;
+
+    beforeEach(async () => {
+      const quiz = new Quiz({ id: 'quiz-cloud', title: 'Cloud', createdBy: 'u7' });
+      quiz.addQuestion(new Question({ id: 'w1', text: 'One word for today?', type: 'WORD_CLOUD' }));
+      await quizRepo.save(quiz);
+
+      const create = await roomUseCases.createRoom({ hostId: 'host-cloud', hostUserId: 'u7', quizId: 'quiz-cloud' });
+      cloudPin = create.room.pin;
+      await roomUseCases.joinRoom({ pin: cloudPin, nickname: 'Player1', socketId: 'w1-sock' });
+      await roomUseCases.joinRoom({ pin: cloudPin, nickname: 'Player2', socketId: 'w2-sock' });
+      await flowUC.startGame({ pin: cloudPin, requesterId: 'host-cloud' });
+      await flowUC.startAnsweringPhase({ pin: cloudPin, requesterId: 'host-cloud' });
+    });
+
+    it('should share the word cloud live and in the results', async () => {
+      const first = await answerUC.submitAnswer({ pin: cloudPin, socketId: 'w1-sock', answerValue: 'Sunny', elapsedTimeMs: 0 });
+      expect(first.actualScore).toBe(0);
+      expect(first.liveResults).toEqual({ wordCloud: [{ text: 'Sunny', count: 1 }] });
+      await answerUC.submitAnswer({ pin: cloudPin, socketId: 'w2-sock', answerValue: 'sunny!', elapsedTimeMs: 0 });
+
+      const endResult = await flowUC.endAnsweringPhase({ pin: cloudPin, requesterId: 'host-cloud' });
+      expect(endResult.wordCloud).toEqual([{ text: 'Sunny', count: 2 }]);
+      expect(endResult.correctCount).toBe(0);
+    });
+
+    it('should reject offensive submissions', async () => {
+      await expect(answerUC.submitAnswer({ pin: cloudPin, socketId: 'w1-sock', answerValue: 'shit', elapsedTimeMs: 0 }))
+        .rejects.toThrow('not allowed');
+    });
+  });
+
   describe('usePowerUp', () => {
     it('should use fifty-fifty power-up', async () => {
       const result = await answerUC.usePowerUp({ pin: roomPin, socketId: 'p1-sock', powerUpType: 'FIFTY_FIFTY' });
@@ -102,6 +591,161 @@ describe('AnswerUseCases', () => {
     });
   });
 
+  describe('usePowerUp (STREAK_SHIELD, HINT, FREEZE)', () => {
+    let partyPin;
+
+    beforeEach(async () => {
+      const quiz = new Quiz({ id: 'quiz-party', title: 'Party', createdBy: 'u12' });
+      quiz.addQuestion(new Question({ id: 'p1', text: 'Capital of Australia?', options: ['Sydney', 'Canberra'], correctAnswerIndex: 1, hint: 'Not the biggest city' }));
+      quiz.addQuestion(new Question({ id: 'p2', text: 'Q2?', options: ['A', 'B'], correctAnswerIndex: 0 }));
+      await quizRepo.save(quiz);
+      const create = await roomUseCases.createRoom({ hostId: 'host-party', hostUserId: 'u12', quizId: 'quiz-party' });
+      partyPin = create.room.pin;
+      await roomUseCases.setPowerUpLoadout({ pin: partyPin, loadout: { STREAK_SHIELD: 1, HINT: 1, FREEZE: 1 }, requesterId: 'host-party' });
+      await roomUseCases.joinRoom({ pin: partyPin, nickname: 'Ann', socketId: 'ann-sock' });
+      await roomUseCases.joinRoom({ pin: partyPin, nickname: 'Ben', socketId: 'ben-sock' });
+      await flowUC.startGame({ pin: partyPin, requesterId: 'host-party' });
+      await flowUC.startAnsweringPhase({ pin: partyPin, requesterId: 'host-party' });
+    });
+
+    it('should keep the streak through a wrong answer with STREAK_SHIELD', async () => {
+      const room = await roomRepo.findByPin(partyPin);
+      room.getPlayer('ann-sock').streak = 3;
+      await roomRepo.save(room);
+
+      await answerUC.usePowerUp({ pin: partyPin, socketId: 'ann-sock', powerUpType: 'STREAK_SHIELD' });
+      const result = await answerUC.submitAnswer({ pin: partyPin, socketId: 'ann-sock', answerIndex: 0, elapsedTimeMs: 1000 });
+      expect(result.streakShielded).toBe(true);
+      expect(result.player.streak).toBe(3);
+      expect(result.player.getPowerUpCount('STREAK_SHIELD')).toBe(0);
+    });
+
+    it('should not shield a streak that does not exist', async () => {
+      await expect(answerUC.usePowerUp({ pin: partyPin, socketId: 'ann-sock', powerUpType: 'STREAK_SHIELD' }))
+        .rejects.toThrow('No streak to protect');
+      const room = await roomRepo.findByPin(partyPin);
+      expect(room.getPlayer('ann-sock').getPowerUpCount('STREAK_SHIELD')).toBe(1);
+    });
+
+    it('should reveal the hint only to the user', async () => {
+      const { result, emitActions } = await answerUC.usePowerUp({ pin: partyPin, socketId: 'ann-sock', powerUpType: 'HINT' });
+      expect(result.hint).toBe('Not the biggest city');
+      expect(emitActions.playerEmits).toEqual([{ event: 'hint_revealed', data: { hint: 'Not the biggest city' } }]);
+      expect(emitActions.roomEmits).toEqual([]);
+      const room = await roomRepo.findByPin(partyPin);
+      expect(room.getPlayer('ann-sock').revealedHint).toBe('Not the biggest city');
+    });
+
+    it('should freeze the only opponent still answering', async () => {
+      const { result, emitActions } = await answerUC.usePowerUp({ pin: partyPin, socketId: 'ann-sock', powerUpType: 'FREEZE' });
+      expect(result.targetNickname).toBe('Ben');
+      expect(emitActions.targetEmits).toEqual([{ socketId: 'ben-sock', event: 'answers_frozen', data: { durationMs: 3000 } }]);
+    });
+
+    it('should not freeze when every opponent has answered', async () => {
+      await answerUC.submitAnswer({ pin: partyPin, socketId: 'ben-sock', answerIndex: 1, elapsedTimeMs: 1000 });
+      await expect(answerUC.usePowerUp({ pin: partyPin, socketId: 'ann-sock', powerUpType: 'FREEZE' }))
+        .rejects.toThrow('No opponent left to freeze');
+    });
+  });
+
+  describe('submitAnswer (earned power-ups)', () => {
+    let earnPin;
+
+    beforeEach(async () => {
+      const quiz = new Quiz({ id: 'quiz-earn', title: 'Earn', createdBy: 'u13' });
+      quiz.addQuestion(new Question({ id: 'e1', text: 'Q1?', options: ['A', 'B'], correctAnswerIndex: 0 }));
+      quiz.addQuestion(new Question({ id: 'e2', text: 'Q2?', options: ['A', 'B'], correctAnswerIndex: 0 }));
+      await quizRepo.save(quiz);
+      const create = await roomUseCases.createRoom({ hostId: 'host-earn', hostUserId: 'u13', quizId: 'quiz-earn' });
+      earnPin = create.room.pin;
+      await roomUseCases.setPowerUpLoadout({ pin: earnPin, loadout: { TIME_EXTENSION: 1 }, earn: true, requesterId: 'host-earn' });
+      await roomUseCases.joinRoom({ pin: earnPin, nickname: 'Ann', socketId: 'ann-sock' });
+      await flowUC.startGame({ pin: earnPin, requesterId: 'host-earn' });
+      await flowUC.startAnsweringPhase({ pin: earnPin, requesterId: 'host-earn' });
+    });
+
+    it('should grant a power-up on reaching a 3-streak', async () => {
+      const room = await roomRepo.findByPin(earnPin);
+      expect(room.getPlayer('ann-sock').getPowerUpCount('TIME_EXTENSION')).toBe(0);
+      room.getPlayer('ann-sock').streak = 2;
+      await roomRepo.save(room);
+
+      const result = await answerUC.submitAnswer({ pin: earnPin, socketId: 'ann-sock', answerIndex: 0, elapsedTimeMs: 1000 });
+      expect(result.earnedPowerUp).toBe('TIME_EXTENSION');
+      expect(result.player.getPowerUpCount('TIME_EXTENSION')).toBe(1);
+    });
+
+    it('should grant nothing before the streak milestone', async () => {
+      const result = await answerUC.submitAnswer({ pin: earnPin, socketId: 'ann-sock', answerIndex: 0, elapsedTimeMs: 1000 });
+      expect(result.earnedPowerUp).toBeNull();
+    });
+  });
+
+  describe('submitAnswer (team answers)', () => {
+    let teamPin, room;
+
+    beforeEach(async () => {
+      const quiz = new Quiz({ id: 'quiz-team', title: 'Team', createdBy: 'u14' });
+      quiz.addQuestion(new Question({ id: 't1', text: 'Q1?', options: ['A', 'B'], correctAnswerIndex: 0, timeLimit: 30 }));
+      quiz.addQuestion(new Question({ id: 't2', text: 'Q2?', options: ['A', 'B'], correctAnswerIndex: 0, timeLimit: 30 }));
+      await quizRepo.save(quiz);
+      const create = await roomUseCases.createRoom({ hostId: 'host-team', hostUserId: 'u14', quizId: 'quiz-team' });
+      teamPin = create.room.pin;
+      for (const name of ['Ann', 'Ben', 'Cem', 'Dan']) {
+        await roomUseCases.joinRoom({ pin: teamPin, nickname: name, socketId: `${name.toLowerCase()}-sock` });
+      }
+      await roomUseCases.enableTeamMode({ pin: teamPin, requesterId: 'host-team' });
+      const { team: alpha } = await roomUseCases.addTeam({ pin: teamPin, name: 'Alpha', requesterId: 'host-team' });
+      const { team: beta } = await roomUseCases.addTeam({ pin: teamPin, name: 'Beta', requesterId: 'host-team' });
+      room = await roomRepo.findByPin(teamPin);
+      for (const [sock, teamId] of [['ann-sock', alpha.id], ['ben-sock', alpha.id], ['cem-sock', alpha.id], ['dan-sock', beta.id]]) {
+        await roomUseCases.assignPlayerToTeam({ pin: teamPin, playerId: room.getPlayer(sock).id, teamId, requesterId: 'host-team' });
+      }
+      await roomUseCases.setTeamAnswers({ pin: teamPin, enabled: true, rule: 'MAJORITY', discussionSeconds: 10, requesterId: 'host-team' });
+      await flowUC.startGame({ pin: teamPin, requesterId: 'host-team' });
+    });
+
+    it('should add the discussion time to the question', async () => {
+      const result = await flowUC.startAnsweringPhase({ pin: teamPin, requesterId: 'host-team' });
+      expect(result.timeLimit).toBe(40);
+      expect(result.discussionSeconds).toBe(10);
+    });
+
+    it('should score the team once a majority agrees', async () => {
+      await flowUC.startAnsweringPhase({ pin: teamPin, requesterId: 'host-team' });
+      const first = await answerUC.submitAnswer({ pin: teamPin, socketId: 'ann-sock', answerIndex: 0, elapsedTimeMs: 12000, effectiveTimeLimitMs: 40000 });
+      expect(first.teamAnswer).toBeNull();
+      expect(first.proposals).toEqual([expect.objectContaining({ nickname: 'Ann', answerIndex: 0 })]);
+      expect(first.player.score).toBe(0);
+
+      const second = await answerUC.submitAnswer({ pin: teamPin, socketId: 'ben-sock', answerIndex: 0, elapsedTimeMs: 15000, effectiveTimeLimitMs: 40000 });
+      expect(second.teamAnswer).toEqual(expect.objectContaining({ teamName: 'Alpha', isCorrect: true, proposalCount: 2 }));
+      expect(second.teamAnswer.score).toBeGreaterThan(0);
+      expect(second.team.score).toBe(second.teamAnswer.score);
+      // Everyone on the team shares the result, proposal or not
+      const updated = await roomRepo.findByPin(teamPin);
+      expect(updated.getPlayer('cem-sock').score).toBe(second.teamAnswer.score);
+      expect(second.allAnswered).toBe(false);
+
+      await expect(answerUC.submitAnswer({ pin: teamPin, socketId: 'cem-sock', answerIndex: 1, elapsedTimeMs: 16000 }))
+        .rejects.toThrow('Your team has already answered');
+      const last = await answerUC.submitAnswer({ pin: teamPin, socketId: 'dan-sock', answerIndex: 1, elapsedTimeMs: 20000 });
+      expect(last.teamAnswer.isCorrect).toBe(false);
+      expect(last.allAnswered).toBe(true);
+    });
+
+    it('should settle teams with their proposals when answering closes', async () => {
+      await flowUC.startAnsweringPhase({ pin: teamPin, requesterId: 'host-team' });
+      await answerUC.submitAnswer({ pin: teamPin, socketId: 'ann-sock', answerIndex: 0, elapsedTimeMs: 5000 });
+      const result = await flowUC.endAnsweringPhase({ pin: teamPin, requesterId: 'host-team' });
+      expect(result.teamAnswers).toHaveLength(1);
+      expect(result.teamAnswers[0].team.name).toBe('Alpha');
+      expect(result.teamAnswers[0].teamAnswer.isCorrect).toBe(true);
+      expect(result.room.getTeamLeaderboard()[0]).toEqual(expect.objectContaining({ name: 'Alpha', score: result.teamAnswers[0].teamAnswer.score }));
+    });
+  });
+
   describe('getServerElapsedTime', () => {
     it('should throw when time expired', () => {
       const timerService = { getElapsedTime: jest.fn().mockReturnValue(5000), isTimeExpired: jest.fn().mockReturnValue(true) };
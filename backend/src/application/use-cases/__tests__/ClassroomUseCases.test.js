@@ -1,4 +1,5 @@
 const { ClassroomUseCases } = require('../ClassroomUseCases');
+const { Quiz, Question } = require('../../../domain/entities');
 
 function createMockRepo() {
   return {
@@ -11,10 +12,25 @@ function createMockRepo() {
     removeStudent: jest.fn(),
     assignQuiz: jest.fn(),
     removeQuizAssignment: jest.fn(),
+    markAssignmentCompleted: jest.fn(),
     delete: jest.fn()
   };
 }
 
+function createMockAttemptRepo() {
+  return {
+    create: jest.fn(async (data) => ({
+      _id: 'a1', currentQuestionIndex: 0, score: 0, streak: 0, longestStreak: 0,
+      correctAnswers: 0, wrongAnswers: 0, answers: [], status: 'in_progress', ...data
+    })),
+    findById: jest.fn(),
+    findInProgress: jest.fn().mockResolvedValue(null),
+    findCompletedByClassroom: jest.fn().mockResolvedValue([]),
+    update: jest.fn(async (id, data) => ({ _id: id, currentQuestionIndex: 0, totalQuestions: 2, score: 0, ...data })),
+    advance: jest.fn(async (id, index, data) => ({ _id: id, ...data }))
+  };
+}
+
 describe('ClassroomUseCases', () => {
   let uc, repo;
 
@@ -137,7 +153,7 @@ describe('ClassroomUseCases', () => {
       repo.findById.mockResolvedValue({ teacher: 't1' });
       repo.assignQuiz.mockResolvedValue({});
       await uc.assignQuiz('c1', 'q1', null, 't1');
-      expect(repo.assignQuiz).toHaveBeenCalledWith('c1', 'q1', null);
+      expect(repo.assignQuiz).toHaveBeenCalledWith('c1', 'q1', null, false);
     });
 
     it('should throw for missing quizId', async () => {
@@ -168,4 +184,281 @@ describe('ClassroomUseCases', () => {
       expect(repo.delete).toHaveBeenCalledWith('c1');
     });
   });
+
+  describe('homework', () => {
+    let attemptRepo, quizRepo, quiz;
+    const DAY_MS = 24 * 60 * 60 * 1000;
+
+    const makeClassroom = (assignment = {}) => ({
+      _id: 'c1',
+      name: 'Math',
+      teacher: 't1',
+      students: [{ nickname: 'Ada' }, { nickname: 'Alan' }],
+      assignedQuizzes: [{ _id: 'as1', quiz: { _id: 'q1', title: 'Fractions' }, dueDate: null, completedBy: [], ...assignment }]
+    });
+
+    const makeAttempt = (overrides = {}) => ({
+      _id: 'a1', classroom: 'c1', assignment: 'as1', quiz: 'q1', nickname: 'Ada', totalQuestions: 2,
+      currentQuestionIndex: 0, questionStartedAt: new Date(Date.now() - 5000), score: 0, streak: 0,
+      longestStreak: 0, correctAnswers: 0, wrongAnswers: 0, answers: [], status: 'in_progress', ...overrides
+    });
+
+    beforeEach(() => {
+      attemptRepo = createMockAttemptRepo();
+      quiz = new Quiz({
+        id: 'q1',
+        title: 'Fractions',
+        createdBy: 't1',
+        questions: [
+          new Question({ id: 'qq1', text: '1/2 + 1/2?', options: ['1', '2'], correctAnswerIndex: 0, timeLimit: 20 }),
+          new Question({ id: 'qq2', text: '1/4 + 1/4?', options: ['1/2', '1/3'], correctAnswerIndex: 0, timeLimit: 20 })
+        ]
+      });
+      quizRepo = { findById: jest.fn().mockResolvedValue(quiz) };
+      uc = new ClassroomUseCases(repo, attemptRepo, quizRepo);
+    });
+
+    describe('getHomework', () => {
+      it('should list assignments with the student\'s progress', async () => {
+        repo.findByJoinCode.mockResolvedValue(makeClassroom({ completedBy: ['Ada'] }));
+        const result = await uc.getHomework('abc', 'ada');
+        expect(repo.findByJoinCode).toHaveBeenCalledWith('ABC');
+        expect(result.nickname).toBe('Ada');
+        expect(result.assignments).toEqual([expect.objectContaining({ id: 'as1', quizTitle: 'Fractions', completed: true, isOverdue: false })]);
+      });
+
+      it('should reject nicknames that are not in the classroom', async () => {
+        repo.findByJoinCode.mockResolvedValue(makeClassroom());
+        await expect(uc.getHomework('ABC', 'Grace')).rejects.toThrow('kayıtlı öğrenci yok');
+      });
+
+      it('should skip assignments of deleted quizzes', async () => {
+        repo.findByJoinCode.mockResolvedValue(makeClassroom({ quiz: null }));
+        const result = await uc.getHomework('ABC', 'Ada');
+        expect(result.assignments).toEqual([]);
+      });
+    });
+
+    describe('startHomework', () => {
+      it('should create an attempt and hand out the first question without its answer', async () => {
+        repo.findByJoinCode.mockResolvedValue(makeClassroom());
+        const result = await uc.startHomework({ joinCode: 'ABC', nickname: 'ada', assignmentId: 'as1' });
+        expect(attemptRepo.create).toHaveBeenCalledWith(expect.objectContaining({ nickname: 'Ada', quiz: 'q1', totalQuestions: 2 }));
+        expect(result.attemptId).toBe('a1');
+        expect(result.questionIndex).toBe(0);
+        expect(result.question.correctAnswerIndex).toBeUndefined();
+        expect(result.remainingMs).toBeGreaterThan(19000);
+      });
+
+      it('should draw the quiz\'s question pools once for the attempt', async () => {
+        quiz.setQuestionPools([{ name: 'Sums', questionIds: ['qq1', 'qq2'], drawCount: 1 }]);
+        repo.findByJoinCode.mockResolvedValue(makeClassroom());
+        await uc.startHomework({ joinCode: 'ABC', nickname: 'Ada', assignmentId: 'as1' });
+        const { questionIds, totalQuestions } = attemptRepo.create.mock.calls[0][0];
+        expect(totalQuestions).toBe(1);
+        expect(['qq1', 'qq2']).toContain(questionIds[0]);
+      });
+
+      it('should hand out the question drawn for the attempt', async () => {
+        repo.findByJoinCode.mockResolvedValue(makeClassroom());
+        attemptRepo.findInProgress.mockResolvedValue(makeAttempt({ totalQuestions: 1, questionIds: ['qq2'] }));
+        const result = await uc.startHomework({ joinCode: 'ABC', nickname: 'Ada', assignmentId: 'as1' });
+        expect(result.question.text).toBe('1/4 + 1/4?');
+      });
+
+      it('should resume an unfinished attempt with the time left', async () => {
+        repo.findByJoinCode.mockResolvedValue(makeClassroom());
+        attemptRepo.findInProgress.mockResolvedValue(makeAttempt({ currentQuestionIndex: 1 }));
+        const result = await uc.startHomework({ joinCode: 'ABC', nickname: 'Ada', assignmentId: 'as1' });
+        expect(attemptRepo.create).not.toHaveBeenCalled();
+        expect(result.questionIndex).toBe(1);
+        expect(result.remainingMs).toBeLessThanOrEqual(15000);
+      });
+
+      it('should start the next question\'s timer when it is handed out', async () => {
+        repo.findByJoinCode.mockResolvedValue(makeClassroom());
+        attemptRepo.findInProgress.mockResolvedValue(makeAttempt({ currentQuestionIndex: 1, questionStartedAt: null }));
+        attemptRepo.update.mockResolvedValue(makeAttempt({ currentQuestionIndex: 1, questionStartedAt: new Date() }));
+        const result = await uc.startHomework({ joinCode: 'ABC', nickname: 'Ada', assignmentId: 'as1' });
+        expect(attemptRepo.update).toHaveBeenCalledWith('a1', { questionStartedAt: expect.any(Date) });
+        expect(result.questionIndex).toBe(1);
+        expect(result.remainingMs).toBeGreaterThan(19000);
+      });
+
+      it('should reject completed and overdue assignments', async () => {
+        repo.findByJoinCode.mockResolvedValue(makeClassroom({ completedBy: ['Ada'] }));
+        await expect(uc.startHomework({ joinCode: 'ABC', nickname: 'Ada', assignmentId: 'as1' })).rejects.toThrow('zaten tamamladınız');
+
+        repo.findByJoinCode.mockResolvedValue(makeClassroom({ dueDate: new Date(Date.now() - 2 * DAY_MS) }));
+        await expect(uc.startHomework({ joinCode: 'ABC', nickname: 'Ada', assignmentId: 'as1' })).rejects.toThrow('son tarihi geçti');
+      });
+
+      it('should still allow the whole due day', async () => {
+        repo.findByJoinCode.mockResolvedValue(makeClassroom({ dueDate: new Date(Date.now() - DAY_MS / 2) }));
+        await expect(uc.startHomework({ joinCode: 'ABC', nickname: 'Ada', assignmentId: 'as1' })).resolves.toBeDefined();
+      });
+
+      it('should open an adaptive assignment with a medium question', async () => {
+        quiz = new Quiz({
+          id: 'q1', title: 'Fractions', createdBy: 't1',
+          questions: ['EASY', 'HARD', 'MEDIUM'].map((difficulty, i) => new Question({
+            id: `qq${i + 1}`, text: `Q${i + 1}?`, options: ['A', 'B'], correctAnswerIndex: 0, difficulty
+          }))
+        });
+        quizRepo.findById.mockResolvedValue(quiz);
+        repo.findByJoinCode.mockResolvedValue(makeClassroom({ adaptive: true }));
+        await uc.startHomework({ joinCode: 'ABC', nickname: 'Ada', assignmentId: 'as1' });
+        expect(attemptRepo.create).toHaveBeenCalledWith(expect.objectContaining({
+          adaptive: true, totalQuestions: 3, questionIds: ['qq3', 'qq1', 'qq2']
+        }));
+      });
+
+      it('should throw for an unknown assignment', async () => {
+        repo.findByJoinCode.mockResolvedValue(makeClassroom());
+        await expect(uc.startHomework({ joinCode: 'ABC', nickname: 'Ada', assignmentId: 'nope' })).rejects.toThrow('Ödev bulunamadı');
+      });
+    });
+
+    describe('submitHomeworkAnswer', () => {
+      let clock;
+
+      beforeEach(() => {
+        repo.findById.mockResolvedValue(makeClassroom());
+      });
+
+      afterEach(() => {
+        if (clock) clock.mockRestore();
+        clock = null;
+      });
+
+      it('should score a correct answer on the server clock and move to the next question', async () => {
+        attemptRepo.findById.mockResolvedValue(makeAttempt());
+        const result = await uc.submitHomeworkAnswer({ attemptId: 'a1', nickname: 'Ada', answerIndex: 0 });
+
+        expect(result.result.isCorrect).toBe(true);
+        // 5 of 20 seconds used on the standard curve
+        expect(result.result.score).toBe(875);
+        expect(result.finished).toBe(false);
+        expect(attemptRepo.advance).toHaveBeenCalledWith('a1', 0, expect.objectContaining({
+          currentQuestionIndex: 1,
+          questionStartedAt: null,
+          score: 875,
+          streak: 1,
+          correctAnswers: 1,
+          answers: [expect.objectContaining({ nickname: 'Ada', questionIndex: 0, answerIndex: 0, isCorrect: true })]
+        }));
+        expect(repo.markAssignmentCompleted).not.toHaveBeenCalled();
+      });
+
+      it('should pick the next question of an adaptive attempt from the student\'s result', async () => {
+        quiz = new Quiz({
+          id: 'q1', title: 'Fractions', createdBy: 't1',
+          questions: ['MEDIUM', 'EASY', 'HARD'].map((difficulty, i) => new Question({
+            id: `qq${i + 1}`, text: `Q${i + 1}?`, options: ['A', 'B'], correctAnswerIndex: 0, difficulty
+          }))
+        });
+        quizRepo.findById.mockResolvedValue(quiz);
+        const attempt = makeAttempt({ adaptive: true, totalQuestions: 3, questionIds: ['qq1', 'qq2', 'qq3'] });
+
+        attemptRepo.findById.mockResolvedValue(attempt);
+        await uc.submitHomeworkAnswer({ attemptId: 'a1', nickname: 'Ada', answerIndex: 0 });
+        expect(attemptRepo.advance).toHaveBeenLastCalledWith('a1', 0, expect.objectContaining({ questionIds: ['qq1', 'qq3', 'qq2'] }));
+
+        attemptRepo.findById.mockResolvedValue(attempt);
+        await uc.submitHomeworkAnswer({ attemptId: 'a1', nickname: 'Ada', answerIndex: 1 });
+        expect(attemptRepo.advance).toHaveBeenLastCalledWith('a1', 0, expect.objectContaining({ questionIds: ['qq1', 'qq2', 'qq3'] }));
+      });
+
+      it('should count a late answer as missed', async () => {
+        attemptRepo.findById.mockResolvedValue(makeAttempt({ questionStartedAt: new Date(Date.now() - 30000), streak: 2 }));
+        const result = await uc.submitHomeworkAnswer({ attemptId: 'a1', nickname: 'Ada', answerIndex: 0 });
+
+        expect(result.result).toEqual(expect.objectContaining({ answered: false, score: 0 }));
+        expect(attemptRepo.advance).toHaveBeenCalledWith('a1', 0, expect.objectContaining({ streak: 0, wrongAnswers: 1, answers: [] }));
+      });
+
+      it('should archive the points a wrong answer actually lost when the score stops at zero', async () => {
+        quiz = new Quiz({
+          id: 'q1', title: 'Fractions', createdBy: 't1',
+          scoringProfile: { preset: 'ACCURACY_ONLY', wrongAnswerPenalty: 0.5 },
+          questions: [new Question({ id: 'qq1', text: '1/2 + 1/2?', options: ['1', '2'], correctAnswerIndex: 0, points: 1000 })]
+        });
+        quizRepo.findById.mockResolvedValue(quiz);
+        attemptRepo.findById.mockResolvedValue(makeAttempt({ score: 200, totalQuestions: 2 }));
+        await uc.submitHomeworkAnswer({ attemptId: 'a1', nickname: 'Ada', answerIndex: 1 });
+
+        expect(attemptRepo.advance).toHaveBeenCalledWith('a1', 0, expect.objectContaining({
+          score: 0,
+          answers: [expect.objectContaining({ isCorrect: false, penalty: 200 })]
+        }));
+      });
+
+      it('should complete the attempt and the assignment on the last answer', async () => {
+        const now = Date.now();
+        clock = jest.spyOn(Date, 'now').mockReturnValue(now);
+        attemptRepo.findById.mockResolvedValue(makeAttempt({
+          currentQuestionIndex: 1, score: 900, correctAnswers: 1, questionStartedAt: new Date(now - 5000),
+          answers: [{ questionIndex: 0, responseTimeMs: 3000 }]
+        }));
+        const result = await uc.submitHomeworkAnswer({ attemptId: 'a1', nickname: 'Ada', answerIndex: 1 });
+
+        expect(result.finished).toBe(true);
+        expect(result.summary).toEqual(expect.objectContaining({ score: 900, correctAnswers: 1, wrongAnswers: 1, totalQuestions: 2 }));
+        expect(attemptRepo.advance).toHaveBeenCalledWith('a1', 1, expect.objectContaining({ status: 'completed', averageResponseTime: 4000 }));
+        expect(repo.markAssignmentCompleted).toHaveBeenCalledWith('c1', 'as1', 'Ada');
+      });
+
+      it('should reject a second answer to the same question', async () => {
+        attemptRepo.findById.mockResolvedValue(makeAttempt());
+        attemptRepo.advance.mockResolvedValue(null);
+        await expect(uc.submitHomeworkAnswer({ attemptId: 'a1', nickname: 'Ada', answerIndex: 0 })).rejects.toThrow('zaten cevaplandı');
+      });
+
+      it('should reject other students and finished attempts', async () => {
+        attemptRepo.findById.mockResolvedValue(makeAttempt());
+        await expect(uc.submitHomeworkAnswer({ attemptId: 'a1', nickname: 'Alan', answerIndex: 0 })).rejects.toThrow('bulunamadı');
+
+        attemptRepo.findById.mockResolvedValue(makeAttempt({ status: 'completed' }));
+        await expect(uc.submitHomeworkAnswer({ attemptId: 'a1', nickname: 'Ada', answerIndex: 0 })).rejects.toThrow('zaten tamamlandı');
+      });
+
+      it('should reject answers once the assignment is overdue', async () => {
+        repo.findById.mockResolvedValue(makeClassroom({ dueDate: new Date(Date.now() - 2 * DAY_MS) }));
+        attemptRepo.findById.mockResolvedValue(makeAttempt());
+        await expect(uc.submitHomeworkAnswer({ attemptId: 'a1', nickname: 'Ada', answerIndex: 0 })).rejects.toThrow('son tarihi geçti');
+        expect(attemptRepo.advance).not.toHaveBeenCalled();
+
+        repo.findById.mockResolvedValue({ ...makeClassroom(), assignedQuizzes: [] });
+        await expect(uc.submitHomeworkAnswer({ attemptId: 'a1', nickname: 'Ada', answerIndex: 0 })).rejects.toThrow('Ödev bulunamadı');
+      });
+
+      it('should reject answers before the question is handed out', async () => {
+        attemptRepo.findById.mockResolvedValue(makeAttempt({ questionStartedAt: null }));
+        await expect(uc.submitHomeworkAnswer({ attemptId: 'a1', nickname: 'Ada', answerIndex: 0 })).rejects.toThrow('henüz başlamadı');
+      });
+
+      it('should reject an answer of the wrong shape', async () => {
+        attemptRepo.findById.mockResolvedValue(makeAttempt());
+        await expect(uc.submitHomeworkAnswer({ attemptId: 'a1', nickname: 'Ada', answerValue: 3 })).rejects.toThrow('seçenek bekliyor');
+      });
+    });
+
+    describe('getHomeworkResults', () => {
+      it('should group completed attempts by assignment and list who is pending', async () => {
+        repo.findById.mockResolvedValue(makeClassroom({ completedBy: ['Ada'] }));
+        attemptRepo.findCompletedByClassroom.mockResolvedValue([
+          { _id: 'a1', assignment: 'as1', nickname: 'Ada', score: 1500, correctAnswers: 2, wrongAnswers: 0, totalQuestions: 2, averageResponseTime: 4000, completedAt: new Date() }
+        ]);
+        const { results } = await uc.getHomeworkResults('c1', 't1');
+        expect(results).toHaveLength(1);
+        expect(results[0].attempts).toEqual([expect.objectContaining({ nickname: 'Ada', score: 1500 })]);
+        expect(results[0].pending).toEqual(['Alan']);
+      });
+
+      it('should only show results to the teacher', async () => {
+        repo.findById.mockResolvedValue(makeClassroom());
+        await expect(uc.getHomeworkResults('c1', 't2')).rejects.toThrow('Yetkisiz');
+      });
+    });
+  });
 });
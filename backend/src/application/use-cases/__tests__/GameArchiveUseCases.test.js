@@ -1,4 +1,5 @@
 const { GameArchiveUseCases } = require('../GameArchiveUseCases');
+const { Question, QuestionType } = require('../../../domain/entities');
 
 function createMocks() {
   const room = {
@@ -19,8 +20,11 @@ function createMocks() {
     getPlayerCount: jest.fn().mockReturnValue(2),
     getGameStartedAt: jest.fn().mockReturnValue(new Date()),
     isTeamMode: jest.fn().mockReturnValue(false),
+    isAdaptive: jest.fn().mockReturnValue(false),
+    isTeamAnswering: jest.fn().mockReturnValue(false),
     getTeamLeaderboard: jest.fn().mockReturnValue([]),
-    hasQuizSnapshot: jest.fn().mockReturnValue(true)
+    hasQuizSnapshot: jest.fn().mockReturnValue(true),
+    getQuizSnapshot: jest.fn().mockReturnValue(null)
   };
 
   return {
@@ -94,6 +98,16 @@ describe('GameArchiveUseCases', () => {
       expect(mapped[0].nickname).toBe('A');
       expect(mapped[0].responseTimeMs).toBe(2000);
     });
+
+    it('should keep the wager and the points lost to negative marking', () => {
+      const [marked, plain] = uc._mapAnswersToSessionFormat([
+        { playerNickname: 'A', questionIndex: 0, answerIndex: 0, isCorrect: false, elapsedTimeMs: 1000, score: 0, confidence: 'HIGH', penalty: 500 },
+        { playerNickname: 'B', questionIndex: 0, answerIndex: 1, isCorrect: true, elapsedTimeMs: 1000, score: 1000, confidence: null, penalty: 0 }
+      ]);
+      expect(marked).toMatchObject({ confidence: 'HIGH', penalty: 500 });
+      expect(plain).not.toHaveProperty('confidence');
+      expect(plain).not.toHaveProperty('penalty');
+    });
   });
 
   describe('_buildSessionData', () => {
@@ -111,6 +125,62 @@ describe('GameArchiveUseCases', () => {
       expect(data.teamResults).toHaveLength(1);
     });
 
+    it('should archive the question order of an adaptive game', () => {
+      mocks.room.isAdaptive.mockReturnValue(true);
+      mocks.room.getQuestionSequence = jest.fn().mockReturnValue([1, 3, 0]);
+      const data = uc._buildSessionData(mocks.room, 'completed');
+      expect(data.questionSequence).toEqual([1, 3, 0]);
+      expect(uc._buildSessionData({ ...mocks.room, isAdaptive: () => false }, 'completed').questionSequence).toBeUndefined();
+    });
+
+    it('should archive the answers teams submitted together', () => {
+      mocks.room.isTeamMode.mockReturnValue(true);
+      mocks.room.isTeamAnswering.mockReturnValue(true);
+      mocks.room.getTeamAnswerHistory = jest.fn().mockReturnValue([
+        { teamName: 'Alpha', questionIndex: 0, answerIndex: 1, answerValue: null, isCorrect: true, elapsedTimeMs: 4000, score: 800, streak: 1, rule: 'MAJORITY', proposalCount: 3 },
+        { teamName: 'Beta', questionIndex: 0, answerIndex: [0, 2], answerValue: null, isCorrect: false, elapsedTimeMs: 6000, score: -200, streak: 0, rule: 'MAJORITY', proposalCount: 2 }
+      ]);
+      const data = uc._buildSessionData(mocks.room, 'completed');
+      expect(data.teamAnswers).toEqual([
+        { teamName: 'Alpha', questionIndex: 0, answerIndex: 1, isCorrect: true, responseTimeMs: 4000, score: 800, streak: 1, rule: 'MAJORITY', proposalCount: 3 },
+        { teamName: 'Beta', questionIndex: 0, answerIndex: null, answerIndices: [0, 2], isCorrect: false, responseTimeMs: 6000, score: -200, streak: 0, rule: 'MAJORITY', proposalCount: 2 }
+      ]);
+      expect(uc._buildSessionData({ ...mocks.room, isTeamAnswering: () => false }, 'completed').teamAnswers).toBeUndefined();
+    });
+
+    it('should archive the word cloud of each WORD_CLOUD question', () => {
+      const wordCloudQuestion = new Question({ id: 'q-cloud', text: 'One word?', type: QuestionType.WORD_CLOUD });
+      mocks.room.getQuizSnapshot.mockReturnValue({
+        questions: [new Question({ id: 'q-mc', text: 'Pick?', options: ['A', 'B'], correctAnswerIndex: 1 }), wordCloudQuestion],
+        getQuestion: (index) => (index === 1 ? wordCloudQuestion : null)
+      });
+      mocks.room.getAnswerHistory.mockReturnValue([
+        { playerNickname: 'Alice', isCorrect: true, elapsedTimeMs: 2000, questionIndex: 0, answerIndex: 1, score: 500 },
+        { playerNickname: 'Alice', isCorrect: false, isPoll: true, elapsedTimeMs: 1000, questionIndex: 1, answerIndex: null, answerValue: 'Fun' },
+        { playerNickname: 'Bob', isCorrect: false, isPoll: true, elapsedTimeMs: 1500, questionIndex: 1, answerIndex: null, answerValue: 'fun!' }
+      ]);
+
+      const data = uc._buildSessionData(mocks.room, 'completed');
+      expect(data.wordClouds).toEqual([{ questionIndex: 1, words: [{ text: 'Fun', count: 2 }] }]);
+      expect(data.questionIds).toEqual(['q-mc', 'q-cloud']);
+    });
+
+    it('should leave lobby bots out of the results and the answers', () => {
+      mocks.room.getLeaderboard.mockReturnValue([
+        { nickname: 'Bot-1', score: 900, longestStreak: 3, isBot: true },
+        { nickname: 'Alice', score: 500, longestStreak: 2 }
+      ]);
+      mocks.room.getAnswerHistory.mockReturnValue([
+        { playerNickname: 'Bot-1', isCorrect: true, elapsedTimeMs: 1000, questionIndex: 0, answerIndex: 1, score: 900, streak: 1 },
+        { playerNickname: 'Alice', isCorrect: true, elapsedTimeMs: 2000, questionIndex: 0, answerIndex: 1, score: 500, streak: 1 }
+      ]);
+
+      const data = uc._buildSessionData(mocks.room, 'completed');
+      expect(data.playerCount).toBe(1);
+      expect(data.playerResults).toEqual([expect.objectContaining({ nickname: 'Alice', rank: 2, correctAnswers: 1 })]);
+      expect(data.answers.map(answer => answer.nickname)).toEqual(['Alice']);
+    });
+
     it('should use createdAt when gameStartedAt is null', () => {
       mocks.room.getGameStartedAt.mockReturnValue(null);
       const data = uc._buildSessionData(mocks.room, 'completed');
@@ -46,6 +46,47 @@ describe('GameFlowUseCases edge cases', () => {
       expect(result.totalQuestions).toBe(5);
     });
 
+    it('should draw question pools into the room snapshot', async () => {
+      const quiz = await quizRepo.findById('quiz-1');
+      quiz.setQuestionPools([{ name: 'Pool', questionIds: ['q1', 'q2', 'q3'], drawCount: 1 }]);
+
+      const result = await flowUC.startGame({ pin: roomPin, requesterId: 'host-sock' });
+      const playedIds = result.room.getQuizSnapshot().questions.map(q => q.id);
+      expect(result.totalQuestions).toBe(3);
+      expect(playedIds[0]).toBe('q0');
+      expect(playedIds[2]).toBe('q4');
+      expect(['q1', 'q2', 'q3']).toContain(playedIds[1]);
+    });
+
+    it('should take a random subset of the drawn questions', async () => {
+      const quiz = await quizRepo.findById('quiz-1');
+      quiz.setQuestionPools([{ name: 'Pool', questionIds: ['q1', 'q2', 'q3'], drawCount: 1 }]);
+
+      await expect(flowUC.startGame({ pin: roomPin, requesterId: 'host-sock', questionCount: 4 }))
+        .rejects.toThrow('Question count (4) exceeds available questions (3)');
+      const result = await flowUC.startGame({ pin: roomPin, requesterId: 'host-sock', questionCount: 2 });
+      expect(result.totalQuestions).toBe(2);
+    });
+
+    it('should keep every question to choose from in adaptive mode', async () => {
+      const room = await roomRepo.findByPin(roomPin);
+      room.setAdaptiveDifficulty(true);
+      await roomRepo.save(room);
+
+      const result = await flowUC.startGame({ pin: roomPin, requesterId: 'host-sock', questionCount: 2 });
+      expect(result.totalQuestions).toBe(2);
+      expect(result.room.getQuizSnapshot().getTotalQuestions()).toBe(5);
+      expect(result.currentQuestion.id).toBe(result.room.getCurrentQuestion().id);
+
+      await flowUC.startAnsweringPhase({ pin: roomPin, requesterId: 'host-sock' });
+      await flowUC.endAnsweringPhase({ pin: roomPin, requesterId: 'host-sock' });
+      await flowUC.showLeaderboard({ pin: roomPin, requesterId: 'host-sock' });
+      const next = await flowUC.nextQuestion({ pin: roomPin, requesterId: 'host-sock' });
+      expect(next.totalQuestions).toBe(2);
+      expect(next.currentQuestion.id).not.toBe(result.currentQuestion.id);
+      expect(next.room.getQuestionSequence()).toHaveLength(2);
+    });
+
     it('should handle incrementPlayCount failure', async () => {
       jest.spyOn(quizRepo, 'incrementPlayCount').mockRejectedValueOnce(new Error('fail'));
       const spy = jest.spyOn(console, 'error').mockImplementation();
@@ -112,6 +153,49 @@ describe('GameFlowUseCases edge cases', () => {
     });
   });
 
+  describe('showLeaderboard with elimination mode', () => {
+    it('should eliminate wrong answers and end the game with the last player standing', async () => {
+      await roomUseCases.joinRoom({ pin: roomPin, nickname: 'Player2', socketId: 'p2-sock' });
+      await roomUseCases.setElimination({ pin: roomPin, enabled: true, requesterId: 'host-sock' });
+      await flowUC.startGame({ pin: roomPin, requesterId: 'host-sock' });
+      await flowUC.startAnsweringPhase({ pin: roomPin, requesterId: 'host-sock' });
+      const room = await roomRepo.findByPin(roomPin);
+      room.getPlayer('p1-sock').submitAnswer(1, 1000);
+      room.getPlayer('p2-sock').submitAnswer(0, 1000);
+      await roomRepo.save(room);
+      await flowUC.endAnsweringPhase({ pin: roomPin, requesterId: 'host-sock' });
+
+      const result = await flowUC.showLeaderboard({ pin: roomPin, requesterId: 'host-sock' });
+      expect(result.eliminated.map(s => s.nickname)).toEqual(['Player2']);
+      expect(result.leaderboard.map(p => p.nickname)).toEqual(['Player1', 'Player2']);
+      expect(result.room.isSpectator('p2-sock')).toBe(true);
+
+      const next = await flowUC.nextQuestion({ pin: roomPin, requesterId: 'host-sock' });
+      expect(next.isGameOver).toBe(true);
+      expect(next.podium[0].nickname).toBe('Player1');
+    });
+  });
+
+  describe('showLeaderboard with earned power-ups', () => {
+    it('should grant catch-up power-ups to the bottom third', async () => {
+      await roomUseCases.joinRoom({ pin: roomPin, nickname: 'Player2', socketId: 'p2-sock' });
+      await roomUseCases.joinRoom({ pin: roomPin, nickname: 'Player3', socketId: 'p3-sock' });
+      await roomUseCases.setPowerUpLoadout({ pin: roomPin, loadout: { DOUBLE_POINTS: 1 }, earn: true, requesterId: 'host-sock' });
+      await flowUC.startGame({ pin: roomPin, requesterId: 'host-sock' });
+      await flowUC.startAnsweringPhase({ pin: roomPin, requesterId: 'host-sock' });
+      const room = await roomRepo.findByPin(roomPin);
+      room.getPlayer('p1-sock').addScore(900);
+      room.getPlayer('p2-sock').addScore(500);
+      await roomRepo.save(room);
+      await flowUC.endAnsweringPhase({ pin: roomPin, requesterId: 'host-sock' });
+
+      const result = await flowUC.showLeaderboard({ pin: roomPin, requesterId: 'host-sock' });
+      expect(result.earnedPowerUps.map(({ player, type }) => [player.nickname, type])).toEqual([['Player3', 'DOUBLE_POINTS']]);
+      const saved = await roomRepo.findByPin(roomPin);
+      expect(saved.getPlayer('p3-sock').getPowerUpCount('DOUBLE_POINTS')).toBe(1);
+    });
+  });
+
   describe('nextQuestion game over with team mode', () => {
     it('should return team podium on game over', async () => {
       // Create single-question quiz
@@ -1,4 +1,5 @@
 const { GameStatsUseCases } = require('../GameStatsUseCases');
+const { Question, QuestionType } = require('../../../domain/entities');
 
 function createMockRepo() {
   return {
@@ -113,6 +114,59 @@ describe('GameStatsUseCases', () => {
       const result = await uc.getQuestionAnalytics({ hostId: 'h1', quizId: 'q1' });
       expect(result.questions).toEqual([]);
     });
+
+    it('should break MATCHING questions down per pair', async () => {
+      const quizRepo = {
+        findById: jest.fn().mockResolvedValue({
+          questions: [
+            new Question({ id: 'mc', text: 'Pick', options: ['a', 'b'], correctAnswerIndex: 0 }),
+            new Question({ id: 'm', text: 'Match', type: QuestionType.MATCHING, options: ['Turkey', 'France'], matchTargets: ['Paris', 'Ankara'], correctMatches: [1, 0] })
+          ]
+        })
+      };
+      uc = new GameStatsUseCases(repo, quizRepo);
+      repo.findByQuizAndHost.mockResolvedValue({
+        sessions: [mockSession({
+          answers: [
+            { questionIndex: 0, answerIndex: 0, isCorrect: true, responseTimeMs: 1000 },
+            { questionIndex: 1, answerIndices: [1, 0], isCorrect: true, responseTimeMs: 2000 },
+            { questionIndex: 1, answerIndices: [0, 1], isCorrect: false, responseTimeMs: 3000 },
+            { questionIndex: 1, answerIndices: [1, 0, 2], isCorrect: false, responseTimeMs: 3000 }
+          ]
+        })]
+      });
+
+      const result = await uc.getQuestionAnalytics({ hostId: 'h1', quizId: 'q1' });
+      expect(result.questions[0].pairDistribution).toBeUndefined();
+      expect(result.questions[1].pairDistribution).toEqual([
+        { optionIndex: 0, option: 'Turkey', correctTargetIndex: 1, targetCounts: [1, 1], correctCount: 1, totalCount: 2, accuracy: 50 },
+        { optionIndex: 1, option: 'France', correctTargetIndex: 0, targetCounts: [1, 1], correctCount: 1, totalCount: 2, accuracy: 50 }
+      ]);
+    });
+  });
+
+  describe('question pools', () => {
+    it('should map answers of a pooled game to the quiz question they were given to', async () => {
+      const quizRepo = {
+        findById: jest.fn().mockResolvedValue({
+          questions: ['a', 'b', 'c'].map(id => new Question({ id, text: `${id}?`, options: ['x', 'y'], correctAnswerIndex: 0 }))
+        })
+      };
+      uc = new GameStatsUseCases(repo, quizRepo);
+      const session = mockSession({
+        questionIds: ['c', 'gone'],
+        answers: [
+          { questionIndex: 0, answerIndex: 0, isCorrect: true, responseTimeMs: 1000 },
+          { questionIndex: 1, answerIndex: 0, isCorrect: true, responseTimeMs: 1000 }
+        ]
+      });
+      repo.findByQuizAndHost.mockResolvedValue({ sessions: [session] });
+
+      const analytics = await uc.getQuestionAnalytics({ hostId: 'h1', quizId: 'q1' });
+      expect(analytics.questions.map(q => q.questionIndex)).toEqual([2]);
+      const performance = await uc.getQuizPerformance({ hostId: 'h1', quizId: 'q1' });
+      expect(performance.questionBreakdown.map(q => q.questionIndex)).toEqual([2]);
+    });
   });
 
   describe('getWeakTopics', () => {
@@ -56,6 +56,29 @@ describe('GameUseCases edge cases', () => {
     });
   });
 
+  describe('getPlayerAnswerKey', () => {
+    it('should return null if room not found', async () => {
+      roomRepo.findByPin.mockResolvedValue(null);
+      expect(await gu.getPlayerAnswerKey('123456', 's1')).toBeNull();
+    });
+
+    it('should return the host data of the player\'s question', async () => {
+      const player = { nickname: 'Alice' };
+      const room = {
+        getPlayer: jest.fn().mockReturnValue(player),
+        getPlayerQuestion: jest.fn().mockReturnValue({ getHostData: () => ({ text: 'Q1', correctAnswerIndex: 2 }) })
+      };
+      roomRepo.findByPin.mockResolvedValue(room);
+      expect(await gu.getPlayerAnswerKey('123456', 's1')).toEqual({ text: 'Q1', correctAnswerIndex: 2 });
+      expect(room.getPlayerQuestion).toHaveBeenCalledWith(player);
+    });
+
+    it('should return null if the socket is not a player', async () => {
+      roomRepo.findByPin.mockResolvedValue({ getPlayer: jest.fn().mockReturnValue(null) });
+      expect(await gu.getPlayerAnswerKey('123456', 's1')).toBeNull();
+    });
+  });
+
   describe('cleanupExpiredLocks', () => {
     it('should return cleanup counts', () => {
       const result = gu.cleanupExpiredLocks();
@@ -154,8 +154,15 @@ describe('QuizUseCases edge cases', () => {
     });
 
     it('should throw for too many questions', () => {
-      const questions = Array.from({ length: 51 }, () => ({ text: 'Q', options: ['A', 'B'], correctAnswerIndex: 0 }));
-      expect(() => uc._validateImportData({ version: '1.0', quiz: { title: 'T', questions } })).toThrow('maximum 50');
+      const questions = Array.from({ length: 201 }, () => ({ text: 'Q', options: ['A', 'B'], correctAnswerIndex: 0 }));
+      expect(() => uc._validateImportData({ version: '1.0', quiz: { title: 'T', questions } })).toThrow('maximum 200');
+    });
+
+    it('should throw for a question pool pointing past the questions', () => {
+      const questions = [{ text: 'Q', options: ['A', 'B'], correctAnswerIndex: 0 }];
+      const questionPools = [{ name: 'Pool', drawCount: 1, questionIndices: [0, 1] }];
+      expect(() => uc._validateImportData({ version: '1.0', quiz: { title: 'T', questions, questionPools } }))
+        .toThrow('Invalid question pool at index 0');
     });
 
     it('should throw for question missing text', () => {
@@ -206,6 +213,16 @@ describe('QuizUseCases edge cases', () => {
       const result = await uc.importQuiz({ jsonData, requesterId: 'u1' });
       expect(result.quiz).toBeDefined();
     });
+
+    it('should import a bank larger than one game together with its pools', async () => {
+      const questions = Array.from({ length: 60 }, (_, i) => ({ text: `Q${i}?`, options: ['A', 'B'], correctAnswerIndex: 0 }));
+      const questionIndices = Array.from({ length: 40 }, (_, i) => i + 20);
+      const jsonData = { version: '1.0', quiz: { title: 'Imported', questions, questionPools: [{ name: 'Pool', drawCount: 10, questionIndices }] } };
+      const result = await uc.importQuiz({ jsonData, requesterId: 'u1' });
+      expect(result.questionCount).toBe(60);
+      expect(result.quiz.questionPools[0].questionIds).toEqual(result.quiz.questions.slice(20).map(q => q.id));
+      expect(result.quiz.getPlayedQuestionCount()).toBe(30);
+    });
   });
 
   describe('getQuizBySlug', () => {
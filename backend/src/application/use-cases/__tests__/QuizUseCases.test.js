@@ -297,6 +297,24 @@ describe('QuizUseCases', () => {
         requesterId: 'another-user'
       })).rejects.toThrow('Not authorized to modify this quiz');
     });
+
+    it('should update the scoring profile', async () => {
+      const result = await quizUseCases.updateQuiz({
+        quizId,
+        scoringProfile: { preset: 'CUSTOM', timeCurve: 'EASE_IN', minTimeFactor: 0.2 },
+        requesterId: userId
+      });
+
+      expect(result.quiz.scoringProfile.toJSON()).toMatchObject({ preset: 'CUSTOM', timeCurve: 'EASE_IN', minTimeFactor: 0.2 });
+    });
+
+    it('should reject an invalid scoring profile', async () => {
+      await expect(quizUseCases.updateQuiz({
+        quizId,
+        scoringProfile: { preset: 'CUSTOM', minTimeFactor: 2 },
+        requesterId: userId
+      })).rejects.toThrow('Minimum time factor');
+    });
   });
 
   describe('deleteQuiz', () => {
@@ -712,7 +730,7 @@ describe('QuizUseCases', () => {
     });
 
     it('should throw error for too many questions', async () => {
-      const tooManyQuestions = Array.from({ length: 51 }, (_, i) => ({
+      const tooManyQuestions = Array.from({ length: 201 }, (_, i) => ({
         text: `Question ${i}`,
         options: ['A', 'B'],
         correctAnswerIndex: 0
@@ -721,7 +739,7 @@ describe('QuizUseCases', () => {
       await expect(quizUseCases.importQuiz({
         jsonData: { version: '1.0', quiz: { title: 'Test', questions: tooManyQuestions } },
         requesterId: userId
-      })).rejects.toThrow('Invalid import data: maximum 50 questions allowed');
+      })).rejects.toThrow('Invalid import data: maximum 200 questions allowed');
     });
 
     it('should throw error for invalid question text', async () => {
@@ -899,5 +917,197 @@ describe('QuizUseCases', () => {
       expect(questions.questions[0].timeLimit).toBe(20);
       expect(questions.questions[0].points).toBe(500);
     });
+
+    it('should carry multi-select and ordering answer keys through export and import', async () => {
+      const { quiz } = await quizUseCases.createQuiz({ title: 'Typed Quiz', createdBy: userId });
+      await quizUseCases.addQuestion({
+        quizId: quiz.id,
+        questionData: { text: 'Pick primes', type: QuestionType.MULTI_SELECT, options: ['2', '4', '5'], correctAnswerIndices: [0, 2] },
+        requesterId: userId
+      });
+      await quizUseCases.addQuestion({
+        quizId: quiz.id,
+        questionData: { text: 'Order the steps', type: QuestionType.ORDERING, options: ['Pour', 'Boil', 'Fill'], correctOrder: [2, 1, 0] },
+        requesterId: userId
+      });
+
+      const { exportData } = await quizUseCases.exportQuiz({ quizId: quiz.id, requesterId: userId });
+      expect(exportData.quiz.questions[1].correctOrder).toEqual([2, 1, 0]);
+
+      const importResult = await quizUseCases.importQuiz({ jsonData: exportData, requesterId: 'user-2' });
+      const { questions } = await quizUseCases.getQuestions({ quizId: importResult.quiz.id, requesterId: 'user-2' });
+      expect(questions[0].correctAnswerIndices).toEqual([0, 2]);
+      expect(questions[1].type).toBe(QuestionType.ORDERING);
+      expect(questions[1].correctOrder).toEqual([2, 1, 0]);
+    });
+
+    it('should reject an imported ordering question whose order skips an option', async () => {
+      await expect(quizUseCases.importQuiz({
+        jsonData: {
+          version: '1.0',
+          quiz: { title: 'Bad', questions: [{ text: 'Order', type: 'ORDERING', options: ['a', 'b', 'c'], correctOrder: [0, 1] }] }
+        },
+        requesterId: userId
+      })).rejects.toThrow('invalid correctOrder');
+    });
+
+    it('should carry the scoring profile through export and import', async () => {
+      const { quiz } = await quizUseCases.createQuiz({ title: 'Exam', createdBy: userId, scoringProfile: { preset: 'ACCURACY_ONLY' } });
+      await quizUseCases.addQuestion({
+        quizId: quiz.id,
+        questionData: { text: 'What is 1+1?', options: ['1', '2'], correctAnswerIndex: 1 },
+        requesterId: userId
+      });
+
+      const { exportData } = await quizUseCases.exportQuiz({ quizId: quiz.id, requesterId: userId });
+      expect(exportData.quiz.scoringProfile.preset).toBe('ACCURACY_ONLY');
+
+      const importResult = await quizUseCases.importQuiz({ jsonData: exportData, requesterId: 'user-2' });
+      expect(importResult.quiz.scoringProfile.preset).toBe('ACCURACY_ONLY');
+    });
+
+    it('should carry matching pairs through export and import', async () => {
+      const { quiz } = await quizUseCases.createQuiz({ title: 'Matching Quiz', createdBy: userId });
+      await quizUseCases.addQuestion({
+        quizId: quiz.id,
+        questionData: { text: 'Match the capitals', type: QuestionType.MATCHING, options: ['Turkey', 'France'], matchTargets: ['Paris', 'Ankara'], correctMatches: [1, 0] },
+        requesterId: userId
+      });
+
+      const { exportData } = await quizUseCases.exportQuiz({ quizId: quiz.id, requesterId: userId });
+      expect(exportData.quiz.questions[0]).toMatchObject({ matchTargets: ['Paris', 'Ankara'], correctMatches: [1, 0] });
+
+      const importResult = await quizUseCases.importQuiz({ jsonData: exportData, requesterId: 'user-2' });
+      const { questions } = await quizUseCases.getQuestions({ quizId: importResult.quiz.id, requesterId: 'user-2' });
+      expect(questions[0].type).toBe(QuestionType.MATCHING);
+      expect(questions[0].matchTargets).toEqual(['Paris', 'Ankara']);
+      expect(questions[0].correctMatches).toEqual([1, 0]);
+    });
+
+    it('should reject an imported matching question without a target per option', async () => {
+      await expect(quizUseCases.importQuiz({
+        jsonData: {
+          version: '1.0',
+          quiz: { title: 'Bad', questions: [{ text: 'Match', type: 'MATCHING', options: ['a', 'b'], matchTargets: ['x'], correctMatches: [0, 1] }] }
+        },
+        requesterId: userId
+      })).rejects.toThrow('matchTargets');
+      await expect(quizUseCases.importQuiz({
+        jsonData: {
+          version: '1.0',
+          quiz: { title: 'Bad', questions: [{ text: 'Match', type: 'MATCHING', options: ['a', 'b'], matchTargets: ['x', 'y'], correctMatches: [1, 1] }] }
+        },
+        requesterId: userId
+      })).rejects.toThrow('invalid correctMatches');
+    });
+
+    it('should carry numeric answer keys through export and import', async () => {
+      const { quiz } = await quizUseCases.createQuiz({ title: 'Numeric Quiz', createdBy: userId });
+      await quizUseCases.addQuestion({
+        quizId: quiz.id,
+        questionData: { text: 'Height of Ağrı Dağı?', type: QuestionType.NUMERIC, correctValue: 5137, tolerance: 50, unit: 'm' },
+        requesterId: userId
+      });
+
+      const { exportData } = await quizUseCases.exportQuiz({ quizId: quiz.id, requesterId: userId });
+      expect(exportData.quiz.questions[0]).toMatchObject({ correctValue: 5137, tolerance: 50, unit: 'm' });
+
+      const importResult = await quizUseCases.importQuiz({ jsonData: exportData, requesterId: 'user-2' });
+      const { questions } = await quizUseCases.getQuestions({ quizId: importResult.quiz.id, requesterId: 'user-2' });
+      expect(questions[0].options).toEqual([]);
+      expect(questions[0].correctValue).toBe(5137);
+      expect(questions[0].unit).toBe('m');
+    });
+
+    it('should reject an imported numeric question without a correct value', async () => {
+      await expect(quizUseCases.importQuiz({
+        jsonData: {
+          version: '1.0',
+          quiz: { title: 'Bad', questions: [{ text: 'How many?', type: 'NUMERIC', options: [] }] }
+        },
+        requesterId: userId
+      })).rejects.toThrow('invalid correctValue');
+    });
+
+    it('should carry accepted answers through export and import', async () => {
+      const { quiz } = await quizUseCases.createQuiz({ title: 'Typed Quiz', createdBy: userId });
+      await quizUseCases.addQuestion({
+        quizId: quiz.id,
+        questionData: { text: 'Capital of Turkey?', type: QuestionType.TYPE_ANSWER, acceptedAnswers: ['Ankara'], fuzzyMatching: true },
+        requesterId: userId
+      });
+
+      const { exportData } = await quizUseCases.exportQuiz({ quizId: quiz.id, requesterId: userId });
+      expect(exportData.quiz.questions[0]).toMatchObject({ acceptedAnswers: ['Ankara'], fuzzyMatching: true });
+
+      const importResult = await quizUseCases.importQuiz({ jsonData: exportData, requesterId: 'user-2' });
+      const { questions } = await quizUseCases.getQuestions({ quizId: importResult.quiz.id, requesterId: 'user-2' });
+      expect(questions[0].options).toEqual([]);
+      expect(questions[0].acceptedAnswers).toEqual(['Ankara']);
+      expect(questions[0].fuzzyMatching).toBe(true);
+    });
+
+    it('should reject an imported typed question without accepted answers', async () => {
+      await expect(quizUseCases.importQuiz({
+        jsonData: {
+          version: '1.0',
+          quiz: { title: 'Bad', questions: [{ text: 'Capital?', type: 'TYPE_ANSWER', acceptedAnswers: [''] }] }
+        },
+        requesterId: userId
+      })).rejects.toThrow('acceptedAnswers must be non-empty strings');
+    });
+
+    it('should import poll questions without an answer key', async () => {
+      const importResult = await quizUseCases.importQuiz({
+        jsonData: {
+          version: '1.0',
+          quiz: { title: 'Feedback', questions: [{ text: 'How was it?', type: 'MULTIPLE_CHOICE', options: ['Good', 'Bad'], isPoll: true }] }
+        },
+        requesterId: userId
+      });
+      const { exportData } = await quizUseCases.exportQuiz({ quizId: importResult.quiz.id, requesterId: userId });
+      expect(exportData.quiz.questions[0]).toMatchObject({ isPoll: true, correctAnswerIndex: null });
+    });
+
+    it('should round-trip hotspot questions', async () => {
+      const hotspotRegions = [
+        { shape: 'circle', x: 0.4, y: 0.4, radius: 0.05 },
+        { shape: 'polygon', points: [{ x: 0.1, y: 0.1 }, { x: 0.2, y: 0.1 }, { x: 0.1, y: 0.2 }] }
+      ];
+      const importResult = await quizUseCases.importQuiz({
+        jsonData: {
+          version: '1.0',
+          quiz: {
+            title: 'Maps',
+            questions: [{ text: 'Click on Ankara', type: 'HOTSPOT', imageUrl: 'https://example.com/tr.png', hotspotRegions, hotspotScoring: 'DISTANCE' }]
+          }
+        },
+        requesterId: userId
+      });
+      const { exportData } = await quizUseCases.exportQuiz({ quizId: importResult.quiz.id, requesterId: userId });
+      expect(exportData.quiz.questions[0]).toMatchObject({ hotspotRegions, hotspotScoring: 'DISTANCE' });
+    });
+
+    it('should reject hotspot questions without valid regions', async () => {
+      await expect(quizUseCases.importQuiz({
+        jsonData: {
+          version: '1.0',
+          quiz: { title: 'Maps', questions: [{ text: 'Click', type: 'HOTSPOT', imageUrl: 'https://example.com/tr.png', hotspotRegions: [{ shape: 'star' }] }] }
+        },
+        requesterId: userId
+      })).rejects.toThrow('invalid hotspotRegions');
+    });
+
+    it('should import word cloud questions without options', async () => {
+      const importResult = await quizUseCases.importQuiz({
+        jsonData: {
+          version: '1.0',
+          quiz: { title: 'Warm-up', questions: [{ text: 'One word for Monday?', type: 'WORD_CLOUD' }] }
+        },
+        requesterId: userId
+      });
+      const { exportData } = await quizUseCases.exportQuiz({ quizId: importResult.quiz.id, requesterId: userId });
+      expect(exportData.quiz.questions[0]).toMatchObject({ type: 'WORD_CLOUD', options: [], isPoll: true });
+    });
   });
 });
@@ -122,6 +122,24 @@ describe('RoomUseCases comprehensive', () => {
       await roomUseCases.handleDisconnect({ socketId: 'host-sock' });
       const result = await roomUseCases.reconnectHost({ pin: create.room.pin, hostToken: create.hostToken, newSocketId: 'new-host-sock' });
       expect(result.room).toBeDefined();
+      expect(result.recovered).toBe(false);
+    });
+
+    it('should report the first reconnect after the room was recovered from a restart', async () => {
+      const create = await roomUseCases.createRoom({ hostId: 'host-sock', hostUserId: 'user-1', quizId: 'quiz-1' });
+      const join = await roomUseCases.joinRoom({ pin: create.room.pin, nickname: 'Player1', socketId: 'p-sock' });
+      const room = await roomRepo.findByPin(create.room.pin);
+      room.markRecovered(new Date(Date.now() - 1000));
+
+      const host = await roomUseCases.reconnectHost({ pin: create.room.pin, hostToken: create.hostToken, newSocketId: 'new-host-sock' });
+      const player = await roomUseCases.reconnectPlayer({ pin: create.room.pin, playerToken: join.playerToken, newSocketId: 'new-p-sock' });
+      expect(host.recovered).toBe(true);
+      expect(player.recovered).toBe(true);
+
+      // Dropping out again later is an ordinary disconnect
+      await roomUseCases.handleDisconnect({ socketId: 'new-host-sock' });
+      const again = await roomUseCases.reconnectHost({ pin: create.room.pin, hostToken: host.newHostToken, newSocketId: 'host-sock-3' });
+      expect(again.recovered).toBe(false);
     });
   });
 
@@ -221,6 +239,34 @@ describe('RoomUseCases comprehensive', () => {
     });
   });
 
+  describe('power-up loadout', () => {
+    it('should set the loadout for the room', async () => {
+      const create = await roomUseCases.createRoom({ hostId: 'host-sock', hostUserId: 'user-1', quizId: 'quiz-1' });
+      const result = await roomUseCases.setPowerUpLoadout({ pin: create.room.pin, loadout: { DOUBLE_POINTS: 2 }, requesterId: 'host-sock' });
+      expect(result.loadout).toEqual({ FIFTY_FIFTY: 0, DOUBLE_POINTS: 2, TIME_EXTENSION: 0, STREAK_SHIELD: 0, HINT: 0, FREEZE: 0 });
+    });
+
+    it('should reject non-host', async () => {
+      const create = await roomUseCases.createRoom({ hostId: 'host-sock', hostUserId: 'user-1', quizId: 'quiz-1' });
+      await expect(roomUseCases.setPowerUpLoadout({ pin: create.room.pin, loadout: {}, requesterId: 'other' }))
+        .rejects.toThrow();
+    });
+  });
+
+  describe('elimination mode', () => {
+    it('should set the elimination rule for the room', async () => {
+      const create = await roomUseCases.createRoom({ hostId: 'host-sock', hostUserId: 'user-1', quizId: 'quiz-1' });
+      const result = await roomUseCases.setElimination({ pin: create.room.pin, enabled: true, rule: 'BOTTOM_N', count: 2, requesterId: 'host-sock' });
+      expect(result.elimination).toEqual({ enabled: true, rule: 'BOTTOM_N', count: 2 });
+    });
+
+    it('should reject non-host', async () => {
+      const create = await roomUseCases.createRoom({ hostId: 'host-sock', hostUserId: 'user-1', quizId: 'quiz-1' });
+      await expect(roomUseCases.setElimination({ pin: create.room.pin, enabled: true, requesterId: 'other' }))
+        .rejects.toThrow();
+    });
+  });
+
   describe('kick/ban', () => {
     let roomPin;
     beforeEach(async () => {
@@ -307,6 +353,33 @@ describe('RoomUseCases comprehensive', () => {
       const player = room.players[0];
       await roomUseCases.assignPlayerToTeam({ pin: roomPin, playerId: player.id, teamId: team.team.id, requesterId: 'host-sock' });
     });
+
+    it('should balance teams on past accuracy, by account before nickname', async () => {
+      const gameSessionRepository = {
+        getPlayerHistory: jest.fn().mockResolvedValue([
+          { userId: 'acc-1', nickname: 'OldName', correctAnswers: 40, wrongAnswers: 0 },
+          { userId: null, nickname: 'strong2', correctAnswers: 38, wrongAnswers: 2 },
+          { userId: null, nickname: 'Weak1', correctAnswers: 2, wrongAnswers: 38 }
+        ])
+      };
+      roomUseCases = new RoomUseCases(roomRepo, quizRepo, { gameSessionRepository });
+      await roomUseCases.joinRoom({ pin: roomPin, nickname: 'Strong1', socketId: 's1', userId: 'acc-1' });
+      await roomUseCases.joinRoom({ pin: roomPin, nickname: 'Strong2', socketId: 's2' });
+      await roomUseCases.joinRoom({ pin: roomPin, nickname: 'Weak1', socketId: 'w1' });
+      await roomUseCases.joinRoom({ pin: roomPin, nickname: 'Newcomer', socketId: 'n1' });
+      await roomUseCases.enableTeamMode({ pin: roomPin, requesterId: 'host-sock' });
+      await roomUseCases.addTeam({ pin: roomPin, name: 'Alpha', requesterId: 'host-sock' });
+      await roomUseCases.addTeam({ pin: roomPin, name: 'Beta', requesterId: 'host-sock' });
+
+      const { room } = await roomUseCases.balanceTeams({ pin: roomPin, requesterId: 'host-sock' });
+
+      expect(gameSessionRepository.getPlayerHistory).toHaveBeenCalledWith('user-1', { sessionLimit: 50 });
+      const teamOf = (nickname) => room.getTeamForPlayer(room.players.find(p => p.nickname === nickname).id).id;
+      expect(teamOf('Strong1')).not.toBe(teamOf('Strong2'));
+      // The newcomer counts as an average player, so the weakest goes with the strongest
+      expect(teamOf('Weak1')).toBe(teamOf('Strong1'));
+      expect(room.getTeamStrength(room.getAllTeams()[0])).not.toBeNull();
+    });
   });
 
   describe('cleanupExpiredJoinLocks', () => {
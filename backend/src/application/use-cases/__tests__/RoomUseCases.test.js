@@ -1,7 +1,7 @@
 const { RoomUseCases } = require('../RoomUseCases');
 const { RoomRepository } = require('../../../infrastructure/repositories/RoomRepository');
 const { QuizRepository } = require('../../../infrastructure/repositories/QuizRepository');
-const { Quiz, Question, QuestionType, RoomState } = require('../../../domain/entities');
+const { Quiz, Question, QuestionType, RoomState, User } = require('../../../domain/entities');
 
 describe('RoomUseCases', () => {
   let roomUseCases;
@@ -71,6 +71,33 @@ describe('RoomUseCases', () => {
 
       expect(pins.size).toBe(10);
     });
+
+    describe('room capacity limit', () => {
+      const createHost = (fields = {}) => new User({ id: 'host-user', email: 'host@example.com', username: 'host', ...fields });
+      const createWithLimits = async (host, roleLimits = {}) => {
+        const useCases = new RoomUseCases(roomRepository, quizRepository, {
+          userRepository: { findById: jest.fn().mockResolvedValue(host) },
+          roleLimitRepository: { getRoomCapacityLimits: jest.fn().mockResolvedValue(roleLimits) }
+        });
+        const { room } = await useCases.createRoom({ hostId: 'host-socket-1', hostUserId: host ? host.id : 'gone-user', quizId: 'quiz-1' });
+        await roomRepository.delete(room.pin);
+        return room.getCapacityConfig().limit;
+      };
+
+      it('should use the limit of the host\'s role by default', async () => {
+        expect(await createWithLimits(createHost())).toBe(50);
+        expect(await createWithLimits(createHost({ role: 'admin' }))).toBe(500);
+      });
+
+      it('should use the limit an admin set for the role, then for the host', async () => {
+        expect(await createWithLimits(createHost(), { user: 200 })).toBe(200);
+        expect(await createWithLimits(createHost({ maxRoomCapacity: 300 }), { user: 200 })).toBe(300);
+      });
+
+      it('should use the default limit for a host it cannot find', async () => {
+        expect(await createWithLimits(null, { user: 200 })).toBe(50);
+      });
+    });
   });
 
   describe('joinRoom', () => {
@@ -95,6 +122,18 @@ describe('RoomUseCases', () => {
       expect(result.player.nickname).toBe('Player1');
       expect(result.player.socketId).toBe('player-socket-1');
       expect(result.room.getPlayerCount()).toBe(1);
+      expect(result.player.isBot).toBe(false);
+    });
+
+    it('should mark a lobby bot as one', async () => {
+      const result = await roomUseCases.joinRoom({
+        pin: roomPin,
+        nickname: 'Bot-1',
+        socketId: 'bot-socket-1',
+        isBot: true
+      });
+
+      expect(result.player.isBot).toBe(true);
     });
 
     it('should throw error for non-existent room', async () => {
@@ -271,6 +310,121 @@ describe('RoomUseCases', () => {
     });
   });
 
+  describe('setRoomCapacity', () => {
+    let roomPin;
+
+    beforeEach(async () => {
+      const result = await roomUseCases.createRoom({
+        hostId: 'host-socket-1',
+        quizId: 'quiz-1'
+      });
+      roomPin = result.room.pin;
+    });
+
+    it('should set how many players and spectators the room lets in', async () => {
+      const result = await roomUseCases.setRoomCapacity({ pin: roomPin, players: 30, spectators: 5, requesterId: 'host-socket-1' });
+
+      expect(result.capacity).toEqual({ players: 30, spectators: 5, limit: 50 });
+      const { room } = await roomUseCases.getRoom({ pin: roomPin });
+      expect(room.getOpenPlayerSlots()).toBe(30);
+    });
+
+    it('should throw error above the host\'s limit', async () => {
+      await expect(roomUseCases.setRoomCapacity({
+        pin: roomPin,
+        players: 51,
+        spectators: 5,
+        requesterId: 'host-socket-1'
+      })).rejects.toThrow('Room capacity must be between 1 and 50 players');
+    });
+
+    it('should throw error when called by non-host', async () => {
+      await expect(roomUseCases.setRoomCapacity({
+        pin: roomPin,
+        players: 30,
+        spectators: 5,
+        requesterId: 'someone-else'
+      })).rejects.toThrow('Only host can perform this action');
+    });
+
+    it('should report the bots that fit in the capacity', async () => {
+      await roomUseCases.setRoomCapacity({ pin: roomPin, players: 3, spectators: 5, requesterId: 'host-socket-1' });
+
+      const result = await roomUseCases.getBotSlots({ pin: roomPin, count: 10, requesterId: 'host-socket-1' });
+
+      expect(result.count).toBe(3);
+    });
+  });
+
+  describe('setLargeEvent', () => {
+    it('should turn large-event mode on for the host only', async () => {
+      const { room } = await roomUseCases.createRoom({ hostId: 'host-socket-1', quizId: 'quiz-1' });
+
+      const result = await roomUseCases.setLargeEvent({ pin: room.pin, enabled: true, requesterId: 'host-socket-1' });
+
+      expect(result.largeEvent).toBe(true);
+      await expect(roomUseCases.setLargeEvent({
+        pin: room.pin,
+        enabled: false,
+        requesterId: 'someone-else'
+      })).rejects.toThrow('Only host can perform this action');
+    });
+  });
+
+  describe('getBotSlots', () => {
+    let roomPin;
+
+    beforeEach(async () => {
+      const result = await roomUseCases.createRoom({
+        hostId: 'host-socket-1',
+        quizId: 'quiz-1'
+      });
+      roomPin = result.room.pin;
+    });
+
+    it('should return the bots asked for while they fit', async () => {
+      const result = await roomUseCases.getBotSlots({ pin: roomPin, count: 10, requesterId: 'host-socket-1' });
+
+      expect(result.count).toBe(10);
+    });
+
+    it('should leave room for the players already in', async () => {
+      await roomUseCases.joinRoom({ pin: roomPin, nickname: 'Player1', socketId: 'player-socket-1' });
+
+      const result = await roomUseCases.getBotSlots({ pin: roomPin, count: 100, requesterId: 'host-socket-1' });
+
+      expect(result.count).toBe(49);
+    });
+
+    it('should throw error when called by non-host', async () => {
+      await expect(roomUseCases.getBotSlots({
+        pin: roomPin,
+        count: 5,
+        requesterId: 'someone-else'
+      })).rejects.toThrow('Only host can perform this action');
+    });
+
+    it('should throw error for invalid count', async () => {
+      await expect(roomUseCases.getBotSlots({
+        pin: roomPin,
+        count: 0,
+        requesterId: 'host-socket-1'
+      })).rejects.toThrow('Bot count must be a positive integer');
+    });
+
+    it('should throw error once the game has started', async () => {
+      const { room } = await roomUseCases.getRoom({ pin: roomPin });
+      room.state = RoomState.QUESTION_INTRO;
+      await roomRepository.save(room);
+
+      await expect(roomUseCases.getBotSlots({
+        pin: roomPin,
+        count: 5,
+        requesterId: 'host-socket-1'
+      })).rejects.toThrow('Bots can only be added in lobby');
+    });
+  });
+
   describe('findRoomBySocketId', () => {
     let roomPin;
 
@@ -1,5 +1,6 @@
 const { Nickname } = require('../value-objects/Nickname');
 const { TOKEN_EXPIRATION_MS } = require('../../shared/config/constants');
+const { toDateOrNull } = require('../../shared/utils/dates');
 
 class BaseParticipant {
   static TOKEN_EXPIRATION_MS = TOKEN_EXPIRATION_MS;
@@ -83,6 +84,38 @@ class BaseParticipant {
       this.tokenCreatedAt = new Date();
     }
   }
+
+  /**
+   * Plain copy of the participant, kept so the room survives a server restart
+   */
+  toSnapshot() {
+    return {
+      id: this.id,
+      socketId: this.socketId,
+      nickname: this.nickname,
+      roomPin: this.roomPin,
+      token: this._token,
+      tokenCreatedAt: this.tokenCreatedAt,
+      joinedAt: this.joinedAt,
+      disconnectedAt: this.disconnectedAt
+    };
+  }
+
+  /**
+   * Constructor parameters for a participant taken by toSnapshot(); its dates may arrive as strings
+   * @protected
+   */
+  static _paramsFromSnapshot(data) {
+    return {
+      id: data.id,
+      socketId: data.socketId,
+      nickname: data.nickname,
+      roomPin: data.roomPin,
+      token: data.token,
+      tokenCreatedAt: toDateOrNull(data.tokenCreatedAt),
+      joinedAt: toDateOrNull(data.joinedAt) || new Date()
+    };
+  }
 }
 
 module.exports = { BaseParticipant, TOKEN_EXPIRATION_MS };
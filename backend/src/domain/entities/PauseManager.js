@@ -1,4 +1,5 @@
 const { ValidationError, ForbiddenError } = require('../../shared/errors');
+const { toDateOrNull } = require('../../shared/utils/dates');
 
 class PauseManager {
   constructor() {
@@ -78,6 +79,27 @@ class PauseManager {
     if (!this.pausedAt) return 0;
     return Date.now() - this.pausedAt.getTime();
   }
+
+  toSnapshot() {
+    return {
+      pausedAt: this.pausedAt,
+      pausedFromState: this.pausedFromState,
+      pausedTimerState: this.pausedTimerState ? { ...this.pausedTimerState } : null
+    };
+  }
+
+  /**
+   * Rebuild pause state from toSnapshot()
+   * @param {Object} data
+   * @returns {PauseManager}
+   */
+  static fromSnapshot(data = {}) {
+    const manager = new PauseManager();
+    manager.pausedAt = toDateOrNull(data.pausedAt);
+    manager.pausedFromState = data.pausedFromState || null;
+    manager.pausedTimerState = data.pausedTimerState || null;
+    return manager;
+  }
 }
 
 module.exports = { PauseManager };
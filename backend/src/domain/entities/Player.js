@@ -3,6 +3,7 @@ const { Score } = require('../value-objects/Score');
 const { PowerUpType, DEFAULT_POWER_UPS } = require('../value-objects/PowerUp');
 const { ValidationError, ForbiddenError } = require('../../shared/errors');
 const { MAX_STREAK } = require('../../shared/config/constants');
+const { toDateOrNull } = require('../../shared/utils/dates');
 
 /**
  * Player Entity
@@ -12,9 +13,14 @@ const { MAX_STREAK } = require('../../shared/config/constants');
 class Player extends BaseParticipant {
   static TOKEN_EXPIRATION_MS = TOKEN_EXPIRATION_MS;
 
-  constructor({ id, socketId, nickname, roomPin, token = null, playerToken = null, tokenCreatedAt = null, score = 0, streak = 0, correctAnswers = 0, longestStreak = 0, joinedAt = new Date() }) {
+  constructor({ id, socketId, nickname, roomPin, token = null, playerToken = null, tokenCreatedAt = null, score = 0, streak = 0, correctAnswers = 0, longestStreak = 0, joinedAt = new Date(), userId = null, isBot = false }) {
     super({ id, socketId, nickname, roomPin, token: token || playerToken, tokenCreatedAt, joinedAt });
 
+    // Account of a signed-in player; lets past games be found by account instead of nickname
+    this.userId = userId;
+    // Lobby bot filling a demo game; left out of the archived game
+    this.isBot = isBot;
+
     this._score = score instanceof Score ? score : new Score(score);
     this.streak = streak;
     this.correctAnswers = correctAnswers;
@@ -25,6 +31,10 @@ class Player extends BaseParticipant {
     this.powerUps = { ...DEFAULT_POWER_UPS };
     this.activePowerUp = null; // Currently active power-up for current question
     this.eliminatedOptions = []; // 50:50 eliminated options for current question (persisted for reconnect)
+    this.streakShielded = false; // STREAK_SHIELD protects the streak from the current question's answer
+    this.revealedHint = null; // HINT text revealed for current question (persisted for reconnect)
+    // Elimination mode: index of the question that knocked the player out (null while still in)
+    this.eliminatedAtQuestion = null;
   }
 
   // Backward-compatible alias for token
@@ -50,22 +60,45 @@ class Player extends BaseParticipant {
     this._score = this._score.add(points);
   }
 
+  /**
+   * Remove points for a wrong answer under negative marking; the score stops at zero
+   * @param {number} points - Non-negative number of points to remove
+   * @returns {number} Points actually removed
+   */
+  deductScore(points) {
+    if (typeof points !== 'number' || !Number.isFinite(points)) {
+      throw new ValidationError('Points must be a valid number');
+    }
+    if (points < 0) {
+      throw new ValidationError('Points cannot be negative');
+    }
+    const before = this._score.toNumber();
+    this._score = this._score.subtract(points);
+    return before - this._score.toNumber();
+  }
+
+  /**
+   * Count a correct answer
+   * @returns {boolean} Whether the streak grew (it stops at MAX_STREAK)
+   */
   incrementStreak() {
     // Cap streak at MAX_STREAK to prevent overflow
-    if (this.streak < MAX_STREAK) {
+    const grew = this.streak < MAX_STREAK;
+    if (grew) {
       this.streak++;
     }
     this.correctAnswers++;
     if (this.streak > this.longestStreak) {
       this.longestStreak = this.streak;
     }
+    return grew;
   }
 
   resetStreak() {
     this.streak = 0;
   }
 
-  submitAnswer(answerIndex, elapsedTimeMs) {
+  submitAnswer(answerIndex, elapsedTimeMs, answerValue = null) {
     // Prevent disconnected players from submitting (defensive check)
     if (this.isDisconnected()) {
       throw new ForbiddenError('Cannot submit answer while disconnected');
@@ -76,9 +109,17 @@ class Player extends BaseParticipant {
       throw new ForbiddenError('Already answered this question');
     }
 
-    // Validate answerIndex
-    if (typeof answerIndex !== 'number' || !Number.isInteger(answerIndex) || answerIndex < 0) {
-      throw new ValidationError('Answer index must be a non-negative integer');
+    // NUMERIC and TYPE_ANSWER answers carry a value instead of option indices; the question validates its shape
+    const hasAnswerValue = answerValue !== null && answerValue !== undefined;
+    if (!hasAnswerValue) {
+      // Validate answerIndex (an array of indices for MULTI_SELECT questions)
+      const selectedIndices = Array.isArray(answerIndex) ? answerIndex : [answerIndex];
+      if (selectedIndices.length === 0) {
+        throw new ValidationError('Answer must select at least one option');
+      }
+      if (!selectedIndices.every(i => typeof i === 'number' && Number.isInteger(i) && i >= 0)) {
+        throw new ValidationError('Answer index must be a non-negative integer');
+      }
     }
 
     // Validate elapsedTimeMs
@@ -87,7 +128,8 @@ class Player extends BaseParticipant {
     }
 
     this.answerAttempt = {
-      answerIndex,
+      answerIndex: hasAnswerValue ? null : (Array.isArray(answerIndex) ? [...answerIndex] : answerIndex),
+      answerValue: hasAnswerValue ? answerValue : null,
       elapsedTimeMs: Math.max(0, elapsedTimeMs),
       submittedAt: new Date()
     };
@@ -97,12 +139,32 @@ class Player extends BaseParticipant {
     this.answerAttempt = null;
     this.clearActivePowerUp();
     this.eliminatedOptions = [];
+    this.streakShielded = false;
+    this.revealedHint = null;
   }
 
   hasAnswered() {
     return this.answerAttempt !== null;
   }
 
+  /**
+   * Whether the current answer attempt is right; no answer counts as wrong
+   * @param {Question} question - The question being answered
+   */
+  hasAnsweredCorrectly(question) {
+    if (!this.hasAnswered()) return false;
+    const { answerIndex, answerValue } = this.answerAttempt;
+    return question.isCorrect(answerValue ?? answerIndex);
+  }
+
+  markEliminated(questionIndex) {
+    this.eliminatedAtQuestion = questionIndex;
+  }
+
+  isEliminated() {
+    return this.eliminatedAtQuestion !== null;
+  }
+
   // ==================== POWER-UP METHODS ====================
 
   /**
@@ -125,6 +187,25 @@ class Player extends BaseParticipant {
     return { ...this.powerUps };
   }
 
+  /**
+   * Replace the power-up counts with the room's loadout (see Room.setPowerUpLoadout)
+   * @param {Object} loadout - Count per PowerUpType
+   */
+  setPowerUps(loadout) {
+    this.powerUps = { ...loadout };
+  }
+
+  /**
+   * Add one power-up earned during play
+   * @param {string} type - PowerUpType
+   */
+  grantPowerUp(type) {
+    if (!PowerUpType[type]) {
+      throw new ValidationError(`Invalid power-up type: ${type}`);
+    }
+    this.powerUps[type] = (this.powerUps[type] || 0) + 1;
+  }
+
   /**
    * Use a power-up: validates and decrements count.
    * Does NOT set activePowerUp — that is the responsibility of the
@@ -176,6 +257,34 @@ class Player extends BaseParticipant {
     this.eliminatedOptions = [...options];
   }
 
+  /**
+   * Keep the current streak if this question is answered wrong (STREAK_SHIELD)
+   */
+  activateStreakShield() {
+    if (this.streakShielded) {
+      throw new ValidationError('Streak shield is already active');
+    }
+    if (this.streak === 0) {
+      throw new ValidationError('No streak to protect');
+    }
+    this.streakShielded = true;
+  }
+
+  hasStreakShield() {
+    return this.streakShielded;
+  }
+
+  /**
+   * Remember the revealed hint for the current question (persisted for reconnect)
+   * @param {string} hint
+   */
+  setRevealedHint(hint) {
+    if (typeof hint !== 'string' || hint.length === 0) {
+      throw new ValidationError('Hint must be a non-empty string');
+    }
+    this.revealedHint = hint;
+  }
+
   /**
    * Refund a consumed power-up (e.g. when timer extension fails)
    * @param {string} type - PowerUpType
@@ -218,6 +327,56 @@ class Player extends BaseParticipant {
 
     return result;
   }
+
+  /**
+   * Plain copy of the player including this question's answer and power-up state
+   */
+  toSnapshot() {
+    return {
+      ...super.toSnapshot(),
+      userId: this.userId,
+      isBot: this.isBot,
+      score: this.score,
+      streak: this.streak,
+      correctAnswers: this.correctAnswers,
+      longestStreak: this.longestStreak,
+      answerAttempt: this.answerAttempt,
+      powerUps: { ...this.powerUps },
+      activePowerUp: this.activePowerUp,
+      eliminatedOptions: [...this.eliminatedOptions],
+      streakShielded: this.streakShielded,
+      revealedHint: this.revealedHint,
+      eliminatedAtQuestion: this.eliminatedAtQuestion
+    };
+  }
+
+  /**
+   * Rebuild a player from toSnapshot()
+   * @param {Object} data
+   * @returns {Player}
+   */
+  static fromSnapshot(data) {
+    const player = new Player({
+      ...BaseParticipant._paramsFromSnapshot(data),
+      userId: data.userId || null,
+      isBot: data.isBot === true,
+      score: data.score,
+      streak: data.streak,
+      correctAnswers: data.correctAnswers,
+      longestStreak: data.longestStreak
+    });
+    player.disconnectedAt = toDateOrNull(data.disconnectedAt);
+    player.answerAttempt = data.answerAttempt
+      ? { ...data.answerAttempt, submittedAt: toDateOrNull(data.answerAttempt.submittedAt) }
+      : null;
+    player.powerUps = { ...DEFAULT_POWER_UPS, ...data.powerUps };
+    player.activePowerUp = data.activePowerUp || null;
+    player.eliminatedOptions = Array.isArray(data.eliminatedOptions) ? [...data.eliminatedOptions] : [];
+    player.streakShielded = data.streakShielded === true;
+    player.revealedHint = data.revealedHint || null;
+    player.eliminatedAtQuestion = data.eliminatedAtQuestion ?? null;
+    return player;
+  }
 }
 
 module.exports = { Player };
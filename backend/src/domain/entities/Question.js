@@ -1,9 +1,33 @@
 const { ValidationError } = require('../../shared/errors');
-const { MAX_POINTS, MIN_POINTS, MAX_OPTIONS } = require('../../shared/config/constants');
+const { MAX_POINTS, MIN_POINTS, MAX_OPTIONS, MAX_ACCEPTED_ANSWERS, MAX_HOTSPOT_REGIONS, HOTSPOT_DISTANCE_RANGE } = require('../../shared/config/constants');
+const { TextAnswer } = require('../value-objects/TextAnswer');
+const { WordCloud } = require('../value-objects/WordCloud');
+const { ClickPoint, HotspotRegion } = require('../value-objects/HotspotGeometry');
+const { ScoringProfile } = require('../value-objects/ScoringProfile');
 
 const QuestionType = {
   MULTIPLE_CHOICE: 'MULTIPLE_CHOICE',
-  TRUE_FALSE: 'TRUE_FALSE'
+  TRUE_FALSE: 'TRUE_FALSE',
+  MULTI_SELECT: 'MULTI_SELECT',
+  ORDERING: 'ORDERING',
+  MATCHING: 'MATCHING',
+  NUMERIC: 'NUMERIC',
+  TYPE_ANSWER: 'TYPE_ANSWER',
+  WORD_CLOUD: 'WORD_CLOUD',
+  HOTSPOT: 'HOTSPOT'
+};
+
+// How a HOTSPOT click earns points: only inside a region, or also partly when close to one
+const HotspotScoring = {
+  HIT: 'HIT',
+  DISTANCE: 'DISTANCE'
+};
+
+// How hard a question is; adaptive games step between these based on how the last question went
+const QuestionDifficulty = {
+  EASY: 'EASY',
+  MEDIUM: 'MEDIUM',
+  HARD: 'HARD'
 };
 
 // Allowed protocols for image URLs
@@ -12,8 +36,20 @@ const ALLOWED_IMAGE_PROTOCOLS = ['http:', 'https:'];
 // Valid question types
 const VALID_QUESTION_TYPES = Object.values(QuestionType);
 
+// Types answered with a free answerValue instead of picking options
+const OPTIONLESS_TYPES = [QuestionType.NUMERIC, QuestionType.TYPE_ANSWER, QuestionType.WORD_CLOUD, QuestionType.HOTSPOT];
+
+// Types that can be asked as a poll (options without a correct answer)
+// WORD_CLOUD questions are always polls
+const POLL_TYPES = [QuestionType.MULTIPLE_CHOICE, QuestionType.TRUE_FALSE, QuestionType.MULTI_SELECT, QuestionType.WORD_CLOUD];
+
+const MAX_UNIT_LENGTH = 20;
+const MAX_HINT_LENGTH = 200;
+// Absorbs floating point noise when comparing a numeric answer against the tolerance (e.g. 3.2 - 3.1 > 0.1)
+const NUMERIC_EPSILON = 1e-9;
+
 class Question {
-  constructor({ id, text, type = QuestionType.MULTIPLE_CHOICE, options, correctAnswerIndex, timeLimit = 30, points = 1000, imageUrl = null, explanation = '' }) {
+  constructor({ id, text, type = QuestionType.MULTIPLE_CHOICE, options, correctAnswerIndex, correctAnswerIndices = null, correctOrder = null, matchTargets = null, correctMatches = null, correctValue = null, tolerance = 0, unit = '', acceptedAnswers = null, fuzzyMatching = false, hotspotRegions = null, hotspotScoring = HotspotScoring.HIT, isPoll = false, timeLimit = 30, points = 1000, imageUrl = null, explanation = '', hint = '', difficulty = QuestionDifficulty.MEDIUM }) {
     this.id = id;
     this.text = text;
     // Validate and set type
@@ -21,12 +57,65 @@ class Question {
       throw new ValidationError(`Invalid question type: ${type}. Must be one of: ${VALID_QUESTION_TYPES.join(', ')}`);
     }
     this.type = type;
-    this.options = options;
-    this.correctAnswerIndex = correctAnswerIndex;
+    // NUMERIC, TYPE_ANSWER, WORD_CLOUD and HOTSPOT questions are answered with a free value, so they have no options
+    this.options = OPTIONLESS_TYPES.includes(type) ? [] : options;
+    // Each type keeps exactly one answer key: MULTI_SELECT a sorted index set,
+    // ORDERING the option indices in their correct sequence, MATCHING the
+    // matchTargets index paired with each option, NUMERIC a value with
+    // its accepted ± tolerance, TYPE_ANSWER a list of accepted texts, HOTSPOT
+    // the correct regions of its image, the rest correctAnswerIndex.
+    // Polls have no answer key at all.
+    this.isPoll = isPoll === true || type === QuestionType.WORD_CLOUD;
+    this.correctAnswerIndex = null;
+    this.correctAnswerIndices = null;
+    this.correctOrder = null;
+    // MATCHING pairs each option (left column) with one of matchTargets (right column)
+    this.matchTargets = type === QuestionType.MATCHING ? matchTargets : null;
+    this.correctMatches = null;
+    this.correctValue = null;
+    this.tolerance = null;
+    this.unit = null;
+    this.acceptedAnswers = null;
+    this.fuzzyMatching = false;
+    this.hotspotRegions = null;
+    this.hotspotScoring = null;
+    if (this.isPoll) {
+      // Opinion questions: every answer is recorded, none is right or wrong
+    } else if (type === QuestionType.TYPE_ANSWER) {
+      this.acceptedAnswers = Array.isArray(acceptedAnswers)
+        ? acceptedAnswers.map(a => (typeof a === 'string' ? a.trim() : a))
+        : acceptedAnswers;
+      this.fuzzyMatching = fuzzyMatching === true;
+    } else if (type === QuestionType.HOTSPOT) {
+      this.hotspotRegions = Array.isArray(hotspotRegions)
+        ? hotspotRegions.map(region => (region instanceof HotspotRegion ? region : new HotspotRegion(region)))
+        : hotspotRegions;
+      this.hotspotScoring = hotspotScoring ?? HotspotScoring.HIT;
+    } else if (type === QuestionType.NUMERIC) {
+      this.correctValue = correctValue;
+      this.tolerance = tolerance ?? 0;
+      this.unit = typeof unit === 'string' ? unit.trim() : unit;
+    } else if (type === QuestionType.MULTI_SELECT) {
+      this.correctAnswerIndices = Array.isArray(correctAnswerIndices)
+        ? [...correctAnswerIndices].sort((a, b) => a - b)
+        : correctAnswerIndices;
+    } else if (type === QuestionType.ORDERING) {
+      this.correctOrder = Array.isArray(correctOrder) ? [...correctOrder] : correctOrder;
+    } else if (type === QuestionType.MATCHING) {
+      this.correctMatches = Array.isArray(correctMatches) ? [...correctMatches] : correctMatches;
+    } else {
+      this.correctAnswerIndex = correctAnswerIndex;
+    }
     this.timeLimit = timeLimit;
     this.points = points;
     this.imageUrl = this._sanitizeImageUrl(imageUrl);
     this.explanation = this._sanitizeExplanation(explanation);
+    // Author-written clue players can reveal with the HINT power-up
+    this.hint = this._sanitizeHint(hint);
+    if (!Object.values(QuestionDifficulty).includes(difficulty)) {
+      throw new ValidationError(`Invalid difficulty: ${difficulty}. Must be one of: ${Object.values(QuestionDifficulty).join(', ')}`);
+    }
+    this.difficulty = difficulty;
 
     this.validate();
   }
@@ -46,6 +135,21 @@ class Question {
     return trimmed;
   }
 
+  /**
+   * Sanitize hint text
+   * @private
+   */
+  _sanitizeHint(hint) {
+    if (!hint || typeof hint !== 'string') {
+      return '';
+    }
+    const trimmed = hint.trim();
+    if (trimmed.length > MAX_HINT_LENGTH) {
+      throw new ValidationError(`Hint cannot exceed ${MAX_HINT_LENGTH} characters`);
+    }
+    return trimmed;
+  }
+
   /**
    * Sanitize and validate image URL
    * @private
@@ -79,6 +183,35 @@ class Question {
       throw new ValidationError('Question text is required');
     }
 
+    if (this.isPoll && !POLL_TYPES.includes(this.type)) {
+      throw new ValidationError(`Only ${POLL_TYPES.join(', ')} questions can be polls`);
+    }
+
+    if (this.isNumeric()) {
+      this._validateNumericKey();
+    } else if (this.isTypeAnswer()) {
+      this._validateAcceptedAnswers();
+    } else if (this.isHotspot()) {
+      this._validateHotspotKey();
+    } else if (!this.isWordCloud()) {
+      this._validateOptions();
+    }
+
+    if (this.timeLimit < 5 || this.timeLimit > 120) {
+      throw new ValidationError('Time limit must be between 5 and 120 seconds');
+    }
+
+    // Validate points
+    if (typeof this.points !== 'number' || this.points < MIN_POINTS || this.points > MAX_POINTS) {
+      throw new ValidationError(`Points must be between ${MIN_POINTS} and ${MAX_POINTS}`);
+    }
+  }
+
+  /**
+   * Validate the options and the answer key of option-based question types
+   * @private
+   */
+  _validateOptions() {
     if (!this.options || !Array.isArray(this.options) || this.options.length < 2) {
       throw new ValidationError('At least 2 options required');
     }
@@ -96,38 +229,440 @@ class Question {
       throw new ValidationError('TRUE_FALSE questions must have exactly 2 options');
     }
 
-    if (this.type === QuestionType.MULTIPLE_CHOICE && this.options.length > MAX_OPTIONS) {
+    if (this.type !== QuestionType.TRUE_FALSE && this.options.length > MAX_OPTIONS) {
       throw new ValidationError(`Maximum ${MAX_OPTIONS} options allowed`);
     }
 
-    if (typeof this.correctAnswerIndex !== 'number' || !Number.isInteger(this.correctAnswerIndex) ||
-        this.correctAnswerIndex < 0 || this.correctAnswerIndex >= this.options.length) {
+    if (this.isMatching()) {
+      this._validateMatchTargets();
+    }
+
+    if (this.isPoll) {
+      return;
+    }
+
+    if (this.type === QuestionType.MULTI_SELECT) {
+      this._validateCorrectAnswerIndices();
+    } else if (this.type === QuestionType.ORDERING) {
+      if (!this._isPermutation(this.correctOrder)) {
+        throw new ValidationError('ORDERING questions require a correct order containing every option exactly once');
+      }
+    } else if (this.type === QuestionType.MATCHING) {
+      if (!this._isPermutation(this.correctMatches)) {
+        throw new ValidationError('MATCHING questions require every option to be paired with a different match target');
+      }
+    } else if (!this._isValidOptionIndex(this.correctAnswerIndex)) {
       throw new ValidationError('Invalid correct answer index');
     }
+  }
 
-    if (this.timeLimit < 5 || this.timeLimit > 120) {
-      throw new ValidationError('Time limit must be between 5 and 120 seconds');
+  /**
+   * Validate the right column of a MATCHING question: one non-empty text per option
+   * @private
+   */
+  _validateMatchTargets() {
+    if (!Array.isArray(this.matchTargets) || this.matchTargets.length !== this.options.length) {
+      throw new ValidationError('MATCHING questions require one match target per option');
     }
+    this.matchTargets.forEach((target, i) => {
+      if (typeof target !== 'string' || target.trim() === '') {
+        throw new ValidationError(`Match target ${i + 1} cannot be empty`);
+      }
+    });
+  }
 
-    // Validate points
-    if (typeof this.points !== 'number' || this.points < MIN_POINTS || this.points > MAX_POINTS) {
-      throw new ValidationError(`Points must be between ${MIN_POINTS} and ${MAX_POINTS}`);
+  /**
+   * Validate the NUMERIC answer key: a finite value, a non-negative tolerance and an optional unit
+   * @private
+   */
+  _validateNumericKey() {
+    if (typeof this.correctValue !== 'number' || !Number.isFinite(this.correctValue)) {
+      throw new ValidationError('NUMERIC questions require a numeric correct value');
+    }
+    if (typeof this.tolerance !== 'number' || !Number.isFinite(this.tolerance) || this.tolerance < 0) {
+      throw new ValidationError('Tolerance must be a non-negative number');
+    }
+    if (typeof this.unit !== 'string') {
+      throw new ValidationError('Unit must be a string');
+    }
+    if (this.unit.length > MAX_UNIT_LENGTH) {
+      throw new ValidationError(`Unit cannot exceed ${MAX_UNIT_LENGTH} characters`);
+    }
+  }
+
+  /**
+   * Validate the TYPE_ANSWER answer key: 1 to MAX_ACCEPTED_ANSWERS non-empty texts
+   * @private
+   */
+  _validateAcceptedAnswers() {
+    const answers = this.acceptedAnswers;
+    if (!Array.isArray(answers) || answers.length === 0) {
+      throw new ValidationError('TYPE_ANSWER questions require at least one accepted answer');
+    }
+    if (answers.length > MAX_ACCEPTED_ANSWERS) {
+      throw new ValidationError(`Maximum ${MAX_ACCEPTED_ANSWERS} accepted answers allowed`);
+    }
+    answers.forEach((answer, i) => {
+      // Punctuation-only answers normalize to nothing and could never be matched
+      if (!TextAnswer.isValid(answer) || !TextAnswer.normalize(answer)) {
+        throw new ValidationError(`Accepted answer ${i + 1} must be 1-${TextAnswer.MAX_LENGTH} characters of text`);
+      }
+    });
+  }
+
+  /**
+   * Validate the HOTSPOT answer key: an image to click on, 1 to MAX_HOTSPOT_REGIONS regions and a scoring mode
+   * @private
+   */
+  _validateHotspotKey() {
+    if (!this.imageUrl) {
+      throw new ValidationError('HOTSPOT questions require an image');
+    }
+    if (!Array.isArray(this.hotspotRegions) || this.hotspotRegions.length === 0) {
+      throw new ValidationError('HOTSPOT questions require at least one correct region');
+    }
+    if (this.hotspotRegions.length > MAX_HOTSPOT_REGIONS) {
+      throw new ValidationError(`Maximum ${MAX_HOTSPOT_REGIONS} hotspot regions allowed`);
+    }
+    if (!Object.values(HotspotScoring).includes(this.hotspotScoring)) {
+      throw new ValidationError(`Hotspot scoring must be one of: ${Object.values(HotspotScoring).join(', ')}`);
+    }
+  }
+
+  /**
+   * Validate the MULTI_SELECT answer key: non-empty, unique, in-range indices
+   * @private
+   */
+  _validateCorrectAnswerIndices() {
+    const indices = this.correctAnswerIndices;
+    if (!Array.isArray(indices) || indices.length === 0) {
+      throw new ValidationError('MULTI_SELECT questions require at least one correct answer');
+    }
+    if (!indices.every(i => this._isValidOptionIndex(i))) {
+      throw new ValidationError('Invalid correct answer index');
+    }
+    if (new Set(indices).size !== indices.length) {
+      throw new ValidationError('Correct answer indices must be unique');
+    }
+  }
+
+  /**
+   * Whether value lists every option index exactly once
+   * @private
+   */
+  _isPermutation(value) {
+    return Array.isArray(value) &&
+      value.length === this.options.length &&
+      value.every(i => this._isValidOptionIndex(i)) &&
+      new Set(value).size === value.length;
+  }
+
+  /**
+   * @private
+   */
+  _isValidOptionIndex(index) {
+    return typeof index === 'number' && Number.isInteger(index) &&
+      index >= 0 && index < this.options.length;
+  }
+
+  /**
+   * Normalize a MULTI_SELECT selection into a unique index set.
+   * Returns null when the selection is empty or contains an invalid index.
+   * @private
+   */
+  _toSelectionSet(answerIndices) {
+    if (!Array.isArray(answerIndices) || answerIndices.length === 0) {
+      return null;
+    }
+    if (!answerIndices.every(i => this._isValidOptionIndex(i))) {
+      return null;
+    }
+    return new Set(answerIndices);
+  }
+
+  isMultiSelect() {
+    return this.type === QuestionType.MULTI_SELECT;
+  }
+
+  isOrdering() {
+    return this.type === QuestionType.ORDERING;
+  }
+
+  isMatching() {
+    return this.type === QuestionType.MATCHING;
+  }
+
+  isNumeric() {
+    return this.type === QuestionType.NUMERIC;
+  }
+
+  isTypeAnswer() {
+    return this.type === QuestionType.TYPE_ANSWER;
+  }
+
+  isWordCloud() {
+    return this.type === QuestionType.WORD_CLOUD;
+  }
+
+  isHotspot() {
+    return this.type === QuestionType.HOTSPOT;
+  }
+
+  /**
+   * Whether answers to this question are submitted as an answerValue instead of an answerIndex
+   */
+  expectsAnswerValue() {
+    return OPTIONLESS_TYPES.includes(this.type);
+  }
+
+  /**
+   * Validate the shape of a submitted answerValue: a finite number for NUMERIC,
+   * a short text for TYPE_ANSWER, a short word or phrase without blocked words for WORD_CLOUD,
+   * a click position on the image for HOTSPOT
+   * @param {*} value
+   * @throws {ValidationError}
+   */
+  validateAnswerValue(value) {
+    if (this.isNumeric() && (typeof value !== 'number' || !Number.isFinite(value))) {
+      throw new ValidationError('Invalid answer value: answerValue must be a finite number');
+    }
+    if (this.isTypeAnswer() && !TextAnswer.isValid(value)) {
+      throw new ValidationError(`Invalid answer value: text answers must be 1-${TextAnswer.MAX_LENGTH} characters`);
+    }
+    if (this.isHotspot() && !ClickPoint.isValid(value)) {
+      throw new ValidationError('Invalid answer value: clicks must have x and y between 0 and 1');
+    }
+    if (this.isWordCloud()) {
+      try {
+        WordCloud.validateSubmission(value);
+      } catch (error) {
+        throw new ValidationError(`Invalid answer value: ${error.message}`);
+      }
+    }
+  }
+
+  /**
+   * Copy of a validated answerValue that is safe to store: HOTSPOT clicks keep only their coordinates
+   * @param {*} value
+   */
+  normalizeAnswerValue(value) {
+    return this.isHotspot() ? new ClickPoint(value).toJSON() : value;
+  }
+
+  /**
+   * Key that groups equivalent TYPE_ANSWER and WORD_CLOUD submissions on the results screen
+   * @param {string} value
+   * @returns {string}
+   */
+  getAnswerGroupKey(value) {
+    return TextAnswer.normalize(value);
+  }
+
+  /**
+   * Whether a typed answer matches one of the accepted answers
+   * @private
+   */
+  _matchesAcceptedAnswer(value) {
+    if (!TextAnswer.isValid(value)) {
+      return false;
+    }
+    const answer = new TextAnswer(value);
+    return this.acceptedAnswers.some(accepted => answer.matches(accepted, { fuzzy: this.fuzzyMatching }));
+  }
+
+  /**
+   * Whether answers to this question are submitted as an array of option indices.
+   * A MATCHING answer lists the matchTargets index the player paired with each option, in option order.
+   */
+  expectsIndexArray() {
+    return this.isMultiSelect() || this.isOrdering() || this.isMatching();
+  }
+
+  /**
+   * Number of options an ORDERING answer places in their correct position
+   * @private
+   */
+  _countCorrectPositions(order) {
+    if (!this._isPermutation(order)) {
+      return 0;
+    }
+    return order.filter((optionIndex, position) => optionIndex === this.correctOrder[position]).length;
+  }
+
+  /**
+   * Option indices a MATCHING answer pairs with their correct target
+   * @private
+   */
+  _getCorrectPairs(matches) {
+    if (!this._isPermutation(matches)) {
+      return [];
     }
+    return matches
+      .map((targetIndex, optionIndex) => (targetIndex === this.correctMatches[optionIndex] ? optionIndex : -1))
+      .filter(optionIndex => optionIndex !== -1);
+  }
+
+  /**
+   * Distance between a NUMERIC answer and the correct value, or null if the answer is not a finite number
+   * @private
+   */
+  _distanceFrom(value) {
+    if (typeof value !== 'number' || !Number.isFinite(value)) {
+      return null;
+    }
+    return Math.abs(value - this.correctValue);
+  }
+
+  /**
+   * Distance from a HOTSPOT click to the nearest correct region (0 on a hit),
+   * or null if the click is not a valid position
+   * @private
+   */
+  _hotspotDistance(value) {
+    if (!ClickPoint.isValid(value)) {
+      return null;
+    }
+    const point = new ClickPoint(value);
+    return Math.min(...this.hotspotRegions.map(region => region.distanceTo(point)));
+  }
+
+  /**
+   * Whether a NUMERIC answer falls inside the accepted tolerance range
+   * @private
+   */
+  _isWithinTolerance(value) {
+    const distance = this._distanceFrom(value);
+    return distance !== null && distance <= this.tolerance + NUMERIC_EPSILON;
   }
 
   isCorrect(answerIndex) {
-    // Validate answerIndex bounds
-    if (typeof answerIndex !== 'number' || !Number.isInteger(answerIndex)) {
+    if (this.isPoll) {
       return false;
     }
-    if (answerIndex < 0 || answerIndex >= this.options.length) {
+
+    if (this.isNumeric()) {
+      return this._isWithinTolerance(answerIndex);
+    }
+
+    if (this.isTypeAnswer()) {
+      return this._matchesAcceptedAnswer(answerIndex);
+    }
+
+    if (this.isHotspot()) {
+      return this._hotspotDistance(answerIndex) === 0;
+    }
+
+    if (this.isOrdering()) {
+      return this._countCorrectPositions(answerIndex) === this.options.length;
+    }
+
+    if (this.isMatching()) {
+      return this._getCorrectPairs(answerIndex).length === this.options.length;
+    }
+
+    if (this.isMultiSelect()) {
+      const selected = this._toSelectionSet(answerIndex);
+      return !!selected &&
+        selected.size === this.correctAnswerIndices.length &&
+        this.correctAnswerIndices.every(i => selected.has(i));
+    }
+
+    // Validate answerIndex bounds
+    if (!this._isValidOptionIndex(answerIndex)) {
       return false;
     }
     return answerIndex === this.correctAnswerIndex;
   }
 
-  calculateScore(answerIndex, elapsedTimeMs, effectiveTimeLimitMs = null) {
-    if (!this.isCorrect(answerIndex)) {
+  /**
+   * Fraction of the question's points an answer earns before the time factor.
+   *
+   * Single-answer types are all-or-nothing. MULTI_SELECT gives partial credit:
+   * each correct pick earns 1/N of the points (N = number of correct options) and
+   * each wrong pick cancels one correct pick, floored at 0. This keeps
+   * "select everything" from scoring anything on its own.
+   * ORDERING earns 1/N per option placed in its correct position and MATCHING 1/N per correct pair.
+   * NUMERIC scales with closeness: an exact answer earns everything and the credit
+   * falls linearly to half at the edge of the tolerance range; outside it earns nothing.
+   * HOTSPOT earns everything for a click inside a region. With DISTANCE scoring a miss
+   * still earns up to half, falling linearly to nothing HOTSPOT_DISTANCE_RANGE away.
+   * Polls earn nothing.
+   *
+   * @param {number|number[]|string|Object} answerIndex - Option index(es), or the submitted value for NUMERIC / TYPE_ANSWER / HOTSPOT
+   * @returns {number} Value in [0, 1]
+   */
+  getCreditRatio(answerIndex) {
+    if (this.isPoll) {
+      return 0;
+    }
+
+    if (this.isNumeric()) {
+      if (!this._isWithinTolerance(answerIndex)) {
+        return 0;
+      }
+      if (this.tolerance === 0) {
+        return 1;
+      }
+      const closeness = Math.max(0, 1 - this._distanceFrom(answerIndex) / this.tolerance);
+      return 0.5 + closeness / 2;
+    }
+
+    if (this.isHotspot()) {
+      const distance = this._hotspotDistance(answerIndex);
+      if (distance === null) {
+        return 0;
+      }
+      if (distance === 0) {
+        return 1;
+      }
+      if (this.hotspotScoring !== HotspotScoring.DISTANCE || distance >= HOTSPOT_DISTANCE_RANGE) {
+        return 0;
+      }
+      return 0.5 * (1 - distance / HOTSPOT_DISTANCE_RANGE);
+    }
+
+    if (this.isOrdering()) {
+      return this._countCorrectPositions(answerIndex) / this.options.length;
+    }
+
+    if (this.isMatching()) {
+      return this._getCorrectPairs(answerIndex).length / this.options.length;
+    }
+
+    if (!this.isMultiSelect()) {
+      return this.isCorrect(answerIndex) ? 1 : 0;
+    }
+
+    const selected = this._toSelectionSet(answerIndex);
+    if (!selected) {
+      return 0;
+    }
+    const correctSet = new Set(this.correctAnswerIndices);
+    let correctPicks = 0;
+    let wrongPicks = 0;
+    for (const index of selected) {
+      if (correctSet.has(index)) {
+        correctPicks++;
+      } else {
+        wrongPicks++;
+      }
+    }
+    return Math.max(0, (correctPicks - wrongPicks) / correctSet.size);
+  }
+
+  /**
+   * Points an answer earns: the credit ratio applied to the points left after the time factor.
+   * The scoring profile shapes the time factor; the standard profile falls linearly
+   * from 1.0 (instant answer) to 0.5 (at the time limit).
+   * @param {number|number[]|string|Object} answerIndex
+   * @param {number} elapsedTimeMs
+   * @param {number|null} [effectiveTimeLimitMs]
+   * @param {ScoringProfile} [scoringProfile]
+   * @returns {number}
+   */
+  calculateScore(answerIndex, elapsedTimeMs, effectiveTimeLimitMs = null, scoringProfile = ScoringProfile.STANDARD) {
+    const creditRatio = this.getCreditRatio(answerIndex);
+    if (creditRatio <= 0) {
       return 0;
     }
 
@@ -135,17 +670,42 @@ class Question {
     // otherwise fall back to the question's own timeLimit.
     const totalTimeMs = effectiveTimeLimitMs || this.timeLimit * 1000;
     if (totalTimeMs <= 0) {
-      return this.points; // Return full points if time limit is invalid
+      return Math.round(this.points * creditRatio); // Return full points if time limit is invalid
     }
 
-    // timeFactor ranges from 1.0 (instant answer) to 0.5 (at time limit)
-    // Clamp to [0, 1] to handle edge cases where elapsedTimeMs > totalTimeMs
-    const rawTimeFactor = 1 - ((elapsedTimeMs / totalTimeMs) / 2);
-    const timeFactor = Math.max(0, Math.min(1, rawTimeFactor));
-    const score = Math.round(timeFactor * this.points);
+    const fullScore = scoringProfile.applyTimeFactor(this.points, elapsedTimeMs, totalTimeMs);
+    return creditRatio === 1 ? fullScore : Math.round(fullScore * creditRatio);
+  }
+
+  /**
+   * Wrong options a 50:50 could remove. ORDERING, MATCHING and polls have none,
+   * NUMERIC, TYPE_ANSWER, WORD_CLOUD and HOTSPOT have no options at all.
+   * @returns {number}
+   */
+  getWrongOptionCount() {
+    if (this.isPoll || this.isOrdering() || this.isMatching() || this.expectsAnswerValue()) {
+      return 0;
+    }
+    const correctOptionCount = this.correctAnswerIndices ? this.correctAnswerIndices.length : 1;
+    return this.options.length - correctOptionCount;
+  }
 
-    // Minimum score is 50% of points for correct answers
-    return Math.max(score, Math.round(this.points / 2));
+  /**
+   * Option indices an answer counts towards in the results distribution.
+   * MULTI_SELECT counts every pick; ORDERING counts each option placed in its correct position
+   * and MATCHING each option paired with its correct target.
+   * @param {number|number[]} answerIndex
+   * @returns {number[]}
+   */
+  getDistributionBuckets(answerIndex) {
+    if (this.isOrdering()) {
+      if (!this._isPermutation(answerIndex)) return [];
+      return answerIndex.filter((optionIndex, position) => optionIndex === this.correctOrder[position]);
+    }
+    if (this.isMatching()) {
+      return this._getCorrectPairs(answerIndex);
+    }
+    return Array.isArray(answerIndex) ? answerIndex : [answerIndex];
   }
 
   getPublicData() {
@@ -154,8 +714,15 @@ class Question {
       text: this.text,
       type: this.type,
       options: this.options,
+      matchTargets: this.matchTargets,
+      // Players need the unit to enter a NUMERIC answer
+      unit: this.unit,
+      // Players see that a poll has no right answer
+      isPoll: this.isPoll,
       timeLimit: this.timeLimit,
-      imageUrl: this.imageUrl
+      imageUrl: this.imageUrl,
+      // Players see whether the HINT power-up has anything to reveal, not the hint itself
+      hasHint: this.hint.length > 0
     };
   }
 
@@ -169,10 +736,24 @@ class Question {
       type: this.type,
       options: this.options,
       correctAnswerIndex: this.correctAnswerIndex,
+      correctAnswerIndices: this.correctAnswerIndices,
+      correctOrder: this.correctOrder,
+      matchTargets: this.matchTargets,
+      correctMatches: this.correctMatches,
+      correctValue: this.correctValue,
+      tolerance: this.tolerance,
+      unit: this.unit,
+      acceptedAnswers: this.acceptedAnswers,
+      fuzzyMatching: this.fuzzyMatching,
+      hotspotRegions: this.hotspotRegions ? this.hotspotRegions.map(region => region.toJSON()) : null,
+      hotspotScoring: this.hotspotScoring,
+      isPoll: this.isPoll,
       timeLimit: this.timeLimit,
       points: this.points,
       imageUrl: this.imageUrl,
-      explanation: this.explanation || ''
+      explanation: this.explanation || '',
+      hint: this.hint || '',
+      difficulty: this.difficulty
     };
   }
 
@@ -180,7 +761,7 @@ class Question {
    * Create a deep clone of this question (immutable snapshot)
    *
    * Deep freeze implementation:
-   * - Options array is cloned and frozen (array of primitive strings)
+   * - Options and answer key arrays are cloned and frozen (primitives only)
    * - All other properties are primitives (immutable by nature)
    * - The Question object itself is frozen
    *
@@ -196,15 +777,46 @@ class Question {
       type: this.type,
       options: frozenOptions,
       correctAnswerIndex: this.correctAnswerIndex,
+      correctAnswerIndices: this.correctAnswerIndices,
+      correctOrder: this.correctOrder,
+      matchTargets: this.matchTargets ? Object.freeze([...this.matchTargets]) : null,
+      correctMatches: this.correctMatches,
+      correctValue: this.correctValue,
+      tolerance: this.tolerance,
+      unit: this.unit,
+      acceptedAnswers: this.acceptedAnswers,
+      fuzzyMatching: this.fuzzyMatching,
+      hotspotRegions: this.hotspotRegions,
+      hotspotScoring: this.hotspotScoring,
+      isPoll: this.isPoll,
       timeLimit: this.timeLimit,
       points: this.points,
       imageUrl: this.imageUrl,
-      explanation: this.explanation
+      explanation: this.explanation,
+      hint: this.hint,
+      difficulty: this.difficulty
     });
 
+    // The constructor copies the answer key arrays, so freeze those copies as well
+    if (clonedQuestion.correctAnswerIndices) {
+      Object.freeze(clonedQuestion.correctAnswerIndices);
+    }
+    if (clonedQuestion.correctOrder) {
+      Object.freeze(clonedQuestion.correctOrder);
+    }
+    if (clonedQuestion.correctMatches) {
+      Object.freeze(clonedQuestion.correctMatches);
+    }
+    if (clonedQuestion.acceptedAnswers) {
+      Object.freeze(clonedQuestion.acceptedAnswers);
+    }
+    if (clonedQuestion.hotspotRegions) {
+      Object.freeze(clonedQuestion.hotspotRegions);
+    }
+
     // Freeze the question object to prevent modifications
     return Object.freeze(clonedQuestion);
   }
 }
 
-module.exports = { Question, QuestionType };
+module.exports = { Question, QuestionType, HotspotScoring, QuestionDifficulty };
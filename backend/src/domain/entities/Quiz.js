@@ -1,6 +1,10 @@
 const { ValidationError, NotFoundError } = require('../../shared/errors');
+const { ScoringProfile } = require('../value-objects/ScoringProfile');
+const { QuestionPool } = require('../value-objects/QuestionPool');
+const { Question } = require('./Question');
+const { toDateOrNull } = require('../../shared/utils/dates');
 
-const { MAX_QUESTIONS, MAX_TAGS } = require('../../shared/config/constants');
+const { MAX_QUESTIONS, MAX_BANK_QUESTIONS, MAX_QUESTION_POOLS, MAX_TAGS } = require('../../shared/config/constants');
 const MIN_TAG_LENGTH = 2;
 const MAX_TAG_LENGTH = 30;
 const TAG_PATTERN = /^[a-zA-ZÀ-ÿĞğÜüŞşİıÖöÇç0-9\s]+$/;
@@ -20,12 +24,23 @@ const VALID_CATEGORIES = [
   'Diğer'
 ];
 
+// Fisher-Yates shuffle on a copy
+const shuffled = (values, random = Math.random) => {
+  const result = [...values];
+  for (let i = result.length - 1; i > 0; i--) {
+    const j = Math.floor(random() * (i + 1));
+    [result[i], result[j]] = [result[j], result[i]];
+  }
+  return result;
+};
+
 class Quiz {
   static MAX_QUESTIONS = MAX_QUESTIONS;
+  static MAX_BANK_QUESTIONS = MAX_BANK_QUESTIONS;
   static MAX_TAGS = MAX_TAGS;
   static VALID_CATEGORIES = VALID_CATEGORIES;
 
-  constructor({ id, title, description = '', createdBy, questions = [], isPublic = false, playCount = 0, createdAt = new Date(), category = 'Diğer', tags = [], slug = null, averageRating = 0, ratingCount = 0 }) {
+  constructor({ id, title, description = '', createdBy, questions = [], isPublic = false, playCount = 0, createdAt = new Date(), category = 'Diğer', tags = [], slug = null, averageRating = 0, ratingCount = 0, scoringProfile = null, questionPools = [] }) {
     if (!id) {
       throw new ValidationError('Quiz id is required');
     }
@@ -49,9 +64,10 @@ class Quiz {
     this.slug = slug || null;
     this.averageRating = Math.max(0, averageRating || 0);
     this.ratingCount = Math.max(0, ratingCount || 0);
+    this.scoringProfile = ScoringProfile.from(scoringProfile);
 
-    if (this.questions.length > MAX_QUESTIONS) {
-      throw new ValidationError(`Quiz cannot have more than ${MAX_QUESTIONS} questions`);
+    if (this.questions.length > MAX_BANK_QUESTIONS) {
+      throw new ValidationError(`Quiz cannot have more than ${MAX_BANK_QUESTIONS} questions in its bank`);
     }
 
     // Validate questions array contents - no null/undefined elements
@@ -60,6 +76,45 @@ class Quiz {
         throw new ValidationError(`Question at index ${i} is null or undefined`);
       }
     }
+
+    this.questionPools = this._validatePools(Array.isArray(questionPools) ? questionPools : []);
+    this._throwIfTooManyPlayed(this.getPlayedQuestionCount());
+  }
+
+  /**
+   * Validate question pools against the question bank
+   * @private
+   * @returns {QuestionPool[]}
+   */
+  _validatePools(pools) {
+    if (pools.length > MAX_QUESTION_POOLS) {
+      throw new ValidationError(`Quiz cannot have more than ${MAX_QUESTION_POOLS} question pools`);
+    }
+    const bankIds = new Set(this.questions.map(q => q.id));
+    const pooledIds = new Set();
+    return pools.map(pool => {
+      const validPool = pool instanceof QuestionPool ? pool : new QuestionPool(pool);
+      for (const questionId of validPool.questionIds) {
+        if (!bankIds.has(questionId)) {
+          throw new ValidationError(`Question pool "${validPool.name}" lists an unknown question: ${questionId}`);
+        }
+        if (pooledIds.has(questionId)) {
+          throw new ValidationError(`Question ${questionId} cannot be in more than one pool`);
+        }
+        pooledIds.add(questionId);
+      }
+      return validPool;
+    });
+  }
+
+  /**
+   * A game plays at most MAX_QUESTIONS; larger banks need pools drawing from them
+   * @private
+   */
+  _throwIfTooManyPlayed(playedCount) {
+    if (playedCount > MAX_QUESTIONS) {
+      throw new ValidationError(`Quiz cannot have more than ${MAX_QUESTIONS} questions in a game; draw the rest from a question pool`);
+    }
   }
 
   /**
@@ -89,6 +144,27 @@ class Quiz {
     this.isPublic = Boolean(isPublic);
   }
 
+  /**
+   * Replace how answers are scored in games of this quiz
+   * @param {ScoringProfile|Object|null} scoringProfile - Preset and settings; null resets to standard
+   */
+  updateScoringProfile(scoringProfile) {
+    this.scoringProfile = ScoringProfile.from(scoringProfile);
+  }
+
+  /**
+   * Replace the quiz's question pools
+   * @param {Array<QuestionPool|{ name: string, questionIds: string[], drawCount: number }>} questionPools - Empty plays every question
+   */
+  setQuestionPools(questionPools) {
+    if (!Array.isArray(questionPools)) {
+      throw new ValidationError('Question pools must be an array');
+    }
+    const pools = this._validatePools(questionPools);
+    this._throwIfTooManyPlayed(this._countPlayed(pools));
+    this.questionPools = pools;
+  }
+
   /**
    * Generate a URL-friendly slug from a title
    * Lowercase, replace spaces with hyphens, remove special chars, append random suffix
@@ -161,15 +237,27 @@ class Quiz {
     this.tags = this._validateAndCleanTags(tags);
   }
 
+  /**
+   * Add a question outside every pool, so it is played in every game
+   * @param {Question} question
+   */
   addQuestion(question) {
-    if (this.questions.length >= MAX_QUESTIONS) {
-      throw new ValidationError(`Quiz cannot have more than ${MAX_QUESTIONS} questions`);
+    if (this.questions.length >= MAX_BANK_QUESTIONS) {
+      throw new ValidationError(`Quiz cannot have more than ${MAX_BANK_QUESTIONS} questions in its bank`);
     }
+    this._throwIfTooManyPlayed(this.getPlayedQuestionCount() + 1);
     this.questions.push(question);
   }
 
+  /**
+   * Remove a question from the bank and from its pool; a pool left empty is removed too
+   * @param {string} questionId
+   */
   removeQuestion(questionId) {
     this.questions = this.questions.filter(q => q.id !== questionId);
+    this.questionPools = this.questionPools
+      .map(pool => (pool.includes(questionId) ? pool.without(questionId) : pool))
+      .filter(Boolean);
   }
 
   /**
@@ -203,6 +291,27 @@ class Quiz {
     return this.questions.length;
   }
 
+  /**
+   * How many questions a game of this quiz plays: every unpooled question plus each pool's draw
+   * @returns {number}
+   */
+  getPlayedQuestionCount() {
+    return this._countPlayed(this.questionPools);
+  }
+
+  /**
+   * @private
+   */
+  _countPlayed(pools) {
+    const pooledCount = pools.reduce((sum, pool) => sum + pool.questionIds.length, 0);
+    const drawCount = pools.reduce((sum, pool) => sum + pool.drawCount, 0);
+    return this.questions.length - pooledCount + drawCount;
+  }
+
+  hasQuestionPools() {
+    return this.questionPools.length > 0;
+  }
+
   reorderQuestions(newOrder) {
     // Validate newOrder is an array
     if (!Array.isArray(newOrder)) {
@@ -244,25 +353,41 @@ class Quiz {
       throw new ValidationError('Question count must be a positive integer');
     }
 
-    // Fisher-Yates shuffle on a copy
-    const shuffled = [...this.questions];
-    for (let i = shuffled.length - 1; i > 0; i--) {
-      const j = Math.floor(Math.random() * (i + 1));
-      [shuffled[i], shuffled[j]] = [shuffled[j], shuffled[i]];
-    }
-
     // Take only `count` questions (or all if count >= total)
-    const selected = count >= shuffled.length ? shuffled : shuffled.slice(0, count);
+    const selected = shuffled(this.questions).slice(0, count);
+    return this._toPlayedSnapshot(selected);
+  }
+
+  /**
+   * Returns a frozen snapshot playing every unpooled question and drawCount random questions of each pool,
+   * in the bank's order. Without pools this is the same as clone().
+   * @param {Function} [random] - Source of numbers in [0, 1)
+   * @returns {Quiz} A new frozen Quiz without pools
+   */
+  drawQuestions(random = Math.random) {
+    if (!this.hasQuestionPools()) return this.clone();
 
+    const skippedIds = new Set();
+    for (const pool of this.questionPools) {
+      shuffled(pool.questionIds, random).slice(pool.drawCount).forEach(id => skippedIds.add(id));
+    }
+    return this._toPlayedSnapshot(this.questions.filter(q => !skippedIds.has(q.id)));
+  }
+
+  /**
+   * Frozen snapshot playing the given questions. Pools are left out:
+   * they describe the bank, and the snapshot holds what was drawn from it.
+   * @private
+   */
+  _toPlayedSnapshot(questions) {
     // Clone and freeze each question
-    const clonedQuestions = selected.map(q => q.clone());
-    const frozenQuestions = Object.freeze(clonedQuestions);
+    const frozenQuestions = Object.freeze(questions.map(q => q.clone()));
 
     const clonedCreatedAt = this.createdAt instanceof Date
       ? new Date(this.createdAt.getTime())
       : this.createdAt;
 
-    const subsetQuiz = new Quiz({
+    const snapshot = new Quiz({
       id: this.id,
       title: this.title,
       description: this.description,
@@ -275,10 +400,11 @@ class Quiz {
       tags: [...this.tags],
       slug: this.slug,
       averageRating: this.averageRating,
-      ratingCount: this.ratingCount
+      ratingCount: this.ratingCount,
+      scoringProfile: this.scoringProfile
     });
 
-    return Object.freeze(subsetQuiz);
+    return Object.freeze(snapshot);
   }
 
   /**
@@ -329,7 +455,9 @@ class Quiz {
       tags: [...this.tags],
       slug: this.slug,
       averageRating: this.averageRating,
-      ratingCount: this.ratingCount
+      ratingCount: this.ratingCount,
+      scoringProfile: this.scoringProfile,
+      questionPools: this.questionPools
     });
 
     // Freeze the quiz object to prevent modifications
@@ -342,6 +470,42 @@ class Quiz {
 
     return frozenQuiz;
   }
+
+  /**
+   * Plain copy of a game's quiz snapshot, kept so the room survives a server restart.
+   * Pools are left out like in the snapshot itself.
+   */
+  toSnapshot() {
+    return {
+      id: this.id,
+      title: this.title,
+      description: this.description,
+      createdBy: this.createdBy,
+      questions: this.questions.map(q => q.getHostData()),
+      isPublic: this.isPublic,
+      playCount: this.playCount,
+      createdAt: this.createdAt,
+      category: this.category,
+      tags: [...this.tags],
+      slug: this.slug,
+      averageRating: this.averageRating,
+      ratingCount: this.ratingCount,
+      scoringProfile: this.scoringProfile.toJSON()
+    };
+  }
+
+  /**
+   * Rebuild a frozen quiz snapshot from toSnapshot()
+   * @param {Object} data
+   * @returns {Quiz}
+   */
+  static fromSnapshot(data) {
+    return new Quiz({
+      ...data,
+      questions: data.questions.map(q => new Question(q)),
+      createdAt: toDateOrNull(data.createdAt) || new Date()
+    }).clone();
+  }
 }
 
 module.exports = { Quiz };
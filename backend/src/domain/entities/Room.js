@@ -6,11 +6,21 @@
 
 const { PIN } = require('../value-objects/PIN');
 const { Nickname } = require('../value-objects/Nickname');
+const { WordCloud } = require('../value-objects/WordCloud');
+const { ClickPoint } = require('../value-objects/HotspotGeometry');
+const { PowerUpType, DEFAULT_POWER_UPS, CATCH_UP_POWER_UPS } = require('../value-objects/PowerUp');
+const { PlayerShuffle } = require('../value-objects/PlayerShuffle');
+const { AdaptiveDifficulty } = require('../value-objects/AdaptiveDifficulty');
+const { Answer } = require('../value-objects/Answer');
 const { ValidationError, ForbiddenError, UnauthorizedError, ConflictError } = require('../../shared/errors');
-const { MAX_PLAYERS, MAX_SPECTATORS, MAX_STREAK } = require('../../shared/config/constants');
+const { MAX_PLAYERS, MAX_SPECTATORS, MAX_ROOM_CAPACITY, MAX_ROOM_SPECTATORS, MAX_STREAK, NUMERIC_HISTOGRAM_BINS, TOP_WRONG_ANSWERS_LIMIT, MAX_POWER_UPS_PER_TYPE, STREAK_POWER_UP_INTERVAL, MAX_ELIMINATIONS_PER_QUESTION, DEFAULT_TEAM_DISCUSSION_SECONDS } = require('../../shared/config/constants');
+const { generateId } = require('../../shared/utils/generateId');
+const { toDateOrNull } = require('../../shared/utils/dates');
+const { Player } = require('./Player');
 const { SpectatorManager } = require('./SpectatorManager');
-const { TeamManager } = require('./TeamManager');
+const { TeamManager, TeamAnswerRule } = require('./TeamManager');
 const { PauseManager } = require('./PauseManager');
+const { Quiz } = require('./Quiz');
 
 const RoomState = {
   WAITING_PLAYERS: 'WAITING_PLAYERS',
@@ -33,11 +43,21 @@ const validTransitions = {
   [RoomState.PODIUM]: [] // Terminal state
 };
 
+/**
+ * Who elimination mode knocks out after each question:
+ * - WRONG_ANSWER: every player who answered wrong or not at all
+ * - BOTTOM_N: the N lowest scores on the leaderboard
+ */
+const EliminationRule = {
+  WRONG_ANSWER: 'WRONG_ANSWER',
+  BOTTOM_N: 'BOTTOM_N'
+};
+
 class Room {
   static MAX_PLAYERS = MAX_PLAYERS;
   static MAX_SPECTATORS = MAX_SPECTATORS;
 
-  constructor({ id, pin, hostId, hostUserId, hostToken, quizId, state = RoomState.WAITING_PLAYERS, currentQuestionIndex = 0, createdAt = new Date() }) {
+  constructor({ id, pin, hostId, hostUserId, hostToken, quizId, state = RoomState.WAITING_PLAYERS, currentQuestionIndex = 0, createdAt = new Date(), capacityLimit = MAX_PLAYERS }) {
     this.id = id;
     this._pin = pin instanceof PIN ? pin : new PIN(pin);
     this.hostId = hostId; // Socket ID (changes on reconnect)
@@ -51,6 +71,15 @@ class Room {
     }
     this.currentQuestionIndex = currentQuestionIndex;
     this.createdAt = createdAt;
+    if (!Number.isInteger(capacityLimit) || capacityLimit < 1 || capacityLimit > MAX_ROOM_CAPACITY) {
+      throw new ValidationError(`capacityLimit must be an integer between 1 and ${MAX_ROOM_CAPACITY}`);
+    }
+    // Players the host may let in (their account's limit, looked up when the room was created),
+    // and how many players and spectators they chose to let in
+    this.capacityLimit = capacityLimit;
+    this.capacity = { players: Math.min(MAX_PLAYERS, capacityLimit), spectators: MAX_SPECTATORS };
+    // Large-event mode: per-answer broadcasts (answer counts) go out in batched ticks
+    this.largeEvent = false;
     this.players = [];
     this.bannedNicknames = [];
     this.hostDisconnectedAt = null;
@@ -69,9 +98,27 @@ class Room {
     this._pauseManager = new PauseManager();
     // Lightning round
     this.lightningRound = { enabled: false, questionCount: 3 };
+    // Power-ups every player starts with (count per type, 0 = disabled)
+    this.powerUpLoadout = { ...DEFAULT_POWER_UPS };
+    // When on, players start empty and earn the loadout's enabled power-ups during play
+    this.earnPowerUps = false;
+    // Elimination mode: players knocked out move to the spectators until one is left
+    this.elimination = { enabled: false, rule: EliminationRule.WRONG_ANSWER, count: 1 };
+    // Knocked-out players in elimination order, kept for the final standings and archiving
+    this.eliminatedPlayers = [];
+    // Per-player question and option order, dealt when the game starts (player ID -> PlayerShuffle)
+    this.shuffle = { questions: false, options: false };
+    this._playerShuffles = new Map();
+    // Adaptive difficulty: each round's question is picked from how the room did on the previous one.
+    // The snapshot index played in each round, and how many rounds the game lasts (null = every question)
+    this.adaptive = false;
+    this._questionSequence = [];
+    this._roundCount = null;
     // Snapshot of connected player count at the start of answering phase
     // Used for consistent progress reporting (answeredCount / totalPlayersInPhase)
     this.answeringPhasePlayerCount = 0;
+    // When the room was brought back from its saved copy after a server restart (null = never)
+    this.recoveredAt = null;
   }
 
   // Backward compatibility getters for managers' internal state
@@ -101,8 +148,9 @@ class Room {
    * Prevents the room from becoming unrecoverable if any check fails.
    * @param {string} requesterId - Socket ID of the requester (must be host)
    * @param {Quiz} quizSnapshot - Frozen quiz snapshot
+   * @param {number|null} [roundCount] - Adaptive games only: how many of the snapshot's questions to play
    */
-  startGameSession(requesterId, quizSnapshot) {
+  startGameSession(requesterId, quizSnapshot, roundCount = null) {
     // All validations BEFORE any mutation
     if (!this.isHost(requesterId)) {
       throw new ForbiddenError('Only host can start the game');
@@ -113,6 +161,9 @@ class Room {
     if (this.getConnectedPlayerCount() === 0) {
       throw new ValidationError('At least one connected player required');
     }
+    if (this.elimination.enabled && this.getConnectedPlayerCount() < 2) {
+      throw new ValidationError('Elimination mode needs at least 2 connected players');
+    }
     if (this._teamManager.isEnabled()) {
       if (this._teamManager.getAll().length === 0) {
         throw new ValidationError('Team mode is enabled but no teams have been created');
@@ -122,6 +173,9 @@ class Room {
         throw new ValidationError(`${unassignedCount} player(s) have not been assigned to a team`);
       }
     }
+    if (roundCount !== null && (!Number.isInteger(roundCount) || roundCount < 1 || roundCount > quizSnapshot.getTotalQuestions())) {
+      throw new ValidationError(`Round count must be between 1 and ${quizSnapshot.getTotalQuestions()}`);
+    }
     const allowedTransitions = validTransitions[this.state];
     if (!allowedTransitions || !allowedTransitions.includes(RoomState.QUESTION_INTRO)) {
       throw new ValidationError(`Invalid state transition: ${this.state} → ${RoomState.QUESTION_INTRO}`);
@@ -129,6 +183,17 @@ class Room {
     // All validations passed — apply atomically
     this.quizSnapshot = quizSnapshot;
     this.gameStartedAt = new Date();
+    if (this.isShuffling()) {
+      for (const player of this.players) {
+        this._playerShuffles.set(player.id, PlayerShuffle.create(quizSnapshot, this.shuffle));
+      }
+    }
+    if (this.adaptive) {
+      this._roundCount = roundCount;
+      this._questionSequence = [
+        AdaptiveDifficulty.pickQuestion(quizSnapshot.questions, [], AdaptiveDifficulty.START_LEVEL)
+      ];
+    }
     this.setState(RoomState.QUESTION_INTRO);
   }
 
@@ -232,8 +297,8 @@ class Room {
 
     // Only count connected players toward the limit — disconnected players in lobby
     // are stale and should not block new joins
-    if (this.getConnectedPlayerCount() >= MAX_PLAYERS) {
-      throw new ValidationError(`Room is full (maximum ${MAX_PLAYERS} players)`);
+    if (this.getConnectedPlayerCount() >= this.capacity.players) {
+      throw new ValidationError(`Room is full (maximum ${this.capacity.players} players)`);
     }
 
     // Check if nickname is banned
@@ -248,6 +313,7 @@ class Room {
       throw new ConflictError('Nickname already taken');
     }
 
+    player.setPowerUps(this.getStartingPowerUps());
     this.players.push(player);
   }
 
@@ -288,6 +354,9 @@ class Room {
   reconnectPlayer(playerToken, newSocketId, gracePeriodMs = null, newToken = null) {
     const player = this.getPlayerByToken(playerToken);
     if (!player) {
+      if (this.eliminatedPlayers.some(p => p.token === playerToken)) {
+        throw new ForbiddenError('You have been eliminated from this game');
+      }
       throw new UnauthorizedError('Invalid player token');
     }
 
@@ -306,6 +375,10 @@ class Room {
 
     // Rotate token on reconnect for security
     player.reconnect(newSocketId, newToken);
+    // Pick up loadout changes made while disconnected; once the game starts, used power-ups stay used
+    if (this.state === RoomState.WAITING_PLAYERS) {
+      player.setPowerUps(this.getStartingPowerUps());
+    }
     return player;
   }
 
@@ -355,6 +428,13 @@ class Room {
     return this.players.filter(p => !p.isDisconnected()).length;
   }
 
+  /**
+   * Players that can still join before the room is full (disconnected players do not count, as in addPlayer)
+   */
+  getOpenPlayerSlots() {
+    return Math.max(0, this.capacity.players - this.getConnectedPlayerCount());
+  }
+
   getAllPlayers() {
     return [...this.players];
   }
@@ -367,6 +447,7 @@ class Room {
     this.players.forEach(player => {
       player.clearAnswerAttempt();
     });
+    this._teamManager.clearRound();
   }
 
   /**
@@ -394,7 +475,8 @@ class Room {
 
   /**
    * Check if all connected players have answered.
-   * Disconnected players are excluded from this check.
+   * Disconnected players are excluded from this check, and so are eliminated players:
+   * they have left `players` for the spectators.
    * Returns false if no connected players exist (use shouldAutoAdvance for game flow decisions).
    */
   haveAllPlayersAnswered() {
@@ -407,12 +489,17 @@ class Room {
    * Single source of truth for auto-advance decision during ANSWERING_PHASE.
    * Returns true when the game should transition to SHOW_RESULTS:
    * - All connected players have answered, OR
-   * - No connected players remain (prevents stuck ANSWERING_PHASE)
+   * - No connected players remain (prevents stuck ANSWERING_PHASE), OR
+   * - In elimination mode, nobody is left to eliminate the last connected player against
+   * - When teams answer together, every team with a connected member has answered
    * Only meaningful when state is ANSWERING_PHASE.
    */
   shouldAutoAdvance() {
     if (this.state !== RoomState.ANSWERING_PHASE) return false;
-    return this.haveAllPlayersAnswered() || this.getConnectedPlayerCount() === 0;
+    if (this.isTeamAnswering()) {
+      return this.haveAllTeamsAnswered() || this.getConnectedPlayerCount() === 0;
+    }
+    return this.haveAllPlayersAnswered() || this.getConnectedPlayerCount() === 0 || this.hasLastPlayerStanding();
   }
 
   /**
@@ -453,10 +540,14 @@ class Room {
       throw new ValidationError(`currentQuestionIndex ${this.currentQuestionIndex} is out of bounds (0-${totalQuestions - 1})`);
     }
 
-    if (this.currentQuestionIndex >= totalQuestions - 1) {
+    if (this.currentQuestionIndex >= totalQuestions - 1 || this.hasLastPlayerStanding()) {
       this.setState(RoomState.PODIUM);
       return false;
     }
+    if (this.adaptive) {
+      // Judged before the answers are cleared for the next round
+      this._questionSequence.push(this._pickAdaptiveQuestion());
+    }
     this.currentQuestionIndex++;
     this.resetPlayerAnswersForNextQuestion();
     this.setState(RoomState.QUESTION_INTRO);
@@ -476,12 +567,15 @@ class Room {
 
   /**
    * Get answer distribution for current question
-   * Creates a snapshot of player answers to prevent race conditions during iteration
+   * Creates a snapshot of player answers to prevent race conditions during iteration.
+   * MULTI_SELECT answers add one vote to every selected option, so bars may sum past the answer count.
    * @param {number} optionCount - Number of options in the question
-   * @param {Function} isCorrectFn - Function to check if answer index is correct
+   * @param {Function} isCorrectFn - Function to check if an answer (index or index array) is correct
+   * @param {Function} [toBucketsFn] - Maps an answer to the option indices it counts towards
+   *   (defaults to the answer itself; ORDERING and MATCHING questions count correctly placed options)
    * @returns {{ distribution: number[], correctCount: number, skippedCount: number, unansweredCount: number }}
    */
-  getAnswerDistribution(optionCount, isCorrectFn) {
+  getAnswerDistribution(optionCount, isCorrectFn, toBucketsFn = null) {
     // Validate optionCount
     if (typeof optionCount !== 'number' || !Number.isInteger(optionCount) || optionCount < 1) {
       throw new ValidationError('optionCount must be a positive integer');
@@ -509,17 +603,23 @@ class Room {
 
     // Process the snapshot (immutable data)
     for (const snapshot of answerSnapshots) {
-      const idx = snapshot.answerIndex;
-
-      // Validate answer index is within valid range
-      if (typeof idx !== 'number' || !Number.isInteger(idx) || idx < 0 || idx >= distribution.length) {
-        console.warn(`[Room ${this.pin}] Invalid answer index ${idx} from player ${snapshot.nickname} (expected 0-${distribution.length - 1})`);
+      const answer = snapshot.answerIndex;
+      const selectedIndices = Array.isArray(answer) ? answer : [answer];
+
+      // Validate every selected index is within valid range
+      const invalidIdx = selectedIndices.find(idx =>
+        typeof idx !== 'number' || !Number.isInteger(idx) || idx < 0 || idx >= distribution.length);
+      if (selectedIndices.length === 0 || invalidIdx !== undefined) {
+        console.warn(`[Room ${this.pin}] Invalid answer index ${invalidIdx} from player ${snapshot.nickname} (expected 0-${distribution.length - 1})`);
         skippedCount++;
         continue;
       }
 
-      distribution[idx]++;
-      if (isCorrectFn(idx)) {
+      const buckets = toBucketsFn ? toBucketsFn(answer) : selectedIndices;
+      for (const idx of buckets) {
+        if (idx >= 0 && idx < distribution.length) distribution[idx]++;
+      }
+      if (isCorrectFn(answer)) {
         correctCount++;
       }
     }
@@ -529,13 +629,223 @@ class Room {
     return { distribution, correctCount, skippedCount, unansweredCount };
   }
 
+  /**
+   * Get answer histogram for the current NUMERIC question
+   * Splits the range between the lowest and highest submitted value into equal-width bins.
+   * A bin covers [min, max); the last bin also includes its upper bound.
+   * @param {Function} isCorrectFn - Function to check if a submitted value is correct
+   * @param {number} [binCount] - Maximum number of bins (fewer when there are fewer distinct values)
+   * @returns {{ histogram: Array<{min: number, max: number, count: number}>, correctCount: number, skippedCount: number, unansweredCount: number }}
+   */
+  getAnswerHistogram(isCorrectFn, binCount = NUMERIC_HISTOGRAM_BINS) {
+    if (typeof isCorrectFn !== 'function') {
+      throw new ValidationError('isCorrectFn must be a function');
+    }
+    if (typeof binCount !== 'number' || !Number.isInteger(binCount) || binCount < 1) {
+      throw new ValidationError('binCount must be a positive integer');
+    }
+
+    const values = [];
+    let correctCount = 0;
+    let skippedCount = 0;
+
+    for (const player of this.players.filter(p => p.hasAnswered())) {
+      const value = player.answerAttempt.answerValue;
+      if (typeof value !== 'number' || !Number.isFinite(value)) {
+        console.warn(`[Room ${this.pin}] Invalid answer value ${value} from player ${player.nickname}`);
+        skippedCount++;
+        continue;
+      }
+      values.push(value);
+      if (isCorrectFn(value)) {
+        correctCount++;
+      }
+    }
+
+    const unansweredCount = this.players.filter(p => !p.isDisconnected() && !p.hasAnswered()).length;
+    if (values.length === 0) {
+      return { histogram: [], correctCount, skippedCount, unansweredCount };
+    }
+
+    const min = Math.min(...values);
+    const max = Math.max(...values);
+    const bins = min === max ? 1 : Math.min(binCount, new Set(values).size);
+    const width = (max - min) / bins;
+    const histogram = Array.from({ length: bins }, (_, i) => ({
+      min: min + i * width,
+      max: i === bins - 1 ? max : min + (i + 1) * width,
+      count: 0
+    }));
+    for (const value of values) {
+      const bin = width === 0 ? 0 : Math.min(bins - 1, Math.floor((value - min) / width));
+      histogram[bin].count++;
+    }
+
+    return { histogram, correctCount, skippedCount, unansweredCount };
+  }
+
+  /**
+   * Get the most common wrong answers for the current TYPE_ANSWER question
+   * Answers are grouped by toKeyFn, so "Paris" and "paris!" count as one; each group
+   * is shown with the first spelling submitted. Ties keep submission order.
+   * @param {Function} isCorrectFn - Function to check if a typed answer is correct
+   * @param {Function} toKeyFn - Maps a typed answer to its grouping key
+   * @param {number} [limit] - Maximum number of wrong answers to return
+   * @returns {{ topWrongAnswers: Array<{answer: string, count: number}>, correctCount: number, skippedCount: number, unansweredCount: number }}
+   */
+  getTextAnswerSummary(isCorrectFn, toKeyFn, limit = TOP_WRONG_ANSWERS_LIMIT) {
+    if (typeof isCorrectFn !== 'function' || typeof toKeyFn !== 'function') {
+      throw new ValidationError('isCorrectFn and toKeyFn must be functions');
+    }
+    if (typeof limit !== 'number' || !Number.isInteger(limit) || limit < 1) {
+      throw new ValidationError('limit must be a positive integer');
+    }
+
+    const wrongAnswers = new Map();
+    let correctCount = 0;
+    let skippedCount = 0;
+
+    for (const player of this.players.filter(p => p.hasAnswered())) {
+      const value = player.answerAttempt.answerValue;
+      if (typeof value !== 'string') {
+        console.warn(`[Room ${this.pin}] Invalid text answer from player ${player.nickname}`);
+        skippedCount++;
+        continue;
+      }
+      if (isCorrectFn(value)) {
+        correctCount++;
+        continue;
+      }
+      const key = toKeyFn(value);
+      const group = wrongAnswers.get(key) || { answer: value.trim(), count: 0 };
+      group.count++;
+      wrongAnswers.set(key, group);
+    }
+
+    const unansweredCount = this.players.filter(p => !p.isDisconnected() && !p.hasAnswered()).length;
+    // Array.prototype.sort is stable, so equal counts stay in submission order
+    const topWrongAnswers = [...wrongAnswers.values()]
+      .sort((a, b) => b.count - a.count)
+      .slice(0, limit);
+
+    return { topWrongAnswers, correctCount, skippedCount, unansweredCount };
+  }
+
+  /**
+   * Aggregate the submissions to the current WORD_CLOUD question into cloud words
+   * @param {number} [limit] - Maximum number of words to return
+   * @returns {{ wordCloud: Array<{text: string, count: number}>, correctCount: number, skippedCount: number, unansweredCount: number }}
+   */
+  getWordCloud(limit = WordCloud.MAX_WORDS) {
+    if (typeof limit !== 'number' || !Number.isInteger(limit) || limit < 1) {
+      throw new ValidationError('limit must be a positive integer');
+    }
+
+    const submissions = [];
+    let skippedCount = 0;
+
+    for (const player of this.players.filter(p => p.hasAnswered())) {
+      const value = player.answerAttempt.answerValue;
+      if (!WordCloud.isValidSubmission(value)) {
+        console.warn(`[Room ${this.pin}] Invalid word cloud answer from player ${player.nickname}`);
+        skippedCount++;
+        continue;
+      }
+      submissions.push(value);
+    }
+
+    const unansweredCount = this.players.filter(p => !p.isDisconnected() && !p.hasAnswered()).length;
+    const wordCloud = WordCloud.aggregate(submissions, limit);
+
+    // Word clouds are polls, so nothing counts as correct
+    return { wordCloud, correctCount: 0, skippedCount, unansweredCount };
+  }
+
+  /**
+   * Collect where players clicked on the current HOTSPOT question's image, for the results overlay.
+   * Clicks are anonymous and listed in submission order.
+   * @param {Function} isCorrectFn - Function to check if a click hit a correct region
+   * @returns {{ clicks: Array<{x: number, y: number, isCorrect: boolean}>, correctCount: number, skippedCount: number, unansweredCount: number }}
+   */
+  getClickMap(isCorrectFn) {
+    if (typeof isCorrectFn !== 'function') {
+      throw new ValidationError('isCorrectFn must be a function');
+    }
+
+    const clicks = [];
+    let correctCount = 0;
+    let skippedCount = 0;
+
+    for (const player of this.players.filter(p => p.hasAnswered())) {
+      const value = player.answerAttempt.answerValue;
+      if (!ClickPoint.isValid(value)) {
+        console.warn(`[Room ${this.pin}] Invalid click from player ${player.nickname}`);
+        skippedCount++;
+        continue;
+      }
+      const isCorrect = isCorrectFn(value);
+      if (isCorrect) correctCount++;
+      clicks.push({ x: value.x, y: value.y, isCorrect });
+    }
+
+    const unansweredCount = this.players.filter(p => !p.isDisconnected() && !p.hasAnswered()).length;
+    return { clicks, correctCount, skippedCount, unansweredCount };
+  }
+
+  /**
+   * Summarize answers to the current question in the form its type is shown on the results screen:
+   * a value histogram for NUMERIC, the most common wrong answers for TYPE_ANSWER,
+   * cloud words for WORD_CLOUD, click positions for HOTSPOT and per-option counts for everything else
+   * @param {Question} question - The current question
+   * @returns {{ distribution?: number[], histogram?: Array, topWrongAnswers?: Array, wordCloud?: Array, clicks?: Array, correctCount: number, skippedCount: number, unansweredCount: number }}
+   */
+  getResultsSummary(question) {
+    const isCorrectFn = (answer) => question.isCorrect(answer);
+    if (question.isNumeric()) {
+      return this.getAnswerHistogram(isCorrectFn);
+    }
+    if (question.isTypeAnswer()) {
+      return this.getTextAnswerSummary(isCorrectFn, (value) => question.getAnswerGroupKey(value));
+    }
+    if (question.isWordCloud()) {
+      return this.getWordCloud();
+    }
+    if (question.isHotspot()) {
+      return this.getClickMap(isCorrectFn);
+    }
+    return this.getAnswerDistribution(
+      question.options.length,
+      isCorrectFn,
+      (answer) => question.getDistributionBuckets(answer)
+    );
+  }
+
+  /**
+   * Players ranked by score. In elimination mode everyone still in the game ranks above
+   * the eliminated players, and a later elimination ranks above an earlier one.
+   */
   getLeaderboard() {
-    return [...this.players].sort((a, b) =>
-      b.score - a.score
+    const eliminated = [...this.eliminatedPlayers].sort((a, b) =>
+      b.eliminatedAtQuestion - a.eliminatedAtQuestion || this._compareScores(a, b)
+    );
+    return [...this._sortByScore(this.players), ...eliminated];
+  }
+
+  /**
+   * @private
+   */
+  _sortByScore(players) {
+    return [...players].sort((a, b) => this._compareScores(a, b));
+  }
+
+  /**
+   * @private
+   */
+  _compareScores(a, b) {
+    return b.score - a.score
       || b.correctAnswers - a.correctAnswers
       || b.longestStreak - a.longestStreak
-      || a.joinedAt.getTime() - b.joinedAt.getTime()
-    );
+      || a.joinedAt.getTime() - b.joinedAt.getTime();
   }
 
   getPodium() {
@@ -560,14 +870,22 @@ class Room {
     if (!answerData.questionId || typeof answerData.questionId !== 'string') {
       throw new ValidationError('Question ID is required and must be a string');
     }
-    if (typeof answerData.answerIndex !== 'number' || !Number.isInteger(answerData.answerIndex) || answerData.answerIndex < 0) {
-      throw new ValidationError('Valid answer index is required');
-    }
-    if (typeof answerData.optionCount !== 'number' || !Number.isInteger(answerData.optionCount) || answerData.optionCount < 2) {
-      throw new ValidationError('optionCount is required and must be at least 2');
-    }
-    if (answerData.answerIndex >= answerData.optionCount) {
-      throw new ValidationError(`Answer index ${answerData.answerIndex} is out of range (0-${answerData.optionCount - 1})`);
+    // NUMERIC and TYPE_ANSWER answers arrive as an answerValue and have no options to check against
+    const hasAnswerValue = answerData.answerValue !== null && answerData.answerValue !== undefined;
+    if (!hasAnswerValue) {
+      // MULTI_SELECT answers arrive as an array of indices
+      const selectedIndices = Array.isArray(answerData.answerIndex) ? answerData.answerIndex : [answerData.answerIndex];
+      if (selectedIndices.length === 0 ||
+          !selectedIndices.every(i => typeof i === 'number' && Number.isInteger(i) && i >= 0)) {
+        throw new ValidationError('Valid answer index is required');
+      }
+      if (typeof answerData.optionCount !== 'number' || !Number.isInteger(answerData.optionCount) || answerData.optionCount < 2) {
+        throw new ValidationError('optionCount is required and must be at least 2');
+      }
+      const outOfRange = selectedIndices.find(i => i >= answerData.optionCount);
+      if (outOfRange !== undefined) {
+        throw new ValidationError(`Answer index ${outOfRange} is out of range (0-${answerData.optionCount - 1})`);
+      }
     }
     if (typeof answerData.isCorrect !== 'boolean') {
       throw new ValidationError('isCorrect must be a boolean');
@@ -585,13 +903,20 @@ class Room {
       playerId: answerData.playerId,
       playerNickname: answerData.playerNickname,
       questionId: answerData.questionId,
-      answerIndex: answerData.answerIndex,
+      answerIndex: hasAnswerValue ? null : (Array.isArray(answerData.answerIndex) ? [...answerData.answerIndex] : answerData.answerIndex),
+      answerValue: hasAnswerValue ? answerData.answerValue : null,
       isCorrect: answerData.isCorrect,
+      // Poll answers are kept for the record but are neither correct nor wrong
+      isPoll: answerData.isPoll === true,
       elapsedTimeMs: Math.max(0, answerData.elapsedTimeMs || 0),
       score: Math.max(0, answerData.score || 0),
       streak: safeStreak,
       streakBonus: Math.max(0, answerData.streakBonus || 0),
-      questionIndex: this.currentQuestionIndex,
+      // Confidence wagered on the answer (null without wagers) and points lost to negative marking
+      confidence: answerData.confidence || null,
+      penalty: Math.max(0, answerData.penalty || 0),
+      // Canonical quiz position; differs from the round when questions are shuffled
+      questionIndex: Number.isInteger(answerData.questionIndex) ? answerData.questionIndex : this.currentQuestionIndex,
       timestamp: new Date()
     });
   }
@@ -607,6 +932,9 @@ class Room {
 
   /**
    * Get indices of 2 random wrong options for 50:50 power-up
+   * @param {string} socketId
+   * @param {number|number[]} correctAnswerIndex - Correct index, or index set for MULTI_SELECT
+   * @param {number} optionCount
    */
   getFiftyFiftyOptions(socketId, correctAnswerIndex, optionCount) {
     const player = this.getPlayer(socketId);
@@ -618,15 +946,17 @@ class Room {
     }
 
     // Validate correctAnswerIndex is within bounds
-    if (typeof correctAnswerIndex !== 'number' || !Number.isInteger(correctAnswerIndex) ||
-        correctAnswerIndex < 0 || correctAnswerIndex >= optionCount) {
-      throw new ValidationError(`correctAnswerIndex ${correctAnswerIndex} is out of bounds (0-${optionCount - 1})`);
+    const correctIndices = Array.isArray(correctAnswerIndex) ? correctAnswerIndex : [correctAnswerIndex];
+    for (const index of correctIndices) {
+      if (typeof index !== 'number' || !Number.isInteger(index) || index < 0 || index >= optionCount) {
+        throw new ValidationError(`correctAnswerIndex ${index} is out of bounds (0-${optionCount - 1})`);
+      }
     }
 
     // Build list of wrong option indices
     const wrongIndices = [];
     for (let i = 0; i < optionCount; i++) {
-      if (i !== correctAnswerIndex) {
+      if (!correctIndices.includes(i)) {
         wrongIndices.push(i);
       }
     }
@@ -648,6 +978,30 @@ class Room {
     return wrongIndices.slice(0, eliminateCount);
   }
 
+  /**
+   * Pick a random opponent for FREEZE: connected, still answering and,
+   * in team mode, not on the user's team
+   * @param {string} socketId - Socket of the player using FREEZE
+   * @returns {Player}
+   */
+  pickFreezeTarget(socketId) {
+    const player = this.getPlayer(socketId);
+    if (!player) {
+      throw new ValidationError('Player not found');
+    }
+    const ownTeam = this.isTeamMode() ? this._teamManager.getTeamForPlayer(player.id) : null;
+    const candidates = this.players.filter(p =>
+      p.id !== player.id &&
+      !p.isDisconnected() &&
+      !p.hasAnswered() &&
+      !(ownTeam && this._teamManager.getTeamForPlayer(p.id) === ownTeam)
+    );
+    if (candidates.length === 0) {
+      throw new ValidationError('No opponent left to freeze');
+    }
+    return candidates[Math.floor(Math.random() * candidates.length)];
+  }
+
   // ==================== KICK/BAN METHODS ====================
 
   getPlayerById(playerId) {
@@ -720,7 +1074,7 @@ class Room {
   // ==================== SPECTATOR METHODS (delegated to SpectatorManager) ====================
 
   addSpectator(spectator) {
-    this._spectatorManager.add(spectator, this.players, this.bannedNicknames);
+    this._spectatorManager.add(spectator, this.players, this.bannedNicknames, this.capacity.spectators);
   }
 
   removeSpectator(socketId) {
@@ -804,6 +1158,55 @@ class Room {
     return this._pauseManager.getTimerState();
   }
 
+  // ==================== ROOM CAPACITY ====================
+
+  /**
+   * Set how many players and spectators the room lets in
+   * @param {Object} capacity
+   * @param {number} capacity.players - Up to the host's capacityLimit
+   * @param {number} capacity.spectators - Up to MAX_ROOM_SPECTATORS
+   */
+  setCapacity({ players, spectators }) {
+    if (this.state !== RoomState.WAITING_PLAYERS) {
+      throw new ValidationError('Room capacity can only be configured in lobby');
+    }
+    if (!Number.isInteger(players) || players < 1 || players > this.capacityLimit) {
+      throw new ValidationError(`Room capacity must be between 1 and ${this.capacityLimit} players`);
+    }
+    if (!Number.isInteger(spectators) || spectators < 0 || spectators > MAX_ROOM_SPECTATORS) {
+      throw new ValidationError(`Spectator capacity must be between 0 and ${MAX_ROOM_SPECTATORS}`);
+    }
+    // Nobody already in is turned away
+    if (players < this.getConnectedPlayerCount()) {
+      throw new ValidationError(`${this.getConnectedPlayerCount()} players are already in the room`);
+    }
+    if (spectators < this.getSpectatorCount()) {
+      throw new ValidationError(`${this.getSpectatorCount()} spectators are already in the room`);
+    }
+    this.capacity = { players, spectators };
+  }
+
+  /**
+   * @returns {{ players: number, spectators: number, limit: number }} Capacity, with the most players the host may allow
+   */
+  getCapacityConfig() {
+    return { ...this.capacity, limit: this.capacityLimit };
+  }
+
+  setLargeEvent(enabled) {
+    if (this.state !== RoomState.WAITING_PLAYERS) {
+      throw new ValidationError('Large-event mode can only be configured in lobby');
+    }
+    if (typeof enabled !== 'boolean') {
+      throw new ValidationError('enabled must be a boolean');
+    }
+    this.largeEvent = enabled;
+  }
+
+  isLargeEvent() {
+    return this.largeEvent;
+  }
+
   // ==================== LIGHTNING ROUND METHODS ====================
 
   setLightningRound(enabled, questionCount) {
@@ -833,12 +1236,412 @@ class Room {
     return { ...this.lightningRound };
   }
 
+  // ==================== ELIMINATION MODE ====================
+
+  /**
+   * @param {boolean} enabled
+   * @param {string} [rule] - EliminationRule
+   * @param {number} [count] - Players knocked out per question under BOTTOM_N
+   */
+  setElimination(enabled, rule = EliminationRule.WRONG_ANSWER, count = 1) {
+    if (this.state !== RoomState.WAITING_PLAYERS) {
+      throw new ValidationError('Elimination mode can only be configured in lobby');
+    }
+    if (typeof enabled !== 'boolean') {
+      throw new ValidationError('enabled must be a boolean');
+    }
+    if (!enabled) {
+      this.elimination = { ...this.elimination, enabled: false };
+      return;
+    }
+    if (this._teamManager.isEnabled()) {
+      throw new ValidationError('Elimination mode cannot be combined with team mode');
+    }
+    if (!Object.values(EliminationRule).includes(rule)) {
+      throw new ValidationError(`Elimination rule must be one of: ${Object.values(EliminationRule).join(', ')}`);
+    }
+    if (!Number.isInteger(count) || count < 1 || count > MAX_ELIMINATIONS_PER_QUESTION) {
+      throw new ValidationError(`Elimination count must be between 1 and ${MAX_ELIMINATIONS_PER_QUESTION}`);
+    }
+    this.elimination = { enabled: true, rule, count };
+  }
+
+  isEliminationMode() {
+    return this.elimination.enabled;
+  }
+
+  getEliminationConfig() {
+    return { ...this.elimination };
+  }
+
+  /**
+   * Whether an elimination game is down to its winner
+   */
+  hasLastPlayerStanding() {
+    return this.elimination.enabled && this.hasQuizSnapshot() && this.players.length <= 1;
+  }
+
+  /**
+   * Knock out the players the elimination rule selects for the current question and move
+   * them to the spectators. Polls eliminate no one, and neither does a question every
+   * remaining player got wrong; BOTTOM_N always leaves at least one player in.
+   * @param {Question} question - The question just played
+   * @returns {Spectator[]} Spectators the eliminated players became, best score first
+   */
+  eliminatePlayers(question) {
+    const mixed = this.hasMixedQuestions();
+    if (!this.elimination.enabled || (!mixed && question.isPoll)) {
+      return [];
+    }
+    const ranked = this._sortByScore(this.players);
+    let eliminated;
+    if (this.elimination.rule === EliminationRule.WRONG_ANSWER) {
+      // With shuffled questions everyone is judged on their own question, and a poll knocks no one out
+      eliminated = ranked.filter(p => {
+        const played = mixed ? this.getPlayerQuestion(p) : question;
+        return !played.isPoll && !p.hasAnsweredCorrectly(played);
+      });
+      if (eliminated.length === ranked.length) {
+        return [];
+      }
+    } else {
+      const count = Math.min(this.elimination.count, ranked.length - 1);
+      eliminated = count > 0 ? ranked.slice(-count) : [];
+    }
+
+    return eliminated.map(player => {
+      player.markEliminated(this.currentQuestionIndex);
+      this.players = this.players.filter(p => p !== player);
+      this.eliminatedPlayers.push(player);
+      return this._spectatorManager.addEliminatedPlayer(player, generateId());
+    });
+  }
+
+  // ==================== SHUFFLING ====================
+
+  /**
+   * Give every player their own question order and/or option order
+   * @param {boolean} questions - Shuffle the order questions are asked in
+   * @param {boolean} options - Shuffle the order answer options are shown in
+   */
+  setShuffle(questions, options) {
+    if (this.state !== RoomState.WAITING_PLAYERS) {
+      throw new ValidationError('Shuffling can only be configured in lobby');
+    }
+    if (typeof questions !== 'boolean' || typeof options !== 'boolean') {
+      throw new ValidationError('questions and options must be booleans');
+    }
+    if (questions && this.adaptive) {
+      throw new ValidationError('Shuffled questions cannot be combined with adaptive difficulty');
+    }
+    if (questions && this.isTeamAnswering()) {
+      throw new ValidationError('Shuffled questions cannot be combined with team answers');
+    }
+    this.shuffle = { questions, options };
+  }
+
+  getShuffleConfig() {
+    return { ...this.shuffle };
+  }
+
+  isShuffling() {
+    return this.shuffle.questions || this.shuffle.options;
+  }
+
+  /**
+   * Whether players answer different questions in the same round
+   */
+  hasMixedQuestions() {
+    return this.shuffle.questions && this.hasQuizSnapshot() && this.quizSnapshot.getTotalQuestions() > 1;
+  }
+
+  /**
+   * @param {Player} player
+   * @returns {PlayerShuffle|null} The player's order, or null when nothing is shuffled
+   */
+  getPlayerShuffle(player) {
+    return this._playerShuffles.get(player.id) || null;
+  }
+
+  /**
+   * Canonical index of the question a player gets in a round
+   * @param {Player} player
+   * @param {number} [round] - Defaults to the current question
+   */
+  getPlayerQuestionIndex(player, round = this.currentQuestionIndex) {
+    const shuffle = this.getPlayerShuffle(player);
+    return shuffle && this.shuffle.questions ? shuffle.getQuestionIndex(round) : this.getRoundQuestionIndex(round);
+  }
+
+  /**
+   * The question a player is answering this round
+   * @param {Player} player
+   * @returns {Question|null}
+   */
+  getPlayerQuestion(player) {
+    if (!this.quizSnapshot) return null;
+    return this.quizSnapshot.getQuestion(this.getPlayerQuestionIndex(player));
+  }
+
+  /**
+   * Translate option positions a player picked on their screen to canonical option indices
+   * @param {Player} player
+   * @param {number|number[]} answerIndex
+   */
+  toCanonicalAnswerIndex(player, answerIndex) {
+    const shuffle = this.getPlayerShuffle(player);
+    return shuffle ? shuffle.toCanonical(this.getPlayerQuestionIndex(player), answerIndex) : answerIndex;
+  }
+
+  /**
+   * Translate canonical option indices to where a player sees them this round
+   * @param {Player} player
+   * @param {number|number[]|null} canonicalIndex
+   */
+  toShownOptionIndex(player, canonicalIndex) {
+    const shuffle = this.getPlayerShuffle(player);
+    return shuffle ? shuffle.toShown(this.getPlayerQuestionIndex(player), canonicalIndex) : canonicalIndex;
+  }
+
+  /**
+   * Time limit of the current round in seconds. With shuffled questions the round lasts
+   * as long as the slowest question any player got, so nobody's question is cut short.
+   * @returns {number}
+   */
+  getRoundTimeLimit() {
+    const current = this.getCurrentQuestion();
+    if (!this.hasMixedQuestions()) return current.timeLimit;
+    return this.players.reduce(
+      (longest, player) => Math.max(longest, this.getPlayerQuestion(player).timeLimit),
+      current.timeLimit
+    );
+  }
+
+  /**
+   * Results of a round in which players answered different questions: there is no shared
+   * distribution, only how many players got their own question right
+   * @returns {{ distribution: number[], correctCount: number, skippedCount: number, unansweredCount: number }}
+   */
+  getMixedRoundSummary() {
+    const correctCount = this.players.filter(player => {
+      const question = this.getPlayerQuestion(player);
+      return !question.isPoll && player.hasAnsweredCorrectly(question);
+    }).length;
+    const unansweredCount = this.players.filter(p => !p.isDisconnected() && !p.hasAnswered()).length;
+    return { distribution: [], correctCount, skippedCount: 0, unansweredCount };
+  }
+
+  // ==================== ADAPTIVE DIFFICULTY ====================
+
+  /**
+   * Pick each next question from how the room did on the previous one instead of playing the quiz in order
+   * @param {boolean} enabled
+   */
+  setAdaptiveDifficulty(enabled) {
+    if (this.state !== RoomState.WAITING_PLAYERS) {
+      throw new ValidationError('Adaptive difficulty can only be configured in lobby');
+    }
+    if (typeof enabled !== 'boolean') {
+      throw new ValidationError('enabled must be a boolean');
+    }
+    if (enabled && this.shuffle.questions) {
+      throw new ValidationError('Adaptive difficulty cannot be combined with shuffled questions');
+    }
+    this.adaptive = enabled;
+  }
+
+  isAdaptive() {
+    return this.adaptive;
+  }
+
+  /**
+   * Snapshot index of the question played in each round so far
+   * @returns {number[]}
+   */
+  getQuestionSequence() {
+    if (this.adaptive) return [...this._questionSequence];
+    if (!this.hasQuizSnapshot()) return [];
+    return Array.from({ length: this.currentQuestionIndex + 1 }, (_, round) => round);
+  }
+
+  /**
+   * Snapshot index of the question everyone shares in a round
+   * @param {number} [round] - Defaults to the current round
+   */
+  getRoundQuestionIndex(round = this.currentQuestionIndex) {
+    return this.adaptive ? this._questionSequence[round] : round;
+  }
+
+  /**
+   * The question of the current round
+   * @returns {Question|null}
+   */
+  getCurrentQuestion() {
+    if (!this.quizSnapshot) return null;
+    return this.quizSnapshot.getQuestion(this.getRoundQuestionIndex());
+  }
+
+  /**
+   * How many rounds the game lasts; an adaptive game can play fewer than its snapshot holds
+   * @returns {number}
+   */
+  getTotalQuestions() {
+    if (!this.quizSnapshot) return 0;
+    return this._roundCount ?? this.quizSnapshot.getTotalQuestions();
+  }
+
+  /**
+   * Next question of an adaptive game: a level up from the current question when most active players
+   * got it right, a level down when most did not. Unanswered counts as wrong.
+   * @private
+   */
+  _pickAdaptiveQuestion() {
+    const question = this.getCurrentQuestion();
+    const active = this.players.filter(p => !p.isDisconnected());
+    const accuracy = question.isPoll || active.length === 0
+      ? null
+      : active.filter(p => p.hasAnsweredCorrectly(question)).length / active.length;
+    const level = AdaptiveDifficulty.nextLevel(question.difficulty, accuracy);
+    return AdaptiveDifficulty.pickQuestion(this.quizSnapshot.questions, this._questionSequence, level);
+  }
+
+  // ==================== POWER-UP LOADOUT ====================
+
+  /**
+   * Set how many of each power-up players start with. Types left out are disabled.
+   * Applies to players already in the lobby as well as later joins.
+   * @param {Object} loadout - Count per PowerUpType, 0 to MAX_POWER_UPS_PER_TYPE
+   * @param {boolean} [earn=false] - Start players empty; the enabled types are earned during play instead
+   */
+  setPowerUpLoadout(loadout, earn = false) {
+    if (this.state !== RoomState.WAITING_PLAYERS) {
+      throw new ValidationError('Power-ups can only be configured in lobby');
+    }
+    if (!loadout || typeof loadout !== 'object' || Array.isArray(loadout)) {
+      throw new ValidationError('Power-up loadout must be an object');
+    }
+    if (typeof earn !== 'boolean') {
+      throw new ValidationError('earn must be a boolean');
+    }
+    const next = {};
+    for (const type of Object.values(PowerUpType)) {
+      next[type] = 0;
+    }
+    for (const [type, count] of Object.entries(loadout)) {
+      if (!PowerUpType[type]) {
+        throw new ValidationError(`Invalid power-up type: ${type}`);
+      }
+      if (!Number.isInteger(count) || count < 0 || count > MAX_POWER_UPS_PER_TYPE) {
+        throw new ValidationError(`Power-up count must be between 0 and ${MAX_POWER_UPS_PER_TYPE}`);
+      }
+      next[type] = count;
+    }
+    this.powerUpLoadout = next;
+    this.earnPowerUps = earn;
+    const starting = this.getStartingPowerUps();
+    for (const player of this.players) {
+      player.setPowerUps(starting);
+    }
+  }
+
+  getPowerUpLoadout() {
+    return { ...this.powerUpLoadout };
+  }
+
+  isEarningPowerUps() {
+    return this.earnPowerUps;
+  }
+
+  /**
+   * Inventory a player starts the game with: the loadout, or nothing when power-ups are earned
+   * or teams answer together (a power-up would only help one member's proposal)
+   * @returns {Object} Count per PowerUpType
+   */
+  getStartingPowerUps() {
+    if (!this.earnPowerUps && !this.isTeamAnswering()) {
+      return { ...this.powerUpLoadout };
+    }
+    const empty = {};
+    for (const type of Object.values(PowerUpType)) {
+      empty[type] = 0;
+    }
+    return empty;
+  }
+
+  /**
+   * Grant a random power-up when a correct answer completes a streak milestone
+   * (every STREAK_POWER_UP_INTERVAL in a row). Only when power-ups are earned.
+   * @param {Player} player - Player whose streak just grew
+   * @returns {string|null} PowerUpType granted
+   */
+  awardStreakPowerUp(player) {
+    if (!this.earnPowerUps || player.streak === 0 || player.streak % STREAK_POWER_UP_INTERVAL !== 0) {
+      return null;
+    }
+    return this._grantRandomPowerUp(player, this._getEarnablePowerUps());
+  }
+
+  /**
+   * Grant a catch-up power-up to each connected player in the bottom third of the leaderboard.
+   * Nothing is granted after the last question, when there is no question left to use it on.
+   * @param {number} totalQuestions
+   * @returns {Array<{player: Player, type: string}>} Grants made
+   */
+  awardCatchUpPowerUps(totalQuestions) {
+    if (!this.earnPowerUps || this.isTeamAnswering() || this.currentQuestionIndex >= totalQuestions - 1) {
+      return [];
+    }
+    const leaderboard = this._sortByScore(this.players);
+    const bottomCount = Math.floor(leaderboard.length / 3);
+    if (bottomCount === 0) {
+      return [];
+    }
+    const earnable = this._getEarnablePowerUps();
+    const catchUp = earnable.filter(type => CATCH_UP_POWER_UPS.includes(type));
+    const pool = catchUp.length > 0 ? catchUp : earnable;
+
+    const grants = [];
+    for (const player of leaderboard.slice(-bottomCount)) {
+      if (player.isDisconnected()) continue;
+      const type = this._grantRandomPowerUp(player, pool);
+      if (type) {
+        grants.push({ player, type });
+      }
+    }
+    return grants;
+  }
+
+  /**
+   * Power-up types the host enabled in the loadout
+   * @private
+   */
+  _getEarnablePowerUps() {
+    return Object.values(PowerUpType).filter(type => this.powerUpLoadout[type] > 0);
+  }
+
+  /**
+   * Give the player one random type from the pool they do not already hold the maximum of
+   * @private
+   */
+  _grantRandomPowerUp(player, pool) {
+    const available = pool.filter(type => player.getPowerUpCount(type) < MAX_POWER_UPS_PER_TYPE);
+    if (available.length === 0) {
+      return null;
+    }
+    const type = available[Math.floor(Math.random() * available.length)];
+    player.grantPowerUp(type);
+    return type;
+  }
+
   // ==================== TEAM MODE METHODS (delegated to TeamManager) ====================
 
   enableTeamMode() {
     if (this.state !== RoomState.WAITING_PLAYERS) {
       throw new ValidationError('Team mode can only be changed in lobby');
     }
+    if (this.elimination.enabled) {
+      throw new ValidationError('Team mode cannot be combined with elimination mode');
+    }
     this._teamManager.enable();
   }
 
@@ -846,7 +1649,15 @@ class Room {
     if (this.state !== RoomState.WAITING_PLAYERS) {
       throw new ValidationError('Team mode can only be changed in lobby');
     }
+    const wasTeamAnswering = this.isTeamAnswering();
     this._teamManager.disable();
+    if (wasTeamAnswering) {
+      // Power-ups held back for team answers come back
+      const starting = this.getStartingPowerUps();
+      for (const player of this.players) {
+        player.setPowerUps(starting);
+      }
+    }
   }
 
   isTeamMode() {
@@ -891,6 +1702,29 @@ class Room {
     this._teamManager.shufflePlayers(playerIds);
   }
 
+  /**
+   * Split the players into teams of similar expected strength
+   * @param {Map<string, number|null>} strengths - Player ID -> expected share of correct answers, null when unknown
+   */
+  balanceTeams(strengths) {
+    if (this.state !== RoomState.WAITING_PLAYERS) {
+      throw new ValidationError('Teams can only be balanced in lobby');
+    }
+    if (!this._teamManager.isEnabled()) {
+      throw new ValidationError('Team mode is not enabled');
+    }
+    const playerIds = this.players.map(p => p.id);
+    this._teamManager.balancePlayers(playerIds, strengths);
+  }
+
+  /**
+   * @param {Team} team
+   * @returns {number|null} Expected share of correct answers; null until teams have been balanced
+   */
+  getTeamStrength(team) {
+    return this._teamManager.getTeamStrength(team);
+  }
+
   swapTeamPlayers(playerIdA, playerIdB) {
     if (this.state !== RoomState.WAITING_PLAYERS) {
       throw new ValidationError('Team swaps can only be done in lobby');
@@ -916,6 +1750,340 @@ class Room {
   getAllTeams() {
     return this._teamManager.getAll();
   }
+
+  // ==================== TEAM ANSWERS ====================
+
+  /**
+   * Have each team submit one answer: members propose, and the majority or the captain decides.
+   * The discussion time is added to every question so teams can talk before points start to drop.
+   * @param {boolean} enabled
+   * @param {string} [rule] - TeamAnswerRule
+   * @param {number} [discussionSeconds]
+   */
+  setTeamAnswers(enabled, rule = TeamAnswerRule.MAJORITY, discussionSeconds = DEFAULT_TEAM_DISCUSSION_SECONDS) {
+    if (this.state !== RoomState.WAITING_PLAYERS) {
+      throw new ValidationError('Team answers can only be configured in lobby');
+    }
+    if (enabled && !this._teamManager.isEnabled()) {
+      throw new ValidationError('Team mode is not enabled');
+    }
+    if (enabled && this.shuffle.questions) {
+      throw new ValidationError('Team answers cannot be combined with shuffled questions');
+    }
+    this._teamManager.setCollaboration(enabled, rule, discussionSeconds);
+    const starting = this.getStartingPowerUps();
+    for (const player of this.players) {
+      player.setPowerUps(starting);
+    }
+  }
+
+  isTeamAnswering() {
+    return this._teamManager.isCollaborating();
+  }
+
+  getTeamAnswerConfig() {
+    return this._teamManager.getCollaborationConfig();
+  }
+
+  /**
+   * Seconds added to each question for team discussion; 0 unless teams answer together
+   * @returns {number}
+   */
+  getTeamDiscussionSeconds() {
+    return this.isTeamAnswering() ? this._teamManager.collaboration.discussionSeconds : 0;
+  }
+
+  setTeamCaptain(teamId, playerId) {
+    if (this.state !== RoomState.WAITING_PLAYERS) {
+      throw new ValidationError('Team captains can only be changed in lobby');
+    }
+    const team = this._teamManager.getAll().find(t => t.id === teamId);
+    if (!team) throw new ValidationError('Team not found');
+    team.setCaptain(playerId);
+  }
+
+  /**
+   * Record a member's proposal for their team's answer, and lock in the team's answer once it is decided
+   * @param {Player} player - A member who has just submitted their answer
+   * @param {Object} proposal - { answerIndex, answerValue, confidence, elapsedTimeMs, effectiveTimeLimitMs }
+   * @returns {{ team: Team, teamAnswer: Object|null }} teamAnswer is set when this proposal decided the team's answer
+   */
+  proposeTeamAnswer(player, proposal) {
+    if (this.state !== RoomState.ANSWERING_PHASE) {
+      throw new ValidationError('Not in answering phase');
+    }
+    const team = this._teamManager.getTeamForPlayer(player.id);
+    if (!team) throw new ValidationError('Player is not on a team');
+    this._teamManager.propose(team, { ...proposal, playerId: player.id, nickname: player.nickname });
+    const decision = this._teamManager.decideTeamAnswer(team, this._getConnectedMemberIds(team));
+    return { team, teamAnswer: decision ? this._lockTeamAnswer(team, decision) : null };
+  }
+
+  /**
+   * When answering closes, teams that proposed but never settled answer with what they have
+   * @returns {Array<{ team: Team, teamAnswer: Object }>} Answers locked in now
+   */
+  resolveTeamAnswers() {
+    if (!this.isTeamAnswering()) return [];
+    const resolved = [];
+    for (const team of this._teamManager.getAll()) {
+      if (this._teamManager.hasTeamAnswered(team.id)) continue;
+      const decision = this._teamManager.decideTeamAnswer(team, this._getConnectedMemberIds(team), true);
+      if (decision) {
+        resolved.push({ team, teamAnswer: this._lockTeamAnswer(team, decision) });
+      }
+    }
+    return resolved;
+  }
+
+  /**
+   * Whether every team with a connected member has answered this round
+   */
+  haveAllTeamsAnswered() {
+    const activeTeams = this._teamManager.getAll().filter(team => this._getConnectedMemberIds(team).length > 0);
+    return activeTeams.length > 0 && activeTeams.every(team => this._teamManager.hasTeamAnswered(team.id));
+  }
+
+  /**
+   * @param {string} teamId
+   * @returns {Object[]} This round's proposals of a team
+   */
+  getTeamProposals(teamId) {
+    return this._teamManager.getProposals(teamId);
+  }
+
+  /**
+   * @param {string} teamId
+   * @returns {Object|null} The team's answer this round
+   */
+  getTeamAnswer(teamId) {
+    return this._teamManager.getTeamAnswer(teamId);
+  }
+
+  /**
+   * Every team answer of the game, for archiving
+   */
+  getTeamAnswerHistory() {
+    return this._teamManager.getAnswerHistory();
+  }
+
+  /**
+   * @private
+   */
+  _getConnectedMemberIds(team) {
+    return team.playerIds.filter(id => {
+      const player = this.getPlayerById(id);
+      return player && !player.isDisconnected();
+    });
+  }
+
+  /**
+   * Score the team's answer and credit it to the team and to every member, who all share its result.
+   * The discussion window is free: speed points only start to drop once it is over.
+   * @private
+   */
+  _lockTeamAnswer(team, proposal) {
+    const question = this.getCurrentQuestion();
+    const discussionMs = this.getTeamDiscussionSeconds() * 1000;
+    const answer = Answer.create({
+      playerId: team.id,
+      questionId: question.id,
+      roomPin: this.pin,
+      answerIndex: proposal.answerIndex,
+      answerValue: proposal.answerValue,
+      question,
+      elapsedTimeMs: Math.max(0, proposal.elapsedTimeMs - discussionMs),
+      currentStreak: team.streak,
+      effectiveTimeLimitMs: proposal.effectiveTimeLimitMs ? Math.max(1, proposal.effectiveTimeLimitMs - discussionMs) : null,
+      scoringProfile: this.quizSnapshot.scoringProfile,
+      confidence: proposal.confidence
+    });
+    const streakBeforeAnswer = team.streak;
+    const members = team.playerIds.map(id => this.getPlayerById(id)).filter(Boolean);
+
+    // Same rules as a single player's answer: polls change nothing, partial credit still breaks the streak
+    let points = 0;
+    if (question.isPoll) {
+      // Polls award no points and leave the streak as it was
+    } else if (answer.isCorrect) {
+      points = answer.getTotalScore();
+      team.incrementStreak();
+      members.forEach(member => member.incrementStreak());
+    } else {
+      points = answer.score > 0 ? answer.getTotalScore() : -answer.penalty;
+      team.resetStreak();
+      members.forEach(member => member.resetStreak());
+    }
+    if (points >= 0) {
+      team.addScore(points);
+    } else {
+      team.deductScore(-points);
+    }
+    for (const member of members) {
+      // The score stops at zero, so a member may lose less than the penalty
+      let memberPoints = points;
+      if (points >= 0) {
+        member.addScore(points);
+      } else {
+        memberPoints = -member.deductScore(-points);
+      }
+      this.recordAnswer({
+        playerId: member.id,
+        playerNickname: member.nickname,
+        questionId: question.id,
+        questionIndex: this.getRoundQuestionIndex(),
+        answerIndex: answer.answerIndex,
+        answerValue: answer.answerValue,
+        isCorrect: answer.isCorrect,
+        isPoll: question.isPoll,
+        elapsedTimeMs: proposal.elapsedTimeMs,
+        score: Math.max(0, memberPoints - answer.streakBonus),
+        streak: streakBeforeAnswer,
+        streakBonus: answer.isCorrect ? answer.streakBonus : 0,
+        confidence: answer.confidence,
+        penalty: Math.max(0, -memberPoints),
+        optionCount: question.options.length
+      });
+    }
+
+    return this._teamManager.lockTeamAnswer(team, {
+      questionId: question.id,
+      questionIndex: this.getRoundQuestionIndex(),
+      answerIndex: answer.answerIndex,
+      answerValue: answer.answerValue,
+      isCorrect: answer.isCorrect,
+      isPoll: question.isPoll,
+      score: points,
+      streak: team.streak,
+      streakBonus: answer.isCorrect ? answer.streakBonus : 0,
+      confidence: answer.confidence,
+      rule: this._teamManager.collaboration.rule,
+      decidedBy: proposal.playerId,
+      proposalCount: this._teamManager.getProposals(team.id).length,
+      elapsedTimeMs: proposal.elapsedTimeMs
+    });
+  }
+
+  // ==================== PERSISTENCE METHODS ====================
+
+  /**
+   * Plain copy of the whole room, kept so a game survives a server restart
+   * @returns {Object}
+   */
+  toSnapshot() {
+    return {
+      id: this.id,
+      pin: this.pin,
+      hostId: this.hostId,
+      hostUserId: this.hostUserId,
+      hostToken: this.hostToken,
+      quizId: this.quizId,
+      state: this.state,
+      currentQuestionIndex: this.currentQuestionIndex,
+      createdAt: this.createdAt,
+      capacityLimit: this.capacityLimit,
+      capacity: { ...this.capacity },
+      largeEvent: this.largeEvent,
+      players: this.players.map(p => p.toSnapshot()),
+      bannedNicknames: [...this.bannedNicknames],
+      hostDisconnectedAt: this.hostDisconnectedAt,
+      answerHistory: this.answerHistory,
+      quizSnapshot: this.quizSnapshot ? this.quizSnapshot.toSnapshot() : null,
+      gameStartedAt: this.gameStartedAt,
+      podiumReachedAt: this.podiumReachedAt,
+      spectators: this._spectatorManager.toSnapshot(),
+      teams: this._teamManager.toSnapshot(),
+      pause: this._pauseManager.toSnapshot(),
+      lightningRound: { ...this.lightningRound },
+      powerUpLoadout: { ...this.powerUpLoadout },
+      earnPowerUps: this.earnPowerUps,
+      elimination: { ...this.elimination },
+      eliminatedPlayers: this.eliminatedPlayers.map(p => p.toSnapshot()),
+      shuffle: { ...this.shuffle },
+      playerShuffles: [...this._playerShuffles].map(([playerId, shuffle]) => [playerId, shuffle.toJSON()]),
+      adaptive: this.adaptive,
+      questionSequence: [...this._questionSequence],
+      roundCount: this._roundCount,
+      answeringPhasePlayerCount: this.answeringPhasePlayerCount,
+      recoveredAt: this.recoveredAt
+    };
+  }
+
+  /**
+   * Rebuild a room from toSnapshot(), e.g. after it went through JSON
+   * @param {Object} data
+   * @returns {Room}
+   */
+  static fromSnapshot(data) {
+    const room = new Room({
+      id: data.id,
+      pin: data.pin,
+      hostId: data.hostId,
+      hostUserId: data.hostUserId,
+      hostToken: data.hostToken,
+      quizId: data.quizId,
+      state: data.state,
+      currentQuestionIndex: data.currentQuestionIndex,
+      createdAt: toDateOrNull(data.createdAt) || new Date(),
+      // Rooms saved before capacities were configurable had the defaults
+      capacityLimit: data.capacityLimit ?? MAX_PLAYERS
+    });
+    if (data.capacity) room.capacity = { ...data.capacity };
+    room.largeEvent = data.largeEvent === true;
+    room.players = data.players.map(p => Player.fromSnapshot(p));
+    room.bannedNicknames = [...data.bannedNicknames];
+    room.hostDisconnectedAt = toDateOrNull(data.hostDisconnectedAt);
+    room.answerHistory = data.answerHistory.map(entry => ({ ...entry, timestamp: toDateOrNull(entry.timestamp) }));
+    room._answerHistoryKeys = new Set(room.answerHistory.map(entry => `${entry.playerId}:${entry.questionId}`));
+    room.quizSnapshot = data.quizSnapshot ? Quiz.fromSnapshot(data.quizSnapshot) : null;
+    room.gameStartedAt = toDateOrNull(data.gameStartedAt);
+    room.podiumReachedAt = toDateOrNull(data.podiumReachedAt);
+    room._spectatorManager = SpectatorManager.fromSnapshot(data.spectators);
+    room._teamManager = TeamManager.fromSnapshot(data.teams);
+    room._pauseManager = PauseManager.fromSnapshot(data.pause);
+    room.lightningRound = { ...data.lightningRound };
+    room.powerUpLoadout = { ...data.powerUpLoadout };
+    room.earnPowerUps = data.earnPowerUps === true;
+    room.elimination = { ...data.elimination };
+    room.eliminatedPlayers = data.eliminatedPlayers.map(p => Player.fromSnapshot(p));
+    room.shuffle = { ...data.shuffle };
+    room._playerShuffles = new Map(data.playerShuffles.map(([playerId, shuffle]) => [playerId, new PlayerShuffle(shuffle)]));
+    room.adaptive = data.adaptive === true;
+    room._questionSequence = [...data.questionSequence];
+    room._roundCount = data.roundCount ?? null;
+    room.answeringPhasePlayerCount = data.answeringPhasePlayerCount || 0;
+    room.recoveredAt = toDateOrNull(data.recoveredAt);
+    return room;
+  }
+
+  /**
+   * Mark the room as brought back after a server restart. Nobody is connected to the new server,
+   * so the host and everyone still in the room count as gone from that moment and get the usual
+   * grace period to reconnect.
+   * @param {Date} [at]
+   * @param {string[]} [connectedSocketIds] - Sockets still connected through another server, which keep their place
+   */
+  markRecovered(at = new Date(), connectedSocketIds = []) {
+    const connected = new Set(connectedSocketIds);
+    this.recoveredAt = at;
+    if (!this.hostDisconnectedAt && !connected.has(this.hostId)) this.hostDisconnectedAt = at;
+    for (const player of this.players) {
+      if (!player.isDisconnected() && !connected.has(player.socketId)) player.disconnectedAt = at;
+    }
+    this._spectatorManager.disconnectAll(at, connected);
+  }
+
+  /**
+   * Whether someone who went away at the given time has not been back since the room was recovered,
+   * so their client still has to learn about the restart
+   * @param {Date|null} disconnectedAt
+   * @returns {boolean}
+   */
+  missedRecovery(disconnectedAt) {
+    return this.recoveredAt !== null &&
+      disconnectedAt !== null &&
+      disconnectedAt.getTime() <= this.recoveredAt.getTime();
+  }
 }
 
-module.exports = { Room, RoomState };
+module.exports = { Room, RoomState, EliminationRule };
@@ -1,4 +1,5 @@
 const { BaseParticipant, TOKEN_EXPIRATION_MS } = require('./BaseParticipant');
+const { toDateOrNull } = require('../../shared/utils/dates');
 
 /**
  * Spectator Entity
@@ -32,6 +33,17 @@ class Spectator extends BaseParticipant {
       isDisconnected: this.isDisconnected()
     };
   }
+
+  /**
+   * Rebuild a spectator from toSnapshot()
+   * @param {Object} data
+   * @returns {Spectator}
+   */
+  static fromSnapshot(data) {
+    const spectator = new Spectator(BaseParticipant._paramsFromSnapshot(data));
+    spectator.disconnectedAt = toDateOrNull(data.disconnectedAt);
+    return spectator;
+  }
 }
 
 module.exports = { Spectator };
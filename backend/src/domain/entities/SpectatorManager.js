@@ -1,14 +1,15 @@
 const { ValidationError, UnauthorizedError, ForbiddenError } = require('../../shared/errors');
 const { MAX_SPECTATORS } = require('../../shared/config/constants');
+const { Spectator } = require('./Spectator');
 
 class SpectatorManager {
   constructor() {
     this.spectators = [];
   }
 
-  add(spectator, players, bannedNicknames = []) {
-    if (this.spectators.length >= MAX_SPECTATORS) {
-      throw new ValidationError(`Room is full (maximum ${MAX_SPECTATORS} spectators)`);
+  add(spectator, players, bannedNicknames = [], maxSpectators = MAX_SPECTATORS) {
+    if (this.spectators.length >= maxSpectators) {
+      throw new ValidationError(`Room is full (maximum ${maxSpectators} spectators)`);
     }
     const nicknameExistsPlayer = players.some(p => p.hasNickname(spectator.nickname));
     const nicknameExistsSpectator = this.spectators.some(s => s.hasNickname(spectator.nickname));
@@ -33,6 +34,26 @@ class SpectatorManager {
     this.spectators.push(spectator);
   }
 
+  /**
+   * Seat a player knocked out in elimination mode as a spectator on the same socket.
+   * The spectator cap only limits people joining to watch, so it does not apply here.
+   * @param {Player} player - The eliminated player
+   * @param {string} token - Spectator token for reconnection
+   * @returns {Spectator}
+   */
+  addEliminatedPlayer(player, token) {
+    const spectator = new Spectator({
+      id: player.id,
+      socketId: player.socketId,
+      nickname: player.nickname,
+      roomPin: player.roomPin,
+      token
+    });
+    if (player.isDisconnected()) spectator.setDisconnected();
+    this.spectators.push(spectator);
+    return spectator;
+  }
+
   remove(socketId) {
     const spectator = this.getBySocketId(socketId);
     this.spectators = this.spectators.filter(s => s.socketId !== socketId);
@@ -100,6 +121,32 @@ class SpectatorManager {
   getConnectedCount() {
     return this.spectators.filter(s => !s.isDisconnected()).length;
   }
+
+  /**
+   * Mark every connected spectator as disconnected at the given time
+   * @param {Date} at
+   * @param {Set<string>} [except] - Socket ids of spectators to leave connected
+   */
+  disconnectAll(at, except = new Set()) {
+    for (const spectator of this.spectators) {
+      if (!spectator.isDisconnected() && !except.has(spectator.socketId)) spectator.disconnectedAt = at;
+    }
+  }
+
+  toSnapshot() {
+    return this.spectators.map(s => s.toSnapshot());
+  }
+
+  /**
+   * Rebuild the spectators from toSnapshot()
+   * @param {Object[]} data
+   * @returns {SpectatorManager}
+   */
+  static fromSnapshot(data = []) {
+    const manager = new SpectatorManager();
+    manager.spectators = data.map(s => Spectator.fromSnapshot(s));
+    return manager;
+  }
 }
 
 module.exports = { SpectatorManager };
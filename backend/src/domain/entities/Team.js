@@ -1,11 +1,12 @@
 const { ValidationError } = require('../../shared/errors');
+const { MAX_STREAK } = require('../../shared/config/constants');
 
 const TEAM_COLORS = ['#e74c3c', '#3498db', '#2ecc71', '#f39c12', '#9b59b6', '#1abc9c', '#e67e22', '#34495e'];
 const MAX_TEAMS = 8;
 const MAX_TEAM_NAME = 20;
 
 class Team {
-  constructor({ id, name, color, playerIds = [] }) {
+  constructor({ id, name, color, playerIds = [], captainId = null }) {
     if (!name || typeof name !== 'string' || name.trim().length === 0) {
       throw new ValidationError('Team name is required');
     }
@@ -18,6 +19,12 @@ class Team {
     this.name = trimmedName;
     this.color = color;
     this.playerIds = [...playerIds];
+    // Team answers: the member whose pick is the team's answer under the CAPTAIN rule (null = first member)
+    this.captainId = captainId;
+    // Team answers: the team is scored as one, on its own score and streak
+    this.score = 0;
+    this.streak = 0;
+    this.correctAnswers = 0;
   }
 
   addPlayer(playerId) {
@@ -28,6 +35,9 @@ class Team {
 
   removePlayer(playerId) {
     this.playerIds = this.playerIds.filter(id => id !== playerId);
+    if (this.captainId === playerId) {
+      this.captainId = null;
+    }
   }
 
   hasPlayer(playerId) {
@@ -37,6 +47,70 @@ class Team {
   getPlayerCount() {
     return this.playerIds.length;
   }
+
+  /**
+   * The captain, or the first member when none was picked
+   * @returns {string|null}
+   */
+  getCaptainId() {
+    return this.captainId || this.playerIds[0] || null;
+  }
+
+  setCaptain(playerId) {
+    if (!this.hasPlayer(playerId)) {
+      throw new ValidationError('Captain must be a member of the team');
+    }
+    this.captainId = playerId;
+  }
+
+  addScore(points) {
+    this.score += Math.max(0, points);
+  }
+
+  /**
+   * Lower the score by a wrong-answer penalty, never below zero
+   * @returns {number} Points actually taken away
+   */
+  deductScore(points) {
+    const deducted = Math.min(this.score, Math.max(0, points));
+    this.score -= deducted;
+    return deducted;
+  }
+
+  incrementStreak() {
+    this.streak = Math.min(this.streak + 1, MAX_STREAK);
+    this.correctAnswers++;
+  }
+
+  resetStreak() {
+    this.streak = 0;
+  }
+
+  toSnapshot() {
+    return {
+      id: this.id,
+      name: this.name,
+      color: this.color,
+      playerIds: [...this.playerIds],
+      captainId: this.captainId,
+      score: this.score,
+      streak: this.streak,
+      correctAnswers: this.correctAnswers
+    };
+  }
+
+  /**
+   * Rebuild a team from toSnapshot()
+   * @param {Object} data
+   * @returns {Team}
+   */
+  static fromSnapshot(data) {
+    const team = new Team(data);
+    team.score = data.score || 0;
+    team.streak = data.streak || 0;
+    team.correctAnswers = data.correctAnswers || 0;
+    return team;
+  }
 }
 
 module.exports = { Team, TEAM_COLORS, MAX_TEAMS };
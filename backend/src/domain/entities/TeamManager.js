@@ -1,10 +1,32 @@
 const { ValidationError, ConflictError } = require('../../shared/errors');
-const { MAX_TEAMS } = require('../../shared/config/constants');
+const { TeamBalancer } = require('../value-objects/TeamBalancer');
+const { Team } = require('./Team');
+const { toDateOrNull } = require('../../shared/utils/dates');
+const { MAX_TEAMS, DEFAULT_TEAM_DISCUSSION_SECONDS, MAX_TEAM_DISCUSSION_SECONDS } = require('../../shared/config/constants');
+
+/**
+ * How a team's members' proposals become the team's answer when teams answer together:
+ * - MAJORITY: the answer most members proposed; the captain's proposal breaks a tie
+ * - CAPTAIN: whatever the captain picks, after seeing what the others proposed
+ */
+const TeamAnswerRule = {
+  MAJORITY: 'MAJORITY',
+  CAPTAIN: 'CAPTAIN'
+};
 
 class TeamManager {
   constructor() {
     this.teams = [];
     this.teamMode = false;
+    // Team answers: every member proposes, the team submits one answer and is scored as one
+    this.collaboration = { enabled: false, rule: TeamAnswerRule.MAJORITY, discussionSeconds: DEFAULT_TEAM_DISCUSSION_SECONDS };
+    // This round's proposals (team ID -> proposals in the order they came in) and decided answers (team ID -> answer)
+    this._proposals = new Map();
+    this._teamAnswers = new Map();
+    // Every decided team answer, kept for archiving
+    this.answerHistory = [];
+    // Balanced teams: each player's expected strength from past games (player ID -> share correct, null = no past)
+    this.strengths = new Map();
   }
 
   enable() {
@@ -14,6 +36,8 @@ class TeamManager {
   disable() {
     this.teamMode = false;
     this.teams = [];
+    this.collaboration = { enabled: false, rule: TeamAnswerRule.MAJORITY, discussionSeconds: DEFAULT_TEAM_DISCUSSION_SECONDS };
+    this.strengths = new Map();
   }
 
   isEnabled() {
@@ -59,10 +83,7 @@ class TeamManager {
     if (playerIds.length === 0) {
       throw new ValidationError('No players to shuffle');
     }
-    // Clear all existing assignments
-    for (const team of this.teams) {
-      team.playerIds = [];
-    }
+    this._clearAssignments();
     // Fisher-Yates shuffle
     const shuffled = [...playerIds];
     for (let i = shuffled.length - 1; i > 0; i--) {
@@ -75,6 +96,45 @@ class TeamManager {
     }
   }
 
+  /**
+   * Distribute given player IDs so every team has a similar expected strength,
+   * judged from their past accuracy. Clears existing assignments first.
+   * @param {string[]} playerIds
+   * @param {Map<string, number|null>} strengths - Player ID -> expected share of correct answers, null when unknown
+   */
+  balancePlayers(playerIds, strengths) {
+    if (this.teams.length < 2) {
+      throw new ValidationError('At least 2 teams are required to balance');
+    }
+    if (playerIds.length === 0) {
+      throw new ValidationError('No players to balance');
+    }
+    this._clearAssignments();
+    const split = TeamBalancer.assign(playerIds, this.teams.length, strengths);
+    split.forEach((memberIds, i) => memberIds.forEach(id => this.teams[i].addPlayer(id)));
+    this.strengths = new Map(strengths);
+  }
+
+  /**
+   * Expected strength of a team from its members' past games
+   * @param {Team} team
+   * @returns {number|null} Share of correct answers in [0, 1]; null until teams have been balanced
+   */
+  getTeamStrength(team) {
+    return TeamBalancer.teamStrength(team.playerIds, this.strengths);
+  }
+
+  /**
+   * Empty every team, captains included
+   * @private
+   */
+  _clearAssignments() {
+    for (const team of this.teams) {
+      team.playerIds = [];
+      team.captainId = null;
+    }
+  }
+
   /**
    * Swap two players between their teams atomically.
    * Both players must already be assigned to different teams.
@@ -104,7 +164,8 @@ class TeamManager {
   getLeaderboard(getPlayerById) {
     return this.teams
       .map(team => {
-        const teamScore = team.playerIds.reduce((sum, pid) => {
+        // Teams answering together are scored on their answers; otherwise a team scores what its members do
+        const teamScore = this.collaboration.enabled ? team.score : team.playerIds.reduce((sum, pid) => {
           const player = getPlayerById(pid);
           return sum + (player ? player.score : 0);
         }, 0);
@@ -126,6 +187,180 @@ class TeamManager {
   getAll() {
     return [...this.teams];
   }
+
+  // ==================== TEAM ANSWERS ====================
+
+  /**
+   * @param {boolean} enabled
+   * @param {string} rule - TeamAnswerRule
+   * @param {number} discussionSeconds - Added to each question's time before points start to drop
+   */
+  setCollaboration(enabled, rule, discussionSeconds) {
+    if (typeof enabled !== 'boolean') {
+      throw new ValidationError('enabled must be a boolean');
+    }
+    if (!Object.values(TeamAnswerRule).includes(rule)) {
+      throw new ValidationError(`Invalid team answer rule: ${rule}`);
+    }
+    if (!Number.isInteger(discussionSeconds) || discussionSeconds < 0 || discussionSeconds > MAX_TEAM_DISCUSSION_SECONDS) {
+      throw new ValidationError(`Discussion time must be between 0 and ${MAX_TEAM_DISCUSSION_SECONDS} seconds`);
+    }
+    this.collaboration = { enabled, rule, discussionSeconds };
+  }
+
+  isCollaborating() {
+    return this.teamMode && this.collaboration.enabled;
+  }
+
+  getCollaborationConfig() {
+    return { ...this.collaboration };
+  }
+
+  /**
+   * Add a member's proposal for this round
+   * @param {Team} team
+   * @param {Object} proposal - { playerId, answerIndex, answerValue, elapsedTimeMs, effectiveTimeLimitMs }
+   */
+  propose(team, proposal) {
+    if (this._teamAnswers.has(team.id)) {
+      throw new ConflictError('Your team has already answered');
+    }
+    const proposals = this._proposals.get(team.id) || [];
+    if (proposals.some(p => p.playerId === proposal.playerId)) {
+      throw new ConflictError('Already proposed an answer');
+    }
+    proposals.push({ ...proposal });
+    this._proposals.set(team.id, proposals);
+  }
+
+  /**
+   * @param {string} teamId
+   * @returns {Object[]} This round's proposals in the order they came in
+   */
+  getProposals(teamId) {
+    return [...(this._proposals.get(teamId) || [])];
+  }
+
+  /**
+   * The proposal that becomes the team's answer, if the team has settled on one.
+   * CAPTAIN: the captain's proposal. MAJORITY: an answer more than half the connected members proposed,
+   * or once every connected member has proposed, the most proposed one.
+   * At the end of the round (final) the team answers with the best it has: the captain's pick if there is one,
+   * otherwise the most proposed answer.
+   * Ties go to the answer the captain proposed, otherwise to the one proposed first.
+   * @param {Team} team
+   * @param {string[]} connectedMemberIds - Members who can still propose
+   * @param {boolean} [final=false] - The round is over
+   * @returns {Object|null} The deciding proposal
+   */
+  decideTeamAnswer(team, connectedMemberIds, final = false) {
+    const proposals = this.getProposals(team.id);
+    if (proposals.length === 0) return null;
+    const captainId = team.getCaptainId();
+    const captainProposal = proposals.find(p => p.playerId === captainId) || null;
+
+    if (this.collaboration.rule === TeamAnswerRule.CAPTAIN) {
+      if (captainProposal) return captainProposal;
+      // A captain who left cannot decide, so the others' proposals count instead
+      const captainPresent = connectedMemberIds.includes(captainId);
+      if (!final && captainPresent) return null;
+    }
+
+    const votes = new Map();
+    for (const proposal of proposals) {
+      const key = TeamManager._answerKey(proposal);
+      const entry = votes.get(key) || { count: 0, first: proposal, hasCaptain: false };
+      entry.count++;
+      if (proposal.playerId === captainId) entry.hasCaptain = true;
+      votes.set(key, entry);
+    }
+    const ranked = [...votes.values()].sort((a, b) => b.count - a.count || Number(b.hasCaptain) - Number(a.hasCaptain));
+    const top = ranked[0];
+    const decider = top.hasCaptain ? captainProposal : top.first;
+
+    if (final) return decider;
+    if (top.count > connectedMemberIds.length / 2) return decider;
+    const everyoneProposed = connectedMemberIds.every(id => proposals.some(p => p.playerId === id));
+    return everyoneProposed ? decider : null;
+  }
+
+  /**
+   * Store a team's decided answer for this round and in the history
+   * @param {Team} team
+   * @param {Object} entry - The scored team answer
+   */
+  lockTeamAnswer(team, entry) {
+    if (this._teamAnswers.has(team.id)) {
+      throw new ConflictError('Your team has already answered');
+    }
+    const record = { ...entry, teamId: team.id, teamName: team.name, timestamp: new Date() };
+    this._teamAnswers.set(team.id, record);
+    this.answerHistory.push(record);
+    return record;
+  }
+
+  hasTeamAnswered(teamId) {
+    return this._teamAnswers.has(teamId);
+  }
+
+  /**
+   * @param {string} teamId
+   * @returns {Object|null} The team's answer this round
+   */
+  getTeamAnswer(teamId) {
+    return this._teamAnswers.get(teamId) || null;
+  }
+
+  /**
+   * Forget this round's proposals and answers before the next question
+   */
+  clearRound() {
+    this._proposals.clear();
+    this._teamAnswers.clear();
+  }
+
+  getAnswerHistory() {
+    return [...this.answerHistory];
+  }
+
+  /**
+   * Proposals that would be scored alike compare equal: the same options, number, click, or text ignoring case
+   * @private
+   */
+  static _answerKey({ answerIndex, answerValue }) {
+    const value = typeof answerValue === 'string' ? answerValue.trim().toLocaleLowerCase('tr') : answerValue;
+    return JSON.stringify([answerIndex ?? null, value ?? null]);
+  }
+
+  toSnapshot() {
+    return {
+      teams: this.teams.map(team => team.toSnapshot()),
+      teamMode: this.teamMode,
+      collaboration: { ...this.collaboration },
+      proposals: [...this._proposals],
+      teamAnswers: [...this._teamAnswers],
+      answerHistory: this.answerHistory,
+      strengths: [...this.strengths]
+    };
+  }
+
+  /**
+   * Rebuild team state from toSnapshot()
+   * @param {Object} data
+   * @returns {TeamManager}
+   */
+  static fromSnapshot(data = {}) {
+    const manager = new TeamManager();
+    const withDate = (record) => ({ ...record, timestamp: toDateOrNull(record.timestamp) });
+    manager.teams = (data.teams || []).map(team => Team.fromSnapshot(team));
+    manager.teamMode = data.teamMode === true;
+    if (data.collaboration) manager.collaboration = { ...data.collaboration };
+    manager._proposals = new Map(data.proposals || []);
+    manager._teamAnswers = new Map((data.teamAnswers || []).map(([teamId, record]) => [teamId, withDate(record)]));
+    manager.answerHistory = (data.answerHistory || []).map(withDate);
+    manager.strengths = new Map(data.strengths || []);
+    return manager;
+  }
 }
 
-module.exports = { TeamManager };
+module.exports = { TeamManager, TeamAnswerRule };
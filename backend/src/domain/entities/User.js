@@ -1,4 +1,5 @@
 const { ValidationError } = require('../../shared/errors');
+const { MAX_ROOM_CAPACITY, ROOM_CAPACITY_BY_ROLE } = require('../../shared/config/constants');
 
 /**
  * User Domain Entity
@@ -19,6 +20,7 @@ class User {
     password = null, // Only included when needed for auth
     role = 'user',
     isActive = true,
+    maxRoomCapacity = null, // Set by an admin; null = the role's limit
     passwordResetToken = null,
     passwordResetExpires = null,
     createdAt = new Date(),
@@ -40,6 +42,7 @@ class User {
     this.password = password;
     this.role = User.ROLES.includes(role) ? role : 'user';
     this.isActive = Boolean(isActive);
+    this.maxRoomCapacity = maxRoomCapacity;
     this.passwordResetToken = passwordResetToken;
     this.passwordResetExpires = passwordResetExpires;
     this.createdAt = createdAt;
@@ -47,6 +50,19 @@ class User {
 
     this._validateEmail();
     this._validateUsername();
+    User.validateRoomCapacity(this.maxRoomCapacity);
+  }
+
+  /**
+   * Check a room capacity limit an admin sets for a user or role (null = none)
+   * @param {number|null} maxRoomCapacity
+   * @throws {ValidationError}
+   */
+  static validateRoomCapacity(maxRoomCapacity) {
+    if (maxRoomCapacity === null) return;
+    if (!Number.isInteger(maxRoomCapacity) || maxRoomCapacity < 1 || maxRoomCapacity > MAX_ROOM_CAPACITY) {
+      throw new ValidationError(`Room capacity limit must be between 1 and ${MAX_ROOM_CAPACITY} players`);
+    }
   }
 
   /**
@@ -127,6 +143,15 @@ class User {
     return this.role === 'admin';
   }
 
+  /**
+   * Most players the user's rooms can take: their own limit if an admin set one, otherwise their role's
+   * @param {Object} [roleLimits] - Limits an admin set per role (role -> players)
+   * @returns {number}
+   */
+  getRoomCapacityLimit(roleLimits = {}) {
+    return this.maxRoomCapacity ?? roleLimits[this.role] ?? ROOM_CAPACITY_BY_ROLE[this.role];
+  }
+
   /**
    * Convert to public JSON (excludes sensitive fields)
    * @returns {Object}
@@ -138,6 +163,7 @@ class User {
       username: this.username,
       role: this.role,
       isActive: this.isActive,
+      maxRoomCapacity: this.maxRoomCapacity,
       createdAt: this.createdAt
     };
   }
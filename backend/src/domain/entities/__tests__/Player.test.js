@@ -158,6 +158,25 @@ describe('Player', () => {
     });
   });
 
+  describe('deductScore', () => {
+    it('should remove points and report how many were lost', () => {
+      player.addScore(500);
+      expect(player.deductScore(200)).toBe(200);
+      expect(player.score).toBe(300);
+    });
+
+    it('should stop the score at zero', () => {
+      player.addScore(100);
+      expect(player.deductScore(250)).toBe(100);
+      expect(player.score).toBe(0);
+    });
+
+    it('should reject negative or invalid points', () => {
+      expect(() => player.deductScore(-100)).toThrow('Points cannot be negative');
+      expect(() => player.deductScore(NaN)).toThrow('Points must be a valid number');
+    });
+  });
+
   describe('playerToken property', () => {
     it('should get and set playerToken', () => {
       expect(player.playerToken).toBeNull();
@@ -47,6 +47,25 @@ describe('Question edge cases', () => {
 
   });
 
+  describe('hint', () => {
+    it('should trim the hint and default to empty', () => {
+      expect(new Question({ ...validData, hint: '  Think small  ' }).hint).toBe('Think small');
+      expect(new Question({ ...validData, hint: null }).hint).toBe('');
+    });
+
+    it('should throw for hint exceeding 200 chars', () => {
+      expect(() => new Question({ ...validData, hint: 'A'.repeat(201) })).toThrow('200 characters');
+    });
+
+    it('should tell players a hint exists without revealing it', () => {
+      const q = new Question({ ...validData, hint: 'Think small' });
+      expect(q.getPublicData().hasHint).toBe(true);
+      expect(q.getPublicData().hint).toBeUndefined();
+      expect(q.getHostData().hint).toBe('Think small');
+      expect(q.clone().hint).toBe('Think small');
+    });
+  });
+
   describe('imageUrl validation', () => {
     it('should reject javascript: protocol', () => {
       expect(() => new Question({ ...validData, imageUrl: 'javascript:alert(1)' })).toThrow('Invalid image URL protocol');
@@ -1,4 +1,4 @@
-const { Question, QuestionType } = require('../Question');
+const { Question, QuestionType, HotspotScoring, QuestionDifficulty } = require('../Question');
 
 describe('Question', () => {
   const validQuestionData = {
@@ -60,6 +60,15 @@ describe('Question', () => {
       expect(() => new Question({ ...validQuestionData, timeLimit: 150 }))
         .toThrow('Time limit must be between 5 and 120 seconds');
     });
+
+    it('should default to medium difficulty and keep it in clones', () => {
+      expect(new Question(validQuestionData).difficulty).toBe(QuestionDifficulty.MEDIUM);
+      const hard = new Question({ ...validQuestionData, difficulty: QuestionDifficulty.HARD });
+      expect(hard.clone().difficulty).toBe('HARD');
+      expect(hard.getHostData().difficulty).toBe('HARD');
+      expect(() => new Question({ ...validQuestionData, difficulty: 'EXTREME' }))
+        .toThrow('Invalid difficulty: EXTREME');
+    });
   });
 
   describe('isCorrect', () => {
@@ -161,4 +170,444 @@ describe('Question', () => {
       expect(hostData.points).toBeDefined();
     });
   });
+
+  describe('MULTI_SELECT', () => {
+    const multiSelectData = {
+      id: 'q-multi',
+      text: 'Which are noble gases?',
+      type: QuestionType.MULTI_SELECT,
+      options: ['Helium', 'Oxygen', 'Neon', 'Argon'],
+      correctAnswerIndices: [3, 0, 2],
+      timeLimit: 30,
+      points: 1000
+    };
+
+    it('should store a sorted answer set and no single correct index', () => {
+      const question = new Question(multiSelectData);
+      expect(question.correctAnswerIndices).toEqual([0, 2, 3]);
+      expect(question.correctAnswerIndex).toBeNull();
+    });
+
+    it('should reject a missing or empty answer set', () => {
+      expect(() => new Question({ ...multiSelectData, correctAnswerIndices: [] }))
+        .toThrow('at least one correct answer');
+      expect(() => new Question({ ...multiSelectData, correctAnswerIndices: undefined }))
+        .toThrow('at least one correct answer');
+    });
+
+    it('should reject out-of-range or duplicate indices', () => {
+      expect(() => new Question({ ...multiSelectData, correctAnswerIndices: [0, 4] }))
+        .toThrow('Invalid correct answer index');
+      expect(() => new Question({ ...multiSelectData, correctAnswerIndices: [0, 0] }))
+        .toThrow('must be unique');
+    });
+
+    it('should only treat the exact set as correct', () => {
+      const question = new Question(multiSelectData);
+      expect(question.isCorrect([2, 3, 0])).toBe(true);
+      expect(question.isCorrect([0, 2])).toBe(false);
+      expect(question.isCorrect([0, 1, 2, 3])).toBe(false);
+      expect(question.isCorrect(0)).toBe(false);
+      expect(question.isCorrect([])).toBe(false);
+    });
+
+    it('should give partial credit per correct pick minus wrong picks', () => {
+      const question = new Question(multiSelectData);
+      expect(question.calculateScore([0, 2, 3], 0)).toBe(1000);
+      expect(question.calculateScore([0, 2], 0)).toBe(667);
+      expect(question.calculateScore([0, 1], 0)).toBe(0);
+      expect(question.calculateScore([0, 1, 2, 3], 0)).toBe(667);
+    });
+
+    it('should apply the time factor to partial credit', () => {
+      const question = new Question({ ...multiSelectData, correctAnswerIndices: [0, 2] });
+      expect(question.calculateScore([0], 30000)).toBe(250);
+    });
+
+    it('should expose the answer set to hosts only', () => {
+      const question = new Question(multiSelectData);
+      expect(question.getHostData().correctAnswerIndices).toEqual([0, 2, 3]);
+      expect(question.getPublicData()).not.toHaveProperty('correctAnswerIndices');
+    });
+
+    it('should freeze the answer set when cloned', () => {
+      const clone = new Question(multiSelectData).clone();
+      expect(Object.isFrozen(clone.correctAnswerIndices)).toBe(true);
+      expect(clone.isCorrect([0, 2, 3])).toBe(true);
+    });
+  });
+
+  describe('ORDERING', () => {
+    const orderingData = {
+      id: 'q-order',
+      text: 'Order these events chronologically',
+      type: QuestionType.ORDERING,
+      options: ['Malazgirt', 'Conquest of Istanbul', 'Battle of Manzikert aftermath', 'Republic founded'],
+      correctOrder: [0, 2, 1, 3],
+      timeLimit: 30,
+      points: 1000
+    };
+
+    it('should require the correct order to be a permutation of the options', () => {
+      expect(() => new Question({ ...orderingData, correctOrder: [0, 1, 2] }))
+        .toThrow('every option exactly once');
+      expect(() => new Question({ ...orderingData, correctOrder: [0, 1, 1, 3] }))
+        .toThrow('every option exactly once');
+      expect(() => new Question({ ...orderingData, correctOrder: undefined }))
+        .toThrow('every option exactly once');
+    });
+
+    it('should keep no single correct index', () => {
+      const question = new Question(orderingData);
+      expect(question.correctAnswerIndex).toBeNull();
+      expect(question.correctOrder).toEqual([0, 2, 1, 3]);
+    });
+
+    it('should only treat the exact order as correct', () => {
+      const question = new Question(orderingData);
+      expect(question.isCorrect([0, 2, 1, 3])).toBe(true);
+      expect(question.isCorrect([0, 1, 2, 3])).toBe(false);
+      expect(question.isCorrect([0, 2, 1])).toBe(false);
+    });
+
+    it('should score by the share of options in their correct position', () => {
+      const question = new Question(orderingData);
+      expect(question.calculateScore([0, 2, 1, 3], 0)).toBe(1000);
+      expect(question.calculateScore([0, 1, 2, 3], 0)).toBe(500);
+      expect(question.calculateScore([3, 1, 2, 0], 0)).toBe(0);
+      expect(question.calculateScore([0, 0, 0, 0], 0)).toBe(0);
+    });
+
+    it('should bucket only correctly placed options for the distribution', () => {
+      const question = new Question(orderingData);
+      expect(question.getDistributionBuckets([0, 1, 2, 3])).toEqual([0, 3]);
+      expect(question.getDistributionBuckets([0, 1])).toEqual([]);
+    });
+
+    it('should freeze the correct order when cloned', () => {
+      const clone = new Question(orderingData).clone();
+      expect(Object.isFrozen(clone.correctOrder)).toBe(true);
+      expect(clone.getHostData().correctOrder).toEqual([0, 2, 1, 3]);
+    });
+  });
+
+  describe('MATCHING', () => {
+    const matchingData = {
+      id: 'q-match',
+      text: 'Match the countries to their capitals',
+      type: QuestionType.MATCHING,
+      options: ['Turkey', 'France', 'Japan'],
+      matchTargets: ['Paris', 'Tokyo', 'Ankara'],
+      correctMatches: [2, 0, 1],
+      timeLimit: 30,
+      points: 900
+    };
+
+    it('should require one match target per option', () => {
+      expect(() => new Question({ ...matchingData, matchTargets: ['Paris', 'Tokyo'] }))
+        .toThrow('one match target per option');
+      expect(() => new Question({ ...matchingData, matchTargets: undefined }))
+        .toThrow('one match target per option');
+      expect(() => new Question({ ...matchingData, matchTargets: ['Paris', ' ', 'Ankara'] }))
+        .toThrow('Match target 2 cannot be empty');
+    });
+
+    it('should require every option to be paired with a different target', () => {
+      expect(() => new Question({ ...matchingData, correctMatches: [2, 2, 1] }))
+        .toThrow('paired with a different match target');
+      expect(() => new Question({ ...matchingData, correctMatches: [2, 0] }))
+        .toThrow('paired with a different match target');
+    });
+
+    it('should expect an array of target indices', () => {
+      const question = new Question(matchingData);
+      expect(question.isMatching()).toBe(true);
+      expect(question.expectsIndexArray()).toBe(true);
+      expect(question.correctAnswerIndex).toBeNull();
+    });
+
+    it('should only treat every pair matched as correct', () => {
+      const question = new Question(matchingData);
+      expect(question.isCorrect([2, 0, 1])).toBe(true);
+      expect(question.isCorrect([2, 1, 0])).toBe(false);
+      expect(question.isCorrect([2, 0])).toBe(false);
+    });
+
+    it('should score per correct pair', () => {
+      const question = new Question(matchingData);
+      expect(question.calculateScore([2, 0, 1], 0)).toBe(900);
+      expect(question.calculateScore([2, 1, 0], 0)).toBe(300);
+      expect(question.calculateScore([0, 1, 2], 0)).toBe(0);
+      expect(question.calculateScore([2, 2, 2], 0)).toBe(0);
+    });
+
+    it('should bucket only correctly paired options for the distribution', () => {
+      const question = new Question(matchingData);
+      expect(question.getDistributionBuckets([2, 1, 0])).toEqual([0]);
+      expect(question.getDistributionBuckets([2, 0, 1])).toEqual([0, 1, 2]);
+    });
+
+    it('should show match targets to players but keep the pairs for the host', () => {
+      const question = new Question(matchingData);
+      expect(question.getPublicData().matchTargets).toEqual(['Paris', 'Tokyo', 'Ankara']);
+      expect(question.getPublicData().correctMatches).toBeUndefined();
+      expect(question.getHostData().correctMatches).toEqual([2, 0, 1]);
+    });
+
+    it('should freeze the targets and pairs when cloned', () => {
+      const clone = new Question(matchingData).clone();
+      expect(Object.isFrozen(clone.matchTargets)).toBe(true);
+      expect(Object.isFrozen(clone.correctMatches)).toBe(true);
+      expect(clone.isCorrect([2, 0, 1])).toBe(true);
+    });
+
+    it('should drop match targets from other question types', () => {
+      const question = new Question({ ...matchingData, type: QuestionType.MULTIPLE_CHOICE, correctAnswerIndex: 0 });
+      expect(question.matchTargets).toBeNull();
+      expect(question.correctMatches).toBeNull();
+    });
+  });
+
+  describe('NUMERIC', () => {
+    const numericData = {
+      id: 'q-num',
+      text: 'In which year was the Battle of Malazgirt?',
+      type: QuestionType.NUMERIC,
+      correctValue: 1071,
+      tolerance: 2,
+      unit: 'AD',
+      timeLimit: 30,
+      points: 1000
+    };
+
+    it('should not require options', () => {
+      const question = new Question({ ...numericData, options: ['ignored', 'options'] });
+      expect(question.options).toEqual([]);
+      expect(question.correctAnswerIndex).toBeNull();
+      expect(question.expectsAnswerValue()).toBe(true);
+    });
+
+    it('should validate the answer key', () => {
+      expect(() => new Question({ ...numericData, correctValue: undefined })).toThrow('numeric correct value');
+      expect(() => new Question({ ...numericData, correctValue: NaN })).toThrow('numeric correct value');
+      expect(() => new Question({ ...numericData, tolerance: -1 })).toThrow('Tolerance');
+      expect(() => new Question({ ...numericData, unit: 'x'.repeat(21) })).toThrow('Unit cannot exceed');
+    });
+
+    it('should default to an exact answer without a unit', () => {
+      const question = new Question({ ...numericData, tolerance: undefined, unit: undefined });
+      expect(question.tolerance).toBe(0);
+      expect(question.unit).toBe('');
+      expect(question.isCorrect(1071)).toBe(true);
+      expect(question.isCorrect(1072)).toBe(false);
+    });
+
+    it('should accept answers inside the tolerance range', () => {
+      const question = new Question(numericData);
+      expect(question.isCorrect(1069)).toBe(true);
+      expect(question.isCorrect(1073)).toBe(true);
+      expect(question.isCorrect(1073.5)).toBe(false);
+      expect(question.isCorrect('1071')).toBe(false);
+    });
+
+    it('should ignore floating point noise at the edge of the range', () => {
+      const question = new Question({ ...numericData, correctValue: 3.1, tolerance: 0.1 });
+      expect(question.isCorrect(3.2)).toBe(true);
+    });
+
+    it('should scale the score with closeness to the correct value', () => {
+      const question = new Question(numericData);
+      expect(question.calculateScore(1071, 0)).toBe(1000);
+      expect(question.calculateScore(1072, 0)).toBe(750);
+      expect(question.calculateScore(1073, 0)).toBe(500);
+      expect(question.calculateScore(1080, 0)).toBe(0);
+    });
+
+    it('should expose the answer key to the host and the unit to players', () => {
+      const question = new Question(numericData).clone();
+      expect(question.getHostData()).toMatchObject({ correctValue: 1071, tolerance: 2, unit: 'AD' });
+      expect(question.getPublicData().unit).toBe('AD');
+      expect(question.getPublicData().correctValue).toBeUndefined();
+    });
+  });
+
+  describe('TYPE_ANSWER', () => {
+    const typeAnswerData = {
+      id: 'q-type',
+      text: 'What is the capital of Turkey?',
+      type: QuestionType.TYPE_ANSWER,
+      acceptedAnswers: [' Ankara ', 'Angora'],
+      timeLimit: 30,
+      points: 1000
+    };
+
+    it('should not require options', () => {
+      const question = new Question({ ...typeAnswerData, options: ['ignored', 'options'] });
+      expect(question.options).toEqual([]);
+      expect(question.acceptedAnswers).toEqual(['Ankara', 'Angora']);
+      expect(question.fuzzyMatching).toBe(false);
+      expect(question.expectsAnswerValue()).toBe(true);
+    });
+
+    it('should validate the accepted answers', () => {
+      expect(() => new Question({ ...typeAnswerData, acceptedAnswers: [] })).toThrow('at least one accepted answer');
+      expect(() => new Question({ ...typeAnswerData, acceptedAnswers: ['   '] })).toThrow('Accepted answer 1');
+      expect(() => new Question({ ...typeAnswerData, acceptedAnswers: ['?!'] })).toThrow('Accepted answer 1');
+      expect(() => new Question({ ...typeAnswerData, acceptedAnswers: Array(11).fill('a') })).toThrow('Maximum 10');
+    });
+
+    it('should match any accepted answer after normalization', () => {
+      const question = new Question(typeAnswerData);
+      expect(question.isCorrect('ANKARA!')).toBe(true);
+      expect(question.isCorrect('angora')).toBe(true);
+      expect(question.isCorrect('Ankra')).toBe(false);
+      expect(question.isCorrect(0)).toBe(false);
+      expect(question.calculateScore('ankara', 0)).toBe(1000);
+    });
+
+    it('should tolerate small typos when fuzzy matching is enabled', () => {
+      const question = new Question({ ...typeAnswerData, fuzzyMatching: true });
+      expect(question.isCorrect('Ankra')).toBe(true);
+      expect(question.isCorrect('Izmir')).toBe(false);
+    });
+
+    it('should validate the shape of submitted values', () => {
+      const question = new Question(typeAnswerData);
+      expect(() => question.validateAnswerValue(42)).toThrow('Invalid answer value');
+      expect(() => question.validateAnswerValue('a'.repeat(101))).toThrow('Invalid answer value');
+      expect(() => question.validateAnswerValue('Ankara')).not.toThrow();
+    });
+
+    it('should expose the accepted answers to the host only', () => {
+      const question = new Question(typeAnswerData).clone();
+      expect(Object.isFrozen(question.acceptedAnswers)).toBe(true);
+      expect(question.getHostData()).toMatchObject({ acceptedAnswers: ['Ankara', 'Angora'], fuzzyMatching: false });
+      expect(question.getPublicData().acceptedAnswers).toBeUndefined();
+    });
+  });
+
+  describe('polls', () => {
+    const pollData = {
+      id: 'q-poll',
+      text: 'How was today\'s class?',
+      type: QuestionType.MULTIPLE_CHOICE,
+      options: ['Great', 'Okay', 'Too fast'],
+      isPoll: true
+    };
+
+    it('should not require an answer key', () => {
+      const question = new Question(pollData);
+      expect(question.isPoll).toBe(true);
+      expect(question.correctAnswerIndex).toBeNull();
+    });
+
+    it('should drop any answer key that is sent', () => {
+      const question = new Question({ ...pollData, type: QuestionType.MULTI_SELECT, correctAnswerIndices: [0] });
+      expect(question.correctAnswerIndices).toBeNull();
+    });
+
+    it('should mark no answer correct and award no points', () => {
+      const question = new Question(pollData);
+      expect(question.isCorrect(0)).toBe(false);
+      expect(question.getCreditRatio(0)).toBe(0);
+      expect(question.calculateScore(0, 0)).toBe(0);
+    });
+
+    it('should only be allowed on choice questions', () => {
+      expect(() => new Question({ ...pollData, type: QuestionType.ORDERING, correctOrder: [0, 1, 2] }))
+        .toThrow('can be polls');
+      expect(() => new Question({ ...pollData, type: QuestionType.NUMERIC, correctValue: 1 }))
+        .toThrow('can be polls');
+    });
+
+    it('should still validate the options', () => {
+      expect(() => new Question({ ...pollData, options: ['Only one'] })).toThrow('At least 2 options');
+    });
+
+    it('should tell players and the host that the question is a poll', () => {
+      const question = new Question(pollData).clone();
+      expect(question.isPoll).toBe(true);
+      expect(question.getPublicData().isPoll).toBe(true);
+      expect(question.getHostData().isPoll).toBe(true);
+    });
+  });
+
+  describe('WORD_CLOUD', () => {
+    const wordCloudData = {
+      id: 'q-cloud',
+      text: 'Describe today in one word',
+      type: QuestionType.WORD_CLOUD,
+      options: ['ignored', 'options']
+    };
+
+    it('should always be an option-less poll', () => {
+      const question = new Question(wordCloudData);
+      expect(question.isWordCloud()).toBe(true);
+      expect(question.isPoll).toBe(true);
+      expect(question.options).toEqual([]);
+      expect(question.expectsAnswerValue()).toBe(true);
+      expect(question.clone().isPoll).toBe(true);
+    });
+
+    it('should award no points', () => {
+      const question = new Question(wordCloudData);
+      expect(question.isCorrect('Fun')).toBe(false);
+      expect(question.calculateScore('Fun', 0)).toBe(0);
+    });
+
+    it('should reject long or offensive submissions', () => {
+      const question = new Question(wordCloudData);
+      expect(() => question.validateAnswerValue('Fun')).not.toThrow();
+      expect(() => question.validateAnswerValue('a'.repeat(31))).toThrow('Invalid answer value');
+      expect(() => question.validateAnswerValue('shit')).toThrow('not allowed');
+      expect(() => question.validateAnswerValue(3)).toThrow('Invalid answer value');
+    });
+  });
+
+  describe('HOTSPOT', () => {
+    const hotspotData = {
+      id: 'q-map',
+      text: 'Click on Ankara',
+      type: QuestionType.HOTSPOT,
+      imageUrl: 'https://example.com/turkey.png',
+      hotspotRegions: [{ shape: 'circle', x: 0.4, y: 0.4, radius: 0.05 }]
+    };
+
+    it('should be answered with a click and hide the regions from players', () => {
+      const question = new Question(hotspotData);
+      expect(question.isHotspot()).toBe(true);
+      expect(question.expectsAnswerValue()).toBe(true);
+      expect(question.hotspotScoring).toBe(HotspotScoring.HIT);
+      expect(question.getPublicData().hotspotRegions).toBeUndefined();
+      expect(question.getHostData().hotspotRegions).toEqual([{ shape: 'circle', x: 0.4, y: 0.4, radius: 0.05 }]);
+    });
+
+    it('should require an image and at least one region', () => {
+      expect(() => new Question({ ...hotspotData, imageUrl: null })).toThrow('require an image');
+      expect(() => new Question({ ...hotspotData, hotspotRegions: [] })).toThrow('at least one correct region');
+      expect(() => new Question({ ...hotspotData, hotspotScoring: 'NEAREST' })).toThrow('Hotspot scoring');
+    });
+
+    it('should give full credit for a hit and none for a miss with HIT scoring', () => {
+      const question = new Question(hotspotData);
+      expect(question.isCorrect({ x: 0.42, y: 0.41 })).toBe(true);
+      expect(question.getCreditRatio({ x: 0.42, y: 0.41 })).toBe(1);
+      expect(question.getCreditRatio({ x: 0.5, y: 0.4 })).toBe(0);
+    });
+
+    it('should give partial credit for near misses with DISTANCE scoring', () => {
+      const question = new Question({ ...hotspotData, hotspotScoring: HotspotScoring.DISTANCE });
+      // 0.1 past the edge of the circle, halfway through the 0.2 range
+      expect(question.isCorrect({ x: 0.55, y: 0.4 })).toBe(false);
+      expect(question.getCreditRatio({ x: 0.55, y: 0.4 })).toBeCloseTo(0.25);
+      expect(question.getCreditRatio({ x: 0.9, y: 0.9 })).toBe(0);
+    });
+
+    it('should validate and normalize clicks', () => {
+      const question = new Question(hotspotData).clone();
+      expect(() => question.validateAnswerValue('Ankara')).toThrow('Invalid answer value');
+      expect(question.normalizeAnswerValue({ x: 0.1, y: 0.2, label: 'extra' })).toEqual({ x: 0.1, y: 0.2 });
+      expect(Object.isFrozen(question.hotspotRegions)).toBe(true);
+    });
+  });
 });
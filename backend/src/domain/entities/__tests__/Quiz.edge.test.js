@@ -258,5 +258,32 @@ describe('Quiz edge cases', () => {
       const clone = quiz.clone();
       expect(clone.createdAt).toBe('not-a-date');
     });
+
+    it('should snapshot the scoring profile', () => {
+      const quiz = new Quiz({ id: 'q1', title: 'Test', createdBy: 'u1', scoringProfile: { preset: 'ACCURACY_ONLY' } });
+      quiz.addQuestion(createQuestion('q1'));
+      const clone = quiz.clone();
+      quiz.updateScoringProfile({ preset: 'SPEED' });
+      expect(clone.scoringProfile.preset).toBe('ACCURACY_ONLY');
+      expect(quiz.getRandomSubset(1).scoringProfile.preset).toBe('SPEED');
+    });
+  });
+
+  describe('scoringProfile', () => {
+    it('should default to standard scoring', () => {
+      const quiz = new Quiz({ id: 'q1', title: 'Test', createdBy: 'u1' });
+      expect(quiz.scoringProfile.preset).toBe('STANDARD');
+    });
+
+    it('should reset to standard scoring when cleared', () => {
+      const quiz = new Quiz({ id: 'q1', title: 'Test', createdBy: 'u1', scoringProfile: { preset: 'NO_STREAKS' } });
+      quiz.updateScoringProfile(null);
+      expect(quiz.scoringProfile.preset).toBe('STANDARD');
+    });
+
+    it('should reject an invalid profile', () => {
+      expect(() => new Quiz({ id: 'q1', title: 'Test', createdBy: 'u1', scoringProfile: { preset: 'TURBO' } }))
+        .toThrow('Scoring preset');
+    });
   });
 });
@@ -1,4 +1,5 @@
 const { Quiz } = require('../Quiz');
+const { Question } = require('../Question');
 
 describe('Quiz', () => {
   let quiz;
@@ -132,4 +133,84 @@ describe('Quiz', () => {
         .toThrow('Duplicate question IDs in order');
     });
   });
+
+  describe('question pools', () => {
+    // Always picking the first slot turns a Fisher-Yates shuffle into a rotation: [a, b, c] -> [b, c, a]
+    const rotate = () => 0;
+    const createQuestion = (id) => new Question({ id, text: `${id}?`, options: ['A', 'B'], correctAnswerIndex: 0 });
+
+    let bank;
+    beforeEach(() => {
+      bank = new Quiz({
+        id: 'quiz-3',
+        title: 'Pooled',
+        createdBy: 'user-1',
+        questions: ['q1', 'q2', 'q3', 'q4', 'q5'].map(createQuestion),
+        questionPools: [{ name: 'Vocabulary', questionIds: ['q2', 'q3', 'q4'], drawCount: 1 }]
+      });
+    });
+
+    it('should count every unpooled question and each pool\'s draw as played', () => {
+      expect(bank.getTotalQuestions()).toBe(5);
+      expect(bank.getPlayedQuestionCount()).toBe(3);
+    });
+
+    it('should draw from the pools into a frozen snapshot in bank order', () => {
+      const snapshot = bank.drawQuestions(rotate);
+      expect(snapshot.questions.map(q => q.id)).toEqual(['q1', 'q3', 'q5']);
+      expect(snapshot.questionPools).toEqual([]);
+      expect(Object.isFrozen(snapshot)).toBe(true);
+    });
+
+    it('should play everything when the quiz has no pools', () => {
+      bank.setQuestionPools([]);
+      expect(bank.drawQuestions().getTotalQuestions()).toBe(5);
+    });
+
+    it('should reject a pool listing an unknown question', () => {
+      expect(() => bank.setQuestionPools([{ name: 'Bad', questionIds: ['q9'], drawCount: 1 }]))
+        .toThrow('lists an unknown question: q9');
+    });
+
+    it('should reject a question in two pools', () => {
+      expect(() => bank.setQuestionPools([
+        { name: 'A', questionIds: ['q1', 'q2'], drawCount: 1 },
+        { name: 'B', questionIds: ['q2', 'q3'], drawCount: 1 }
+      ])).toThrow('cannot be in more than one pool');
+    });
+
+    it('should hold a bank larger than one game when pools draw from it', () => {
+      const ids = Array.from({ length: 60 }, (_, i) => `b${i}`);
+      const large = new Quiz({
+        id: 'quiz-4',
+        title: 'Large',
+        createdBy: 'user-1',
+        questions: ids.map(createQuestion),
+        questionPools: [{ name: 'All', questionIds: ids, drawCount: 10 }]
+      });
+      expect(large.getPlayedQuestionCount()).toBe(10);
+      expect(() => large.setQuestionPools([])).toThrow('cannot have more than 50 questions in a game');
+    });
+
+    it('should count a new question against the game length rather than the bank', () => {
+      const full = new Quiz({ id: 'quiz-5', title: 'Full', createdBy: 'user-1' });
+      for (let i = 0; i < 50; i++) full.addQuestion(createQuestion(`f${i}`));
+      expect(() => full.addQuestion(createQuestion('extra'))).toThrow('cannot have more than 50 questions in a game');
+      full.setQuestionPools([{ name: 'Half', questionIds: Array.from({ length: 10 }, (_, i) => `f${i}`), drawCount: 5 }]);
+      full.addQuestion(createQuestion('extra'));
+      expect(full.getPlayedQuestionCount()).toBe(46);
+    });
+
+    it('should drop a removed question from its pool and lower the draw count', () => {
+      bank.setQuestionPools([{ name: 'Pair', questionIds: ['q2', 'q3'], drawCount: 2 }]);
+      bank.removeQuestion('q3');
+      expect(bank.questionPools[0].toJSON()).toEqual({ name: 'Pair', questionIds: ['q2'], drawCount: 1 });
+      bank.removeQuestion('q2');
+      expect(bank.questionPools).toEqual([]);
+    });
+
+    it('should keep its pools in a full clone', () => {
+      expect(bank.clone().questionPools).toEqual(bank.questionPools);
+    });
+  });
 });
@@ -1,9 +1,10 @@
-const { Room, RoomState } = require('../Room');
+const { Room, RoomState, EliminationRule } = require('../Room');
 const { Player } = require('../Player');
 const { Spectator } = require('../Spectator');
 const { Team } = require('../Team');
 const { Quiz } = require('../Quiz');
-const { Question } = require('../Question');
+const { Question, QuestionType } = require('../Question');
+const { DEFAULT_POWER_UPS } = require('../../value-objects/PowerUp');
 
 function createRoom(overrides = {}) {
   return new Room({ id: 'r1', pin: '123456', hostId: 'host-1', hostUserId: 'user-1', hostToken: 'ht-1', quizId: 'q1', ...overrides });
@@ -155,6 +156,81 @@ describe('Room edge cases', () => {
     });
   });
 
+  describe('getOpenPlayerSlots', () => {
+    it('should not count disconnected players against the limit', () => {
+      const room = createRoom();
+      room.addPlayer(createPlayer('p1', 's1', 'Alpha'));
+      room.addPlayer(createPlayer('p2', 's2', 'Bravo'));
+      room.setPlayerDisconnected('s1');
+      expect(room.getOpenPlayerSlots()).toBe(Room.MAX_PLAYERS - 1);
+    });
+  });
+
+  describe('room capacity', () => {
+    const createSpectator = (n) => new Spectator({ id: `sp${n}`, socketId: `ss${n}`, nickname: `Viewer${n}`, roomPin: '123456', token: `st${n}` });
+
+    it('should start at the default capacity, or the host\'s limit when lower', () => {
+      expect(createRoom().getCapacityConfig()).toEqual({ players: Room.MAX_PLAYERS, spectators: Room.MAX_SPECTATORS, limit: Room.MAX_PLAYERS });
+      expect(createRoom({ capacityLimit: 20 }).getCapacityConfig().players).toBe(20);
+      expect(createRoom({ capacityLimit: 300 }).getCapacityConfig().players).toBe(Room.MAX_PLAYERS);
+    });
+
+    it('should reject a capacity limit out of range', () => {
+      expect(() => createRoom({ capacityLimit: 0 })).toThrow('capacityLimit');
+      expect(() => createRoom({ capacityLimit: 100000 })).toThrow('capacityLimit');
+    });
+
+    it('should let players in up to the capacity the host set', () => {
+      const room = createRoom();
+      room.setCapacity({ players: 2, spectators: 1 });
+      room.addPlayer(createPlayer('p1', 's1', 'Alpha'));
+      room.addPlayer(createPlayer('p2', 's2', 'Bravo'));
+      room.addSpectator(createSpectator(1));
+
+      expect(room.getOpenPlayerSlots()).toBe(0);
+      expect(() => room.addPlayer(createPlayer('p3', 's3', 'Charlie'))).toThrow('Room is full (maximum 2 players)');
+      expect(() => room.addSpectator(createSpectator(2))).toThrow('Room is full (maximum 1 spectators)');
+    });
+
+    it('should let the capacity go up to the host\'s limit only', () => {
+      const room = createRoom({ capacityLimit: 300 });
+      room.setCapacity({ players: 300, spectators: 50 });
+      expect(room.getOpenPlayerSlots()).toBe(300);
+
+      expect(() => room.setCapacity({ players: 301, spectators: 10 })).toThrow('between 1 and 300 players');
+      expect(() => room.setCapacity({ players: 0, spectators: 10 })).toThrow('between 1 and 300 players');
+      expect(() => room.setCapacity({ players: 100, spectators: 51 })).toThrow('Spectator capacity');
+      expect(() => room.setCapacity({ players: 1.5, spectators: 10 })).toThrow('between 1 and 300 players');
+    });
+
+    it('should not go below the players and spectators already in', () => {
+      const room = createRoom();
+      room.addPlayer(createPlayer('p1', 's1', 'Alpha'));
+      room.addPlayer(createPlayer('p2', 's2', 'Bravo'));
+      room.addSpectator(createSpectator(1));
+
+      expect(() => room.setCapacity({ players: 1, spectators: 10 })).toThrow('2 players are already in the room');
+      expect(() => room.setCapacity({ players: 10, spectators: 0 })).toThrow('1 spectators are already in the room');
+    });
+
+    it('should only be configured in lobby', () => {
+      const room = createRoom();
+      room.addPlayer(createPlayer());
+      advanceToState(room, 'QUESTION_INTRO');
+
+      expect(() => room.setCapacity({ players: 10, spectators: 10 })).toThrow('only be configured in lobby');
+      expect(() => room.setLargeEvent(true)).toThrow('only be configured in lobby');
+    });
+
+    it('should turn large-event mode on and off', () => {
+      const room = createRoom();
+      expect(room.isLargeEvent()).toBe(false);
+      room.setLargeEvent(true);
+      expect(room.isLargeEvent()).toBe(true);
+      expect(() => room.setLargeEvent('yes')).toThrow('enabled must be a boolean');
+    });
+  });
+
   describe('nextQuestion', () => {
     it('should throw for non-positive totalQuestions', () => {
       const room = createRoom();
@@ -199,9 +275,219 @@ describe('Room edge cases', () => {
       expect(result.skippedCount).toBe(1);
       spy.mockRestore();
     });
+
+    it('should count every selected option for multi-select answers', () => {
+      const room = createRoom();
+      const p1 = createPlayer('p1', 's1', 'Player1');
+      const p2 = createPlayer('p2', 's2', 'Player2');
+      room.addPlayer(p1);
+      room.addPlayer(p2);
+      p1.submitAnswer([0, 2], 1000);
+      p2.submitAnswer([0], 1000);
+      const isCorrect = (answer) => Array.isArray(answer) && answer.length === 2;
+      const result = room.getAnswerDistribution(4, isCorrect);
+      expect(result.distribution).toEqual([2, 0, 1, 0]);
+      expect(result.correctCount).toBe(1);
+    });
+  });
+
+  describe('getAnswerHistogram', () => {
+    function roomWithValues(values) {
+      const room = createRoom();
+      values.forEach((value, i) => {
+        const p = createPlayer(`p${i}`, `s${i}`, `Player${i}`);
+        room.addPlayer(p);
+        p.submitAnswer(null, 1000, value);
+      });
+      return room;
+    }
+
+    it('should throw if isCorrectFn is not a function', () => {
+      expect(() => createRoom().getAnswerHistogram('not-fn')).toThrow('must be a function');
+    });
+
+    it('should return an empty histogram when nobody answered', () => {
+      const result = createRoom().getAnswerHistogram(() => false);
+      expect(result.histogram).toEqual([]);
+      expect(result.correctCount).toBe(0);
+    });
+
+    it('should split the answered range into equal-width bins', () => {
+      const room = roomWithValues([1060, 1070, 1071, 1072, 1080]);
+      const result = room.getAnswerHistogram((v) => Math.abs(v - 1071) <= 2, 4);
+      expect(result.histogram).toEqual([
+        { min: 1060, max: 1065, count: 1 },
+        { min: 1065, max: 1070, count: 0 },
+        { min: 1070, max: 1075, count: 3 },
+        { min: 1075, max: 1080, count: 1 }
+      ]);
+      expect(result.correctCount).toBe(3);
+    });
+
+    it('should use a single bin when every answer is the same', () => {
+      const result = roomWithValues([42, 42]).getAnswerHistogram(() => true);
+      expect(result.histogram).toEqual([{ min: 42, max: 42, count: 2 }]);
+    });
+
+    it('should skip answers without a numeric value', () => {
+      const room = roomWithValues([5]);
+      const p = createPlayer('p9', 's9', 'Player9');
+      room.addPlayer(p);
+      p.submitAnswer(0, 1000);
+      const spy = jest.spyOn(console, 'warn').mockImplementation();
+      const result = room.getAnswerHistogram(() => false);
+      expect(result.skippedCount).toBe(1);
+      expect(result.histogram).toEqual([{ min: 5, max: 5, count: 1 }]);
+      spy.mockRestore();
+    });
+  });
+
+  describe('getTextAnswerSummary', () => {
+    const isCorrect = (v) => v.toLowerCase() === 'ankara';
+    const toKey = (v) => v.trim().toLowerCase();
+
+    function roomWithTexts(texts) {
+      const room = createRoom();
+      texts.forEach((text, i) => {
+        const p = createPlayer(`p${i}`, `s${i}`, `Player${i}`);
+        room.addPlayer(p);
+        p.submitAnswer(null, 1000, text);
+      });
+      return room;
+    }
+
+    it('should throw if the callbacks are not functions', () => {
+      expect(() => createRoom().getTextAnswerSummary(() => true, 'not-fn')).toThrow('must be functions');
+    });
+
+    it('should group wrong answers and rank them by count', () => {
+      const room = roomWithTexts(['Ankara', 'Izmir', 'istanbul', 'Istanbul ', 'ANKARA', 'izmir', 'Bursa', 'ISTANBUL']);
+      const result = room.getTextAnswerSummary(isCorrect, toKey);
+      expect(result.correctCount).toBe(2);
+      expect(result.topWrongAnswers).toEqual([
+        { answer: 'istanbul', count: 3 },
+        { answer: 'Izmir', count: 2 },
+        { answer: 'Bursa', count: 1 }
+      ]);
+    });
+
+    it('should cap the number of wrong answers returned', () => {
+      const room = roomWithTexts(['a', 'b', 'c']);
+      expect(room.getTextAnswerSummary(isCorrect, toKey, 2).topWrongAnswers).toHaveLength(2);
+    });
+
+    it('should skip answers without text', () => {
+      const room = roomWithTexts(['Bursa']);
+      const p = createPlayer('p9', 's9', 'Player9');
+      room.addPlayer(p);
+      p.submitAnswer(null, 1000, 7);
+      const spy = jest.spyOn(console, 'warn').mockImplementation();
+      const result = room.getTextAnswerSummary(isCorrect, toKey);
+      expect(result.skippedCount).toBe(1);
+      expect(result.topWrongAnswers).toEqual([{ answer: 'Bursa', count: 1 }]);
+      spy.mockRestore();
+    });
+  });
+
+  describe('getWordCloud', () => {
+    it('should aggregate the submitted words', () => {
+      const room = createRoom();
+      ['Fun', 'long', 'fun!', 'FUN'].forEach((text, i) => {
+        const p = createPlayer(`p${i}`, `s${i}`, `Player${i}`);
+        room.addPlayer(p);
+        p.submitAnswer(null, 1000, text);
+      });
+      room.addPlayer(createPlayer('p9', 's9', 'Player9'));
+
+      expect(room.getWordCloud()).toEqual({
+        wordCloud: [{ text: 'Fun', count: 3 }, { text: 'long', count: 1 }],
+        correctCount: 0,
+        skippedCount: 0,
+        unansweredCount: 1
+      });
+    });
+
+    it('should skip invalid submissions', () => {
+      const room = createRoom();
+      const p = createPlayer('p1', 's1', 'Player1');
+      room.addPlayer(p);
+      p.submitAnswer(null, 1000, 42);
+      const spy = jest.spyOn(console, 'warn').mockImplementation();
+      expect(room.getWordCloud()).toMatchObject({ wordCloud: [], skippedCount: 1 });
+      spy.mockRestore();
+    });
+
+    it('should throw for an invalid limit', () => {
+      expect(() => createRoom().getWordCloud(0)).toThrow('positive integer');
+    });
+  });
+
+  describe('getClickMap', () => {
+    it('should list each click with whether it hit', () => {
+      const room = createRoom();
+      [{ x: 0.1, y: 0.1 }, { x: 0.9, y: 0.9 }, 'not a click'].forEach((click, i) => {
+        const p = createPlayer(`p${i}`, `s${i}`, `Player${i}`);
+        room.addPlayer(p);
+        p.submitAnswer(null, 1000, click);
+      });
+      const spy = jest.spyOn(console, 'warn').mockImplementation();
+      const result = room.getClickMap((click) => click.x < 0.5);
+      spy.mockRestore();
+
+      expect(result).toEqual({
+        clicks: [{ x: 0.1, y: 0.1, isCorrect: true }, { x: 0.9, y: 0.9, isCorrect: false }],
+        correctCount: 1,
+        skippedCount: 1,
+        unansweredCount: 0
+      });
+    });
+
+    it('should throw if isCorrectFn is not a function', () => {
+      expect(() => createRoom().getClickMap(null)).toThrow('must be a function');
+    });
+  });
+
+  describe('getResultsSummary', () => {
+    it('should summarize each question type in its own shape', () => {
+      const room = createRoom();
+      const p = createPlayer('p1', 's1', 'Player1');
+      room.addPlayer(p);
+      p.submitAnswer(null, 1000, 'Ankra');
+
+      const typeAnswer = new Question({
+        id: 'q-type', text: 'Capital?', type: QuestionType.TYPE_ANSWER, acceptedAnswers: ['Ankara'], fuzzyMatching: true
+      });
+      expect(room.getResultsSummary(typeAnswer)).toMatchObject({ topWrongAnswers: [], correctCount: 1 });
+
+      const numeric = new Question({ id: 'q-num', text: 'Year?', type: QuestionType.NUMERIC, correctValue: 1071 });
+      const spy = jest.spyOn(console, 'warn').mockImplementation();
+      expect(room.getResultsSummary(numeric)).toMatchObject({ histogram: [], skippedCount: 1 });
+      spy.mockRestore();
+
+      const wordCloud = new Question({ id: 'q-cloud', text: 'One word?', type: QuestionType.WORD_CLOUD });
+      expect(room.getResultsSummary(wordCloud)).toMatchObject({ wordCloud: [{ text: 'Ankra', count: 1 }] });
+    });
   });
 
   describe('recordAnswer', () => {
+    it('should record numeric answers without option bounds', () => {
+      const room = createRoom();
+      room.recordAnswer({ playerId: 'p1', playerNickname: 'A', questionId: 'q1', answerIndex: null, answerValue: 12.5, optionCount: 0, isCorrect: true });
+      expect(room.getAnswerHistory()[0]).toMatchObject({ answerIndex: null, answerValue: 12.5 });
+    });
+
+    it('should accept an array of indices for multi-select answers', () => {
+      const room = createRoom();
+      room.recordAnswer({ playerId: 'p1', playerNickname: 'A', questionId: 'q1', answerIndex: [0, 3], optionCount: 4, isCorrect: false });
+      expect(room.getAnswerHistory()[0].answerIndex).toEqual([0, 3]);
+    });
+
+    it('should reject multi-select answers with an out-of-range index', () => {
+      const room = createRoom();
+      expect(() => room.recordAnswer({ playerId: 'p1', playerNickname: 'A', questionId: 'q1', answerIndex: [0, 4], optionCount: 4, isCorrect: false }))
+        .toThrow('out of range');
+    });
+
     it('should throw for null answerData', () => {
       const room = createRoom();
       expect(() => room.recordAnswer(null)).toThrow('Answer data is required');
@@ -397,6 +683,580 @@ describe('Room edge cases', () => {
     });
   });
 
+  describe('power-up loadout', () => {
+    const NO_POWER_UPS = { FIFTY_FIFTY: 0, DOUBLE_POINTS: 0, TIME_EXTENSION: 0, STREAK_SHIELD: 0, HINT: 0, FREEZE: 0 };
+
+    it('should give joining players the loadout', () => {
+      const room = createRoom();
+      room.setPowerUpLoadout({ FIFTY_FIFTY: 3, TIME_EXTENSION: 0 });
+      room.addPlayer(createPlayer());
+      expect(room.players[0].getAllPowerUps()).toEqual({ ...NO_POWER_UPS, FIFTY_FIFTY: 3 });
+    });
+
+    it('should apply to players already in the lobby', () => {
+      const room = createRoom();
+      room.addPlayer(createPlayer());
+      room.setPowerUpLoadout({});
+      expect(room.players[0].getAllPowerUps()).toEqual(NO_POWER_UPS);
+    });
+
+    it('should reapply on lobby reconnect but keep used power-ups during the game', () => {
+      const room = createRoom();
+      room.addPlayer(createPlayer());
+      const player = room.players[0];
+      player.setPowerUps({ FIFTY_FIFTY: 0 });
+      room.reconnectPlayer('tok-p1', 's2', null, 'tok-2');
+      expect(player.getPowerUpCount('FIFTY_FIFTY')).toBe(1);
+
+      advanceToState(room, 'ANSWERING_PHASE');
+      player.usePowerUp('FIFTY_FIFTY');
+      room.reconnectPlayer('tok-2', 's3', null, 'tok-3');
+      expect(player.getPowerUpCount('FIFTY_FIFTY')).toBe(0);
+    });
+
+    it('should throw outside lobby', () => {
+      const room = createRoom();
+      advanceToState(room, 'ANSWERING_PHASE');
+      expect(() => room.setPowerUpLoadout({ FIFTY_FIFTY: 1 })).toThrow('only be configured in lobby');
+    });
+
+    it('should reject invalid loadouts', () => {
+      const room = createRoom();
+      expect(() => room.setPowerUpLoadout(null)).toThrow('must be an object');
+      expect(() => room.setPowerUpLoadout([1])).toThrow('must be an object');
+      expect(() => room.setPowerUpLoadout({ SUPER_SHIELD: 1 })).toThrow('Invalid power-up type');
+      expect(() => room.setPowerUpLoadout({ FIFTY_FIFTY: 6 })).toThrow('between 0 and 5');
+      expect(() => room.setPowerUpLoadout({ FIFTY_FIFTY: -1 })).toThrow('between 0 and 5');
+      expect(() => room.setPowerUpLoadout({ FIFTY_FIFTY: 1.5 })).toThrow('between 0 and 5');
+      expect(room.getPowerUpLoadout()).toEqual(DEFAULT_POWER_UPS);
+    });
+  });
+
+  describe('pickFreezeTarget', () => {
+    it('should skip the user, disconnected players and players who answered', () => {
+      const room = createRoom();
+      room.addPlayer(createPlayer('p1', 's1', 'Ann'));
+      room.addPlayer(createPlayer('p2', 's2', 'Ben'));
+      room.addPlayer(createPlayer('p3', 's3', 'Cem'));
+      room.addPlayer(createPlayer('p4', 's4', 'Dee'));
+      advanceToState(room, 'ANSWERING_PHASE');
+      room.setPlayerDisconnected('s2');
+      room.getPlayer('s3').submitAnswer(0, 1000);
+      for (let i = 0; i < 10; i++) {
+        expect(room.pickFreezeTarget('s1').nickname).toBe('Dee');
+      }
+    });
+
+    it('should skip teammates in team mode', () => {
+      const room = createRoom();
+      room.addPlayer(createPlayer('p1', 's1', 'Ann'));
+      room.addPlayer(createPlayer('p2', 's2', 'Ben'));
+      room.enableTeamMode();
+      room.addTeam(new Team({ id: 't1', name: 'Red', color: '#f00' }));
+      room.assignPlayerToTeam('p1', 't1');
+      room.assignPlayerToTeam('p2', 't1');
+      advanceToState(room, 'ANSWERING_PHASE');
+      expect(() => room.pickFreezeTarget('s1')).toThrow('No opponent left to freeze');
+    });
+  });
+
+  describe('earned power-ups', () => {
+    const NO_POWER_UPS = { FIFTY_FIFTY: 0, DOUBLE_POINTS: 0, TIME_EXTENSION: 0, STREAK_SHIELD: 0, HINT: 0, FREEZE: 0 };
+
+    function createEarningRoom(playerCount, loadout = { FIFTY_FIFTY: 1, FREEZE: 1 }) {
+      const room = createRoom();
+      for (let i = 1; i <= playerCount; i++) {
+        room.addPlayer(createPlayer(`p${i}`, `s${i}`, `Player${i}`));
+      }
+      room.setPowerUpLoadout(loadout, true);
+      return room;
+    }
+
+    it('should start players empty but keep the loadout as the earnable types', () => {
+      const room = createEarningRoom(1);
+      room.addPlayer(createPlayer('p2', 's2', 'Player2'));
+      expect(room.isEarningPowerUps()).toBe(true);
+      expect(room.players.map(p => p.getAllPowerUps())).toEqual([NO_POWER_UPS, NO_POWER_UPS]);
+      expect(room.getPowerUpLoadout().FIFTY_FIFTY).toBe(1);
+    });
+
+    it('should reject a non-boolean earn flag', () => {
+      expect(() => createRoom().setPowerUpLoadout({}, 'yes')).toThrow('earn must be a boolean');
+    });
+
+    it('should grant an enabled power-up every third correct answer in a row', () => {
+      const room = createEarningRoom(1, { HINT: 2 });
+      const player = room.players[0];
+      const granted = [];
+      for (let i = 0; i < 6; i++) {
+        player.incrementStreak();
+        granted.push(room.awardStreakPowerUp(player));
+      }
+      expect(granted).toEqual([null, null, 'HINT', null, null, 'HINT']);
+      expect(player.getPowerUpCount('HINT')).toBe(2);
+    });
+
+    it('should not grant streak power-ups when they are handed out up front', () => {
+      const room = createRoom();
+      room.addPlayer(createPlayer());
+      const player = room.players[0];
+      player.streak = 3;
+      expect(room.awardStreakPowerUp(player)).toBeNull();
+    });
+
+    it('should stop granting a type at the per-type maximum', () => {
+      const room = createEarningRoom(1, { HINT: 1 });
+      const player = room.players[0];
+      player.setPowerUps({ ...NO_POWER_UPS, HINT: 5 });
+      player.streak = 3;
+      expect(room.awardStreakPowerUp(player)).toBeNull();
+    });
+
+    it('should give catch-up power-ups to the connected bottom third', () => {
+      const room = createEarningRoom(7);
+      room.players.forEach((p, i) => p.addScore((7 - i) * 100));
+      room.setPlayerDisconnected('s7');
+      advanceToState(room, 'LEADERBOARD');
+
+      const grants = room.awardCatchUpPowerUps(5);
+      expect(grants.map(g => g.player.nickname)).toEqual(['Player6']);
+      // FREEZE is enabled but holds others back, so catch-up draws from FIFTY_FIFTY only
+      expect(grants[0].type).toBe('FIFTY_FIFTY');
+      expect(room.getPlayer('s6').getPowerUpCount('FIFTY_FIFTY')).toBe(1);
+    });
+
+    it('should fall back to any enabled type when no catch-up type is enabled', () => {
+      const room = createEarningRoom(3, { FREEZE: 1 });
+      advanceToState(room, 'LEADERBOARD');
+      expect(room.awardCatchUpPowerUps(5).map(g => g.type)).toEqual(['FREEZE']);
+    });
+
+    it('should give no catch-up power-ups after the last question or with few players', () => {
+      const lastQuestion = createEarningRoom(3);
+      advanceToState(lastQuestion, 'LEADERBOARD');
+      expect(lastQuestion.awardCatchUpPowerUps(1)).toEqual([]);
+
+      const small = createEarningRoom(2);
+      advanceToState(small, 'LEADERBOARD');
+      expect(small.awardCatchUpPowerUps(5)).toEqual([]);
+    });
+  });
+
+  describe('elimination mode', () => {
+    const question = new Question({ id: 'q1', text: 'Q?', options: ['A', 'B'], correctAnswerIndex: 0 });
+
+    function createEliminationRoom(playerCount, rule = EliminationRule.WRONG_ANSWER, count = 1) {
+      const room = createRoom();
+      for (let i = 1; i <= playerCount; i++) {
+        room.addPlayer(createPlayer(`p${i}`, `s${i}`, `Player${i}`));
+      }
+      room.setElimination(true, rule, count);
+      room.setQuizSnapshot({});
+      advanceToState(room, 'ANSWERING_PHASE');
+      return room;
+    }
+
+    it('should validate the configuration', () => {
+      const room = createRoom();
+      expect(() => room.setElimination('yes')).toThrow('enabled must be a boolean');
+      expect(() => room.setElimination(true, 'LAST_IN')).toThrow('Elimination rule');
+      expect(() => room.setElimination(true, EliminationRule.BOTTOM_N, 0)).toThrow('between 1 and 10');
+      room.setElimination(true, EliminationRule.BOTTOM_N, 2);
+      expect(room.getEliminationConfig()).toEqual({ enabled: true, rule: 'BOTTOM_N', count: 2 });
+      advanceToState(room, 'QUESTION_INTRO');
+      expect(() => room.setElimination(false)).toThrow('only be configured in lobby');
+    });
+
+    it('should not combine with team mode', () => {
+      const room = createRoom();
+      room.enableTeamMode();
+      expect(() => room.setElimination(true)).toThrow('cannot be combined with team mode');
+      room.disableTeamMode();
+      room.setElimination(true);
+      expect(() => room.enableTeamMode()).toThrow('cannot be combined with elimination mode');
+    });
+
+    it('should need two players to start', () => {
+      const room = createRoom();
+      room.addPlayer(createPlayer());
+      room.setElimination(true);
+      expect(() => room.startGameSession('host-1', {})).toThrow('at least 2 connected players');
+    });
+
+    it('should move wrong and missing answers to the spectators', () => {
+      const room = createEliminationRoom(3);
+      room.getPlayer('s1').submitAnswer(0, 1000);
+      room.getPlayer('s2').submitAnswer(1, 1000);
+
+      const spectators = room.eliminatePlayers(question);
+      expect(spectators.map(s => s.nickname).sort()).toEqual(['Player2', 'Player3']);
+      expect(room.getAllPlayers().map(p => p.nickname)).toEqual(['Player1']);
+      expect(room.isSpectator('s2')).toBe(true);
+      expect(room.hasLastPlayerStanding()).toBe(true);
+    });
+
+    it('should eliminate no one when every player is wrong or the question is a poll', () => {
+      const room = createEliminationRoom(2);
+      expect(room.eliminatePlayers(question)).toEqual([]);
+      const poll = new Question({ id: 'q2', text: 'Poll?', options: ['A', 'B'], isPoll: true });
+      room.getPlayer('s1').submitAnswer(0, 1000);
+      expect(room.eliminatePlayers(poll)).toEqual([]);
+      expect(room.getPlayerCount()).toBe(2);
+    });
+
+    it('should knock out the bottom N but always leave one player', () => {
+      const room = createEliminationRoom(3, EliminationRule.BOTTOM_N, 5);
+      room.getPlayer('s2').addScore(500);
+      const spectators = room.eliminatePlayers(question);
+      expect(spectators.map(s => s.nickname)).toEqual(['Player1', 'Player3']);
+      expect(room.getAllPlayers().map(p => p.nickname)).toEqual(['Player2']);
+    });
+
+    it('should rank survivors first and later eliminations above earlier ones', () => {
+      const room = createEliminationRoom(3, EliminationRule.BOTTOM_N, 1);
+      room.getPlayer('s1').addScore(300);
+      room.getPlayer('s2').addScore(200);
+      room.getPlayer('s3').addScore(900);
+      room.eliminatePlayers(question);
+      room.currentQuestionIndex = 1;
+      room.getPlayer('s1').addScore(1000);
+      room.eliminatePlayers(question);
+
+      expect(room.getLeaderboard().map(p => [p.nickname, p.eliminatedAtQuestion])).toEqual([
+        ['Player1', null], ['Player3', 1], ['Player2', 0]
+      ]);
+      expect(room.getPodium()[0].nickname).toBe('Player1');
+    });
+
+    it('should end the game once one player is left', () => {
+      const room = createEliminationRoom(2);
+      room.getPlayer('s1').submitAnswer(0, 1000);
+      room.setState(RoomState.SHOW_RESULTS);
+      room.setState(RoomState.LEADERBOARD);
+      room.eliminatePlayers(question);
+      expect(room.nextQuestion('host-1', 10)).toBe(false);
+      expect(room.state).toBe(RoomState.PODIUM);
+    });
+
+    it('should refuse to reconnect an eliminated player as a player', () => {
+      const room = createEliminationRoom(2);
+      room.getPlayer('s1').submitAnswer(0, 1000);
+      room.eliminatePlayers(question);
+      expect(() => room.reconnectPlayer('tok-p2', 's9')).toThrow('You have been eliminated');
+    });
+  });
+
+  describe('shuffling', () => {
+    const first = new Question({ id: 'q1', text: 'Q1?', options: ['A', 'B', 'C'], correctAnswerIndex: 0, timeLimit: 10 });
+    const second = new Question({ id: 'q2', text: 'Q2?', options: ['A', 'B'], correctAnswerIndex: 1, timeLimit: 30 });
+
+    // Two players with the questions in opposite orders: p1 gets q2 first, p2 gets q1 first
+    function createShuffledRoom(questions, options) {
+      const room = createRoom();
+      room.addPlayer(createPlayer('p1', 's1', 'Player1'));
+      room.addPlayer(createPlayer('p2', 's2', 'Player2'));
+      room.setShuffle(questions, options);
+      const quiz = new Quiz({ id: 'quiz-1', title: 'Quiz', createdBy: 'u1', questions: [first, second] });
+      const random = jest.spyOn(Math, 'random');
+      random.mockReturnValueOnce(0).mockReturnValueOnce(0.99).mockReturnValue(0);
+      room.startGameSession('host-1', quiz.clone());
+      random.mockRestore();
+      return room;
+    }
+
+    it('should validate the configuration', () => {
+      const room = createRoom();
+      expect(room.getShuffleConfig()).toEqual({ questions: false, options: false });
+      expect(() => room.setShuffle('yes', false)).toThrow('must be booleans');
+      room.setShuffle(false, true);
+      expect(room.getShuffleConfig()).toEqual({ questions: false, options: true });
+      advanceToState(room, 'QUESTION_INTRO');
+      expect(() => room.setShuffle(true, true)).toThrow('only be configured in lobby');
+    });
+
+    it('should deal nothing when shuffling is off', () => {
+      const room = createRoom();
+      const player = createPlayer();
+      room.addPlayer(player);
+      room.startGameSession('host-1', new Quiz({ id: 'quiz-1', title: 'Quiz', createdBy: 'u1', questions: [first] }).clone());
+      expect(room.getPlayerShuffle(player)).toBeNull();
+      expect(room.getPlayerQuestionIndex(player)).toBe(0);
+      expect(room.toCanonicalAnswerIndex(player, 2)).toBe(2);
+    });
+
+    it('should give each player their own question of the round', () => {
+      const room = createShuffledRoom(true, false);
+      expect(room.hasMixedQuestions()).toBe(true);
+      expect(room.getPlayerQuestion(room.getPlayer('s1')).id).toBe('q2');
+      expect(room.getPlayerQuestion(room.getPlayer('s2')).id).toBe('q1');
+      expect(room.getPlayerQuestionIndex(room.getPlayer('s1'), 1)).toBe(0);
+    });
+
+    it('should run the round for the longest question any player got', () => {
+      const room = createShuffledRoom(true, false);
+      expect(room.getRoundTimeLimit()).toBe(30);
+    });
+
+    it('should translate option positions for shuffled options', () => {
+      const room = createShuffledRoom(false, true);
+      const player = room.getPlayer('s1');
+      expect(room.hasMixedQuestions()).toBe(false);
+      // The player sees C, B, A
+      expect(room.toCanonicalAnswerIndex(player, 2)).toBe(0);
+      expect(room.toShownOptionIndex(player, [0, 1])).toEqual([2, 1]);
+      expect(room.getRoundTimeLimit()).toBe(10);
+    });
+
+    it('should judge each player on their own question', () => {
+      const room = createShuffledRoom(true, false);
+      room.setState(RoomState.ANSWERING_PHASE);
+      room.getPlayer('s1').submitAnswer(1, 1000);
+      room.getPlayer('s2').submitAnswer(1, 1000);
+      expect(room.getMixedRoundSummary()).toEqual({
+        distribution: [], correctCount: 1, skippedCount: 0, unansweredCount: 0
+      });
+    });
+
+    it('should eliminate players who got their own question wrong', () => {
+      const room = createRoom();
+      room.addPlayer(createPlayer('p1', 's1', 'Player1'));
+      room.addPlayer(createPlayer('p2', 's2', 'Player2'));
+      room.addPlayer(createPlayer('p3', 's3', 'Player3'));
+      room.setShuffle(true, false);
+      room.setElimination(true);
+      const random = jest.spyOn(Math, 'random');
+      random.mockReturnValueOnce(0).mockReturnValueOnce(0.99).mockReturnValueOnce(0.99);
+      room.startGameSession('host-1', new Quiz({ id: 'quiz-1', title: 'Quiz', createdBy: 'u1', questions: [first, second] }).clone());
+      random.mockRestore();
+      room.setState(RoomState.ANSWERING_PHASE);
+      room.getPlayer('s1').submitAnswer(1, 1000);
+      room.getPlayer('s2').submitAnswer(0, 1000);
+      room.getPlayer('s3').submitAnswer(1, 1000);
+
+      const spectators = room.eliminatePlayers(first);
+      expect(spectators.map(s => s.nickname)).toEqual(['Player3']);
+    });
+
+    it('should archive answers under the question the player actually got', () => {
+      const room = createShuffledRoom(true, false);
+      room.setState(RoomState.ANSWERING_PHASE);
+      room.recordAnswer({
+        playerId: 'p1', playerNickname: 'Player1', questionId: 'q2', questionIndex: 1,
+        answerIndex: 1, isCorrect: true, elapsedTimeMs: 1000, score: 900, optionCount: 2
+      });
+      expect(room.answerHistory[0].questionIndex).toBe(1);
+    });
+  });
+
+  describe('adaptive difficulty', () => {
+    const easy = new Question({ id: 'easy', text: 'Easy?', options: ['A', 'B'], correctAnswerIndex: 0, difficulty: 'EASY' });
+    const medium = new Question({ id: 'medium', text: 'Medium?', options: ['A', 'B'], correctAnswerIndex: 0 });
+    const hard = new Question({ id: 'hard', text: 'Hard?', options: ['A', 'B'], correctAnswerIndex: 0, difficulty: 'HARD' });
+    const harder = new Question({ id: 'harder', text: 'Harder?', options: ['A', 'B'], correctAnswerIndex: 0, difficulty: 'HARD' });
+
+    // Ties between questions of the same difficulty go to the first one
+    function createAdaptiveRoom(roundCount = null, playerCount = 2) {
+      jest.spyOn(Math, 'random').mockReturnValue(0);
+      const room = createRoom();
+      for (let i = 1; i <= playerCount; i++) {
+        room.addPlayer(createPlayer(`p${i}`, `s${i}`, `Player${i}`));
+      }
+      room.setAdaptiveDifficulty(true);
+      const quiz = new Quiz({ id: 'quiz-1', title: 'Quiz', createdBy: 'u1', questions: [easy, medium, hard, harder] });
+      room.startGameSession('host-1', quiz.clone(), roundCount);
+      return room;
+    }
+
+    function playRound(room, answers) {
+      room.setState(RoomState.ANSWERING_PHASE);
+      answers.forEach((answerIndex, i) => room.getPlayer(`s${i + 1}`).submitAnswer(answerIndex, 1000));
+      room.setState(RoomState.SHOW_RESULTS);
+      room.setState(RoomState.LEADERBOARD);
+      return room.nextQuestion('host-1', room.getTotalQuestions());
+    }
+
+    afterEach(() => jest.restoreAllMocks());
+
+    it('should validate the configuration', () => {
+      const room = createRoom();
+      expect(room.isAdaptive()).toBe(false);
+      expect(() => room.setAdaptiveDifficulty('yes')).toThrow('must be a boolean');
+      room.setShuffle(true, false);
+      expect(() => room.setAdaptiveDifficulty(true)).toThrow('cannot be combined with shuffled questions');
+      room.setShuffle(false, true);
+      room.setAdaptiveDifficulty(true);
+      expect(() => room.setShuffle(true, true)).toThrow('cannot be combined with adaptive difficulty');
+      advanceToState(room, 'QUESTION_INTRO');
+      expect(() => room.setAdaptiveDifficulty(false)).toThrow('only be configured in lobby');
+    });
+
+    it('should open with a medium question', () => {
+      const room = createAdaptiveRoom();
+      expect(room.getCurrentQuestion().id).toBe('medium');
+      expect(room.getPlayerQuestion(room.getPlayer('s1')).id).toBe('medium');
+      expect(room.getQuestionSequence()).toEqual([1]);
+    });
+
+    it('should step up after a strong round and down after a weak one', () => {
+      const room = createAdaptiveRoom();
+      expect(playRound(room, [0, 0])).toBe(true);
+      expect(room.getCurrentQuestion().id).toBe('hard');
+      expect(room.getPlayer('s1').hasAnswered()).toBe(false);
+
+      // No medium question is left, so the easier neighbour wins the tie
+      expect(playRound(room, [1, 1])).toBe(true);
+      expect(room.getCurrentQuestion().id).toBe('easy');
+      expect(room.getQuestionSequence()).toEqual([1, 2, 0]);
+    });
+
+    it('should stay at the level after a mixed round', () => {
+      // One of three right is below the step-down share; two of three is between the thresholds
+      const weak = createAdaptiveRoom(null, 3);
+      playRound(weak, [0, 1, 1]);
+      expect(weak.getCurrentQuestion().id).toBe('easy');
+
+      const mixed = createAdaptiveRoom(null, 3);
+      playRound(mixed, [0, 0, 0]);
+      playRound(mixed, [0, 0, 1]);
+      expect(mixed.getCurrentQuestion().id).toBe('harder');
+    });
+
+    it('should end after the requested number of rounds', () => {
+      const room = createAdaptiveRoom(2);
+      expect(room.getTotalQuestions()).toBe(2);
+      expect(playRound(room, [0, 0])).toBe(true);
+      expect(playRound(room, [0, 0])).toBe(false);
+      expect(room.state).toBe(RoomState.PODIUM);
+      expect(room.getQuestionSequence()).toEqual([1, 2]);
+    });
+
+    it('should reject more rounds than the quiz has', () => {
+      const room = createRoom();
+      room.addPlayer(createPlayer());
+      room.setAdaptiveDifficulty(true);
+      const quiz = new Quiz({ id: 'quiz-1', title: 'Quiz', createdBy: 'u1', questions: [easy, medium] });
+      expect(() => room.startGameSession('host-1', quiz.clone(), 3)).toThrow('Round count must be between 1 and 2');
+      expect(room.state).toBe(RoomState.WAITING_PLAYERS);
+    });
+
+    it('should play the quiz in order when off', () => {
+      const room = createRoom();
+      room.addPlayer(createPlayer());
+      room.startGameSession('host-1', new Quiz({ id: 'quiz-1', title: 'Quiz', createdBy: 'u1', questions: [hard, easy] }).clone());
+      expect(room.getCurrentQuestion().id).toBe('hard');
+      expect(room.getTotalQuestions()).toBe(2);
+      expect(room.getQuestionSequence()).toEqual([0]);
+    });
+  });
+
+  describe('team answers', () => {
+    const question = new Question({ id: 'q1', text: 'Q?', options: ['A', 'B', 'C'], correctAnswerIndex: 0, timeLimit: 30, points: 1000 });
+
+    function createTeamRoom(rule = 'MAJORITY') {
+      const room = createRoom();
+      ['1', '2', '3', '4'].forEach(n => room.addPlayer(createPlayer(`p${n}`, `s${n}`, `Player${n}`)));
+      room.enableTeamMode();
+      room.addTeam(new Team({ id: 'ta', name: 'Alpha', color: '#fff' }));
+      room.addTeam(new Team({ id: 'tb', name: 'Beta', color: '#000' }));
+      ['p1', 'p2', 'p3'].forEach(id => room.assignPlayerToTeam(id, 'ta'));
+      room.assignPlayerToTeam('p4', 'tb');
+      room.setTeamAnswers(true, rule, 10);
+      const quiz = new Quiz({ id: 'quiz-1', title: 'Quiz', createdBy: 'u1', questions: [question] });
+      room.startGameSession('host-1', quiz.clone());
+      room.beginAnsweringPhase();
+      return room;
+    }
+
+    function propose(room, socketId, answerIndex, elapsedTimeMs = 15000) {
+      const player = room.getPlayer(socketId);
+      const result = room.proposeTeamAnswer(player, { answerIndex, answerValue: null, elapsedTimeMs, effectiveTimeLimitMs: 40000 });
+      player.submitAnswer(answerIndex, elapsedTimeMs);
+      return result;
+    }
+
+    it('should validate the configuration', () => {
+      const room = createRoom();
+      expect(() => room.setTeamAnswers(true)).toThrow('Team mode is not enabled');
+      room.enableTeamMode();
+      room.setShuffle(true, false);
+      expect(() => room.setTeamAnswers(true)).toThrow('cannot be combined with shuffled questions');
+      room.setShuffle(false, true);
+      room.setTeamAnswers(true, 'CAPTAIN', 20);
+      expect(room.isTeamAnswering()).toBe(true);
+      expect(room.getTeamDiscussionSeconds()).toBe(20);
+      expect(() => room.setShuffle(true, true)).toThrow('cannot be combined with team answers');
+      room.disableTeamMode();
+      expect(room.isTeamAnswering()).toBe(false);
+      expect(room.getTeamDiscussionSeconds()).toBe(0);
+    });
+
+    it('should hold back power-ups while teams answer together', () => {
+      const room = createRoom();
+      room.addPlayer(createPlayer());
+      room.enableTeamMode();
+      room.setTeamAnswers(true);
+      expect(room.getPlayer('s1').getPowerUpCount('FIFTY_FIFTY')).toBe(0);
+      room.disableTeamMode();
+      expect(room.getPlayer('s1').getAllPowerUps()).toEqual(DEFAULT_POWER_UPS);
+    });
+
+    it('should let the host pick a captain in the lobby', () => {
+      const room = createRoom();
+      room.addPlayer(createPlayer());
+      room.enableTeamMode();
+      room.addTeam(new Team({ id: 'ta', name: 'Alpha', color: '#fff' }));
+      room.assignPlayerToTeam('p1', 'ta');
+      expect(() => room.setTeamCaptain('tx', 'p1')).toThrow('Team not found');
+      expect(() => room.setTeamCaptain('ta', 'p9')).toThrow('Captain must be a member of the team');
+      room.setTeamCaptain('ta', 'p1');
+      expect(room.getAllTeams()[0].getCaptainId()).toBe('p1');
+    });
+
+    it('should score the whole team once and credit every member', () => {
+      const room = createTeamRoom();
+      expect(propose(room, 's1', 0, 20000).teamAnswer).toBeNull();
+      const { teamAnswer } = propose(room, 's2', 0, 25000);
+
+      // The first matching proposal sets the time, and the 10 s discussion is free:
+      // 20 s into a 40 s round scores like 10 s into a 30 s question
+      const expected = question.calculateScore(0, 10000, 30000);
+      expect(teamAnswer).toEqual(expect.objectContaining({ isCorrect: true, score: expected, decidedBy: 'p1', proposalCount: 2 }));
+      expect(room.getTeamForPlayer('p1').score).toBe(expected);
+      ['s1', 's2', 's3'].forEach(s => expect(room.getPlayer(s).score).toBe(expected));
+      expect(room.getPlayer('s3').streak).toBe(1);
+      expect(room.getAnswerHistory().filter(a => a.questionId === 'q1')).toHaveLength(3);
+      expect(() => propose(room, 's3', 1)).toThrow('Your team has already answered');
+
+      expect(room.shouldAutoAdvance()).toBe(false);
+      propose(room, 's4', 2);
+      expect(room.shouldAutoAdvance()).toBe(true);
+      expect(room.getTeamLeaderboard().map(t => t.name)).toEqual(['Alpha', 'Beta']);
+      expect(room.getTeamAnswerHistory()).toHaveLength(2);
+    });
+
+    it('should wait for the captain under the captain rule', () => {
+      const room = createTeamRoom('CAPTAIN');
+      room.getTeamForPlayer('p1').captainId = 'p3';
+      expect(propose(room, 's1', 1).teamAnswer).toBeNull();
+      expect(propose(room, 's2', 1).teamAnswer).toBeNull();
+      expect(propose(room, 's3', 0).teamAnswer).toEqual(expect.objectContaining({ isCorrect: true, decidedBy: 'p3' }));
+    });
+
+    it('should settle unfinished teams when answering closes', () => {
+      const room = createTeamRoom();
+      propose(room, 's1', 1);
+      const resolved = room.resolveTeamAnswers();
+      expect(resolved).toHaveLength(1);
+      expect(resolved[0].team.id).toBe('ta');
+      expect(resolved[0].teamAnswer.isCorrect).toBe(false);
+      expect(room.getTeamForPlayer('p1').streak).toBe(0);
+      // A new round starts with no proposals
+      room.resetPlayerAnswersForNextQuestion();
+      expect(room.getTeamProposals('ta')).toEqual([]);
+      expect(room.getTeamAnswer('ta')).toBeNull();
+    });
+  });
+
   describe('team mode', () => {
     it('should enable team mode', () => {
       const room = createRoom();
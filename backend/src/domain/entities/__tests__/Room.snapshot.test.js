@@ -0,0 +1,186 @@
+const { Room, RoomState } = require('../Room');
+const { Player } = require('../Player');
+const { Spectator } = require('../Spectator');
+const { Team } = require('../Team');
+const { Quiz } = require('../Quiz');
+const { Question, QuestionType } = require('../Question');
+
+// Snapshots are stored as JSON, so every round trip goes through it
+const roundTrip = (room) => Room.fromSnapshot(JSON.parse(JSON.stringify(room.toSnapshot())));
+
+const createQuiz = () => new Quiz({
+  id: 'quiz-1',
+  title: 'Snapshot Quiz',
+  createdBy: 'user-1',
+  questions: [
+    new Question({ id: 'q1', text: 'Pick one', options: ['A', 'B', 'C', 'D'], correctAnswerIndex: 2 }),
+    new Question({ id: 'q2', text: 'How many?', type: QuestionType.NUMERIC, correctValue: 42, tolerance: 1, unit: 'kg' }),
+    new Question({
+      id: 'q3',
+      text: 'Where?',
+      type: QuestionType.HOTSPOT,
+      imageUrl: 'https://example.com/map.png',
+      hotspotRegions: [{ shape: 'circle', x: 0.5, y: 0.5, radius: 0.1 }]
+    })
+  ]
+});
+
+describe('Room snapshots', () => {
+  let room;
+  let alice;
+  let bob;
+
+  beforeEach(() => {
+    room = new Room({ id: 'room-1', pin: '123456', hostId: 'host-socket', hostUserId: 'user-1', hostToken: 'host-token', quizId: 'quiz-1' });
+    alice = new Player({ id: 'p1', socketId: 's1', nickname: 'Alice', roomPin: '123456', token: 'token-1', userId: 'user-2' });
+    bob = new Player({ id: 'p2', socketId: 's2', nickname: 'Bob', roomPin: '123456', token: 'token-2', isBot: true });
+    room.addPlayer(alice);
+    room.addPlayer(bob);
+  });
+
+  it('should restore a lobby with its settings', () => {
+    room.addSpectator(new Spectator({ id: 'v1', socketId: 'sv1', nickname: 'Viewer', roomPin: '123456', token: 'token-v' }));
+    room.enableTeamMode();
+    room.addTeam(new Team({ id: 't1', name: 'Red', color: '#e74c3c' }));
+    room.assignPlayerToTeam('p1', 't1');
+    room.setTeamCaptain('t1', 'p1');
+    room.setShuffle(true, true);
+    room.setLightningRound(true, 2);
+    room.bannedNicknames.push('mallory');
+
+    const restored = roundTrip(room);
+
+    expect(restored).toBeInstanceOf(Room);
+    expect(restored.pin).toBe('123456');
+    expect(restored.hostToken).toBe('host-token');
+    expect(restored.getAllPlayers().map(p => p.nickname)).toEqual(['Alice', 'Bob']);
+    expect(restored.getPlayerByToken('token-1').userId).toBe('user-2');
+    expect(restored.getAllPlayers().map(p => p.isBot)).toEqual([false, true]);
+    expect(restored.getSpectatorByToken('token-v').nickname).toBe('Viewer');
+    expect(restored.isTeamMode()).toBe(true);
+    expect(restored.getTeamForPlayer('p1').getCaptainId()).toBe('p1');
+    expect(restored.getShuffleConfig()).toEqual({ questions: true, options: true });
+    expect(restored.getLightningConfig()).toEqual(room.getLightningConfig());
+    expect(restored.isNicknameBanned('Mallory')).toBe(true);
+    expect(restored.createdAt).toBeInstanceOf(Date);
+  });
+
+  it('should restore a game in progress with scores, answers and shuffles', () => {
+    room.setShuffle(false, true);
+    room.startGameSession('host-socket', createQuiz().clone());
+    room.beginAnsweringPhase();
+    alice.submitAnswer(2, 1500);
+    alice.addScore(900);
+    alice.incrementStreak();
+    room.recordAnswer({
+      playerId: 'p1', playerNickname: 'Alice', questionId: 'q1', answerIndex: 2, optionCount: 4,
+      isCorrect: true, elapsedTimeMs: 1500, score: 900, streak: 0
+    });
+
+    const restored = roundTrip(room);
+    const restoredAlice = restored.getPlayerById('p1');
+
+    expect(restored.state).toBe(RoomState.ANSWERING_PHASE);
+    expect(restored.answeringPhasePlayerCount).toBe(2);
+    expect(restored.getGameStartedAt()).toEqual(room.getGameStartedAt());
+    expect(restoredAlice.score).toBe(900);
+    expect(restoredAlice.streak).toBe(1);
+    expect(restoredAlice.hasAnswered()).toBe(true);
+    expect(restoredAlice.answerAttempt.submittedAt).toBeInstanceOf(Date);
+    expect(restored.getAnsweredCount()).toBe(1);
+    expect(restored.getAnswerHistory()).toHaveLength(1);
+    expect(restored.getAnswerHistory()[0].timestamp).toBeInstanceOf(Date);
+    expect(restored.getPlayerShuffle(restoredAlice).toJSON()).toEqual(room.getPlayerShuffle(alice).toJSON());
+
+    // The duplicate-answer guard survives the round trip
+    restored.recordAnswer({
+      playerId: 'p1', playerNickname: 'Alice', questionId: 'q1', answerIndex: 0, optionCount: 4,
+      isCorrect: false, elapsedTimeMs: 100
+    });
+    expect(restored.getAnswerHistory()).toHaveLength(1);
+  });
+
+  it('should restore the room capacity and large-event mode', () => {
+    room = new Room({ id: 'room-1', pin: '123456', hostId: 'host-socket', hostUserId: 'user-1', hostToken: 'host-token', quizId: 'quiz-1', capacityLimit: 300 });
+    room.setCapacity({ players: 250, spectators: 20 });
+    room.setLargeEvent(true);
+
+    const restored = roundTrip(room);
+
+    expect(restored.getCapacityConfig()).toEqual({ players: 250, spectators: 20, limit: 300 });
+    expect(restored.isLargeEvent()).toBe(true);
+  });
+
+  it('should give rooms saved before capacities were configurable the default capacity', () => {
+    const { capacityLimit, capacity, largeEvent, ...saved } = JSON.parse(JSON.stringify(room.toSnapshot()));
+
+    const restored = Room.fromSnapshot(saved);
+
+    expect(restored.getCapacityConfig()).toEqual({ players: Room.MAX_PLAYERS, spectators: Room.MAX_SPECTATORS, limit: Room.MAX_PLAYERS });
+    expect(restored.isLargeEvent()).toBe(false);
+  });
+
+  it('should restore the quiz snapshot frozen and with every answer key', () => {
+    room.startGameSession('host-socket', createQuiz().clone());
+
+    const quiz = roundTrip(room).getQuizSnapshot();
+
+    expect(Object.isFrozen(quiz)).toBe(true);
+    expect(quiz.questions.map(q => q.getHostData())).toEqual(room.getQuizSnapshot().questions.map(q => q.getHostData()));
+    expect(quiz.questions[1].isCorrect(42.5)).toBe(true);
+    expect(quiz.scoringProfile.toJSON()).toEqual(room.getQuizSnapshot().scoringProfile.toJSON());
+  });
+
+  it('should restore pause state with the saved timer', () => {
+    room.startGameSession('host-socket', createQuiz().clone());
+    room.setState(RoomState.ANSWERING_PHASE);
+    room.pause('host-socket', { remainingMs: 12000, originalDurationMs: 30000, elapsedBeforePauseMs: 18000 });
+
+    const restored = roundTrip(room);
+
+    expect(restored.isPaused()).toBe(true);
+    expect(restored.pausedFromState).toBe(RoomState.ANSWERING_PHASE);
+    expect(restored.pausedAt).toBeInstanceOf(Date);
+    expect(restored.getPausedTimerState()).toEqual({ remainingMs: 12000, originalDurationMs: 30000, elapsedBeforePauseMs: 18000 });
+    restored.resume('host-socket');
+    expect(restored.state).toBe(RoomState.ANSWERING_PHASE);
+  });
+
+  describe('markRecovered', () => {
+    it('should count everyone as disconnected from the recovery', () => {
+      const at = new Date();
+      bob.setDisconnected();
+      const bobLeftAt = bob.disconnectedAt;
+
+      room.markRecovered(at);
+
+      expect(room.recoveredAt).toBe(at);
+      expect(room.hostDisconnectedAt).toBe(at);
+      expect(alice.disconnectedAt).toBe(at);
+      expect(bob.disconnectedAt).toBe(bobLeftAt);
+    });
+
+    it('should report who has not been back since the recovery', () => {
+      const at = new Date();
+      room.markRecovered(at);
+
+      expect(room.missedRecovery(alice.disconnectedAt)).toBe(true);
+      expect(room.missedRecovery(new Date(at.getTime() + 1000))).toBe(false);
+      expect(room.missedRecovery(null)).toBe(false);
+    });
+
+    it('should report nothing for a room that was never recovered', () => {
+      alice.setDisconnected();
+      expect(room.missedRecovery(alice.disconnectedAt)).toBe(false);
+    });
+
+    it('should survive the round trip', () => {
+      room.markRecovered(new Date());
+
+      const restored = roundTrip(room);
+
+      expect(restored.recoveredAt).toEqual(room.recoveredAt);
+      expect(restored.missedRecovery(restored.getPlayerById('p1').disconnectedAt)).toBe(true);
+    });
+  });
+});
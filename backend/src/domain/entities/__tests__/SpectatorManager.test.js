@@ -1,5 +1,6 @@
 const { SpectatorManager } = require('../SpectatorManager');
 const { Spectator } = require('../Spectator');
+const { Player } = require('../Player');
 
 function createSpectator(overrides = {}) {
   return new Spectator({
@@ -57,6 +58,25 @@ describe('SpectatorManager', () => {
     });
   });
 
+  describe('addEliminatedPlayer', () => {
+    it('should seat the player on the same socket even when spectators are full', () => {
+      for (let i = 0; i < 10; i++) {
+        sm.add(createSpectator({ id: `s${i}`, socketId: `sock-${i}`, nickname: `V${i}`, token: `t${i}` }), []);
+      }
+      const player = new Player({ id: 'p1', socketId: 'p-sock', nickname: 'Ann', roomPin: '123456', token: 'ptok' });
+      const spectator = sm.addEliminatedPlayer(player, 'stok');
+      expect(spectator).toBeInstanceOf(Spectator);
+      expect(spectator).toMatchObject({ id: 'p1', socketId: 'p-sock', nickname: 'Ann', token: 'stok' });
+      expect(sm.isSpectator('p-sock')).toBe(true);
+    });
+
+    it('should keep a disconnected player disconnected', () => {
+      const player = new Player({ id: 'p1', socketId: 'p-sock', nickname: 'Ann', roomPin: '123456' });
+      player.setDisconnected();
+      expect(sm.addEliminatedPlayer(player, 'stok').isDisconnected()).toBe(true);
+    });
+  });
+
   describe('remove', () => {
     it('should remove spectator by socketId', () => {
       sm.add(createSpectator(), []);
@@ -97,6 +97,36 @@ describe('Team', () => {
     });
   });
 
+  describe('captain', () => {
+    it('should default to the first member', () => {
+      const team = new Team({ id: 't1', name: 'Test', color: '#fff', playerIds: ['p1', 'p2'] });
+      expect(team.getCaptainId()).toBe('p1');
+      team.setCaptain('p2');
+      expect(team.getCaptainId()).toBe('p2');
+      team.removePlayer('p2');
+      expect(team.getCaptainId()).toBe('p1');
+    });
+
+    it('should only accept a member', () => {
+      const team = new Team({ id: 't1', name: 'Test', color: '#fff', playerIds: ['p1'] });
+      expect(() => team.setCaptain('p9')).toThrow('Captain must be a member of the team');
+    });
+  });
+
+  describe('team score', () => {
+    it('should keep score and streak, never going below zero', () => {
+      const team = new Team({ id: 't1', name: 'Test', color: '#fff' });
+      team.addScore(500);
+      team.incrementStreak();
+      expect(team.deductScore(800)).toBe(500);
+      expect(team.score).toBe(0);
+      expect(team.streak).toBe(1);
+      expect(team.correctAnswers).toBe(1);
+      team.resetStreak();
+      expect(team.streak).toBe(0);
+    });
+  });
+
   describe('exports', () => {
     it('should export TEAM_COLORS array', () => {
       expect(TEAM_COLORS).toHaveLength(8);
@@ -1,4 +1,4 @@
-const { TeamManager } = require('../TeamManager');
+const { TeamManager, TeamAnswerRule } = require('../TeamManager');
 const { Team } = require('../Team');
 
 describe('TeamManager', () => {
@@ -138,6 +138,126 @@ describe('TeamManager', () => {
     });
   });
 
+  describe('team answers', () => {
+    let team;
+    const propose = (playerId, answerIndex) => tm.propose(team, { playerId, answerIndex, answerValue: null, elapsedTimeMs: 1000 });
+
+    beforeEach(() => {
+      tm.enable();
+      team = new Team({ id: 't1', name: 'Alpha', color: '#fff', playerIds: ['p1', 'p2', 'p3', 'p4'] });
+      tm.addTeam(team);
+    });
+
+    it('should validate the configuration', () => {
+      expect(tm.isCollaborating()).toBe(false);
+      expect(() => tm.setCollaboration('yes', TeamAnswerRule.MAJORITY, 10)).toThrow('enabled must be a boolean');
+      expect(() => tm.setCollaboration(true, 'LOUDEST', 10)).toThrow('Invalid team answer rule');
+      expect(() => tm.setCollaboration(true, TeamAnswerRule.CAPTAIN, 31)).toThrow('between 0 and 30 seconds');
+      tm.setCollaboration(true, TeamAnswerRule.CAPTAIN, 0);
+      expect(tm.isCollaborating()).toBe(true);
+      tm.disable();
+      expect(tm.getCollaborationConfig().enabled).toBe(false);
+    });
+
+    it('should decide by majority once more than half agree', () => {
+      tm.setCollaboration(true, TeamAnswerRule.MAJORITY, 10);
+      const connected = ['p1', 'p2', 'p3', 'p4'];
+      propose('p2', 1);
+      propose('p3', 1);
+      expect(tm.decideTeamAnswer(team, connected)).toBeNull();
+      propose('p4', 1);
+      expect(tm.decideTeamAnswer(team, connected).playerId).toBe('p2');
+    });
+
+    it('should let the captain break a tie once everyone has proposed', () => {
+      tm.setCollaboration(true, TeamAnswerRule.MAJORITY, 10);
+      const connected = ['p1', 'p2', 'p3', 'p4'];
+      propose('p2', 0);
+      propose('p3', 0);
+      propose('p1', 1);
+      expect(tm.decideTeamAnswer(team, connected)).toBeNull();
+      propose('p4', 1);
+      expect(tm.decideTeamAnswer(team, connected).playerId).toBe('p1');
+    });
+
+    it('should wait for the captain under the captain rule', () => {
+      tm.setCollaboration(true, TeamAnswerRule.CAPTAIN, 10);
+      propose('p2', 0);
+      propose('p3', 0);
+      propose('p4', 0);
+      expect(tm.decideTeamAnswer(team, ['p1', 'p2', 'p3', 'p4'])).toBeNull();
+      // Without the captain the team goes with what it has
+      expect(tm.decideTeamAnswer(team, ['p2', 'p3', 'p4']).answerIndex).toBe(0);
+      propose('p1', 1);
+      expect(tm.decideTeamAnswer(team, ['p1', 'p2', 'p3', 'p4']).answerIndex).toBe(1);
+    });
+
+    it('should settle on the most proposed answer when the round ends', () => {
+      tm.setCollaboration(true, TeamAnswerRule.MAJORITY, 10);
+      expect(tm.decideTeamAnswer(team, ['p1'], true)).toBeNull();
+      propose('p3', 1);
+      expect(tm.decideTeamAnswer(team, ['p1', 'p2', 'p3', 'p4'], true).answerIndex).toBe(1);
+    });
+
+    it('should compare typed answers ignoring case', () => {
+      tm.setCollaboration(true, TeamAnswerRule.MAJORITY, 10);
+      tm.propose(team, { playerId: 'p1', answerIndex: null, answerValue: 'Ankara', elapsedTimeMs: 1000 });
+      tm.propose(team, { playerId: 'p2', answerIndex: null, answerValue: ' ankara', elapsedTimeMs: 1000 });
+      expect(tm.decideTeamAnswer(team, ['p1', 'p2', 'p3'])).toEqual(expect.objectContaining({ playerId: 'p1' }));
+    });
+
+    it('should lock one answer per team and round', () => {
+      propose('p1', 0);
+      expect(() => propose('p1', 1)).toThrow('Already proposed an answer');
+      tm.lockTeamAnswer(team, { questionId: 'q1', score: 800 });
+      expect(() => propose('p2', 0)).toThrow('Your team has already answered');
+      expect(tm.getTeamAnswer('t1')).toEqual(expect.objectContaining({ teamName: 'Alpha', score: 800 }));
+      tm.clearRound();
+      expect(tm.hasTeamAnswered('t1')).toBe(false);
+      expect(tm.getProposals('t1')).toEqual([]);
+      expect(tm.getAnswerHistory()).toHaveLength(1);
+    });
+
+    it('should rank teams on their own score', () => {
+      tm.setCollaboration(true, TeamAnswerRule.MAJORITY, 10);
+      team.addScore(700);
+      const lb = tm.getLeaderboard(() => ({ score: 5000 }));
+      expect(lb[0].score).toBe(700);
+    });
+  });
+
+  describe('balancePlayers', () => {
+    beforeEach(() => {
+      tm.addTeam(new Team({ id: 't1', name: 'Alpha', color: '#fff', playerIds: ['p1'], captainId: 'p1' }));
+      tm.addTeam(new Team({ id: 't2', name: 'Beta', color: '#000' }));
+    });
+
+    it('should split players into teams of similar strength', () => {
+      const strengths = new Map([['p1', 0.9], ['p2', 0.85], ['p3', 0.2], ['p4', 0.1]]);
+      tm.balancePlayers(['p1', 'p2', 'p3', 'p4'], strengths);
+      const [alpha, beta] = tm.teams;
+      expect(alpha.getPlayerCount()).toBe(2);
+      expect(beta.getPlayerCount()).toBe(2);
+      expect(Math.abs(tm.getTeamStrength(alpha) - tm.getTeamStrength(beta))).toBeLessThan(0.1);
+    });
+
+    it('should clear previous assignments and captains', () => {
+      tm.balancePlayers(['p2', 'p3'], new Map());
+      expect(tm.teams.flatMap(t => t.playerIds).sort()).toEqual(['p2', 'p3']);
+      expect(tm.teams[0].captainId).toBeNull();
+    });
+
+    it('should report no strength until teams are balanced with ratings', () => {
+      expect(tm.getTeamStrength(tm.teams[0])).toBeNull();
+    });
+
+    it('should require at least 2 teams and some players', () => {
+      expect(() => tm.balancePlayers([], new Map())).toThrow('No players to balance');
+      tm.removeTeam('t2');
+      expect(() => tm.balancePlayers(['p1'], new Map())).toThrow('At least 2 teams are required to balance');
+    });
+  });
+
   describe('getAll', () => {
     it('should return a copy of teams array', () => {
       const team = new Team({ id: 't1', name: 'Alpha', color: '#fff' });
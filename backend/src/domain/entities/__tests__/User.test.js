@@ -1,4 +1,6 @@
 const { User } = require('../User');
+const { ValidationError } = require('../../../shared/errors');
+const { MAX_ROOM_CAPACITY, ROOM_CAPACITY_BY_ROLE } = require('../../../shared/config/constants');
 
 describe('User', () => {
   let user;
@@ -193,6 +195,7 @@ describe('User', () => {
         username: 'testuser',
         role: 'user',
         isActive: true,
+        maxRoomCapacity: null,
         createdAt: user.createdAt
       });
       expect(json.password).toBeUndefined();
@@ -200,6 +203,30 @@ describe('User', () => {
     });
   });
 
+  describe('getRoomCapacityLimit', () => {
+    it('should use the role\'s default limit', () => {
+      const admin = new User({ id: 'a-1', email: 'admin@example.com', username: 'admin', role: 'admin' });
+
+      expect(user.getRoomCapacityLimit()).toBe(ROOM_CAPACITY_BY_ROLE.user);
+      expect(admin.getRoomCapacityLimit()).toBe(ROOM_CAPACITY_BY_ROLE.admin);
+    });
+
+    it('should prefer the limit set for the role, then the one set for the user', () => {
+      expect(user.getRoomCapacityLimit({ user: 200 })).toBe(200);
+
+      const teacher = new User({ id: 't-1', email: 'teacher@example.com', username: 'teacher', maxRoomCapacity: 300 });
+      expect(teacher.getRoomCapacityLimit({ user: 200 })).toBe(300);
+    });
+
+    it('should reject a limit out of range', () => {
+      expect(() => new User({ id: 't-1', email: 'teacher@example.com', username: 'teacher', maxRoomCapacity: 0 }))
+        .toThrow(ValidationError);
+      expect(() => User.validateRoomCapacity(MAX_ROOM_CAPACITY + 1)).toThrow(ValidationError);
+      expect(() => User.validateRoomCapacity(2.5)).toThrow(ValidationError);
+      expect(() => User.validateRoomCapacity(null)).not.toThrow();
+    });
+  });
+
   describe('toJWTPayload', () => {
     it('should return JWT payload fields', () => {
       const payload = user.toJWTPayload();
@@ -1,13 +1,13 @@
-const { Room, RoomState } = require('./Room');
+const { Room, RoomState, EliminationRule } = require('./Room');
 const { Player } = require('./Player');
 const { Quiz } = require('./Quiz');
-const { Question, QuestionType } = require('./Question');
+const { Question, QuestionType, HotspotScoring, QuestionDifficulty } = require('./Question');
 const { User } = require('./User');
 const { Spectator } = require('./Spectator');
 const { BaseParticipant } = require('./BaseParticipant');
 const { Team, TEAM_COLORS, MAX_TEAMS } = require('./Team');
 const { SpectatorManager } = require('./SpectatorManager');
-const { TeamManager } = require('./TeamManager');
+const { TeamManager, TeamAnswerRule } = require('./TeamManager');
 const { PauseManager } = require('./PauseManager');
 const { Tournament, TournamentState, MAX_ROUNDS } = require('./Tournament');
 
@@ -19,16 +19,20 @@ module.exports = {
   // Entities
   Room,
   RoomState,
+  EliminationRule,
   Player,
   Quiz,
   Question,
   QuestionType,
+  HotspotScoring,
+  QuestionDifficulty,
   User,
   Spectator,
   BaseParticipant,
   Team,
   TEAM_COLORS,
   MAX_TEAMS,
+  TeamAnswerRule,
   // Tournament
   Tournament,
   TournamentState,
@@ -1,4 +1,5 @@
 const { ValidationError } = require('../../shared/errors');
+const { ClickPoint } = require('../value-objects/HotspotGeometry');
 
 /**
  * Player Result Value Object
@@ -12,7 +13,8 @@ class PlayerResult {
     correctAnswers = 0,
     wrongAnswers = 0,
     averageResponseTime = 0,
-    longestStreak = 0
+    longestStreak = 0,
+    userId = null
   }) {
     if (!nickname) {
       throw new ValidationError('Player nickname is required');
@@ -28,6 +30,8 @@ class PlayerResult {
     this.wrongAnswers = Math.max(0, wrongAnswers);
     this.averageResponseTime = Math.max(0, averageResponseTime);
     this.longestStreak = Math.max(0, longestStreak);
+    // Account of a player who was signed in; null for guests
+    this.userId = userId ? userId.toString() : null;
 
     Object.freeze(this);
   }
@@ -45,17 +49,27 @@ class PlayerResult {
 
 /**
  * Answer Record Value Object
- * Represents a single answer submission in a game
+ * Represents a single answer submission in a game.
+ * MULTI_SELECT submissions store their picks in answerIndices and leave answerIndex null.
+ * NUMERIC, TYPE_ANSWER and HOTSPOT submissions store the submitted number, text or click position
+ * in answerValue and leave answerIndex null.
+ * Answers to poll questions are flagged with isPoll and count as neither correct nor wrong.
+ * Under negative marking, penalty holds the points a wrong answer cost; confidence is the wagered level.
  */
 class AnswerRecord {
   constructor({
     nickname,
     questionIndex,
     answerIndex,
+    answerIndices = null,
+    answerValue = null,
     isCorrect,
+    isPoll = false,
     responseTimeMs,
     score = 0,
-    streak = 0
+    streak = 0,
+    confidence = null,
+    penalty = 0
   }) {
     if (!nickname) {
       throw new ValidationError('Nickname is required for answer record');
@@ -63,17 +77,95 @@ class AnswerRecord {
     if (typeof questionIndex !== 'number' || questionIndex < 0) {
       throw new ValidationError('Valid question index is required');
     }
-    if (typeof answerIndex !== 'number' || answerIndex < 0) {
+    const hasIndices = Array.isArray(answerIndices) && answerIndices.length > 0;
+    const hasValue = answerValue !== null && answerValue !== undefined;
+    if (hasValue) {
+      const isNumber = typeof answerValue === 'number' && Number.isFinite(answerValue);
+      const isText = typeof answerValue === 'string' && answerValue.trim().length > 0;
+      const isClick = ClickPoint.isValid(answerValue);
+      if (!isNumber && !isText && !isClick) {
+        throw new ValidationError('Valid answer value is required');
+      }
+    } else if (hasIndices) {
+      if (!answerIndices.every(i => typeof i === 'number' && i >= 0)) {
+        throw new ValidationError('Valid answer indices are required');
+      }
+    } else if (typeof answerIndex !== 'number' || answerIndex < 0) {
       throw new ValidationError('Valid answer index is required');
     }
 
     this.nickname = nickname;
     this.questionIndex = questionIndex;
-    this.answerIndex = answerIndex;
-    this.isCorrect = Boolean(isCorrect);
+    this.answerIndex = hasIndices || hasValue ? null : answerIndex;
+    if (hasValue) {
+      this.answerValue = typeof answerValue === 'object' ? Object.freeze(new ClickPoint(answerValue).toJSON()) : answerValue;
+    } else if (hasIndices) {
+      this.answerIndices = Object.freeze([...answerIndices]);
+    }
+    this.isPoll = isPoll === true;
+    this.isCorrect = this.isPoll ? false : Boolean(isCorrect);
     this.responseTimeMs = Math.max(0, responseTimeMs || 0);
     this.score = Math.max(0, score);
     this.streak = Math.max(0, streak);
+    this.confidence = confidence || null;
+    this.penalty = Math.max(0, penalty || 0);
+
+    Object.freeze(this);
+  }
+}
+
+/**
+ * Word Cloud Result Value Object
+ * Final word cloud of a WORD_CLOUD question: each word with how many players submitted it,
+ * most frequent first
+ */
+class WordCloudResult {
+  constructor({ questionIndex, words = [] }) {
+    if (typeof questionIndex !== 'number' || questionIndex < 0) {
+      throw new ValidationError('Valid question index is required');
+    }
+    if (!Array.isArray(words)) {
+      throw new ValidationError('Word cloud words must be an array');
+    }
+
+    this.questionIndex = questionIndex;
+    this.words = Object.freeze(words
+      .filter(w => w && typeof w.text === 'string' && w.text.trim() && typeof w.count === 'number' && w.count > 0)
+      .map(w => Object.freeze({ text: w.text, count: w.count })));
+
+    Object.freeze(this);
+  }
+}
+
+/**
+ * Team Answer Record Value Object
+ * The answer a team submitted together for a question, decided from its members' proposals
+ * by majority vote or by the captain
+ */
+class TeamAnswerRecord {
+  constructor({ teamName, questionIndex, answerIndex = null, answerIndices = null, answerValue = null, isCorrect, isPoll = false, responseTimeMs = 0, score = 0, streak = 0, rule, proposalCount = 0 }) {
+    if (!teamName) {
+      throw new ValidationError('Team name is required for team answer record');
+    }
+    if (typeof questionIndex !== 'number' || questionIndex < 0) {
+      throw new ValidationError('Valid question index is required');
+    }
+
+    this.teamName = teamName;
+    this.questionIndex = questionIndex;
+    this.answerIndex = typeof answerIndex === 'number' ? answerIndex : null;
+    this.answerIndices = Array.isArray(answerIndices) && answerIndices.length > 0 ? Object.freeze([...answerIndices]) : null;
+    this.answerValue = answerValue !== null && typeof answerValue === 'object'
+      ? Object.freeze(new ClickPoint(answerValue).toJSON())
+      : answerValue ?? null;
+    this.isPoll = isPoll === true;
+    this.isCorrect = this.isPoll ? false : Boolean(isCorrect);
+    this.responseTimeMs = Math.max(0, responseTimeMs || 0);
+    // Negative when negative marking took points away
+    this.score = score || 0;
+    this.streak = Math.max(0, streak || 0);
+    this.rule = rule;
+    this.proposalCount = Math.max(0, proposalCount || 0);
 
     Object.freeze(this);
   }
@@ -114,6 +206,10 @@ class GameSession {
     playerCount = 0,
     playerResults = [],
     answers = [],
+    wordClouds = [],
+    questionIds = [],
+    questionSequence = [],
+    teamAnswers = [],
     startedAt,
     endedAt,
     status = GameSessionStatus.COMPLETED,
@@ -153,6 +249,17 @@ class GameSession {
     this.answers = answers.map(a =>
       a instanceof AnswerRecord ? a : new AnswerRecord(a)
     );
+    this.wordClouds = wordClouds.map(wc =>
+      wc instanceof WordCloudResult ? wc : new WordCloudResult(wc)
+    );
+    // Played questions in game order; empty for sessions archived before it was recorded
+    this.questionIds = Array.isArray(questionIds) ? questionIds.map(String) : [];
+    // Adaptive games only: position in questionIds of the question played in each round
+    this.questionSequence = Array.isArray(questionSequence) ? [...questionSequence] : [];
+    // Team answer games only: what each team submitted for each question
+    this.teamAnswers = Array.isArray(teamAnswers)
+      ? teamAnswers.map(ta => ta instanceof TeamAnswerRecord ? ta : new TeamAnswerRecord(ta))
+      : [];
     this.startedAt = startedAt instanceof Date ? startedAt : new Date(startedAt);
     this.endedAt = endedAt instanceof Date ? endedAt : new Date(endedAt);
     this.status = Object.values(GameSessionStatus).includes(status)
@@ -172,6 +279,10 @@ class GameSession {
     // Freeze to enforce immutability
     Object.freeze(this.playerResults);
     Object.freeze(this.answers);
+    Object.freeze(this.wordClouds);
+    Object.freeze(this.questionIds);
+    Object.freeze(this.questionSequence);
+    Object.freeze(this.teamAnswers);
     if (this.quiz) Object.freeze(this.quiz);
     if (this.host) Object.freeze(this.host);
     Object.freeze(this);
@@ -213,6 +324,15 @@ class GameSession {
     return this.answers.filter(a => a.questionIndex === questionIndex);
   }
 
+  /**
+   * Get the word cloud of a WORD_CLOUD question
+   * @param {number} questionIndex
+   * @returns {WordCloudResult|null}
+   */
+  getWordCloud(questionIndex) {
+    return this.wordClouds.find(wc => wc.questionIndex === questionIndex) || null;
+  }
+
   /**
    * Get all answers by a specific player
    * @param {string} nickname
@@ -227,9 +347,10 @@ class GameSession {
    * @returns {number} Accuracy as percentage (0-100)
    */
   getOverallAccuracy() {
-    if (this.answers.length === 0) return 0;
-    const correct = this.answers.filter(a => a.isCorrect).length;
-    return Math.round((correct / this.answers.length) * 100);
+    const graded = this.answers.filter(a => !a.isPoll);
+    if (graded.length === 0) return 0;
+    const correct = graded.filter(a => a.isCorrect).length;
+    return Math.round((correct / graded.length) * 100);
   }
 
   /**
@@ -285,6 +406,7 @@ class GameSession {
       playerCount: this.playerCount,
       playerResults: this.playerResults,
       answers: this.answers,
+      wordClouds: this.wordClouds,
       startedAt: this.startedAt,
       endedAt: this.endedAt,
       durationSeconds: this.getDurationSeconds(),
@@ -303,4 +425,4 @@ class GameSession {
   }
 }
 
-module.exports = { GameSession, GameSessionStatus, PlayerResult, AnswerRecord };
+module.exports = { GameSession, GameSessionStatus, PlayerResult, AnswerRecord, WordCloudResult, TeamAnswerRecord };
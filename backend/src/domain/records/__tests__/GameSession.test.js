@@ -1,4 +1,4 @@
-const { GameSession, GameSessionStatus, PlayerResult, AnswerRecord } = require('../GameSession');
+const { GameSession, GameSessionStatus, PlayerResult, AnswerRecord, WordCloudResult } = require('../GameSession');
 
 describe('PlayerResult', () => {
   const validData = { nickname: 'Alice', rank: 1, score: 500, correctAnswers: 4, wrongAnswers: 1, averageResponseTime: 2500, longestStreak: 3 };
@@ -83,6 +83,30 @@ describe('AnswerRecord', () => {
     expect(() => new AnswerRecord({ ...validData, answerIndex: -1 })).toThrow('Valid answer index');
     expect(() => new AnswerRecord({ ...validData, answerIndex: 'x' })).toThrow('Valid answer index');
   });
+
+  it('should store multi-select picks in answerIndices', () => {
+    const ar = new AnswerRecord({ ...validData, answerIndex: null, answerIndices: [0, 2] });
+    expect(ar.answerIndex).toBeNull();
+    expect(ar.answerIndices).toEqual([0, 2]);
+    expect(() => new AnswerRecord({ ...validData, answerIndex: null, answerIndices: [0, -1] }))
+      .toThrow('Valid answer indices');
+  });
+
+  it('should store hotspot clicks in answerValue', () => {
+    const record = new AnswerRecord({ nickname: 'A', questionIndex: 0, answerValue: { x: 0.3, y: 0.6, extra: 1 }, isCorrect: true, responseTimeMs: 1000 });
+    expect(record.answerIndex).toBeNull();
+    expect(record.answerValue).toEqual({ x: 0.3, y: 0.6 });
+    expect(() => new AnswerRecord({ nickname: 'A', questionIndex: 0, answerValue: { x: 3 }, isCorrect: true, responseTimeMs: 1000 }))
+      .toThrow('Valid answer value is required');
+  });
+
+  it('should store numeric answers in answerValue', () => {
+    const ar = new AnswerRecord({ ...validData, answerIndex: null, answerValue: 1071.5 });
+    expect(ar.answerIndex).toBeNull();
+    expect(ar.answerValue).toBe(1071.5);
+    expect(() => new AnswerRecord({ ...validData, answerIndex: null, answerValue: Infinity }))
+      .toThrow('Valid answer value');
+  });
 });
 
 describe('GameSession', () => {
@@ -226,6 +250,23 @@ describe('GameSession', () => {
     });
   });
 
+  describe('getWordCloud', () => {
+    it('should return the archived word cloud of a question', () => {
+      const gs = new GameSession({
+        ...validData,
+        wordClouds: [{ questionIndex: 2, words: [{ text: 'Fun', count: 3 }, { text: '', count: 1 }] }]
+      });
+      expect(gs.getWordCloud(2)).toBeInstanceOf(WordCloudResult);
+      expect(gs.getWordCloud(2).words).toEqual([{ text: 'Fun', count: 3 }]);
+      expect(gs.getWordCloud(0)).toBeNull();
+      expect(gs.toDetailedJSON().wordClouds).toHaveLength(1);
+    });
+
+    it('should throw for an invalid question index', () => {
+      expect(() => new WordCloudResult({ questionIndex: -1 })).toThrow('Valid question index is required');
+    });
+  });
+
   describe('getAnswersByPlayer', () => {
     it('should filter answers by nickname', () => {
       const gs = new GameSession(validData);
@@ -244,6 +285,18 @@ describe('GameSession', () => {
       const gs = new GameSession({ ...validData, answers: [] });
       expect(gs.getOverallAccuracy()).toBe(0);
     });
+
+    it('should leave poll answers out of accuracy', () => {
+      const gs = new GameSession({
+        ...validData,
+        answers: [
+          ...validData.answers,
+          { nickname: 'Bob', questionIndex: 2, answerIndex: 1, isCorrect: true, isPoll: true, responseTimeMs: 1000 }
+        ]
+      });
+      expect(gs.answers[3].isCorrect).toBe(false);
+      expect(gs.getOverallAccuracy()).toBe(67);
+    });
   });
 
   describe('isCompleted/isInterrupted', () => {
@@ -12,11 +12,13 @@
  * - Persisted for historical purposes
  */
 
-const { GameSession, GameSessionStatus, PlayerResult, AnswerRecord } = require('./GameSession');
+const { GameSession, GameSessionStatus, PlayerResult, AnswerRecord, WordCloudResult, TeamAnswerRecord } = require('./GameSession');
 
 module.exports = {
   GameSession,
   GameSessionStatus,
   PlayerResult,
-  AnswerRecord
+  AnswerRecord,
+  WordCloudResult,
+  TeamAnswerRecord
 };
@@ -0,0 +1,67 @@
+const { ValidationError } = require('../../shared/errors');
+
+// Difficulty levels from easiest to hardest; kept in step with QuestionDifficulty
+const DIFFICULTY_LEVELS = Object.freeze(['EASY', 'MEDIUM', 'HARD']);
+
+// Share of correct answers at or above which the next question gets harder, and below which it gets easier
+const STEP_UP_ACCURACY = 0.7;
+const STEP_DOWN_ACCURACY = 0.4;
+
+/**
+ * Picks the next question of an adaptive game from how the previous one went.
+ * The room's accuracy (or a single student's, when self-paced) on the question just played
+ * moves the target one level up or down from that question's difficulty; polls leave it where it was.
+ * The next question is a random unplayed one at the level closest to the target,
+ * preferring the easier side on a tie so a struggling class is not pushed ahead.
+ */
+class AdaptiveDifficulty {
+  // The first question of a game has no result to go by
+  static START_LEVEL = 'MEDIUM';
+
+  /**
+   * Target level after a question
+   * @param {string} level - Difficulty of the question just played
+   * @param {number|null} accuracy - Share of correct answers in [0, 1]; null when there is nothing to judge (polls)
+   * @returns {string}
+   */
+  static nextLevel(level, accuracy) {
+    const position = DIFFICULTY_LEVELS.indexOf(level);
+    if (position === -1) {
+      throw new ValidationError(`Unknown difficulty: ${level}`);
+    }
+    if (accuracy === null || accuracy === undefined) return level;
+    if (accuracy >= STEP_UP_ACCURACY) return DIFFICULTY_LEVELS[Math.min(position + 1, DIFFICULTY_LEVELS.length - 1)];
+    if (accuracy < STEP_DOWN_ACCURACY) return DIFFICULTY_LEVELS[Math.max(position - 1, 0)];
+    return level;
+  }
+
+  /**
+   * Pick an unplayed question at the level closest to the target
+   * @param {Question[]} questions - Questions the game can choose from
+   * @param {number[]} playedIndices - Indices into questions already played
+   * @param {string} level - Target difficulty
+   * @param {Function} [random] - Source of numbers in [0, 1)
+   * @returns {number|null} Index into questions, or null when all have been played
+   */
+  static pickQuestion(questions, playedIndices, level, random = Math.random) {
+    const target = DIFFICULTY_LEVELS.indexOf(level);
+    if (target === -1) {
+      throw new ValidationError(`Unknown difficulty: ${level}`);
+    }
+    const played = new Set(playedIndices);
+    const candidates = questions
+      .map((question, index) => ({ index, distance: Math.abs(DIFFICULTY_LEVELS.indexOf(question.difficulty) - target) }))
+      .filter(({ index }) => !played.has(index));
+    if (candidates.length === 0) return null;
+
+    const closest = Math.min(...candidates.map(c => c.distance));
+    let nearest = candidates.filter(c => c.distance === closest);
+    if (closest > 0) {
+      const easier = nearest.filter(c => DIFFICULTY_LEVELS.indexOf(questions[c.index].difficulty) < target);
+      if (easier.length > 0) nearest = easier;
+    }
+    return nearest[Math.floor(random() * nearest.length)].index;
+  }
+}
+
+module.exports = { AdaptiveDifficulty, DIFFICULTY_LEVELS };
@@ -1,20 +1,25 @@
 const { ValidationError } = require('../../shared/errors');
+const { TextAnswer } = require('./TextAnswer');
+const { ScoringProfile } = require('./ScoringProfile');
 
-const MAX_STREAK_BONUS = 1500;
-// Hard cap per answer — applies to all cases including DOUBLE_POINTS.
-// Prevents score inflation: even with DOUBLE_POINTS, a single answer cannot exceed this.
-const MAX_ANSWER_SCORE = 21500;
+// Hard cap per answer — applies to all cases including DOUBLE_POINTS and a HIGH confidence wager.
+// Prevents score inflation: 10000 points, doubled twice, plus the largest streak bonus.
+const MAX_ANSWER_SCORE = 41500;
 
 class Answer {
-  constructor({ playerId, questionId, roomPin, answerIndex, isCorrect, elapsedTimeMs, score = 0, streakBonus = 0, submittedAt = new Date() }) {
+  constructor({ playerId, questionId, roomPin, answerIndex, answerValue = null, isCorrect, elapsedTimeMs, score = 0, streakBonus = 0, confidence = null, penalty = 0, submittedAt = new Date() }) {
     this.playerId = playerId;
     this.questionId = questionId;
     this.roomPin = roomPin;
     this.answerIndex = answerIndex;
+    this.answerValue = answerValue;
     this.isCorrect = isCorrect;
     this.elapsedTimeMs = elapsedTimeMs;
     this.score = score;
     this.streakBonus = streakBonus;
+    // Wagered confidence (null when the quiz has no wagers) and points lost to negative marking
+    this.confidence = confidence;
+    this.penalty = penalty;
     this.submittedAt = submittedAt;
 
     Object.freeze(this);
@@ -26,7 +31,7 @@ class Answer {
     return Math.min(total, MAX_ANSWER_SCORE);
   }
 
-  static create({ playerId, questionId, roomPin, answerIndex, question, elapsedTimeMs, currentStreak, effectiveTimeLimitMs = null }) {
+  static create({ playerId, questionId, roomPin, answerIndex, answerValue = null, question, elapsedTimeMs, currentStreak, effectiveTimeLimitMs = null, scoringProfile = null, confidence = null }) {
     // Validate required IDs
     if (!playerId || typeof playerId !== 'string') {
       throw new ValidationError('playerId is required and must be a string');
@@ -38,12 +43,38 @@ class Answer {
       throw new ValidationError('roomPin is required and must be a string');
     }
 
-    // Validate answerIndex
-    if (typeof answerIndex !== 'number' || !Number.isInteger(answerIndex) || answerIndex < 0) {
-      throw new ValidationError('answerIndex must be a non-negative integer');
-    }
-    if (question && question.options && answerIndex >= question.options.length) {
-      throw new ValidationError('answerIndex exceeds the number of options');
+    // NUMERIC, TYPE_ANSWER, WORD_CLOUD and HOTSPOT answers carry a free value instead of option indices
+    const hasAnswerValue = answerValue !== null && answerValue !== undefined;
+    const selectedIndices = Array.isArray(answerIndex) ? answerIndex : [answerIndex];
+    if (hasAnswerValue) {
+      if (typeof answerValue === 'string') {
+        if (!TextAnswer.isValid(answerValue)) {
+          throw new ValidationError(`answerValue text must be 1-${TextAnswer.MAX_LENGTH} characters`);
+        }
+      } else if (typeof answerValue === 'object') {
+        // HOTSPOT clicks are checked against the question below
+        if (Array.isArray(answerValue)) {
+          throw new ValidationError('answerValue must be a number, a text or a click position');
+        }
+      } else if (typeof answerValue !== 'number' || !Number.isFinite(answerValue)) {
+        throw new ValidationError('answerValue must be a finite number');
+      }
+    } else {
+      // Validate answerIndex (MULTI_SELECT, ORDERING and MATCHING answers are arrays of indices)
+      if (selectedIndices.length === 0) {
+        throw new ValidationError('answerIndex must select at least one option');
+      }
+      if (new Set(selectedIndices).size !== selectedIndices.length) {
+        throw new ValidationError('answerIndex must not contain duplicate options');
+      }
+      for (const index of selectedIndices) {
+        if (typeof index !== 'number' || !Number.isInteger(index) || index < 0) {
+          throw new ValidationError('answerIndex must be a non-negative integer');
+        }
+        if (question && question.options && index >= question.options.length) {
+          throw new ValidationError('answerIndex exceeds the number of options');
+        }
+      }
     }
 
     // Validate question is provided
@@ -51,6 +82,23 @@ class Answer {
       throw new ValidationError('Valid question is required to create Answer');
     }
 
+    // The value must suit the question type (a number for NUMERIC, text for TYPE_ANSWER, a click for HOTSPOT)
+    if (hasAnswerValue && typeof question.validateAnswerValue === 'function') {
+      question.validateAnswerValue(answerValue);
+    }
+
+    // ORDERING answers must rank every option
+    if (!hasAnswerValue && typeof question.isOrdering === 'function' && question.isOrdering() &&
+        selectedIndices.length !== question.options.length) {
+      throw new ValidationError('answerIndex must place every option exactly once');
+    }
+
+    // MATCHING answers must pair every option with a target
+    if (!hasAnswerValue && typeof question.isMatching === 'function' && question.isMatching() &&
+        selectedIndices.length !== question.options.length) {
+      throw new ValidationError('answerIndex must pair every option with a match target');
+    }
+
     // Validate elapsedTimeMs
     if (typeof elapsedTimeMs !== 'number' || !Number.isFinite(elapsedTimeMs) || elapsedTimeMs < 0) {
       throw new ValidationError('elapsedTimeMs must be a non-negative number');
@@ -61,23 +109,30 @@ class Answer {
       ? Math.floor(currentStreak)
       : 0;
 
-    const isCorrect = question.isCorrect(answerIndex);
-    const baseScore = question.calculateScore(answerIndex, elapsedTimeMs, effectiveTimeLimitMs);
-
-    let streakBonus = 0;
-    if (isCorrect && safeStreak > 0) {
-      streakBonus = Math.min(safeStreak * 100, MAX_STREAK_BONUS);
-    }
+    // The quiz's scoring profile decides how speed, streaks, wrong answers and wagers count
+    const profile = ScoringProfile.from(scoringProfile);
+    const multiplier = profile.getWagerMultiplier(confidence);
+    const response = hasAnswerValue ? answerValue : answerIndex;
+    const isCorrect = question.isCorrect(response);
+    const baseScore = Math.round(question.calculateScore(response, elapsedTimeMs, effectiveTimeLimitMs, profile) * multiplier);
+    const streakBonus = isCorrect ? profile.getStreakBonus(safeStreak) : 0;
+    // Only answers that earn nothing are marked down; polls have no wrong answers
+    const penalty = !question.isPoll && !isCorrect && baseScore === 0
+      ? Math.round(profile.getWrongAnswerPenalty(question.points) * multiplier)
+      : 0;
 
     return new Answer({
       playerId,
       questionId,
       roomPin,
-      answerIndex,
+      answerIndex: hasAnswerValue ? null : (Array.isArray(answerIndex) ? Object.freeze([...answerIndex]) : answerIndex),
+      answerValue: hasAnswerValue ? answerValue : null,
       isCorrect,
       elapsedTimeMs,
       score: baseScore,
-      streakBonus
+      streakBonus,
+      confidence: question.isPoll ? null : (confidence || null),
+      penalty
     });
   }
 }
@@ -0,0 +1,161 @@
+const { ValidationError } = require('../../shared/errors');
+
+/**
+ * Geometry for HOTSPOT questions.
+ * All coordinates are fractions of the image size (0 = left/top edge, 1 = right/bottom edge),
+ * so regions and clicks line up however large the image is drawn on each screen.
+ */
+
+const HotspotShape = {
+  CIRCLE: 'circle',
+  POLYGON: 'polygon'
+};
+
+const isCoordinate = (value) => typeof value === 'number' && Number.isFinite(value) && value >= 0 && value <= 1;
+
+/**
+ * A click on the question image
+ */
+class ClickPoint {
+  constructor(value) {
+    if (!value || typeof value !== 'object' || Array.isArray(value) ||
+        !isCoordinate(value.x) || !isCoordinate(value.y)) {
+      throw new ValidationError('Click position must have x and y between 0 and 1');
+    }
+
+    this.x = value.x;
+    this.y = value.y;
+    Object.freeze(this);
+  }
+
+  static isValid(value) {
+    try {
+      new ClickPoint(value);
+      return true;
+    } catch {
+      return false;
+    }
+  }
+
+  distanceTo(other) {
+    return Math.hypot(this.x - other.x, this.y - other.y);
+  }
+
+  toJSON() {
+    return { x: this.x, y: this.y };
+  }
+}
+
+/**
+ * Distance from point p to the segment a-b
+ */
+function distanceToSegment(p, a, b) {
+  const dx = b.x - a.x;
+  const dy = b.y - a.y;
+  const lengthSquared = dx * dx + dy * dy;
+  const t = lengthSquared === 0
+    ? 0
+    : Math.max(0, Math.min(1, ((p.x - a.x) * dx + (p.y - a.y) * dy) / lengthSquared));
+  return Math.hypot(p.x - (a.x + t * dx), p.y - (a.y + t * dy));
+}
+
+/**
+ * A correct area on the question image: a circle or a polygon
+ */
+class HotspotRegion {
+  static MIN_POLYGON_POINTS = 3;
+  static MAX_POLYGON_POINTS = 20;
+  static MAX_RADIUS = 0.5;
+
+  constructor(region) {
+    const { shape, x, y, radius, points } = region || {};
+    if (shape === HotspotShape.CIRCLE) {
+      if (!isCoordinate(x) || !isCoordinate(y)) {
+        throw new ValidationError('Circle center must have x and y between 0 and 1');
+      }
+      if (typeof radius !== 'number' || !Number.isFinite(radius) || radius <= 0 || radius > HotspotRegion.MAX_RADIUS) {
+        throw new ValidationError(`Circle radius must be greater than 0 and at most ${HotspotRegion.MAX_RADIUS}`);
+      }
+      this.shape = shape;
+      this.x = x;
+      this.y = y;
+      this.radius = radius;
+    } else if (shape === HotspotShape.POLYGON) {
+      if (!Array.isArray(points) || points.length < HotspotRegion.MIN_POLYGON_POINTS ||
+          points.length > HotspotRegion.MAX_POLYGON_POINTS) {
+        throw new ValidationError(`Polygons need ${HotspotRegion.MIN_POLYGON_POINTS}-${HotspotRegion.MAX_POLYGON_POINTS} points`);
+      }
+      if (!points.every(p => ClickPoint.isValid(p))) {
+        throw new ValidationError('Polygon points must have x and y between 0 and 1');
+      }
+      this.shape = shape;
+      this.points = Object.freeze(points.map(p => Object.freeze({ x: p.x, y: p.y })));
+    } else {
+      throw new ValidationError(`Hotspot region shape must be one of: ${Object.values(HotspotShape).join(', ')}`);
+    }
+
+    Object.freeze(this);
+  }
+
+  static isValid(value) {
+    try {
+      new HotspotRegion(value);
+      return true;
+    } catch {
+      return false;
+    }
+  }
+
+  /**
+   * Whether a click falls inside the region (edges count as inside)
+   * @param {ClickPoint} point
+   */
+  contains(point) {
+    return this.distanceTo(point) === 0;
+  }
+
+  /**
+   * Distance from a click to the nearest edge of the region, 0 when inside
+   * @param {ClickPoint} point
+   * @returns {number}
+   */
+  distanceTo(point) {
+    if (this.shape === HotspotShape.CIRCLE) {
+      return Math.max(0, Math.hypot(point.x - this.x, point.y - this.y) - this.radius);
+    }
+    if (this._polygonContains(point)) {
+      return 0;
+    }
+    let nearest = Infinity;
+    for (let i = 0; i < this.points.length; i++) {
+      const next = this.points[(i + 1) % this.points.length];
+      nearest = Math.min(nearest, distanceToSegment(point, this.points[i], next));
+    }
+    return nearest;
+  }
+
+  /**
+   * Ray casting point-in-polygon test
+   * @private
+   */
+  _polygonContains(point) {
+    let inside = false;
+    for (let i = 0, j = this.points.length - 1; i < this.points.length; j = i++) {
+      const a = this.points[i];
+      const b = this.points[j];
+      if ((a.y > point.y) !== (b.y > point.y) &&
+          point.x < ((b.x - a.x) * (point.y - a.y)) / (b.y - a.y) + a.x) {
+        inside = !inside;
+      }
+    }
+    return inside;
+  }
+
+  toJSON() {
+    return this.shape === HotspotShape.CIRCLE
+      ? { shape: this.shape, x: this.x, y: this.y, radius: this.radius }
+      : { shape: this.shape, points: this.points.map(p => ({ x: p.x, y: p.y })) };
+  }
+}
+
+module.exports = { ClickPoint, HotspotRegion, HotspotShape };
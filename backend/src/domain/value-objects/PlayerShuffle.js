@@ -0,0 +1,137 @@
+const { ValidationError } = require('../../shared/errors');
+
+// Question types whose options can be shown in another order. TRUE_FALSE reads oddly reversed,
+// MATCHING pairs options by position and the optionless types have nothing to reorder.
+const SHUFFLED_OPTION_TYPES = ['MULTIPLE_CHOICE', 'MULTI_SELECT', 'ORDERING'];
+
+const shuffled = (values, random) => {
+  const result = [...values];
+  for (let i = result.length - 1; i > 0; i--) {
+    const j = Math.floor(random() * (i + 1));
+    [result[i], result[j]] = [result[j], result[i]];
+  }
+  return result;
+};
+
+const range = (length) => Array.from({ length }, (_, i) => i);
+
+/**
+ * One player's question and option order when a room shuffles them.
+ * questionOrder maps each round to the canonical question index the player gets in it;
+ * optionOrders maps a canonical question index to the canonical option index shown at each position.
+ * Everything the server stores and scores stays canonical: answers are translated back
+ * on the way in and answer keys, distributions and 50:50 picks are translated on the way out.
+ */
+class PlayerShuffle {
+  /**
+   * @param {Object} params
+   * @param {number[]} params.questionOrder - Canonical question index for each round
+   * @param {Object<number, number[]>} [params.optionOrders] - Shown option order per canonical question index
+   */
+  constructor({ questionOrder, optionOrders = {} }) {
+    if (!Array.isArray(questionOrder)) {
+      throw new ValidationError('questionOrder must be an array');
+    }
+    this.questionOrder = Object.freeze([...questionOrder]);
+    this.optionOrders = Object.freeze(Object.fromEntries(
+      Object.entries(optionOrders).map(([questionIndex, order]) => [questionIndex, Object.freeze([...order])])
+    ));
+    // Reverse lookups: canonical option index -> shown position
+    this._optionPositions = Object.freeze(Object.fromEntries(
+      Object.entries(this.optionOrders).map(([questionIndex, order]) => {
+        const positions = [];
+        order.forEach((canonical, position) => { positions[canonical] = position; });
+        return [questionIndex, Object.freeze(positions)];
+      })
+    ));
+    Object.freeze(this);
+  }
+
+  /**
+   * Deal a random order for one player
+   * @param {Quiz} quiz - Quiz snapshot
+   * @param {{ questions: boolean, options: boolean }} settings - What to shuffle
+   * @param {Function} [random] - Source of numbers in [0, 1)
+   * @returns {PlayerShuffle}
+   */
+  static create(quiz, { questions = false, options = false }, random = Math.random) {
+    const questionCount = quiz.getTotalQuestions();
+    const questionOrder = questions ? shuffled(range(questionCount), random) : range(questionCount);
+    const optionOrders = {};
+    if (options) {
+      quiz.questions.forEach((question, questionIndex) => {
+        if (SHUFFLED_OPTION_TYPES.includes(question.type) && question.options.length > 1) {
+          optionOrders[questionIndex] = shuffled(range(question.options.length), random);
+        }
+      });
+    }
+    return new PlayerShuffle({ questionOrder, optionOrders });
+  }
+
+  /**
+   * Canonical index of the question this player gets in a round
+   * @param {number} round - Room's current question index
+   * @returns {number}
+   */
+  getQuestionIndex(round) {
+    return this.questionOrder[round] ?? round;
+  }
+
+  /**
+   * Options in the order this player sees them
+   * @param {number} questionIndex - Canonical question index
+   * @param {string[]} options - Options in canonical order
+   * @returns {string[]}
+   */
+  toShownOptions(questionIndex, options) {
+    const order = this.optionOrders[questionIndex];
+    return order ? order.map(canonical => options[canonical]) : options;
+  }
+
+  /**
+   * Translate an answer picked on this player's screen to canonical option indices
+   * @param {number} questionIndex - Canonical question index
+   * @param {number|number[]} answerIndex - Shown position, or positions for MULTI_SELECT / ORDERING
+   * @returns {number|number[]}
+   */
+  toCanonical(questionIndex, answerIndex) {
+    const order = this.optionOrders[questionIndex];
+    if (!order) return answerIndex;
+    const translate = (position) => order[position] ?? position;
+    return Array.isArray(answerIndex) ? answerIndex.map(translate) : translate(answerIndex);
+  }
+
+  /**
+   * Translate canonical option indices to where this player sees them
+   * @param {number} questionIndex - Canonical question index
+   * @param {number|number[]|null} canonicalIndex
+   * @returns {number|number[]|null}
+   */
+  toShown(questionIndex, canonicalIndex) {
+    const positions = this._optionPositions[questionIndex];
+    if (!positions || canonicalIndex === null || canonicalIndex === undefined) return canonicalIndex;
+    const translate = (canonical) => positions[canonical] ?? canonical;
+    return Array.isArray(canonicalIndex) ? canonicalIndex.map(translate) : translate(canonicalIndex);
+  }
+
+  /**
+   * Per-option counts reordered to this player's screen
+   * @param {number} questionIndex - Canonical question index
+   * @param {number[]} distribution - Counts in canonical option order
+   * @returns {number[]}
+   */
+  toShownDistribution(questionIndex, distribution) {
+    const order = this.optionOrders[questionIndex];
+    if (!order || !Array.isArray(distribution) || distribution.length !== order.length) return distribution;
+    return order.map(canonical => distribution[canonical]);
+  }
+
+  toJSON() {
+    return {
+      questionOrder: [...this.questionOrder],
+      optionOrders: Object.fromEntries(Object.entries(this.optionOrders).map(([index, order]) => [index, [...order]]))
+    };
+  }
+}
+
+module.exports = { PlayerShuffle, SHUFFLED_OPTION_TYPES };
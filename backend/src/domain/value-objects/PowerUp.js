@@ -1,30 +1,51 @@
 const { ValidationError } = require('../../shared/errors');
-const { TIME_EXTENSION_MS } = require('../../shared/config/constants');
+const { TIME_EXTENSION_MS, FREEZE_DURATION_MS } = require('../../shared/config/constants');
 
 const PowerUpType = {
   FIFTY_FIFTY: 'FIFTY_FIFTY',
   DOUBLE_POINTS: 'DOUBLE_POINTS',
-  TIME_EXTENSION: 'TIME_EXTENSION'
+  TIME_EXTENSION: 'TIME_EXTENSION',
+  STREAK_SHIELD: 'STREAK_SHIELD',
+  HINT: 'HINT',
+  FREEZE: 'FREEZE'
 };
 
 const POWER_UP_LABELS = {
   [PowerUpType.FIFTY_FIFTY]: '50:50',
   [PowerUpType.DOUBLE_POINTS]: 'Çift Puan',
-  [PowerUpType.TIME_EXTENSION]: 'Süre Uzatma'
+  [PowerUpType.TIME_EXTENSION]: 'Süre Uzatma',
+  [PowerUpType.STREAK_SHIELD]: 'Seri Kalkanı',
+  [PowerUpType.HINT]: 'İpucu',
+  [PowerUpType.FREEZE]: 'Dondurma'
 };
 
+// Newer power-ups start disabled; hosts turn them on with the room's power-up loadout
 const DEFAULT_POWER_UPS = {
   [PowerUpType.FIFTY_FIFTY]: 1,
   [PowerUpType.DOUBLE_POINTS]: 1,
-  [PowerUpType.TIME_EXTENSION]: 1
+  [PowerUpType.TIME_EXTENSION]: 1,
+  [PowerUpType.STREAK_SHIELD]: 0,
+  [PowerUpType.HINT]: 0,
+  [PowerUpType.FREEZE]: 0
 };
 
+// Earned by players in the bottom third of the leaderboard: items that help them score,
+// not ones that hold others back or protect a streak they rarely have
+const CATCH_UP_POWER_UPS = [
+  PowerUpType.DOUBLE_POINTS,
+  PowerUpType.FIFTY_FIFTY,
+  PowerUpType.TIME_EXTENSION,
+  PowerUpType.HINT
+];
+
 /**
  * Power-up Strategy Registry
  *
  * Each strategy defines:
  *   execute(context) — runs domain logic, returns result data
- *   getEmitActions(result) — returns socket emit instructions for the handler layer
+ *   getEmitActions(result) — returns socket emit instructions for the handler layer:
+ *     playerEmits (to the user), roomEmits (to everyone in the room),
+ *     targetEmits (to one other player's socketId) and timerAction
  *
  * To add a new power-up:
  *   1. Add its key to PowerUpType
@@ -82,16 +103,23 @@ powerUpRegistry.register(PowerUpType.FIFTY_FIFTY, {
     if (!currentQuestion || !Array.isArray(currentQuestion.options) || currentQuestion.options.length === 0) {
       throw new ValidationError('Current question has no options');
     }
+    if (currentQuestion.correctOrder) {
+      throw new ValidationError('50:50 cannot be used on ordering questions');
+    }
+    if (currentQuestion.correctMatches) {
+      throw new ValidationError('50:50 cannot be used on matching questions');
+    }
     const eliminatedOptions = room.getFiftyFiftyOptions(
       socketId,
-      currentQuestion.correctAnswerIndex,
+      currentQuestion.correctAnswerIndices || currentQuestion.correctAnswerIndex,
       currentQuestion.options.length
     );
     // Persist on player for reconnect scenarios
     const player = room.getPlayer(socketId);
     if (!player) throw new ValidationError('Player not found');
     player.setEliminatedOptions(eliminatedOptions);
-    return { type: PowerUpType.FIFTY_FIFTY, eliminatedOptions };
+    // Stored canonical; the player is told where the removed options sit on their screen
+    return { type: PowerUpType.FIFTY_FIFTY, eliminatedOptions: room.toShownOptionIndex(player, eliminatedOptions) };
   },
   getEmitActions(result) {
     return {
@@ -137,4 +165,64 @@ powerUpRegistry.register(PowerUpType.TIME_EXTENSION, {
   }
 });
 
-module.exports = { PowerUpType, POWER_UP_LABELS, DEFAULT_POWER_UPS, powerUpRegistry };
+powerUpRegistry.register(PowerUpType.STREAK_SHIELD, {
+  execute({ room, socketId }) {
+    // Like DOUBLE_POINTS, the shield waits for the answer; AnswerUseCases skips the streak reset
+    const player = room.getPlayer(socketId);
+    if (!player) throw new ValidationError('Player not found');
+    player.activateStreakShield();
+    return { type: PowerUpType.STREAK_SHIELD, activated: true };
+  },
+  getEmitActions() {
+    return {
+      playerEmits: [{ event: 'power_up_activated', data: { type: 'STREAK_SHIELD' } }],
+      roomEmits: [],
+      timerAction: null,
+    };
+  }
+});
+
+powerUpRegistry.register(PowerUpType.HINT, {
+  execute({ room, socketId, currentQuestion }) {
+    if (!currentQuestion || !currentQuestion.hint) {
+      throw new ValidationError('This question has no hint');
+    }
+    const player = room.getPlayer(socketId);
+    if (!player) throw new ValidationError('Player not found');
+    player.setRevealedHint(currentQuestion.hint);
+    return { type: PowerUpType.HINT, hint: currentQuestion.hint };
+  },
+  getEmitActions(result) {
+    return {
+      playerEmits: [{ event: 'hint_revealed', data: { hint: result.hint } }],
+      roomEmits: [],
+      timerAction: null,
+    };
+  }
+});
+
+powerUpRegistry.register(PowerUpType.FREEZE, {
+  execute({ room, socketId }) {
+    const target = room.pickFreezeTarget(socketId);
+    return {
+      type: PowerUpType.FREEZE,
+      targetSocketId: target.socketId,
+      targetNickname: target.nickname,
+      durationMs: FREEZE_DURATION_MS
+    };
+  },
+  getEmitActions(result) {
+    return {
+      playerEmits: [
+        { event: 'power_up_activated', data: { type: 'FREEZE', targetNickname: result.targetNickname } }
+      ],
+      roomEmits: [],
+      targetEmits: [
+        { socketId: result.targetSocketId, event: 'answers_frozen', data: { durationMs: result.durationMs } }
+      ],
+      timerAction: null,
+    };
+  }
+});
+
+module.exports = { PowerUpType, POWER_UP_LABELS, DEFAULT_POWER_UPS, CATCH_UP_POWER_UPS, powerUpRegistry };
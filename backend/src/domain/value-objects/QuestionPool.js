@@ -0,0 +1,72 @@
+const { ValidationError } = require('../../shared/errors');
+const { MAX_POOL_NAME_LENGTH } = require('../../shared/config/constants');
+
+/**
+ * Question Pool Value Object
+ * A group of a quiz's questions of which only drawCount, picked at random, are played in a game,
+ * e.g. "draw 10 of these 40". Questions outside every pool are always played.
+ */
+class QuestionPool {
+  /**
+   * @param {Object} params
+   * @param {string} params.name - Shown in the quiz editor
+   * @param {string[]} params.questionIds - Questions in the pool
+   * @param {number} params.drawCount - How many of them a game plays
+   */
+  constructor({ name, questionIds, drawCount } = {}) {
+    if (typeof name !== 'string' || !name.trim()) {
+      throw new ValidationError('Question pool name is required');
+    }
+    if (name.trim().length > MAX_POOL_NAME_LENGTH) {
+      throw new ValidationError(`Question pool name cannot be longer than ${MAX_POOL_NAME_LENGTH} characters`);
+    }
+    if (!Array.isArray(questionIds) || questionIds.length === 0) {
+      throw new ValidationError('Question pool needs at least one question');
+    }
+    const ids = questionIds.map(String);
+    if (new Set(ids).size !== ids.length) {
+      throw new ValidationError('Question pool lists a question more than once');
+    }
+    if (!Number.isInteger(drawCount) || drawCount < 1 || drawCount > ids.length) {
+      throw new ValidationError(`Question pool draw count must be between 1 and ${ids.length}`);
+    }
+
+    this.name = name.trim();
+    this.questionIds = Object.freeze(ids);
+    this.drawCount = drawCount;
+    Object.freeze(this);
+  }
+
+  /**
+   * @param {string} questionId
+   * @returns {boolean}
+   */
+  includes(questionId) {
+    return this.questionIds.includes(questionId);
+  }
+
+  /**
+   * The pool without a question, with its draw count lowered if it no longer fits
+   * @param {string} questionId
+   * @returns {QuestionPool|null} null when the question was the pool's last
+   */
+  without(questionId) {
+    const questionIds = this.questionIds.filter(id => id !== questionId);
+    if (questionIds.length === 0) return null;
+    return new QuestionPool({
+      name: this.name,
+      questionIds,
+      drawCount: Math.min(this.drawCount, questionIds.length)
+    });
+  }
+
+  toJSON() {
+    return {
+      name: this.name,
+      questionIds: [...this.questionIds],
+      drawCount: this.drawCount
+    };
+  }
+}
+
+module.exports = { QuestionPool };
@@ -36,6 +36,21 @@ class Score {
     return new Score(newValue);
   }
 
+  /**
+   * Take points away, never going below zero (negative marking)
+   * @param {number} points - Non-negative number of points to remove
+   * @returns {Score}
+   */
+  subtract(points) {
+    if (typeof points !== 'number' || isNaN(points)) {
+      throw new ValidationError('Points must be a number');
+    }
+    if (points < 0) {
+      throw new ValidationError('Points cannot be negative');
+    }
+    return new Score(Math.max(0, this.value - points));
+  }
+
   toString() {
     return this.value.toString();
   }
@@ -0,0 +1,223 @@
+const { ValidationError } = require('../../shared/errors');
+
+// Cap on the streak bonus of a single answer, whatever the profile
+const MAX_STREAK_BONUS = 1500;
+const MAX_STREAK_BONUS_STEP = 500;
+
+const ScoringPreset = {
+  STANDARD: 'STANDARD',
+  SPEED: 'SPEED',
+  ACCURACY_ONLY: 'ACCURACY_ONLY',
+  NO_STREAKS: 'NO_STREAKS',
+  CUSTOM: 'CUSTOM'
+};
+
+/**
+ * How the time factor falls from 1 (instant answer) to minTimeFactor (at the time limit):
+ * - LINEAR: at a steady rate
+ * - EASE_IN: slowly at first, then faster (a moment of thought costs little)
+ * - EASE_OUT: quickly at first, then slower (every early second counts)
+ */
+const TimeCurve = {
+  LINEAR: 'LINEAR',
+  EASE_IN: 'EASE_IN',
+  EASE_OUT: 'EASE_OUT'
+};
+
+/**
+ * Confidence a player wagers on an answer; it multiplies the points won or lost
+ */
+const ConfidenceLevel = {
+  LOW: 'LOW',
+  MEDIUM: 'MEDIUM',
+  HIGH: 'HIGH'
+};
+
+const CONFIDENCE_MULTIPLIERS = {
+  [ConfidenceLevel.LOW]: 0.5,
+  [ConfidenceLevel.MEDIUM]: 1,
+  [ConfidenceLevel.HIGH]: 2
+};
+
+const CURVE_FUNCTIONS = {
+  [TimeCurve.LINEAR]: (ratio) => ratio,
+  [TimeCurve.EASE_IN]: (ratio) => ratio * ratio,
+  [TimeCurve.EASE_OUT]: (ratio) => Math.sqrt(ratio)
+};
+
+const PRESET_SETTINGS = {
+  [ScoringPreset.STANDARD]: { timeCurve: TimeCurve.LINEAR, minTimeFactor: 0.5, streakBonusStep: 100, maxStreakBonus: MAX_STREAK_BONUS },
+  [ScoringPreset.SPEED]: { timeCurve: TimeCurve.EASE_OUT, minTimeFactor: 0.1, streakBonusStep: 100, maxStreakBonus: MAX_STREAK_BONUS },
+  [ScoringPreset.ACCURACY_ONLY]: { timeCurve: TimeCurve.LINEAR, minTimeFactor: 1, streakBonusStep: 0, maxStreakBonus: 0 },
+  [ScoringPreset.NO_STREAKS]: { timeCurve: TimeCurve.LINEAR, minTimeFactor: 0.5, streakBonusStep: 0, maxStreakBonus: 0 }
+};
+
+/**
+ * Scoring Profile Value Object
+ * Quiz-level rules turning a correct answer into points: how much answer speed matters
+ * and how large the streak bonus grows. Named presets fix every setting;
+ * CUSTOM starts from STANDARD and overrides the settings it is given.
+ * Negative marking and confidence wagers are switched on separately and combine with any preset.
+ */
+class ScoringProfile {
+  static Preset = ScoringPreset;
+  static TimeCurve = TimeCurve;
+  static MAX_STREAK_BONUS = MAX_STREAK_BONUS;
+  static ConfidenceLevel = ConfidenceLevel;
+  static CONFIDENCE_MULTIPLIERS = CONFIDENCE_MULTIPLIERS;
+
+  constructor({
+    preset = ScoringPreset.STANDARD,
+    timeCurve,
+    minTimeFactor,
+    streakBonusStep,
+    maxStreakBonus,
+    wrongAnswerPenalty = 0,
+    confidenceWagers = false
+  } = {}) {
+    if (!Object.values(ScoringPreset).includes(preset)) {
+      throw new ValidationError(`Scoring preset must be one of: ${Object.values(ScoringPreset).join(', ')}`);
+    }
+
+    const settings = preset === ScoringPreset.CUSTOM
+      ? {
+        ...PRESET_SETTINGS[ScoringPreset.STANDARD],
+        ...(timeCurve !== undefined && timeCurve !== null && { timeCurve }),
+        ...(minTimeFactor !== undefined && minTimeFactor !== null && { minTimeFactor }),
+        ...(streakBonusStep !== undefined && streakBonusStep !== null && { streakBonusStep }),
+        ...(maxStreakBonus !== undefined && maxStreakBonus !== null && { maxStreakBonus })
+      }
+      : PRESET_SETTINGS[preset];
+
+    if (!Object.values(TimeCurve).includes(settings.timeCurve)) {
+      throw new ValidationError(`Time curve must be one of: ${Object.values(TimeCurve).join(', ')}`);
+    }
+    if (typeof settings.minTimeFactor !== 'number' || !Number.isFinite(settings.minTimeFactor) ||
+        settings.minTimeFactor < 0 || settings.minTimeFactor > 1) {
+      throw new ValidationError('Minimum time factor must be between 0 and 1');
+    }
+    if (!Number.isInteger(settings.streakBonusStep) || settings.streakBonusStep < 0 || settings.streakBonusStep > MAX_STREAK_BONUS_STEP) {
+      throw new ValidationError(`Streak bonus step must be an integer between 0 and ${MAX_STREAK_BONUS_STEP}`);
+    }
+    if (!Number.isInteger(settings.maxStreakBonus) || settings.maxStreakBonus < 0 || settings.maxStreakBonus > MAX_STREAK_BONUS) {
+      throw new ValidationError(`Maximum streak bonus must be an integer between 0 and ${MAX_STREAK_BONUS}`);
+    }
+    if (typeof wrongAnswerPenalty !== 'number' || !Number.isFinite(wrongAnswerPenalty) ||
+        wrongAnswerPenalty < 0 || wrongAnswerPenalty > 1) {
+      throw new ValidationError('Wrong answer penalty must be between 0 and 1');
+    }
+
+    this.preset = preset;
+    this.timeCurve = settings.timeCurve;
+    this.minTimeFactor = settings.minTimeFactor;
+    this.streakBonusStep = settings.streakBonusStep;
+    this.maxStreakBonus = settings.maxStreakBonus;
+    // Share of a question's points lost on a wrong answer (0 = no negative marking)
+    this.wrongAnswerPenalty = wrongAnswerPenalty;
+    this.confidenceWagers = confidenceWagers === true;
+
+    Object.freeze(this);
+  }
+
+  /**
+   * Share of the points kept after answering in elapsedTimeMs out of totalTimeMs
+   * @param {number} elapsedTimeMs
+   * @param {number} totalTimeMs
+   * @returns {number} Value in [minTimeFactor, 1]
+   */
+  getTimeFactor(elapsedTimeMs, totalTimeMs) {
+    if (!(totalTimeMs > 0)) {
+      return 1;
+    }
+    const ratio = Math.max(0, Math.min(1, elapsedTimeMs / totalTimeMs));
+    return 1 - (1 - this.minTimeFactor) * CURVE_FUNCTIONS[this.timeCurve](ratio);
+  }
+
+  /**
+   * Points a fully correct answer earns, never less than minTimeFactor of them
+   * @param {number} points - The question's points
+   * @param {number} elapsedTimeMs
+   * @param {number} totalTimeMs
+   * @returns {number}
+   */
+  applyTimeFactor(points, elapsedTimeMs, totalTimeMs) {
+    const score = Math.round(this.getTimeFactor(elapsedTimeMs, totalTimeMs) * points);
+    return Math.max(score, Math.round(points * this.minTimeFactor));
+  }
+
+  /**
+   * Bonus for a correct answer that extends a streak of the given length
+   * @param {number} streak - Correct answers in a row before this one
+   * @returns {number}
+   */
+  getStreakBonus(streak) {
+    if (!(streak > 0)) {
+      return 0;
+    }
+    return Math.min(streak * this.streakBonusStep, this.maxStreakBonus);
+  }
+
+  /**
+   * Whether the profile ever awards a streak bonus
+   */
+  hasStreakBonus() {
+    return this.streakBonusStep > 0 && this.maxStreakBonus > 0;
+  }
+
+  /**
+   * Points lost for a wrong answer to a question worth the given points
+   * @param {number} points - The question's points
+   * @returns {number}
+   */
+  getWrongAnswerPenalty(points) {
+    return Math.round(points * this.wrongAnswerPenalty);
+  }
+
+  /**
+   * Multiplier of the points won or lost for the wagered confidence.
+   * No wager counts as MEDIUM.
+   * @param {string|null} confidence - ConfidenceLevel
+   * @returns {number}
+   * @throws {ValidationError} When wagers are off or the level is unknown
+   */
+  getWagerMultiplier(confidence) {
+    if (confidence === null || confidence === undefined) {
+      return 1;
+    }
+    if (!this.confidenceWagers) {
+      throw new ValidationError('Confidence wagers are not enabled for this quiz');
+    }
+    if (!Object.values(ConfidenceLevel).includes(confidence)) {
+      throw new ValidationError(`Confidence must be one of: ${Object.values(ConfidenceLevel).join(', ')}`);
+    }
+    return CONFIDENCE_MULTIPLIERS[confidence];
+  }
+
+  toJSON() {
+    return {
+      preset: this.preset,
+      timeCurve: this.timeCurve,
+      minTimeFactor: this.minTimeFactor,
+      streakBonusStep: this.streakBonusStep,
+      maxStreakBonus: this.maxStreakBonus,
+      wrongAnswerPenalty: this.wrongAnswerPenalty,
+      confidenceWagers: this.confidenceWagers
+    };
+  }
+
+  /**
+   * Profile from stored or submitted data; missing data means the standard profile
+   * @param {ScoringProfile|Object|null} value
+   * @returns {ScoringProfile}
+   */
+  static from(value) {
+    if (value instanceof ScoringProfile) {
+      return value;
+    }
+    return value ? new ScoringProfile(value) : ScoringProfile.STANDARD;
+  }
+}
+
+ScoringProfile.STANDARD = new ScoringProfile();
+
+module.exports = { ScoringProfile, ScoringPreset, TimeCurve, ConfidenceLevel, MAX_STREAK_BONUS };
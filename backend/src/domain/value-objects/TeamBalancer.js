@@ -0,0 +1,91 @@
+const { ValidationError } = require('../../shared/errors');
+
+// Expected strength of a player nobody knows anything about: an even chance of answering right
+const NEUTRAL_STRENGTH = 0.5;
+
+// A handful of past answers says little, so each estimate starts as if the player had this many
+// answers at the neutral strength and moves toward their real record as answers add up
+const PRIOR_ANSWERS = 5;
+
+/**
+ * Splits players into teams of similar expected strength, judged from their past accuracy.
+ * The strongest players are placed first, each on the weakest team among those with the fewest players,
+ * so team sizes never differ by more than one. Players without a past count as the average
+ * of those who have one, and players of equal strength are placed in random order.
+ */
+class TeamBalancer {
+  static NEUTRAL_STRENGTH = NEUTRAL_STRENGTH;
+
+  /**
+   * Expected strength of a player from their archived results
+   * @param {{correctAnswers: number, wrongAnswers: number}|null} history
+   * @returns {number|null} Estimated share of correct answers in [0, 1]; null with no scored answers
+   */
+  static strengthFromHistory(history) {
+    const correct = Math.max(0, history?.correctAnswers || 0);
+    const total = correct + Math.max(0, history?.wrongAnswers || 0);
+    if (total === 0) return null;
+    return (correct + PRIOR_ANSWERS * NEUTRAL_STRENGTH) / (total + PRIOR_ANSWERS);
+  }
+
+  /**
+   * Strength assumed for players with no past: the average of the rated players
+   * @param {Map<string, number|null>} strengths - Player ID -> strength
+   * @returns {number}
+   */
+  static fallbackStrength(strengths) {
+    const known = [...strengths.values()].filter(s => s !== null && s !== undefined);
+    if (known.length === 0) return NEUTRAL_STRENGTH;
+    return known.reduce((sum, s) => sum + s, 0) / known.length;
+  }
+
+  /**
+   * Split players into balanced teams
+   * @param {string[]} playerIds - Players to place
+   * @param {number} teamCount - Number of teams
+   * @param {Map<string, number|null>} strengths - Player ID -> strength; missing or null when unknown
+   * @param {Function} [random] - Source of numbers in [0, 1)
+   * @returns {string[][]} Player IDs of each team
+   */
+  static assign(playerIds, teamCount, strengths, random = Math.random) {
+    if (!Number.isInteger(teamCount) || teamCount < 1) {
+      throw new ValidationError('At least one team is required');
+    }
+    const fallback = TeamBalancer.fallbackStrength(strengths);
+    const strengthOf = (id) => strengths.get(id) ?? fallback;
+
+    // Shuffle first so the stable sort leaves equally strong players in random order
+    const ordered = [...playerIds];
+    for (let i = ordered.length - 1; i > 0; i--) {
+      const j = Math.floor(random() * (i + 1));
+      [ordered[i], ordered[j]] = [ordered[j], ordered[i]];
+    }
+    ordered.sort((a, b) => strengthOf(b) - strengthOf(a));
+
+    const teams = Array.from({ length: teamCount }, () => ({ playerIds: [], total: 0 }));
+    for (const playerId of ordered) {
+      const fewest = Math.min(...teams.map(t => t.playerIds.length));
+      const target = teams
+        .filter(t => t.playerIds.length === fewest)
+        .reduce((weakest, t) => (t.total < weakest.total ? t : weakest));
+      target.playerIds.push(playerId);
+      target.total += strengthOf(playerId);
+    }
+    return teams.map(t => t.playerIds);
+  }
+
+  /**
+   * Expected strength of a team: the average of its members, unknown members counted at the fallback
+   * @param {string[]} playerIds - The team's members
+   * @param {Map<string, number|null>} strengths - Player ID -> strength
+   * @returns {number|null} null for an empty team or when nobody has been rated
+   */
+  static teamStrength(playerIds, strengths) {
+    const rated = [...strengths.values()].some(s => s !== null && s !== undefined);
+    if (playerIds.length === 0 || !rated) return null;
+    const fallback = TeamBalancer.fallbackStrength(strengths);
+    return playerIds.reduce((sum, id) => sum + (strengths.get(id) ?? fallback), 0) / playerIds.length;
+  }
+}
+
+module.exports = { TeamBalancer };
@@ -0,0 +1,102 @@
+const { ValidationError } = require('../../shared/errors');
+
+/**
+ * A typed answer to a TYPE_ANSWER question.
+ * Comparison happens on a normalized form: Turkish-aware lowercasing (İ→i, I→ı),
+ * punctuation removed and whitespace collapsed, so "İstanbul!" matches "istanbul".
+ */
+class TextAnswer {
+  static MAX_LENGTH = 100;
+
+  constructor(value) {
+    const trimmed = typeof value === 'string' ? value.trim() : '';
+
+    if (!trimmed) {
+      throw new ValidationError('Text answer is required');
+    }
+    if (trimmed.length > TextAnswer.MAX_LENGTH) {
+      throw new ValidationError(`Text answer must be at most ${TextAnswer.MAX_LENGTH} characters`);
+    }
+
+    this.value = trimmed;
+    this._normalized = TextAnswer.normalize(trimmed);
+    Object.freeze(this);
+  }
+
+  static isValid(value) {
+    try {
+      new TextAnswer(value);
+      return true;
+    } catch {
+      return false;
+    }
+  }
+
+  /**
+   * Normalize text for comparison
+   * @param {string} text
+   * @returns {string}
+   */
+  static normalize(text) {
+    return String(text)
+      .normalize('NFC')
+      // Use Turkish locale for correct İ→i and I→ı lowercasing
+      .toLocaleLowerCase('tr')
+      .replace(/[^\p{L}\p{N}\s]/gu, '')
+      .replace(/\s+/g, ' ')
+      .trim();
+  }
+
+  /**
+   * Typos tolerated by fuzzy matching: none for short words, where a single edit
+   * often turns one valid word into another, then one, then two for longer answers
+   * @param {string} normalizedAccepted
+   */
+  static allowedTypos(normalizedAccepted) {
+    if (normalizedAccepted.length <= 4) return 0;
+    if (normalizedAccepted.length <= 8) return 1;
+    return 2;
+  }
+
+  /**
+   * Levenshtein edit distance, giving up once it exceeds max
+   * @returns {number} The distance, or max + 1 if it is larger than max
+   */
+  static editDistance(a, b, max = Infinity) {
+    if (Math.abs(a.length - b.length) > max) return max + 1;
+    let previous = Array.from({ length: b.length + 1 }, (_, j) => j);
+    for (let i = 1; i <= a.length; i++) {
+      const current = [i];
+      let rowMin = i;
+      for (let j = 1; j <= b.length; j++) {
+        const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+        current[j] = Math.min(previous[j] + 1, current[j - 1] + 1, previous[j - 1] + cost);
+        rowMin = Math.min(rowMin, current[j]);
+      }
+      if (rowMin > max) return max + 1;
+      previous = current;
+    }
+    return previous[b.length];
+  }
+
+  normalized() {
+    return this._normalized;
+  }
+
+  /**
+   * Check the answer against an accepted answer
+   * @param {string} accepted - Accepted answer as written by the quiz author
+   * @param {Object} [options]
+   * @param {boolean} [options.fuzzy=false] - Tolerate small typos on longer answers
+   */
+  matches(accepted, { fuzzy = false } = {}) {
+    const target = TextAnswer.normalize(accepted);
+    if (!target) return false;
+    if (this._normalized === target) return true;
+    if (!fuzzy) return false;
+    const allowed = TextAnswer.allowedTypos(target);
+    return allowed > 0 && TextAnswer.editDistance(this._normalized, target, allowed) <= allowed;
+  }
+}
+
+module.exports = { TextAnswer };
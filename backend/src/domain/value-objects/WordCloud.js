@@ -0,0 +1,90 @@
+const { ValidationError } = require('../../shared/errors');
+const { WORD_CLOUD_MAX_WORDS } = require('../../shared/config/constants');
+const { TextAnswer } = require('./TextAnswer');
+
+// Offensive words rejected from word clouds, in normalized form (English and Turkish)
+const BLOCKED_WORDS = new Set([
+  'fuck', 'fucking', 'fucker', 'motherfucker', 'shit', 'bullshit', 'bitch', 'cunt', 'dick',
+  'cock', 'pussy', 'asshole', 'bastard', 'slut', 'whore', 'wanker', 'nigger', 'nigga', 'faggot',
+  'amk', 'aq', 'amına', 'amcık', 'orospu', 'orospu çocuğu', 'piç', 'sik', 'sikik', 'siktir',
+  'sikerim', 'yarrak', 'yarak', 'göt', 'götveren', 'ibne', 'pezevenk', 'kahpe', 'yavşak', 'gavat'
+]);
+
+/**
+ * Submissions to a WORD_CLOUD question: a short word or phrase per player,
+ * aggregated by normalized form so "Pizza" and "pizza!" grow the same word.
+ */
+class WordCloud {
+  static MAX_LENGTH = 30;
+  static MAX_TOKENS = 3;
+  static MAX_WORDS = WORD_CLOUD_MAX_WORDS;
+
+  /**
+   * Validate a single submission: 1-MAX_LENGTH characters, at most MAX_TOKENS words,
+   * at least one letter or digit and no blocked word
+   * @param {*} value
+   * @throws {ValidationError}
+   */
+  static validateSubmission(value) {
+    const trimmed = typeof value === 'string' ? value.trim() : '';
+    const normalized = TextAnswer.normalize(trimmed);
+
+    if (!normalized || trimmed.length > WordCloud.MAX_LENGTH) {
+      throw new ValidationError(`Word cloud answers must be 1-${WordCloud.MAX_LENGTH} characters`);
+    }
+    if (normalized.split(' ').length > WordCloud.MAX_TOKENS) {
+      throw new ValidationError(`Word cloud answers can have at most ${WordCloud.MAX_TOKENS} words`);
+    }
+    if (WordCloud.containsBlockedWord(normalized)) {
+      throw new ValidationError('This answer is not allowed');
+    }
+  }
+
+  static isValidSubmission(value) {
+    try {
+      WordCloud.validateSubmission(value);
+      return true;
+    } catch {
+      return false;
+    }
+  }
+
+  /**
+   * Whether text contains a blocked word, also when spelled with separators ("s.h.i.t")
+   * @param {string} text
+   * @returns {boolean}
+   */
+  static containsBlockedWord(text) {
+    const normalized = TextAnswer.normalize(text);
+    if (!normalized) return false;
+    const tokens = normalized.split(' ');
+    return BLOCKED_WORDS.has(normalized) ||
+      BLOCKED_WORDS.has(tokens.join('')) ||
+      tokens.some(token => BLOCKED_WORDS.has(token));
+  }
+
+  /**
+   * Group submissions into cloud words, most frequent first.
+   * Each word is shown with its first submitted spelling; ties keep submission order.
+   * Submissions that fail validation are left out.
+   * @param {string[]} submissions
+   * @param {number} [limit] - Maximum number of words to return
+   * @returns {Array<{text: string, count: number}>}
+   */
+  static aggregate(submissions, limit = WordCloud.MAX_WORDS) {
+    const words = new Map();
+    for (const submission of submissions) {
+      if (!WordCloud.isValidSubmission(submission)) continue;
+      const key = TextAnswer.normalize(submission);
+      const word = words.get(key) || { text: submission.trim(), count: 0 };
+      word.count++;
+      words.set(key, word);
+    }
+    // Array.prototype.sort is stable, so equal counts stay in submission order
+    return [...words.values()]
+      .sort((a, b) => b.count - a.count)
+      .slice(0, limit);
+  }
+}
+
+module.exports = { WordCloud };
@@ -0,0 +1,48 @@
+const { AdaptiveDifficulty, DIFFICULTY_LEVELS } = require('../AdaptiveDifficulty');
+const { QuestionDifficulty } = require('../../entities/Question');
+
+const questions = ['EASY', 'MEDIUM', 'MEDIUM', 'HARD'].map((difficulty, i) => ({ id: `q${i}`, difficulty }));
+
+describe('AdaptiveDifficulty', () => {
+  it('should list the same levels as questions use', () => {
+    expect(DIFFICULTY_LEVELS).toEqual(Object.values(QuestionDifficulty));
+  });
+
+  describe('nextLevel', () => {
+    it('should step up after a strong result and down after a weak one', () => {
+      expect(AdaptiveDifficulty.nextLevel('MEDIUM', 0.7)).toBe('HARD');
+      expect(AdaptiveDifficulty.nextLevel('MEDIUM', 0.39)).toBe('EASY');
+      expect(AdaptiveDifficulty.nextLevel('MEDIUM', 0.5)).toBe('MEDIUM');
+    });
+
+    it('should stay within the levels', () => {
+      expect(AdaptiveDifficulty.nextLevel('HARD', 1)).toBe('HARD');
+      expect(AdaptiveDifficulty.nextLevel('EASY', 0)).toBe('EASY');
+    });
+
+    it('should keep the level when there is nothing to judge', () => {
+      expect(AdaptiveDifficulty.nextLevel('EASY', null)).toBe('EASY');
+    });
+
+    it('should reject unknown levels', () => {
+      expect(() => AdaptiveDifficulty.nextLevel('EXTREME', 1)).toThrow('Unknown difficulty: EXTREME');
+    });
+  });
+
+  describe('pickQuestion', () => {
+    it('should pick a random unplayed question at the target level', () => {
+      expect(AdaptiveDifficulty.pickQuestion(questions, [], 'MEDIUM', () => 0)).toBe(1);
+      expect(AdaptiveDifficulty.pickQuestion(questions, [], 'MEDIUM', () => 0.99)).toBe(2);
+      expect(AdaptiveDifficulty.pickQuestion(questions, [1], 'MEDIUM', () => 0)).toBe(2);
+    });
+
+    it('should fall back to the nearest level, easier first', () => {
+      expect(AdaptiveDifficulty.pickQuestion(questions, [3], 'HARD', () => 0)).toBe(1);
+      expect(AdaptiveDifficulty.pickQuestion(questions, [1, 2], 'MEDIUM', () => 0.99)).toBe(0);
+    });
+
+    it('should return null when every question was played', () => {
+      expect(AdaptiveDifficulty.pickQuestion(questions, [0, 1, 2, 3], 'EASY')).toBeNull();
+    });
+  });
+});
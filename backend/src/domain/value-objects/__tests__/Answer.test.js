@@ -1,4 +1,5 @@
 const { Answer } = require('../Answer');
+const { ScoringProfile, ScoringPreset } = require('../ScoringProfile');
 const { Question, QuestionType } = require('../../entities/Question');
 
 describe('Answer', () => {
@@ -189,5 +190,191 @@ describe('Answer', () => {
 
       expect(fastAnswer.score).toBeGreaterThan(slowAnswer.score);
     });
+
+    it('should score with the given scoring profile', () => {
+      const answer = Answer.create({
+        playerId: 'player-1',
+        questionId: 'q-1',
+        roomPin: '123456',
+        answerIndex: 1,
+        question: mockQuestion,
+        elapsedTimeMs: 20000,
+        currentStreak: 3,
+        scoringProfile: new ScoringProfile({ preset: ScoringPreset.ACCURACY_ONLY })
+      });
+
+      expect(answer.score).toBe(1000);
+      expect(answer.streakBonus).toBe(0);
+    });
+
+    it('should apply a custom streak bonus step', () => {
+      const answer = Answer.create({
+        playerId: 'player-1',
+        questionId: 'q-1',
+        roomPin: '123456',
+        answerIndex: 1,
+        question: mockQuestion,
+        elapsedTimeMs: 0,
+        currentStreak: 3,
+        scoringProfile: { preset: ScoringPreset.CUSTOM, streakBonusStep: 50 }
+      });
+
+      expect(answer.streakBonus).toBe(150);
+    });
+  });
+
+  describe('negative marking and confidence wagers', () => {
+    const profile = new ScoringProfile({ preset: ScoringPreset.ACCURACY_ONLY, wrongAnswerPenalty: 0.25, confidenceWagers: true });
+    const create = (answerIndex, confidence) => Answer.create({
+      playerId: 'player-1',
+      questionId: 'q-1',
+      roomPin: '123456',
+      answerIndex,
+      question: mockQuestion,
+      elapsedTimeMs: 0,
+      currentStreak: 0,
+      scoringProfile: profile,
+      confidence
+    });
+
+    it('should multiply the points won by the wager', () => {
+      expect(create(1, 'LOW').score).toBe(500);
+      expect(create(1, 'HIGH').score).toBe(2000);
+      expect(create(1, 'HIGH').penalty).toBe(0);
+    });
+
+    it('should multiply the penalty of a wrong answer by the wager', () => {
+      expect(create(0, null).penalty).toBe(250);
+      expect(create(0, 'HIGH').penalty).toBe(500);
+      expect(create(0, 'HIGH').confidence).toBe('HIGH');
+    });
+
+    it('should not mark down poll answers', () => {
+      const poll = new Question({ id: 'p-1', text: 'Favourite?', options: ['A', 'B'], isPoll: true, timeLimit: 30, points: 1000 });
+      const answer = Answer.create({
+        playerId: 'player-1', questionId: 'p-1', roomPin: '123456', answerIndex: 0, question: poll,
+        elapsedTimeMs: 0, currentStreak: 0, scoringProfile: profile, confidence: 'HIGH'
+      });
+      expect(answer.penalty).toBe(0);
+      expect(answer.confidence).toBeNull();
+    });
+
+    it('should reject a wager when the quiz has none', () => {
+      expect(() => Answer.create({
+        playerId: 'player-1', questionId: 'q-1', roomPin: '123456', answerIndex: 1, question: mockQuestion,
+        elapsedTimeMs: 0, currentStreak: 0, confidence: 'HIGH'
+      })).toThrow('not enabled');
+    });
+  });
+
+  describe('MULTI_SELECT answers', () => {
+    const multiQuestion = new Question({
+      id: 'q-multi',
+      text: 'Select all primes',
+      type: QuestionType.MULTI_SELECT,
+      options: ['2', '3', '4', '6'],
+      correctAnswerIndices: [0, 1],
+      timeLimit: 30,
+      points: 1000
+    });
+    const base = { playerId: 'player-1', questionId: 'q-multi', roomPin: '123456', question: multiQuestion, elapsedTimeMs: 0, currentStreak: 2 };
+
+    it('should accept an array of indices and keep a frozen copy', () => {
+      const answer = Answer.create({ ...base, answerIndex: [1, 0] });
+      expect(answer.isCorrect).toBe(true);
+      expect(answer.answerIndex).toEqual([1, 0]);
+      expect(Object.isFrozen(answer.answerIndex)).toBe(true);
+      expect(answer.streakBonus).toBe(200);
+    });
+
+    it('should score partial selections without a streak bonus', () => {
+      const answer = Answer.create({ ...base, answerIndex: [0] });
+      expect(answer.isCorrect).toBe(false);
+      expect(answer.score).toBe(500);
+      expect(answer.streakBonus).toBe(0);
+    });
+
+    it('should reject empty, duplicate or out-of-range selections', () => {
+      expect(() => Answer.create({ ...base, answerIndex: [] })).toThrow('at least one option');
+      expect(() => Answer.create({ ...base, answerIndex: [0, 0] })).toThrow('duplicate');
+      expect(() => Answer.create({ ...base, answerIndex: [0, 4] })).toThrow('exceeds the number of options');
+      expect(() => Answer.create({ ...base, answerIndex: [0, -1] })).toThrow('non-negative integer');
+    });
+  });
+
+  describe('ORDERING answers', () => {
+    const orderingQuestion = new Question({
+      id: 'q-order',
+      text: 'Order the planets by distance from the Sun',
+      type: QuestionType.ORDERING,
+      options: ['Mars', 'Mercury', 'Earth'],
+      correctOrder: [1, 2, 0],
+      timeLimit: 30,
+      points: 900
+    });
+    const base = { playerId: 'player-1', questionId: 'q-order', roomPin: '123456', question: orderingQuestion, elapsedTimeMs: 0, currentStreak: 0 };
+
+    it('should give positional partial credit', () => {
+      const answer = Answer.create({ ...base, answerIndex: [1, 0, 2] });
+      expect(answer.isCorrect).toBe(false);
+      expect(answer.score).toBe(300);
+    });
+
+    it('should reject orders that skip an option', () => {
+      expect(() => Answer.create({ ...base, answerIndex: [1, 2] })).toThrow('every option exactly once');
+    });
+  });
+
+  describe('NUMERIC answers', () => {
+    const numericQuestion = new Question({
+      id: 'q-num',
+      text: 'Boiling point of water at sea level?',
+      type: QuestionType.NUMERIC,
+      correctValue: 100,
+      tolerance: 4,
+      unit: '°C',
+      timeLimit: 30,
+      points: 1000
+    });
+    const base = { playerId: 'player-1', questionId: 'q-num', roomPin: '123456', question: numericQuestion, elapsedTimeMs: 0, currentStreak: 2 };
+
+    it('should score the submitted value instead of an option index', () => {
+      const answer = Answer.create({ ...base, answerIndex: null, answerValue: 98 });
+      expect(answer.answerIndex).toBeNull();
+      expect(answer.answerValue).toBe(98);
+      expect(answer.isCorrect).toBe(true);
+      expect(answer.score).toBe(750);
+      expect(answer.streakBonus).toBe(200);
+    });
+
+    it('should reject values that are not finite numbers', () => {
+      expect(() => Answer.create({ ...base, answerValue: '98' })).toThrow('finite number');
+      expect(() => Answer.create({ ...base, answerValue: Infinity })).toThrow('finite number');
+    });
+  });
+
+  describe('TYPE_ANSWER answers', () => {
+    const typeAnswerQuestion = new Question({
+      id: 'q-type',
+      text: 'Longest river in Turkey?',
+      type: QuestionType.TYPE_ANSWER,
+      acceptedAnswers: ['Kızılırmak'],
+      fuzzyMatching: true,
+      timeLimit: 30,
+      points: 1000
+    });
+    const base = { playerId: 'player-1', questionId: 'q-type', roomPin: '123456', question: typeAnswerQuestion, elapsedTimeMs: 0, currentStreak: 0 };
+
+    it('should score a typed answer that matches after normalization', () => {
+      const answer = Answer.create({ ...base, answerIndex: null, answerValue: 'KIZILIRMAK' });
+      expect(answer.answerValue).toBe('KIZILIRMAK');
+      expect(answer.isCorrect).toBe(true);
+      expect(answer.score).toBe(1000);
+    });
+
+    it('should reject empty text and numbers', () => {
+      expect(() => Answer.create({ ...base, answerValue: '   ' })).toThrow('1-100 characters');
+      expect(() => Answer.create({ ...base, answerValue: 7 })).toThrow('Invalid answer value');
+    });
   });
 });
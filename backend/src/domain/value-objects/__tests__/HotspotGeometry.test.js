@@ -0,0 +1,74 @@
+const { ClickPoint, HotspotRegion, HotspotShape } = require('../HotspotGeometry');
+
+describe('ClickPoint', () => {
+  it('should keep only the coordinates', () => {
+    const point = new ClickPoint({ x: 0.25, y: 1, extra: 'ignored' });
+    expect(point.toJSON()).toEqual({ x: 0.25, y: 1 });
+    expect(Object.isFrozen(point)).toBe(true);
+  });
+
+  it('should reject positions outside the image', () => {
+    expect(() => new ClickPoint({ x: 1.1, y: 0.5 })).toThrow('between 0 and 1');
+    expect(() => new ClickPoint({ x: 0.5 })).toThrow('between 0 and 1');
+    expect(ClickPoint.isValid([0.5, 0.5])).toBe(false);
+    expect(ClickPoint.isValid(null)).toBe(false);
+  });
+});
+
+describe('HotspotRegion', () => {
+  describe('circle', () => {
+    const circle = new HotspotRegion({ shape: HotspotShape.CIRCLE, x: 0.5, y: 0.5, radius: 0.1 });
+
+    it('should contain clicks inside or on the edge', () => {
+      expect(circle.contains(new ClickPoint({ x: 0.55, y: 0.5 }))).toBe(true);
+      expect(circle.contains(new ClickPoint({ x: 0.6, y: 0.5 }))).toBe(true);
+      expect(circle.contains(new ClickPoint({ x: 0.7, y: 0.5 }))).toBe(false);
+    });
+
+    it('should measure the distance to its edge', () => {
+      expect(circle.distanceTo(new ClickPoint({ x: 0.5, y: 0.8 }))).toBeCloseTo(0.2);
+    });
+
+    it('should validate the center and radius', () => {
+      expect(() => new HotspotRegion({ shape: 'circle', x: 2, y: 0.5, radius: 0.1 })).toThrow('Circle center');
+      expect(() => new HotspotRegion({ shape: 'circle', x: 0.5, y: 0.5, radius: 0 })).toThrow('Circle radius');
+      expect(() => new HotspotRegion({ shape: 'circle', x: 0.5, y: 0.5, radius: 0.6 })).toThrow('Circle radius');
+    });
+  });
+
+  describe('polygon', () => {
+    // A right triangle with its corner in the top left
+    const triangle = new HotspotRegion({
+      shape: HotspotShape.POLYGON,
+      points: [{ x: 0.1, y: 0.1 }, { x: 0.5, y: 0.1 }, { x: 0.1, y: 0.5 }]
+    });
+
+    it('should contain clicks inside the shape', () => {
+      expect(triangle.contains(new ClickPoint({ x: 0.2, y: 0.2 }))).toBe(true);
+      expect(triangle.contains(new ClickPoint({ x: 0.4, y: 0.4 }))).toBe(false);
+    });
+
+    it('should measure the distance to the nearest edge', () => {
+      expect(triangle.distanceTo(new ClickPoint({ x: 0.3, y: 0 }))).toBeCloseTo(0.1);
+      expect(triangle.distanceTo(new ClickPoint({ x: 0, y: 0 }))).toBeCloseTo(Math.hypot(0.1, 0.1));
+    });
+
+    it('should validate the points', () => {
+      expect(() => new HotspotRegion({ shape: 'polygon', points: [{ x: 0, y: 0 }, { x: 1, y: 1 }] })).toThrow('3-20 points');
+      expect(() => new HotspotRegion({ shape: 'polygon', points: [{ x: 0, y: 0 }, { x: 1, y: 1 }, { x: 1, y: 5 }] }))
+        .toThrow('Polygon points');
+    });
+
+    it('should serialize without internal state', () => {
+      expect(JSON.parse(JSON.stringify(triangle))).toEqual({
+        shape: 'polygon',
+        points: [{ x: 0.1, y: 0.1 }, { x: 0.5, y: 0.1 }, { x: 0.1, y: 0.5 }]
+      });
+    });
+  });
+
+  it('should reject unknown shapes', () => {
+    expect(() => new HotspotRegion({ shape: 'square' })).toThrow('shape must be one of');
+    expect(HotspotRegion.isValid(null)).toBe(false);
+  });
+});
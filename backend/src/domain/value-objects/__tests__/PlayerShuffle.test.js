@@ -0,0 +1,80 @@
+const { PlayerShuffle, SHUFFLED_OPTION_TYPES } = require('../PlayerShuffle');
+const { Quiz } = require('../../entities/Quiz');
+const { Question, QuestionType } = require('../../entities/Question');
+
+// Always picking the first slot turns a Fisher-Yates shuffle into a rotation: [0, 1, 2] -> [1, 2, 0]
+const rotate = () => 0;
+
+function createQuiz() {
+  return new Quiz({
+    id: 'quiz-1', title: 'Quiz', createdBy: 'u1',
+    questions: [
+      new Question({ id: 'q1', text: 'Q1?', options: ['A', 'B', 'C'], correctAnswerIndex: 0 }),
+      new Question({ id: 'q2', text: 'Q2?', type: QuestionType.TRUE_FALSE, options: ['True', 'False'], correctAnswerIndex: 1 }),
+      new Question({
+        id: 'q3', text: 'Q3?', type: QuestionType.MULTI_SELECT,
+        options: ['A', 'B', 'C', 'D'], correctAnswerIndices: [0, 2]
+      })
+    ]
+  });
+}
+
+describe('PlayerShuffle', () => {
+  describe('create', () => {
+    it('should keep everything in place when nothing is shuffled', () => {
+      const shuffle = PlayerShuffle.create(createQuiz(), { questions: false, options: false }, rotate);
+      expect(shuffle.toJSON()).toEqual({ questionOrder: [0, 1, 2], optionOrders: {} });
+    });
+
+    it('should shuffle the question order', () => {
+      const shuffle = PlayerShuffle.create(createQuiz(), { questions: true, options: false }, rotate);
+      expect(shuffle.questionOrder).toEqual([1, 2, 0]);
+      expect(shuffle.getQuestionIndex(0)).toBe(1);
+      expect(shuffle.getQuestionIndex(2)).toBe(0);
+    });
+
+    it('should only shuffle the options of shuffleable question types', () => {
+      const shuffle = PlayerShuffle.create(createQuiz(), { questions: false, options: true }, rotate);
+      expect(shuffle.toJSON().optionOrders).toEqual({ 0: [1, 2, 0], 2: [1, 2, 3, 0] });
+      expect(SHUFFLED_OPTION_TYPES).not.toContain(QuestionType.TRUE_FALSE);
+    });
+
+    it('should be immutable', () => {
+      const shuffle = PlayerShuffle.create(createQuiz(), { questions: true, options: true }, rotate);
+      expect(Object.isFrozen(shuffle)).toBe(true);
+      expect(Object.isFrozen(shuffle.questionOrder)).toBe(true);
+    });
+
+    it('should reject a missing question order', () => {
+      expect(() => new PlayerShuffle({})).toThrow('questionOrder must be an array');
+    });
+  });
+
+  describe('option translation', () => {
+    const shuffle = new PlayerShuffle({ questionOrder: [0, 1, 2], optionOrders: { 0: [2, 0, 1] } });
+
+    it('should show options in the player order', () => {
+      expect(shuffle.toShownOptions(0, ['A', 'B', 'C'])).toEqual(['C', 'A', 'B']);
+      expect(shuffle.toShownOptions(1, ['True', 'False'])).toEqual(['True', 'False']);
+    });
+
+    it('should translate shown positions to canonical indices and back', () => {
+      expect(shuffle.toCanonical(0, 0)).toBe(2);
+      expect(shuffle.toCanonical(0, [1, 2])).toEqual([0, 1]);
+      expect(shuffle.toShown(0, 2)).toBe(0);
+      expect(shuffle.toShown(0, [0, 1])).toEqual([1, 2]);
+      expect(shuffle.toShown(0, null)).toBeNull();
+    });
+
+    it('should leave unshuffled questions alone', () => {
+      expect(shuffle.toCanonical(1, 1)).toBe(1);
+      expect(shuffle.toShown(1, [0, 1])).toEqual([0, 1]);
+    });
+
+    it('should reorder a distribution to the player order', () => {
+      expect(shuffle.toShownDistribution(0, [5, 3, 1])).toEqual([1, 5, 3]);
+      expect(shuffle.toShownDistribution(0, [])).toEqual([]);
+      expect(shuffle.toShownDistribution(1, [4, 2])).toEqual([4, 2]);
+    });
+  });
+});
@@ -1,10 +1,13 @@
 const { PowerUpType, POWER_UP_LABELS, DEFAULT_POWER_UPS, powerUpRegistry } = require('../PowerUp');
 
 describe('PowerUpType', () => {
-  it('should have three types', () => {
+  it('should have six types', () => {
     expect(PowerUpType.FIFTY_FIFTY).toBe('FIFTY_FIFTY');
     expect(PowerUpType.DOUBLE_POINTS).toBe('DOUBLE_POINTS');
     expect(PowerUpType.TIME_EXTENSION).toBe('TIME_EXTENSION');
+    expect(PowerUpType.STREAK_SHIELD).toBe('STREAK_SHIELD');
+    expect(PowerUpType.HINT).toBe('HINT');
+    expect(PowerUpType.FREEZE).toBe('FREEZE');
   });
 });
 
@@ -13,6 +16,9 @@ describe('POWER_UP_LABELS', () => {
     expect(POWER_UP_LABELS[PowerUpType.FIFTY_FIFTY]).toBe('50:50');
     expect(POWER_UP_LABELS[PowerUpType.DOUBLE_POINTS]).toBe('Çift Puan');
     expect(POWER_UP_LABELS[PowerUpType.TIME_EXTENSION]).toBe('Süre Uzatma');
+    expect(POWER_UP_LABELS[PowerUpType.STREAK_SHIELD]).toBe('Seri Kalkanı');
+    expect(POWER_UP_LABELS[PowerUpType.HINT]).toBe('İpucu');
+    expect(POWER_UP_LABELS[PowerUpType.FREEZE]).toBe('Dondurma');
   });
 });
 
@@ -22,6 +28,12 @@ describe('DEFAULT_POWER_UPS', () => {
     expect(DEFAULT_POWER_UPS[PowerUpType.DOUBLE_POINTS]).toBe(1);
     expect(DEFAULT_POWER_UPS[PowerUpType.TIME_EXTENSION]).toBe(1);
   });
+
+  it('should leave the newer power-ups to the host loadout', () => {
+    expect(DEFAULT_POWER_UPS[PowerUpType.STREAK_SHIELD]).toBe(0);
+    expect(DEFAULT_POWER_UPS[PowerUpType.HINT]).toBe(0);
+    expect(DEFAULT_POWER_UPS[PowerUpType.FREEZE]).toBe(0);
+  });
 });
 
 describe('PowerUpRegistry', () => {
@@ -62,7 +74,8 @@ describe('PowerUpRegistry', () => {
       const mockPlayer = { eliminatedOptions: [], setEliminatedOptions(opts) { this.eliminatedOptions = [...opts]; } };
       const mockRoom = {
         getFiftyFiftyOptions: jest.fn().mockReturnValue([0, 2]),
-        getPlayer: jest.fn().mockReturnValue(mockPlayer)
+        getPlayer: jest.fn().mockReturnValue(mockPlayer),
+        toShownOptionIndex: jest.fn((player, indices) => indices)
       };
       const mockQuestion = { correctAnswerIndex: 1, options: ['a', 'b', 'c', 'd'] };
 
@@ -80,6 +93,26 @@ describe('PowerUpRegistry', () => {
       expect(emitActions.timerAction).toBeNull();
     });
 
+    it('should store canonical options and send the positions the player sees', () => {
+      const mockPlayer = { eliminatedOptions: [], setEliminatedOptions(opts) { this.eliminatedOptions = [...opts]; } };
+      const mockRoom = {
+        getFiftyFiftyOptions: jest.fn().mockReturnValue([0, 2]),
+        getPlayer: jest.fn().mockReturnValue(mockPlayer),
+        toShownOptionIndex: jest.fn().mockReturnValue([3, 1])
+      };
+      const mockQuestion = { correctAnswerIndex: 1, options: ['a', 'b', 'c', 'd'] };
+
+      const { result } = powerUpRegistry.execute(PowerUpType.FIFTY_FIFTY, {
+        room: mockRoom,
+        socketId: 'sock-1',
+        currentQuestion: mockQuestion
+      });
+
+      expect(mockPlayer.eliminatedOptions).toEqual([0, 2]);
+      expect(mockRoom.toShownOptionIndex).toHaveBeenCalledWith(mockPlayer, [0, 2]);
+      expect(result.eliminatedOptions).toEqual([3, 1]);
+    });
+
     it('should throw when player not found', () => {
       const mockRoom = {
         getFiftyFiftyOptions: jest.fn().mockReturnValue([0, 2]),
@@ -91,6 +124,16 @@ describe('PowerUpRegistry', () => {
         room: mockRoom, socketId: 'sock-1', currentQuestion: mockQuestion
       })).toThrow('Player not found');
     });
+
+    it('should reject ordering questions', () => {
+      const mockRoom = { getFiftyFiftyOptions: jest.fn(), getPlayer: jest.fn() };
+      const mockQuestion = { correctAnswerIndex: null, correctOrder: [2, 0, 1], options: ['a', 'b', 'c'] };
+
+      expect(() => powerUpRegistry.execute(PowerUpType.FIFTY_FIFTY, {
+        room: mockRoom, socketId: 'sock-1', currentQuestion: mockQuestion
+      })).toThrow('ordering questions');
+      expect(mockRoom.getFiftyFiftyOptions).not.toHaveBeenCalled();
+    });
   });
 
   describe('DOUBLE_POINTS strategy', () => {
@@ -127,5 +170,48 @@ describe('PowerUpRegistry', () => {
       expect(emitActions.timerAction).toEqual({ method: 'extendTimer', args: [10000] });
     });
   });
+
+  describe('STREAK_SHIELD strategy', () => {
+    it('should arm the shield on the player', () => {
+      const mockPlayer = { activateStreakShield: jest.fn() };
+      const mockRoom = { getPlayer: jest.fn().mockReturnValue(mockPlayer) };
+      const { result, emitActions } = powerUpRegistry.execute(PowerUpType.STREAK_SHIELD, { room: mockRoom, socketId: 'sock-1' });
+      expect(result).toEqual({ type: 'STREAK_SHIELD', activated: true });
+      expect(mockPlayer.activateStreakShield).toHaveBeenCalled();
+      expect(emitActions.playerEmits[0]).toEqual({ event: 'power_up_activated', data: { type: 'STREAK_SHIELD' } });
+    });
+  });
+
+  describe('HINT strategy', () => {
+    it('should reveal the hint to the player', () => {
+      const mockPlayer = { setRevealedHint: jest.fn() };
+      const mockRoom = { getPlayer: jest.fn().mockReturnValue(mockPlayer) };
+      const { result, emitActions } = powerUpRegistry.execute(PowerUpType.HINT, {
+        room: mockRoom, socketId: 'sock-1', currentQuestion: { hint: 'Think small' }
+      });
+      expect(result.hint).toBe('Think small');
+      expect(mockPlayer.setRevealedHint).toHaveBeenCalledWith('Think small');
+      expect(emitActions.playerEmits[0]).toEqual({ event: 'hint_revealed', data: { hint: 'Think small' } });
+    });
+
+    it('should reject questions without a hint', () => {
+      const mockRoom = { getPlayer: jest.fn() };
+      expect(() => powerUpRegistry.execute(PowerUpType.HINT, {
+        room: mockRoom, socketId: 'sock-1', currentQuestion: { hint: '' }
+      })).toThrow('no hint');
+    });
+  });
+
+  describe('FREEZE strategy', () => {
+    it('should target the picked opponent', () => {
+      const mockRoom = { pickFreezeTarget: jest.fn().mockReturnValue({ socketId: 'sock-2', nickname: 'Ben' }) };
+      const { result, emitActions } = powerUpRegistry.execute(PowerUpType.FREEZE, { room: mockRoom, socketId: 'sock-1' });
+      expect(mockRoom.pickFreezeTarget).toHaveBeenCalledWith('sock-1');
+      expect(result).toEqual({ type: 'FREEZE', targetSocketId: 'sock-2', targetNickname: 'Ben', durationMs: 3000 });
+      expect(emitActions.playerEmits[0].data).toEqual({ type: 'FREEZE', targetNickname: 'Ben' });
+      expect(emitActions.roomEmits).toEqual([]);
+      expect(emitActions.targetEmits).toEqual([{ socketId: 'sock-2', event: 'answers_frozen', data: { durationMs: 3000 } }]);
+    });
+  });
 });
 
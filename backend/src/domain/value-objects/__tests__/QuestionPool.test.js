@@ -0,0 +1,41 @@
+const { QuestionPool } = require('../QuestionPool');
+
+describe('QuestionPool', () => {
+  it('should create an immutable pool', () => {
+    const pool = new QuestionPool({ name: '  Week 1  ', questionIds: ['a', 'b', 'c'], drawCount: 2 });
+    expect(pool.toJSON()).toEqual({ name: 'Week 1', questionIds: ['a', 'b', 'c'], drawCount: 2 });
+    expect(Object.isFrozen(pool)).toBe(true);
+    expect(Object.isFrozen(pool.questionIds)).toBe(true);
+  });
+
+  it('should require a name', () => {
+    expect(() => new QuestionPool({ name: ' ', questionIds: ['a'], drawCount: 1 })).toThrow('name is required');
+    expect(() => new QuestionPool({ name: 'x'.repeat(51), questionIds: ['a'], drawCount: 1 })).toThrow('longer than 50');
+  });
+
+  it('should require distinct questions', () => {
+    expect(() => new QuestionPool({ name: 'P', questionIds: [], drawCount: 1 })).toThrow('at least one question');
+    expect(() => new QuestionPool({ name: 'P', questionIds: ['a', 'a'], drawCount: 1 })).toThrow('more than once');
+  });
+
+  it('should draw at least one and at most all of its questions', () => {
+    expect(() => new QuestionPool({ name: 'P', questionIds: ['a', 'b'], drawCount: 0 })).toThrow('between 1 and 2');
+    expect(() => new QuestionPool({ name: 'P', questionIds: ['a', 'b'], drawCount: 3 })).toThrow('between 1 and 2');
+    expect(() => new QuestionPool({ name: 'P', questionIds: ['a', 'b'], drawCount: 1.5 })).toThrow('between 1 and 2');
+  });
+
+  describe('without', () => {
+    const pool = new QuestionPool({ name: 'P', questionIds: ['a', 'b'], drawCount: 2 });
+
+    it('should leave the question out and fit the draw count', () => {
+      const smaller = pool.without('a');
+      expect(smaller.questionIds).toEqual(['b']);
+      expect(smaller.drawCount).toBe(1);
+      expect(pool.includes('a')).toBe(true);
+    });
+
+    it('should return null for the last question', () => {
+      expect(pool.without('a').without('b')).toBeNull();
+    });
+  });
+});
@@ -37,6 +37,20 @@ describe('Score', () => {
     });
   });
 
+  describe('subtract', () => {
+    it('should remove points', () => {
+      expect(new Score(500).subtract(200).value).toBe(300);
+    });
+
+    it('should stop at zero', () => {
+      expect(new Score(100).subtract(250).value).toBe(0);
+    });
+
+    it('should reject negative points', () => {
+      expect(() => new Score(500).subtract(-100)).toThrow('Points cannot be negative');
+    });
+  });
+
   describe('add', () => {
     it('should return new Score with added points', () => {
       const score = new Score(500);
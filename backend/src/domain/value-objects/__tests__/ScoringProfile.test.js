@@ -0,0 +1,141 @@
+const { ScoringProfile, ScoringPreset, TimeCurve, ConfidenceLevel, MAX_STREAK_BONUS } = require('../ScoringProfile');
+
+describe('ScoringProfile', () => {
+  const TOTAL_MS = 20000;
+  // Points a 1000-point answer earns at 0%, 25%, 50%, 75% and 100% of the time limit
+  const curvePoints = (profile) => [0, 5000, 10000, 15000, 20000]
+    .map(elapsed => profile.applyTimeFactor(1000, elapsed, TOTAL_MS));
+
+  describe('presets', () => {
+    it('STANDARD should fall linearly to half points', () => {
+      const profile = new ScoringProfile();
+      expect(profile.preset).toBe(ScoringPreset.STANDARD);
+      expect(curvePoints(profile)).toEqual([1000, 875, 750, 625, 500]);
+    });
+
+    it('SPEED should drop fast early and floor at 10%', () => {
+      const profile = new ScoringProfile({ preset: ScoringPreset.SPEED });
+      expect(curvePoints(profile)).toEqual([1000, 550, 364, 221, 100]);
+    });
+
+    it('ACCURACY_ONLY should ignore time and streaks', () => {
+      const profile = new ScoringProfile({ preset: ScoringPreset.ACCURACY_ONLY });
+      expect(curvePoints(profile)).toEqual([1000, 1000, 1000, 1000, 1000]);
+      expect(profile.getStreakBonus(5)).toBe(0);
+      expect(profile.hasStreakBonus()).toBe(false);
+    });
+
+    it('NO_STREAKS should keep the standard curve without streak bonus', () => {
+      const profile = new ScoringProfile({ preset: ScoringPreset.NO_STREAKS });
+      expect(curvePoints(profile)).toEqual([1000, 875, 750, 625, 500]);
+      expect(profile.getStreakBonus(5)).toBe(0);
+    });
+
+    it('should ignore custom settings on a named preset', () => {
+      const profile = new ScoringProfile({ preset: ScoringPreset.STANDARD, minTimeFactor: 0 });
+      expect(profile.minTimeFactor).toBe(0.5);
+    });
+  });
+
+  describe('CUSTOM', () => {
+    it('should start from the standard settings', () => {
+      const profile = new ScoringProfile({ preset: ScoringPreset.CUSTOM, streakBonusStep: 50 });
+      expect(profile.toJSON()).toEqual({
+        preset: ScoringPreset.CUSTOM,
+        timeCurve: TimeCurve.LINEAR,
+        minTimeFactor: 0.5,
+        streakBonusStep: 50,
+        maxStreakBonus: MAX_STREAK_BONUS,
+        wrongAnswerPenalty: 0,
+        confidenceWagers: false
+      });
+    });
+
+    it('EASE_IN should keep points early and drop them late', () => {
+      const profile = new ScoringProfile({ preset: ScoringPreset.CUSTOM, timeCurve: TimeCurve.EASE_IN, minTimeFactor: 0 });
+      expect(curvePoints(profile)).toEqual([1000, 938, 750, 438, 0]);
+    });
+
+    it('should cap the streak bonus at its own maximum', () => {
+      const profile = new ScoringProfile({ preset: ScoringPreset.CUSTOM, streakBonusStep: 200, maxStreakBonus: 500 });
+      expect(profile.getStreakBonus(1)).toBe(200);
+      expect(profile.getStreakBonus(2)).toBe(400);
+      expect(profile.getStreakBonus(10)).toBe(500);
+    });
+
+    it('should reject settings out of range', () => {
+      const custom = (settings) => new ScoringProfile({ preset: ScoringPreset.CUSTOM, ...settings });
+      expect(() => custom({ timeCurve: 'CUBIC' })).toThrow('Time curve');
+      expect(() => custom({ minTimeFactor: 1.5 })).toThrow('Minimum time factor');
+      expect(() => custom({ minTimeFactor: '0.5' })).toThrow('Minimum time factor');
+      expect(() => custom({ streakBonusStep: 501 })).toThrow('Streak bonus step');
+      expect(() => custom({ maxStreakBonus: MAX_STREAK_BONUS + 1 })).toThrow('Maximum streak bonus');
+      expect(() => custom({ maxStreakBonus: 10.5 })).toThrow('Maximum streak bonus');
+    });
+  });
+
+  it('should reject an unknown preset', () => {
+    expect(() => new ScoringProfile({ preset: 'TURBO' })).toThrow('Scoring preset');
+  });
+
+  it('should clamp answers outside the time limit', () => {
+    const profile = new ScoringProfile();
+    expect(profile.getTimeFactor(-1000, TOTAL_MS)).toBe(1);
+    expect(profile.getTimeFactor(60000, TOTAL_MS)).toBe(0.5);
+    expect(profile.getTimeFactor(1000, 0)).toBe(1);
+  });
+
+  it('should give no streak bonus without a streak', () => {
+    expect(ScoringProfile.STANDARD.getStreakBonus(0)).toBe(0);
+    expect(ScoringProfile.STANDARD.getStreakBonus(3)).toBe(300);
+    expect(ScoringProfile.STANDARD.getStreakBonus(20)).toBe(MAX_STREAK_BONUS);
+  });
+
+  describe('negative marking', () => {
+    it('should be off by default', () => {
+      expect(ScoringProfile.STANDARD.getWrongAnswerPenalty(1000)).toBe(0);
+    });
+
+    it('should combine with any preset', () => {
+      const profile = new ScoringProfile({ preset: ScoringPreset.ACCURACY_ONLY, wrongAnswerPenalty: 0.25 });
+      expect(profile.getWrongAnswerPenalty(1000)).toBe(250);
+      expect(profile.minTimeFactor).toBe(1);
+    });
+
+    it('should reject a penalty outside 0-1', () => {
+      expect(() => new ScoringProfile({ wrongAnswerPenalty: 1.5 })).toThrow('Wrong answer penalty');
+      expect(() => new ScoringProfile({ wrongAnswerPenalty: -0.1 })).toThrow('Wrong answer penalty');
+    });
+  });
+
+  describe('confidence wagers', () => {
+    const wagers = new ScoringProfile({ confidenceWagers: true });
+
+    it('should multiply by the wagered confidence', () => {
+      expect(wagers.getWagerMultiplier(ConfidenceLevel.LOW)).toBe(0.5);
+      expect(wagers.getWagerMultiplier(ConfidenceLevel.MEDIUM)).toBe(1);
+      expect(wagers.getWagerMultiplier(ConfidenceLevel.HIGH)).toBe(2);
+      expect(wagers.getWagerMultiplier(null)).toBe(1);
+    });
+
+    it('should reject wagers when they are off or unknown', () => {
+      expect(() => ScoringProfile.STANDARD.getWagerMultiplier(ConfidenceLevel.HIGH)).toThrow('not enabled');
+      expect(() => wagers.getWagerMultiplier('ALL_IN')).toThrow('Confidence must be one of');
+    });
+  });
+
+  describe('from', () => {
+    it('should default to the standard profile', () => {
+      expect(ScoringProfile.from(null)).toBe(ScoringProfile.STANDARD);
+      expect(ScoringProfile.from(undefined)).toBe(ScoringProfile.STANDARD);
+    });
+
+    it('should round-trip through JSON', () => {
+      const profile = new ScoringProfile({ preset: ScoringPreset.CUSTOM, timeCurve: TimeCurve.EASE_OUT, minTimeFactor: 0.25 });
+      const restored = ScoringProfile.from(JSON.parse(JSON.stringify(profile)));
+      expect(restored.toJSON()).toEqual(profile.toJSON());
+      expect(ScoringProfile.from(profile)).toBe(profile);
+      expect(Object.isFrozen(restored)).toBe(true);
+    });
+  });
+});
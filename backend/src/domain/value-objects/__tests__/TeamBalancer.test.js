@@ -0,0 +1,53 @@
+const { TeamBalancer } = require('../TeamBalancer');
+
+describe('TeamBalancer', () => {
+  describe('strengthFromHistory', () => {
+    it('should return null without scored answers', () => {
+      expect(TeamBalancer.strengthFromHistory(null)).toBeNull();
+      expect(TeamBalancer.strengthFromHistory({ correctAnswers: 0, wrongAnswers: 0 })).toBeNull();
+    });
+
+    it('should pull a short record toward an even chance', () => {
+      expect(TeamBalancer.strengthFromHistory({ correctAnswers: 1, wrongAnswers: 0 })).toBeCloseTo(3.5 / 6);
+      expect(TeamBalancer.strengthFromHistory({ correctAnswers: 95, wrongAnswers: 5 })).toBeCloseTo(97.5 / 105);
+    });
+  });
+
+  describe('assign', () => {
+    const strengths = new Map([['a', 0.9], ['b', 0.8], ['c', 0.3], ['d', 0.2]]);
+
+    it('should pair strong players with weak ones', () => {
+      const teams = TeamBalancer.assign(['a', 'b', 'c', 'd'], 2, strengths, () => 0);
+      const sums = teams.map(ids => ids.reduce((sum, id) => sum + strengths.get(id), 0));
+      expect(teams.map(ids => ids.length)).toEqual([2, 2]);
+      expect(Math.abs(sums[0] - sums[1])).toBeCloseTo(0);
+    });
+
+    it('should keep team sizes within one of each other', () => {
+      const teams = TeamBalancer.assign(['a', 'b', 'c', 'd', 'e'], 3, strengths, () => 0.5);
+      expect(teams.map(ids => ids.length).sort()).toEqual([1, 2, 2]);
+      expect(teams.flat().sort()).toEqual(['a', 'b', 'c', 'd', 'e']);
+    });
+
+    it('should count unknown players at the average of the rated ones', () => {
+      const rated = new Map([['a', 1], ['b', 0], ['c', null]]);
+      expect(TeamBalancer.fallbackStrength(rated)).toBe(0.5);
+      expect(TeamBalancer.fallbackStrength(new Map())).toBe(TeamBalancer.NEUTRAL_STRENGTH);
+    });
+
+    it('should reject a team count below one', () => {
+      expect(() => TeamBalancer.assign(['a'], 0, strengths)).toThrow('At least one team is required');
+    });
+  });
+
+  describe('teamStrength', () => {
+    it('should average the members', () => {
+      expect(TeamBalancer.teamStrength(['a', 'd'], new Map([['a', 0.9], ['d', 0.2]]))).toBeCloseTo(0.55);
+    });
+
+    it('should return null for an empty team or when nobody is rated', () => {
+      expect(TeamBalancer.teamStrength([], new Map([['a', 0.9]]))).toBeNull();
+      expect(TeamBalancer.teamStrength(['a'], new Map([['a', null]]))).toBeNull();
+    });
+  });
+});
@@ -0,0 +1,75 @@
+const { TextAnswer } = require('../TextAnswer');
+
+describe('TextAnswer', () => {
+  describe('constructor', () => {
+    it('should trim the value', () => {
+      const answer = new TextAnswer('  Ankara  ');
+
+      expect(answer.value).toBe('Ankara');
+    });
+
+    it('should throw error for empty or non-string value', () => {
+      expect(() => new TextAnswer('   ')).toThrow('Text answer is required');
+      expect(() => new TextAnswer(42)).toThrow('Text answer is required');
+    });
+
+    it('should throw error for too long value', () => {
+      expect(() => new TextAnswer('a'.repeat(101))).toThrow('at most 100 characters');
+    });
+
+    it('should be immutable', () => {
+      const answer = new TextAnswer('Ankara');
+
+      expect(Object.isFrozen(answer)).toBe(true);
+    });
+  });
+
+  describe('normalize', () => {
+    it('should fold case with Turkish rules', () => {
+      expect(TextAnswer.normalize('İSTANBUL')).toBe('istanbul');
+      expect(TextAnswer.normalize('IĞDIR')).toBe('ığdır');
+    });
+
+    it('should drop punctuation and collapse whitespace', () => {
+      expect(TextAnswer.normalize('  New   York!? ')).toBe('new york');
+      expect(TextAnswer.normalize("Atatürk'ün")).toBe('atatürkün');
+    });
+  });
+
+  describe('matches', () => {
+    it('should match case and punctuation variants exactly', () => {
+      const answer = new TextAnswer('istanbul.');
+
+      expect(answer.matches('İstanbul')).toBe(true);
+      expect(answer.matches('Ankara')).toBe(false);
+    });
+
+    it('should not tolerate typos unless fuzzy matching is enabled', () => {
+      const answer = new TextAnswer('Ankra');
+
+      expect(answer.matches('Ankara')).toBe(false);
+      expect(answer.matches('Ankara', { fuzzy: true })).toBe(true);
+    });
+
+    it('should scale allowed typos with answer length', () => {
+      expect(new TextAnswer('Kars').matches('Kas', { fuzzy: true })).toBe(false);
+      expect(new TextAnswer('Mustafa Kemal').matches('Mustfa Kmal', { fuzzy: true })).toBe(true);
+      expect(new TextAnswer('Mustafa Kemal').matches('Mstfa Kml', { fuzzy: true })).toBe(false);
+    });
+
+    it('should never match an accepted answer that normalizes to nothing', () => {
+      expect(new TextAnswer('!!!').matches('???')).toBe(false);
+    });
+  });
+
+  describe('editDistance', () => {
+    it('should compute the Levenshtein distance', () => {
+      expect(TextAnswer.editDistance('kitten', 'sitting')).toBe(3);
+      expect(TextAnswer.editDistance('', 'abc')).toBe(3);
+    });
+
+    it('should stop early once the limit is exceeded', () => {
+      expect(TextAnswer.editDistance('abcdef', 'uvwxyz', 2)).toBe(3);
+    });
+  });
+});
@@ -0,0 +1,60 @@
+const { WordCloud } = require('../WordCloud');
+
+describe('WordCloud', () => {
+  describe('validateSubmission', () => {
+    it('should accept short words and phrases', () => {
+      expect(() => WordCloud.validateSubmission('Pizza')).not.toThrow();
+      expect(() => WordCloud.validateSubmission('ice cream sundae')).not.toThrow();
+    });
+
+    it('should reject empty, punctuation-only and non-string values', () => {
+      expect(() => WordCloud.validateSubmission('   ')).toThrow('must be 1-30 characters');
+      expect(() => WordCloud.validateSubmission('?!')).toThrow('must be 1-30 characters');
+      expect(() => WordCloud.validateSubmission(42)).toThrow('must be 1-30 characters');
+    });
+
+    it('should reject values that are too long or have too many words', () => {
+      expect(() => WordCloud.validateSubmission('a'.repeat(31))).toThrow('must be 1-30 characters');
+      expect(() => WordCloud.validateSubmission('one two three four')).toThrow('at most 3 words');
+    });
+
+    it('should reject blocked words', () => {
+      expect(() => WordCloud.validateSubmission('Shit')).toThrow('not allowed');
+      expect(() => WordCloud.validateSubmission('total bullshit')).toThrow('not allowed');
+      expect(WordCloud.isValidSubmission('siktir')).toBe(false);
+    });
+  });
+
+  describe('containsBlockedWord', () => {
+    it('should catch blocked words spelled with separators or Turkish casing', () => {
+      expect(WordCloud.containsBlockedWord('s.h.i.t')).toBe(true);
+      expect(WordCloud.containsBlockedWord('f u c k')).toBe(true);
+      expect(WordCloud.containsBlockedWord('PİÇ')).toBe(true);
+    });
+
+    it('should not flag words that merely contain a blocked word', () => {
+      expect(WordCloud.containsBlockedWord('cocktail')).toBe(false);
+      expect(WordCloud.containsBlockedWord('Scunthorpe')).toBe(false);
+      expect(WordCloud.containsBlockedWord('sikke')).toBe(false);
+    });
+  });
+
+  describe('aggregate', () => {
+    it('should group normalized submissions and rank them by count', () => {
+      const words = WordCloud.aggregate(['Pizza', 'tacos', 'pizza!', 'Sushi', ' pizza ', 'Tacos']);
+      expect(words).toEqual([
+        { text: 'Pizza', count: 3 },
+        { text: 'tacos', count: 2 },
+        { text: 'Sushi', count: 1 }
+      ]);
+    });
+
+    it('should leave out invalid submissions', () => {
+      expect(WordCloud.aggregate(['Pizza', 'shit', '', 7])).toEqual([{ text: 'Pizza', count: 1 }]);
+    });
+
+    it('should cap the number of words', () => {
+      expect(WordCloud.aggregate(['a', 'b', 'c'], 2)).toHaveLength(2);
+    });
+  });
+});
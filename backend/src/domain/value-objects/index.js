@@ -2,7 +2,15 @@ const { Answer, MAX_ANSWER_SCORE } = require('./Answer');
 const { PIN } = require('./PIN');
 const { Score } = require('./Score');
 const { Nickname } = require('./Nickname');
+const { TextAnswer } = require('./TextAnswer');
+const { WordCloud } = require('./WordCloud');
+const { ClickPoint, HotspotRegion, HotspotShape } = require('./HotspotGeometry');
+const { ScoringProfile, ScoringPreset, TimeCurve, ConfidenceLevel } = require('./ScoringProfile');
 const { PowerUpType, POWER_UP_LABELS, DEFAULT_POWER_UPS, powerUpRegistry } = require('./PowerUp');
+const { PlayerShuffle, SHUFFLED_OPTION_TYPES } = require('./PlayerShuffle');
+const { QuestionPool } = require('./QuestionPool');
+const { AdaptiveDifficulty, DIFFICULTY_LEVELS } = require('./AdaptiveDifficulty');
+const { TeamBalancer } = require('./TeamBalancer');
 
 module.exports = {
   Answer,
@@ -10,8 +18,23 @@ module.exports = {
   PIN,
   Score,
   Nickname,
+  TextAnswer,
+  WordCloud,
+  ClickPoint,
+  HotspotRegion,
+  HotspotShape,
+  ScoringProfile,
+  ScoringPreset,
+  TimeCurve,
+  ConfidenceLevel,
   PowerUpType,
   POWER_UP_LABELS,
   DEFAULT_POWER_UPS,
-  powerUpRegistry
+  powerUpRegistry,
+  PlayerShuffle,
+  SHUFFLED_OPTION_TYPES,
+  QuestionPool,
+  AdaptiveDifficulty,
+  DIFFICULTY_LEVELS,
+  TeamBalancer
 };
@@ -0,0 +1,118 @@
+const { EVENT_LIMITS } = require('../../api/middlewares/socketRateLimiter');
+const { EMIT_TIMEOUT_MS } = require('../../shared/config/constants');
+
+// The server's rate limit window starts when an event arrives, a little after the bot sent it
+const LIMIT_WINDOW_MARGIN_MS = 1000;
+
+/**
+ * Connect a bot to a server over Socket.IO
+ * @param {string} url - Server URL
+ * @param {Object} [options] - socket.io-client options, e.g. auth: { token } for a host
+ * @returns {Object} socket.io-client socket
+ */
+const connectBotSocket = (url, options = {}) => {
+  // Only loaded where bots run
+  const { io } = require('socket.io-client');
+  return io(url, { transports: ['websocket'], forceNew: true, reconnection: false, ...options });
+};
+
+/**
+ * Bot Client
+ * A bot's connection: sends events and waits for their acks, timing them into the shared BotStats, and keeps
+ * to the server's SocketRateLimiter limits by holding back an event until its window has room for it
+ */
+class BotClient {
+  /**
+   * @param {Object} socket - socket.io-client socket (or one that behaves like it)
+   * @param {Object} options
+   * @param {BotStats} options.stats
+   * @param {number} [options.ackTimeoutMs] - An event without an ack by then counts as failed
+   */
+  constructor(socket, { stats, ackTimeoutMs = EMIT_TIMEOUT_MS }) {
+    this.socket = socket;
+    this.stats = stats;
+    this.ackTimeoutMs = ackTimeoutMs;
+    this.windows = new Map(); // event -> { count, resetTime }, like the server's
+    this.timeouts = new Set();
+    this.closed = false;
+  }
+
+  /**
+   * Send an event and wait for its ack
+   * @param {string} event
+   * @param {Object} data
+   * @returns {Promise<Object>} The ack
+   * @throws {Error} With the ack's error, or when no ack came in time
+   */
+  async request(event, data) {
+    await this._waitForLimit(event);
+    const sentAt = Date.now();
+    const response = await new Promise(resolve => {
+      const timeoutId = setTimeout(() => {
+        this.timeouts.delete(timeoutId);
+        resolve(null);
+      }, this.ackTimeoutMs);
+      this.timeouts.add(timeoutId);
+      this.socket.emit(event, data, (ack) => {
+        clearTimeout(timeoutId);
+        this.timeouts.delete(timeoutId);
+        resolve(ack || {});
+      });
+    });
+
+    if (!response) {
+      this.stats.recordEvent(event, null, 'No response');
+      throw new Error(`No response to ${event}`);
+    }
+    const latencyMs = Date.now() - sentAt;
+    if (response.ok === false) {
+      this.stats.recordEvent(event, latencyMs, response.error || 'Failed');
+      throw new Error(response.error || `${event} failed`);
+    }
+    this.stats.recordEvent(event, latencyMs);
+    return response;
+  }
+
+  /**
+   * Resolve after ms, unless the bot is closed first
+   * @param {number} ms
+   * @returns {Promise<void>}
+   */
+  delay(ms) {
+    return new Promise(resolve => {
+      const timeoutId = setTimeout(() => {
+        this.timeouts.delete(timeoutId);
+        resolve();
+      }, ms);
+      this.timeouts.add(timeoutId);
+    });
+  }
+
+  /**
+   * Stop waiting on anything and disconnect
+   */
+  close() {
+    this.closed = true;
+    this.timeouts.forEach(timeoutId => clearTimeout(timeoutId));
+    this.timeouts.clear();
+    this.socket.disconnect();
+  }
+
+  /**
+   * @private
+   */
+  async _waitForLimit(event) {
+    const { maxRequests, windowMs } = EVENT_LIMITS[event] || EVENT_LIMITS.default;
+    let window = this.windows.get(event);
+    if (window && window.count >= maxRequests && Date.now() <= window.resetTime) {
+      await this.delay(window.resetTime - Date.now() + 1);
+    }
+    if (!window || Date.now() > window.resetTime) {
+      window = { count: 0, resetTime: Date.now() + windowMs + LIMIT_WINDOW_MARGIN_MS };
+      this.windows.set(event, window);
+    }
+    window.count++;
+  }
+}
+
+module.exports = { BotClient, connectBotSocket };
@@ -0,0 +1,103 @@
+const { BotClient } = require('./BotClient');
+
+/**
+ * Bot Host
+ * Hosts a game from start to finish without anyone at the screen: creates the room, and once the players
+ * are in, runs every question (intro, answering until everyone answered or time ran out, results,
+ * leaderboard). The questions it gets come with their answer keys, for bot players to answer by.
+ * The socket has to be signed in as the quiz's owner.
+ */
+class BotHost extends BotClient {
+  /**
+   * @param {Object} socket - socket.io-client socket, connected with auth: { token }
+   * @param {Object} options
+   * @param {BotStats} options.stats
+   * @param {number} [options.introMs] - Question intro before answering starts
+   * @param {number} [options.resultsMs] - Results shown before the leaderboard
+   * @param {number} [options.leaderboardMs] - Leaderboard shown before the next question
+   * @param {number} [options.ackTimeoutMs]
+   */
+  constructor(socket, { stats, introMs = 3000, resultsMs = 3000, leaderboardMs = 3000, ackTimeoutMs }) {
+    super(socket, { stats, ackTimeoutMs });
+    this.introMs = introMs;
+    this.resultsMs = resultsMs;
+    this.leaderboardMs = leaderboardMs;
+    this.pin = null;
+    this.question = null;
+    this.questionsPlayed = 0;
+
+    const setQuestion = ({ currentQuestion }) => { this.question = currentQuestion || null; };
+    socket.on('game_started', setQuestion);
+    socket.on('question_intro', setQuestion);
+  }
+
+  /**
+   * @param {string} quizId
+   * @returns {Promise<string>} The room's pin
+   */
+  async createRoom(quizId) {
+    const response = await this.request('create_room', { quizId });
+    this.pin = response.pin;
+    return this.pin;
+  }
+
+  /**
+   * Host data of the question being played, answer key included (a BotPlayer answerKey)
+   * @returns {Object|null}
+   */
+  answerKey() {
+    return this.question;
+  }
+
+  /**
+   * Play the game through to the podium
+   * @returns {Promise<Object>} The game_over payload
+   */
+  async play() {
+    const gameOver = this._next('game_over');
+    await this.request('start_game', { pin: this.pin });
+    for (;;) {
+      await this.delay(this.introMs);
+      // Answering ends by itself, when everyone answered or time ran out
+      const results = this._next('show_results');
+      await this.request('start_answering', { pin: this.pin });
+      await results;
+      this.questionsPlayed++;
+      await this.delay(this.resultsMs);
+      await this.request('show_leaderboard', { pin: this.pin });
+      await this.delay(this.leaderboardMs);
+      const { isGameOver } = await this.request('next_question', { pin: this.pin });
+      if (isGameOver) return gameOver;
+    }
+  }
+
+  /**
+   * Close the room and disconnect
+   */
+  async closeRoom() {
+    if (this.pin && !this.closed) {
+      await this.request('close_room', { pin: this.pin }).catch(() => {});
+    }
+    this.close();
+  }
+
+  /**
+   * The next time the server sends an event; fails if the room is closed first
+   * @private
+   */
+  _next(event) {
+    const next = new Promise((resolve, reject) => {
+      const onClosed = () => reject(new Error('Room was closed'));
+      this.socket.once(event, (data) => {
+        this.socket.off('room_closed', onClosed);
+        resolve(data);
+      });
+      this.socket.once('room_closed', onClosed);
+    });
+    // Failing before it is waited for is not an unhandled rejection
+    next.catch(() => {});
+    return next;
+  }
+}
+
+module.exports = { BotHost };
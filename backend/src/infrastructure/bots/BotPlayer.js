@@ -0,0 +1,113 @@
+const { BotClient } = require('./BotClient');
+const { chooseAnswer } = require('./botAnswers');
+const { BOT_DEFAULT_ACCURACY, BOT_MIN_LATENCY_MS, BOT_MAX_LATENCY_MS } = require('../../shared/config/constants');
+
+// A bot answers at least this long before time runs out, however slow it is set to be
+const ANSWER_DEADLINE_MARGIN_MS = 500;
+
+/**
+ * Bot Player
+ * A headless player: joins a room, answers each question after a random time to think,
+ * correctly as often as its accuracy says when it is given the answer key, and leaves when the game is over
+ */
+class BotPlayer extends BotClient {
+  /**
+   * @param {Object} socket - socket.io-client socket
+   * @param {Object} options
+   * @param {string} options.nickname
+   * @param {BotStats} options.stats
+   * @param {number} [options.accuracy] - Chance of answering correctly, 0-1
+   * @param {number} [options.minLatencyMs] - Shortest time to answer
+   * @param {number} [options.maxLatencyMs] - Longest time to answer
+   * @param {Function} [options.answerKey] - (bot) => host data of the bot's current question, or null
+   * @param {Function} [options.random] - Source of random numbers in [0, 1)
+   * @param {number} [options.ackTimeoutMs]
+   */
+  constructor(socket, {
+    nickname,
+    stats,
+    accuracy = BOT_DEFAULT_ACCURACY,
+    minLatencyMs = BOT_MIN_LATENCY_MS,
+    maxLatencyMs = BOT_MAX_LATENCY_MS,
+    answerKey = null,
+    random = Math.random,
+    ackTimeoutMs
+  }) {
+    super(socket, { stats, ackTimeoutMs });
+    this.nickname = nickname;
+    this.accuracy = accuracy;
+    this.minLatencyMs = minLatencyMs;
+    this.maxLatencyMs = maxLatencyMs;
+    this.answerKey = answerKey;
+    this.random = random;
+    this.pin = null;
+    this.playerId = null;
+    this.question = null;
+    this.round = 0; // Answering phases seen, so a late answer is not sent into the next one
+    this.finishReason = null;
+    this.done = new Promise(resolve => { this._resolveDone = resolve; });
+
+    const setQuestion = ({ currentQuestion }) => { this.question = currentQuestion || null; };
+    socket.on('game_started', setQuestion);
+    socket.on('question_intro', setQuestion);
+    socket.on('answering_started', (data) => {
+      this._answer(data || {}).catch(error => this.stats.recordError(error.message));
+    });
+    socket.on('game_over', () => this.finish('game_over'));
+    socket.on('room_closed', () => this.finish('room_closed'));
+    socket.on('you_were_kicked', () => this.finish('kicked'));
+    socket.on('connect_error', (error) => this.stats.recordError(`Connection failed: ${error.message}`));
+    socket.on('disconnect', (reason) => {
+      if (this.finishReason) return;
+      this.stats.recordError(`Disconnected: ${reason}`);
+      this.finish('disconnected');
+    });
+  }
+
+  /**
+   * @param {string} pin
+   * @returns {Promise<Object>} The join_room ack
+   */
+  async join(pin) {
+    const response = await this.request('join_room', { pin, nickname: this.nickname });
+    this.pin = pin;
+    this.playerId = response.playerId;
+    return response;
+  }
+
+  /**
+   * Leave the game and disconnect
+   * @param {string} reason
+   */
+  finish(reason) {
+    if (this.finishReason) return;
+    this.finishReason = reason;
+    this.close();
+    this._resolveDone(reason);
+  }
+
+  /**
+   * @private
+   */
+  async _answer({ timeLimit }) {
+    const round = ++this.round;
+    const question = this.question;
+    if (!question || !this.pin) return;
+
+    const thinkMs = this.minLatencyMs + this.random() * (this.maxLatencyMs - this.minLatencyMs);
+    const deadlineMs = (timeLimit || question.timeLimit) * 1000 - ANSWER_DEADLINE_MARGIN_MS;
+    await this.delay(Math.max(0, Math.min(thinkMs, deadlineMs)));
+    if (this.closed || round !== this.round) return;
+
+    const key = this.answerKey ? await this.answerKey(this) : null;
+    const { answer, aimedCorrect } = chooseAnswer(question, key, { accuracy: this.accuracy, random: this.random });
+    try {
+      const response = await this.request('submit_answer', { pin: this.pin, ...answer });
+      this.stats.recordAnswer({ aimedCorrect, isCorrect: response.isCorrect });
+    } catch {
+      // Counted with the event's errors
+    }
+  }
+}
+
+module.exports = { BotPlayer };
@@ -0,0 +1,91 @@
+const percentile = (sorted, share) => sorted[Math.min(sorted.length - 1, Math.floor(sorted.length * share))];
+
+/**
+ * Bot Stats
+ * Round trips (event sent to ack received) and errors of the events bots send, by event,
+ * plus the answers they gave
+ */
+class BotStats {
+  constructor() {
+    this.events = new Map(); // event -> { sent, errors, latencies }
+    this.errors = new Map(); // error message -> count
+    this.answers = { sent: 0, keyed: 0, aimedCorrect: 0, correct: 0 };
+  }
+
+  /**
+   * @private
+   */
+  _event(event) {
+    if (!this.events.has(event)) {
+      this.events.set(event, { sent: 0, errors: 0, latencies: [] });
+    }
+    return this.events.get(event);
+  }
+
+  /**
+   * @param {string} event
+   * @param {number|null} latencyMs - Time until the ack came back, null when it never did
+   * @param {string|null} [error] - Why the event failed, if it did
+   */
+  recordEvent(event, latencyMs, error = null) {
+    const stats = this._event(event);
+    stats.sent++;
+    if (latencyMs !== null) stats.latencies.push(latencyMs);
+    if (error) {
+      stats.errors++;
+      this.recordError(error);
+    }
+  }
+
+  /**
+   * An error that did not come as an event's ack (connection failures, 'error' events)
+   * @param {string} error
+   */
+  recordError(error) {
+    this.errors.set(error, (this.errors.get(error) || 0) + 1);
+  }
+
+  /**
+   * @param {Object} answer
+   * @param {boolean|null} answer.aimedCorrect - null when the bot had no answer key
+   * @param {boolean} [answer.isCorrect] - What the server said, when it said
+   */
+  recordAnswer({ aimedCorrect, isCorrect }) {
+    this.answers.sent++;
+    if (aimedCorrect !== null) this.answers.keyed++;
+    if (aimedCorrect) this.answers.aimedCorrect++;
+    if (isCorrect) this.answers.correct++;
+  }
+
+  /**
+   * @returns {Object} Per event: sent, errors, errorRate and latency (min, avg, p50, p95, max in ms);
+   *   errors by message; answers
+   */
+  toJSON() {
+    const events = {};
+    for (const [event, { sent, errors, latencies }] of this.events) {
+      const sorted = [...latencies].sort((a, b) => a - b);
+      events[event] = {
+        sent,
+        errors,
+        errorRate: sent ? errors / sent : 0,
+        latency: sorted.length
+          ? {
+            min: sorted[0],
+            avg: Math.round(sorted.reduce((sum, ms) => sum + ms, 0) / sorted.length),
+            p50: percentile(sorted, 0.5),
+            p95: percentile(sorted, 0.95),
+            max: sorted[sorted.length - 1]
+          }
+          : null
+      };
+    }
+    return {
+      events,
+      errors: Object.fromEntries(this.errors),
+      answers: { ...this.answers }
+    };
+  }
+}
+
+module.exports = { BotStats };
@@ -0,0 +1,112 @@
+const { BotPlayer } = require('./BotPlayer');
+const { BotStats } = require('./BotStats');
+const { ValidationError } = require('../../shared/errors');
+const { MAX_ROOM_CAPACITY, BOT_JOIN_INTERVAL_MS, BOT_DEFAULT_ACCURACY, BOT_MIN_LATENCY_MS, BOT_MAX_LATENCY_MS } = require('../../shared/config/constants');
+
+// Join errors after which no other bot would get in either
+const ROOM_CLOSED_TO_BOTS = /full|not found|lobby/i;
+
+/**
+ * Bot Swarm
+ * Fills a room with bot players, one after another, and reports how the server answered them.
+ * Never more than MAX_ROOM_CAPACITY bots; joining stops once the room is full.
+ */
+class BotSwarm {
+  /**
+   * @param {Object} options
+   * @param {Function} options.connect - () => a new socket.io-client socket (see connectBotSocket)
+   * @param {number} options.count - Bots to add
+   * @param {string} [options.nickname] - Bots are named <nickname>-1, <nickname>-2, ...
+   * @param {number} [options.firstNumber] - Number of the first bot's name
+   * @param {number} [options.joinIntervalMs] - Time between two bots joining
+   * @param {BotStats} [options.stats]
+   * Anything else (accuracy, minLatencyMs, maxLatencyMs, answerKey, random) goes to every BotPlayer
+   */
+  constructor({ connect, count, nickname = 'Bot', firstNumber = 1, joinIntervalMs = BOT_JOIN_INTERVAL_MS, stats = new BotStats(), ...botOptions }) {
+    this.connect = connect;
+    this.count = Math.min(count, MAX_ROOM_CAPACITY);
+    this.nickname = nickname;
+    this.firstNumber = firstNumber;
+    this.joinIntervalMs = joinIntervalMs;
+    this.stats = stats;
+    this.botOptions = botOptions;
+    this.bots = [];
+    this.failedJoins = 0;
+    this.stopped = false;
+  }
+
+  /**
+   * Check how bots are asked to play, filling in the defaults
+   * @param {Object} options
+   * @param {number} [options.accuracy] - 0-1
+   * @param {number} [options.minLatencyMs]
+   * @param {number} [options.maxLatencyMs]
+   * @returns {{ accuracy: number, minLatencyMs: number, maxLatencyMs: number }}
+   * @throws {ValidationError}
+   */
+  static validateOptions({ accuracy = BOT_DEFAULT_ACCURACY, minLatencyMs = BOT_MIN_LATENCY_MS, maxLatencyMs = BOT_MAX_LATENCY_MS } = {}) {
+    if (typeof accuracy !== 'number' || !(accuracy >= 0 && accuracy <= 1)) {
+      throw new ValidationError('Bot accuracy must be between 0 and 1');
+    }
+    if (!Number.isInteger(minLatencyMs) || !Number.isInteger(maxLatencyMs) || minLatencyMs < 0 || maxLatencyMs < minLatencyMs) {
+      throw new ValidationError('Bot latency must be a range of milliseconds, shortest first');
+    }
+    return { accuracy, minLatencyMs, maxLatencyMs };
+  }
+
+  /**
+   * Join the bots to a room, waiting for each one's ack before the next joins
+   * @param {string} pin
+   * @returns {Promise<number>} Bots that got in
+   */
+  async join(pin) {
+    for (let i = 0; i < this.count && !this.stopped; i++) {
+      const bot = new BotPlayer(this.connect(), {
+        ...this.botOptions,
+        nickname: `${this.nickname}-${this.firstNumber + i}`,
+        stats: this.stats
+      });
+      try {
+        await bot.join(pin);
+        this.bots.push(bot);
+        // Told to leave while this one was joining
+        if (this.stopped) bot.finish('left');
+      } catch (error) {
+        bot.finish('join_failed');
+        this.failedJoins++;
+        if (ROOM_CLOSED_TO_BOTS.test(error.message)) break;
+      }
+      if (i < this.count - 1) await new Promise(resolve => setTimeout(resolve, this.joinIntervalMs));
+    }
+    return this.bots.length;
+  }
+
+  /**
+   * @returns {Promise<void>} Resolves once every bot has left (game over, room closed, kicked or disconnected)
+   */
+  async done() {
+    await Promise.all(this.bots.map(bot => bot.done));
+  }
+
+  /**
+   * Disconnect every bot
+   */
+  leave() {
+    this.stopped = true;
+    this.bots.forEach(bot => bot.finish('left'));
+  }
+
+  /**
+   * @returns {Object} Bots asked for and joined, with the BotStats report
+   */
+  report() {
+    return {
+      bots: this.count,
+      joined: this.bots.length,
+      failedJoins: this.failedJoins,
+      ...this.stats.toJSON()
+    };
+  }
+}
+
+module.exports = { BotSwarm };
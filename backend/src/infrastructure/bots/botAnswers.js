@@ -0,0 +1,129 @@
+const { QuestionType } = require('../../domain/entities');
+const { HotspotShape } = require('../../domain/value-objects');
+
+// Typed by bots on word clouds and as wrong typed answers
+const BOT_WORDS = ['robot', 'pixel', 'rocket', 'banana', 'galaxy'];
+
+const randomInt = (random, max) => Math.floor(random() * max);
+
+const pick = (random, items) => items[randomInt(random, items.length)];
+
+// Another index than the given one, out of count
+const otherIndex = (random, index, count) => (count < 2 ? index : (index + 1 + randomInt(random, count - 1)) % count);
+
+const swapFirstTwo = (items) => (items.length < 2 ? items : [items[1], items[0], ...items.slice(2)]);
+
+const shuffled = (random, items) => {
+  const result = [...items];
+  for (let i = result.length - 1; i > 0; i--) {
+    const j = randomInt(random, i + 1);
+    [result[i], result[j]] = [result[j], result[i]];
+  }
+  return result;
+};
+
+// Where the bot sees an option of the answer key: options may be shuffled per player
+const shownIndexOf = (question, key, keyIndex) => {
+  const index = question.options.indexOf(key.options[keyIndex]);
+  return index === -1 ? keyIndex : index;
+};
+
+const hotspotCenter = (region) => {
+  if (region.shape === HotspotShape.CIRCLE) return { x: region.x, y: region.y };
+  const sum = region.points.reduce((total, point) => ({ x: total.x + point.x, y: total.y + point.y }), { x: 0, y: 0 });
+  return { x: sum.x / region.points.length, y: sum.y / region.points.length };
+};
+
+const randomClick = (random) => ({ x: random(), y: random() });
+
+/**
+ * An answer to the question as the bot sees it, without knowing which is correct
+ * @private
+ */
+const randomAnswer = (question, random) => {
+  const count = question.options ? question.options.length : 0;
+  const indices = [...Array(count).keys()];
+  switch (question.type) {
+    case QuestionType.MULTI_SELECT:
+      return { answerIndex: [randomInt(random, count)] };
+    case QuestionType.ORDERING:
+      return { answerIndex: shuffled(random, indices) };
+    case QuestionType.MATCHING:
+      return { answerIndex: question.options.map(() => randomInt(random, question.matchTargets.length)) };
+    case QuestionType.NUMERIC:
+      return { answerValue: randomInt(random, 101) };
+    case QuestionType.TYPE_ANSWER:
+    case QuestionType.WORD_CLOUD:
+      return { answerValue: pick(random, BOT_WORDS) };
+    case QuestionType.HOTSPOT:
+      return { answerValue: randomClick(random) };
+    default:
+      return { answerIndex: randomInt(random, count) };
+  }
+};
+
+/**
+ * The correct answer from the answer key, or a wrong one close to it
+ * @private
+ */
+const keyedAnswer = (question, key, correct, random) => {
+  const count = question.options ? question.options.length : 0;
+  switch (question.type) {
+    case QuestionType.MULTI_SELECT: {
+      const selected = new Set(key.correctAnswerIndices.map(index => shownIndexOf(question, key, index)));
+      if (!correct) {
+        // Toggle one option, never leaving nothing picked
+        const index = randomInt(random, count);
+        if (selected.has(index) && selected.size > 1) selected.delete(index);
+        else selected.add(selected.has(index) ? otherIndex(random, index, count) : index);
+      }
+      return { answerIndex: [...selected].sort((a, b) => a - b) };
+    }
+    case QuestionType.ORDERING: {
+      const order = key.correctOrder.map(index => shownIndexOf(question, key, index));
+      return { answerIndex: correct ? order : swapFirstTwo(order) };
+    }
+    case QuestionType.MATCHING: {
+      const matches = question.options.map((option, index) => {
+        const keyIndex = key.options.indexOf(option);
+        return key.correctMatches[keyIndex === -1 ? index : keyIndex];
+      });
+      return { answerIndex: correct ? matches : swapFirstTwo(matches) };
+    }
+    case QuestionType.NUMERIC:
+      return { answerValue: correct ? key.correctValue : key.correctValue + (key.tolerance || 0) + 1 };
+    case QuestionType.TYPE_ANSWER:
+      return { answerValue: correct ? key.acceptedAnswers[0] : pick(random, BOT_WORDS) };
+    case QuestionType.HOTSPOT:
+      return { answerValue: correct ? hotspotCenter(key.hotspotRegions[0]) : randomClick(random) };
+    case QuestionType.WORD_CLOUD:
+      return { answerValue: pick(random, BOT_WORDS) };
+    default: {
+      const index = shownIndexOf(question, key, key.correctAnswerIndex);
+      return { answerIndex: correct ? index : otherIndex(random, index, count) };
+    }
+  }
+};
+
+/**
+ * Pick a bot's answer: with the question's answer key, the correct answer with the given accuracy
+ * and otherwise a wrong one; without it (or for polls) any answer
+ * @param {Object} question - The question as the bot got it (player data, options in its order)
+ * @param {Object|null} key - The question's host data, with the answer key
+ * @param {Object} options
+ * @param {number} options.accuracy - Chance of answering correctly, 0-1
+ * @param {Function} [options.random] - Source of random numbers in [0, 1)
+ * @returns {{ answer: Object, aimedCorrect: boolean|null }} submit_answer fields, and whether the bot
+ *   meant to be right (null when it could not know)
+ */
+const chooseAnswer = (question, key, { accuracy, random = Math.random }) => {
+  // A key for another question (shuffled question order) is no use
+  const usable = key && !question.isPoll && !key.isPoll && key.text === question.text;
+  if (!usable) {
+    return { answer: randomAnswer(question, random), aimedCorrect: null };
+  }
+  const correct = random() < accuracy;
+  return { answer: keyedAnswer(question, key, correct, random), aimedCorrect: correct };
+};
+
+module.exports = { chooseAnswer };
@@ -0,0 +1,16 @@
+const { BotClient, connectBotSocket } = require('./BotClient');
+const { BotPlayer } = require('./BotPlayer');
+const { BotHost } = require('./BotHost');
+const { BotSwarm } = require('./BotSwarm');
+const { BotStats } = require('./BotStats');
+const { chooseAnswer } = require('./botAnswers');
+
+module.exports = {
+  BotClient,
+  connectBotSocket,
+  BotPlayer,
+  BotHost,
+  BotSwarm,
+  BotStats,
+  chooseAnswer
+};
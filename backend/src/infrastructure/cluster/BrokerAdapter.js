@@ -0,0 +1,36 @@
+const { ClusterAdapterWithHeartbeat } = require('socket.io-adapter');
+
+/**
+ * Socket.IO adapter that fans broadcasts, room joins and socket lookups out to every
+ * server process through a cluster broker, so io.to(pin).emit() reaches sockets connected anywhere.
+ * @param {Object} broker - InMemoryBroker, MongoBroker, ...
+ * @param {Object} [options] - Heartbeat options of socket.io-adapter's ClusterAdapterWithHeartbeat
+ * @returns {Function} Adapter class for io.adapter()
+ */
+const createBrokerAdapter = (broker, options = {}) => class BrokerAdapter extends ClusterAdapterWithHeartbeat {
+  constructor(nsp) {
+    super(nsp, options);
+    this.channel = `socket.io#${nsp.name}`;
+    this.unsubscribes = [
+      broker.subscribe(this.channel, (message) => this.onMessage(message)),
+      broker.subscribe(`${this.channel}#${this.uid}`, (response) => this.onResponse(response))
+    ];
+  }
+
+  async doPublish(message) {
+    await broker.publish(this.channel, message);
+    // Offsets are only used by connection state recovery, which is not enabled
+    return '';
+  }
+
+  async doPublishResponse(requesterUid, response) {
+    await broker.publish(`${this.channel}#${requesterUid}`, response);
+  }
+
+  close() {
+    super.close();
+    this.unsubscribes.forEach(unsubscribe => unsubscribe());
+  }
+};
+
+module.exports = { createBrokerAdapter };
@@ -0,0 +1,92 @@
+/**
+ * In-Memory Broker
+ * Stand-in for a cluster broker inside one process: several server instances sharing one
+ * InMemoryBroker behave like separate processes sharing MongoBroker, which is what the tests rely on.
+ * Messages go through JSON like they would over the wire and are delivered asynchronously, in order.
+ *
+ * A broker implements:
+ * - publish(channel, message) / subscribe(channel, handler): fan-out to every subscriber of a channel;
+ *   subscribe returns a function that unsubscribes
+ * - acquireLease(key, holder, ttlMs): take a lease that is free or expired, or renew one already held
+ * - releaseLease(key, holder) / getLeaseHolder(key): give a lease up, or see who holds it
+ * - close(): stop delivering messages
+ */
+class InMemoryBroker {
+  constructor() {
+    this.subscribers = new Map(); // channel -> Set<handler>
+    this.leases = new Map(); // key -> { holder, expiresAt }
+  }
+
+  /**
+   * @param {string} channel
+   * @param {Object} message - Must survive JSON
+   */
+  async publish(channel, message) {
+    const payload = JSON.stringify(message);
+    setImmediate(() => {
+      for (const handler of this.subscribers.get(channel) || []) {
+        try {
+          handler(JSON.parse(payload));
+        } catch (error) {
+          console.error(`[InMemoryBroker] Subscriber of ${channel} failed:`, error.message);
+        }
+      }
+    });
+  }
+
+  /**
+   * @param {string} channel
+   * @param {Function} handler - Called with each message published on the channel
+   * @returns {Function} Unsubscribe
+   */
+  subscribe(channel, handler) {
+    if (!this.subscribers.has(channel)) {
+      this.subscribers.set(channel, new Set());
+    }
+    this.subscribers.get(channel).add(handler);
+
+    return () => {
+      const handlers = this.subscribers.get(channel);
+      if (!handlers) return;
+      handlers.delete(handler);
+      if (handlers.size === 0) this.subscribers.delete(channel);
+    };
+  }
+
+  /**
+   * @param {string} key
+   * @param {string} holder - Instance taking the lease
+   * @param {number} ttlMs - How long the lease lasts unless renewed
+   * @returns {Promise<boolean>} Whether holder now has the lease
+   */
+  async acquireLease(key, holder, ttlMs) {
+    const now = Date.now();
+    const lease = this.leases.get(key);
+    if (lease && lease.holder !== holder && lease.expiresAt > now) {
+      return false;
+    }
+    this.leases.set(key, { holder, expiresAt: now + ttlMs });
+    return true;
+  }
+
+  async releaseLease(key, holder) {
+    if (this.leases.get(key)?.holder === holder) {
+      this.leases.delete(key);
+    }
+  }
+
+  /**
+   * @returns {Promise<string|null>} Holder of a lease that has not expired
+   */
+  async getLeaseHolder(key) {
+    const lease = this.leases.get(key);
+    if (!lease || lease.expiresAt <= Date.now()) return null;
+    return lease.holder;
+  }
+
+  async close() {
+    this.subscribers.clear();
+  }
+}
+
+module.exports = { InMemoryBroker };
@@ -0,0 +1,109 @@
+const { ClusterMessage } = require('../db/models/ClusterMessage');
+const { ClusterLease } = require('../db/models/ClusterLease');
+
+// Wait before reopening the change stream after it failed
+const REWATCH_DELAY_MS = 1000;
+
+/**
+ * Mongo Broker
+ * Cluster broker on the MongoDB the servers already share (see InMemoryBroker for the interface).
+ * Messages are inserted into a collection and read back by every process from one change stream,
+ * which needs MongoDB to run as a replica set (Atlas always does). Leases are documents
+ * that a process may only take over once they have expired.
+ */
+class MongoBroker {
+  constructor() {
+    this.subscribers = new Map(); // channel -> Set<handler>
+    this.changeStream = null;
+    this.rewatchTimeout = null;
+    this.closed = false;
+  }
+
+  async publish(channel, message) {
+    await ClusterMessage.create({ channel, message });
+  }
+
+  subscribe(channel, handler) {
+    if (!this.subscribers.has(channel)) {
+      this.subscribers.set(channel, new Set());
+    }
+    this.subscribers.get(channel).add(handler);
+    this._watch();
+
+    return () => {
+      const handlers = this.subscribers.get(channel);
+      if (!handlers) return;
+      handlers.delete(handler);
+      if (handlers.size === 0) this.subscribers.delete(channel);
+    };
+  }
+
+  /**
+   * Open the change stream every subscription is served from
+   * @private
+   */
+  _watch() {
+    if (this.changeStream || this.closed) return;
+
+    this.changeStream = ClusterMessage.watch([{ $match: { operationType: 'insert' } }]);
+    this.changeStream.on('change', ({ fullDocument }) => {
+      for (const handler of this.subscribers.get(fullDocument.channel) || []) {
+        try {
+          handler(fullDocument.message);
+        } catch (error) {
+          console.error(`[MongoBroker] Subscriber of ${fullDocument.channel} failed:`, error.message);
+        }
+      }
+    });
+    this.changeStream.on('error', (error) => {
+      console.error('[MongoBroker] Change stream error:', error.message);
+      this.changeStream.close().catch(() => {});
+      this.changeStream = null;
+      if (!this.closed && !this.rewatchTimeout) {
+        this.rewatchTimeout = setTimeout(() => {
+          this.rewatchTimeout = null;
+          if (this.subscribers.size > 0) this._watch();
+        }, REWATCH_DELAY_MS);
+      }
+    });
+  }
+
+  async acquireLease(key, holder, ttlMs) {
+    const now = new Date();
+    try {
+      const lease = await ClusterLease.findOneAndUpdate(
+        { key, $or: [{ holder }, { expiresAt: { $lte: now } }] },
+        { $set: { holder, expiresAt: new Date(now.getTime() + ttlMs) } },
+        { upsert: true, new: true }
+      ).lean();
+      return lease.holder === holder;
+    } catch (error) {
+      // The upsert ran into the unique key: someone else holds a lease that has not expired
+      if (error.code === 11000) return false;
+      throw error;
+    }
+  }
+
+  async releaseLease(key, holder) {
+    await ClusterLease.deleteOne({ key, holder });
+  }
+
+  async getLeaseHolder(key) {
+    const lease = await ClusterLease.findOne({ key, expiresAt: { $gt: new Date() } }).lean();
+    return lease ? lease.holder : null;
+  }
+
+  async close() {
+    this.closed = true;
+    clearTimeout(this.rewatchTimeout);
+    this.subscribers.clear();
+    if (this.changeStream) {
+      await this.changeStream.close();
+      this.changeStream = null;
+    }
+  }
+}
+
+const mongoBroker = new MongoBroker();
+
+module.exports = { MongoBroker, mongoBroker };
@@ -0,0 +1,296 @@
+const { generateId } = require('../../shared/utils/generateId');
+const { CLUSTER_FORWARD_TIMEOUT_MS } = require('../../shared/config/constants');
+
+// Events that find the host's room from the signed-in user rather than a pin
+const HOST_ROOM_EVENTS = new Set(['create_room', 'get_my_room', 'force_close_room']);
+
+// Stand-ins for sockets of other processes are dropped after this long without an event;
+// the next event builds a new one
+const REMOTE_SOCKET_IDLE_MS = 30 * 60 * 1000;
+const REMOTE_SOCKET_PRUNE_INTERVAL_MS = 5 * 60 * 1000;
+
+const channelOf = (instanceId) => `rooms#${instanceId}`;
+
+const describeSocket = (socket) => ({
+  id: socket.id,
+  user: socket.user || null,
+  isAuthenticated: !!socket.isAuthenticated,
+  rooms: [...socket.rooms]
+});
+
+/**
+ * Stand-in, on the process running a room, for a socket connected to another process.
+ * It offers the part of the Socket.IO socket the handlers use; whatever it sends goes
+ * through the cluster adapter to the real socket.
+ */
+class RemoteSocket {
+  constructor(io, described) {
+    this.io = io;
+    this.id = described.id;
+    this.handlers = new Map(); // event -> handler
+    this.update(described);
+  }
+
+  /**
+   * Take over the latest state of the real socket
+   */
+  update({ user, isAuthenticated, rooms }) {
+    this.user = user;
+    this.isAuthenticated = isAuthenticated;
+    this.rooms = new Set(rooms);
+    this.lastSeenAt = Date.now();
+  }
+
+  on(event, handler) {
+    this.handlers.set(event, handler);
+    return this;
+  }
+
+  async dispatch(event, args) {
+    const handler = this.handlers.get(event);
+    if (handler) await handler(...args);
+  }
+
+  join(room) {
+    this.rooms.add(room);
+    this.io.in(this.id).socketsJoin(room);
+  }
+
+  leave(room) {
+    this.rooms.delete(room);
+    this.io.in(this.id).socketsLeave(room);
+  }
+
+  emit(event, ...args) {
+    this.io.to(this.id).emit(event, ...args);
+    return true;
+  }
+
+  to(room) {
+    return this.io.to(room).except(this.id);
+  }
+}
+
+/**
+ * Room Event Router
+ * Runs every room's socket events on the process that owns the room (see RoomOwnership), so room state,
+ * timers and locks never leave that process. An event arriving on another process is forwarded through
+ * the broker, handled there for a RemoteSocket, and its ack sent back. A room nobody runs any more is
+ * taken over by the process the event arrived on.
+ */
+class RoomEventRouter {
+  /**
+   * @param {Object} broker - Cluster broker (see InMemoryBroker)
+   * @param {RoomOwnership} ownership
+   * @param {Object} options
+   * @param {Object} options.io - Socket.IO server using the broker adapter
+   * @param {Function} options.registerHandlers - Registers the socket event handlers on a (remote) socket
+   * @param {Function} [options.findHostPin] - Resolves a host's room pin from their user id, across the cluster
+   * @param {Function} [options.adoptRoom] - Takes over a room nobody runs from the room store
+   * @param {number} [options.forwardTimeoutMs] - Wait for the owner's ack before failing the event
+   */
+  constructor(broker, ownership, options = {}) {
+    this.broker = broker;
+    this.ownership = ownership;
+    this.io = options.io;
+    this.registerHandlers = options.registerHandlers;
+    this.findHostPin = options.findHostPin || null;
+    this.adoptRoom = options.adoptRoom || null;
+    this.forwardTimeoutMs = options.forwardTimeoutMs || CLUSTER_FORWARD_TIMEOUT_MS;
+    this.remoteSockets = new Map(); // socketId -> RemoteSocket
+    this.pendingAcks = new Map(); // requestId -> { ack, timeoutId }
+    this.unsubscribe = null;
+    this.pruneIntervalId = null;
+  }
+
+  get instanceId() {
+    return this.ownership.instanceId;
+  }
+
+  start() {
+    if (this.unsubscribe) return;
+    this.unsubscribe = this.broker.subscribe(channelOf(this.instanceId), (message) => {
+      this._onMessage(message).catch(error => {
+        console.error(`[RoomEventRouter] Failed to handle forwarded ${message.type}:`, error.message);
+      });
+    });
+    this.pruneIntervalId = setInterval(() => this.pruneRemoteSockets(), REMOTE_SOCKET_PRUNE_INTERVAL_MS);
+  }
+
+  stop() {
+    if (this.unsubscribe) {
+      this.unsubscribe();
+      this.unsubscribe = null;
+    }
+    clearInterval(this.pruneIntervalId);
+    this.pruneIntervalId = null;
+    for (const { ack, timeoutId } of this.pendingAcks.values()) {
+      clearTimeout(timeoutId);
+      ack({ ok: false, error: 'Server is shutting down' });
+    }
+    this.pendingAcks.clear();
+    this.remoteSockets.clear();
+  }
+
+  /**
+   * Route a newly connected socket's events; call before the handlers are registered
+   * @param {Object} socket - Socket.IO socket
+   */
+  attach(socket) {
+    socket.use((packet, next) => {
+      this._route(socket, packet)
+        .then(forwarded => { if (!forwarded) next(); })
+        .catch(error => {
+          // Handle it here instead: the handler reports the room as missing if it is not
+          console.error(`[RoomEventRouter] Failed to route ${packet[0]}:`, error.message);
+          next();
+        });
+    });
+    socket.on('disconnecting', () => {
+      this._forwardDisconnect(socket).catch(error => {
+        console.error(`[RoomEventRouter] Failed to forward disconnect of ${socket.id}:`, error.message);
+      });
+    });
+  }
+
+  /**
+   * Drop the stand-ins of sockets that have been quiet for a long time
+   * @returns {number} Number dropped
+   */
+  pruneRemoteSockets(now = Date.now()) {
+    let removed = 0;
+    for (const [socketId, remote] of this.remoteSockets) {
+      if (now - remote.lastSeenAt >= REMOTE_SOCKET_IDLE_MS) {
+        this.remoteSockets.delete(socketId);
+        removed++;
+      }
+    }
+    return removed;
+  }
+
+  /**
+   * @private
+   */
+  async _resolvePin(socket, event, data) {
+    if (typeof data?.pin === 'string') return data.pin;
+    const joined = [...socket.rooms].find(room => room !== socket.id);
+    if (joined) return joined;
+    if (this.findHostPin && socket.user?.userId && HOST_ROOM_EVENTS.has(event)) {
+      return this.findHostPin(socket.user.userId);
+    }
+    return null;
+  }
+
+  /**
+   * Forward an event to the room's owner when that is another process
+   * @private
+   * @returns {Promise<boolean>} Whether it was forwarded (false: handle it here)
+   */
+  async _route(socket, packet) {
+    const [event, ...args] = packet;
+    const ack = typeof args[args.length - 1] === 'function' ? args.pop() : undefined;
+
+    const pin = await this._resolvePin(socket, event, args[0]);
+    if (!pin || this.ownership.owns(pin)) return false;
+
+    let owner = await this.ownership.ownerOf(pin);
+    if (!owner && this.adoptRoom) {
+      // Nobody runs the room any more: its server went away
+      await this.adoptRoom(pin);
+      owner = await this.ownership.ownerOf(pin);
+    }
+    if (!owner || owner === this.instanceId) return false;
+
+    const requestId = ack ? generateId() : null;
+    if (ack) {
+      const timeoutId = setTimeout(() => {
+        this.pendingAcks.delete(requestId);
+        ack({ ok: false, error: 'Room server did not respond' });
+      }, this.forwardTimeoutMs);
+      this.pendingAcks.set(requestId, { ack, timeoutId });
+    }
+
+    try {
+      await this.broker.publish(channelOf(owner), {
+        type: 'event',
+        from: this.instanceId,
+        requestId,
+        socket: describeSocket(socket),
+        event,
+        args
+      });
+    } catch (error) {
+      if (ack) {
+        clearTimeout(this.pendingAcks.get(requestId).timeoutId);
+        this.pendingAcks.delete(requestId);
+      }
+      throw error;
+    }
+    return true;
+  }
+
+  /**
+   * Let the owners of the socket's rooms handle its disconnect
+   * @private
+   */
+  async _forwardDisconnect(socket) {
+    if (!this.unsubscribe) return;
+    const described = describeSocket(socket);
+    for (const pin of described.rooms) {
+      if (pin === socket.id || this.ownership.owns(pin)) continue;
+      const owner = await this.ownership.ownerOf(pin);
+      if (!owner || owner === this.instanceId) continue;
+      await this.broker.publish(channelOf(owner), { type: 'disconnect', from: this.instanceId, socket: described });
+    }
+  }
+
+  /**
+   * @private
+   */
+  _remoteSocket(described) {
+    let remote = this.remoteSockets.get(described.id);
+    if (remote) {
+      remote.update(described);
+      return remote;
+    }
+    remote = new RemoteSocket(this.io, described);
+    this.registerHandlers(remote);
+    this.remoteSockets.set(described.id, remote);
+    return remote;
+  }
+
+  /**
+   * @private
+   */
+  async _onMessage(message) {
+    switch (message.type) {
+      case 'event': {
+        const remote = this._remoteSocket(message.socket);
+        const args = message.requestId
+          ? [...message.args, (...response) => {
+            this.broker.publish(channelOf(message.from), { type: 'ack', requestId: message.requestId, response })
+              .catch(error => console.error('[RoomEventRouter] Failed to send ack:', error.message));
+          }]
+          : message.args;
+        await remote.dispatch(message.event, args);
+        break;
+      }
+      case 'ack': {
+        const pending = this.pendingAcks.get(message.requestId);
+        if (!pending) return;
+        clearTimeout(pending.timeoutId);
+        this.pendingAcks.delete(message.requestId);
+        pending.ack(...message.response);
+        break;
+      }
+      case 'disconnect': {
+        const remote = this._remoteSocket(message.socket);
+        this.remoteSockets.delete(remote.id);
+        await remote.dispatch('disconnect', []);
+        break;
+      }
+    }
+  }
+}
+
+module.exports = { RoomEventRouter, RemoteSocket };
@@ -0,0 +1,137 @@
+const { generateId } = require('../../shared/utils/generateId');
+const { CLUSTER_LEASE_TTL_MS } = require('../../shared/config/constants');
+
+const ROOM_LEASE_PREFIX = 'room:';
+const LOCK_LEASE_PREFIX = 'lock:';
+const LEADER_LEASE = 'leader';
+
+/**
+ * Room Ownership
+ * Each room runs on exactly one server process, the one holding the room's lease in the broker.
+ * Leases are renewed while the process lives; one that stops renewing (a crash) expires,
+ * and its rooms can then be taken over from the shared room store by another process.
+ * The same leases back cluster-wide locks and the cleanup leadership.
+ */
+class RoomOwnership {
+  /**
+   * @param {Object} broker - Cluster broker (see InMemoryBroker)
+   * @param {Object} [options]
+   * @param {string} [options.instanceId] - Id of this process in the cluster
+   * @param {number} [options.leaseTtlMs] - How long a lease lasts without renewal
+   * @param {Function} [options.onLost] - Called with the pin of a room another process took over
+   */
+  constructor(broker, options = {}) {
+    this.broker = broker;
+    this.instanceId = options.instanceId || generateId();
+    this.leaseTtlMs = options.leaseTtlMs || CLUSTER_LEASE_TTL_MS;
+    this.onLost = options.onLost || null;
+    this.owned = new Set(); // pins of the rooms this process runs
+    this.intervalId = null;
+    this.stopped = false;
+  }
+
+  /**
+   * Start renewing the leases of owned rooms
+   */
+  start() {
+    if (this.intervalId) return;
+    this.stopped = false;
+    this.intervalId = setInterval(() => this.renew(), Math.floor(this.leaseTtlMs / 3));
+  }
+
+  /**
+   * Stop renewing and give every room up, so other processes can take them over right away
+   */
+  async stop() {
+    this.stopped = true;
+    if (this.intervalId) {
+      clearInterval(this.intervalId);
+      this.intervalId = null;
+    }
+    const pins = [...this.owned];
+    this.owned.clear();
+    await Promise.all(pins.map(pin => this.broker.releaseLease(ROOM_LEASE_PREFIX + pin, this.instanceId).catch(() => {})));
+    await this.broker.releaseLease(LEADER_LEASE, this.instanceId).catch(() => {});
+  }
+
+  /**
+   * @param {string} pin
+   * @returns {boolean} Whether the room runs on this process
+   */
+  owns(pin) {
+    return this.owned.has(pin);
+  }
+
+  /**
+   * Take a room that no live process runs
+   * @param {string} pin
+   * @returns {Promise<boolean>} false when another process runs it (or this one is stopping)
+   */
+  async claim(pin) {
+    if (this.stopped) return false;
+    if (this.owned.has(pin)) return true;
+    const acquired = await this.broker.acquireLease(ROOM_LEASE_PREFIX + pin, this.instanceId, this.leaseTtlMs);
+    if (acquired) this.owned.add(pin);
+    return acquired;
+  }
+
+  /**
+   * Give a room up, e.g. once it is closed
+   * @param {string} pin
+   */
+  async release(pin) {
+    if (!this.owned.delete(pin)) return;
+    await this.broker.releaseLease(ROOM_LEASE_PREFIX + pin, this.instanceId);
+  }
+
+  /**
+   * @param {string} pin
+   * @returns {Promise<string|null>} Instance id of the process running the room, null when none does
+   */
+  async ownerOf(pin) {
+    if (this.owned.has(pin)) return this.instanceId;
+    return this.broker.getLeaseHolder(ROOM_LEASE_PREFIX + pin);
+  }
+
+  /**
+   * Renew every owned room's lease; a room whose lease was taken over meanwhile is handed to onLost
+   */
+  async renew() {
+    for (const pin of [...this.owned]) {
+      try {
+        const kept = await this.broker.acquireLease(ROOM_LEASE_PREFIX + pin, this.instanceId, this.leaseTtlMs);
+        if (kept || !this.owned.delete(pin)) continue;
+        console.warn(`[RoomOwnership] Room ${pin} was taken over by another server`);
+        if (this.onLost) this.onLost(pin);
+      } catch (error) {
+        console.error(`[RoomOwnership] Failed to renew room ${pin}:`, error.message);
+      }
+    }
+  }
+
+  /**
+   * Whether this process leads the cluster, taking the lead if nobody holds it.
+   * The leader keeps the lead for ttlMs each time it asks, so ask more often than that.
+   * @param {number} ttlMs
+   * @returns {Promise<boolean>}
+   */
+  async isLeader(ttlMs) {
+    if (this.stopped) return false;
+    return this.broker.acquireLease(LEADER_LEASE, this.instanceId, ttlMs);
+  }
+
+  /**
+   * Leases for LockManager, so a lock is held across every process of the cluster
+   * @param {string} name - Keeps the keys of different lock managers apart
+   * @returns {{ acquire: Function, release: Function }}
+   */
+  lockLeases(name) {
+    const leaseKey = (key) => `${LOCK_LEASE_PREFIX}${name}:${key}`;
+    return {
+      acquire: (key, ttlMs) => this.broker.acquireLease(leaseKey(key), this.instanceId, ttlMs),
+      release: (key) => this.broker.releaseLease(leaseKey(key), this.instanceId)
+    };
+  }
+}
+
+module.exports = { RoomOwnership };
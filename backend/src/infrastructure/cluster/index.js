@@ -0,0 +1,15 @@
+const { InMemoryBroker } = require('./InMemoryBroker');
+const { MongoBroker, mongoBroker } = require('./MongoBroker');
+const { createBrokerAdapter } = require('./BrokerAdapter');
+const { RoomOwnership } = require('./RoomOwnership');
+const { RoomEventRouter, RemoteSocket } = require('./RoomEventRouter');
+
+module.exports = {
+  InMemoryBroker,
+  MongoBroker,
+  mongoBroker,
+  createBrokerAdapter,
+  RoomOwnership,
+  RoomEventRouter,
+  RemoteSocket
+};
@@ -0,0 +1,43 @@
+const mongoose = require('mongoose');
+
+/**
+ * Saved copy of a live room, so games in progress survive a server restart.
+ * The room itself is kept as the JSON of Room.toSnapshot(); it is only ever read back whole.
+ */
+const activeRoomSchema = new mongoose.Schema({
+  pin: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  snapshot: {
+    type: String,
+    required: true
+  },
+
+  // Copied out of the snapshot to find a host's room across server processes
+  hostUserId: {
+    type: String,
+    default: null,
+    index: true
+  },
+  state: {
+    type: String
+  },
+
+  // Answering timer of the current question (GameTimerService.getTimerState()), null outside the answering phase:
+  // { remainingMs, elapsedMs, originalDurationMs, totalExtensionMs, savedAt }
+  timer: {
+    type: mongoose.Schema.Types.Mixed,
+    default: null
+  },
+
+  updatedAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+const ActiveRoom = mongoose.model('ActiveRoom', activeRoomSchema);
+
+module.exports = { ActiveRoom, activeRoomSchema };
@@ -26,6 +26,8 @@ const auditLogSchema = new mongoose.Schema({
       'USER_ROLE_UPDATED',
       'USER_STATUS_UPDATED',
       'USER_DELETED',
+      'USER_ROOM_CAPACITY_UPDATED',
+      'ROLE_ROOM_CAPACITY_UPDATED',
 
       // Quiz management
       'QUIZ_DELETED_ADMIN',
@@ -42,7 +44,7 @@ const auditLogSchema = new mongoose.Schema({
   targetType: {
     type: String,
     required: true,
-    enum: ['user', 'quiz', 'room', 'session']
+    enum: ['user', 'role', 'quiz', 'room', 'session']
   },
   targetId: {
     type: String,
@@ -12,6 +12,7 @@ const classroomSchema = new mongoose.Schema({
     quiz: { type: mongoose.Schema.Types.ObjectId, ref: 'Quiz' },
     assignedAt: { type: Date, default: Date.now },
     dueDate: { type: Date, default: null },
+    adaptive: { type: Boolean, default: false }, // each student's next question follows how they did on the last
     completedBy: [{ type: String }] // nicknames who completed
   }],
   joinCode: { type: String, unique: true, sparse: true },
@@ -0,0 +1,25 @@
+const mongoose = require('mongoose');
+
+/**
+ * Lease held by one server process, e.g. on a room it runs or on cleanup leadership.
+ * A lease past expiresAt is free for any process to take.
+ */
+const clusterLeaseSchema = new mongoose.Schema({
+  key: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  holder: {
+    type: String,
+    required: true
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  }
+});
+
+const ClusterLease = mongoose.model('ClusterLease', clusterLeaseSchema);
+
+module.exports = { ClusterLease, clusterLeaseSchema };
@@ -0,0 +1,26 @@
+const mongoose = require('mongoose');
+
+/**
+ * Message published between server processes through MongoBroker.
+ * Subscribers read them from a change stream as they are inserted; the documents
+ * themselves are only kept for a minute.
+ */
+const clusterMessageSchema = new mongoose.Schema({
+  channel: {
+    type: String,
+    required: true
+  },
+  message: {
+    type: mongoose.Schema.Types.Mixed,
+    required: true
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now,
+    expires: 60
+  }
+});
+
+const ClusterMessage = mongoose.model('ClusterMessage', clusterMessageSchema);
+
+module.exports = { ClusterMessage, clusterMessageSchema };
@@ -28,6 +28,12 @@ const playerResultSchema = new mongoose.Schema({
   longestStreak: {
     type: Number,
     default: 0
+  },
+  // Signed-in players only; used to find a player's past games by account
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: undefined
   }
 }, { _id: false });
 
@@ -42,12 +48,30 @@ const answerRecordSchema = new mongoose.Schema({
   },
   answerIndex: {
     type: Number,
-    required: true
+    // MULTI_SELECT answers are stored in answerIndices and NUMERIC / TYPE_ANSWER / HOTSPOT answers in answerValue instead
+    required: function() {
+      return (!this.answerIndices || this.answerIndices.length === 0) &&
+        (this.answerValue === null || this.answerValue === undefined);
+    }
+  },
+  answerIndices: {
+    type: [Number],
+    default: undefined
+  },
+  // A number for NUMERIC answers, the typed text for TYPE_ANSWER / WORD_CLOUD answers, { x, y } for HOTSPOT clicks
+  answerValue: {
+    type: mongoose.Schema.Types.Mixed,
+    default: undefined
   },
   isCorrect: {
     type: Boolean,
     required: true
   },
+  // Poll answers are neither correct nor wrong and are left out of accuracy stats
+  isPoll: {
+    type: Boolean,
+    default: undefined
+  },
   responseTimeMs: {
     type: Number,
     required: true
@@ -59,6 +83,86 @@ const answerRecordSchema = new mongoose.Schema({
   streak: {
     type: Number,
     default: 0
+  },
+  // Confidence wagered on the answer, when the quiz allows wagers
+  confidence: {
+    type: String,
+    enum: ['LOW', 'MEDIUM', 'HIGH'],
+    default: undefined
+  },
+  // Points lost to negative marking
+  penalty: {
+    type: Number,
+    default: undefined
+  }
+}, { _id: false });
+
+// An answer a team submitted together, decided from its members' proposals
+const teamAnswerSchema = new mongoose.Schema({
+  teamName: {
+    type: String,
+    required: true
+  },
+  questionIndex: {
+    type: Number,
+    required: true
+  },
+  answerIndex: {
+    type: Number,
+    default: null
+  },
+  answerIndices: {
+    type: [Number],
+    default: undefined
+  },
+  answerValue: {
+    type: mongoose.Schema.Types.Mixed,
+    default: undefined
+  },
+  isCorrect: {
+    type: Boolean,
+    required: true
+  },
+  isPoll: {
+    type: Boolean,
+    default: undefined
+  },
+  responseTimeMs: {
+    type: Number,
+    default: 0
+  },
+  // Negative when negative marking took points away
+  score: {
+    type: Number,
+    default: 0
+  },
+  streak: {
+    type: Number,
+    default: 0
+  },
+  rule: {
+    type: String,
+    enum: ['MAJORITY', 'CAPTAIN'],
+    required: true
+  },
+  proposalCount: {
+    type: Number,
+    default: 0
+  }
+}, { _id: false });
+
+const wordCloudSchema = new mongoose.Schema({
+  questionIndex: {
+    type: Number,
+    required: true
+  },
+  words: {
+    type: [{
+      _id: false,
+      text: { type: String, required: true },
+      count: { type: Number, required: true }
+    }],
+    default: []
   }
 }, { _id: false });
 
@@ -97,6 +201,26 @@ const gameSessionSchema = new mongoose.Schema({
     type: [answerRecordSchema],
     default: []
   },
+  // Final word clouds of WORD_CLOUD questions
+  wordClouds: {
+    type: [wordCloudSchema],
+    default: []
+  },
+  // Ids of the quiz questions played, in game order; answers' questionIndex points into this list
+  questionIds: {
+    type: [String],
+    default: undefined
+  },
+  // Adaptive games only: index into questionIds of the question played in each round
+  questionSequence: {
+    type: [Number],
+    default: undefined
+  },
+  // Team answer games only: the answer each team submitted for each question
+  teamAnswers: {
+    type: [teamAnswerSchema],
+    default: undefined
+  },
   startedAt: {
     type: Date,
     required: true
@@ -153,4 +277,4 @@ gameSessionSchema.pre('save', function(next) {
 
 const GameSession = mongoose.model('GameSession', gameSessionSchema);
 
-module.exports = { GameSession, gameSessionSchema };
+module.exports = { GameSession, gameSessionSchema, answerRecordSchema };
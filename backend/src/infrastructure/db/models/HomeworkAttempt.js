@@ -0,0 +1,101 @@
+const mongoose = require('mongoose');
+const { answerRecordSchema } = require('./GameSession');
+
+/**
+ * One student's self-paced play of a classroom assignment.
+ * Answers use the same record shape as live game sessions.
+ */
+const homeworkAttemptSchema = new mongoose.Schema({
+  classroom: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Classroom',
+    required: true
+  },
+  // _id of the entry in Classroom.assignedQuizzes
+  assignment: {
+    type: mongoose.Schema.Types.ObjectId,
+    required: true
+  },
+  quiz: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Quiz',
+    required: true
+  },
+  nickname: {
+    type: String,
+    required: true
+  },
+  totalQuestions: {
+    type: Number,
+    required: true
+  },
+  // Ids of the quiz questions drawn for this attempt, in play order.
+  // Adaptive attempts reorder the unplayed ones after every answer
+  questionIds: {
+    type: [String],
+    default: undefined
+  },
+  adaptive: {
+    type: Boolean,
+    default: false
+  },
+  // Question being answered and when the server handed it out; the timer runs from there.
+  // Null between questions, until the student asks for the next one
+  currentQuestionIndex: {
+    type: Number,
+    default: 0
+  },
+  questionStartedAt: {
+    type: Date,
+    default: null
+  },
+  score: {
+    type: Number,
+    default: 0
+  },
+  streak: {
+    type: Number,
+    default: 0
+  },
+  longestStreak: {
+    type: Number,
+    default: 0
+  },
+  correctAnswers: {
+    type: Number,
+    default: 0
+  },
+  wrongAnswers: {
+    type: Number,
+    default: 0
+  },
+  averageResponseTime: {
+    type: Number,
+    default: 0
+  },
+  answers: {
+    type: [answerRecordSchema],
+    default: []
+  },
+  status: {
+    type: String,
+    enum: ['in_progress', 'completed'],
+    default: 'in_progress'
+  },
+  startedAt: {
+    type: Date,
+    default: Date.now
+  },
+  completedAt: {
+    type: Date,
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+homeworkAttemptSchema.index({ classroom: 1, assignment: 1, nickname: 1 });
+
+const HomeworkAttempt = mongoose.model('HomeworkAttempt', homeworkAttemptSchema);
+
+module.exports = { HomeworkAttempt, homeworkAttemptSchema };
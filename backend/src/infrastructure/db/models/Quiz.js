@@ -1,4 +1,57 @@
 const mongoose = require('mongoose');
+const { MAX_BANK_QUESTIONS, MAX_QUESTION_POOLS, MAX_POOL_NAME_LENGTH } = require('../../../shared/config/constants');
+
+// Types answered with a free value instead of picking options
+const OPTIONLESS_TYPES = ['NUMERIC', 'TYPE_ANSWER', 'WORD_CLOUD', 'HOTSPOT'];
+
+// Correct area of a HOTSPOT image; coordinates are fractions of the image size
+const hotspotRegionSchema = new mongoose.Schema({
+  shape: {
+    type: String,
+    enum: ['circle', 'polygon'],
+    required: true
+  },
+  // Circle center and radius
+  x: { type: Number, min: 0, max: 1 },
+  y: { type: Number, min: 0, max: 1 },
+  radius: { type: Number, min: 0, max: 0.5 },
+  // Polygon corners
+  points: {
+    type: [{
+      _id: false,
+      x: { type: Number, min: 0, max: 1, required: true },
+      y: { type: Number, min: 0, max: 1, required: true }
+    }],
+    default: undefined
+  }
+}, { _id: false });
+
+// How answers are scored; the preset names the intent, the numbers are what scoring uses
+const scoringProfileSchema = new mongoose.Schema({
+  preset: {
+    type: String,
+    enum: ['STANDARD', 'SPEED', 'ACCURACY_ONLY', 'NO_STREAKS', 'CUSTOM'],
+    default: 'STANDARD'
+  },
+  timeCurve: {
+    type: String,
+    enum: ['LINEAR', 'EASE_IN', 'EASE_OUT'],
+    default: 'LINEAR'
+  },
+  minTimeFactor: { type: Number, min: 0, max: 1, default: 0.5 },
+  streakBonusStep: { type: Number, min: 0, max: 500, default: 100 },
+  maxStreakBonus: { type: Number, min: 0, max: 1500, default: 1500 },
+  // Negative marking and confidence wagers combine with any preset
+  wrongAnswerPenalty: { type: Number, min: 0, max: 1, default: 0 },
+  confidenceWagers: { type: Boolean, default: false }
+}, { _id: false });
+
+// Questions of which a game plays only drawCount, picked at random; ids are of questions in this quiz
+const questionPoolSchema = new mongoose.Schema({
+  name: { type: String, required: true, trim: true, maxlength: MAX_POOL_NAME_LENGTH },
+  questionIds: { type: [String], default: [] },
+  drawCount: { type: Number, min: 1, required: true }
+}, { _id: false });
 
 const questionSchema = new mongoose.Schema({
   text: {
@@ -8,14 +61,18 @@ const questionSchema = new mongoose.Schema({
   },
   type: {
     type: String,
-    enum: ['MULTIPLE_CHOICE', 'TRUE_FALSE'],
+    enum: ['MULTIPLE_CHOICE', 'TRUE_FALSE', 'MULTI_SELECT', 'ORDERING', 'MATCHING', 'NUMERIC', 'TYPE_ANSWER', 'WORD_CLOUD', 'HOTSPOT'],
     default: 'MULTIPLE_CHOICE'
   },
   options: {
     type: [String],
-    required: true,
+    // NUMERIC, TYPE_ANSWER, WORD_CLOUD and HOTSPOT questions are answered with a free value and have no options
+    required: function() {
+      return !OPTIONLESS_TYPES.includes(this.type);
+    },
     validate: {
       validator: function(v) {
+        if (OPTIONLESS_TYPES.includes(this.type)) return v.length === 0;
         return v.length >= 2 && v.length <= 6;
       },
       message: 'Options must have 2-6 items'
@@ -23,9 +80,108 @@ const questionSchema = new mongoose.Schema({
   },
   correctAnswerIndex: {
     type: Number,
-    required: true,
+    required: function() {
+      return !this.isPoll && !['MULTI_SELECT', 'ORDERING', 'MATCHING', ...OPTIONLESS_TYPES].includes(this.type);
+    },
     min: 0
   },
+  correctAnswerIndices: {
+    type: [Number],
+    default: undefined,
+    validate: {
+      validator: function(v) {
+        return !v || v.every(i => Number.isInteger(i) && i >= 0);
+      },
+      message: 'Correct answer indices must be non-negative integers'
+    }
+  },
+  correctOrder: {
+    type: [Number],
+    default: undefined,
+    validate: {
+      validator: function(v) {
+        return !v || v.every(i => Number.isInteger(i) && i >= 0);
+      },
+      message: 'Correct order must contain non-negative integers'
+    }
+  },
+  // MATCHING right column, one item per option
+  matchTargets: {
+    type: [String],
+    default: undefined,
+    validate: {
+      validator: function(v) {
+        if (this.type !== 'MATCHING') return true;
+        return Array.isArray(v) && v.length === this.options.length && v.every(t => t.trim().length > 0);
+      },
+      message: 'Matching questions need one non-empty match target per option'
+    }
+  },
+  // MATCHING answer key: the matchTargets index paired with each option
+  correctMatches: {
+    type: [Number],
+    default: undefined,
+    validate: {
+      validator: function(v) {
+        return !v || v.every(i => Number.isInteger(i) && i >= 0);
+      },
+      message: 'Correct matches must contain non-negative integers'
+    }
+  },
+  correctValue: {
+    type: Number,
+    required: function() {
+      return this.type === 'NUMERIC';
+    }
+  },
+  tolerance: {
+    type: Number,
+    min: 0,
+    default: undefined
+  },
+  unit: {
+    type: String,
+    trim: true,
+    maxlength: 20,
+    default: undefined
+  },
+  acceptedAnswers: {
+    type: [String],
+    default: undefined,
+    validate: {
+      validator: function(v) {
+        if (this.type !== 'TYPE_ANSWER') return true;
+        return Array.isArray(v) && v.length >= 1 && v.length <= 10 &&
+          v.every(a => a.trim().length > 0 && a.length <= 100);
+      },
+      message: 'Accepted answers must have 1-10 items of up to 100 characters'
+    }
+  },
+  fuzzyMatching: {
+    type: Boolean,
+    default: undefined
+  },
+  hotspotRegions: {
+    type: [hotspotRegionSchema],
+    default: undefined,
+    validate: {
+      validator: function(v) {
+        if (this.type !== 'HOTSPOT') return true;
+        return Array.isArray(v) && v.length >= 1 && v.length <= 5;
+      },
+      message: 'Hotspot questions must have 1-5 regions'
+    }
+  },
+  hotspotScoring: {
+    type: String,
+    enum: ['HIT', 'DISTANCE'],
+    default: undefined
+  },
+  // Polls collect opinions: no answer key, no points
+  isPoll: {
+    type: Boolean,
+    default: undefined
+  },
   timeLimit: {
     type: Number,
     default: 30,
@@ -44,6 +200,17 @@ const questionSchema = new mongoose.Schema({
     type: String,
     maxlength: 500,
     default: ''
+  },
+  hint: {
+    type: String,
+    maxlength: 200,
+    default: ''
+  },
+  // Adaptive games pick the next question by this
+  difficulty: {
+    type: String,
+    enum: ['EASY', 'MEDIUM', 'HARD'],
+    default: 'MEDIUM'
   }
 }, { _id: true });
 
@@ -104,9 +271,19 @@ const quizSchema = new mongoose.Schema({
     default: [],
     validate: {
       validator: function(v) {
-        return v.length <= 50;
+        return v.length <= MAX_BANK_QUESTIONS;
       },
-      message: 'Quiz cannot have more than 50 questions'
+      message: `Quiz cannot have more than ${MAX_BANK_QUESTIONS} questions`
+    }
+  },
+  questionPools: {
+    type: [questionPoolSchema],
+    default: [],
+    validate: {
+      validator: function(v) {
+        return v.length <= MAX_QUESTION_POOLS;
+      },
+      message: `Quiz cannot have more than ${MAX_QUESTION_POOLS} question pools`
     }
   },
   isPublic: {
@@ -124,6 +301,10 @@ const quizSchema = new mongoose.Schema({
   ratingCount: {
     type: Number,
     default: 0
+  },
+  scoringProfile: {
+    type: scoringProfileSchema,
+    default: undefined
   }
 }, {
   timestamps: true
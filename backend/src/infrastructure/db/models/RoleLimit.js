@@ -0,0 +1,24 @@
+const mongoose = require('mongoose');
+
+/**
+ * Limits an admin set for everyone with a role, e.g. how many players their rooms can take.
+ * Roles without a document keep the defaults (ROOM_CAPACITY_BY_ROLE).
+ */
+const roleLimitSchema = new mongoose.Schema({
+  role: {
+    type: String,
+    enum: ['user', 'admin'],
+    required: true,
+    unique: true
+  },
+  maxRoomCapacity: {
+    type: Number,
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+const RoleLimit = mongoose.model('RoleLimit', roleLimitSchema);
+
+module.exports = { RoleLimit, roleLimitSchema };
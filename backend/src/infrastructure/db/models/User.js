@@ -29,6 +29,11 @@ const userSchema = new mongoose.Schema({
     type: Boolean,
     default: true
   },
+  // Most players the user's rooms can take, set by an admin (null = the role's limit)
+  maxRoomCapacity: {
+    type: Number,
+    default: null
+  },
   passwordResetToken: {
     type: String,
     default: null
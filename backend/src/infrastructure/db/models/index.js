@@ -4,6 +4,11 @@ const { GameSession, gameSessionSchema } = require('./GameSession');
 const { AuditLog, auditLogSchema } = require('./AuditLog');
 const { QuizRating } = require('./QuizRating');
 const { Classroom, classroomSchema } = require('./Classroom');
+const { HomeworkAttempt, homeworkAttemptSchema } = require('./HomeworkAttempt');
+const { ActiveRoom, activeRoomSchema } = require('./ActiveRoom');
+const { ClusterMessage, clusterMessageSchema } = require('./ClusterMessage');
+const { ClusterLease, clusterLeaseSchema } = require('./ClusterLease');
+const { RoleLimit, roleLimitSchema } = require('./RoleLimit');
 
 module.exports = {
   User,
@@ -17,5 +22,15 @@ module.exports = {
   auditLogSchema,
   QuizRating,
   Classroom,
-  classroomSchema
+  classroomSchema,
+  HomeworkAttempt,
+  homeworkAttemptSchema,
+  ActiveRoom,
+  activeRoomSchema,
+  ClusterMessage,
+  clusterMessageSchema,
+  ClusterLease,
+  clusterLeaseSchema,
+  RoleLimit,
+  roleLimitSchema
 };
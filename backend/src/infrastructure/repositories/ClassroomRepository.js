@@ -20,7 +20,7 @@ class ClassroomRepository {
   }
 
   async findByJoinCode(joinCode) {
-    return Classroom.findOne({ joinCode, isActive: true });
+    return Classroom.findOne({ joinCode, isActive: true }).populate('assignedQuizzes.quiz', 'title description');
   }
 
   async update(id, data) {
@@ -45,10 +45,10 @@ class ClassroomRepository {
     );
   }
 
-  async assignQuiz(classroomId, quizId, dueDate = null) {
+  async assignQuiz(classroomId, quizId, dueDate = null, adaptive = false) {
     return Classroom.findByIdAndUpdate(
       classroomId,
-      { $push: { assignedQuizzes: { quiz: quizId, dueDate } } },
+      { $push: { assignedQuizzes: { quiz: quizId, dueDate, adaptive } } },
       { new: true }
     ).populate('assignedQuizzes.quiz', 'title description');
   }
@@ -63,9 +63,9 @@ class ClassroomRepository {
     return classroom;
   }
 
-  async markQuizCompleted(classroomId, quizId, nickname) {
+  async markAssignmentCompleted(classroomId, assignmentId, nickname) {
     return Classroom.findOneAndUpdate(
-      { _id: classroomId, 'assignedQuizzes.quiz': quizId },
+      { _id: classroomId, 'assignedQuizzes._id': assignmentId },
       { $addToSet: { 'assignedQuizzes.$.completedBy': nickname } },
       { new: true }
     );
@@ -32,6 +32,10 @@ class GameSessionRepository {
       playerCount: doc.playerCount,
       playerResults: doc.playerResults || [],
       answers: doc.answers || [],
+      wordClouds: doc.wordClouds || [],
+      questionIds: doc.questionIds || [],
+      questionSequence: doc.questionSequence || [],
+      teamAnswers: doc.teamAnswers || [],
       startedAt: doc.startedAt,
       endedAt: doc.endedAt,
       status: doc.status,
@@ -58,6 +62,10 @@ class GameSessionRepository {
       playerCount: data.playerCount,
       playerResults: data.playerResults,
       answers: data.answers,
+      wordClouds: data.wordClouds || [],
+      questionIds: data.questionIds,
+      questionSequence: data.questionSequence,
+      teamAnswers: data.teamAnswers,
       startedAt: data.startedAt,
       endedAt: data.endedAt,
       status: data.status
@@ -264,7 +272,17 @@ class GameSessionRepository {
           totalGames: { $sum: 1 },
           totalPlayers: { $sum: '$playerCount' },
           totalDuration: { $sum: '$durationSeconds' },
-          totalAnswers: { $sum: { $size: '$answers' } },
+          totalAnswers: {
+            $sum: {
+              $size: {
+                $filter: {
+                  input: '$answers',
+                  as: 'a',
+                  cond: { $ne: ['$$a.isPoll', true] }
+                }
+              }
+            }
+          },
           totalCorrectAnswers: {
             $sum: {
               $size: {
@@ -312,6 +330,40 @@ class GameSessionRepository {
     };
   }
 
+  /**
+   * Correct and wrong answer totals of every player in a host's latest games, for balancing teams.
+   * Results are grouped per account and nickname; matching them to the players in a room is left to the caller.
+   * @param {string} hostId - Host user ID
+   * @param {Object} [options]
+   * @param {number} [options.sessionLimit] - How many of the latest games to look at
+   * @returns {Promise<Array<{userId: string|null, nickname: string, correctAnswers: number, wrongAnswers: number}>>}
+   */
+  async getPlayerHistory(hostId, { sessionLimit = 50 } = {}) {
+    const rows = await GameSessionModel.aggregate([
+      { $match: { host: new mongoose.Types.ObjectId(hostId) } },
+      { $sort: { createdAt: -1 } },
+      { $limit: sessionLimit },
+      { $unwind: '$playerResults' },
+      {
+        $group: {
+          _id: {
+            userId: '$playerResults.userId',
+            nickname: '$playerResults.nickname'
+          },
+          correctAnswers: { $sum: '$playerResults.correctAnswers' },
+          wrongAnswers: { $sum: '$playerResults.wrongAnswers' }
+        }
+      }
+    ]);
+
+    return rows.map(row => ({
+      userId: row._id.userId ? row._id.userId.toString() : null,
+      nickname: row._id.nickname,
+      correctAnswers: row.correctAnswers,
+      wrongAnswers: row.wrongAnswers
+    }));
+  }
+
   /**
    * Get detailed session with all answers (populated)
    * @param {string} sessionId - Session ID
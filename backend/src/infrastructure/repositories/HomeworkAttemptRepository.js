@@ -0,0 +1,45 @@
+const mongoose = require('mongoose');
+const { HomeworkAttempt } = require('../db/models/HomeworkAttempt');
+
+class HomeworkAttemptRepository {
+  async create(data) {
+    const doc = new HomeworkAttempt(data);
+    await doc.save();
+    return doc;
+  }
+
+  async findById(id) {
+    if (!mongoose.Types.ObjectId.isValid(id)) return null;
+    return HomeworkAttempt.findById(id);
+  }
+
+  async findInProgress(classroomId, assignmentId, nickname) {
+    return HomeworkAttempt.findOne({ classroom: classroomId, assignment: assignmentId, nickname, status: 'in_progress' });
+  }
+
+  async findCompletedByClassroom(classroomId) {
+    return HomeworkAttempt.find({ classroom: classroomId, status: 'completed' })
+      .select('-answers')
+      .sort({ completedAt: -1 });
+  }
+
+  async update(id, data) {
+    return HomeworkAttempt.findByIdAndUpdate(id, data, { new: true });
+  }
+
+  /**
+   * Apply the result of answering a question, unless the attempt is no longer on it
+   * @returns {Promise<Object|null>} The updated attempt, or null when another answer got there first
+   */
+  async advance(id, questionIndex, data) {
+    return HomeworkAttempt.findOneAndUpdate(
+      { _id: id, currentQuestionIndex: questionIndex, status: 'in_progress' },
+      data,
+      { new: true }
+    );
+  }
+}
+
+const homeworkAttemptRepository = new HomeworkAttemptRepository();
+
+module.exports = { HomeworkAttemptRepository, homeworkAttemptRepository };
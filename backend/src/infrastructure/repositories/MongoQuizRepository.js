@@ -1,5 +1,7 @@
+const mongoose = require('mongoose');
 const { Quiz: QuizModel } = require('../db/models');
 const { Quiz, Question } = require('../../domain/entities');
+const { HotspotRegion, ScoringProfile, QuestionPool } = require('../../domain/value-objects');
 const { sanitizePagination, buildPaginationResult } = require('../../shared/utils/pagination');
 const { MAX_RAW_QUERY_LENGTH, MAX_ESCAPED_QUERY_LENGTH } = require('../../shared/config/constants');
 
@@ -31,6 +33,41 @@ class MongoQuizRepository {
     }
   }
 
+  /**
+   * Restore the scoring profile from database - corrupt settings fall back to standard scoring
+   * @private
+   */
+  _toScoringProfile(profile) {
+    try {
+      return ScoringProfile.from(profile && profile.preset ? profile : null);
+    } catch (error) {
+      console.warn(`Invalid scoringProfile in database: ${error.message}`);
+      return ScoringProfile.STANDARD;
+    }
+  }
+
+  /**
+   * Restore question pools from database - ids of questions that no longer exist are dropped
+   * and a pool that cannot be restored plays all of its questions
+   * @private
+   */
+  _toQuestionPools(pools, questions) {
+    const questionIds = new Set(questions.map(q => q.id));
+    return (pools || []).flatMap(pool => {
+      try {
+        const poolQuestionIds = (pool.questionIds || []).map(String).filter(id => questionIds.has(id));
+        return [new QuestionPool({
+          name: pool.name,
+          questionIds: poolQuestionIds,
+          drawCount: Math.min(pool.drawCount, poolQuestionIds.length)
+        })];
+      } catch (error) {
+        console.warn(`Invalid question pool in database: ${error.message}`);
+        return [];
+      }
+    });
+  }
+
   /**
    * Convert Mongoose document to Domain entity
    * Handles potential corrupt data gracefully
@@ -46,10 +83,24 @@ class MongoQuizRepository {
           type: q.type,
           options: q.options,
           correctAnswerIndex: q.correctAnswerIndex,
+          correctAnswerIndices: q.correctAnswerIndices,
+          correctOrder: q.correctOrder,
+          matchTargets: q.matchTargets,
+          correctMatches: q.correctMatches,
+          correctValue: q.correctValue,
+          tolerance: q.tolerance,
+          unit: q.unit || '',
+          acceptedAnswers: q.acceptedAnswers,
+          fuzzyMatching: q.fuzzyMatching === true,
+          hotspotRegions: q.hotspotRegions,
+          hotspotScoring: q.hotspotScoring,
+          isPoll: q.isPoll === true,
           timeLimit: q.timeLimit,
           points: q.points,
           imageUrl: this._sanitizeImageUrl(q.imageUrl),
-          explanation: q.explanation || ''
+          explanation: q.explanation || '',
+          hint: q.hint || '',
+          difficulty: q.difficulty || 'MEDIUM'
         });
       } catch (error) {
         // Log but don't fail - return question with sanitized defaults
@@ -60,15 +111,57 @@ class MongoQuizRepository {
         const safeCorrectIndex = (q.correctAnswerIndex >= 0 && q.correctAnswerIndex < safeOptions.length)
           ? q.correctAnswerIndex
           : 0;
+        // Same bounds check for MULTI_SELECT answer sets, falling back to the first option
+        const inRangeIndices = [...new Set(q.correctAnswerIndices || [])]
+          .filter(i => i >= 0 && i < safeOptions.length);
+        const safeCorrectIndices = inRangeIndices.length > 0 ? inRangeIndices : [0];
+        // ORDERING falls back to the stored option order
+        const safeCorrectOrder = safeOptions.map((_, i) => i);
+        // MATCHING keeps its targets when there is one per option, paired in stored order
+        const safeMatchTargets = Array.isArray(q.matchTargets) && q.matchTargets.length === safeOptions.length &&
+          q.matchTargets.every(t => typeof t === 'string' && t.trim().length > 0)
+          ? q.matchTargets
+          : safeOptions.map((_, i) => `Match ${i + 1}`);
+        const safeCorrectMatches = safeOptions.map((_, i) => i);
+        // NUMERIC keys fall back to an exact answer of 0 without a unit
+        const safeCorrectValue = Number.isFinite(q.correctValue) ? q.correctValue : 0;
+        const safeTolerance = Number.isFinite(q.tolerance) && q.tolerance >= 0 ? q.tolerance : 0;
+        const safeUnit = typeof q.unit === 'string' && q.unit.length <= 20 ? q.unit : '';
+        // TYPE_ANSWER keeps its usable accepted answers, or a placeholder when none survive
+        const usableAnswers = (q.acceptedAnswers || [])
+          .filter(a => typeof a === 'string' && a.trim().length > 0 && a.length <= 100)
+          .slice(0, 10);
+        const safeAcceptedAnswers = usableAnswers.length > 0 ? usableAnswers : ['Answer missing'];
+        // HOTSPOT keeps its usable regions, or a circle in the middle of the image when none survive;
+        // without a usable image it cannot be answered and falls back to a placeholder multiple choice
+        const usableRegions = (q.hotspotRegions || [])
+          .map(r => (typeof r.toObject === 'function' ? r.toObject() : r))
+          .filter(r => HotspotRegion.isValid(r))
+          .slice(0, 5);
+        const safeHotspotRegions = usableRegions.length > 0 ? usableRegions : [{ shape: 'circle', x: 0.5, y: 0.5, radius: 0.1 }];
+        const safeHotspotImage = q.type === 'HOTSPOT' ? this._sanitizeImageUrl(q.imageUrl) : null;
+        const safeType = q.type === 'HOTSPOT' && !safeHotspotImage ? 'MULTIPLE_CHOICE' : (q.type || 'MULTIPLE_CHOICE');
         return new Question({
           id: q._id.toString(),
           text: q.text || 'Question text missing',
-          type: q.type || 'MULTIPLE_CHOICE',
+          type: safeType,
           options: safeOptions,
           correctAnswerIndex: safeCorrectIndex,
+          correctAnswerIndices: safeCorrectIndices,
+          correctOrder: safeCorrectOrder,
+          matchTargets: safeMatchTargets,
+          correctMatches: safeCorrectMatches,
+          correctValue: safeCorrectValue,
+          tolerance: safeTolerance,
+          unit: safeUnit,
+          acceptedAnswers: safeAcceptedAnswers,
+          fuzzyMatching: q.fuzzyMatching === true,
+          hotspotRegions: safeHotspotRegions,
+          hotspotScoring: q.hotspotScoring === 'DISTANCE' ? 'DISTANCE' : 'HIT',
+          isPoll: q.isPoll === true,
           timeLimit: q.timeLimit >= 5 && q.timeLimit <= 120 ? q.timeLimit : 30,
           points: q.points >= 100 && q.points <= 10000 ? q.points : 1000,
-          imageUrl: null
+          imageUrl: safeHotspotImage
         });
       }
     });
@@ -86,7 +179,9 @@ class MongoQuizRepository {
       tags: doc.tags || [],
       slug: doc.slug || null,
       averageRating: doc.averageRating || 0,
-      ratingCount: doc.ratingCount || 0
+      ratingCount: doc.ratingCount || 0,
+      scoringProfile: this._toScoringProfile(doc.scoringProfile),
+      questionPools: this._toQuestionPools(doc.questionPools, questions)
     });
   }
 
@@ -94,6 +189,12 @@ class MongoQuizRepository {
    * Convert Domain entity to plain object for Mongoose
    */
   _toDocument(quiz) {
+    // Saved questions keep their ids so question pools and archived games can refer to them;
+    // new ones get theirs here, and pools listing them are pointed at the new id
+    const documentIds = new Map(quiz.questions.map(q => [
+      q.id,
+      this._isValidObjectId(q.id) ? q.id : new mongoose.Types.ObjectId().toString()
+    ]));
     const doc = {
       title: quiz.title,
       description: quiz.description,
@@ -101,16 +202,37 @@ class MongoQuizRepository {
       tags: quiz.tags || [],
       createdBy: quiz.createdBy,
       questions: quiz.questions.map(q => ({
+        _id: documentIds.get(q.id),
         text: q.text,
         type: q.type,
         options: q.options,
         correctAnswerIndex: q.correctAnswerIndex,
+        correctAnswerIndices: q.correctAnswerIndices,
+        correctOrder: q.correctOrder,
+        matchTargets: q.matchTargets || undefined,
+        correctMatches: q.correctMatches || undefined,
+        correctValue: q.correctValue,
+        tolerance: q.tolerance,
+        unit: q.unit,
+        acceptedAnswers: q.acceptedAnswers,
+        fuzzyMatching: q.fuzzyMatching,
+        hotspotRegions: q.hotspotRegions ? q.hotspotRegions.map(region => region.toJSON()) : undefined,
+        hotspotScoring: q.hotspotScoring || undefined,
+        isPoll: q.isPoll,
         timeLimit: q.timeLimit,
         points: q.points,
         imageUrl: q.imageUrl,
-        explanation: q.explanation || ''
+        explanation: q.explanation || '',
+        hint: q.hint || '',
+        difficulty: q.difficulty
       })),
-      isPublic: quiz.isPublic
+      isPublic: quiz.isPublic,
+      scoringProfile: quiz.scoringProfile ? quiz.scoringProfile.toJSON() : undefined,
+      questionPools: (quiz.questionPools || []).map(pool => ({
+        name: pool.name,
+        questionIds: pool.questionIds.map(id => documentIds.get(id)),
+        drawCount: pool.drawCount
+      }))
     };
     if (quiz.slug) {
       doc.slug = quiz.slug;
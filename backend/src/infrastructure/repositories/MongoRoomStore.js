@@ -0,0 +1,97 @@
+const { ActiveRoom } = require('../db/models/ActiveRoom');
+const { RoomState } = require('../../domain/entities');
+
+/**
+ * Mongo Room Store
+ * Keeps a copy of every live room in MongoDB for RoomRepository, so active games
+ * can be restored after a restart. Rooms go in as Room.toSnapshot() and come back
+ * the same way; answering timers are kept next to their room.
+ */
+class MongoRoomStore {
+  /**
+   * @param {string} pin
+   * @param {Object} snapshot - Room.toSnapshot()
+   */
+  async save(pin, snapshot) {
+    await ActiveRoom.updateOne(
+      { pin },
+      {
+        $set: {
+          snapshot: JSON.stringify(snapshot),
+          hostUserId: snapshot.hostUserId || null,
+          state: snapshot.state,
+          updatedAt: new Date()
+        }
+      },
+      { upsert: true }
+    );
+  }
+
+  async delete(pin) {
+    await ActiveRoom.deleteOne({ pin });
+  }
+
+  /**
+   * Timers never create a room of their own: one saved after its room is gone is dropped
+   * @param {string} pin
+   * @param {Object} timer - GameTimerService.getTimerState()
+   */
+  async saveTimer(pin, timer) {
+    await ActiveRoom.updateOne({ pin }, { $set: { timer } });
+  }
+
+  async deleteTimer(pin) {
+    await ActiveRoom.updateOne({ pin }, { $set: { timer: null } });
+  }
+
+  /**
+   * One saved room; a snapshot that cannot be read comes back as null
+   * @param {string} pin
+   * @returns {Promise<{ pin: string, snapshot: Object|null, timer: Object|null }|null>}
+   */
+  async load(pin) {
+    const doc = await ActiveRoom.findOne({ pin }).lean();
+    return doc ? toSavedRoom(doc) : null;
+  }
+
+  /**
+   * Every saved room; one whose snapshot cannot be read comes back with snapshot null
+   * @returns {Promise<Array<{ pin: string, snapshot: Object|null, timer: Object|null }>>}
+   */
+  async loadAll() {
+    const docs = await ActiveRoom.find().lean();
+    return docs.map(toSavedRoom);
+  }
+
+  /**
+   * @returns {Promise<string[]>}
+   */
+  async listPins() {
+    const docs = await ActiveRoom.find({}, { pin: 1 }).lean();
+    return docs.map(doc => doc.pin);
+  }
+
+  /**
+   * Pin of the host's room that has not finished yet, whichever server runs it
+   * @param {string} hostUserId
+   * @returns {Promise<string|null>}
+   */
+  async findPinByHostUserId(hostUserId) {
+    const doc = await ActiveRoom.findOne({ hostUserId, state: { $ne: RoomState.PODIUM } }, { pin: 1 }).lean();
+    return doc ? doc.pin : null;
+  }
+}
+
+const toSavedRoom = (doc) => {
+  let snapshot = null;
+  try {
+    snapshot = JSON.parse(doc.snapshot);
+  } catch {
+    // Left null for the repository to discard
+  }
+  return { pin: doc.pin, snapshot, timer: doc.timer || null };
+};
+
+const mongoRoomStore = new MongoRoomStore();
+
+module.exports = { MongoRoomStore, mongoRoomStore };
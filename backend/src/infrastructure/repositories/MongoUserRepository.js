@@ -24,6 +24,7 @@ class MongoUserRepository {
       password: includePassword ? doc.password : null,
       role: doc.role,
       isActive: doc.isActive,
+      maxRoomCapacity: doc.maxRoomCapacity ?? null,
       passwordResetToken: doc.passwordResetToken,
       passwordResetExpires: doc.passwordResetExpires,
       createdAt: doc.createdAt,
@@ -0,0 +1,34 @@
+const { RoleLimit } = require('../db/models/RoleLimit');
+
+/**
+ * Role Limit Repository
+ * Limits an admin set per role
+ */
+class RoleLimitRepository {
+  /**
+   * Room capacity limits an admin set, by role (roles left at the default are missing)
+   * @returns {Promise<Object>} role -> players
+   */
+  async getRoomCapacityLimits() {
+    const docs = await RoleLimit.find({ maxRoomCapacity: { $ne: null } }).lean();
+    return Object.fromEntries(docs.map(doc => [doc.role, doc.maxRoomCapacity]));
+  }
+
+  /**
+   * Set the room capacity limit of a role
+   * @param {string} role
+   * @param {number|null} maxRoomCapacity - null = back to the default
+   * @returns {Promise<void>}
+   */
+  async setRoomCapacityLimit(role, maxRoomCapacity) {
+    await RoleLimit.findOneAndUpdate(
+      { role },
+      { maxRoomCapacity },
+      { upsert: true, setDefaultsOnInsert: true }
+    );
+  }
+}
+
+const roleLimitRepository = new RoleLimitRepository();
+
+module.exports = { RoleLimitRepository, roleLimitRepository };
@@ -1,33 +1,35 @@
 /**
- * In-memory Room Repository
- * Stores rooms in memory for real-time game sessions
+ * Room Repository
+ * Keeps rooms in memory for real-time game sessions. With a store attached, every saved
+ * or deleted room is also written behind to it (latest state per room, in order), so active
+ * games can be restored after a server restart; reads are always served from memory.
  *
- * TODO: Redis Integration & Recovery Mechanism
- * =============================================
- * Current limitations:
- * 1. Data is lost on server restart - all active games are terminated
- * 2. Single-server only - cannot scale horizontally
- * 3. No recovery mechanism for interrupted games
+ * When several server processes share the store, each room lives in the memory of the one
+ * that owns it (see RoomOwnership): saving a new room claims it, deleting one gives it up, and
+ * a room whose process went away is brought back with restoreRoom(). Lookups only see the rooms
+ * of this process; socket events reach the owner through RoomEventRouter.
  *
- * Future implementation with Redis:
- * - Replace Map with Redis client (ioredis recommended)
- * - Serialize Room entities to JSON for storage
- * - Implement pub/sub for multi-server synchronization
- * - Add session recovery: on startup, restore active rooms from Redis
- * - Implement TTL-based auto-cleanup for abandoned rooms
- * - Consider Redis Cluster for high availability
- *
- * Recovery mechanism requirements:
- * - Store room state with timestamp on each save
- * - On server restart, emit 'room_recovered' event to reconnecting clients
- * - Handle timer state restoration (pause/resume logic)
- * - Notify players of recovery with sync data
+ * A store implements:
+ * - save(pin, snapshot) / delete(pin): keep or drop a room's Room.toSnapshot()
+ * - saveTimer(pin, timer) / deleteTimer(pin): the answering timer, used by GameTimerService
+ * - load(pin) / loadAll(): { pin, snapshot, timer } for one or every saved room
+ * - listPins(): pins of every saved room
+ * - findPinByHostUserId(hostUserId): pin of a host's saved room that has not finished
  */
-const { RoomState } = require('../../domain/entities');
+const { Room, RoomState } = require('../../domain/entities');
 
 class RoomRepository {
-  constructor() {
+  /**
+   * @param {Object} [options]
+   * @param {Object|null} [options.store] - Persistent room store (e.g. MongoRoomStore); null keeps rooms in memory only
+   */
+  constructor({ store = null } = {}) {
     this.rooms = new Map(); // pin -> Room
+    this.store = store;
+    this.ownership = null;
+    // Write-behind to the store: the last write queued per room, and rooms waiting for a write that has not started
+    this._writes = new Map(); // pin -> Promise
+    this._pendingWrites = new Set();
 
     // Secondary indexes for O(1) lookups
     this.hostTokenIndex = new Map(); // hostToken -> pin
@@ -131,9 +133,123 @@ class RoomRepository {
     }
   }
 
+  /**
+   * Attach a persistent store; rooms saved from now on are written to it
+   * @param {Object|null} store
+   */
+  setStore(store) {
+    this.store = store;
+  }
+
+  /**
+   * Share rooms with other server processes (see RoomOwnership); null for a single process
+   * @param {Object|null} ownership
+   */
+  setOwnership(ownership) {
+    this.ownership = ownership;
+  }
+
+  /**
+   * Queue a write of the room's latest state to the store, or its removal once it is gone.
+   * Writes of one room run in order, and saves made while one is waiting are coalesced into it.
+   * @private
+   * @returns {Promise} Settles once the write has reached the store
+   */
+  _persist(pin) {
+    if (!this.store) return Promise.resolve();
+    if (this._pendingWrites.has(pin)) return this._writes.get(pin);
+    this._pendingWrites.add(pin);
+
+    const previous = this._writes.get(pin) || Promise.resolve();
+    const write = previous.then(() => {
+      this._pendingWrites.delete(pin);
+      const room = this.rooms.get(pin);
+      return room ? this.store.save(pin, room.toSnapshot()) : this.store.delete(pin);
+    }).catch(error => {
+      console.error(`Failed to persist room ${pin}:`, error.message);
+    });
+    this._writes.set(pin, write);
+    write.then(() => {
+      if (this._writes.get(pin) === write) this._writes.delete(pin);
+    });
+    return write;
+  }
+
+  /**
+   * Wait until every queued write has reached the store, e.g. before shutting down
+   */
+  async flush() {
+    while (this._writes.size > 0) {
+      await Promise.all(this._writes.values());
+    }
+  }
+
+  /**
+   * Load the rooms kept in the store, e.g. after a restart. Rooms already in memory are left as they are;
+   * a saved room that can no longer be rebuilt is dropped from the store.
+   * @returns {Promise<Array<{ room: Room, timer: Object|null }>>} Restored rooms with their saved answering timer
+   */
+  async restore() {
+    if (!this.store) return [];
+
+    const restored = [];
+    for (const saved of await this.store.loadAll()) {
+      if (this.rooms.has(saved.pin)) continue;
+      const room = await this._restoreSaved(saved);
+      if (room) restored.push({ room, timer: saved.timer });
+    }
+    return restored;
+  }
+
+  /**
+   * Load one room from the store, e.g. to take it over from a server process that went away
+   * @param {string} pin
+   * @returns {Promise<{ room: Room, timer: Object|null }|null>} null when it is not saved (or no longer readable)
+   */
+  async restoreRoom(pin) {
+    if (!this.store) return null;
+    const saved = await this.store.load(pin);
+    if (!saved) return null;
+    const room = await this._restoreSaved(saved);
+    return room ? { room, timer: saved.timer } : null;
+  }
+
+  /**
+   * Pins of every room in the store, including those other server processes run
+   * @returns {Promise<string[]>}
+   */
+  async storedPins() {
+    return this.store ? this.store.listPins() : [];
+  }
+
+  /**
+   * Rebuild a saved room into memory, dropping it from the store when that is no longer possible
+   * @private
+   */
+  async _restoreSaved({ pin, snapshot }) {
+    let room;
+    try {
+      if (!snapshot) throw new Error('Snapshot is unreadable');
+      room = Room.fromSnapshot(snapshot);
+    } catch (error) {
+      console.error(`Discarding saved room ${pin}:`, error.message);
+      await this.store.delete(pin).catch(() => {});
+      return null;
+    }
+    this._updateIndexes(room);
+    this.rooms.set(room.pin, room);
+    return room;
+  }
+
   async save(room) {
+    // A room another server process has taken over is not written over in the store
+    const owned = !this.ownership || this.ownership.owns(room.pin) || await this.ownership.claim(room.pin);
+    if (!owned) {
+      console.warn(`Room ${room.pin} is run by another server; not saving it to the store`);
+    }
     this._updateIndexes(room);
     this.rooms.set(room.pin, room);
+    if (owned) this._persist(room.pin);
     return room;
   }
 
@@ -313,11 +429,31 @@ class RoomRepository {
 
   async delete(pin) {
     this._clearIndexesForRoom(pin);
-    return this.rooms.delete(pin);
+    const deleted = this.rooms.delete(pin);
+    if (deleted) {
+      const ownership = this.ownership;
+      const written = this._persist(pin);
+      // Give the room up only once it is gone from the store, or another server could take it over from there
+      if (ownership) written.then(() => ownership.release(pin)).catch(() => {});
+    }
+    return deleted;
+  }
+
+  /**
+   * Drop a room from memory only, e.g. once another server process has taken it over
+   * @param {string} pin
+   */
+  forget(pin) {
+    this._clearIndexesForRoom(pin);
+    this.rooms.delete(pin);
   }
 
+  /**
+   * Whether the pin is taken, by a room here or (when sharing rooms) on another server process
+   */
   async exists(pin) {
-    return this.rooms.has(pin);
+    if (this.rooms.has(pin)) return true;
+    return this.ownership ? (await this.ownership.ownerOf(pin)) !== null : false;
   }
 
   async getAll() {
@@ -341,6 +477,9 @@ class RoomRepository {
     return null;
   }
 
+  /**
+   * Forget every room in memory; the store is left untouched
+   */
   async clear() {
     this.rooms.clear();
     this.hostTokenIndex.clear();
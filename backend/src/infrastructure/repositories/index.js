@@ -1,4 +1,5 @@
 const { RoomRepository, roomRepository } = require('./RoomRepository');
+const { MongoRoomStore, mongoRoomStore } = require('./MongoRoomStore');
 const { GameSessionRepository, gameSessionRepository } = require('./GameSessionRepository');
 const { MongoQuizRepository, mongoQuizRepository } = require('./MongoQuizRepository');
 const { MongoUserRepository, mongoUserRepository } = require('./MongoUserRepository');
@@ -6,10 +7,14 @@ const { AuditLogRepository, auditLogRepository } = require('./AuditLogRepository
 const { QuizRatingRepository, quizRatingRepository } = require('./QuizRatingRepository');
 const { TournamentRepository, tournamentRepository } = require('./TournamentRepository');
 const { ClassroomRepository, classroomRepository } = require('./ClassroomRepository');
+const { HomeworkAttemptRepository, homeworkAttemptRepository } = require('./HomeworkAttemptRepository');
+const { RoleLimitRepository, roleLimitRepository } = require('./RoleLimitRepository');
 
 module.exports = {
   RoomRepository,
   roomRepository,
+  MongoRoomStore,
+  mongoRoomStore,
   GameSessionRepository,
   gameSessionRepository,
   MongoQuizRepository,
@@ -23,5 +28,9 @@ module.exports = {
   TournamentRepository,
   tournamentRepository,
   ClassroomRepository,
-  classroomRepository
+  classroomRepository,
+  HomeworkAttemptRepository,
+  homeworkAttemptRepository,
+  RoleLimitRepository,
+  roleLimitRepository
 };
@@ -10,11 +10,56 @@ const MAX_TOTAL_EXTENSION_MS = 30000; // 30s max total extensions per question
  * Game Timer Service
  * Manages server-side timers for answering phases
  * Prevents client-side timer manipulation
+ *
+ * With a room store attached, each timer's remaining time is saved whenever it starts or changes
+ * (and on shutdown via persistAll), so a restarted server can carry on with restoreTimer().
+ *
+ * When several server processes share rooms, a timer only expires on the process that owns its room;
+ * one that lost the room meanwhile stops it quietly and leaves the question to the new owner.
  */
 class GameTimerService {
-  constructor(io) {
+  /**
+   * @param {Object} io - Socket.IO server
+   * @param {Object} [options]
+   * @param {Object|null} [options.store] - Room store to keep timers in (see RoomRepository)
+   * @param {Object|null} [options.ownership] - RoomOwnership when rooms are shared with other server processes
+   * @param {Function|null} [options.runExpired] - Runs each expired timer's callback as runExpired(pin, callback),
+   *   e.g. to record it (see RoomEventRecorder.recordTimer)
+   */
+  constructor(io, { store = null, ownership = null, runExpired = null } = {}) {
     this.io = io;
     this.activeTimers = new Map(); // pin -> { timerId, endTime, intervalId }
+    this.store = store;
+    this.ownership = ownership;
+    this.runExpired = runExpired;
+    this._storeWrites = new Map(); // pin -> last queued store write, so a room's writes land in order
+  }
+
+  /**
+   * Queue a store write for a room's timer behind the previous one
+   * @private
+   */
+  _writeToStore(pin, write) {
+    if (!this.store) return Promise.resolve();
+    const previous = this._storeWrites.get(pin) || Promise.resolve();
+    const next = previous.then(write).catch(err => {
+      console.error(`[GameTimerService] Failed to persist timer for pin ${pin}:`, err.message);
+    });
+    this._storeWrites.set(pin, next);
+    next.then(() => {
+      if (this._storeWrites.get(pin) === next) this._storeWrites.delete(pin);
+    });
+    return next;
+  }
+
+  /**
+   * Save the timer's remaining time as of now
+   * @private
+   */
+  _saveTimer(pin) {
+    const state = this.getTimerState(pin);
+    if (!state) return Promise.resolve();
+    return this._writeToStore(pin, () => this.store.saveTimer(pin, state));
   }
 
   /**
@@ -45,10 +90,14 @@ class GameTimerService {
     if (timer.timerId) clearTimeout(timer.timerId);
     const onExpire = timer.onExpire;
     timer.timerId = setTimeout(async () => {
+      if (this.ownership && !this.ownership.owns(pin)) {
+        this._clearTimer(pin);
+        return;
+      }
       this.stopTimer(pin);
       if (onExpire) {
         try {
-          await onExpire();
+          await (this.runExpired ? this.runExpired(pin, onExpire) : onExpire());
         } catch (err) {
           console.error(`[GameTimerService] Timer expire callback failed for pin ${pin}:`, err.message);
         }
@@ -64,10 +113,11 @@ class GameTimerService {
    * @param {Object} [options]
    * @param {number} [options.minDuration] - Minimum allowed duration (default: MIN_DURATION_SECONDS, lower for resumed timers)
    * @param {number|null} [options.originalDurationMs] - Original question time limit in ms (preserved across pause/resume for fair scoring)
+   * @param {number} [options.totalExtensionMs] - Extensions already granted this question (restored timers)
    * @throws {ValidationError} If duration is invalid
    */
   startTimer(pin, durationSeconds, onExpire, options = {}) {
-    const { minDuration = MIN_DURATION_SECONDS, originalDurationMs = null, silent = false, preElapsedMs = 0 } = options;
+    const { minDuration = MIN_DURATION_SECONDS, originalDurationMs = null, silent = false, preElapsedMs = 0, totalExtensionMs = 0 } = options;
     // Resumed timers with TIME_EXTENSION may exceed MAX_DURATION_SECONDS.
     // Allow callers to raise the ceiling via maxDuration option.
     const effectiveMax = options.maxDuration || MAX_DURATION_SECONDS;
@@ -80,7 +130,8 @@ class GameTimerService {
       throw new ValidationError(`Timer duration must be between ${minDuration} and ${effectiveMax} seconds`);
     }
 
-    this.stopTimer(pin);
+    // The saved state is replaced below rather than deleted first
+    this._clearTimer(pin);
 
     const durationMs = durationSeconds * 1000;
     // Roll back startTime by pre-pause elapsed time so getElapsedTime()
@@ -100,11 +151,12 @@ class GameTimerService {
       originalDuration: originalDurationMs || durationMs,
       stopped: false, // Flag to prevent race conditions
       onExpire: onExpire || null, // Store callback for timer extension
-      totalExtensionMs: 0 // Track cumulative extensions per question
+      totalExtensionMs // Track cumulative extensions per question
     };
 
     this.activeTimers.set(pin, timerEntry);
     this._rescheduleTimeout(pin, durationMs);
+    this._saveTimer(pin);
 
     const intervalId = setInterval(() => {
       // Check if timer was stopped to prevent zombie intervals
@@ -146,16 +198,35 @@ class GameTimerService {
    * Stop and clean up timer for a room
    */
   stopTimer(pin) {
-    const timer = this.activeTimers.get(pin);
-    if (timer) {
-      // Mark as stopped first to prevent race conditions with interval
-      timer.stopped = true;
-      if (timer.timerId) clearTimeout(timer.timerId);
-      if (timer.intervalId) clearInterval(timer.intervalId);
-      this.activeTimers.delete(pin);
+    if (this._clearTimer(pin)) {
+      this._writeToStore(pin, () => this.store.deleteTimer(pin));
     }
   }
 
+  /**
+   * Stop a room's timer on this server only, leaving its saved state to the server taking the room over
+   * @param {string} pin - Room PIN
+   */
+  releaseTimer(pin) {
+    this._clearTimer(pin);
+  }
+
+  /**
+   * Stop a room's timer in memory only, leaving any saved state alone
+   * @private
+   * @returns {boolean} Whether there was a timer
+   */
+  _clearTimer(pin) {
+    const timer = this.activeTimers.get(pin);
+    if (!timer) return false;
+    // Mark as stopped first to prevent race conditions with interval
+    timer.stopped = true;
+    if (timer.timerId) clearTimeout(timer.timerId);
+    if (timer.intervalId) clearInterval(timer.intervalId);
+    this.activeTimers.delete(pin);
+    return true;
+  }
+
   /**
    * Get elapsed time since answering phase started
    * Returns null if no timer is active
@@ -255,6 +326,7 @@ class GameTimerService {
 
     // Reschedule the main timeout
     this._rescheduleTimeout(pin, Math.max(0, timer.endTime - Date.now()));
+    this._saveTimer(pin);
 
     // Emit updated timer info so clients can re-sync
     this.io.to(pin).emit('timer_started', {
@@ -299,6 +371,7 @@ class GameTimerService {
     timer.endTime = Date.now() + shortenToMs;
     timer.duration = timer.endTime - timer.startTime;
     this._rescheduleTimeout(pin, shortenToMs);
+    this._saveTimer(pin);
 
     // Notify all clients
     const syncData = this._buildTimerSync(timer.endTime, timer.startTime, timer.duration);
@@ -311,11 +384,56 @@ class GameTimerService {
   }
 
   /**
-   * Stop all timers (for cleanup)
+   * State a timer can be restarted from, as kept in the room store
+   * @returns {Object|null} { remainingMs, elapsedMs, originalDurationMs, totalExtensionMs, savedAt } or null if no timer
+   */
+  getTimerState(pin) {
+    const timer = this.activeTimers.get(pin);
+    if (!timer || timer.stopped) return null;
+    const now = Date.now();
+    return {
+      remainingMs: Math.max(0, timer.endTime - now),
+      elapsedMs: now - timer.startTime,
+      originalDurationMs: timer.originalDuration,
+      totalExtensionMs: timer.totalExtensionMs,
+      savedAt: now
+    };
+  }
+
+  /**
+   * Start a timer again from a state saved by getTimerState(), e.g. after a restart.
+   * The time the server was down is not counted: players get back what was left when it was saved.
+   * @param {string} pin - Room PIN
+   * @param {Object} state - Saved timer state
+   * @param {Function} onExpire - Callback when timer expires
+   * @returns {Object|null} Timer info like startTimer(), or null when no time was left
+   */
+  restoreTimer(pin, state, onExpire) {
+    const remainingSeconds = (state?.remainingMs || 0) / 1000;
+    if (remainingSeconds <= 0) return null;
+    return this.startTimer(pin, remainingSeconds, onExpire, {
+      silent: true,
+      minDuration: 0,
+      maxDuration: MAX_DURATION_SECONDS + MAX_TOTAL_EXTENSION_MS / 1000,
+      originalDurationMs: state.originalDurationMs || null,
+      preElapsedMs: Math.max(0, state.elapsedMs || 0),
+      totalExtensionMs: Math.min(Math.max(0, state.totalExtensionMs || 0), MAX_TOTAL_EXTENSION_MS)
+    });
+  }
+
+  /**
+   * Save every running timer's remaining time, e.g. right before shutting down
+   */
+  async persistAll() {
+    await Promise.all([...this.activeTimers.keys()].map(pin => this._saveTimer(pin)));
+  }
+
+  /**
+   * Stop all timers (for cleanup). Saved timer state is kept for the next start.
    */
   stopAll() {
-    for (const pin of this.activeTimers.keys()) {
-      this.stopTimer(pin);
+    for (const pin of [...this.activeTimers.keys()]) {
+      this._clearTimer(pin);
     }
   }
 }
@@ -0,0 +1,117 @@
+const crypto = require('crypto');
+const { BotSwarm } = require('../bots');
+const { ValidationError } = require('../../shared/errors');
+const { MAX_LOBBY_BOTS } = require('../../shared/config/constants');
+
+/**
+ * Lobby Bot Service
+ * Fills a host's lobby with bot players for demos ("fill the lobby with bots"). The bots connect back
+ * to this server over Socket.IO like any player, so they are held to the same limits, and answer
+ * from the server's answer key with the accuracy the host picked. They leave when the game is over.
+ * Bots connect with a key only this process knows, so the server can tell them from real players.
+ */
+class LobbyBotService {
+  /**
+   * @param {Object} options
+   * @param {Function} options.connect - (botKey) => a new socket.io-client socket connected to this server,
+   *   sending botKey in its handshake
+   * @param {Function} [options.answerKey] - (pin, socketId) => host data of the player's current question
+   * @param {number} [options.maxBots] - Bots all lobbies can have at once
+   */
+  constructor({ connect, answerKey = null, maxBots = MAX_LOBBY_BOTS }) {
+    this.connect = connect;
+    this.answerKey = answerKey;
+    this.maxBots = maxBots;
+    this.botKey = crypto.randomBytes(16).toString('hex');
+    this.swarms = new Map(); // pin -> BotSwarm[]
+    this.botCounts = new Map(); // pin -> bots added so far, to number the next ones
+  }
+
+  /**
+   * @param {*} key - Bot key a socket sent in its handshake
+   * @returns {boolean} Whether the socket is one of this process's bots
+   */
+  isBotKey(key) {
+    if (typeof key !== 'string' || key.length !== this.botKey.length) return false;
+    return crypto.timingSafeEqual(Buffer.from(key), Buffer.from(this.botKey));
+  }
+
+  /**
+   * @returns {number} Bots joining or playing in any lobby
+   */
+  getActiveBotCount() {
+    let count = 0;
+    for (const swarms of this.swarms.values()) {
+      swarms.forEach(swarm => { count += swarm.count; });
+    }
+    return count;
+  }
+
+  /**
+   * Add bots to a lobby; they join in the background
+   * @param {string} pin
+   * @param {Object} options
+   * @param {number} options.count - Bots that fit in the room (see RoomUseCases.getBotSlots); fewer are
+   *   added when the server is close to maxBots
+   * @param {number} [options.accuracy]
+   * @param {number} [options.minLatencyMs]
+   * @param {number} [options.maxLatencyMs]
+   * @returns {BotSwarm}
+   * @throws {ValidationError} For an accuracy or latency out of range, or when the server has maxBots already
+   */
+  fill(pin, { count, ...options }) {
+    const botOptions = BotSwarm.validateOptions(options);
+    const available = this.maxBots - this.getActiveBotCount();
+    if (available <= 0) {
+      throw new ValidationError('Too many bots are playing right now, try again later');
+    }
+
+    const added = this.botCounts.get(pin) || 0;
+    const swarm = new BotSwarm({
+      ...botOptions,
+      connect: () => this.connect(this.botKey),
+      count: Math.min(count, available),
+      firstNumber: added + 1,
+      answerKey: this.answerKey ? (bot) => this.answerKey(pin, bot.socket.id) : null
+    });
+    this.botCounts.set(pin, added + swarm.count);
+    this.swarms.set(pin, [...(this.swarms.get(pin) || []), swarm]);
+
+    swarm.join(pin)
+      .then(() => swarm.done())
+      .then(() => {
+        const { joined, events } = swarm.report();
+        const answers = events.submit_answer || { sent: 0, errors: 0 };
+        console.log(`[LobbyBots] Room ${pin}: ${joined} bots played, ${answers.sent} answers sent, ${answers.errors} failed`);
+      })
+      .catch(error => console.error(`[LobbyBots] Room ${pin}:`, error.message))
+      .finally(() => this._remove(pin, swarm));
+    return swarm;
+  }
+
+  /**
+   * Disconnect every bot (shutdown)
+   */
+  stopAll() {
+    for (const swarms of this.swarms.values()) {
+      swarms.forEach(swarm => swarm.leave());
+    }
+    this.swarms.clear();
+    this.botCounts.clear();
+  }
+
+  /**
+   * @private
+   */
+  _remove(pin, swarm) {
+    const remaining = (this.swarms.get(pin) || []).filter(other => other !== swarm);
+    if (remaining.length) {
+      this.swarms.set(pin, remaining);
+    } else {
+      this.swarms.delete(pin);
+      this.botCounts.delete(pin);
+    }
+  }
+}
+
+module.exports = { LobbyBotService };
@@ -10,6 +10,9 @@ const {
 /**
  * Room Cleanup Service
  * Periodically cleans up stale rooms and related resources
+ *
+ * When several server processes share rooms, each cleans up the rooms it runs, and the one
+ * leading the cluster also takes over the rooms of processes that went away.
  */
 class RoomCleanupService {
   constructor(roomRepository, io, options = {}) {
@@ -21,8 +24,13 @@ class RoomCleanupService {
     // Injected from outside to avoid infrastructure → API layer dependency
     this.autoAdvanceToResults = options.autoAdvanceToResults || null;
     this.endAnsweringLocks = options.endAnsweringLocks || null;
+    // Large-event rooms' batched answer counts (TickBatcher), dropped with the room
+    this.answerCountTicks = options.answerCountTicks || null;
     // Additional LockManagers to clean up expired entries periodically
     this.managedLocks = options.managedLocks || [];
+    // Cluster leadership (RoomOwnership) and the takeover of rooms whose server went away
+    this.ownership = options.ownership || null;
+    this.adoptOrphans = options.adoptOrphans || null;
     this.intervalId = null;
     this.isCleanupRunning = false;
 
@@ -137,6 +145,24 @@ class RoomCleanupService {
     return 'cleanup';
   }
 
+  /**
+   * Take over the rooms of servers that went away, when leading the cluster
+   * @private
+   */
+  async _adoptOrphansIfLeader() {
+    if (!this.ownership || !this.adoptOrphans) return;
+    try {
+      // The lead lasts two runs, so a leader that keeps running keeps it
+      if (!(await this.ownership.isLeader(this.checkInterval * 2))) return;
+      const adopted = await this.adoptOrphans();
+      if (adopted > 0) {
+        console.log(`Took over ${adopted} room(s) from servers that went away`);
+      }
+    } catch (error) {
+      console.error('Room takeover error:', error.message);
+    }
+  }
+
   async cleanup() {
     // Prevent concurrent cleanup runs
     if (this.isCleanupRunning) {
@@ -153,6 +179,7 @@ class RoomCleanupService {
       }
     }, this.checkInterval * 3);
     try {
+      await this._adoptOrphansIfLeader();
       const rooms = await this.roomRepository.getAll();
 
       for (const room of rooms) {
@@ -399,6 +426,9 @@ class RoomCleanupService {
             if (this.timerService) {
               this.timerService.stopTimer(room.pin);
             }
+            if (this.answerCountTicks) {
+              this.answerCountTicks.cancel(room.pin);
+            }
 
             // Notify all clients in room
             if (this.io) {
@@ -0,0 +1,442 @@
+const crypto = require('crypto');
+const {
+  ROOM_EVENT_LOG_MAX_ENTRIES,
+  ROOM_EVENT_LOG_MAX_ROOMS,
+  ROOM_EVENT_LOG_MAX_BYTES,
+  ROOM_EVENT_LOG_RETENTION_MS,
+  ROOM_EVENT_LOG_PRUNE_INTERVAL_MS
+} = require('../../shared/config/constants');
+
+// Host, player and spectator tokens (hostToken, playerToken, token, ...)
+const TOKEN_KEY = /token$/i;
+
+// Rough cost of an entry's fields besides its payloads
+const ENTRY_BYTES = 200;
+
+// Logs get downloaded, so they never hold a token: each is swapped for a digest of it, which a replay
+// still matches up (a reconnect with the token the join handed out) but no one can take a seat with
+const redactTokens = (key, value) => (TOKEN_KEY.test(key) && typeof value === 'string'
+  ? `redacted-${crypto.createHash('sha256').update(value).digest('hex').slice(0, 16)}`
+  : value);
+
+// A payload as it went over the wire, so objects changed later do not change the log. It is kept as JSON
+// until the log is read: smaller than the objects, and its length is what it costs
+const toWire = (value) => {
+  try {
+    return JSON.stringify(value === undefined ? null : value, redactTokens) ?? 'null';
+  } catch {
+    return 'null';
+  }
+};
+
+const fromWire = (json) => (typeof json === 'string' ? JSON.parse(json) : null);
+
+const bound = (target, prop) => {
+  const value = Reflect.get(target, prop);
+  return typeof value === 'function' ? value.bind(target) : value;
+};
+
+/**
+ * Room Event Recorder
+ * Keeps, per room, every socket event its handlers received (with the ack they sent back), every
+ * message they sent and every answering timer that ran out, timestamped, so a game can be downloaded
+ * by an admin and replayed (see RoomEventReplay).
+ * Handlers are recorded by wrapping their factory with wrap(); in a cluster that happens on the process
+ * running the room, which is the one holding its log.
+ *
+ * A log starts with the room as it was before its first recorded event (nothing when that event created it)
+ * and keeps the quiz the game is played with. Tokens are redacted and of the signed-in user only the id is kept.
+ *
+ * Recording of a room stops after maxEntries, or once all the logs together reach maxBytes; at most maxRooms
+ * rooms are recorded at once. A log is dropped once it has been quiet for retentionMs (checked every
+ * pruneIntervalMs while started).
+ */
+class RoomEventRecorder {
+  /**
+   * @param {Object} [options]
+   * @param {boolean} [options.enabled] - false leaves the handlers as they are
+   * @param {number} [options.maxEntries] - Entries kept per room
+   * @param {number} [options.maxRooms] - Rooms recorded at once
+   * @param {number} [options.maxBytes] - Size of all the logs together
+   * @param {number} [options.retentionMs] - How long a quiet room's log is kept
+   * @param {number} [options.pruneIntervalMs]
+   */
+  constructor({
+    enabled = true,
+    maxEntries = ROOM_EVENT_LOG_MAX_ENTRIES,
+    maxRooms = ROOM_EVENT_LOG_MAX_ROOMS,
+    maxBytes = ROOM_EVENT_LOG_MAX_BYTES,
+    retentionMs = ROOM_EVENT_LOG_RETENTION_MS,
+    pruneIntervalMs = ROOM_EVENT_LOG_PRUNE_INTERVAL_MS
+  } = {}) {
+    this.enabled = enabled;
+    this.maxEntries = maxEntries;
+    this.maxRooms = maxRooms;
+    this.maxBytes = maxBytes;
+    this.retentionMs = retentionMs;
+    this.pruneIntervalMs = pruneIntervalMs;
+    this.roomRepository = null;
+    this.logs = new Map(); // pin -> log
+    this.socketPins = new Map(); // socketId -> pin of the room the socket's events were last recorded in
+    this.unresolved = new Map(); // socketId -> messages sent while its event has not found its room yet
+    this.seq = 0;
+    this.bytes = 0;
+    this.intervalId = null;
+  }
+
+  /**
+   * Drop quiet logs every pruneIntervalMs (no-op when disabled)
+   */
+  start() {
+    if (!this.enabled || this.intervalId) return;
+    this.intervalId = setInterval(() => this.prune(), this.pruneIntervalMs);
+  }
+
+  stop() {
+    if (this.intervalId) {
+      clearInterval(this.intervalId);
+      this.intervalId = null;
+    }
+  }
+
+  /**
+   * Rooms are looked up to start their logs from, and to keep the quiz they are played with
+   * @param {RoomRepository} roomRepository
+   */
+  setRoomRepository(roomRepository) {
+    this.roomRepository = roomRepository;
+  }
+
+  /**
+   * Wrap a socket handler factory (createRoomHandler, createGameHandler, ...) so that what the handlers
+   * it registers receive and send is recorded
+   * @param {Function} createHandler - (io, socket, ...dependencies) => void
+   * @returns {Function} Factory with the same signature
+   */
+  wrap(createHandler) {
+    if (!this.enabled) return createHandler;
+    return (io, socket, ...dependencies) => createHandler(this._recordingIo(io), this._recordingSocket(socket), ...dependencies);
+  }
+
+  /**
+   * Run an expired answering timer's callback (see GameTimerService's runExpired option), recording it
+   * @param {string} pin
+   * @param {Function} expire - The timer's callback
+   */
+  async recordTimer(pin, expire) {
+    const entry = { seq: ++this.seq, type: 'timer', event: 'expired', pin, at: Date.now() };
+    try {
+      return await expire();
+    } finally {
+      entry.doneAt = Date.now();
+      entry.doneSeq = ++this.seq;
+      const log = this.logs.get(pin);
+      if (log) this._append(log, entry);
+    }
+  }
+
+  /**
+   * @param {string} pin
+   * @returns {Object|null} The room's log with its entries in the order they happened, null when there is none
+   */
+  getLog(pin) {
+    const log = this.logs.get(pin);
+    if (!log) return null;
+    return {
+      pin,
+      startedAt: new Date(log.startedAt).toISOString(),
+      truncated: log.truncated,
+      quizId: log.quizId,
+      quiz: fromWire(log.quiz),
+      initialRoom: fromWire(log.initialRoom),
+      entries: [...log.entries].sort((a, b) => a.seq - b.seq).map(entry => ({
+        ...entry,
+        ...('args' in entry && { args: fromWire(entry.args) }),
+        ...('ack' in entry && { ack: fromWire(entry.ack) })
+      }))
+    };
+  }
+
+  /**
+   * @param {*} value
+   * @returns {*} A copy of value with its tokens redacted, as they are in the logs
+   */
+  redact(value) {
+    return fromWire(toWire(value));
+  }
+
+  /**
+   * Drop the logs that have been quiet for longer than the retention
+   * @returns {number} Number dropped
+   */
+  prune(now = Date.now()) {
+    let removed = 0;
+    for (const [pin, log] of this.logs) {
+      if (now - log.lastEventAt >= this.retentionMs) {
+        this.logs.delete(pin);
+        this.bytes -= log.bytes;
+        removed++;
+      }
+    }
+    if (removed) {
+      for (const [socketId, pin] of this.socketPins) {
+        if (!this.logs.has(pin)) this.socketPins.delete(socketId);
+      }
+    }
+    return removed;
+  }
+
+  /**
+   * @private
+   */
+  _recordingSocket(socket) {
+    const recording = new Proxy(socket, {
+      get: (target, prop) => {
+        switch (prop) {
+          case 'on':
+            return (event, handler) => {
+              target.on(event, (...args) => this._handle(target, event, args, handler));
+              return recording;
+            };
+          case 'emit':
+            return (event, ...args) => {
+              this._recordSent([target.id], [], event, args);
+              return target.emit(event, ...args);
+            };
+          case 'to':
+          case 'in':
+            return (room) => this._recordingOperator(target[prop](room), [].concat(room), [target.id]);
+          default:
+            return bound(target, prop);
+        }
+      }
+    });
+    return recording;
+  }
+
+  /**
+   * @private
+   */
+  _recordingIo(io) {
+    return new Proxy(io, {
+      get: (target, prop) => {
+        if (prop === 'to' || prop === 'in') {
+          return (room) => this._recordingOperator(target[prop](room), [].concat(room), []);
+        }
+        return bound(target, prop);
+      }
+    });
+  }
+
+  /**
+   * Broadcast operator (io.to(pin), socket.to(pin), ...) that records what it emits
+   * @private
+   */
+  _recordingOperator(operator, to, except) {
+    return new Proxy(operator, {
+      get: (target, prop) => {
+        switch (prop) {
+          case 'emit':
+            return (event, ...args) => {
+              this._recordSent(to, except, event, args);
+              return target.emit(event, ...args);
+            };
+          case 'to':
+          case 'in':
+            return (room) => this._recordingOperator(target[prop](room), to.concat(room), except);
+          case 'except':
+            return (ids) => this._recordingOperator(target.except(ids), to, except.concat(ids));
+          default:
+            return bound(target, prop);
+        }
+      }
+    });
+  }
+
+  /**
+   * @private
+   */
+  _pinOf(socket, data) {
+    if (typeof data?.pin === 'string') return data.pin;
+    const joined = [...socket.rooms].find(room => room !== socket.id);
+    // A disconnected socket has left its rooms already
+    return joined || this.socketPins.get(socket.id) || null;
+  }
+
+  /**
+   * Record an event while its handler runs
+   * @private
+   */
+  async _handle(socket, event, args, handler) {
+    const ack = typeof args[args.length - 1] === 'function' ? args[args.length - 1] : null;
+    const payload = ack ? args.slice(0, -1) : args;
+    const entry = {
+      seq: ++this.seq,
+      type: 'in',
+      event,
+      socketId: socket.id,
+      // All a replay needs of the signed-in user
+      user: socket.user ? { userId: socket.user.userId } : null,
+      args: null,
+      at: Date.now(),
+      // Filled in when the handler answers
+      ...(ack && { ack: null })
+    };
+
+    const pin = this._pinOf(socket, payload[0]);
+    let log = pin ? this.logs.get(pin) : null;
+    if (pin && !log) {
+      log = await this._open(pin, true);
+    }
+    if (log && !this._hasRoom(log)) {
+      log.truncated = true;
+      if (event === 'disconnect') this.socketPins.delete(socket.id);
+      return handler(...args);
+    }
+    entry.args = toWire(payload);
+    // What the handler sends the socket itself belongs to the room too
+    if (log && event !== 'disconnect') this.socketPins.set(socket.id, pin);
+    let pending = null;
+    if (!pin) {
+      pending = [];
+      this.unresolved.set(socket.id, pending);
+    }
+
+    const handlerArgs = ack
+      ? [...payload, (...response) => {
+        entry.ack = toWire(response);
+        entry.ackSeq = ++this.seq;
+        return ack(...response);
+      }]
+      : payload;
+    try {
+      return await handler(...handlerArgs);
+    } finally {
+      entry.doneAt = Date.now();
+      // Events with a lower seq than this started while this one was being handled
+      entry.doneSeq = ++this.seq;
+      if (pending && this.unresolved.get(socket.id) === pending) this.unresolved.delete(socket.id);
+      this._finish(socket, entry, payload[0], log, pending).catch(error => {
+        console.error(`[RoomEventRecorder] Failed to record ${event}:`, error.message);
+      });
+    }
+  }
+
+  /**
+   * @private
+   */
+  async _finish(socket, entry, data, log, pending) {
+    let pin = log ? log.pin : null;
+    if (!log) {
+      // The event may have created or joined the room
+      pin = this._pinOf(socket, data);
+      log = pin ? (this.logs.get(pin) || await this._open(pin, false)) : null;
+    }
+    if (!log) return;
+
+    this._append(log, entry);
+    if (pending) pending.forEach(sent => this._append(log, sent));
+    if (entry.event === 'disconnect') {
+      this.socketPins.delete(socket.id);
+    } else {
+      this.socketPins.set(socket.id, pin);
+    }
+
+    if (!log.quiz && this.roomRepository) {
+      const room = await this.roomRepository.findByPin(pin);
+      if (room && room.hasQuizSnapshot()) {
+        log.quiz = toWire(room.getQuizSnapshot().toSnapshot());
+        this._count(log, log.quiz.length);
+      }
+    }
+  }
+
+  /**
+   * Start a room's log; null when there is no such room, or as many rooms are recorded as can be
+   * @private
+   * @param {boolean} beforeEvent - Whether the room is as it was before the event being recorded
+   */
+  async _open(pin, beforeEvent) {
+    const room = this.roomRepository ? await this.roomRepository.findByPin(pin) : null;
+    if (this.roomRepository && !room) return null;
+    if (this.logs.has(pin)) return this.logs.get(pin);
+
+    this.prune();
+    if (this.logs.size >= this.maxRooms) return null;
+    const now = Date.now();
+    const log = {
+      pin,
+      startedAt: now,
+      lastEventAt: now,
+      truncated: false,
+      quizId: room ? String(room.quizId) : null,
+      quiz: null,
+      // Where a replay starts from; a room created by the first event starts from nothing
+      initialRoom: room && beforeEvent ? toWire(room.toSnapshot()) : null,
+      entries: [],
+      bytes: 0
+    };
+    this.logs.set(pin, log);
+    if (log.initialRoom) this._count(log, log.initialRoom.length);
+    return log;
+  }
+
+  /**
+   * @private
+   */
+  _recordSent(to, except, event, args) {
+    let log = null;
+    for (const room of to) {
+      log = this.logs.get(room) || this.logs.get(this.socketPins.get(room));
+      if (log) break;
+    }
+    // Sent to a socket whose event has not found its room yet (the one creating it): kept until it does
+    const pending = log ? null : to.map(room => this.unresolved.get(room)).find(Boolean);
+    if (!log && !pending) return;
+    // Nothing is copied for a log that is full
+    if (log && !this._hasRoom(log)) {
+      log.truncated = true;
+      return;
+    }
+
+    const entry = { seq: ++this.seq, type: 'out', to: [...to], event, args: toWire(args), at: Date.now() };
+    if (except.length) entry.except = [...except];
+    if (log) {
+      this._append(log, entry);
+    } else {
+      pending.push(entry);
+    }
+  }
+
+  /**
+   * @private
+   */
+  _append(log, entry) {
+    if (!this._hasRoom(log)) {
+      log.truncated = true;
+      return;
+    }
+    log.entries.push(entry);
+    log.lastEventAt = Math.max(log.lastEventAt, entry.at);
+    this._count(log, ENTRY_BYTES + (entry.args ? entry.args.length : 0) + (entry.ack ? entry.ack.length : 0));
+  }
+
+  /**
+   * @private
+   */
+  _hasRoom(log) {
+    return log.entries.length < this.maxEntries && this.bytes < this.maxBytes;
+  }
+
+  /**
+   * @private
+   */
+  _count(log, bytes) {
+    log.bytes += bytes;
+    this.bytes += bytes;
+  }
+}
+
+const roomEventRecorder = new RoomEventRecorder({ enabled: process.env.ROOM_EVENT_LOG === 'on' });
+
+module.exports = { RoomEventRecorder, roomEventRecorder };
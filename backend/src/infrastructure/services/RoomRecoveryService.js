@@ -0,0 +1,123 @@
+const { RoomState } = require('../../domain/entities');
+
+/**
+ * Room Recovery Service
+ * Brings back the rooms kept in the room store when the server starts again.
+ * Everyone in a recovered room counts as disconnected from the restart and has the usual
+ * grace period to reconnect; a question that was being answered gets its timer back.
+ *
+ * When several server processes share the store (see RoomOwnership), a process only brings back
+ * the rooms no live process runs: on startup, when an event arrives for one, and while leading cleanup.
+ */
+class RoomRecoveryService {
+  constructor(roomRepository, io, options = {}) {
+    this.roomRepository = roomRepository;
+    this.io = io;
+    this.timerService = options.timerService || null;
+    this.gameUseCases = options.gameUseCases || null;
+    // Injected from outside to avoid infrastructure → API layer dependency
+    this.autoAdvanceToResults = options.autoAdvanceToResults || null;
+    this.endAnsweringLocks = options.endAnsweringLocks || null;
+    this.ownership = options.ownership || null;
+  }
+
+  /**
+   * Restore every saved room (only the ones no other server runs, when sharing rooms)
+   * @returns {Promise<number>} Number of rooms recovered
+   */
+  async recover() {
+    if (this.ownership) return this.adoptOrphans();
+
+    const restored = await this.roomRepository.restore();
+    const recoveredAt = new Date();
+
+    for (const { room, timer } of restored) {
+      await this._recoverRoom(room, timer, recoveredAt);
+    }
+
+    if (restored.length > 0) {
+      console.log(`Recovered ${restored.length} active room(s)`);
+    }
+    return restored.length;
+  }
+
+  /**
+   * Take over a saved room that no server runs
+   * @param {string} pin
+   * @returns {Promise<boolean>} false when another server runs it or it is not saved
+   */
+  async adopt(pin) {
+    if (!(await this.ownership.claim(pin))) return false;
+
+    const restored = await this.roomRepository.restoreRoom(pin);
+    if (!restored) {
+      await this.ownership.release(pin);
+      return false;
+    }
+    await this._recoverRoom(restored.room, restored.timer, new Date());
+    console.log(`Took over room ${pin} from a server that went away`);
+    return true;
+  }
+
+  /**
+   * Take over every saved room whose server went away
+   * @returns {Promise<number>} Number of rooms taken over
+   */
+  async adoptOrphans() {
+    let adopted = 0;
+    for (const pin of await this.roomRepository.storedPins()) {
+      try {
+        if (this.ownership.owns(pin) || await this.ownership.ownerOf(pin)) continue;
+        if (await this.adopt(pin)) adopted++;
+      } catch (error) {
+        console.error(`Failed to take over room ${pin}:`, error.message);
+      }
+    }
+    return adopted;
+  }
+
+  /**
+   * @private
+   */
+  async _recoverRoom(room, timer, recoveredAt) {
+    try {
+      // Sockets connected through another server of the cluster never went away
+      const connected = this.ownership ? await this.io.in(room.pin).fetchSockets() : [];
+      room.markRecovered(recoveredAt, connected.map(socket => socket.id));
+      await this.roomRepository.save(room);
+      if (room.state === RoomState.ANSWERING_PHASE) {
+        await this._restoreAnswering(room.pin, timer);
+      }
+    } catch (error) {
+      console.error(`Failed to recover room ${room.pin}:`, error.message);
+    }
+  }
+
+  /**
+   * Restart the answering timer from its saved remaining time, or close the question
+   * when none was left (or none was saved)
+   * @private
+   */
+  async _restoreAnswering(pin, timer) {
+    const autoAdvance = () => this.autoAdvanceToResults({
+      io: this.io,
+      pin,
+      endAnsweringLocks: this.endAnsweringLocks,
+      timerService: this.timerService,
+      gameUseCases: this.gameUseCases
+    });
+
+    const restarted = this.timerService && timer
+      ? this.timerService.restoreTimer(pin, timer, async () => {
+        this.io.to(pin).emit('time_expired');
+        await autoAdvance();
+      })
+      : null;
+
+    if (!restarted && this.autoAdvanceToResults) {
+      await autoAdvance();
+    }
+  }
+}
+
+module.exports = { RoomRecoveryService };
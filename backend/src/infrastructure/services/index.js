@@ -1,10 +1,17 @@
 const { RoomCleanupService } = require('./RoomCleanupService');
 const { GameTimerService } = require('./GameTimerService');
+const { RoomRecoveryService } = require('./RoomRecoveryService');
+const { RoomEventRecorder, roomEventRecorder } = require('./RoomEventRecorder');
+const { LobbyBotService } = require('./LobbyBotService');
 const { EmailService, emailService } = require('./EmailService');
 
 module.exports = {
   RoomCleanupService,
   GameTimerService,
+  RoomRecoveryService,
+  RoomEventRecorder,
+  roomEventRecorder,
+  LobbyBotService,
   EmailService,
   emailService
 };
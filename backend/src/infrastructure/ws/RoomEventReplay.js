@@ -0,0 +1,346 @@
+const { createRoomHandler, createGameHandler, createDisconnectHandler } = require('../../api/handlers');
+const { socketRateLimiter } = require('../../api/middlewares/socketRateLimiter');
+const { RoomUseCases } = require('../../application/use-cases/RoomUseCases');
+const { GameUseCases } = require('../../application/use-cases/GameUseCases');
+const { Room, Quiz } = require('../../domain/entities');
+const { RoomRepository } = require('../repositories/RoomRepository');
+const { QuizRepository } = require('../repositories/QuizRepository');
+const { GameTimerService } = require('../services/GameTimerService');
+
+// Keys whose values the replay generates anew (pins, ids, tokens)
+const ID_KEY = /^(id|pin|token)$|(Id|Pin|Token)$/;
+
+const copy = (value) => JSON.parse(JSON.stringify(value === undefined ? null : value));
+
+// Repeatable stand-in for Math.random (mulberry32), seeded from a string
+const seededRandom = (seed) => {
+  let state = [...String(seed)].reduce((hash, char) => Math.imul(hash ^ char.charCodeAt(0), 16777619), 2166136261) >>> 0;
+  return () => {
+    state = (state + 0x6D2B79F5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+};
+
+/**
+ * Run fn with the clock (Date.now(), new Date()) set by the replay and Math.random() seeded
+ * @param {number} startAt - Time the clock starts at
+ * @param {string} seed
+ * @param {Function} fn - Gets setNow(ms) to move the clock
+ */
+const withReplayClock = async (startAt, seed, fn) => {
+  const RealDate = Date;
+  const realRandom = Math.random;
+  let now = startAt;
+  class ReplayDate extends RealDate {
+    constructor(...args) {
+      super(...(args.length ? args : [now]));
+    }
+
+    static now() {
+      return now;
+    }
+  }
+  global.Date = ReplayDate;
+  Math.random = seededRandom(seed);
+  try {
+    return await fn((ms) => { now = ms; });
+  } finally {
+    global.Date = RealDate;
+    Math.random = realRandom;
+  }
+};
+
+/**
+ * Line up the ids the replay generated with the recorded ones, by where they appear in the same ack
+ */
+const alignIds = (recorded, replayed, ids, key = '') => {
+  if (typeof recorded === 'string' && typeof replayed === 'string') {
+    if (recorded !== replayed && ID_KEY.test(key) && !ids.has(recorded)) ids.set(recorded, replayed);
+    return;
+  }
+  if (recorded && replayed && typeof recorded === 'object' && typeof replayed === 'object') {
+    for (const k of Object.keys(recorded)) {
+      alignIds(recorded[k], replayed[k], ids, Array.isArray(recorded) ? key : k);
+    }
+  }
+};
+
+/**
+ * Swap the recorded ids in a payload for the replay's
+ */
+const translate = (value, ids) => {
+  if (typeof value === 'string') return ids.get(value) ?? value;
+  if (Array.isArray(value)) return value.map(item => translate(item, ids));
+  if (value && typeof value === 'object') {
+    return Object.fromEntries(Object.entries(value).map(([key, item]) => [key, translate(item, ids)]));
+  }
+  return value;
+};
+
+const outcomeOf = (ack) => ({ ok: ack?.[0]?.ok, error: ack?.[0]?.error });
+
+const describeSent = ({ event, to }) => `${event} -> ${to.join(',')}`;
+
+/**
+ * The part of Socket.IO's server the handlers use, keeping what they send instead of sending it
+ */
+class ReplayServer {
+  constructor() {
+    this.sockets = { sockets: new Map() }; // socketId -> ReplaySocket
+    this.sent = [];
+  }
+
+  to(room) {
+    return new ReplayOperator(this, [].concat(room));
+  }
+
+  in(room) {
+    return this.to(room);
+  }
+}
+
+class ReplayOperator {
+  constructor(server, rooms, except = []) {
+    this.server = server;
+    this.rooms = rooms;
+    this.exceptRooms = except;
+  }
+
+  to(room) {
+    return new ReplayOperator(this.server, this.rooms.concat(room), this.exceptRooms);
+  }
+
+  in(room) {
+    return this.to(room);
+  }
+
+  except(ids) {
+    return new ReplayOperator(this.server, this.rooms, this.exceptRooms.concat(ids));
+  }
+
+  emit(event, ...args) {
+    const sent = { to: this.rooms, event, args: copy(args) };
+    if (this.exceptRooms.length) sent.except = this.exceptRooms;
+    this.server.sent.push(sent);
+    return true;
+  }
+
+  _sockets() {
+    return [...this.server.sockets.sockets.values()].filter(socket =>
+      this.rooms.some(room => socket.rooms.has(room)) && !this.exceptRooms.some(room => socket.rooms.has(room)));
+  }
+
+  socketsJoin(room) {
+    this._sockets().forEach(socket => socket.join(room));
+  }
+
+  socketsLeave(room) {
+    this._sockets().forEach(socket => socket.leave(room));
+  }
+
+  async fetchSockets() {
+    return this._sockets();
+  }
+}
+
+/**
+ * A recorded client's socket, receiving the events the log says it sent
+ */
+class ReplaySocket {
+  constructor(server, id, user) {
+    this.server = server;
+    this.id = id;
+    this.user = user;
+    this.isAuthenticated = !!user;
+    this.rooms = new Set([id]);
+    this.handlers = new Map(); // event -> handler
+  }
+
+  on(event, handler) {
+    this.handlers.set(event, handler);
+    return this;
+  }
+
+  async dispatch(event, args) {
+    const handler = this.handlers.get(event);
+    if (handler) await handler(...args);
+  }
+
+  join(rooms) {
+    [].concat(rooms).forEach(room => this.rooms.add(room));
+  }
+
+  leave(room) {
+    this.rooms.delete(room);
+  }
+
+  emit(event, ...args) {
+    return this.to(this.id).emit(event, ...args);
+  }
+
+  to(room) {
+    return new ReplayOperator(this.server, [].concat(room), room === this.id ? [] : [this.id]);
+  }
+
+  in(room) {
+    return this.to(room);
+  }
+}
+
+/**
+ * Answering timers that never run out on their own: the replay expires them where the recorded game's did
+ */
+class ReplayTimerService extends GameTimerService {
+  _rescheduleTimeout() {}
+
+  async expire(pin) {
+    const timer = this.activeTimers.get(pin);
+    if (!timer) return false;
+    this.stopTimer(pin);
+    if (timer.onExpire) await timer.onExpire();
+    return true;
+  }
+}
+
+/**
+ * Replay a room's event log (see RoomEventRecorder) through the socket handlers, on use cases and
+ * an in-memory room repository of its own, to reproduce the game for debugging.
+ *
+ * Events run at their recorded time, with the clock showing it, and in their recorded order; an event
+ * that arrived while an earlier one was still being handled is started before that one finishes (once it
+ * has sent its ack, if it had by then), so the two interleave again. Timers run out where they did in the recording. Pins, ids and tokens the replay
+ * generates are swapped in for the recorded ones, and Math.random() is seeded, so a replay repeats exactly;
+ * draws like shuffled question orders follow the seed rather than the recorded game, though.
+ *
+ * Date and Math.random() are replaced while it runs: do not replay in a process serving games.
+ *
+ * @param {Object} log - RoomEventRecorder.getLog() output, as downloaded
+ * @param {Object} [options]
+ * @param {string} [options.seed] - Seed of Math.random() (default: the pin)
+ * @returns {Promise<{ room: Object|null, sent: Array, divergences: Array, reproduced: boolean }>}
+ *   The room as the replay left it and what the handlers sent, both in the recording's ids, and where
+ *   the replay did not go like the recording
+ */
+const replayRoomEvents = (log, { seed = log.pin } = {}) => {
+  const steps = log.entries.filter(entry => entry.type === 'in' || entry.type === 'timer');
+  const startAt = steps.length ? steps[0].at : Date.now();
+  return withReplayClock(startAt, seed, async (setNow) => {
+    const roomRepository = new RoomRepository();
+    if (log.initialRoom) {
+      await roomRepository.save(Room.fromSnapshot(log.initialRoom));
+    }
+    const quizRepository = new QuizRepository();
+    if (log.quiz) {
+      await quizRepository.save(Quiz.fromSnapshot(log.quiz));
+    }
+    const roomUseCases = new RoomUseCases(roomRepository, quizRepository);
+    const gameUseCases = new GameUseCases(roomRepository, quizRepository);
+    const io = new ReplayServer();
+    // Ticks are not recorded, so they are not kept either
+    const timerService = new ReplayTimerService({ to: () => ({ emit: () => true }) });
+
+    const ids = new Map(); // recorded id -> the one the replay generated in its place
+    const divergences = [];
+
+    const connect = ({ socketId, user }) => {
+      let socket = io.sockets.sockets.get(socketId);
+      if (!socket) {
+        socket = new ReplaySocket(io, socketId, user);
+        io.sockets.sockets.set(socketId, socket);
+        createRoomHandler(io, socket, roomUseCases, timerService, gameUseCases);
+        createGameHandler(io, socket, gameUseCases, timerService);
+        createDisconnectHandler(io, socket, roomUseCases, timerService, gameUseCases);
+      }
+      return socket;
+    };
+
+    const run = async (step, onAck) => {
+      try {
+        if (step.type === 'timer') {
+          await timerService.expire(translate(step.pin, ids));
+          return;
+        }
+
+        const socket = connect(step);
+        const args = translate(step.args || [], ids);
+        if (step.event === 'disconnect') {
+          // Socket.IO has taken a disconnected socket out of its rooms by then
+          socket.rooms = new Set();
+          io.sockets.sockets.delete(socket.id);
+        }
+        if (!('ack' in step)) {
+          await socket.dispatch(step.event, args);
+          return;
+        }
+
+        let response = null;
+        await socket.dispatch(step.event, [...args, (...ack) => {
+          response = copy(ack);
+          onAck();
+        }]);
+        alignIds(step.ack, response, ids);
+        const recorded = outcomeOf(step.ack);
+        const replayed = outcomeOf(response);
+        if (recorded.ok !== replayed.ok || recorded.error !== replayed.error) {
+          divergences.push({ seq: step.seq, event: step.event, socketId: step.socketId, recorded: step.ack, replayed: response });
+        }
+      } catch (error) {
+        divergences.push({ seq: step.seq, event: step.event, socketId: step.socketId, error: error.message });
+      }
+    };
+
+    try {
+      const running = []; // { step, acked, done }
+      for (const step of steps) {
+        // Earlier events get as far as they had when this one arrived: handled, or answered
+        for (const earlier of [...running]) {
+          if (!(earlier.step.doneSeq > step.seq)) {
+            await earlier.done;
+            running.splice(running.indexOf(earlier), 1);
+          } else if (earlier.step.ackSeq < step.seq) {
+            await earlier.acked;
+          }
+        }
+        setNow(step.at);
+        let markAcked;
+        const acked = new Promise(resolve => { markAcked = resolve; });
+        const done = run(step, markAcked).finally(markAcked);
+        running.push({ step, acked, done });
+      }
+      await Promise.all(running.map(item => item.done));
+    } finally {
+      timerService.stopAll();
+      for (const step of steps) {
+        if (step.socketId) socketRateLimiter.removeSocket(step.socketId);
+      }
+    }
+
+    // What the handlers sent, in order, against the recording
+    const recordedSent = log.entries
+      .filter(entry => entry.type === 'out')
+      .map(entry => describeSent({ event: entry.event, to: translate(entry.to, ids) }));
+    const replayedSent = io.sent.map(describeSent);
+    const length = log.truncated ? recordedSent.length : Math.max(recordedSent.length, replayedSent.length);
+    for (let index = 0; index < length; index++) {
+      if (recordedSent[index] !== replayedSent[index]) {
+        divergences.push({ sent: index, recorded: recordedSent[index] ?? null, replayed: replayedSent[index] ?? null });
+        break;
+      }
+    }
+
+    // Reported in the recording's ids
+    const recordedIds = new Map([...ids].map(([recorded, replayed]) => [replayed, recorded]));
+    const room = await roomRepository.findByPin(ids.get(log.pin) || log.pin);
+    return {
+      room: room ? translate(copy(room.toSnapshot()), recordedIds) : null,
+      sent: io.sent.map(sent => translate(sent, recordedIds)),
+      divergences,
+      reproduced: divergences.length === 0
+    };
+  });
+};
+
+module.exports = { replayRoomEvents };
@@ -1,24 +1,74 @@
 const { Server } = require('socket.io');
 const jwt = require('jsonwebtoken');
 
-const { createRoomHandler, createGameHandler, endAnsweringLocks, nextQuestionLocks } = require('../../api/handlers');
-const { autoAdvanceToResults } = require('../../api/handlers/socketHandlerUtils');
+const { createRoomHandler, createGameHandler, createDisconnectHandler, createBotHandler, endAnsweringLocks, nextQuestionLocks } = require('../../api/handlers');
+const { autoAdvanceToResults, answerCountTicks } = require('../../api/handlers/socketHandlerUtils');
 const { RoomUseCases, GameUseCases } = require('../../application/use-cases');
-const { roomRepository, gameSessionRepository } = require('../repositories');
+const { roomRepository, gameSessionRepository, mongoUserRepository, roleLimitRepository } = require('../repositories');
 const { mongoQuizRepository } = require('../repositories/MongoQuizRepository');
 const { RoomCleanupService } = require('../services/RoomCleanupService');
 const { GameTimerService } = require('../services/GameTimerService');
+const { RoomRecoveryService } = require('../services/RoomRecoveryService');
+const { roomEventRecorder } = require('../services/RoomEventRecorder');
+const { LobbyBotService } = require('../services/LobbyBotService');
+const { connectBotSocket } = require('../bots');
+const { mongoRoomStore } = require('../repositories/MongoRoomStore');
+const { mongoBroker, createBrokerAdapter, RoomOwnership, RoomEventRouter } = require('../cluster');
 const { socketRateLimiter } = require('../../api/middlewares/socketRateLimiter');
 const { checkOrigin } = require('../../shared/config/cors');
 
 let io;
 let cleanupService;
 let timerService;
+let recoveryService;
+let router;
+
+// CLUSTER_BROKER=mongo lets several server processes serve the same rooms, coordinating through MongoDB
+// (default: a single process). Each room runs on the process holding its lease; the others forward to it.
+const broker = process.env.CLUSTER_BROKER === 'mongo' ? mongoBroker : null;
+const ownership = broker
+  ? new RoomOwnership(broker, {
+    // Another process took the room over (this one failed to renew it in time): leave it to them
+    onLost: (pin) => {
+      if (timerService) timerService.releaseTimer(pin);
+      answerCountTicks.cancel(pin);
+      roomRepository.forget(pin);
+    }
+  })
+  : null;
+
+// ROOM_STORE=mongo also keeps rooms in MongoDB, so active games survive a restart (default: memory only).
+// A cluster always needs it: that is where a room is taken over from when its process goes away.
+if (process.env.ROOM_STORE === 'mongo' || ownership) {
+  roomRepository.setStore(mongoRoomStore);
+}
+if (ownership) {
+  roomRepository.setOwnership(ownership);
+}
 
 // Initialize use cases
-const roomUseCases = new RoomUseCases(roomRepository, mongoQuizRepository);
+const roomUseCases = new RoomUseCases(roomRepository, mongoQuizRepository, {
+  gameSessionRepository,
+  userRepository: mongoUserRepository,
+  roleLimitRepository,
+  lockLeases: ownership ? ownership.lockLeases('create-room') : null
+});
 const gameUseCases = new GameUseCases(roomRepository, mongoQuizRepository, gameSessionRepository);
 
+// ROOM_EVENT_LOG=on keeps rooms' socket traffic, tokens redacted, for admins to download and replay (default: off)
+roomEventRecorder.setRoomRepository(roomRepository);
+const recordedRoomHandler = roomEventRecorder.wrap(createRoomHandler);
+const recordedGameHandler = roomEventRecorder.wrap(createGameHandler);
+const recordedDisconnectHandler = roomEventRecorder.wrap(createDisconnectHandler);
+
+// LOBBY_BOTS=on lets hosts fill their lobby with bots, which connect back to this server like players (default: off)
+const lobbyBots = process.env.LOBBY_BOTS === 'on'
+  ? new LobbyBotService({
+    connect: (botKey) => connectBotSocket(`http://127.0.0.1:${process.env.PORT || 3000}`, { auth: { botKey } }),
+    answerKey: (pin, socketId) => gameUseCases.getPlayerAnswerKey(pin, socketId)
+  })
+  : null;
+
 /**
  * Verify JWT token for socket authentication
  * @param {string} token - JWT token
@@ -48,6 +98,10 @@ const initializeSocket = (server) => {
       methods: ['GET', 'POST']
     }
   });
+  // Broadcasts and room joins reach the sockets connected to every process of the cluster
+  if (broker) {
+    io.adapter(createBrokerAdapter(broker));
+  }
 
   // Socket.io authentication middleware
   io.use((socket, next) => {
@@ -60,6 +114,8 @@ const initializeSocket = (server) => {
       // Attach user info to socket for later use
       socket.user = user;
       socket.isAuthenticated = !!user;
+      // Lobby bots join as players but are left out of archived games
+      socket.isBot = !!lobbyBots && lobbyBots.isBotKey(socket.handshake.auth.botKey);
 
       next();
     } catch (error) {
@@ -70,69 +126,27 @@ const initializeSocket = (server) => {
   });
 
   // Initialize timer service
-  timerService = new GameTimerService(io);
+  timerService = new GameTimerService(io, {
+    store: roomRepository.store,
+    ownership,
+    runExpired: roomEventRecorder.enabled ? (pin, expire) => roomEventRecorder.recordTimer(pin, expire) : null
+  });
+
+  // Register handlers on a connected socket, or on a RemoteSocket standing in for one connected to another process
+  const registerHandlers = (socket) => {
+    recordedRoomHandler(io, socket, roomUseCases, timerService, gameUseCases);
+    recordedGameHandler(io, socket, gameUseCases, timerService);
+    recordedDisconnectHandler(io, socket, roomUseCases, timerService, gameUseCases);
+    // Not recorded: a replay has no bots to add, and the bots' own events are recorded as they join
+    createBotHandler(io, socket, roomUseCases, lobbyBots);
+  };
 
   io.on('connection', (socket) => {
     console.log('User connected:', socket.id, socket.isAuthenticated && socket.user ? `(authenticated: ${socket.user.userId})` : '(guest)');
 
-    // Register handlers
-    createRoomHandler(io, socket, roomUseCases, timerService, gameUseCases);
-    createGameHandler(io, socket, gameUseCases, timerService);
-
-    socket.on('disconnect', async () => {
-      console.log('User disconnected:', socket.id);
-
-      // Clean up rate limiter entries for this socket
-      socketRateLimiter.removeSocket(socket.id);
-
-      try {
-        const result = await roomUseCases.handleDisconnect({ socketId: socket.id });
-
-        if (result.type === 'host_disconnected') {
-          // Notify players that host disconnected (but room still exists for reconnection)
-          io.to(result.pin).emit('host_disconnected', {
-            message: 'Host disconnected. Waiting for reconnection...'
-          });
-        } else if (result.type === 'player_left') {
-          // Lobby disconnect: player permanently removed — no reconnection needed
-          io.to(result.pin).emit('player_left', {
-            playerId: result.player.id,
-            nickname: result.player.nickname,
-            playerCount: result.playerCount,
-            connectedPlayerCount: result.connectedPlayerCount,
-            disconnected: false,
-            reason: 'connection_lost'
-          });
-        } else if (result.type === 'player_disconnected') {
-          io.to(result.pin).emit('player_left', {
-            playerId: result.player.id,
-            nickname: result.player.nickname,
-            playerCount: result.playerCount,
-            connectedPlayerCount: result.connectedPlayerCount,
-            disconnected: true,
-            reason: 'connection_lost'
-          });
-
-          // Notify host when all players have left during an active game
-          if (result.connectedPlayerCount === 0 && result.isActiveGame) {
-            io.to(result.pin).emit('all_players_left');
-          }
-
-          // Auto-advance if remaining connected players have all answered
-          if (result.shouldAutoAdvance) {
-            await autoAdvanceToResults({ io, pin: result.pin, endAnsweringLocks, timerService, gameUseCases });
-          }
-        } else if (result.type === 'spectator_disconnected') {
-          io.to(result.pin).emit('spectator_left', {
-            spectatorId: result.spectator.id,
-            nickname: result.spectator.nickname,
-            spectatorCount: result.spectatorCount
-          });
-        }
-      } catch (error) {
-        console.error('Disconnect handler error:', error.message);
-      }
-    });
+    // Events for rooms run by another process are handled there
+    if (router) router.attach(socket);
+    registerHandlers(socket);
   });
 
   // Start room cleanup service with injected dependencies
@@ -142,16 +156,68 @@ const initializeSocket = (server) => {
     timerService,
     autoAdvanceToResults,
     endAnsweringLocks,
+    answerCountTicks,
     managedLocks: [endAnsweringLocks, nextQuestionLocks],
+    ownership,
+    adoptOrphans: ownership ? () => recoveryService.adoptOrphans() : null,
     hostGracePeriod: 300000,   // 5 minutes - match RoomUseCases
     playerGracePeriod: 120000, // 2 minutes
     spectatorGracePeriod: 120000
   });
   cleanupService.start();
+  roomEventRecorder.start();
+
+  recoveryService = new RoomRecoveryService(roomRepository, io, {
+    timerService,
+    gameUseCases,
+    autoAdvanceToResults,
+    endAnsweringLocks,
+    ownership
+  });
+
+  if (ownership) {
+    router = new RoomEventRouter(broker, ownership, {
+      io,
+      registerHandlers,
+      findHostPin: (hostUserId) => mongoRoomStore.findPinByHostUserId(hostUserId),
+      adoptRoom: (pin) => recoveryService.adopt(pin)
+    });
+    ownership.start();
+    router.start();
+  }
 
   return io;
 };
 
+/**
+ * Restore the rooms saved before the last shutdown or crash (no-op without a room store);
+ * in a cluster, only the rooms no other process runs
+ * @returns {Promise<number>} Number of rooms recovered
+ */
+const recoverRooms = async () => {
+  if (!recoveryService || !roomRepository.store) return 0;
+  return recoveryService.recover();
+};
+
+/**
+ * Save the running answering timers and wait for every room write to reach the store,
+ * then detach it so the sockets closing on shutdown do not overwrite the saved rooms.
+ * In a cluster the rooms are then given up, for the other processes to take over.
+ * @returns {Promise<boolean>} false when rooms are not persisted
+ */
+const persistRooms = async () => {
+  if (!roomRepository.store) return false;
+  if (timerService) await timerService.persistAll();
+  await roomRepository.flush();
+  roomRepository.setStore(null);
+  if (ownership) {
+    roomRepository.setOwnership(null);
+    if (router) router.stop();
+    await ownership.stop();
+  }
+  return true;
+};
+
 const getIO = () => {
   if (!io) {
     throw new Error('Socket.io not initialized');
@@ -169,6 +235,18 @@ const stopTimerService = () => {
   if (timerService) {
     timerService.stopAll();
   }
+  // Answer counts large-event rooms still had waiting
+  answerCountTicks.clear();
+};
+
+const stopLobbyBots = () => {
+  if (lobbyBots) {
+    lobbyBots.stopAll();
+  }
+};
+
+const stopRoomEventRecorder = () => {
+  roomEventRecorder.stop();
 };
 
 const stopRateLimiter = () => {
@@ -179,4 +257,4 @@ const getTimerService = () => {
   return timerService;
 };
 
-module.exports = { initializeSocket, getIO, stopCleanupService, stopTimerService, stopRateLimiter, getTimerService, gameUseCases };
+module.exports = { initializeSocket, getIO, stopCleanupService, stopTimerService, stopLobbyBots, stopRoomEventRecorder, stopRateLimiter, getTimerService, recoverRooms, persistRooms, gameUseCases };
@@ -1,7 +1,12 @@
 module.exports = {
   // Player/Room limits
-  MAX_PLAYERS: 50,
+  MAX_PLAYERS: 50,     // Default room capacity; hosts can change it in the lobby
   MAX_SPECTATORS: 10,
+  MAX_ROOM_CAPACITY: 500,          // Players any room can take, whatever limit an admin sets
+  MAX_ROOM_SPECTATORS: 50,
+  // Players a host's rooms can take by role, unless an admin set another limit for the role or the user
+  ROOM_CAPACITY_BY_ROLE: { user: 50, admin: 500 },
+  LARGE_EVENT_TICK_MS: 1000,       // Large-event rooms get answer counts batched into one update this often
   MAX_TEAMS: 8,
   MAX_STREAK: 50, // Aligned with MAX_QUESTIONS — a streak cannot exceed total questions
 
@@ -24,6 +29,13 @@ module.exports = {
   // Power-ups
   TIME_EXTENSION_MS: 10000,                   // 10 seconds
   MAX_TIMER_EXTENSION_MS: 30000,              // 30 seconds max (safety cap)
+  MAX_POWER_UPS_PER_TYPE: 5,                  // Host loadout cap per power-up type
+  FREEZE_DURATION_MS: 3000,                   // 3 seconds of locked answer buttons
+  STREAK_POWER_UP_INTERVAL: 3,                // Earned power-ups: one per this many correct answers in a row
+  MAX_ELIMINATIONS_PER_QUESTION: 10,          // Elimination mode: cap on the bottom N knocked out after each question
+  DEFAULT_TEAM_DISCUSSION_SECONDS: 10,        // Team answers: time a team gets to talk before points start to drop
+  MAX_TEAM_DISCUSSION_SECONDS: 30,            // Fits MAX_QUESTION_TIME within MAX_EXTENDED_TIMER_SECONDS
+  TEAM_BALANCE_HISTORY_GAMES: 50,             // Balanced teams: how many of the host's latest games players are rated on
   // Max timer duration after extensions (MAX_QUESTION_TIME + MAX_TIMER_EXTENSION_MS/1000)
   MAX_EXTENDED_TIMER_SECONDS: 150,
 
@@ -40,11 +52,28 @@ module.exports = {
   DEFAULT_POINTS: 1000,
 
   // Quiz limits
-  MAX_QUESTIONS: 50,
+  MAX_QUESTIONS: 50, // Questions played in one game
+  MAX_BANK_QUESTIONS: 200, // Questions a quiz can hold, question pools included
+  MAX_QUESTION_POOLS: 10,
+  MAX_POOL_NAME_LENGTH: 50,
   MAX_TAGS: 20,
   MAX_OPTIONS: 6,
   MIN_OPTIONS: 2,
 
+  // Results histogram for NUMERIC answers
+  NUMERIC_HISTOGRAM_BINS: 10,
+
+  // TYPE_ANSWER questions
+  MAX_ACCEPTED_ANSWERS: 10,
+  TOP_WRONG_ANSWERS_LIMIT: 5,
+
+  // WORD_CLOUD questions
+  WORD_CLOUD_MAX_WORDS: 50,
+
+  // HOTSPOT questions (distances are fractions of the image size)
+  MAX_HOTSPOT_REGIONS: 5,
+  HOTSPOT_DISTANCE_RANGE: 0.2,
+
   // Lightning round
   MIN_LIGHTNING_QUESTIONS: 1,
   MAX_LIGHTNING_QUESTIONS: 10,
@@ -61,6 +90,24 @@ module.exports = {
   // Socket
   EMIT_TIMEOUT_MS: 10000,
 
+  // Cluster (several server processes sharing rooms)
+  CLUSTER_LEASE_TTL_MS: 15 * 1000,           // A room whose server stops renewing it is taken over after this
+  CLUSTER_FORWARD_TIMEOUT_MS: 10 * 1000,     // Wait for the room's server to answer a forwarded event
+
+  // Room event log (recorded socket traffic for replaying a game)
+  ROOM_EVENT_LOG_MAX_ENTRIES: 10000,         // Recording of a room stops there and its log is marked truncated
+  ROOM_EVENT_LOG_RETENTION_MS: 60 * 60 * 1000, // A room's log is dropped once it has been quiet this long
+  ROOM_EVENT_LOG_MAX_ROOMS: 20,              // Rooms recorded at once; more rooms are not recorded until logs are dropped
+  ROOM_EVENT_LOG_MAX_BYTES: 16 * 1024 * 1024, // All logs together; once reached, every log is marked truncated
+  ROOM_EVENT_LOG_PRUNE_INTERVAL_MS: 60 * 1000, // How often quiet logs are looked for
+
+  // Bot players (load tests and demo lobbies)
+  BOT_DEFAULT_ACCURACY: 0.7,                 // Share of questions a bot answers correctly
+  BOT_MIN_LATENCY_MS: 500,                   // A bot takes between these to answer
+  BOT_MAX_LATENCY_MS: 3000,
+  BOT_JOIN_INTERVAL_MS: 50,                  // Bots join one after another, this far apart
+  MAX_LOBBY_BOTS: 100,                       // Bots all the lobbies of one server process can have at once
+
   // Username
   MIN_USERNAME_LENGTH: 2,
   MAX_USERNAME_LENGTH: 30,
@@ -76,4 +123,7 @@ module.exports = {
   MAX_ROUNDS: 10,
   MAX_TOURNAMENT_NAME_LENGTH: 100,
   MIN_TOURNAMENT_ROUNDS: 2,
+
+  // Homework (self-paced classroom assignments)
+  HOMEWORK_ANSWER_GRACE_MS: 2000,            // Network slack on each question's time limit
 };
@@ -1,7 +1,14 @@
 class LockManager {
-  constructor(timeoutMs = 10000) {
+  /**
+   * @param {number} [timeoutMs] - Locks held longer than this are treated as leaked
+   * @param {Object} [options]
+   * @param {Object|null} [options.leases] - Shared leases ({ acquire(key, ttlMs), release(key) }, e.g. RoomOwnership.lockLeases())
+   *   that withLock also takes, so the lock holds across every server process; acquire/release stay local
+   */
+  constructor(timeoutMs = 10000, { leases = null } = {}) {
     this.locks = new Map();
     this.timeoutMs = timeoutMs;
+    this.leases = leases;
   }
 
   acquire(key) {
@@ -29,10 +36,20 @@ class LockManager {
     if (!this.acquire(key)) {
       throw new (require('../errors').ConflictError)(errorMessage);
     }
+    let leased = false;
     try {
+      if (this.leases) {
+        leased = await this.leases.acquire(key, this.timeoutMs);
+        if (!leased) {
+          throw new (require('../errors').ConflictError)(errorMessage);
+        }
+      }
       return await fn();
     } finally {
       this.release(key);
+      if (leased) {
+        await this.leases.release(key).catch(() => {});
+      }
     }
   }
 
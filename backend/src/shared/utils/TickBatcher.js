@@ -0,0 +1,60 @@
+/**
+ * Batches frequent updates into ticks: the first update for a key starts a tick, and when the tick
+ * is over only the latest update sent for the key in the meantime goes out.
+ */
+class TickBatcher {
+  /**
+   * @param {number} tickMs
+   */
+  constructor(tickMs) {
+    this.tickMs = tickMs;
+    this.pending = new Map(); // key -> { send, timer }
+  }
+
+  /**
+   * Send at the end of the key's tick, instead of any update still waiting
+   * @param {string} key
+   * @param {Function} send
+   */
+  schedule(key, send) {
+    const pending = this.pending.get(key);
+    if (pending) {
+      pending.send = send;
+      return;
+    }
+    this.pending.set(key, { send, timer: setTimeout(() => this.flush(key), this.tickMs) });
+  }
+
+  /**
+   * Send the key's waiting update now, e.g. before something it must not arrive after
+   * @param {string} key
+   */
+  flush(key) {
+    const pending = this.pending.get(key);
+    if (!pending) return;
+    clearTimeout(pending.timer);
+    this.pending.delete(key);
+    pending.send();
+  }
+
+  /**
+   * Drop the key's waiting update, e.g. once there is no one left to send it to
+   * @param {string} key
+   */
+  cancel(key) {
+    const pending = this.pending.get(key);
+    if (!pending) return;
+    clearTimeout(pending.timer);
+    this.pending.delete(key);
+  }
+
+  /**
+   * Drop every waiting update (shutdown)
+   */
+  clear() {
+    for (const { timer } of this.pending.values()) clearTimeout(timer);
+    this.pending.clear();
+  }
+}
+
+module.exports = { TickBatcher };
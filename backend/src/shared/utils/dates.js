@@ -0,0 +1,12 @@
+/**
+ * Date from a value that may have been through JSON (an ISO string) or be missing
+ * @param {Date|string|number|null|undefined} value
+ * @returns {Date|null}
+ */
+const toDateOrNull = (value) => {
+  if (value === null || value === undefined) return null;
+  const date = value instanceof Date ? new Date(value.getTime()) : new Date(value);
+  return Number.isNaN(date.getTime()) ? null : date;
+};
+
+module.exports = { toDateOrNull };
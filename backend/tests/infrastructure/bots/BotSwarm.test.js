@@ -0,0 +1,285 @@
+const { createRoomHandler, createGameHandler, createDisconnectHandler } = require('../../../src/api/handlers');
+const { socketRateLimiter } = require('../../../src/api/middlewares/socketRateLimiter');
+const { RoomUseCases } = require('../../../src/application/use-cases/RoomUseCases');
+const { GameUseCases } = require('../../../src/application/use-cases/GameUseCases');
+const { Quiz, Question, QuestionType } = require('../../../src/domain/entities');
+const { RoomRepository } = require('../../../src/infrastructure/repositories/RoomRepository');
+const { QuizRepository } = require('../../../src/infrastructure/repositories/QuizRepository');
+const { GameTimerService } = require('../../../src/infrastructure/services/GameTimerService');
+const { BotSwarm, BotHost, BotClient, BotStats } = require('../../../src/infrastructure/bots');
+const { MAX_ROOM_CAPACITY } = require('../../../src/shared/config/constants');
+
+const wire = (value) => JSON.parse(JSON.stringify(value === undefined ? null : value));
+
+/**
+ * Server and clients in one process: what the handlers send reaches the client sockets' listeners
+ * on the next turn of the event loop, as it would over the network
+ */
+const createTransport = (registerHandlers) => {
+  const sockets = new Map(); // socketId -> server-side socket
+  let nextId = 0;
+
+  const matching = (rooms, except) => [...sockets.values()].filter(socket =>
+    rooms.some(room => socket.rooms.has(room)) && !except.some(room => socket.rooms.has(room)));
+  const operator = (rooms, except = []) => ({
+    to: (room) => operator(rooms.concat(room), except),
+    in: (room) => operator(rooms.concat(room), except),
+    except: (ids) => operator(rooms, except.concat(ids)),
+    emit: (event, ...args) => {
+      matching(rooms, except).forEach(socket => socket.client.receive(event, wire(args)));
+      return true;
+    },
+    socketsJoin: (room) => matching(rooms, except).forEach(socket => socket.rooms.add(room)),
+    socketsLeave: (room) => matching(rooms, except).forEach(socket => socket.rooms.delete(room)),
+    fetchSockets: async () => matching(rooms, except)
+  });
+  const io = {
+    sockets: { sockets },
+    to: (room) => operator([].concat(room)),
+    in: (room) => operator([].concat(room))
+  };
+
+  const connect = (user = null) => {
+    const listeners = new Map(); // event -> Set of listeners
+    const client = {
+      connected: true,
+      on(event, listener) {
+        if (!listeners.has(event)) listeners.set(event, new Set());
+        listeners.get(event).add(listener);
+        return client;
+      },
+      once(event, listener) {
+        const once = (...args) => {
+          client.off(event, once);
+          listener(...args);
+        };
+        once.listener = listener;
+        return client.on(event, once);
+      },
+      off(event, listener) {
+        const set = listeners.get(event);
+        if (set) [...set].filter(l => l === listener || l.listener === listener).forEach(l => set.delete(l));
+        return client;
+      },
+      emit(event, data, ack) {
+        setImmediate(() => {
+          const handler = client.connected && server.handlers.get(event);
+          if (handler) handler(wire(data), (...response) => setImmediate(() => ack(...wire(response))));
+        });
+        return client;
+      },
+      receive(event, args) {
+        setImmediate(() => [...(listeners.get(event) || [])].forEach(listener => listener(...args)));
+      },
+      disconnect() {
+        if (!client.connected) return;
+        client.connected = false;
+        sockets.delete(server.id);
+        server.rooms = new Set();
+        const handler = server.handlers.get('disconnect');
+        if (handler) handler('client namespace disconnect');
+        [...(listeners.get('disconnect') || [])].forEach(listener => listener('io client disconnect'));
+      }
+    };
+    const server = {
+      id: `socket-${++nextId}`,
+      user,
+      isAuthenticated: !!user,
+      rooms: null,
+      handlers: new Map(),
+      client,
+      on(event, handler) {
+        this.handlers.set(event, handler);
+      },
+      emit(event, ...args) {
+        client.receive(event, wire(args));
+        return true;
+      },
+      to(room) {
+        return operator([].concat(room), [this.id]);
+      },
+      join(room) {
+        this.rooms.add(room);
+      },
+      leave(room) {
+        this.rooms.delete(room);
+      }
+    };
+    server.rooms = new Set([server.id]);
+    client.id = server.id;
+    sockets.set(server.id, server);
+    registerHandlers(io, server);
+    return client;
+  };
+
+  return { io, connect, sockets };
+};
+
+const createQuiz = () => {
+  const quiz = new Quiz({ id: 'quiz-1', title: 'Bot Quiz', createdBy: 'host-user' });
+  quiz.addQuestion(new Question({
+    id: 'q1',
+    text: 'What is 2+2?',
+    type: QuestionType.MULTIPLE_CHOICE,
+    options: ['3', '4', '5', '6'],
+    correctAnswerIndex: 1,
+    timeLimit: 5
+  }));
+  quiz.addQuestion(new Question({
+    id: 'q2',
+    text: 'Pick the even numbers',
+    type: QuestionType.MULTI_SELECT,
+    options: ['1', '2', '3', '4'],
+    correctAnswerIndices: [1, 3],
+    timeLimit: 5
+  }));
+  return quiz;
+};
+
+describe('BotSwarm', () => {
+  let transport;
+  let timerService;
+  let roomUseCases;
+
+  beforeEach(async () => {
+    const roomRepository = new RoomRepository();
+    const quizRepository = new QuizRepository();
+    await quizRepository.save(createQuiz());
+    roomUseCases = new RoomUseCases(roomRepository, quizRepository);
+    const gameUseCases = new GameUseCases(roomRepository, quizRepository);
+    transport = createTransport((io, socket) => {
+      createRoomHandler(io, socket, roomUseCases, timerService, gameUseCases);
+      createGameHandler(io, socket, gameUseCases, timerService);
+      createDisconnectHandler(io, socket, roomUseCases, timerService, gameUseCases);
+    });
+    timerService = new GameTimerService(transport.io);
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    timerService.stopAll();
+    [...transport.sockets.keys()].forEach(id => socketRateLimiter.removeSocket(id));
+    console.log.mockRestore();
+  });
+
+  afterAll(() => {
+    socketRateLimiter.stop();
+  });
+
+  const playGame = async ({ count, accuracy, largeEvent = false }) => {
+    const stats = new BotStats();
+    const host = new BotHost(transport.connect({ userId: 'host-user' }), { stats, introMs: 0, resultsMs: 0, leaderboardMs: 0 });
+    const swarm = new BotSwarm({
+      connect: () => transport.connect(),
+      count,
+      accuracy,
+      minLatencyMs: 0,
+      maxLatencyMs: 20,
+      joinIntervalMs: 0,
+      stats,
+      answerKey: () => host.answerKey()
+    });
+    const pin = await host.createRoom('quiz-1');
+    if (largeEvent) await host.request('set_large_event', { pin, enabled: true });
+    await swarm.join(pin);
+    const gameOver = await host.play();
+    await swarm.done();
+    return { host, swarm, gameOver };
+  };
+
+  it('should play a game through and report every event', async () => {
+    const { host, swarm, gameOver } = await playGame({ count: 5, accuracy: 1 });
+    const report = swarm.report();
+
+    expect(host.questionsPlayed).toBe(2);
+    expect(gameOver.leaderboard).toHaveLength(5);
+    expect(report.joined).toBe(5);
+    expect(report.events.join_room).toMatchObject({ sent: 5, errors: 0, errorRate: 0 });
+    expect(report.events.submit_answer).toMatchObject({ sent: 10, errors: 0 });
+    expect(report.events.submit_answer.latency.max).toBeGreaterThanOrEqual(report.events.submit_answer.latency.min);
+    expect(report.events.start_answering.sent).toBe(2);
+    expect(report.answers).toEqual({ sent: 10, keyed: 10, aimedCorrect: 10, correct: 10 });
+    expect(swarm.bots.every(bot => bot.finishReason === 'game_over')).toBe(true);
+  });
+
+  it('should answer wrong when told to', async () => {
+    const { swarm } = await playGame({ count: 3, accuracy: 0 });
+
+    expect(swarm.report().answers).toMatchObject({ sent: 6, keyed: 6, correct: 0 });
+  });
+
+  it('should batch answer counts in a large-event room, sending the last before the results', async () => {
+    const received = [];
+    const connect = transport.connect;
+    transport.connect = (user) => {
+      const socket = connect(user);
+      if (user) ['answer_count_updated', 'show_results'].forEach(event => socket.on(event, (data) => received.push([event, data.answeredCount])));
+      return socket;
+    };
+
+    await playGame({ count: 5, accuracy: 1, largeEvent: true });
+
+    // One count per question instead of one per answer
+    expect(received).toEqual([
+      ['answer_count_updated', 5], ['show_results', 5],
+      ['answer_count_updated', 5], ['show_results', 5]
+    ]);
+  });
+
+  it('should never bring more bots than any room can take', () => {
+    const swarm = new BotSwarm({ connect: () => transport.connect(), count: MAX_ROOM_CAPACITY + 10 });
+
+    expect(swarm.count).toBe(MAX_ROOM_CAPACITY);
+  });
+
+  it('should stop joining once the room cannot take bots', async () => {
+    const swarm = new BotSwarm({ connect: () => transport.connect(), count: 3, joinIntervalMs: 0 });
+
+    expect(await swarm.join('999999')).toBe(0);
+    expect(swarm.failedJoins).toBe(1);
+    expect(swarm.report().events.join_room).toMatchObject({ sent: 1, errors: 1, errorRate: 1 });
+    expect(swarm.report().errors).toEqual({ 'Room not found': 1 });
+  });
+});
+
+describe('BotClient', () => {
+  afterEach(() => {
+    jest.useRealTimers();
+  });
+
+  it('should hold back an event until the rate limit window has room for it', async () => {
+    jest.useFakeTimers();
+    const sent = [];
+    const socket = {
+      emit: (event, data, ack) => {
+        sent.push(Date.now());
+        ack({ ok: true });
+      },
+      disconnect: jest.fn()
+    };
+    const client = new BotClient(socket, { stats: new BotStats() });
+
+    // submit_answer allows 5 per 10 seconds
+    const requests = Promise.all([...Array(6)].map(() => client.request('submit_answer', {})));
+    await jest.advanceTimersByTimeAsync(10000);
+    expect(sent).toHaveLength(5);
+    await jest.advanceTimersByTimeAsync(1500);
+    await requests;
+
+    expect(sent).toHaveLength(6);
+    expect(sent[5] - sent[0]).toBeGreaterThan(10000);
+  });
+
+  it('should count an event without an ack as failed', async () => {
+    jest.useFakeTimers();
+    const stats = new BotStats();
+    const client = new BotClient({ emit: () => {}, disconnect: jest.fn() }, { stats, ackTimeoutMs: 1000 });
+
+    const request = client.request('join_room', {});
+    const failed = expect(request).rejects.toThrow('No response to join_room');
+    await jest.advanceTimersByTimeAsync(1000);
+    await failed;
+
+    expect(stats.toJSON().events.join_room).toMatchObject({ sent: 1, errors: 1, latency: null });
+  });
+});
@@ -0,0 +1,55 @@
+const { chooseAnswer } = require('../../../src/infrastructure/bots/botAnswers');
+const { Question, QuestionType } = require('../../../src/domain/entities');
+
+// As a bot gets it (no answers), and as the host does (with the answer key)
+const asked = (fields) => {
+  const key = new Question({ id: 'q1', text: 'Question?', ...fields }).getHostData();
+  const { text, type, options, matchTargets, isPoll } = key;
+  return { question: { text, type, options, matchTargets, isPoll }, key };
+};
+
+const always = () => 0;
+const never = () => 0.99;
+
+describe('chooseAnswer', () => {
+  it('should pick the correct option with the answer key', () => {
+    const { question, key } = asked({ options: ['a', 'b', 'c', 'd'], correctAnswerIndex: 2 });
+
+    expect(chooseAnswer(question, key, { accuracy: 1, random: always })).toEqual({ answer: { answerIndex: 2 }, aimedCorrect: true });
+    expect(chooseAnswer(question, key, { accuracy: 0.5, random: never }).answer.answerIndex).not.toBe(2);
+  });
+
+  it('should find the correct option where the bot sees it when options are shuffled', () => {
+    const { question, key } = asked({ options: ['a', 'b', 'c', 'd'], correctAnswerIndex: 2 });
+    const shuffled = { ...question, options: ['c', 'a', 'd', 'b'] };
+
+    expect(chooseAnswer(shuffled, key, { accuracy: 1, random: always }).answer).toEqual({ answerIndex: 0 });
+  });
+
+  it('should answer every question type from the key', () => {
+    const cases = [
+      [{ type: QuestionType.MULTI_SELECT, options: ['a', 'b', 'c'], correctAnswerIndices: [0, 2] }, { answerIndex: [0, 2] }],
+      [{ type: QuestionType.ORDERING, options: ['a', 'b', 'c'], correctOrder: [2, 0, 1] }, { answerIndex: [2, 0, 1] }],
+      [{ type: QuestionType.MATCHING, options: ['a', 'b'], matchTargets: ['x', 'y'], correctMatches: [1, 0] }, { answerIndex: [1, 0] }],
+      [{ type: QuestionType.NUMERIC, correctValue: 42, tolerance: 1 }, { answerValue: 42 }],
+      [{ type: QuestionType.TYPE_ANSWER, acceptedAnswers: ['Paris'] }, { answerValue: 'Paris' }]
+    ];
+    for (const [fields, answer] of cases) {
+      const { question, key } = asked(fields);
+      const correct = new Question({ id: 'q1', text: 'Question?', ...fields });
+
+      expect(chooseAnswer(question, key, { accuracy: 1, random: always }).answer).toEqual(answer);
+      const wrong = chooseAnswer(question, key, { accuracy: 0, random: always }).answer;
+      expect(wrong).not.toEqual(answer);
+      expect(correct.isCorrect(wrong.answerIndex ?? wrong.answerValue)).toBe(false);
+    }
+  });
+
+  it('should answer at random without a key for its question', () => {
+    const { question } = asked({ options: ['a', 'b', 'c', 'd'], correctAnswerIndex: 2 });
+    const { key } = asked({ options: ['a', 'b'], correctAnswerIndex: 0, text: 'Another question?' });
+
+    expect(chooseAnswer(question, key, { accuracy: 1 }).aimedCorrect).toBeNull();
+    expect(chooseAnswer(question, null, { accuracy: 1 }).aimedCorrect).toBeNull();
+  });
+});
@@ -0,0 +1,201 @@
+const { Server } = require('socket.io');
+const {
+  InMemoryBroker,
+  RoomOwnership,
+  RoomEventRouter,
+  createBrokerAdapter
+} = require('../../../src/infrastructure/cluster');
+
+// Let messages travel through the broker and back
+const settle = async () => {
+  for (let i = 0; i < 10; i++) {
+    await new Promise(resolve => setImmediate(resolve));
+  }
+};
+
+/**
+ * One server process of the cluster: its own Socket.IO server, ownership and router on the shared broker
+ */
+const startServer = (broker, instanceId, registerHandlers, options = {}) => {
+  const io = new Server();
+  io.adapter(createBrokerAdapter(broker));
+  const ownership = new RoomOwnership(broker, { instanceId });
+  const router = new RoomEventRouter(broker, ownership, { io, registerHandlers, forwardTimeoutMs: 200, ...options });
+  router.start();
+  return { io, ownership, router };
+};
+
+const stopServer = async ({ io, ownership, router }) => {
+  router.stop();
+  await ownership.stop();
+  io.of('/').adapter.close();
+};
+
+/**
+ * A client socket connected to a server, as far as the router and the adapter look at it
+ */
+const connectSocket = (io, router, id, user = null) => {
+  const nsp = io.of('/');
+  const socket = {
+    id,
+    user,
+    isAuthenticated: !!user,
+    rooms: new Set([id]),
+    listeners: {},
+    client: { writeToEngine: jest.fn() },
+    use(middleware) {
+      this.middleware = middleware;
+    },
+    on(event, listener) {
+      this.listeners[event] = listener;
+    },
+    join(rooms) {
+      [].concat(rooms).forEach(room => this.rooms.add(room));
+      nsp.adapter.addAll(id, new Set(rooms));
+    }
+  };
+  nsp.sockets.set(id, socket);
+  nsp.adapter.addAll(id, new Set([id]));
+  router.attach(socket);
+  return socket;
+};
+
+// Event packets written to a client socket, as [event, ...args]
+const received = (socket) => socket.client.writeToEngine.mock.calls
+  .flatMap(([packets]) => packets)
+  .map(packet => JSON.parse(packet.slice(packet.indexOf('['))));
+
+// Send an event from the client; resolves with 'local' when it is handled on this server, or with the ack
+const send = (socket, event, data) => new Promise(resolve => {
+  socket.middleware([event, data, (response) => resolve(response)], () => resolve('local'));
+});
+
+describe('RoomEventRouter', () => {
+  let broker;
+  let owner;
+  let edge;
+  let onDisconnect;
+
+  const ownerHandlers = (socket) => {
+    socket.on('whoami', (data, ack) => {
+      ack({ server: 'owner', socketId: socket.id, user: socket.user, inRoom: socket.rooms.has(data?.pin) });
+    });
+    socket.on('join', (data, ack) => {
+      socket.join(data.pin);
+      socket.emit('joined', { pin: data.pin });
+      ack({ ok: true });
+    });
+    socket.on('get_my_room', (_data, ack) => ack({ server: 'owner', pin: '123456' }));
+    socket.on('disconnect', () => onDisconnect(socket.id));
+  };
+
+  beforeEach(async () => {
+    broker = new InMemoryBroker();
+    onDisconnect = jest.fn();
+    owner = startServer(broker, 'owner', ownerHandlers);
+    edge = startServer(broker, 'edge', () => {}, {
+      findHostPin: jest.fn().mockResolvedValue('123456'),
+      adoptRoom: jest.fn().mockResolvedValue()
+    });
+    await owner.ownership.claim('123456');
+  });
+
+  afterEach(async () => {
+    await stopServer(owner);
+    await stopServer(edge);
+    await settle();
+  });
+
+  it('should run an event on the server that owns its room and send the ack back', async () => {
+    const socket = connectSocket(edge.io, edge.router, 'client-1', { userId: 'user-1' });
+
+    const response = await send(socket, 'whoami', { pin: '123456' });
+
+    expect(response).toEqual({ server: 'owner', socketId: 'client-1', user: { userId: 'user-1' }, inRoom: false });
+  });
+
+  it('should handle events of its own rooms itself', async () => {
+    const socket = connectSocket(owner.io, owner.router, 'client-1');
+
+    expect(await send(socket, 'whoami', { pin: '123456' })).toBe('local');
+  });
+
+  it('should handle events outside any room itself', async () => {
+    const socket = connectSocket(edge.io, edge.router, 'client-1');
+
+    expect(await send(socket, 'join_room_preview', {})).toBe('local');
+  });
+
+  it('should route by the room the socket is in when the event has no pin', async () => {
+    const socket = connectSocket(edge.io, edge.router, 'client-1');
+    socket.rooms.add('123456');
+
+    const response = await send(socket, 'whoami', {});
+
+    expect(response).toMatchObject({ server: 'owner', inRoom: false });
+  });
+
+  it('should find the host room of events without a pin', async () => {
+    const socket = connectSocket(edge.io, edge.router, 'client-1', { userId: 'host-1' });
+
+    const response = await send(socket, 'get_my_room', {});
+
+    expect(edge.router.findHostPin).toHaveBeenCalledWith('host-1');
+    expect(response).toEqual({ server: 'owner', pin: '123456' });
+  });
+
+  it('should join the real socket to the room and deliver what the owner sends it', async () => {
+    const socket = connectSocket(edge.io, edge.router, 'client-1');
+
+    await send(socket, 'join', { pin: '123456' });
+    await settle();
+
+    expect(socket.rooms.has('123456')).toBe(true);
+    expect(received(socket)).toContainEqual(['joined', { pin: '123456' }]);
+
+    owner.io.to('123456').emit('question_started', { index: 0 });
+    await settle();
+    expect(received(socket)).toContainEqual(['question_started', { index: 0 }]);
+
+    // The owner sees the room on the socket from then on
+    expect(await send(socket, 'whoami', { pin: '123456' })).toMatchObject({ inRoom: true });
+  });
+
+  it('should take over a room nobody runs any more and handle it itself', async () => {
+    edge.router.adoptRoom.mockImplementation((pin) => edge.ownership.claim(pin));
+    const socket = connectSocket(edge.io, edge.router, 'client-1');
+
+    expect(await send(socket, 'whoami', { pin: '654321' })).toBe('local');
+    expect(edge.router.adoptRoom).toHaveBeenCalledWith('654321');
+    expect(edge.ownership.owns('654321')).toBe(true);
+  });
+
+  it('should let the owner handle a disconnect', async () => {
+    const socket = connectSocket(edge.io, edge.router, 'client-1');
+    socket.rooms.add('123456');
+
+    socket.listeners.disconnecting();
+    await settle();
+
+    expect(onDisconnect).toHaveBeenCalledWith('client-1');
+    expect(owner.router.remoteSockets.has('client-1')).toBe(false);
+  });
+
+  it('should fail the event when the owner does not answer', async () => {
+    owner.router.stop();
+    const socket = connectSocket(edge.io, edge.router, 'client-1');
+
+    const response = await send(socket, 'whoami', { pin: '123456' });
+
+    expect(response).toEqual({ ok: false, error: 'Room server did not respond' });
+  });
+
+  it('should drop stand-ins for sockets that have been quiet for long', async () => {
+    const socket = connectSocket(edge.io, edge.router, 'client-1');
+    await send(socket, 'whoami', { pin: '123456' });
+
+    expect(owner.router.pruneRemoteSockets(Date.now())).toBe(0);
+    expect(owner.router.pruneRemoteSockets(Date.now() + 60 * 60 * 1000)).toBe(1);
+    expect(owner.router.remoteSockets.size).toBe(0);
+  });
+});
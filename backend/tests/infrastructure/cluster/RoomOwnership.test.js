@@ -0,0 +1,117 @@
+const { InMemoryBroker, RoomOwnership } = require('../../../src/infrastructure/cluster');
+const { LockManager } = require('../../../src/shared/utils/LockManager');
+const { ConflictError } = require('../../../src/shared/errors');
+
+describe('RoomOwnership', () => {
+  let broker;
+  let serverA;
+  let serverB;
+
+  beforeEach(() => {
+    broker = new InMemoryBroker();
+    serverA = new RoomOwnership(broker, { instanceId: 'server-a', leaseTtlMs: 1000 });
+    serverB = new RoomOwnership(broker, { instanceId: 'server-b', leaseTtlMs: 1000 });
+  });
+
+  afterEach(async () => {
+    await serverA.stop();
+    await serverB.stop();
+  });
+
+  it('should let only one server claim a room', async () => {
+    expect(await serverA.claim('123456')).toBe(true);
+    expect(await serverB.claim('123456')).toBe(false);
+
+    expect(serverA.owns('123456')).toBe(true);
+    expect(serverB.owns('123456')).toBe(false);
+    expect(await serverB.ownerOf('123456')).toBe('server-a');
+    expect(await serverB.ownerOf('654321')).toBeNull();
+  });
+
+  it('should free a released room for the others', async () => {
+    await serverA.claim('123456');
+    await serverA.release('123456');
+
+    expect(await serverB.claim('123456')).toBe(true);
+  });
+
+  it('should hand a room over once its server stops renewing it', async () => {
+    jest.useFakeTimers({ now: Date.now() });
+    try {
+      await serverA.claim('123456');
+      jest.setSystemTime(Date.now() + 1000);
+
+      expect(await serverB.ownerOf('123456')).toBeNull();
+      expect(await serverB.claim('123456')).toBe(true);
+    } finally {
+      jest.useRealTimers();
+    }
+  });
+
+  it('should report a room taken over while it was not renewed', async () => {
+    const onLost = jest.fn();
+    const slow = new RoomOwnership(broker, { instanceId: 'server-c', leaseTtlMs: 1000, onLost });
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+    jest.useFakeTimers({ now: Date.now() });
+    try {
+      await slow.claim('123456');
+      jest.setSystemTime(Date.now() + 1000);
+      await serverB.claim('123456');
+
+      await slow.renew();
+
+      expect(onLost).toHaveBeenCalledWith('123456');
+      expect(slow.owns('123456')).toBe(false);
+    } finally {
+      jest.useRealTimers();
+      console.warn.mockRestore();
+    }
+  });
+
+  it('should give every room up and claim no more once stopped', async () => {
+    await serverA.claim('123456');
+    await serverA.claim('654321');
+
+    await serverA.stop();
+
+    expect(await serverB.ownerOf('123456')).toBeNull();
+    expect(await serverB.ownerOf('654321')).toBeNull();
+    expect(await serverA.claim('111111')).toBe(false);
+  });
+
+  it('should keep one leader at a time', async () => {
+    expect(await serverA.isLeader(1000)).toBe(true);
+    expect(await serverB.isLeader(1000)).toBe(false);
+    expect(await serverA.isLeader(1000)).toBe(true);
+
+    await serverA.stop();
+    expect(await serverB.isLeader(1000)).toBe(true);
+  });
+
+  describe('lock leases', () => {
+    it('should hold a LockManager lock across servers', async () => {
+      const locksA = new LockManager(1000, { leases: serverA.lockLeases('create-room') });
+      const locksB = new LockManager(1000, { leases: serverB.lockLeases('create-room') });
+      let release;
+
+      const held = locksA.withLock('user-1', 'Busy', () => new Promise(resolve => { release = resolve; }));
+      await new Promise(resolve => setImmediate(resolve));
+
+      await expect(locksB.withLock('user-1', 'Busy', async () => 'created')).rejects.toThrow(ConflictError);
+      // The failed attempt does not keep its local lock
+      expect(locksB.acquire('user-1')).toBe(true);
+      locksB.release('user-1');
+
+      release();
+      await held;
+      await expect(locksB.withLock('user-1', 'Busy', async () => 'created')).resolves.toBe('created');
+    });
+
+    it('should keep the keys of different lock managers apart', async () => {
+      await serverA.lockLeases('create-room').acquire('user-1', 1000);
+
+      expect(await serverB.lockLeases('join').acquire('user-1', 1000)).toBe(true);
+      expect(await serverB.lockLeases('create-room').acquire('user-1', 1000)).toBe(false);
+    });
+  });
+});
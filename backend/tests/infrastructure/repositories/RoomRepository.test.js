@@ -0,0 +1,230 @@
+const { RoomRepository } = require('../../../src/infrastructure/repositories/RoomRepository');
+const { InMemoryBroker, RoomOwnership } = require('../../../src/infrastructure/cluster');
+const { Room, Player } = require('../../../src/domain/entities');
+
+// Stand-in for MongoRoomStore that keeps the JSON in a Map
+class MemoryRoomStore {
+  constructor() {
+    this.rooms = new Map();
+    this.saveCount = 0;
+  }
+
+  async save(pin, snapshot) {
+    this.saveCount++;
+    this.rooms.set(pin, { snapshot: JSON.stringify(snapshot), timer: this.rooms.get(pin)?.timer || null });
+  }
+
+  async delete(pin) {
+    this.rooms.delete(pin);
+  }
+
+  async saveTimer(pin, timer) {
+    const entry = this.rooms.get(pin);
+    if (entry) entry.timer = timer;
+  }
+
+  async deleteTimer(pin) {
+    const entry = this.rooms.get(pin);
+    if (entry) entry.timer = null;
+  }
+
+  async load(pin) {
+    const entry = this.rooms.get(pin);
+    return entry ? { pin, snapshot: JSON.parse(entry.snapshot), timer: entry.timer } : null;
+  }
+
+  async loadAll() {
+    return [...this.rooms].map(([pin, { snapshot, timer }]) => ({ pin, snapshot: JSON.parse(snapshot), timer }));
+  }
+
+  async listPins() {
+    return [...this.rooms.keys()];
+  }
+}
+
+const createRoom = (pin = '123456') => {
+  const room = new Room({ id: `room-${pin}`, pin, hostId: 'host-socket', hostToken: `host-${pin}`, quizId: 'quiz-1' });
+  room.addPlayer(new Player({ id: 'p1', socketId: 's1', nickname: 'Alice', roomPin: pin, token: `player-${pin}` }));
+  return room;
+};
+
+describe('RoomRepository with a room store', () => {
+  let store;
+  let repository;
+
+  beforeEach(() => {
+    store = new MemoryRoomStore();
+    repository = new RoomRepository({ store });
+  });
+
+  it('should write saved rooms to the store', async () => {
+    await repository.save(createRoom());
+    await repository.flush();
+
+    const [saved] = await store.loadAll();
+    expect(saved.pin).toBe('123456');
+    expect(saved.snapshot.players[0].nickname).toBe('Alice');
+  });
+
+  it('should coalesce saves made before the write starts into one write of the latest state', async () => {
+    const room = createRoom();
+    const firstSave = repository.save(room);
+    room.addPlayer(new Player({ id: 'p2', socketId: 's2', nickname: 'Bob', roomPin: '123456' }));
+    await Promise.all([firstSave, repository.save(room)]);
+    await repository.flush();
+
+    expect(store.saveCount).toBe(1);
+    const [saved] = await store.loadAll();
+    expect(saved.snapshot.players).toHaveLength(2);
+  });
+
+  it('should remove deleted rooms from the store', async () => {
+    await repository.save(createRoom());
+    await repository.flush();
+    await repository.delete('123456');
+    await repository.flush();
+
+    expect(await store.loadAll()).toEqual([]);
+  });
+
+  it('should not write when no store is attached', async () => {
+    const memoryOnly = new RoomRepository();
+    await memoryOnly.save(createRoom());
+    await memoryOnly.flush();
+
+    expect(await memoryOnly.restore()).toEqual([]);
+  });
+
+  it('should keep going when the store fails', async () => {
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    store.save = jest.fn().mockRejectedValue(new Error('store down'));
+
+    await repository.save(createRoom());
+    await repository.flush();
+
+    expect(await repository.findByPin('123456')).not.toBeNull();
+    expect(console.error).toHaveBeenCalled();
+    console.error.mockRestore();
+  });
+
+  describe('restore', () => {
+    it('should rebuild saved rooms with their indexes and timers', async () => {
+      await repository.save(createRoom());
+      await repository.flush();
+      await store.saveTimer('123456', { remainingMs: 5000, elapsedMs: 25000, originalDurationMs: 30000, totalExtensionMs: 0, savedAt: Date.now() });
+
+      const restarted = new RoomRepository({ store });
+      const restored = await restarted.restore();
+
+      expect(restored).toHaveLength(1);
+      expect(restored[0].room).toBeInstanceOf(Room);
+      expect(restored[0].timer.remainingMs).toBe(5000);
+      expect(await restarted.findByHostToken('host-123456')).toBe(restored[0].room);
+      expect((await restarted.findByPlayerToken('player-123456')).player.nickname).toBe('Alice');
+    });
+
+    it('should leave rooms already in memory alone', async () => {
+      const room = createRoom();
+      await repository.save(room);
+      await repository.flush();
+
+      expect(await repository.restore()).toEqual([]);
+      expect(await repository.findByPin('123456')).toBe(room);
+    });
+
+    it('should drop saved rooms that cannot be rebuilt', async () => {
+      jest.spyOn(console, 'error').mockImplementation(() => {});
+      await repository.save(createRoom());
+      await repository.flush();
+      store.rooms.set('654321', { snapshot: JSON.stringify({ pin: 'not-a-pin' }), timer: null });
+
+      const restarted = new RoomRepository({ store });
+      const restored = await restarted.restore();
+
+      expect(restored.map(r => r.room.pin)).toEqual(['123456']);
+      expect(store.rooms.has('654321')).toBe(false);
+      console.error.mockRestore();
+    });
+  });
+
+  describe('shared with other servers', () => {
+    let broker;
+    let ownership;
+    let other;
+
+    beforeEach(() => {
+      broker = new InMemoryBroker();
+      ownership = new RoomOwnership(broker, { instanceId: 'server-a' });
+      other = new RoomOwnership(broker, { instanceId: 'server-b' });
+      repository.setOwnership(ownership);
+    });
+
+    it('should claim a room when it is first saved', async () => {
+      await repository.save(createRoom());
+
+      expect(ownership.owns('123456')).toBe(true);
+      expect(await other.ownerOf('123456')).toBe('server-a');
+    });
+
+    it('should count pins run by another server as taken', async () => {
+      await other.claim('654321');
+
+      expect(await repository.exists('654321')).toBe(true);
+      expect(await repository.exists('111111')).toBe(false);
+    });
+
+    it('should give a deleted room up only once it is gone from the store', async () => {
+      await repository.save(createRoom());
+      await repository.flush();
+      let finishDelete;
+      store.delete = jest.fn(() => new Promise(resolve => { finishDelete = resolve; }));
+
+      await repository.delete('123456');
+      await new Promise(resolve => setImmediate(resolve));
+      expect(store.delete).toHaveBeenCalledWith('123456');
+      expect(await other.ownerOf('123456')).toBe('server-a');
+
+      finishDelete();
+      await repository.flush();
+      await new Promise(resolve => setImmediate(resolve));
+      expect(await other.ownerOf('123456')).toBeNull();
+    });
+
+    it('should not write over a room another server has taken', async () => {
+      jest.spyOn(console, 'warn').mockImplementation(() => {});
+      await other.claim('123456');
+
+      await repository.save(createRoom());
+      await repository.flush();
+
+      expect(store.rooms.has('123456')).toBe(false);
+      expect(console.warn).toHaveBeenCalled();
+      console.warn.mockRestore();
+    });
+
+    it('should bring back a single saved room', async () => {
+      await repository.save(createRoom());
+      await repository.flush();
+      const takingOver = new RoomRepository({ store });
+
+      const restored = await takingOver.restoreRoom('123456');
+
+      expect(restored.room.pin).toBe('123456');
+      expect(await takingOver.findByHostToken('host-123456')).toBe(restored.room);
+      expect(await takingOver.restoreRoom('654321')).toBeNull();
+      expect(await takingOver.storedPins()).toEqual(['123456']);
+    });
+
+    it('should forget a room without touching the store', async () => {
+      await repository.save(createRoom());
+      await repository.flush();
+
+      repository.forget('123456');
+      await repository.flush();
+
+      expect(await repository.findByPin('123456')).toBeNull();
+      expect(await repository.findByHostToken('host-123456')).toBeNull();
+      expect(store.rooms.has('123456')).toBe(true);
+    });
+  });
+});
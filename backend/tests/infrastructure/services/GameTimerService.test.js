@@ -345,4 +345,118 @@ describe('GameTimerService', () => {
       jest.useRealTimers();
     });
   });
+
+  describe('with a room store', () => {
+    let store;
+
+    beforeEach(() => {
+      store = {
+        saveTimer: jest.fn().mockResolvedValue(),
+        deleteTimer: jest.fn().mockResolvedValue()
+      };
+      timerService = new GameTimerService(mockIo, { store });
+    });
+
+    it('should save the timer when it starts and when it is extended', async () => {
+      jest.useFakeTimers();
+
+      timerService.startTimer('123456', 30, jest.fn());
+      await Promise.resolve();
+      expect(store.saveTimer).toHaveBeenLastCalledWith('123456', expect.objectContaining({
+        remainingMs: 30000,
+        originalDurationMs: 30000,
+        totalExtensionMs: 0
+      }));
+
+      timerService.extendTimer('123456', 10000);
+      await timerService.persistAll();
+      expect(store.saveTimer).toHaveBeenLastCalledWith('123456', expect.objectContaining({
+        remainingMs: 40000,
+        totalExtensionMs: 10000
+      }));
+
+      jest.useRealTimers();
+    });
+
+    it('should delete the saved timer when it is stopped, but not on stopAll', async () => {
+      timerService.startTimer('111111', 30, jest.fn());
+      timerService.startTimer('222222', 30, jest.fn());
+      timerService.stopTimer('111111');
+      timerService.stopAll();
+      await new Promise(resolve => setImmediate(resolve));
+
+      expect(store.deleteTimer).toHaveBeenCalledTimes(1);
+      expect(store.deleteTimer).toHaveBeenCalledWith('111111');
+    });
+
+    it('should restore a timer with the saved remaining time and extensions', () => {
+      jest.useFakeTimers();
+      const onExpire = jest.fn();
+
+      const info = timerService.restoreTimer('123456', {
+        remainingMs: 12000, elapsedMs: 18000, originalDurationMs: 30000, totalExtensionMs: 30000, savedAt: Date.now() - 60000
+      }, onExpire);
+
+      expect(info.durationMs).toBe(12000);
+      expect(timerService.getRemainingTime('123456')).toBe(12000);
+      expect(timerService.getElapsedTime('123456')).toBe(18000);
+      expect(timerService.getOriginalDuration('123456')).toBe(30000);
+      expect(timerService.getRemainingExtensionBudget('123456')).toBe(0);
+
+      jest.advanceTimersByTime(12000);
+      expect(onExpire).toHaveBeenCalled();
+
+      jest.useRealTimers();
+    });
+
+    it('should not restore a timer with no time left', () => {
+      expect(timerService.restoreTimer('123456', { remainingMs: 0 }, jest.fn())).toBeNull();
+      expect(timerService.getTimerSync('123456')).toBeNull();
+    });
+
+    it('should release a timer without touching its saved state', async () => {
+      timerService.startTimer('123456', 30, jest.fn());
+
+      timerService.releaseTimer('123456');
+      await new Promise(resolve => setImmediate(resolve));
+
+      expect(timerService.getTimerSync('123456')).toBeNull();
+      expect(store.deleteTimer).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('with rooms shared between servers', () => {
+    let owned;
+
+    beforeEach(() => {
+      jest.useFakeTimers();
+      owned = new Set(['123456']);
+      timerService = new GameTimerService(mockIo, { ownership: { owns: (pin) => owned.has(pin) } });
+    });
+
+    afterEach(() => {
+      timerService.stopAll();
+      jest.useRealTimers();
+    });
+
+    it('should expire timers of rooms this server owns', () => {
+      const onExpire = jest.fn();
+      timerService.startTimer('123456', 10, onExpire);
+
+      jest.advanceTimersByTime(10000);
+
+      expect(onExpire).toHaveBeenCalled();
+    });
+
+    it('should leave the question to the new owner of a room this server lost', () => {
+      const onExpire = jest.fn();
+      timerService.startTimer('123456', 10, onExpire);
+      owned.delete('123456');
+
+      jest.advanceTimersByTime(10000);
+
+      expect(onExpire).not.toHaveBeenCalled();
+      expect(timerService.getTimerSync('123456')).toBeNull();
+    });
+  });
 });
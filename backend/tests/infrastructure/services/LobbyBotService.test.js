@@ -0,0 +1,139 @@
+const { LobbyBotService } = require('../../../src/infrastructure/services/LobbyBotService');
+const { socketRateLimiter } = require('../../../src/api/middlewares/socketRateLimiter');
+const { ValidationError } = require('../../../src/shared/errors');
+
+// A socket.io-client socket that gets into every room
+const createSocket = (id, joined) => {
+  const listeners = new Map();
+  const socket = {
+    id,
+    on(event, listener) {
+      listeners.set(event, listener);
+      return socket;
+    },
+    emit(event, data, ack) {
+      if (event === 'join_room') joined.push(data);
+      setImmediate(() => ack({ ok: true }));
+      return socket;
+    },
+    disconnect: jest.fn(),
+    receive(event, data) {
+      listeners.get(event)(data);
+    }
+  };
+  return socket;
+};
+
+describe('LobbyBotService', () => {
+  let joined;
+  let sockets;
+  let service;
+  let answerKey;
+  let botKeys;
+
+  const createService = (options = {}) => new LobbyBotService({
+    connect: (botKey) => {
+      const socket = createSocket(`bot-socket-${sockets.length + 1}`, joined);
+      sockets.push(socket);
+      botKeys.push(botKey);
+      return socket;
+    },
+    answerKey,
+    ...options
+  });
+
+  beforeEach(() => {
+    joined = [];
+    sockets = [];
+    botKeys = [];
+    answerKey = jest.fn().mockReturnValue(null);
+    service = createService();
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    service.stopAll();
+    console.log.mockRestore();
+  });
+
+  afterAll(() => {
+    socketRateLimiter.stop();
+  });
+
+  it('should join the bots to the room and number them on across fills', async () => {
+    const first = service.fill('123456', { count: 2 });
+    await new Promise(resolve => setTimeout(resolve, 100));
+    const second = service.fill('123456', { count: 1 });
+    await new Promise(resolve => setTimeout(resolve, 20));
+
+    expect(first.bots).toHaveLength(2);
+    expect(second.bots).toHaveLength(1);
+    expect(joined).toEqual([
+      { pin: '123456', nickname: 'Bot-1' },
+      { pin: '123456', nickname: 'Bot-2' },
+      { pin: '123456', nickname: 'Bot-3' }
+    ]);
+  });
+
+  it('should read each bot\'s answer key for its own room and socket', async () => {
+    const swarm = service.fill('123456', { count: 1, accuracy: 1, minLatencyMs: 0, maxLatencyMs: 0 });
+    await new Promise(resolve => setTimeout(resolve, 20));
+
+    sockets[0].receive('question_intro', { currentQuestion: { text: 'Q?', options: ['a', 'b'] }, timeLimit: 10 });
+    sockets[0].receive('answering_started', {});
+    await new Promise(resolve => setTimeout(resolve, 20));
+
+    expect(swarm.bots).toHaveLength(1);
+    expect(answerKey).toHaveBeenCalledWith('123456', 'bot-socket-1');
+  });
+
+  it('should forget a room once its bots have left', async () => {
+    service.fill('123456', { count: 1 });
+    await new Promise(resolve => setTimeout(resolve, 20));
+
+    sockets[0].receive('game_over', {});
+    await new Promise(resolve => setTimeout(resolve, 20));
+
+    expect(sockets[0].disconnect).toHaveBeenCalled();
+    expect(service.swarms.has('123456')).toBe(false);
+    expect(console.log).toHaveBeenCalledWith(expect.stringContaining('[LobbyBots] Room 123456: 1 bots played'));
+  });
+
+  it('should connect the bots with the key that tells them from players', async () => {
+    service.fill('123456', { count: 2 });
+    await new Promise(resolve => setTimeout(resolve, 100));
+
+    expect(botKeys).toHaveLength(2);
+    expect(botKeys.every(key => service.isBotKey(key))).toBe(true);
+    expect(service.isBotKey('not-the-key')).toBe(false);
+    expect(service.isBotKey(undefined)).toBe(false);
+    expect(createService().isBotKey(botKeys[0])).toBe(false);
+  });
+
+  it('should add no more bots than the server allows at once', async () => {
+    service.stopAll();
+    service = createService({ maxBots: 3 });
+
+    expect(service.fill('123456', { count: 2 }).count).toBe(2);
+    expect(service.fill('654321', { count: 2 }).count).toBe(1);
+    expect(() => service.fill('111111', { count: 1 })).toThrow('Too many bots');
+    expect(service.getActiveBotCount()).toBe(3);
+    await new Promise(resolve => setTimeout(resolve, 100));
+  });
+
+  it('should reject an accuracy out of range before connecting anything', () => {
+    expect(() => service.fill('123456', { count: 1, accuracy: 2 })).toThrow(ValidationError);
+    expect(sockets).toHaveLength(0);
+  });
+
+  it('should disconnect every bot on stopAll', async () => {
+    service.fill('123456', { count: 1 });
+    service.fill('654321', { count: 1 });
+    await new Promise(resolve => setTimeout(resolve, 20));
+
+    service.stopAll();
+
+    expect(sockets.every(socket => socket.disconnect.mock.calls.length === 1)).toBe(true);
+    expect(service.swarms.size).toBe(0);
+  });
+});
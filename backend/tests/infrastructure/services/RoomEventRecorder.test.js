@@ -0,0 +1,259 @@
+const { RoomEventRecorder } = require('../../../src/infrastructure/services/RoomEventRecorder');
+
+describe('RoomEventRecorder', () => {
+  let recorder;
+  let rooms;
+  let io;
+  let socket;
+
+  const createSocket = (id) => ({
+    id,
+    user: null,
+    rooms: new Set([id]),
+    handlers: new Map(),
+    on(event, handler) {
+      this.handlers.set(event, handler);
+    },
+    emit: jest.fn(),
+    to: jest.fn(() => ({ emit: jest.fn() })),
+    join(room) {
+      this.rooms.add(room);
+    }
+  });
+
+  const createRoom = (pin) => ({
+    pin,
+    quizId: 'quiz-1',
+    toSnapshot: () => ({ pin, state: 'WAITING_PLAYERS' }),
+    hasQuizSnapshot: () => false
+  });
+
+  // Resolves once the recorder has filed the event
+  const send = async (target, event, ...args) => {
+    await target.handlers.get(event)(...args);
+    await new Promise(resolve => setImmediate(resolve));
+  };
+
+  beforeEach(() => {
+    rooms = new Map();
+    recorder = new RoomEventRecorder();
+    recorder.setRoomRepository({ findByPin: async (pin) => rooms.get(pin) || null });
+    io = { to: jest.fn(() => ({ emit: jest.fn() })) };
+    socket = createSocket('socket-1');
+  });
+
+  it('should record an event, its ack and what the handler sent under the room', async () => {
+    rooms.set('123456', createRoom('123456'));
+    recorder.wrap((server, client) => {
+      client.on('join_room', (data, callback) => {
+        client.join(data.pin);
+        client.emit('room_joined', { pin: data.pin });
+        server.to(data.pin).emit('player_joined', { nickname: data.nickname });
+        callback({ ok: true });
+      });
+    })(io, socket);
+    const callback = jest.fn();
+
+    await send(socket, 'join_room', { pin: '123456', nickname: 'Ada' }, callback);
+
+    const log = recorder.getLog('123456');
+    expect(callback).toHaveBeenCalledWith({ ok: true });
+    expect(log.initialRoom).toEqual({ pin: '123456', state: 'WAITING_PLAYERS' });
+    expect(log.quizId).toBe('quiz-1');
+    expect(log.entries.map(entry => [entry.type, entry.event])).toEqual([
+      ['in', 'join_room'],
+      ['out', 'room_joined'],
+      ['out', 'player_joined']
+    ]);
+    expect(log.entries[0]).toMatchObject({ socketId: 'socket-1', args: [{ pin: '123456', nickname: 'Ada' }], ack: [{ ok: true }] });
+    expect(log.entries[0].ackSeq).toBeLessThan(log.entries[0].doneSeq);
+    expect(log.entries[2].to).toEqual(['123456']);
+  });
+
+  it('should file what was sent while creating a room under it, starting from no room', async () => {
+    recorder.wrap((server, client) => {
+      client.on('create_room', (data, callback) => {
+        rooms.set('654321', createRoom('654321'));
+        client.emit('room_created', { pin: '654321' });
+        client.join('654321');
+        callback({ ok: true, pin: '654321' });
+      });
+    })(io, socket);
+
+    await send(socket, 'create_room', { quizId: 'quiz-1' }, jest.fn());
+
+    const log = recorder.getLog('654321');
+    expect(log.initialRoom).toBeNull();
+    expect(log.entries.map(entry => entry.event)).toEqual(['create_room', 'room_created']);
+  });
+
+  it('should not record events for rooms that do not exist', async () => {
+    recorder.wrap((server, client) => {
+      client.on('join_room', (data, callback) => callback({ ok: false, error: 'Room not found' }));
+    })(io, socket);
+
+    await send(socket, 'join_room', { pin: '999999' }, jest.fn());
+
+    expect(recorder.getLog('999999')).toBeNull();
+  });
+
+  it('should record a disconnect under the room the socket was in', async () => {
+    rooms.set('123456', createRoom('123456'));
+    recorder.wrap((server, client) => {
+      client.on('join_room', (data, callback) => {
+        client.join(data.pin);
+        callback({ ok: true });
+      });
+      client.on('disconnect', () => {});
+    })(io, socket);
+
+    await send(socket, 'join_room', { pin: '123456' }, jest.fn());
+    socket.rooms = new Set();
+    await send(socket, 'disconnect', 'transport close');
+
+    const entries = recorder.getLog('123456').entries;
+    expect(entries[entries.length - 1]).toMatchObject({ event: 'disconnect', args: ['transport close'] });
+    expect(entries[entries.length - 1]).not.toHaveProperty('ack');
+    expect(recorder.socketPins.has('socket-1')).toBe(false);
+  });
+
+  it('should record answering timers that ran out', async () => {
+    rooms.set('123456', createRoom('123456'));
+    recorder.wrap((server, client) => {
+      client.on('start_answering', (data, callback) => callback({ ok: true }));
+    })(io, socket);
+    await send(socket, 'start_answering', { pin: '123456' }, jest.fn());
+    const expire = jest.fn().mockResolvedValue('done');
+
+    const result = await recorder.recordTimer('123456', expire);
+
+    expect(result).toBe('done');
+    const entries = recorder.getLog('123456').entries;
+    expect(entries[entries.length - 1]).toMatchObject({ type: 'timer', event: 'expired', pin: '123456' });
+  });
+
+  it('should stop recording a room at the entry cap', async () => {
+    recorder = new RoomEventRecorder({ maxEntries: 2 });
+    recorder.setRoomRepository({ findByPin: async (pin) => rooms.get(pin) || null });
+    rooms.set('123456', createRoom('123456'));
+    recorder.wrap((server, client) => {
+      client.on('submit_answer', (data, callback) => callback({ ok: true }));
+    })(io, socket);
+
+    for (let i = 0; i < 3; i++) {
+      await send(socket, 'submit_answer', { pin: '123456', answerIndex: i }, jest.fn());
+    }
+
+    const log = recorder.getLog('123456');
+    expect(log.entries).toHaveLength(2);
+    expect(log.truncated).toBe(true);
+  });
+
+  it('should keep no tokens and only the id of the signed-in user', async () => {
+    const room = { ...createRoom('123456'), toSnapshot: () => ({ pin: '123456', hostToken: 'host-secret', players: [{ nickname: 'Ada', token: 'ada-secret' }] }) };
+    rooms.set('123456', room);
+    socket.user = { userId: 'host-user', email: 'host@example.com', role: 'admin' };
+    recorder.wrap((server, client) => {
+      client.on('reconnect_host', (data, callback) => {
+        client.emit('host_reconnected', { hostToken: 'host-rotated' });
+        callback({ ok: true, hostToken: 'host-rotated' });
+      });
+    })(io, socket);
+
+    await send(socket, 'reconnect_host', { pin: '123456', hostToken: 'host-secret' }, jest.fn());
+
+    const log = recorder.getLog('123456');
+    expect(JSON.stringify(log)).not.toMatch(/secret|rotated/);
+    expect(log.entries[0].user).toEqual({ userId: 'host-user' });
+    // The same token gets the same stand-in everywhere, for a replay to match up
+    expect(log.entries[0].args[0].hostToken).toBe(log.initialRoom.hostToken);
+    expect(log.entries[0].ack[0].hostToken).toBe(log.entries[1].args[0].hostToken);
+    expect(log.entries[0].ack[0].hostToken).not.toBe(log.initialRoom.hostToken);
+    expect(recorder.redact({ playerToken: 'ada-secret' })).toEqual({ playerToken: log.initialRoom.players[0].token });
+  });
+
+  it('should not record more rooms at once than allowed', async () => {
+    recorder = new RoomEventRecorder({ maxRooms: 1 });
+    recorder.setRoomRepository({ findByPin: async (pin) => rooms.get(pin) || null });
+    rooms.set('123456', createRoom('123456'));
+    rooms.set('654321', createRoom('654321'));
+    recorder.wrap((server, client) => {
+      client.on('start_game', (data, callback) => callback({ ok: true }));
+    })(io, socket);
+    const callback = jest.fn();
+
+    await send(socket, 'start_game', { pin: '123456' }, jest.fn());
+    await send(socket, 'start_game', { pin: '654321' }, callback);
+
+    expect(callback).toHaveBeenCalledWith({ ok: true });
+    expect(recorder.getLog('123456')).not.toBeNull();
+    expect(recorder.getLog('654321')).toBeNull();
+  });
+
+  it('should stop recording every room once the logs reach their size limit', async () => {
+    recorder = new RoomEventRecorder({ maxBytes: 1000 });
+    recorder.setRoomRepository({ findByPin: async (pin) => rooms.get(pin) || null });
+    rooms.set('123456', createRoom('123456'));
+    recorder.wrap((server, client) => {
+      client.on('submit_answer', (data, callback) => {
+        server.to(data.pin).emit('answer_count_updated', { answeredCount: data.answerIndex });
+        callback({ ok: true });
+      });
+    })(io, socket);
+
+    for (let i = 0; i < 10; i++) {
+      await send(socket, 'submit_answer', { pin: '123456', answerIndex: i }, jest.fn());
+    }
+
+    const log = recorder.getLog('123456');
+    expect(log.truncated).toBe(true);
+    expect(log.entries.length).toBeLessThan(10);
+    expect(recorder.bytes).toBeLessThan(1000 + 500);
+
+    recorder.prune(Date.now() + recorder.retentionMs);
+    expect(recorder.bytes).toBe(0);
+  });
+
+  it('should drop quiet logs on its own once started', async () => {
+    jest.useFakeTimers();
+    recorder = new RoomEventRecorder({ retentionMs: 1000, pruneIntervalMs: 500 });
+    recorder.setRoomRepository({ findByPin: async (pin) => rooms.get(pin) || null });
+    rooms.set('123456', createRoom('123456'));
+    recorder.wrap((server, client) => {
+      client.on('start_game', (data, callback) => callback({ ok: true }));
+    })(io, socket);
+    try {
+      await socket.handlers.get('start_game')({ pin: '123456' }, jest.fn());
+      await jest.advanceTimersByTimeAsync(0);
+      expect(recorder.getLog('123456')).not.toBeNull();
+
+      recorder.start();
+      await jest.advanceTimersByTimeAsync(1500);
+      expect(recorder.getLog('123456')).toBeNull();
+    } finally {
+      recorder.stop();
+      jest.useRealTimers();
+    }
+  });
+
+  it('should drop logs that have been quiet for the retention', async () => {
+    recorder = new RoomEventRecorder({ retentionMs: 1000 });
+    recorder.setRoomRepository({ findByPin: async (pin) => rooms.get(pin) || null });
+    rooms.set('123456', createRoom('123456'));
+    recorder.wrap((server, client) => {
+      client.on('start_game', (data, callback) => callback({ ok: true }));
+    })(io, socket);
+    await send(socket, 'start_game', { pin: '123456' }, jest.fn());
+
+    expect(recorder.prune(Date.now() + 500)).toBe(0);
+    expect(recorder.prune(Date.now() + 1000)).toBe(1);
+    expect(recorder.getLog('123456')).toBeNull();
+  });
+
+  it('should leave the handler factory as it is when disabled', () => {
+    const createHandler = jest.fn();
+    const disabled = new RoomEventRecorder({ enabled: false });
+
+    expect(disabled.wrap(createHandler)).toBe(createHandler);
+  });
+});
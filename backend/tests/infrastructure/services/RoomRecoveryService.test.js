@@ -0,0 +1,170 @@
+const { RoomRecoveryService } = require('../../../src/infrastructure/services/RoomRecoveryService');
+const { Room, RoomState, Player } = require('../../../src/domain/entities');
+
+const createRoom = (state) => {
+  const room = new Room({ id: 'room-1', pin: '123456', hostId: 'host-socket', hostToken: 'host-token', quizId: 'quiz-1', state });
+  room.players.push(new Player({ id: 'p1', socketId: 's1', nickname: 'Alice', roomPin: '123456', token: 'player-token' }));
+  return room;
+};
+
+describe('RoomRecoveryService', () => {
+  let roomRepository;
+  let timerService;
+  let autoAdvanceToResults;
+  let mockIo;
+  let service;
+
+  const recoverWith = (restored) => {
+    roomRepository.restore.mockResolvedValue(restored);
+    return service.recover();
+  };
+
+  beforeEach(() => {
+    roomRepository = { restore: jest.fn(), save: jest.fn().mockResolvedValue() };
+    timerService = { restoreTimer: jest.fn().mockReturnValue({ durationMs: 12000 }) };
+    autoAdvanceToResults = jest.fn().mockResolvedValue();
+    mockIo = { to: jest.fn().mockReturnThis(), emit: jest.fn() };
+    service = new RoomRecoveryService(roomRepository, mockIo, {
+      timerService,
+      gameUseCases: {},
+      autoAdvanceToResults,
+      endAnsweringLocks: {}
+    });
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    console.log.mockRestore();
+  });
+
+  it('should mark recovered rooms and save them', async () => {
+    const room = createRoom(RoomState.LEADERBOARD);
+
+    const count = await recoverWith([{ room, timer: null }]);
+
+    expect(count).toBe(1);
+    expect(room.recoveredAt).toBeInstanceOf(Date);
+    expect(room.isHostDisconnected()).toBe(true);
+    expect(room.getPlayerById('p1').isDisconnected()).toBe(true);
+    expect(roomRepository.save).toHaveBeenCalledWith(room);
+    expect(timerService.restoreTimer).not.toHaveBeenCalled();
+  });
+
+  it('should restart the answering timer from its saved state', async () => {
+    const room = createRoom(RoomState.ANSWERING_PHASE);
+    const timer = { remainingMs: 12000, elapsedMs: 18000, originalDurationMs: 30000, totalExtensionMs: 0, savedAt: Date.now() };
+
+    await recoverWith([{ room, timer }]);
+
+    expect(timerService.restoreTimer).toHaveBeenCalledWith('123456', timer, expect.any(Function));
+    expect(autoAdvanceToResults).not.toHaveBeenCalled();
+
+    // When it runs out the question closes as usual
+    await timerService.restoreTimer.mock.calls[0][2]();
+    expect(mockIo.emit).toHaveBeenCalledWith('time_expired');
+    expect(autoAdvanceToResults).toHaveBeenCalledWith(expect.objectContaining({ pin: '123456' }));
+  });
+
+  it('should close the question when no time was left', async () => {
+    timerService.restoreTimer.mockReturnValue(null);
+
+    await recoverWith([{ room: createRoom(RoomState.ANSWERING_PHASE), timer: { remainingMs: 0 } }]);
+
+    expect(autoAdvanceToResults).toHaveBeenCalledWith(expect.objectContaining({ pin: '123456' }));
+  });
+
+  it('should close the question when no timer was saved', async () => {
+    await recoverWith([{ room: createRoom(RoomState.ANSWERING_PHASE), timer: null }]);
+
+    expect(timerService.restoreTimer).not.toHaveBeenCalled();
+    expect(autoAdvanceToResults).toHaveBeenCalled();
+  });
+
+  it('should carry on with the other rooms when one fails', async () => {
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    roomRepository.save.mockRejectedValueOnce(new Error('store down'));
+    const other = new Room({ id: 'room-2', pin: '654321', hostId: 'host-2', hostToken: 'host-token-2', quizId: 'quiz-1' });
+
+    await recoverWith([{ room: createRoom(RoomState.LEADERBOARD), timer: null }, { room: other, timer: null }]);
+
+    expect(roomRepository.save).toHaveBeenCalledWith(other);
+    expect(console.error).toHaveBeenCalled();
+    console.error.mockRestore();
+  });
+
+  describe('with rooms shared between servers', () => {
+    let ownership;
+    let pinsOwnedElsewhere;
+
+    beforeEach(() => {
+      pinsOwnedElsewhere = new Set();
+      ownership = {
+        claim: jest.fn(async (pin) => !pinsOwnedElsewhere.has(pin)),
+        release: jest.fn().mockResolvedValue(),
+        owns: jest.fn().mockReturnValue(false),
+        ownerOf: jest.fn(async (pin) => (pinsOwnedElsewhere.has(pin) ? 'server-b' : null))
+      };
+      roomRepository.restoreRoom = jest.fn();
+      roomRepository.storedPins = jest.fn().mockResolvedValue([]);
+      mockIo.in = jest.fn().mockReturnValue({ fetchSockets: jest.fn().mockResolvedValue([]) });
+      service = new RoomRecoveryService(roomRepository, mockIo, {
+        timerService,
+        gameUseCases: {},
+        autoAdvanceToResults,
+        endAnsweringLocks: {},
+        ownership
+      });
+    });
+
+    it('should take over a room nobody runs', async () => {
+      const room = createRoom(RoomState.LEADERBOARD);
+      roomRepository.restoreRoom.mockResolvedValue({ room, timer: null });
+
+      expect(await service.adopt('123456')).toBe(true);
+
+      expect(ownership.claim).toHaveBeenCalledWith('123456');
+      expect(room.recoveredAt).toBeInstanceOf(Date);
+      expect(roomRepository.save).toHaveBeenCalledWith(room);
+    });
+
+    it('should leave a room another server runs alone', async () => {
+      pinsOwnedElsewhere.add('123456');
+
+      expect(await service.adopt('123456')).toBe(false);
+      expect(roomRepository.restoreRoom).not.toHaveBeenCalled();
+    });
+
+    it('should give the room back up when it is not saved', async () => {
+      roomRepository.restoreRoom.mockResolvedValue(null);
+
+      expect(await service.adopt('123456')).toBe(false);
+      expect(ownership.release).toHaveBeenCalledWith('123456');
+    });
+
+    it('should keep the place of sockets still connected through another server', async () => {
+      const room = createRoom(RoomState.LEADERBOARD);
+      room.players.push(new Player({ id: 'p2', socketId: 's2', nickname: 'Bob', roomPin: '123456', token: 'player-token-2' }));
+      roomRepository.restoreRoom.mockResolvedValue({ room, timer: null });
+      mockIo.in.mockReturnValue({ fetchSockets: jest.fn().mockResolvedValue([{ id: 'host-socket' }, { id: 's2' }]) });
+
+      await service.adopt('123456');
+
+      expect(mockIo.in).toHaveBeenCalledWith('123456');
+      expect(room.isHostDisconnected()).toBe(false);
+      expect(room.getPlayerById('p1').isDisconnected()).toBe(true);
+      expect(room.getPlayerById('p2').isDisconnected()).toBe(false);
+    });
+
+    it('should recover only the rooms whose server went away on startup', async () => {
+      roomRepository.storedPins.mockResolvedValue(['123456', '654321']);
+      pinsOwnedElsewhere.add('654321');
+      roomRepository.restoreRoom.mockResolvedValue({ room: createRoom(RoomState.WAITING_PLAYERS), timer: null });
+
+      expect(await service.recover()).toBe(1);
+
+      expect(roomRepository.restore).not.toHaveBeenCalled();
+      expect(roomRepository.restoreRoom).toHaveBeenCalledTimes(1);
+      expect(roomRepository.restoreRoom).toHaveBeenCalledWith('123456');
+    });
+  });
+});
@@ -0,0 +1,214 @@
+const { createRoomHandler, createGameHandler, createDisconnectHandler } = require('../../../src/api/handlers');
+const { socketRateLimiter } = require('../../../src/api/middlewares/socketRateLimiter');
+const { RoomUseCases } = require('../../../src/application/use-cases/RoomUseCases');
+const { GameUseCases } = require('../../../src/application/use-cases/GameUseCases');
+const { Quiz, Question, QuestionType } = require('../../../src/domain/entities');
+const { RoomRepository } = require('../../../src/infrastructure/repositories/RoomRepository');
+const { QuizRepository } = require('../../../src/infrastructure/repositories/QuizRepository');
+const { GameTimerService } = require('../../../src/infrastructure/services/GameTimerService');
+const { RoomEventRecorder } = require('../../../src/infrastructure/services/RoomEventRecorder');
+const { replayRoomEvents } = require('../../../src/infrastructure/ws/RoomEventReplay');
+
+/**
+ * The part of a Socket.IO server the handlers use
+ */
+const createServer = () => {
+  const sockets = new Map();
+  const inRooms = (rooms) => [...sockets.values()].filter(socket => rooms.some(room => socket.rooms.has(room)));
+  const operator = (rooms, except = []) => ({
+    to: (room) => operator(rooms.concat(room), except),
+    in: (room) => operator(rooms.concat(room), except),
+    except: (ids) => operator(rooms, except.concat(ids)),
+    emit: () => true,
+    socketsLeave: (room) => inRooms(rooms).forEach(socket => socket.rooms.delete(room))
+  });
+  return {
+    sockets: { sockets },
+    to: (room) => operator([].concat(room)),
+    in: (room) => operator([].concat(room))
+  };
+};
+
+const connectSocket = (io, id, user = null) => {
+  const socket = {
+    id,
+    user,
+    isAuthenticated: !!user,
+    rooms: new Set([id]),
+    handlers: new Map(),
+    on(event, handler) {
+      this.handlers.set(event, handler);
+    },
+    emit: () => true,
+    to: () => ({ emit: () => true }),
+    join(room) {
+      this.rooms.add(room);
+    },
+    leave(room) {
+      this.rooms.delete(room);
+    }
+  };
+  io.sockets.sockets.set(id, socket);
+  return socket;
+};
+
+// Send an event from the client and resolve with its ack
+const send = (socket, event, data) => new Promise(resolve => {
+  socket.handlers.get(event)(data, resolve);
+});
+
+const createQuiz = () => {
+  const quiz = new Quiz({ id: 'quiz-1', title: 'Replay Quiz', createdBy: 'host-user' });
+  ['2+2', '3+3'].forEach((text, index) => {
+    quiz.addQuestion(new Question({
+      id: `q${index + 1}`,
+      text: `What is ${text}?`,
+      type: QuestionType.MULTIPLE_CHOICE,
+      options: ['4', '6', '8', '10'],
+      correctAnswerIndex: index,
+      timeLimit: 10,
+      points: 1000
+    }));
+  });
+  return quiz;
+};
+
+describe('replayRoomEvents', () => {
+  let recorder;
+  let roomRepository;
+
+  /**
+   * Play a short game on handlers wrapped by the recorder: one question runs out of time, the other is
+   * answered by everyone, or ended by the host as the last answer comes in
+   */
+  const playGame = async ({ race = false } = {}) => {
+    const quizRepository = new QuizRepository();
+    await quizRepository.save(createQuiz());
+    const roomUseCases = new RoomUseCases(roomRepository, quizRepository);
+    const gameUseCases = new GameUseCases(roomRepository, quizRepository);
+    const io = createServer();
+    const timerService = new GameTimerService(io, { runExpired: (pin, expire) => recorder.recordTimer(pin, expire) });
+    const connect = (id, user) => {
+      const socket = connectSocket(io, id, user);
+      recorder.wrap(createRoomHandler)(io, socket, roomUseCases, timerService, gameUseCases);
+      recorder.wrap(createGameHandler)(io, socket, gameUseCases, timerService);
+      recorder.wrap(createDisconnectHandler)(io, socket, roomUseCases, timerService, gameUseCases);
+      return socket;
+    };
+    const tick = (ms) => jest.advanceTimersByTimeAsync(ms);
+
+    const host = connect('host-socket', { userId: 'host-user' });
+    const ada = connect('ada-socket');
+    const bob = connect('bob-socket');
+
+    const { pin } = await send(host, 'create_room', { quizId: 'quiz-1' });
+    await tick(100);
+    await send(ada, 'join_room', { pin, nickname: 'Ada' });
+    await send(bob, 'join_room', { pin, nickname: 'Bob' });
+    await tick(100);
+    await send(host, 'start_game', { pin });
+    await send(host, 'start_answering', { pin });
+    await tick(2000);
+    await send(ada, 'submit_answer', { pin, answerIndex: 0 });
+    // Bob never answers: the timer runs out
+    await tick(10000);
+    await send(host, 'show_leaderboard', { pin });
+    await send(host, 'next_question', { pin });
+    await send(host, 'start_answering', { pin });
+    await tick(1500);
+    await send(ada, 'submit_answer', { pin, answerIndex: 0 });
+    await tick(500);
+    if (race) {
+      await Promise.all([send(bob, 'submit_answer', { pin, answerIndex: 1 }), send(host, 'end_answering', { pin })]);
+    } else {
+      await send(bob, 'submit_answer', { pin, answerIndex: 1 });
+    }
+    await tick(100);
+    await bob.handlers.get('disconnect')('transport close');
+    await tick(100);
+
+    timerService.stopAll();
+    return pin;
+  };
+
+  beforeEach(() => {
+    recorder = new RoomEventRecorder();
+    roomRepository = new RoomRepository();
+    recorder.setRoomRepository(roomRepository);
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.useFakeTimers({ now: new Date('2026-01-01T10:00:00Z') });
+  });
+
+  afterEach(() => {
+    jest.useRealTimers();
+    console.log.mockRestore();
+    ['host-socket', 'ada-socket', 'bob-socket'].forEach(id => socketRateLimiter.removeSocket(id));
+  });
+
+  afterAll(() => {
+    socketRateLimiter.stop();
+  });
+
+  it('should reproduce a recorded game', async () => {
+    const pin = await playGame();
+    jest.useRealTimers();
+    const log = recorder.getLog(pin);
+    const recordedRoom = JSON.parse(JSON.stringify((await roomRepository.findByPin(pin)).toSnapshot()));
+
+    const result = await replayRoomEvents(JSON.parse(JSON.stringify(log)));
+
+    expect(log.entries.filter(entry => entry.type === 'timer')).toHaveLength(1);
+    expect(result.divergences).toEqual([]);
+    expect(result.reproduced).toBe(true);
+    expect(result.room.state).toBe(recordedRoom.state);
+    expect(result.room.players.map(p => [p.id, p.nickname, p.score, p.correctAnswers, p.disconnectedAt]))
+      .toEqual(recordedRoom.players.map(p => [p.id, p.nickname, p.score, p.correctAnswers, p.disconnectedAt]));
+  });
+
+  it('should interleave events again that overlapped in the recording', async () => {
+    const log = recorder.getLog(await playGame({ race: true }));
+    jest.useRealTimers();
+    const submit = log.entries.find(entry => entry.event === 'submit_answer' && entry.socketId === 'bob-socket');
+    const endAnswering = log.entries.find(entry => entry.event === 'end_answering');
+
+    const result = await replayRoomEvents(log);
+
+    expect(endAnswering.seq).toBeLessThan(submit.doneSeq);
+    expect(result.divergences).toEqual([]);
+  });
+
+  it('should go the same way every time', async () => {
+    const log = recorder.getLog(await playGame());
+    jest.useRealTimers();
+
+    const first = await replayRoomEvents(log);
+    const second = await replayRoomEvents(log);
+
+    expect(second.sent.map(sent => [sent.event, sent.args]))
+      .toEqual(first.sent.map(sent => [sent.event, sent.args]));
+  });
+
+  it('should report where the replay no longer goes like the recording', async () => {
+    const log = recorder.getLog(await playGame());
+    jest.useRealTimers();
+    const bobJoin = log.entries.find(entry => entry.event === 'join_room' && entry.socketId === 'bob-socket');
+
+    const result = await replayRoomEvents({ ...log, entries: log.entries.filter(entry => entry !== bobJoin) });
+
+    expect(result.reproduced).toBe(false);
+    expect(result.divergences[0]).toMatchObject({ event: 'submit_answer', socketId: 'bob-socket', replayed: [{ ok: false }] });
+    expect(result.divergences[0].recorded[0]).toMatchObject({ isCorrect: true });
+  });
+
+  it('should start from the room the log starts with', async () => {
+    const pin = await playGame();
+    jest.useRealTimers();
+    const log = recorder.getLog(pin);
+    const room = (await roomRepository.findByPin(pin)).toSnapshot();
+
+    const result = await replayRoomEvents({ pin, initialRoom: JSON.parse(JSON.stringify(room)), quiz: log.quiz, entries: [] });
+
+    expect(result.room.pin).toBe(pin);
+    expect(result.room.players.map(p => p.score)).toEqual(room.players.map(p => p.score));
+  });
+});
@@ -0,0 +1,146 @@
+import { useState } from 'react';
+import { Stack, Group, Text, Button, ActionIcon, Slider, SegmentedControl, Select, Paper } from '@mantine/core';
+import { IconTrash, IconCheck } from '@tabler/icons-react';
+import HotspotImage from './game/HotspotImage';
+
+const MAX_REGIONS = 5;
+const MAX_POLYGON_POINTS = 20;
+const DEFAULT_RADIUS = 0.08;
+
+const round = (value) => Math.round(value * 1000) / 1000;
+
+/**
+ * Marks the correct regions of a HOTSPOT question on its image.
+ * In circle mode each click drops a circle; in polygon mode clicks add corners
+ * until the shape is finished. Coordinates are fractions of the image size.
+ */
+export default function HotspotEditor({ imageUrl, regions, onChange, scoring, onScoringChange, error }) {
+  const [shape, setShape] = useState('circle');
+  const [draftPoints, setDraftPoints] = useState([]);
+  const isFull = regions.length >= MAX_REGIONS;
+
+  const handleSelect = ({ x, y }) => {
+    if (isFull) return;
+    const point = { x: round(x), y: round(y) };
+    if (shape === 'circle') {
+      onChange([...regions, { shape: 'circle', ...point, radius: DEFAULT_RADIUS }]);
+    } else if (draftPoints.length < MAX_POLYGON_POINTS) {
+      setDraftPoints([...draftPoints, point]);
+    }
+  };
+
+  const finishPolygon = () => {
+    onChange([...regions, { shape: 'polygon', points: draftPoints }]);
+    setDraftPoints([]);
+  };
+
+  const handleShapeChange = (value) => {
+    setShape(value);
+    setDraftPoints([]);
+  };
+
+  const setRadius = (index, radius) => {
+    onChange(regions.map((region, i) => (i === index ? { ...region, radius } : region)));
+  };
+
+  const removeRegion = (index) => {
+    onChange(regions.filter((_, i) => i !== index));
+  };
+
+  // The unfinished polygon is previewed alongside the saved regions
+  const previewRegions = draftPoints.length >= 3
+    ? [...regions, { shape: 'polygon', points: draftPoints }]
+    : regions;
+
+  if (!imageUrl || !imageUrl.trim()) {
+    return (
+      <Text size="sm" c={error ? 'red' : 'dimmed'}>
+        Add an image URL below, then click the image to mark the correct regions.
+      </Text>
+    );
+  }
+
+  return (
+    <Stack gap="xs">
+      <Group justify="space-between">
+        <SegmentedControl
+          size="xs"
+          value={shape}
+          onChange={handleShapeChange}
+          data={[
+            { value: 'circle', label: 'Circle' },
+            { value: 'polygon', label: 'Polygon' },
+          ]}
+        />
+        {shape === 'polygon' && (
+          <Button
+            size="xs"
+            variant="light"
+            leftSection={<IconCheck size={14} />}
+            onClick={finishPolygon}
+            disabled={draftPoints.length < 3 || isFull}
+          >
+            Finish Polygon ({draftPoints.length})
+          </Button>
+        )}
+      </Group>
+
+      <Text size="sm" c="dimmed">
+        {isFull
+          ? `Up to ${MAX_REGIONS} regions can be marked.`
+          : shape === 'circle'
+            ? 'Click the image to place a correct region.'
+            : 'Click at least three corners, then finish the polygon.'}
+      </Text>
+
+      <HotspotImage
+        src={imageUrl}
+        onSelect={handleSelect}
+        disabled={isFull}
+        regions={previewRegions}
+        clicks={draftPoints.map((point) => ({ ...point, isCorrect: true }))}
+      />
+
+      {regions.map((region, index) => (
+        <Paper key={index} p="xs" withBorder>
+          <Group gap="sm" wrap="nowrap">
+            <Text size="sm" fw={500} w={90}>
+              {region.shape === 'circle' ? `Circle ${index + 1}` : `Polygon ${index + 1}`}
+            </Text>
+            {region.shape === 'circle' ? (
+              <Slider
+                style={{ flex: 1 }}
+                min={0.01}
+                max={0.5}
+                step={0.01}
+                value={region.radius}
+                onChange={(value) => setRadius(index, value)}
+                label={(value) => `${Math.round(value * 100)}%`}
+              />
+            ) : (
+              <Text size="sm" c="dimmed" style={{ flex: 1 }}>
+                {region.points.length} points
+              </Text>
+            )}
+            <ActionIcon variant="subtle" color="red" onClick={() => removeRegion(index)}>
+              <IconTrash size={14} />
+            </ActionIcon>
+          </Group>
+        </Paper>
+      ))}
+
+      {error && <Text size="sm" c="red">{error}</Text>}
+
+      <Select
+        label="Scoring"
+        data={[
+          { value: 'HIT', label: 'Hit or miss (full points inside a region)' },
+          { value: 'DISTANCE', label: 'Distance (partial points for near misses)' },
+        ]}
+        value={scoring}
+        onChange={(value) => onScoringChange(value || 'HIT')}
+        allowDeselect={false}
+      />
+    </Stack>
+  );
+}
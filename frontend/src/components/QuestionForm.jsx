@@ -1,15 +1,72 @@
-import { TextInput, Textarea, Select, NumberInput, Button, Stack, Group, ActionIcon, Radio, Text, Input } from '@mantine/core';
+import { TextInput, Textarea, Select, NumberInput, TagsInput, Switch, Button, Stack, Group, ActionIcon, Radio, Checkbox, Text, Input } from '@mantine/core';
 import { useForm } from '@mantine/form';
 import { useMutation } from '@tanstack/react-query';
 import { IconPlus, IconTrash } from '@tabler/icons-react';
 import { quizService } from '../services/quizService';
 import { showToast } from '../utils/toast';
+import HotspotEditor from './HotspotEditor';
 import {
   questionTextValidation,
   questionTimeLimitValidation,
   questionPointsValidation,
 } from '../constants/validation';
 
+// Random order of count indices that never leaves every index in place
+const shuffleIndices = (count) => {
+  const order = Array.from({ length: count }, (_, i) => i);
+  do {
+    for (let i = order.length - 1; i > 0; i--) {
+      const j = Math.floor(Math.random() * (i + 1));
+      [order[i], order[j]] = [order[j], order[i]];
+    }
+  } while (order.length > 1 && order.every((value, i) => value === i));
+  return order;
+};
+
+// ORDERING questions are authored in their correct sequence. The saved option order
+// is shuffled so players never start from the answer, and correctOrder maps it back.
+const shuffleForOrdering = (options) => {
+  const order = shuffleIndices(options.length);
+  return {
+    options: order.map(i => options[i]),
+    correctOrder: options.map((_, position) => order.indexOf(position)),
+  };
+};
+
+// MATCHING questions are authored as pairs. The saved match targets are shuffled
+// so the right column never lines up with the left, and correctMatches pairs them back.
+const shuffleForMatching = (targets) => {
+  const order = shuffleIndices(targets.length);
+  return {
+    matchTargets: order.map(i => targets[i]),
+    correctMatches: targets.map((_, optionIndex) => order.indexOf(optionIndex)),
+  };
+};
+
+// Question types answered with a typed value or image click instead of options
+const OPTIONLESS_TYPES = ['NUMERIC', 'TYPE_ANSWER', 'WORD_CLOUD', 'HOTSPOT'];
+// Question types that can be asked as a poll without a correct answer
+const POLL_TYPES = ['MULTIPLE_CHOICE', 'TRUE_FALSE', 'MULTI_SELECT'];
+const MAX_ACCEPTED_ANSWERS = 10;
+
+// Editing an ORDERING question shows its options back in the correct sequence
+const getInitialOptions = (question) => {
+  // Option-less questions keep blank options in case the type is switched
+  if (!question || OPTIONLESS_TYPES.includes(question.type)) return ['', ''];
+  if (question.type === 'ORDERING' && Array.isArray(question.correctOrder)) {
+    return question.correctOrder.map(i => question.options[i]);
+  }
+  return question.options;
+};
+
+// Editing a MATCHING question shows each option next to its match
+const getInitialMatchTargets = (question) => {
+  if (question?.type === 'MATCHING' && Array.isArray(question.correctMatches) && Array.isArray(question.matchTargets)) {
+    return question.correctMatches.map(i => question.matchTargets[i]);
+  }
+  return getInitialOptions(question).map(() => '');
+};
+
 export default function QuestionForm({ quizId, question, onSaved, onCancel }) {
   const isEditing = !!question;
 
@@ -17,26 +74,71 @@ export default function QuestionForm({ quizId, question, onSaved, onCancel }) {
     initialValues: {
       text: question?.text || '',
       type: question?.type || 'MULTIPLE_CHOICE',
-      options: question?.options || ['', ''],
+      options: getInitialOptions(question),
+      matchTargets: getInitialMatchTargets(question),
       correctAnswerIndex: question?.correctAnswerIndex ?? -1,
+      correctAnswerIndices: question?.correctAnswerIndices || [],
+      correctValue: question?.correctValue ?? '',
+      tolerance: question?.tolerance ?? 0,
+      unit: question?.unit || '',
+      acceptedAnswers: question?.acceptedAnswers || [],
+      fuzzyMatching: question?.fuzzyMatching || false,
+      hotspotRegions: question?.hotspotRegions || [],
+      hotspotScoring: question?.hotspotScoring || 'HIT',
+      isPoll: question?.isPoll || false,
       timeLimit: question?.timeLimit || 30,
       points: question?.points || 1000,
       imageUrl: question?.imageUrl || '',
       explanation: question?.explanation || '',
+      hint: question?.hint || '',
+      difficulty: question?.difficulty || 'MEDIUM',
     },
     validate: {
       text: questionTextValidation,
       timeLimit: questionTimeLimitValidation,
       points: questionPointsValidation,
-      options: (value) => {
+      options: (value, values) => {
+        if (OPTIONLESS_TYPES.includes(values.type)) return null;
         if (!value || value.length < 2) return 'At least 2 options required';
         if (value.some(opt => !opt || !opt.trim())) return 'All options must have text';
         return null;
       },
-      correctAnswerIndex: (value) => {
+      correctAnswerIndex: (value, values) => {
+        if (values.isPoll || ['MULTI_SELECT', 'ORDERING', 'MATCHING', ...OPTIONLESS_TYPES].includes(values.type)) return null;
         if (value < 0) return 'Please select a correct answer';
         return null;
       },
+      correctAnswerIndices: (value, values) => {
+        if (values.type === 'MULTI_SELECT' && !values.isPoll && value.length === 0) return 'Please select at least one correct answer';
+        return null;
+      },
+      matchTargets: (value, values) => {
+        if (values.type === 'MATCHING' && values.options.some((_, i) => !value[i] || !value[i].trim())) return 'Every option needs a match';
+        return null;
+      },
+      correctValue: (value, values) => {
+        if (values.type === 'NUMERIC' && (typeof value !== 'number' || !Number.isFinite(value))) return 'Please enter the correct value';
+        return null;
+      },
+      tolerance: (value, values) => {
+        if (values.type === 'NUMERIC' && typeof value === 'number' && value < 0) return 'Tolerance cannot be negative';
+        return null;
+      },
+      unit: (value) => (value.trim().length > 20 ? 'Unit cannot exceed 20 characters' : null),
+      acceptedAnswers: (value, values) => {
+        if (values.type !== 'TYPE_ANSWER') return null;
+        if (value.length === 0) return 'Please add at least one accepted answer';
+        if (value.some(answer => answer.length > 100)) return 'Accepted answers cannot exceed 100 characters';
+        return null;
+      },
+      hotspotRegions: (value, values) => {
+        if (values.type === 'HOTSPOT' && value.length === 0) return 'Please mark at least one correct region';
+        return null;
+      },
+      imageUrl: (value, values) => {
+        if (values.type === 'HOTSPOT' && !value.trim()) return 'Hotspot questions need an image';
+        return null;
+      },
     },
   });
 
@@ -57,9 +159,36 @@ export default function QuestionForm({ quizId, question, onSaved, onCancel }) {
   });
 
   const handleSubmit = (values) => {
+    const { correctAnswerIndex, correctAnswerIndices, matchTargets, correctValue, tolerance, unit, acceptedAnswers, fuzzyMatching, hotspotRegions, hotspotScoring, isPoll, ...rest } = values;
+    let options = values.options.filter(opt => opt.trim());
+    let answerKey = { correctAnswerIndex };
+    if (isPoll && POLL_TYPES.includes(values.type)) {
+      answerKey = { isPoll: true };
+    } else if (values.type === 'WORD_CLOUD') {
+      // Word clouds are always polls
+      options = [];
+      answerKey = { isPoll: true };
+    } else if (values.type === 'HOTSPOT') {
+      options = [];
+      answerKey = { hotspotRegions, hotspotScoring };
+    } else if (values.type === 'TYPE_ANSWER') {
+      options = [];
+      answerKey = { acceptedAnswers, fuzzyMatching };
+    } else if (values.type === 'NUMERIC') {
+      options = [];
+      answerKey = { correctValue, tolerance: typeof tolerance === 'number' ? tolerance : 0, unit: unit.trim() };
+    } else if (values.type === 'MULTI_SELECT') {
+      answerKey = { correctAnswerIndices };
+    } else if (values.type === 'ORDERING') {
+      answerKey = shuffleForOrdering(options);
+    } else if (values.type === 'MATCHING') {
+      answerKey = shuffleForMatching(options.map((_, i) => matchTargets[i].trim()));
+    }
     const data = {
-      ...values,
-      options: values.options.filter(opt => opt.trim()),
+      isPoll: false,
+      ...rest,
+      options,
+      ...answerKey,
     };
 
     if (isEditing) {
@@ -72,6 +201,7 @@ export default function QuestionForm({ quizId, question, onSaved, onCancel }) {
   const addOption = () => {
     if (form.values.options.length < 6) {
       form.setFieldValue('options', [...form.values.options, '']);
+      form.setFieldValue('matchTargets', [...form.values.matchTargets, '']);
     }
   };
 
@@ -79,6 +209,7 @@ export default function QuestionForm({ quizId, question, onSaved, onCancel }) {
     if (form.values.options.length > 2) {
       const newOptions = form.values.options.filter((_, i) => i !== index);
       form.setFieldValue('options', newOptions);
+      form.setFieldValue('matchTargets', form.values.matchTargets.filter((_, i) => i !== index));
 
       // Adjust correctAnswerIndex if needed
       if (form.values.correctAnswerIndex === index) {
@@ -86,9 +217,23 @@ export default function QuestionForm({ quizId, question, onSaved, onCancel }) {
       } else if (form.values.correctAnswerIndex > index) {
         form.setFieldValue('correctAnswerIndex', form.values.correctAnswerIndex - 1);
       }
+      form.setFieldValue(
+        'correctAnswerIndices',
+        form.values.correctAnswerIndices
+          .filter(i => i !== index)
+          .map(i => (i > index ? i - 1 : i))
+      );
     }
   };
 
+  const toggleCorrectIndex = (index) => {
+    const current = form.values.correctAnswerIndices;
+    form.setFieldValue(
+      'correctAnswerIndices',
+      current.includes(index) ? current.filter(i => i !== index) : [...current, index].sort((a, b) => a - b)
+    );
+  };
+
   const handleTypeChange = (type) => {
     form.setFieldValue('type', type);
     if (type === 'TRUE_FALSE') {
@@ -116,65 +261,168 @@ export default function QuestionForm({ quizId, question, onSaved, onCancel }) {
           data={[
             { value: 'MULTIPLE_CHOICE', label: 'Multiple Choice' },
             { value: 'TRUE_FALSE', label: 'True / False' },
+            { value: 'MULTI_SELECT', label: 'Multi-Select (select all that apply)' },
+            { value: 'ORDERING', label: 'Ordering (put in the correct order)' },
+            { value: 'MATCHING', label: 'Matching (pair items from two columns)' },
+            { value: 'NUMERIC', label: 'Numeric (type a number)' },
+            { value: 'TYPE_ANSWER', label: 'Type Answer (type a short text)' },
+            { value: 'WORD_CLOUD', label: 'Word Cloud (collect words, no points)' },
+            { value: 'HOTSPOT', label: 'Hotspot (click the right spot on an image)' },
           ]}
           value={form.values.type}
           onChange={handleTypeChange}
         />
 
-        <div>
-          <Group justify="space-between" mb="xs">
-            <Text size="sm" fw={500}>Options</Text>
-            {form.values.type === 'MULTIPLE_CHOICE' && form.values.options.length < 6 && (
-              <Button
-                size="xs"
-                variant="light"
-                leftSection={<IconPlus size={14} />}
-                onClick={addOption}
-              >
-                Add Option
-              </Button>
-            )}
+        {POLL_TYPES.includes(form.values.type) && (
+          <Switch
+            label="Poll (no correct answer)"
+            description="Collects opinions without awarding points or breaking streaks"
+            {...form.getInputProps('isPoll', { type: 'checkbox' })}
+          />
+        )}
+
+        {form.values.type === 'HOTSPOT' ? (
+          <HotspotEditor
+            imageUrl={form.values.imageUrl}
+            regions={form.values.hotspotRegions}
+            onChange={(regions) => form.setFieldValue('hotspotRegions', regions)}
+            scoring={form.values.hotspotScoring}
+            onScoringChange={(scoring) => form.setFieldValue('hotspotScoring', scoring)}
+            error={form.errors.hotspotRegions}
+          />
+        ) : form.values.type === 'WORD_CLOUD' ? (
+          <Text size="sm" c="dimmed">
+            Players type a word or short phrase. Matching answers grow together in a live word cloud;
+            offensive words are filtered out and no points are awarded.
+          </Text>
+        ) : form.values.type === 'TYPE_ANSWER' ? (
+          <Stack gap="xs">
+            <TagsInput
+              label="Accepted Answers"
+              description="Press Enter after each answer. Case and punctuation are ignored."
+              placeholder="e.g. Ankara"
+              maxTags={MAX_ACCEPTED_ANSWERS}
+              splitChars={[]}
+              clearable
+              {...form.getInputProps('acceptedAnswers')}
+            />
+            <Switch
+              label="Allow small typos"
+              description="Longer answers are accepted with one or two wrong letters"
+              {...form.getInputProps('fuzzyMatching', { type: 'checkbox' })}
+            />
+          </Stack>
+        ) : form.values.type === 'NUMERIC' ? (
+          <Group grow align="flex-start">
+            <NumberInput
+              label="Correct Value"
+              placeholder="1071"
+              decimalScale={6}
+              {...form.getInputProps('correctValue')}
+            />
+            <NumberInput
+              label="Tolerance (±)"
+              description="Answers within this range count as correct"
+              min={0}
+              decimalScale={6}
+              {...form.getInputProps('tolerance')}
+            />
+            <TextInput
+              label="Unit (optional)"
+              placeholder="e.g. km, °C, year"
+              maxLength={20}
+              {...form.getInputProps('unit')}
+            />
           </Group>
+        ) : (
+          <div>
+            <Group justify="space-between" mb="xs">
+              <Text size="sm" fw={500}>
+                {form.values.type === 'ORDERING'
+                  ? 'Options (in the correct order)'
+                  : form.values.type === 'MATCHING' ? 'Pairs (each item and its match)' : 'Options'}
+              </Text>
+              {form.values.type !== 'TRUE_FALSE' && form.values.options.length < 6 && (
+                <Button
+                  size="xs"
+                  variant="light"
+                  leftSection={<IconPlus size={14} />}
+                  onClick={addOption}
+                >
+                  Add Option
+                </Button>
+              )}
+            </Group>
 
-          <Radio.Group
-            value={String(form.values.correctAnswerIndex)}
-            onChange={(value) => form.setFieldValue('correctAnswerIndex', parseInt(value))}
-          >
-            <Stack gap="xs">
-              {form.values.options.map((option, index) => (
-                <Group key={index} gap="xs">
-                  <Radio value={String(index)} label="" />
-                  <TextInput
-                    placeholder={`Option ${String.fromCharCode(65 + index)}`}
-                    value={option}
-                    onChange={(e) => {
-                      const newOptions = [...form.values.options];
-                      newOptions[index] = e.target.value;
-                      form.setFieldValue('options', newOptions);
-                    }}
-                    style={{ flex: 1 }}
-                    disabled={form.values.type === 'TRUE_FALSE'}
-                  />
-                  {form.values.type === 'MULTIPLE_CHOICE' && form.values.options.length > 2 && (
-                    <ActionIcon
-                      variant="subtle"
-                      color="red"
-                      onClick={() => removeOption(index)}
-                    >
-                      <IconTrash size={14} />
-                    </ActionIcon>
-                  )}
-                </Group>
-              ))}
-            </Stack>
-          </Radio.Group>
-          {form.errors.options && (
-            <Input.Error>{form.errors.options}</Input.Error>
-          )}
-          {form.errors.correctAnswerIndex && (
-            <Input.Error>{form.errors.correctAnswerIndex}</Input.Error>
-          )}
-        </div>
+            <Radio.Group
+              value={String(form.values.correctAnswerIndex)}
+              onChange={(value) => form.setFieldValue('correctAnswerIndex', parseInt(value))}
+            >
+              <Stack gap="xs">
+                {form.values.options.map((option, index) => (
+                  <Group key={index} gap="xs">
+                    {['ORDERING', 'MATCHING'].includes(form.values.type) ? (
+                      <Text size="sm" fw={600} w={20} ta="center">{index + 1}</Text>
+                    ) : form.values.isPoll ? (
+                      <Text size="sm" fw={600} w={20} ta="center">{String.fromCharCode(65 + index)}</Text>
+                    ) : form.values.type === 'MULTI_SELECT' ? (
+                      <Checkbox
+                        checked={form.values.correctAnswerIndices.includes(index)}
+                        onChange={() => toggleCorrectIndex(index)}
+                      />
+                    ) : (
+                      <Radio value={String(index)} label="" />
+                    )}
+                    <TextInput
+                      placeholder={`Option ${String.fromCharCode(65 + index)}`}
+                      value={option}
+                      onChange={(e) => {
+                        const newOptions = [...form.values.options];
+                        newOptions[index] = e.target.value;
+                        form.setFieldValue('options', newOptions);
+                      }}
+                      style={{ flex: 1 }}
+                      disabled={form.values.type === 'TRUE_FALSE'}
+                    />
+                    {form.values.type === 'MATCHING' && (
+                      <TextInput
+                        placeholder={`Match ${index + 1}`}
+                        value={form.values.matchTargets[index] || ''}
+                        onChange={(e) => {
+                          const newTargets = [...form.values.matchTargets];
+                          newTargets[index] = e.target.value;
+                          form.setFieldValue('matchTargets', newTargets);
+                        }}
+                        style={{ flex: 1 }}
+                      />
+                    )}
+                    {form.values.type !== 'TRUE_FALSE' && form.values.options.length > 2 && (
+                      <ActionIcon
+                        variant="subtle"
+                        color="red"
+                        onClick={() => removeOption(index)}
+                      >
+                        <IconTrash size={14} />
+                      </ActionIcon>
+                    )}
+                  </Group>
+                ))}
+              </Stack>
+            </Radio.Group>
+            {form.errors.options && (
+              <Input.Error>{form.errors.options}</Input.Error>
+            )}
+            {form.errors.correctAnswerIndex && (
+              <Input.Error>{form.errors.correctAnswerIndex}</Input.Error>
+            )}
+            {form.errors.correctAnswerIndices && (
+              <Input.Error>{form.errors.correctAnswerIndices}</Input.Error>
+            )}
+            {form.errors.matchTargets && (
+              <Input.Error>{form.errors.matchTargets}</Input.Error>
+            )}
+          </div>
+        )}
 
         <Group grow>
           <NumberInput
@@ -191,10 +439,21 @@ export default function QuestionForm({ quizId, question, onSaved, onCancel }) {
             step={100}
             {...form.getInputProps('points')}
           />
+
+          <Select
+            label="Difficulty"
+            data={[
+              { value: 'EASY', label: 'Easy' },
+              { value: 'MEDIUM', label: 'Medium' },
+              { value: 'HARD', label: 'Hard' },
+            ]}
+            allowDeselect={false}
+            {...form.getInputProps('difficulty')}
+          />
         </Group>
 
         <TextInput
-          label="Image URL (optional)"
+          label={form.values.type === 'HOTSPOT' ? 'Image URL' : 'Image URL (optional)'}
           placeholder="https://example.com/image.jpg"
           {...form.getInputProps('imageUrl')}
         />
@@ -207,6 +466,17 @@ export default function QuestionForm({ quizId, question, onSaved, onCancel }) {
           {...form.getInputProps('explanation')}
         />
 
+        {/* Power-ups are off on polls, so they have nothing to reveal a hint for */}
+        {!form.values.isPoll && form.values.type !== 'WORD_CLOUD' && (
+          <TextInput
+            label="Hint (optional)"
+            description="Shown to players who use the Hint power-up"
+            placeholder="A clue that points toward the answer"
+            maxLength={200}
+            {...form.getInputProps('hint')}
+          />
+        )}
+
         <Group justify="flex-end">
           <Button variant="light" onClick={onCancel}>
             Cancel
@@ -0,0 +1,99 @@
+import { Stack, Group, Text, TextInput, MultiSelect, NumberInput, Button, ActionIcon, Paper } from '@mantine/core';
+import { IconPlus, IconTrash } from '@tabler/icons-react';
+import { useTranslation } from 'react-i18next';
+import { MAX_PLAYED_QUESTIONS, MAX_QUESTION_POOLS, countPlayedQuestions } from '../constants/validation';
+
+/**
+ * Groups a quiz's questions into pools of which each game draws only a few at random,
+ * e.g. "draw 10 of these 40", so a class replaying the quiz gets a different selection.
+ * A question belongs to at most one pool, so each pool only offers the questions no other pool holds.
+ */
+export default function QuestionPoolSettings({ value = [], onChange, questions }) {
+  const { t } = useTranslation();
+  const played = countPlayedQuestions(questions.length, value);
+
+  const updatePool = (poolIndex, changes) => {
+    onChange(value.map((pool, i) => {
+      if (i !== poolIndex) return pool;
+      const updated = { ...pool, ...changes };
+      return { ...updated, drawCount: Math.max(1, Math.min(updated.drawCount, updated.questionIds.length)) };
+    }));
+  };
+
+  const addPool = () => {
+    onChange([...value, { name: t('quiz.poolDefaultName', { number: value.length + 1 }), questionIds: [], drawCount: 1 }]);
+  };
+
+  const removePool = (poolIndex) => onChange(value.filter((_, i) => i !== poolIndex));
+
+  return (
+    <Stack gap="xs">
+      <div>
+        <Text size="sm" fw={500}>{t('quiz.questionPools')}</Text>
+        <Text size="xs" c="dimmed">{t('quiz.questionPoolsDesc')}</Text>
+      </div>
+
+      {value.map((pool, poolIndex) => {
+        const takenIds = new Set(value.filter((_, i) => i !== poolIndex).flatMap((p) => p.questionIds));
+        return (
+          <Paper key={poolIndex} withBorder p="sm" radius="md">
+            <Stack gap="xs">
+              <Group align="flex-end" wrap="nowrap">
+                <TextInput
+                  label={t('quiz.poolName')}
+                  value={pool.name}
+                  maxLength={50}
+                  onChange={(e) => updatePool(poolIndex, { name: e.currentTarget.value })}
+                  style={{ flex: 1 }}
+                />
+                <NumberInput
+                  label={t('quiz.poolDrawCount')}
+                  min={1}
+                  max={Math.max(1, pool.questionIds.length)}
+                  allowDecimal={false}
+                  value={pool.drawCount}
+                  onChange={(count) => updatePool(poolIndex, { drawCount: Number(count) || 1 })}
+                  w={160}
+                />
+                <ActionIcon
+                  variant="subtle"
+                  color="red"
+                  size="lg"
+                  onClick={() => removePool(poolIndex)}
+                  aria-label={t('quiz.removePool')}
+                >
+                  <IconTrash size={16} />
+                </ActionIcon>
+              </Group>
+              <MultiSelect
+                label={t('quiz.poolQuestions')}
+                data={questions
+                  .map((question, index) => ({ value: question.id, label: `${index + 1}. ${question.text}` }))
+                  .filter((option) => !takenIds.has(option.value))}
+                value={pool.questionIds}
+                onChange={(questionIds) => updatePool(poolIndex, { questionIds })}
+                searchable
+                clearable
+              />
+            </Stack>
+          </Paper>
+        );
+      })}
+
+      <Group justify="space-between">
+        <Button
+          variant="light"
+          size="xs"
+          leftSection={<IconPlus size={14} />}
+          onClick={addPool}
+          disabled={value.length >= MAX_QUESTION_POOLS || questions.length === 0}
+        >
+          {t('quiz.addPool')}
+        </Button>
+        <Text size="xs" c={played > MAX_PLAYED_QUESTIONS ? 'red' : 'dimmed'}>
+          {t('quiz.playedPerGame', { played, total: questions.length, max: MAX_PLAYED_QUESTIONS })}
+        </Text>
+      </Group>
+    </Stack>
+  );
+}
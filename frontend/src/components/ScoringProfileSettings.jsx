@@ -0,0 +1,107 @@
+import { Stack, Select, Slider, NumberInput, Group, Text, Switch } from '@mantine/core';
+import { useTranslation } from 'react-i18next';
+
+const DEFAULT_SCORING_PROFILE = {
+  preset: 'STANDARD',
+  timeCurve: 'LINEAR',
+  minTimeFactor: 0.5,
+  streakBonusStep: 100,
+  maxStreakBonus: 1500,
+  wrongAnswerPenalty: 0,
+  confidenceWagers: false,
+};
+
+const PRESETS = ['STANDARD', 'SPEED', 'ACCURACY_ONLY', 'NO_STREAKS', 'CUSTOM'];
+const TIME_CURVES = ['LINEAR', 'EASE_IN', 'EASE_OUT'];
+// Share of a question's points a wrong answer costs
+const PENALTIES = [0, 0.25, 0.5, 1];
+
+/**
+ * Picks how a quiz scores answers: a named preset, or custom speed and streak settings.
+ * The server fixes every setting of a named preset, so the custom fields only show for CUSTOM.
+ * Negative marking and confidence wagers combine with any preset.
+ */
+export default function ScoringProfileSettings({ value, onChange }) {
+  const { t } = useTranslation();
+  const profile = { ...DEFAULT_SCORING_PROFILE, ...value };
+  const isCustom = profile.preset === 'CUSTOM';
+
+  const update = (field, fieldValue) => onChange({ ...profile, [field]: fieldValue });
+
+  return (
+    <Stack gap="xs">
+      <Select
+        label={t('quiz.scoring')}
+        description={t(`quiz.scoringPresets.${profile.preset}.description`)}
+        data={PRESETS.map((preset) => ({ value: preset, label: t(`quiz.scoringPresets.${preset}.label`) }))}
+        value={profile.preset}
+        onChange={(preset) => update('preset', preset || 'STANDARD')}
+        allowDeselect={false}
+      />
+
+      {isCustom && (
+        <>
+          <Select
+            label={t('quiz.timeCurve')}
+            data={TIME_CURVES.map((curve) => ({ value: curve, label: t(`quiz.timeCurves.${curve}`) }))}
+            value={profile.timeCurve}
+            onChange={(curve) => update('timeCurve', curve || 'LINEAR')}
+            allowDeselect={false}
+          />
+          <div>
+            <Group justify="space-between">
+              <Text size="sm" fw={500}>{t('quiz.minTimeFactor')}</Text>
+              <Text size="sm" c="dimmed">{Math.round(profile.minTimeFactor * 100)}%</Text>
+            </Group>
+            <Slider
+              min={0}
+              max={1}
+              step={0.05}
+              value={profile.minTimeFactor}
+              onChange={(factor) => update('minTimeFactor', factor)}
+              label={(factor) => `${Math.round(factor * 100)}%`}
+            />
+          </div>
+          <Group grow>
+            <NumberInput
+              label={t('quiz.streakBonusStep')}
+              min={0}
+              max={500}
+              step={50}
+              allowDecimal={false}
+              value={profile.streakBonusStep}
+              onChange={(step) => update('streakBonusStep', Number(step) || 0)}
+            />
+            <NumberInput
+              label={t('quiz.maxStreakBonus')}
+              min={0}
+              max={1500}
+              step={100}
+              allowDecimal={false}
+              value={profile.maxStreakBonus}
+              onChange={(max) => update('maxStreakBonus', Number(max) || 0)}
+            />
+          </Group>
+        </>
+      )}
+
+      <Select
+        label={t('quiz.wrongAnswerPenalty')}
+        data={PENALTIES.map((penalty) => ({
+          value: String(penalty),
+          label: penalty === 0 ? t('quiz.noPenalty') : t('quiz.penaltyPercent', { percent: penalty * 100 }),
+        }))}
+        value={String(profile.wrongAnswerPenalty)}
+        onChange={(penalty) => update('wrongAnswerPenalty', Number(penalty) || 0)}
+        allowDeselect={false}
+      />
+
+      <Switch
+        label={t('quiz.confidenceWagers')}
+        description={t('quiz.confidenceWagersDesc')}
+        checked={profile.confidenceWagers}
+        onChange={(e) => update('confidenceWagers', e.currentTarget.checked)}
+      />
+    </Stack>
+  );
+}
@@ -0,0 +1,41 @@
+import { Paper, Stack, Group, Text, Switch } from '@mantine/core';
+import { IconStairs } from '@tabler/icons-react';
+import { useTranslation } from 'react-i18next';
+
+/**
+ * Host lobby control for adaptive difficulty: each next question is picked from how the room
+ * did on the previous one, harder after a strong round and easier after a weak one.
+ * Shuffled questions give every player their own order, so the two cannot be combined.
+ */
+export default function AdaptiveSettings({ value, onChange, disabled = false }) {
+  const { t } = useTranslation();
+
+  return (
+    <Paper
+      p="md"
+      radius="md"
+      style={{
+        background: 'var(--theme-surface)',
+        border: '1px solid var(--theme-border)',
+      }}
+    >
+      <Stack gap="sm">
+        <Group gap="xs">
+          <IconStairs size={20} style={{ color: 'var(--theme-primary)' }} />
+          <Text fw={500} style={{ color: 'var(--theme-text)' }}>{t('game.adaptive')}</Text>
+        </Group>
+        <Switch
+          label={t('game.adaptiveEnabled')}
+          description={disabled ? t('game.adaptiveShuffleConflict') : t('game.adaptiveDesc')}
+          checked={value}
+          disabled={disabled}
+          onChange={(e) => onChange(e.currentTarget.checked)}
+          styles={{
+            label: { color: 'var(--theme-text)' },
+            description: { color: 'var(--theme-text-dim)' },
+          }}
+        />
+      </Stack>
+    </Paper>
+  );
+}
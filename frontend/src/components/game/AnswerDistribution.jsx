@@ -1,4 +1,7 @@
 import { Text, Paper, Group, Progress, Stack, Box } from '@mantine/core';
+import { useTranslation } from 'react-i18next';
+import WordCloud from './WordCloud';
+import HotspotImage from './HotspotImage';
 
 const OPTION_COLORS = [
   { neon: 'var(--theme-opt-a)', mantine: 'cyan' },
@@ -11,21 +14,231 @@ const OPTION_COLORS = [
 
 const OPTION_LABELS = ['A', 'B', 'C', 'D', 'E', 'F'];
 
-export default function AnswerDistribution({ distribution, correctAnswerIndex, totalPlayers, options }) {
+const formatNumber = (value) => value.toLocaleString(undefined, { maximumFractionDigits: 2 });
+
+/**
+ * NUMERIC results: one bar per value bin, highlighting bins that overlap the accepted range
+ */
+function NumericHistogram({ histogram, correctValue, tolerance, unit, totalPlayers }) {
+  const { t } = useTranslation();
+  const hasKey = typeof correctValue === 'number';
+  const low = hasKey ? correctValue - (tolerance || 0) : null;
+  const high = hasKey ? correctValue + (tolerance || 0) : null;
+  const unitSuffix = unit ? ` ${unit}` : '';
+
+  return (
+    <Stack gap="xs">
+      {hasKey && (
+        <Text size="sm" ta="center" fw={600} style={{ color: 'var(--theme-success)' }}>
+          {t('game.correctValue', {
+            value: `${formatNumber(correctValue)}${tolerance ? ` ± ${formatNumber(tolerance)}` : ''}${unitSuffix}`,
+          })}
+        </Text>
+      )}
+      {histogram.length === 0 && (
+        <Text size="sm" ta="center" style={{ color: 'var(--theme-text-dim)' }}>
+          {t('game.noAnswers')}
+        </Text>
+      )}
+      {histogram.map((bin, position) => {
+        const percentage = totalPlayers > 0 ? Math.round((bin.count / totalPlayers) * 100) : 0;
+        const isCorrect = hasKey && bin.max >= low && bin.min <= high;
+        const range = bin.min === bin.max
+          ? formatNumber(bin.min)
+          : `${formatNumber(bin.min)} – ${formatNumber(bin.max)}`;
+
+        return (
+          <Paper
+            key={position}
+            p="xs"
+            className={`slide-up slide-up-d${Math.min(position + 1, 4)}`}
+            style={{
+              background: 'var(--theme-surface)',
+              border: `1px solid ${isCorrect ? 'var(--theme-success)' : 'var(--theme-border)'}`,
+              boxShadow: isCorrect ? 'var(--theme-glow-success)' : 'none',
+            }}
+          >
+            <Group justify="space-between" mb={4} wrap="nowrap">
+              <Text size="sm" style={{ color: 'var(--theme-text)' }}>
+                {range}{unitSuffix}
+              </Text>
+              <Text
+                size="sm"
+                fw={700}
+                style={{ color: isCorrect ? 'var(--theme-success)' : 'var(--theme-text-dim)', flexShrink: 0 }}
+              >
+                {bin.count} ({percentage}%)
+              </Text>
+            </Group>
+            <Progress value={percentage} color={isCorrect ? 'green' : 'cyan'} size="sm" />
+          </Paper>
+        );
+      })}
+    </Stack>
+  );
+}
+
+/**
+ * TYPE_ANSWER results: the accepted answers, plus the most common wrong answers when provided
+ * (only the host screen passes them, so players never see each other's typed text)
+ */
+function TypedAnswers({ acceptedAnswers, topWrongAnswers, totalPlayers }) {
+  const { t } = useTranslation();
+
+  return (
+    <Stack gap="xs">
+      <Text size="sm" ta="center" fw={600} style={{ color: 'var(--theme-success)' }}>
+        {t('game.acceptedAnswers', { answers: acceptedAnswers.join(', ') })}
+      </Text>
+      {Array.isArray(topWrongAnswers) && (
+        <>
+          <Text size="sm" ta="center" style={{ color: 'var(--theme-text-dim)' }}>
+            {topWrongAnswers.length > 0 ? t('game.commonWrongAnswers') : t('game.noWrongAnswers')}
+          </Text>
+          {topWrongAnswers.map(({ answer, count }, position) => {
+            const percentage = totalPlayers > 0 ? Math.round((count / totalPlayers) * 100) : 0;
+
+            return (
+              <Paper
+                key={answer}
+                p="xs"
+                className={`slide-up slide-up-d${Math.min(position + 1, 4)}`}
+                style={{
+                  background: 'var(--theme-surface)',
+                  border: '1px solid var(--theme-border)',
+                }}
+              >
+                <Group justify="space-between" mb={4} wrap="nowrap">
+                  <Text size="sm" lineClamp={1} style={{ color: 'var(--theme-text)' }}>
+                    {answer}
+                  </Text>
+                  <Text size="sm" fw={700} style={{ color: 'var(--theme-text-dim)', flexShrink: 0 }}>
+                    {count} ({percentage}%)
+                  </Text>
+                </Group>
+                <Progress value={percentage} color="pink" size="sm" />
+              </Paper>
+            );
+          })}
+        </>
+      )}
+    </Stack>
+  );
+}
+
+/**
+ * HOTSPOT results: every player's click on the image, over the outlined correct regions
+ */
+function ClickMap({ imageUrl, clicks, hotspotRegions }) {
+  const { t } = useTranslation();
+  const hits = clicks.filter((click) => click.isCorrect).length;
+
+  return (
+    <Stack gap="xs">
+      <Text size="sm" ta="center" style={{ color: 'var(--theme-text-dim)' }}>
+        {clicks.length > 0
+          ? t('game.hotspotHits', { count: hits, total: clicks.length })
+          : t('game.noAnswers')}
+      </Text>
+      <HotspotImage src={imageUrl} regions={hotspotRegions} clicks={clicks} />
+    </Stack>
+  );
+}
+
+export default function AnswerDistribution({
+  distribution,
+  correctAnswerIndex,
+  correctAnswerIndices,
+  correctOrder,
+  correctMatches,
+  matchTargets,
+  histogram,
+  correctValue,
+  tolerance,
+  unit,
+  acceptedAnswers,
+  topWrongAnswers,
+  wordCloud,
+  clicks,
+  hotspotRegions,
+  imageUrl,
+  isPoll,
+  totalPlayers,
+  options,
+}) {
+  const { t } = useTranslation();
+  if (Array.isArray(wordCloud)) {
+    return <WordCloud words={wordCloud} />;
+  }
+  if (Array.isArray(clicks)) {
+    return <ClickMap imageUrl={imageUrl} clicks={clicks} hotspotRegions={hotspotRegions} />;
+  }
+  if (Array.isArray(acceptedAnswers)) {
+    return (
+      <TypedAnswers
+        acceptedAnswers={acceptedAnswers}
+        topWrongAnswers={topWrongAnswers}
+        totalPlayers={totalPlayers}
+      />
+    );
+  }
+  if (Array.isArray(histogram)) {
+    return (
+      <NumericHistogram
+        histogram={histogram}
+        correctValue={correctValue}
+        tolerance={tolerance}
+        unit={unit}
+        totalPlayers={totalPlayers}
+      />
+    );
+  }
   if (!distribution || !Array.isArray(distribution)) return null;
 
+  // ORDERING rows follow the correct sequence; each bar counts players who placed that option correctly
+  const isOrdering = Array.isArray(correctOrder);
+  // MATCHING rows show each correct pair; each bar counts players who matched it
+  const isMatching = Array.isArray(correctMatches);
+  const rows = isOrdering
+    ? correctOrder.map((index, position) => ({ index, label: String(position + 1) }))
+    : distribution.map((_, index) => ({ index, label: OPTION_LABELS[index] }));
+  const getRowText = (index) => {
+    if (!options || !options[index]) return null;
+    const target = isMatching ? matchTargets?.[correctMatches[index]] : null;
+    return target ? `${options[index]} → ${target}` : options[index];
+  };
+
   return (
     <Stack gap="xs">
-      {distribution.map((count, index) => {
+      {isOrdering && (
+        <Text size="sm" ta="center" style={{ color: 'var(--theme-text-dim)' }}>
+          {t('game.placedCorrectly')}
+        </Text>
+      )}
+      {isMatching && (
+        <Text size="sm" ta="center" style={{ color: 'var(--theme-text-dim)' }}>
+          {t('game.matchedCorrectly')}
+        </Text>
+      )}
+      {isPoll && (
+        <Text size="sm" ta="center" style={{ color: 'var(--theme-text-dim)' }}>
+          {t('game.pollResults')}
+        </Text>
+      )}
+      {rows.map(({ index, label }, position) => {
+        const count = distribution[index] || 0;
         const percentage = totalPlayers > 0 ? Math.round((count / totalPlayers) * 100) : 0;
-        const isCorrect = index === correctAnswerIndex;
+        // MULTI_SELECT highlights every correct bar; players may vote for several options
+        const isCorrect = !isOrdering && !isMatching && (Array.isArray(correctAnswerIndices)
+          ? correctAnswerIndices.includes(index)
+          : index === correctAnswerIndex);
         const colors = OPTION_COLORS[index] || OPTION_COLORS[0];
 
         return (
           <Paper
             key={index}
             p="xs"
-            className={`slide-up slide-up-d${index + 1}`}
+            className={`slide-up slide-up-d${position + 1}`}
             style={{
               background: 'var(--theme-surface)',
               border: `1px solid ${isCorrect ? 'var(--theme-success)' : 'var(--theme-border)'}`,
@@ -54,12 +267,12 @@ export default function AnswerDistribution({ distribution, correctAnswerIndex, t
                       color: isCorrect ? 'var(--theme-success)' : colors.neon,
                     }}
                   >
-                    {OPTION_LABELS[index]}
+                    {label}
                   </Text>
                 </Box>
-                {options && options[index] && (
+                {getRowText(index) && (
                   <Text size="sm" lineClamp={1} style={{ color: 'var(--theme-text)' }}>
-                    {options[index]}
+                    {getRowText(index)}
                   </Text>
                 )}
               </Group>
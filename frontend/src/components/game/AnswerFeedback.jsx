@@ -1,9 +1,39 @@
 import { Paper, Stack, Text, Group, Badge, Center, Alert, Box } from '@mantine/core';
-import { IconCheck, IconX, IconFlame, IconInfoCircle } from '@tabler/icons-react';
+import { IconCheck, IconX, IconFlame, IconInfoCircle, IconShield } from '@tabler/icons-react';
 import { useTranslation } from 'react-i18next';
 
-export default function AnswerFeedback({ isCorrect, score, streakBonus, streak, totalScore, explanation }) {
+export default function AnswerFeedback({ isCorrect, score, streakBonus, streak, totalScore, explanation, isPoll, streakShielded }) {
   const { t } = useTranslation();
+  // Multi-select answers can earn partial credit without being fully correct
+  const isPartial = !isCorrect && score > 0;
+  // Under negative marking a wrong answer costs points
+  const isPenalized = !isCorrect && score < 0;
+
+  // Polls have no right answer, so the vote is only acknowledged
+  if (isPoll) {
+    return (
+      <Center style={{ minHeight: 160 }}>
+        <Paper
+          p="xl"
+          radius="md"
+          className="score-pop"
+          style={{
+            maxWidth: 400,
+            width: '100%',
+            background: 'var(--theme-surface)',
+            border: '2px solid var(--theme-primary)',
+          }}
+        >
+          <Stack align="center" gap="md">
+            <IconCheck size={36} style={{ color: 'var(--theme-primary)' }} />
+            <Text fw={700} ta="center" style={{ color: 'var(--theme-primary)' }}>
+              {t('game.voteRecorded')}
+            </Text>
+          </Stack>
+        </Paper>
+      </Center>
+    );
+  }
 
   return (
     <Center style={{ minHeight: 160 }}>
@@ -48,9 +78,47 @@ export default function AnswerFeedback({ isCorrect, score, streakBonus, streak,
               textShadow: isCorrect ? 'var(--theme-glow-success)' : 'var(--theme-glow-secondary)',
             }}
           >
-            {isCorrect ? t('game.correct') : t('game.wrong')}
+            {isCorrect ? t('game.correct') : isPartial ? t('game.partiallyCorrect') : t('game.wrong')}
           </Text>
 
+          {isPartial && (
+            <Text
+              fw={700}
+              style={{
+                fontFamily: 'var(--theme-font-display)',
+                fontSize: '0.7rem',
+                color: 'var(--theme-warning)',
+                textShadow: 'var(--theme-glow-warning)',
+              }}
+            >
+              +{score}
+            </Text>
+          )}
+
+          {isPenalized && (
+            <Text
+              fw={700}
+              style={{
+                fontFamily: 'var(--theme-font-display)',
+                fontSize: '0.7rem',
+                color: 'var(--theme-danger)',
+              }}
+            >
+              {score}
+            </Text>
+          )}
+
+          {streakShielded && (
+            <Badge
+              leftSection={<IconShield size={14} />}
+              color="cyan"
+              variant="light"
+              style={{ fontFamily: 'var(--theme-font-display)', fontSize: '0.4rem' }}
+            >
+              {t('game.streakShielded', { count: streak })}
+            </Badge>
+          )}
+
           {isCorrect && (
             <Stack gap="xs" align="center">
               <Group gap="xs">
@@ -1,6 +1,9 @@
-import { memo } from 'react';
-import { SimpleGrid, UnstyledButton, Text, Stack, Progress, Group, Box } from '@mantine/core';
-import { IconCheck, IconX, IconUsers } from '@tabler/icons-react';
+import { memo, useState } from 'react';
+import { SimpleGrid, UnstyledButton, Text, Stack, Progress, Group, Box, Button } from '@mantine/core';
+import { IconCheck, IconX, IconUsers, IconSend } from '@tabler/icons-react';
+import { useTranslation } from 'react-i18next';
+import OrderingOptions from './OrderingOptions';
+import MatchingOptions from './MatchingOptions';
 
 const OPTION_COLORS = [
   { neon: 'var(--theme-opt-a)', glow: 'var(--theme-glow-primary)' },
@@ -15,6 +18,12 @@ const OPTION_LABELS = ['A', 'B', 'C', 'D', 'E', 'F'];
 
 const MANTINE_COLORS = ['cyan', 'pink', 'green', 'yellow', 'grape', 'cyan'];
 
+// selectedIndex / correctIndex are arrays for MULTI_SELECT questions
+const toIndexList = (value) => {
+  if (Array.isArray(value)) return value;
+  return value === null || value === undefined ? [] : [value];
+};
+
 function AnswerOptions({
   options,
   onSelect,
@@ -25,7 +34,27 @@ function AnswerOptions({
   distribution,
   totalPlayers,
   eliminatedOptions = [],
+  questionType,
+  matchTargets,
 }) {
+  const { t } = useTranslation();
+  const multiSelect = questionType === 'MULTI_SELECT';
+  const [pendingSelection, setPendingSelection] = useState([]);
+  const hasSubmitted = selectedIndex !== null && selectedIndex !== undefined;
+  const submittedIndices = toIndexList(selectedIndex);
+  const correctIndices = toIndexList(correctIndex);
+  const isLocked = disabled || hasSubmitted;
+
+  const handleOptionClick = (index) => {
+    if (!multiSelect) {
+      onSelect(index);
+      return;
+    }
+    setPendingSelection((prev) =>
+      prev.includes(index) ? prev.filter((i) => i !== index) : [...prev, index].sort((a, b) => a - b)
+    );
+  };
+
   const getDistributionInfo = (index) => {
     if (!showResults || !distribution) return null;
     const count = distribution[index] || 0;
@@ -33,13 +62,36 @@ function AnswerOptions({
     return { count, percentage };
   };
 
-  return (
+  if (questionType === 'ORDERING' && !showResults) {
+    return (
+      <OrderingOptions
+        options={options}
+        onSubmit={onSelect}
+        disabled={disabled}
+        submittedOrder={Array.isArray(selectedIndex) ? selectedIndex : null}
+      />
+    );
+  }
+
+  if (questionType === 'MATCHING' && !showResults) {
+    return (
+      <MatchingOptions
+        options={options}
+        matchTargets={matchTargets}
+        onSubmit={onSelect}
+        disabled={disabled}
+        submittedMatches={Array.isArray(selectedIndex) ? selectedIndex : null}
+      />
+    );
+  }
+
+  const grid = (
     <SimpleGrid cols={{ base: 2, sm: 2 }} spacing="sm">
       {options.map((option, index) => {
         const distInfo = getDistributionInfo(index);
-        const isCorrect = showResults && index === correctIndex;
-        const isWrong = showResults && selectedIndex === index && index !== correctIndex;
-        const isSelected = selectedIndex === index;
+        const isCorrect = showResults && correctIndices.includes(index);
+        const isWrong = showResults && submittedIndices.includes(index) && !correctIndices.includes(index);
+        const isSelected = submittedIndices.includes(index) || (!hasSubmitted && pendingSelection.includes(index));
         const isEliminated = eliminatedOptions.includes(index);
         const colors = OPTION_COLORS[index] || OPTION_COLORS[0];
 
@@ -71,8 +123,8 @@ function AnswerOptions({
         return (
           <UnstyledButton
             key={index}
-            onClick={() => onSelect(index)}
-            disabled={disabled || selectedIndex !== null || isEliminated}
+            onClick={() => handleOptionClick(index)}
+            disabled={isLocked || isEliminated}
             className={`slide-up slide-up-d${index + 1} ${isWrong ? 'shake' : ''} ${isCorrect ? 'score-pop' : ''}`}
             style={{
               border: `2px solid ${borderColor}`,
@@ -81,14 +133,14 @@ function AnswerOptions({
               background: bgColor,
               boxShadow: glowStyle,
               opacity: isEliminated ? 0.3 : 1,
-              cursor: disabled || selectedIndex !== null || isEliminated ? 'default' : 'pointer',
+              cursor: isLocked || isEliminated ? 'default' : 'pointer',
               transition: 'all 0.2s ease',
               minHeight: 70,
               display: 'flex',
               alignItems: 'center',
             }}
             onMouseEnter={(e) => {
-              if (!disabled && selectedIndex === null && !isEliminated) {
+              if (!isLocked && !isEliminated) {
                 e.currentTarget.style.borderColor = colors.neon;
                 e.currentTarget.style.boxShadow = colors.glow;
                 e.currentTarget.style.transform = 'scale(1.02)';
@@ -172,6 +224,27 @@ function AnswerOptions({
       })}
     </SimpleGrid>
   );
+
+  if (!multiSelect || showResults) return grid;
+
+  return (
+    <Stack gap="sm">
+      <Text size="sm" ta="center" style={{ color: 'var(--theme-text-dim)' }}>
+        {t('game.selectAllThatApply')}
+      </Text>
+      {grid}
+      {!hasSubmitted && (
+        <Button
+          leftSection={<IconSend size={16} />}
+          onClick={() => onSelect(pendingSelection)}
+          disabled={disabled || pendingSelection.length === 0}
+          fullWidth
+        >
+          {t('game.submitAnswer')}
+        </Button>
+      )}
+    </Stack>
+  );
 }
 
 // Memo skips re-renders when sibling state (e.g., players array) changes
@@ -0,0 +1,83 @@
+import { useState } from 'react';
+import { Paper, Stack, Group, Text, NumberInput, Button } from '@mantine/core';
+import { IconRobot } from '@tabler/icons-react';
+import { useTranslation } from 'react-i18next';
+
+const inputStyles = {
+  input: {
+    background: 'var(--theme-bg)',
+    border: '1px solid var(--theme-border)',
+    color: 'var(--theme-text)',
+  },
+  label: { color: 'var(--theme-text)' },
+};
+
+/**
+ * Host lobby control for filling the room with bot players, to demo a game or see how a full
+ * room plays before class. `max` is the room's player capacity. Bots answer with the chosen accuracy and leave when the game ends.
+ */
+export default function BotFillSettings({ max, onAdd }) {
+  const { t } = useTranslation();
+  const [count, setCount] = useState(10);
+  const [accuracy, setAccuracy] = useState(70);
+  const [adding, setAdding] = useState(false);
+
+  const handleAdd = async () => {
+    setAdding(true);
+    try {
+      await onAdd({ count, accuracy: accuracy / 100 });
+    } finally {
+      setAdding(false);
+    }
+  };
+
+  return (
+    <Paper
+      p="md"
+      radius="md"
+      style={{
+        background: 'var(--theme-surface)',
+        border: '1px solid var(--theme-border)',
+      }}
+    >
+      <Stack gap="sm">
+        <Group gap="xs">
+          <IconRobot size={20} style={{ color: 'var(--theme-primary)' }} />
+          <Text fw={500} style={{ color: 'var(--theme-text)' }}>{t('game.bots')}</Text>
+        </Group>
+        <Text size="sm" style={{ color: 'var(--theme-text-dim)' }}>{t('game.botsDesc')}</Text>
+        <Group grow align="flex-end">
+          <NumberInput
+            label={t('game.botCount')}
+            value={count}
+            onChange={(next) => setCount(Number(next) || 1)}
+            min={1}
+            max={max}
+            allowDecimal={false}
+            clampBehavior="strict"
+            styles={inputStyles}
+          />
+          <NumberInput
+            label={t('game.botAccuracy')}
+            value={accuracy}
+            onChange={(next) => setAccuracy(Number(next) || 0)}
+            min={0}
+            max={100}
+            suffix="%"
+            allowDecimal={false}
+            clampBehavior="strict"
+            styles={inputStyles}
+          />
+        </Group>
+        <Button
+          variant="light"
+          leftSection={<IconRobot size={16} />}
+          onClick={handleAdd}
+          loading={adding}
+        >
+          {t('game.addBots')}
+        </Button>
+      </Stack>
+    </Paper>
+  );
+}
@@ -0,0 +1,98 @@
+import { useState } from 'react';
+import { Paper, Stack, Group, Text, NumberInput, Switch } from '@mantine/core';
+import { IconUsersGroup } from '@tabler/icons-react';
+import { useTranslation } from 'react-i18next';
+
+// Matches MAX_ROOM_SPECTATORS on the server
+const MAX_SPECTATORS = 50;
+
+const inputStyles = {
+  input: {
+    background: 'var(--theme-bg)',
+    border: '1px solid var(--theme-border)',
+    color: 'var(--theme-text)',
+  },
+  label: { color: 'var(--theme-text)' },
+  description: { color: 'var(--theme-text-dim)' },
+};
+
+/**
+ * Host lobby control for how many players and spectators the room lets in (players up to the
+ * limit an admin gave the host's account), and for large-event mode, which sends answer counts
+ * in batched updates so rooms of hundreds of players stay responsive.
+ */
+export default function CapacitySettings({ value, onChange, largeEvent, onLargeEventChange }) {
+  const { t } = useTranslation();
+  const [players, setPlayers] = useState(value.players);
+  const [spectators, setSpectators] = useState(value.spectators);
+  const [synced, setSynced] = useState(value);
+
+  // Back to what the room has once a change went through, or right away when it was refused
+  if (synced.players !== value.players || synced.spectators !== value.spectators) {
+    setSynced(value);
+    setPlayers(value.players);
+    setSpectators(value.spectators);
+  }
+
+  const handleBlur = () => {
+    if (players !== value.players || spectators !== value.spectators) {
+      onChange({ players, spectators }).catch(() => {
+        setPlayers(value.players);
+        setSpectators(value.spectators);
+      });
+    }
+  };
+
+  return (
+    <Paper
+      p="md"
+      radius="md"
+      style={{
+        background: 'var(--theme-surface)',
+        border: '1px solid var(--theme-border)',
+      }}
+    >
+      <Stack gap="sm">
+        <Group gap="xs">
+          <IconUsersGroup size={20} style={{ color: 'var(--theme-primary)' }} />
+          <Text fw={500} style={{ color: 'var(--theme-text)' }}>{t('game.capacity')}</Text>
+        </Group>
+        <Group grow align="flex-start">
+          <NumberInput
+            label={t('game.capacityPlayers')}
+            description={t('game.capacityLimit', { limit: value.limit })}
+            value={players}
+            onChange={(next) => setPlayers(Number(next) || 1)}
+            onBlur={handleBlur}
+            min={1}
+            max={value.limit}
+            allowDecimal={false}
+            clampBehavior="strict"
+            styles={inputStyles}
+          />
+          <NumberInput
+            label={t('game.capacitySpectators')}
+            value={spectators}
+            onChange={(next) => setSpectators(Number(next) || 0)}
+            onBlur={handleBlur}
+            min={0}
+            max={MAX_SPECTATORS}
+            allowDecimal={false}
+            clampBehavior="strict"
+            styles={inputStyles}
+          />
+        </Group>
+        <Switch
+          label={t('game.largeEvent')}
+          description={t('game.largeEventDesc')}
+          checked={largeEvent}
+          onChange={(e) => onLargeEventChange(e.currentTarget.checked)}
+          styles={{
+            label: { color: 'var(--theme-text)' },
+            description: { color: 'var(--theme-text-dim)' },
+          }}
+        />
+      </Stack>
+    </Paper>
+  );
+}
@@ -0,0 +1,49 @@
+import { Paper, Stack, Text, SegmentedControl } from '@mantine/core';
+import { useTranslation } from 'react-i18next';
+
+const LEVELS = [
+  { value: 'LOW', multiplier: 0.5 },
+  { value: 'MEDIUM', multiplier: 1 },
+  { value: 'HIGH', multiplier: 2 },
+];
+
+/**
+ * Confidence wager placed before answering: it multiplies the points won, and under
+ * negative marking the points lost too. Also tells players when wrong answers cost points.
+ */
+export default function ConfidencePicker({ value, onChange, showWagers, wrongAnswerPenalty = 0, disabled }) {
+  const { t } = useTranslation();
+
+  return (
+    <Paper
+      p="sm"
+      radius="md"
+      style={{ background: 'var(--theme-surface)', border: '1px solid var(--theme-border)' }}
+    >
+      <Stack gap="xs">
+        {wrongAnswerPenalty > 0 && (
+          <Text size="sm" ta="center" style={{ color: 'var(--theme-danger)' }}>
+            {t('game.negativeMarking', { percent: Math.round(wrongAnswerPenalty * 100) })}
+          </Text>
+        )}
+        {showWagers && (
+          <>
+            <Text size="sm" ta="center" style={{ color: 'var(--theme-text-dim)' }}>
+              {t('game.chooseConfidence')}
+            </Text>
+            <SegmentedControl
+              fullWidth
+              value={value}
+              onChange={onChange}
+              disabled={disabled}
+              data={LEVELS.map(({ value: level, multiplier }) => ({
+                value: level,
+                label: `${t(`game.confidence.${level}`)} ×${multiplier}`,
+              }))}
+            />
+          </>
+        )}
+      </Stack>
+    </Paper>
+  );
+}
@@ -0,0 +1,73 @@
+import { Paper, Stack, Group, Text, Switch, SegmentedControl, NumberInput } from '@mantine/core';
+import { IconSkull } from '@tabler/icons-react';
+import { useTranslation } from 'react-i18next';
+
+const RULES = ['WRONG_ANSWER', 'BOTTOM_N'];
+
+// Matches MAX_ELIMINATIONS_PER_QUESTION on the server
+const MAX_COUNT = 10;
+
+/**
+ * Host lobby control for elimination mode: after each question, players who answered wrong
+ * (or the lowest N scores) become spectators until one player is left.
+ */
+export default function EliminationSettings({ value, onChange }) {
+  const { t } = useTranslation();
+  const { enabled, rule, count } = value;
+
+  return (
+    <Paper
+      p="md"
+      radius="md"
+      style={{
+        background: 'var(--theme-surface)',
+        border: '1px solid var(--theme-border)',
+      }}
+    >
+      <Stack gap="sm">
+        <Group justify="space-between">
+          <Group gap="xs">
+            <IconSkull size={20} style={{ color: 'var(--theme-danger)' }} />
+            <Text fw={500} style={{ color: 'var(--theme-text)' }}>{t('game.elimination')}</Text>
+          </Group>
+          <Switch
+            checked={enabled}
+            onChange={(e) => onChange({ ...value, enabled: e.currentTarget.checked })}
+            label={enabled ? t('common.active') : t('common.inactive')}
+            color="red"
+          />
+        </Group>
+        {enabled && (
+          <>
+            <Text size="sm" style={{ color: 'var(--theme-text-dim)' }}>{t(`game.eliminationRules.${rule}`)}</Text>
+            <SegmentedControl
+              fullWidth
+              value={rule}
+              onChange={(next) => onChange({ ...value, rule: next })}
+              data={RULES.map((r) => ({ value: r, label: t(`game.eliminationRuleLabels.${r}`) }))}
+            />
+            {rule === 'BOTTOM_N' && (
+              <NumberInput
+                label={t('game.eliminationCount')}
+                value={count}
+                onChange={(next) => onChange({ ...value, count: Number(next) || 1 })}
+                min={1}
+                max={MAX_COUNT}
+                allowDecimal={false}
+                clampBehavior="strict"
+                styles={{
+                  input: {
+                    background: 'var(--theme-bg)',
+                    border: '1px solid var(--theme-border)',
+                    color: 'var(--theme-text)',
+                  },
+                  label: { color: 'var(--theme-text)' },
+                }}
+              />
+            )}
+          </>
+        )}
+      </Stack>
+    </Paper>
+  );
+}
@@ -0,0 +1,120 @@
+import { Box, Image } from '@mantine/core';
+
+const MARKER_SIZE = 14;
+
+/**
+ * Image of a HOTSPOT question.
+ * Positions are fractions of the image size, matching the server, so regions and clicks
+ * line up however large the image is drawn.
+ *
+ * - onSelect: click-capture mode, reports { x, y } for each click on the image
+ * - selectedPoint: the player's current pick, drawn as a marker
+ * - regions: correct areas to outline (results and editor)
+ * - clicks: everyone's clicks as { x, y, isCorrect } (results)
+ */
+export default function HotspotImage({
+  src,
+  onSelect,
+  selectedPoint,
+  regions,
+  clicks,
+  disabled = false,
+  maw = 600,
+}) {
+  const canSelect = typeof onSelect === 'function' && !disabled;
+
+  const handleClick = (e) => {
+    if (!canSelect) return;
+    const rect = e.currentTarget.getBoundingClientRect();
+    if (rect.width === 0 || rect.height === 0) return;
+    const clamp = (value) => Math.min(1, Math.max(0, value));
+    onSelect({
+      x: clamp((e.clientX - rect.left) / rect.width),
+      y: clamp((e.clientY - rect.top) / rect.height),
+    });
+  };
+
+  const markers = [
+    ...(clicks || []).map((click) => ({
+      ...click,
+      color: click.isCorrect ? 'var(--theme-success)' : 'var(--theme-danger)',
+    })),
+    ...(selectedPoint ? [{ ...selectedPoint, color: 'var(--theme-primary)', isSelected: true }] : []),
+  ];
+
+  return (
+    <Box
+      onClick={handleClick}
+      style={{
+        position: 'relative',
+        width: '100%',
+        maxWidth: maw,
+        margin: '0 auto',
+        cursor: canSelect ? 'crosshair' : 'default',
+        lineHeight: 0,
+        userSelect: 'none',
+      }}
+    >
+      <Image
+        src={src}
+        alt="Question image"
+        radius="md"
+        draggable={false}
+        fallbackSrc="https://placehold.co/600x400?text=Image"
+        style={{ border: '1px solid var(--theme-border)' }}
+      />
+
+      {Array.isArray(regions) && regions.length > 0 && (
+        // Stretched to the image so region coordinates map one to one onto it
+        <svg
+          viewBox="0 0 100 100"
+          preserveAspectRatio="none"
+          style={{ position: 'absolute', inset: 0, width: '100%', height: '100%', pointerEvents: 'none' }}
+        >
+          {regions.map((region, index) => (region.shape === 'circle' ? (
+            <ellipse
+              key={index}
+              cx={region.x * 100}
+              cy={region.y * 100}
+              rx={region.radius * 100}
+              ry={region.radius * 100}
+              fill="rgba(0, 255, 136, 0.2)"
+              stroke="var(--theme-success)"
+              strokeWidth={2}
+              vectorEffect="non-scaling-stroke"
+            />
+          ) : (
+            <polygon
+              key={index}
+              points={region.points.map((p) => `${p.x * 100},${p.y * 100}`).join(' ')}
+              fill="rgba(0, 255, 136, 0.2)"
+              stroke="var(--theme-success)"
+              strokeWidth={2}
+              vectorEffect="non-scaling-stroke"
+            />
+          )))}
+        </svg>
+      )}
+
+      {markers.map((marker, index) => (
+        <Box
+          key={marker.isSelected ? 'selected' : index}
+          style={{
+            position: 'absolute',
+            left: `${marker.x * 100}%`,
+            top: `${marker.y * 100}%`,
+            width: marker.isSelected ? MARKER_SIZE + 4 : MARKER_SIZE,
+            height: marker.isSelected ? MARKER_SIZE + 4 : MARKER_SIZE,
+            transform: 'translate(-50%, -50%)',
+            borderRadius: '50%',
+            background: marker.color,
+            border: '2px solid var(--theme-bg)',
+            boxShadow: '0 0 6px rgba(0, 0, 0, 0.5)',
+            opacity: marker.isSelected ? 1 : 0.85,
+            pointerEvents: 'none',
+          }}
+        />
+      ))}
+    </Box>
+  );
+}
@@ -3,6 +3,7 @@ import { Paper, Stack, Group, Text, Badge, ThemeIcon, ScrollArea, Tabs, ColorSwa
 import { IconTrophy, IconMedal, IconUser, IconUsersGroup } from '@tabler/icons-react';
 import { useTranslation } from 'react-i18next';
 import PlayerAvatar from './PlayerAvatar';
+import { compareStandings } from '../../utils/ranking';
 
 const RANK_CONFIGS = {
   1: { color: 'var(--theme-warning)', glow: 'var(--theme-glow-warning)', mantine: 'yellow', icon: <IconTrophy size={18} /> },
@@ -12,7 +13,7 @@ const RANK_CONFIGS = {
 
 function PlayerLeaderboard({ players = [], currentPlayerId, maxHeight, t }) {
   const sortedPlayers = useMemo(
-    () => [...(players || [])].sort((a, b) => (b.score || 0) - (a.score || 0)),
+    () => [...(players || [])].sort(compareStandings),
     [players]
   );
 
@@ -23,6 +24,7 @@ function PlayerLeaderboard({ players = [], currentPlayerId, maxHeight, t }) {
           const rank = index + 1;
           const isCurrentPlayer = player.id === currentPlayerId;
           const rankConfig = RANK_CONFIGS[rank];
+          const isEliminated = player.eliminatedAtQuestion != null;
 
           return (
             <Paper
@@ -38,6 +40,7 @@ function PlayerLeaderboard({ players = [], currentPlayerId, maxHeight, t }) {
                 }`,
                 boxShadow: isCurrentPlayer ? 'var(--theme-glow-primary)' :
                   rankConfig ? rankConfig.glow : 'none',
+                opacity: isEliminated ? 0.6 : 1,
               }}
             >
               <Group justify="space-between" wrap="nowrap">
@@ -97,7 +100,12 @@ function PlayerLeaderboard({ players = [], currentPlayerId, maxHeight, t }) {
                   </Text>
                 </Group>
                 <Group gap="xs" wrap="nowrap">
-                  {player.streak > 0 && (
+                  {isEliminated && (
+                    <Badge variant="light" color="red" size="sm">
+                      {t('game.eliminated')}
+                    </Badge>
+                  )}
+                  {player.streak > 0 && !isEliminated && (
                     <Badge
                       variant="filled"
                       color="orange"
@@ -0,0 +1,94 @@
+import { useState } from 'react';
+import { Stack, Paper, Group, Text, Select, Button, Box } from '@mantine/core';
+import { IconSend } from '@tabler/icons-react';
+import { useTranslation } from 'react-i18next';
+
+const OPTION_COLORS = [
+  'var(--theme-opt-a)',
+  'var(--theme-opt-b)',
+  'var(--theme-opt-c)',
+  'var(--theme-opt-d)',
+  'var(--theme-opt-e)',
+  'var(--theme-opt-f)',
+];
+
+/**
+ * Pairing list for MATCHING questions: each left-column option picks one item of the right column.
+ * The answer is the matchTargets index chosen for each option, in option order.
+ * A target already paired elsewhere cannot be picked twice.
+ */
+export default function MatchingOptions({ options, matchTargets, onSubmit, disabled, submittedMatches }) {
+  const { t } = useTranslation();
+  const [matches, setMatches] = useState(() => options.map(() => null));
+
+  const hasSubmitted = Array.isArray(submittedMatches);
+  const isLocked = disabled || hasSubmitted;
+  // Options may arrive after the first render; start over with no pairs until then
+  const currentMatches = matches.length === options.length ? matches : options.map(() => null);
+  const displayMatches = hasSubmitted ? submittedMatches : currentMatches;
+  const isComplete = currentMatches.every((target) => target !== null);
+
+  const setMatch = (optionIndex, value) => {
+    const next = [...currentMatches];
+    next[optionIndex] = value === null ? null : Number(value);
+    setMatches(next);
+  };
+
+  return (
+    <Stack gap="sm">
+      <Text size="sm" ta="center" style={{ color: 'var(--theme-text-dim)' }}>
+        {t('game.matchPairs')}
+      </Text>
+      <Stack gap="xs">
+        {options.map((option, optionIndex) => {
+          const color = OPTION_COLORS[optionIndex] || OPTION_COLORS[0];
+          const selected = displayMatches[optionIndex];
+          return (
+            <Paper
+              key={optionIndex}
+              p="sm"
+              style={{
+                background: 'var(--theme-surface)',
+                border: `2px solid ${selected !== null ? color : 'var(--theme-border)'}`,
+                borderRadius: 12,
+                transition: 'border-color 0.2s ease',
+              }}
+            >
+              <Group gap="sm" wrap="nowrap">
+                <Box style={{ flex: 1, minWidth: 0 }}>
+                  <Text size="sm" fw={600} style={{ wordBreak: 'break-word', color }}>
+                    {option}
+                  </Text>
+                </Box>
+                <Select
+                  style={{ flex: 1, minWidth: 0 }}
+                  placeholder={t('game.chooseMatch')}
+                  data={(matchTargets || []).map((target, targetIndex) => ({
+                    value: String(targetIndex),
+                    label: target,
+                    disabled: displayMatches.some((match, i) => i !== optionIndex && match === targetIndex),
+                  }))}
+                  value={selected === null ? null : String(selected)}
+                  onChange={(value) => setMatch(optionIndex, value)}
+                  disabled={isLocked}
+                  aria-label={option}
+                  comboboxProps={{ withinPortal: true }}
+                />
+              </Group>
+            </Paper>
+          );
+        })}
+      </Stack>
+      {!hasSubmitted && (
+        <Button
+          leftSection={<IconSend size={16} />}
+          onClick={() => onSubmit(currentMatches)}
+          disabled={disabled || !isComplete}
+          fullWidth
+        >
+          {t('game.submitAnswer')}
+        </Button>
+      )}
+    </Stack>
+  );
+}
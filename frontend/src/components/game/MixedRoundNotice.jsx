@@ -0,0 +1,35 @@
+import { Paper, Stack, Group, Text } from '@mantine/core';
+import { IconArrowsShuffle } from '@tabler/icons-react';
+import { useTranslation } from 'react-i18next';
+
+/**
+ * Shown on the shared screen instead of the question when shuffled questions give players
+ * different questions in the same round. After the round it reports how many got theirs right.
+ */
+export default function MixedRoundNotice({ correctCount = null, totalPlayers = 0 }) {
+  const { t } = useTranslation();
+
+  return (
+    <Paper
+      p="xl"
+      radius="md"
+      style={{
+        background: 'var(--theme-surface)',
+        border: '1px solid var(--theme-border)',
+      }}
+    >
+      <Stack align="center" gap="sm">
+        <Group gap="xs">
+          <IconArrowsShuffle size={24} style={{ color: 'var(--theme-primary)' }} />
+          <Text fw={700} style={{ color: 'var(--theme-text)' }}>{t('game.mixedRound')}</Text>
+        </Group>
+        <Text size="sm" ta="center" style={{ color: 'var(--theme-text-dim)' }}>{t('game.mixedRoundDesc')}</Text>
+        {correctCount !== null && (
+          <Text size="xl" fw={700} style={{ color: 'var(--theme-primary)' }}>
+            {t('game.mixedRoundCorrect', { correct: correctCount, total: totalPlayers })}
+          </Text>
+        )}
+      </Stack>
+    </Paper>
+  );
+}
@@ -0,0 +1,58 @@
+import { useState } from 'react';
+import { Stack, Group, NumberInput, Text, Button } from '@mantine/core';
+import { IconSend } from '@tabler/icons-react';
+import { useTranslation } from 'react-i18next';
+
+/**
+ * Free number entry for NUMERIC questions.
+ * The answer is the typed value; the unit is shown next to the field as a hint only.
+ */
+export default function NumericAnswerInput({ unit, onSubmit, disabled }) {
+  const { t } = useTranslation();
+  const [value, setValue] = useState('');
+
+  const hasValue = typeof value === 'number' && Number.isFinite(value);
+
+  const handleSubmit = () => {
+    if (!hasValue || disabled) return;
+    onSubmit(value);
+  };
+
+  return (
+    <Stack gap="sm">
+      <Text size="sm" ta="center" style={{ color: 'var(--theme-text-dim)' }}>
+        {t('game.enterNumber')}
+      </Text>
+      <Group gap="sm" wrap="nowrap" align="center">
+        <NumberInput
+          value={value}
+          onChange={setValue}
+          onKeyDown={(e) => {
+            if (e.key === 'Enter') handleSubmit();
+          }}
+          placeholder="0"
+          size="lg"
+          hideControls
+          decimalScale={6}
+          disabled={disabled}
+          aria-label={t('game.enterNumber')}
+          style={{ flex: 1 }}
+          styles={{ input: { textAlign: 'center', fontWeight: 700 } }}
+        />
+        {unit && (
+          <Text fw={600} size="lg" style={{ color: 'var(--theme-text)' }}>
+            {unit}
+          </Text>
+        )}
+      </Group>
+      <Button
+        leftSection={<IconSend size={16} />}
+        onClick={handleSubmit}
+        disabled={disabled || !hasValue}
+        fullWidth
+      >
+        {t('game.submitAnswer')}
+      </Button>
+    </Stack>
+  );
+}
@@ -0,0 +1,129 @@
+import { useState } from 'react';
+import { Stack, Paper, Group, Text, ActionIcon, Button, Box } from '@mantine/core';
+import { IconArrowUp, IconArrowDown, IconGripVertical, IconSend } from '@tabler/icons-react';
+import { useTranslation } from 'react-i18next';
+
+const OPTION_COLORS = [
+  'var(--theme-opt-a)',
+  'var(--theme-opt-b)',
+  'var(--theme-opt-c)',
+  'var(--theme-opt-d)',
+  'var(--theme-opt-e)',
+  'var(--theme-opt-f)',
+];
+
+/**
+ * Drag-and-drop list for ORDERING questions.
+ * The answer is the list of option indices in the order the player arranged them.
+ * Arrow buttons mirror the drag interaction for touch screens.
+ */
+export default function OrderingOptions({ options, onSubmit, disabled, submittedOrder }) {
+  const { t } = useTranslation();
+  const [order, setOrder] = useState(() => options.map((_, i) => i));
+  const [dragPosition, setDragPosition] = useState(null);
+
+  const hasSubmitted = Array.isArray(submittedOrder);
+  const isLocked = disabled || hasSubmitted;
+  // Options may arrive after the first render; fall back to the stored order until then
+  const currentOrder = order.length === options.length ? order : options.map((_, i) => i);
+  const displayOrder = hasSubmitted ? submittedOrder : currentOrder;
+
+  const move = (from, to) => {
+    if (isLocked || to < 0 || to >= currentOrder.length || from === to) return;
+    const next = [...currentOrder];
+    const [item] = next.splice(from, 1);
+    next.splice(to, 0, item);
+    setOrder(next);
+  };
+
+  return (
+    <Stack gap="sm">
+      <Text size="sm" ta="center" style={{ color: 'var(--theme-text-dim)' }}>
+        {t('game.dragToOrder')}
+      </Text>
+      <Stack gap="xs">
+        {displayOrder.map((optionIndex, position) => {
+          const color = OPTION_COLORS[optionIndex] || OPTION_COLORS[0];
+          return (
+            <Paper
+              key={optionIndex}
+              p="sm"
+              draggable={!isLocked}
+              onDragStart={() => setDragPosition(position)}
+              onDragOver={(e) => e.preventDefault()}
+              onDrop={(e) => {
+                e.preventDefault();
+                if (dragPosition !== null) move(dragPosition, position);
+                setDragPosition(null);
+              }}
+              onDragEnd={() => setDragPosition(null)}
+              style={{
+                background: 'var(--theme-surface)',
+                border: `2px solid ${dragPosition === position ? color : 'var(--theme-border)'}`,
+                borderRadius: 12,
+                cursor: isLocked ? 'default' : 'grab',
+                opacity: dragPosition === position ? 0.6 : 1,
+                transition: 'border-color 0.2s ease',
+              }}
+            >
+              <Group gap="sm" wrap="nowrap">
+                {!isLocked && <IconGripVertical size={18} style={{ color: 'var(--theme-text-dim)', flexShrink: 0 }} />}
+                <Box
+                  style={{
+                    width: 28,
+                    height: 28,
+                    borderRadius: 8,
+                    border: `1px solid ${color}`,
+                    display: 'flex',
+                    alignItems: 'center',
+                    justifyContent: 'center',
+                    flexShrink: 0,
+                  }}
+                >
+                  <Text fw={700} size="sm" style={{ color }}>
+                    {position + 1}
+                  </Text>
+                </Box>
+                <Text size="sm" fw={500} style={{ flex: 1, minWidth: 0, wordBreak: 'break-word', color: 'var(--theme-text)' }}>
+                  {options[optionIndex]}
+                </Text>
+                {!isLocked && (
+                  <Group gap={4} wrap="nowrap">
+                    <ActionIcon
+                      variant="subtle"
+                      size="sm"
+                      onClick={() => move(position, position - 1)}
+                      disabled={position === 0}
+                      aria-label={t('game.moveUp')}
+                    >
+                      <IconArrowUp size={14} />
+                    </ActionIcon>
+                    <ActionIcon
+                      variant="subtle"
+                      size="sm"
+                      onClick={() => move(position, position + 1)}
+                      disabled={position === displayOrder.length - 1}
+                      aria-label={t('game.moveDown')}
+                    >
+                      <IconArrowDown size={14} />
+                    </ActionIcon>
+                  </Group>
+                )}
+              </Group>
+            </Paper>
+          );
+        })}
+      </Stack>
+      {!hasSubmitted && (
+        <Button
+          leftSection={<IconSend size={16} />}
+          onClick={() => onSubmit(currentOrder)}
+          disabled={disabled}
+          fullWidth
+        >
+          {t('game.submitAnswer')}
+        </Button>
+      )}
+    </Stack>
+  );
+}
@@ -4,6 +4,7 @@ import { IconTrophy, IconMedal } from '@tabler/icons-react';
 import { useTranslation } from 'react-i18next';
 import PlayerAvatar from './PlayerAvatar';
 import { fireConfetti } from '../../utils/confetti';
+import { compareStandings } from '../../utils/ranking';
 
 const PODIUM_CONFIG = {
   1: {
@@ -86,6 +87,12 @@ function PodiumPlace({ player, rank, t }) {
           {(player.score || 0).toLocaleString()} {t('game.pts')}
         </Text>
 
+        {player.eliminatedAtQuestion != null && (
+          <Text size="xs" ta="center" style={{ color: 'var(--theme-danger)' }}>
+            {t('game.eliminatedOnQuestion', { number: player.eliminatedAtQuestion + 1 })}
+          </Text>
+        )}
+
         <Paper
           className={`podium-rise ${config.animDelay}`}
           style={{
@@ -191,7 +198,9 @@ function TeamPodiumPlace({ team, rank, t }) {
 
 export default function Podium({ players = [], currentPlayerId, teamMode = false, teamPodium = [] }) {
   const { t } = useTranslation();
-  const sortedPlayers = [...(players || [])].sort((a, b) => (b.score || 0) - (a.score || 0));
+  const sortedPlayers = [...(players || [])].sort(compareStandings);
+  // Elimination games crown the last player standing rather than the top score
+  const isElimination = sortedPlayers.some((p) => p.eliminatedAtQuestion != null);
   const top3 = sortedPlayers.slice(0, 3);
   const currentPlayerRank = sortedPlayers.findIndex((p) => p.id === currentPlayerId) + 1;
   const currentPlayer = sortedPlayers.find((p) => p.id === currentPlayerId);
@@ -231,7 +240,7 @@ export default function Podium({ players = [], currentPlayerId, teamMode = false
         ta="center"
         className="theme-text-primary display-font display-font-sm"
       >
-        {teamMode ? t('game.individualResults') : t('game.finalResults')}
+        {teamMode ? t('game.individualResults') : isElimination ? t('game.lastPlayerStanding') : t('game.finalResults')}
       </Title>
 
       <Group justify="center" align="flex-end" gap="xs" wrap="nowrap">
@@ -25,13 +25,45 @@ const POWER_UP_CONFIG = [
     color: 'var(--theme-success)',
     glow: 'var(--theme-glow-success)',
   },
+  {
+    type: 'STREAK_SHIELD',
+    labelKey: 'powerUp.streakShield',
+    emoji: '\u{1F6E1}\uFE0F',
+    color: 'var(--theme-accent)',
+    glow: 'var(--theme-glow-accent)',
+  },
+  {
+    type: 'HINT',
+    labelKey: 'powerUp.hint',
+    emoji: '\u{1F4A1}',
+    color: 'var(--theme-warning)',
+    glow: 'var(--theme-glow-warning)',
+  },
+  {
+    type: 'FREEZE',
+    labelKey: 'powerUp.freeze',
+    emoji: '\u2744\uFE0F',
+    color: 'var(--theme-secondary)',
+    glow: 'var(--theme-glow-secondary)',
+  },
 ];
 
+// Whether a power-up can do anything on the current question
+const isUsable = (type, { currentQuestion, streak, revealedHint }) => {
+  if (type === 'HINT') return !!currentQuestion?.hasHint && !revealedHint;
+  if (type === 'STREAK_SHIELD') return streak > 0;
+  return true;
+};
+
 export default function PowerUpBar() {
   const { t } = useTranslation();
-  const { powerUps, hasAnswered, usePowerUp } = useGame();
+  const { powerUps, powerUpLoadout, hasAnswered, usePowerUp, currentQuestion, streak, revealedHint } = useGame();
   const [activating, setActivating] = useState(null);
 
+  // Power-ups the host disabled for this game are hidden rather than shown as used up
+  const enabledPowerUps = POWER_UP_CONFIG.filter(({ type }) => (powerUpLoadout?.[type] ?? 1) > 0);
+  if (enabledPowerUps.length === 0) return null;
+
   const handleUse = (type) => {
     if (activating) return;
     setActivating(type);
@@ -40,10 +72,10 @@ export default function PowerUpBar() {
   };
 
   return (
-    <Group justify="center" gap="sm">
-      {POWER_UP_CONFIG.map(({ type, labelKey, emoji, color, glow }) => {
+    <Group justify="center" gap="sm" wrap="wrap">
+      {enabledPowerUps.map(({ type, labelKey, emoji, color, glow }) => {
         const count = powerUps[type] || 0;
-        const isDisabled = !count || hasAnswered;
+        const isDisabled = !count || hasAnswered || !isUsable(type, { currentQuestion, streak, revealedHint });
         const isActivating = activating === type;
 
         return (
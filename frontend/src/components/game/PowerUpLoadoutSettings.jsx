@@ -0,0 +1,77 @@
+import { Paper, Stack, Group, Text, NumberInput, SimpleGrid, Switch } from '@mantine/core';
+import { IconSparkles } from '@tabler/icons-react';
+import { useTranslation } from 'react-i18next';
+
+const POWER_UP_TYPES = [
+  { type: 'FIFTY_FIFTY', labelKey: 'powerUp.fiftyFifty', emoji: '\u2702\uFE0F' },
+  { type: 'DOUBLE_POINTS', labelKey: 'powerUp.doublePoints', emoji: '\u{1F4A0}' },
+  { type: 'TIME_EXTENSION', labelKey: 'powerUp.timeExtension', emoji: '\u23F0' },
+  { type: 'STREAK_SHIELD', labelKey: 'powerUp.streakShield', emoji: '\u{1F6E1}\uFE0F' },
+  { type: 'HINT', labelKey: 'powerUp.hint', emoji: '\u{1F4A1}' },
+  { type: 'FREEZE', labelKey: 'powerUp.freeze', emoji: '\u2744\uFE0F' },
+];
+
+// Matches MAX_POWER_UPS_PER_TYPE on the server
+const MAX_PER_TYPE = 5;
+
+/**
+ * Host lobby control for how many of each power-up every player starts with.
+ * A count of 0 disables that power-up for the game. With earning on, players start
+ * empty and win the enabled power-ups through streaks and catch-up rewards.
+ */
+export default function PowerUpLoadoutSettings({ value, onChange, earn, onEarnChange }) {
+  const { t } = useTranslation();
+
+  return (
+    <Paper
+      p="md"
+      radius="md"
+      style={{
+        background: 'var(--theme-surface)',
+        border: '1px solid var(--theme-border)',
+      }}
+    >
+      <Stack gap="sm">
+        <Group gap="xs">
+          <IconSparkles size={20} style={{ color: 'var(--theme-primary)' }} />
+          <Text fw={500} style={{ color: 'var(--theme-text)' }}>{t('powerUp.loadout')}</Text>
+        </Group>
+        <Text size="sm" style={{ color: 'var(--theme-text-dim)' }}>
+          {t(earn ? 'powerUp.loadoutEarnDesc' : 'powerUp.loadoutDesc')}
+        </Text>
+        <Switch
+          label={t('powerUp.earnPowerUps')}
+          description={t('powerUp.earnPowerUpsDesc')}
+          checked={!!earn}
+          onChange={(e) => onEarnChange(e.currentTarget.checked)}
+          styles={{
+            label: { color: 'var(--theme-text)' },
+            description: { color: 'var(--theme-text-dim)' },
+          }}
+        />
+        <SimpleGrid cols={{ base: 2, sm: 3 }}>
+          {POWER_UP_TYPES.map(({ type, labelKey, emoji }) => (
+            <NumberInput
+              key={type}
+              label={`${emoji} ${t(labelKey)}`}
+              value={value?.[type] ?? 0}
+              onChange={(count) => onChange({ ...value, [type]: Number(count) || 0 })}
+              min={0}
+              max={MAX_PER_TYPE}
+              allowDecimal={false}
+              clampBehavior="strict"
+              styles={{
+                input: {
+                  background: 'var(--theme-bg)',
+                  border: '1px solid var(--theme-border)',
+                  color: 'var(--theme-text)',
+                },
+                label: { color: 'var(--theme-text)' },
+              }}
+            />
+          ))}
+        </SimpleGrid>
+      </Stack>
+    </Paper>
+  );
+}
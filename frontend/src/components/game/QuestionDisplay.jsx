@@ -1,12 +1,21 @@
 import { Paper, Text, Title, Badge, Group, Image, Stack, Center, Box } from '@mantine/core';
 import { useTranslation } from 'react-i18next';
+import HotspotImage from './HotspotImage';
 
+/**
+ * Question header, text and image.
+ * HOTSPOT questions switch the image to click-capture mode when onImageClick is given:
+ * each click reports its { x, y } position as fractions of the image size.
+ */
 export default function QuestionDisplay({
   question,
   questionIndex,
   totalQuestions,
   showImage = true,
   isLightning = false,
+  onImageClick,
+  selectedPoint,
+  imageDisabled = false,
 }) {
   const { t } = useTranslation();
 
@@ -51,7 +60,8 @@ export default function QuestionDisplay({
             fontSize: '0.45rem',
           }}
         >
-          {question.points} {t('game.pts')}
+          {/* Polls award no points */}
+          {question.isPoll ? t('game.poll') : `${question.points} ${t('game.pts')}`}
         </Badge>
       </Group>
 
@@ -124,7 +134,16 @@ export default function QuestionDisplay({
             {question.text}
           </Title>
 
-          {showImage && question.imageUrl && (
+          {showImage && question.imageUrl && question.type === 'HOTSPOT' && (
+            <HotspotImage
+              src={question.imageUrl}
+              onSelect={onImageClick}
+              selectedPoint={selectedPoint}
+              disabled={imageDisabled}
+            />
+          )}
+
+          {showImage && question.imageUrl && question.type !== 'HOTSPOT' && (
             <Center>
               <Image
                 src={question.imageUrl}
@@ -0,0 +1,48 @@
+import { Paper, Stack, Group, Text, Switch } from '@mantine/core';
+import { IconArrowsShuffle } from '@tabler/icons-react';
+import { useTranslation } from 'react-i18next';
+
+const switchStyles = {
+  label: { color: 'var(--theme-text)' },
+  description: { color: 'var(--theme-text-dim)' },
+};
+
+/**
+ * Host lobby control for giving every player their own question order and/or option order,
+ * so students sitting side by side cannot copy each other's screens.
+ */
+export default function ShuffleSettings({ value, onChange }) {
+  const { t } = useTranslation();
+
+  return (
+    <Paper
+      p="md"
+      radius="md"
+      style={{
+        background: 'var(--theme-surface)',
+        border: '1px solid var(--theme-border)',
+      }}
+    >
+      <Stack gap="sm">
+        <Group gap="xs">
+          <IconArrowsShuffle size={20} style={{ color: 'var(--theme-primary)' }} />
+          <Text fw={500} style={{ color: 'var(--theme-text)' }}>{t('game.shuffle')}</Text>
+        </Group>
+        <Switch
+          label={t('game.shuffleQuestions')}
+          description={t('game.shuffleQuestionsDesc')}
+          checked={value.questions}
+          onChange={(e) => onChange({ ...value, questions: e.currentTarget.checked })}
+          styles={switchStyles}
+        />
+        <Switch
+          label={t('game.shuffleOptions')}
+          description={t('game.shuffleOptionsDesc')}
+          checked={value.options}
+          onChange={(e) => onChange({ ...value, options: e.currentTarget.checked })}
+          styles={switchStyles}
+        />
+      </Stack>
+    </Paper>
+  );
+}
@@ -0,0 +1,78 @@
+import { Paper, Stack, Group, Text, Switch, SegmentedControl, NumberInput } from '@mantine/core';
+import { IconMessages } from '@tabler/icons-react';
+import { useTranslation } from 'react-i18next';
+
+const RULES = ['MAJORITY', 'CAPTAIN'];
+
+// Matches MAX_TEAM_DISCUSSION_SECONDS on the server
+const MAX_DISCUSSION_SECONDS = 30;
+
+/**
+ * Host lobby control for team answers: teammates propose on their own devices and each team
+ * locks in a single answer, by majority or by its captain, with extra time to talk it over.
+ * Shuffled questions give teammates different questions, so the two cannot be combined.
+ */
+export default function TeamAnswerSettings({ value, onChange, disabled = false }) {
+  const { t } = useTranslation();
+  const { enabled, rule, discussionSeconds } = value;
+
+  return (
+    <Paper
+      p="sm"
+      radius="md"
+      style={{
+        background: 'var(--theme-bg)',
+        border: '1px solid var(--theme-border)',
+      }}
+    >
+      <Stack gap="sm">
+        <Group gap="xs">
+          <IconMessages size={18} style={{ color: 'var(--theme-accent)' }} />
+          <Text fw={500} size="sm" style={{ color: 'var(--theme-text)' }}>{t('team.teamAnswers')}</Text>
+        </Group>
+        <Switch
+          label={t('team.teamAnswersEnabled')}
+          description={disabled ? t('team.teamAnswersShuffleConflict') : t('team.teamAnswersDesc')}
+          checked={enabled}
+          disabled={disabled}
+          onChange={(e) => onChange({ ...value, enabled: e.currentTarget.checked })}
+          color="violet"
+          styles={{
+            label: { color: 'var(--theme-text)' },
+            description: { color: 'var(--theme-text-dim)' },
+          }}
+        />
+        {enabled && (
+          <>
+            <Text size="sm" style={{ color: 'var(--theme-text-dim)' }}>{t(`team.teamAnswerRules.${rule}`)}</Text>
+            <SegmentedControl
+              fullWidth
+              value={rule}
+              onChange={(next) => onChange({ ...value, rule: next })}
+              data={RULES.map((r) => ({ value: r, label: t(`team.teamAnswerRuleLabels.${r}`) }))}
+            />
+            <NumberInput
+              label={t('team.discussionSeconds')}
+              description={t('team.discussionSecondsDesc')}
+              value={discussionSeconds}
+              onChange={(next) => onChange({ ...value, discussionSeconds: Number(next) || 0 })}
+              min={0}
+              max={MAX_DISCUSSION_SECONDS}
+              allowDecimal={false}
+              clampBehavior="strict"
+              styles={{
+                input: {
+                  background: 'var(--theme-surface)',
+                  border: '1px solid var(--theme-border)',
+                  color: 'var(--theme-text)',
+                },
+                label: { color: 'var(--theme-text)' },
+                description: { color: 'var(--theme-text-dim)' },
+              }}
+            />
+          </>
+        )}
+      </Stack>
+    </Paper>
+  );
+}
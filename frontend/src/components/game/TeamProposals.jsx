@@ -0,0 +1,53 @@
+import { Paper, Stack, Group, Text } from '@mantine/core';
+import { IconCrown, IconMessages } from '@tabler/icons-react';
+import { useTranslation } from 'react-i18next';
+
+/**
+ * Shown to a player while their team decides on one answer: what each teammate has proposed so far
+ * and, once this player's own proposal is in, that the team's answer is still being settled.
+ */
+export default function TeamProposals({ proposals = [], options = [], captainId = null, waiting = false }) {
+  const { t } = useTranslation();
+
+  const describe = ({ answerIndex, answerValue }) => {
+    if (Number.isInteger(answerIndex) && options[answerIndex] !== undefined) return options[answerIndex];
+    if (answerValue !== null && answerValue !== undefined && typeof answerValue !== 'object') return String(answerValue);
+    return t('team.proposalHidden');
+  };
+
+  return (
+    <Paper
+      p="md"
+      radius="md"
+      style={{
+        background: 'var(--theme-surface)',
+        border: '1px solid var(--theme-accent)',
+      }}
+    >
+      <Stack gap="xs">
+        <Group gap="xs">
+          <IconMessages size={18} style={{ color: 'var(--theme-accent)' }} />
+          <Text fw={500} size="sm" style={{ color: 'var(--theme-text)' }}>{t('team.teamProposals')}</Text>
+        </Group>
+        {proposals.length === 0 ? (
+          <Text size="sm" style={{ color: 'var(--theme-text-dim)' }}>{t('team.noProposals')}</Text>
+        ) : (
+          proposals.map((proposal) => (
+            <Group key={proposal.playerId} justify="space-between" wrap="nowrap">
+              <Group gap={4} wrap="nowrap" style={{ overflow: 'hidden' }}>
+                {proposal.playerId === captainId && <IconCrown size={14} style={{ color: 'var(--theme-warning)' }} />}
+                <Text size="sm" truncate style={{ color: 'var(--theme-text)' }}>{proposal.nickname}</Text>
+              </Group>
+              <Text size="sm" fw={500} truncate style={{ color: 'var(--theme-accent)' }}>{describe(proposal)}</Text>
+            </Group>
+          ))
+        )}
+        {waiting && (
+          <Text size="sm" ta="center" className="anim-pulse" style={{ color: 'var(--theme-text-dim)' }}>
+            {t('team.waitingForTeam')}
+          </Text>
+        )}
+      </Stack>
+    </Paper>
+  );
+}
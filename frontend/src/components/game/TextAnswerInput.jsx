@@ -0,0 +1,54 @@
+import { useState } from 'react';
+import { Stack, TextInput, Text, Button } from '@mantine/core';
+import { IconSend } from '@tabler/icons-react';
+import { useTranslation } from 'react-i18next';
+
+const MAX_ANSWER_LENGTH = 100;
+
+/**
+ * Free text entry for TYPE_ANSWER and WORD_CLOUD questions.
+ * Matching against the accepted answers happens on the server, ignoring case and punctuation.
+ */
+export default function TextAnswerInput({ onSubmit, disabled, maxLength = MAX_ANSWER_LENGTH, prompt }) {
+  const { t } = useTranslation();
+  const [value, setValue] = useState('');
+
+  const label = prompt || t('game.typeAnswer');
+  const hasValue = value.trim().length > 0;
+
+  const handleSubmit = () => {
+    if (!hasValue || disabled) return;
+    onSubmit(value.trim());
+  };
+
+  return (
+    <Stack gap="sm">
+      <Text size="sm" ta="center" style={{ color: 'var(--theme-text-dim)' }}>
+        {label}
+      </Text>
+      <TextInput
+        value={value}
+        onChange={(e) => setValue(e.currentTarget.value)}
+        onKeyDown={(e) => {
+          if (e.key === 'Enter') handleSubmit();
+        }}
+        maxLength={maxLength}
+        size="lg"
+        autoComplete="off"
+        autoCapitalize="off"
+        spellCheck={false}
+        disabled={disabled}
+        aria-label={label}
+        styles={{ input: { textAlign: 'center', fontWeight: 700 } }}
+      />
+      <Button
+        leftSection={<IconSend size={16} />}
+        onClick={handleSubmit}
+        disabled={disabled || !hasValue}
+        fullWidth
+      >
+        {t('game.submitAnswer')}
+      </Button>
+    </Stack>
+  );
+}
@@ -0,0 +1,68 @@
+import { Paper, Text, Box } from '@mantine/core';
+import { useTranslation } from 'react-i18next';
+
+const WORD_COLORS = [
+  'var(--theme-opt-a)',
+  'var(--theme-opt-b)',
+  'var(--theme-opt-c)',
+  'var(--theme-opt-d)',
+  'var(--theme-opt-e)',
+  'var(--theme-opt-f)',
+];
+
+const MIN_FONT_REM = 0.9;
+const MAX_FONT_REM = 2.6;
+
+/**
+ * WORD_CLOUD results: submitted words sized by how many players sent them.
+ * Words arrive already grouped and sorted by the server, most frequent first.
+ */
+export default function WordCloud({ words }) {
+  const { t } = useTranslation();
+  const maxCount = words.reduce((max, word) => Math.max(max, word.count), 1);
+
+  return (
+    <Paper
+      p="md"
+      radius="md"
+      style={{
+        background: 'var(--theme-surface)',
+        border: '1px solid var(--theme-border)',
+      }}
+    >
+      <Text size="sm" ta="center" mb="sm" style={{ color: 'var(--theme-text-dim)' }}>
+        {words.length > 0 ? t('game.wordCloudResults') : t('game.noAnswers')}
+      </Text>
+      <Box
+        style={{
+          display: 'flex',
+          flexWrap: 'wrap',
+          justifyContent: 'center',
+          alignItems: 'center',
+          gap: '0.4rem 1rem',
+        }}
+      >
+        {words.map(({ text, count }, position) => {
+          const weight = count / maxCount;
+
+          return (
+            <Text
+              key={text}
+              component="span"
+              fw={weight > 0.5 ? 800 : 600}
+              title={`${count}`}
+              style={{
+                fontSize: `${MIN_FONT_REM + (MAX_FONT_REM - MIN_FONT_REM) * weight}rem`,
+                lineHeight: 1.1,
+                color: WORD_COLORS[position % WORD_COLORS.length],
+                transition: 'font-size 0.3s ease',
+              }}
+            >
+              {text}
+            </Text>
+          );
+        })}
+      </Box>
+    </Paper>
+  );
+}
@@ -65,6 +65,18 @@ export const quizTagsValidation = (value) => {
   return null;
 };
 
+// Quiz size limits, matching the server: a game plays at most MAX_PLAYED_QUESTIONS,
+// while question pools let the quiz hold up to MAX_BANK_QUESTIONS to draw from
+export const MAX_PLAYED_QUESTIONS = 50;
+export const MAX_BANK_QUESTIONS = 200;
+export const MAX_QUESTION_POOLS = 10;
+
+// Questions one game plays: every question outside the pools plus each pool's draw
+export const countPlayedQuestions = (questionCount, pools = []) => pools.reduce(
+  (played, pool) => played - pool.questionIds.length + Math.min(pool.drawCount, pool.questionIds.length),
+  questionCount
+);
+
 // Question validations
 export const questionTextValidation = (value) => {
   if (!value) return 'Question text is required';
@@ -44,19 +44,48 @@ const initialGameState = {
   leaderboard: [],
   podium: [],
   answerDistribution: null,
+  // Players who got the round right; with shuffled questions it stands in for the distribution
+  correctCount: 0,
+  // NUMERIC results: value bins instead of per-option counts
+  answerHistogram: null,
+  topWrongAnswers: null,
+  // WORD_CLOUD results: [{ text, count }], most frequent first
+  wordCloud: null,
+  // HOTSPOT results: [{ x, y, isCorrect }] clicks and the correct regions they are judged against
+  clicks: null,
+  hotspotRegions: null,
   correctAnswerIndex: null,
+  correctAnswerIndices: null,
+  correctOrder: null,
+  // MATCHING answer key: the matchTargets index paired with each option
+  correctMatches: null,
+  correctValue: null,
+  tolerance: null,
+  acceptedAnswers: null,
   answeredCount: 0,
   totalPlayersInPhase: 0,
   connectedPlayerCount: 0,
   hasAnswered: false,
+  // Team answers: this player's proposal is in, and what the team has proposed so far [{ playerId, nickname, answerIndex, answerValue }]
+  teamProposalSent: false,
+  teamProposals: [],
+  teamCaptainId: null,
+  // Seconds of the answering time set aside for team discussion
+  discussionSeconds: 0,
   reactions: [],
   teamLeaderboard: [],
   teamPodium: [],
   explanation: null,
-  powerUps: { FIFTY_FIFTY: 1, DOUBLE_POINTS: 1, TIME_EXTENSION: 1 },
+  powerUps: { FIFTY_FIFTY: 1, DOUBLE_POINTS: 1, TIME_EXTENSION: 1, STREAK_SHIELD: 0, HINT: 0, FREEZE: 0 },
   eliminatedOptions: [],
+  // HINT power-up text for the current question
+  revealedHint: null,
+  // An opponent's FREEZE locks the answer buttons for a moment
+  answersFrozen: false,
   isLightning: false,
   timerShortened: false,
+  // Quiz scoring rules players see before answering: { wrongAnswerPenalty, confidenceWagers }
+  scoringRules: null,
 };
 
 export function GameProvider({ children }) {
@@ -66,6 +95,7 @@ export function GameProvider({ children }) {
   const listenersSetupRef = useRef(false);
   const lastSocketIdRef = useRef(null);
   const timerRef = useRef(timer);
+  const freezeTimeoutRef = useRef(null);
   // No longer using a blanket suppressErrorToastRef — answer/power-up errors
   // are handled in their own ack callbacks; the global error handler only
   // suppresses known answer-related messages to avoid duplicates.
@@ -94,12 +124,12 @@ export function GameProvider({ children }) {
     //  are managed by RoomContext to prevent cleanup conflicts)
     const gameEvents = [
       'you_were_kicked', 'room_joined_spectator', 'player_reconnected', 'host_reconnected', 'spectator_reconnected', 'game_started',
-      'question_intro', 'answering_started', 'answer_received', 'answer_count_updated',
+      'question_intro', 'answering_started', 'answer_received', 'answer_count_updated', 'team_proposal_updated',
       'all_players_answered', 'show_results', 'leaderboard', 'game_over',
-      'final_results', 'fifty_fifty_result', 'power_up_activated', 'power_up_used',
+      'final_results', 'fifty_fifty_result', 'hint_revealed', 'answers_frozen', 'power_up_earned', 'power_up_activated', 'power_up_used',
       'time_extended', 'power_up_refund_failed', 'timer_started', 'timer_tick', 'time_expired', 'timer_sync', 'timer_shortened',
       'game_paused', 'game_resumed', 'reaction_received', 'room_closed',
-      'host_disconnected', 'host_disconnected_warning', 'host_returned', 'error'
+      'host_disconnected', 'host_disconnected_warning', 'host_returned', 'room_recovered', 'error'
     ];
     gameEvents.forEach(event => socketService.off(event));
   }, []);
@@ -129,17 +159,19 @@ export function GameProvider({ children }) {
     // Restore game state on player reconnect
     socketService.on('player_reconnected', (data) => {
       const {
-        state, score, streak, powerUps, eliminatedOptions, hasAnswered, lastAnswer,
+        state, score, streak, powerUps, eliminatedOptions, revealedHint, hasAnswered, lastAnswer,
         currentQuestionIndex, totalQuestions, currentQuestion, timerSync, playerToken,
-        answeredCount, totalPlayersInPhase, connectedPlayerCount, correctAnswerIndex, distribution, explanation,
-        leaderboard, podium, teamLeaderboard, teamPodium, pausedFromState
+        answeredCount, totalPlayersInPhase, connectedPlayerCount, correctAnswerIndex, correctAnswerIndices, correctOrder, correctMatches, correctValue, tolerance, acceptedAnswers, distribution, histogram, topWrongAnswers, wordCloud, clicks, hotspotRegions, explanation,
+        leaderboard, podium, teamLeaderboard, teamPodium, pausedFromState, scoringRules
       } = data || {};
       const updates = {};
       if (state && GAME_STATES[state]) updates.gameState = state;
+      if (scoringRules) updates.scoringRules = scoringRules;
       if (typeof score === 'number') updates.score = score;
       if (typeof streak === 'number') updates.streak = streak;
       if (powerUps) updates.powerUps = powerUps;
       if (Array.isArray(eliminatedOptions)) updates.eliminatedOptions = eliminatedOptions;
+      if (revealedHint !== undefined) updates.revealedHint = revealedHint;
       if (typeof hasAnswered === 'boolean') updates.hasAnswered = hasAnswered;
       if (lastAnswer) updates.lastAnswer = lastAnswer;
       if (typeof currentQuestionIndex === 'number') updates.currentQuestionIndex = currentQuestionIndex;
@@ -149,7 +181,19 @@ export function GameProvider({ children }) {
       if (typeof totalPlayersInPhase === 'number') updates.totalPlayersInPhase = totalPlayersInPhase;
       if (typeof connectedPlayerCount === 'number') updates.connectedPlayerCount = connectedPlayerCount;
       if (typeof correctAnswerIndex === 'number') updates.correctAnswerIndex = correctAnswerIndex;
+      if (Array.isArray(correctAnswerIndices)) updates.correctAnswerIndices = correctAnswerIndices;
+      if (Array.isArray(correctOrder)) updates.correctOrder = correctOrder;
+      if (Array.isArray(correctMatches)) updates.correctMatches = correctMatches;
+      if (typeof correctValue === 'number') updates.correctValue = correctValue;
+      if (typeof tolerance === 'number') updates.tolerance = tolerance;
+      if (Array.isArray(acceptedAnswers)) updates.acceptedAnswers = acceptedAnswers;
       if (distribution) updates.answerDistribution = distribution;
+      if (typeof data.correctCount === 'number') updates.correctCount = data.correctCount;
+      if (Array.isArray(histogram)) updates.answerHistogram = histogram;
+      if (Array.isArray(topWrongAnswers)) updates.topWrongAnswers = topWrongAnswers;
+      if (Array.isArray(wordCloud)) updates.wordCloud = wordCloud;
+      if (Array.isArray(clicks)) updates.clicks = clicks;
+      if (Array.isArray(hotspotRegions)) updates.hotspotRegions = hotspotRegions;
       if (explanation !== undefined) updates.explanation = explanation;
       if (leaderboard) updates.leaderboard = leaderboard;
       if (podium) updates.podium = podium;
@@ -172,6 +216,14 @@ export function GameProvider({ children }) {
       if (typeof data.teamMode === 'boolean') roomUpdates.teamMode = data.teamMode;
       if (data.teams) roomUpdates.teams = data.teams;
       if (data.lightningRound) roomUpdates.lightningRound = data.lightningRound;
+      if (data.powerUpLoadout) roomUpdates.powerUpLoadout = data.powerUpLoadout;
+      if (data.elimination) roomUpdates.elimination = data.elimination;
+      if (data.shuffle) roomUpdates.shuffle = data.shuffle;
+      if (typeof data.adaptive === 'boolean') roomUpdates.adaptive = data.adaptive;
+      if (data.capacity) roomUpdates.capacity = data.capacity;
+      if (typeof data.largeEvent === 'boolean') roomUpdates.largeEvent = data.largeEvent;
+      if (data.teamAnswers) roomUpdates.teamAnswers = data.teamAnswers;
+      if (typeof data.earnPowerUps === 'boolean') roomUpdates.earnPowerUps = data.earnPowerUps;
       if (Object.keys(roomUpdates).length > 0) {
         roomRef.current.updateRoomState(roomUpdates);
         if (playerToken) saveSession({ playerToken });
@@ -183,7 +235,7 @@ export function GameProvider({ children }) {
       const {
         state, currentQuestionIndex, totalQuestions, currentQuestion,
         players, timerSync, leaderboard, podium,
-        correctAnswerIndex, distribution, explanation,
+        correctAnswerIndex, correctAnswerIndices, correctOrder, correctMatches, correctValue, tolerance, acceptedAnswers, distribution, histogram, topWrongAnswers, wordCloud, clicks, hotspotRegions, explanation,
         answeredCount, totalPlayersInPhase, connectedPlayerCount,
         teamLeaderboard, teamPodium, pausedFromState
       } = data || {};
@@ -193,7 +245,19 @@ export function GameProvider({ children }) {
       if (typeof totalQuestions === 'number') updates.totalQuestions = totalQuestions;
       if (currentQuestion) updates.currentQuestion = currentQuestion;
       if (typeof correctAnswerIndex === 'number') updates.correctAnswerIndex = correctAnswerIndex;
+      if (Array.isArray(correctAnswerIndices)) updates.correctAnswerIndices = correctAnswerIndices;
+      if (Array.isArray(correctOrder)) updates.correctOrder = correctOrder;
+      if (Array.isArray(correctMatches)) updates.correctMatches = correctMatches;
+      if (typeof correctValue === 'number') updates.correctValue = correctValue;
+      if (typeof tolerance === 'number') updates.tolerance = tolerance;
+      if (Array.isArray(acceptedAnswers)) updates.acceptedAnswers = acceptedAnswers;
       if (distribution) updates.answerDistribution = distribution;
+      if (typeof data.correctCount === 'number') updates.correctCount = data.correctCount;
+      if (Array.isArray(histogram)) updates.answerHistogram = histogram;
+      if (Array.isArray(topWrongAnswers)) updates.topWrongAnswers = topWrongAnswers;
+      if (Array.isArray(wordCloud)) updates.wordCloud = wordCloud;
+      if (Array.isArray(clicks)) updates.clicks = clicks;
+      if (Array.isArray(hotspotRegions)) updates.hotspotRegions = hotspotRegions;
       if (explanation !== undefined) updates.explanation = explanation;
       if (typeof answeredCount === 'number') updates.answeredCount = answeredCount;
       if (typeof totalPlayersInPhase === 'number') updates.totalPlayersInPhase = totalPlayersInPhase;
@@ -212,6 +276,14 @@ export function GameProvider({ children }) {
       if (typeof data.teamMode === 'boolean') roomUpdates.teamMode = data.teamMode;
       if (data.teams) roomUpdates.teams = data.teams;
       if (data.lightningRound) roomUpdates.lightningRound = data.lightningRound;
+      if (data.powerUpLoadout) roomUpdates.powerUpLoadout = data.powerUpLoadout;
+      if (data.elimination) roomUpdates.elimination = data.elimination;
+      if (data.shuffle) roomUpdates.shuffle = data.shuffle;
+      if (typeof data.adaptive === 'boolean') roomUpdates.adaptive = data.adaptive;
+      if (data.capacity) roomUpdates.capacity = data.capacity;
+      if (typeof data.largeEvent === 'boolean') roomUpdates.largeEvent = data.largeEvent;
+      if (data.teamAnswers) roomUpdates.teamAnswers = data.teamAnswers;
+      if (typeof data.earnPowerUps === 'boolean') roomUpdates.earnPowerUps = data.earnPowerUps;
       if (Object.keys(roomUpdates).length > 0) {
         roomRef.current.updateRoomState(roomUpdates);
         if (data.hostToken) saveSession({ hostToken: data.hostToken });
@@ -230,7 +302,7 @@ export function GameProvider({ children }) {
     const applySpectatorSnapshot = (data) => {
       const {
         state, currentQuestionIndex, totalQuestions, currentQuestion,
-        answeredCount, totalPlayersInPhase, connectedPlayerCount, correctAnswerIndex, distribution, explanation,
+        answeredCount, totalPlayersInPhase, connectedPlayerCount, correctAnswerIndex, correctAnswerIndices, correctOrder, correctMatches, correctValue, tolerance, acceptedAnswers, distribution, histogram, topWrongAnswers, wordCloud, clicks, hotspotRegions, explanation,
         leaderboard, podium, teamLeaderboard, teamPodium, timerSync, pausedFromState
       } = data || {};
       const updates = {};
@@ -242,7 +314,19 @@ export function GameProvider({ children }) {
       if (typeof totalPlayersInPhase === 'number') updates.totalPlayersInPhase = totalPlayersInPhase;
       if (typeof connectedPlayerCount === 'number') updates.connectedPlayerCount = connectedPlayerCount;
       if (typeof correctAnswerIndex === 'number') updates.correctAnswerIndex = correctAnswerIndex;
+      if (Array.isArray(correctAnswerIndices)) updates.correctAnswerIndices = correctAnswerIndices;
+      if (Array.isArray(correctOrder)) updates.correctOrder = correctOrder;
+      if (Array.isArray(correctMatches)) updates.correctMatches = correctMatches;
+      if (typeof correctValue === 'number') updates.correctValue = correctValue;
+      if (typeof tolerance === 'number') updates.tolerance = tolerance;
+      if (Array.isArray(acceptedAnswers)) updates.acceptedAnswers = acceptedAnswers;
       if (distribution) updates.answerDistribution = distribution;
+      if (typeof data.correctCount === 'number') updates.correctCount = data.correctCount;
+      if (Array.isArray(histogram)) updates.answerHistogram = histogram;
+      if (Array.isArray(topWrongAnswers)) updates.topWrongAnswers = topWrongAnswers;
+      if (Array.isArray(wordCloud)) updates.wordCloud = wordCloud;
+      if (Array.isArray(clicks)) updates.clicks = clicks;
+      if (Array.isArray(hotspotRegions)) updates.hotspotRegions = hotspotRegions;
       if (explanation !== undefined) updates.explanation = explanation;
       if (leaderboard) updates.leaderboard = leaderboard;
       if (podium) updates.podium = podium;
@@ -256,6 +340,14 @@ export function GameProvider({ children }) {
       if (typeof data.teamMode === 'boolean') roomUpdates.teamMode = data.teamMode;
       if (data.teams) roomUpdates.teams = data.teams;
       if (data.lightningRound) roomUpdates.lightningRound = data.lightningRound;
+      if (data.powerUpLoadout) roomUpdates.powerUpLoadout = data.powerUpLoadout;
+      if (data.elimination) roomUpdates.elimination = data.elimination;
+      if (data.shuffle) roomUpdates.shuffle = data.shuffle;
+      if (typeof data.adaptive === 'boolean') roomUpdates.adaptive = data.adaptive;
+      if (data.capacity) roomUpdates.capacity = data.capacity;
+      if (typeof data.largeEvent === 'boolean') roomUpdates.largeEvent = data.largeEvent;
+      if (data.teamAnswers) roomUpdates.teamAnswers = data.teamAnswers;
+      if (typeof data.earnPowerUps === 'boolean') roomUpdates.earnPowerUps = data.earnPowerUps;
       if (data.spectatorToken) roomUpdates.spectatorToken = data.spectatorToken;
       if (Object.keys(roomUpdates).length > 0) roomRef.current.updateRoomState(roomUpdates);
 
@@ -271,7 +363,7 @@ export function GameProvider({ children }) {
 
     // Game flow events
     socketService.on('game_started', (data) => {
-      const { totalQuestions, currentQuestion, questionIndex, powerUps, teamMode } = data || {};
+      const { totalQuestions, currentQuestion, questionIndex, powerUps, teamMode, scoringRules } = data || {};
       // Sync teamMode to RoomContext so UI components render team tabs
       if (typeof teamMode === 'boolean') {
         roomRef.current.updateRoomState({ teamMode });
@@ -284,8 +376,13 @@ export function GameProvider({ children }) {
         currentQuestionIndex: questionIndex ?? 0,
         hasAnswered: false,
         lastAnswer: null,
+        teamProposalSent: false,
+        teamProposals: [],
         powerUps: powerUps ?? prev.powerUps,
         eliminatedOptions: [],
+        revealedHint: null,
+        answersFrozen: false,
+        scoringRules: scoringRules ?? prev.scoringRules,
       }));
     });
 
@@ -298,22 +395,39 @@ export function GameProvider({ children }) {
         totalQuestions: totalQuestions ?? prev.totalQuestions,
         hasAnswered: false,
         lastAnswer: null,
+        teamProposalSent: false,
+        teamProposals: [],
         answeredCount: 0,
         totalPlayersInPhase: 0,
         answerDistribution: null,
+        correctCount: 0,
+        answerHistogram: null,
+        topWrongAnswers: null,
+        wordCloud: null,
+        clicks: null,
+        hotspotRegions: null,
         correctAnswerIndex: null,
+        correctAnswerIndices: null,
+        correctOrder: null,
+        correctMatches: null,
+        correctValue: null,
+        tolerance: null,
+        acceptedAnswers: null,
         explanation: null,
         eliminatedOptions: [],
+        revealedHint: null,
+        answersFrozen: false,
         isLightning: false,
       }));
     });
 
-    socketService.on('answering_started', ({ isLightning, connectedPlayerCount }) => {
+    socketService.on('answering_started', ({ isLightning, connectedPlayerCount, discussionSeconds }) => {
       setState(prev => {
         const updates = {
           ...prev,
           gameState: GAME_STATES.ANSWERING_PHASE,
           isLightning: isLightning || false,
+          discussionSeconds: discussionSeconds || 0,
           answeredCount: 0,
           timerShortened: false,
         };
@@ -331,7 +445,7 @@ export function GameProvider({ children }) {
       });
     });
 
-    socketService.on('answer_received', ({ isCorrect, score, totalScore, streak, streakBonus, doublePointsRefunded }) => {
+    socketService.on('answer_received', ({ isCorrect, score, totalScore, streak, streakBonus, confidence, doublePointsRefunded, streakShielded }) => {
       // If we have a pending answer submission, mark it as accepted by the server
       if (answerPendingRef.current) {
         answerPendingRef.current = false;
@@ -341,7 +455,7 @@ export function GameProvider({ children }) {
         const updates = {
           ...prev,
           hasAnswered: true,
-          lastAnswer: { isCorrect, score, streakBonus },
+          lastAnswer: { isCorrect, score, streakBonus, confidence, streakShielded: !!streakShielded },
           score: totalScore,
           streak,
         };
@@ -353,21 +467,41 @@ export function GameProvider({ children }) {
       });
     });
 
-    socketService.on('answer_count_updated', ({ answeredCount, totalPlayersInPhase, connectedPlayerCount }) => {
+    // Team answers: what teammates have proposed, with options where this player sees them
+    socketService.on('team_proposal_updated', ({ proposals, captainId }) => {
+      updateState({ teamProposals: proposals || [], teamCaptainId: captainId ?? null });
+    });
+
+    socketService.on('answer_count_updated', ({ answeredCount, totalPlayersInPhase, connectedPlayerCount, distribution, wordCloud }) => {
       const updates = { answeredCount };
       if (typeof totalPlayersInPhase === 'number') updates.totalPlayersInPhase = totalPlayersInPhase;
       if (typeof connectedPlayerCount === 'number') updates.connectedPlayerCount = connectedPlayerCount;
+      // Polls stream their distribution or word cloud while answering is open
+      if (Array.isArray(distribution)) updates.answerDistribution = distribution;
+      if (Array.isArray(wordCloud)) updates.wordCloud = wordCloud;
       updateState(updates);
     });
     socketService.on('all_players_answered', () => { /* auto-transition to show_results follows */ });
 
-    socketService.on('show_results', ({ correctAnswerIndex, distribution, answeredCount, totalPlayersInPhase, connectedPlayerCount, explanation }) => {
+    socketService.on('show_results', ({ correctAnswerIndex, correctAnswerIndices, correctOrder, correctMatches, correctValue, tolerance, acceptedAnswers, distribution, correctCount, histogram, topWrongAnswers, wordCloud, clicks, hotspotRegions, answeredCount, totalPlayersInPhase, connectedPlayerCount, explanation }) => {
       try { timerRef.current.stopTimer(); } catch { /* timer may be unavailable */ }
       const updates = {
         gameState: GAME_STATES.SHOW_RESULTS,
         correctAnswerIndex,
+        correctAnswerIndices: correctAnswerIndices || null,
+        correctOrder: correctOrder || null,
+        correctMatches: correctMatches || null,
+        correctValue: correctValue ?? null,
+        tolerance: tolerance ?? null,
+        acceptedAnswers: acceptedAnswers || null,
         timerShortened: false,
         answerDistribution: distribution,
+        correctCount: correctCount || 0,
+        answerHistogram: histogram || null,
+        topWrongAnswers: topWrongAnswers || null,
+        wordCloud: wordCloud || null,
+        clicks: clicks || null,
+        hotspotRegions: hotspotRegions || null,
         answeredCount: typeof answeredCount === 'number' ? answeredCount : 0,
         totalPlayersInPhase,
         explanation: explanation || null,
@@ -399,8 +533,28 @@ export function GameProvider({ children }) {
 
     // Power-up events
     socketService.on('fifty_fifty_result', ({ eliminatedOptions }) => updateState({ eliminatedOptions }));
-    socketService.on('power_up_activated', ({ type }) => {
-      const labels = { DOUBLE_POINTS: 'Çift Puan', TIME_EXTENSION: 'Süre Uzatma' };
+    socketService.on('hint_revealed', ({ hint }) => updateState({ revealedHint: hint }));
+    socketService.on('answers_frozen', ({ durationMs }) => {
+      clearTimeout(freezeTimeoutRef.current);
+      updateState({ answersFrozen: true });
+      showToast.warning('Donduruldun! Cevap butonları kısa süre kilitli.');
+      freezeTimeoutRef.current = setTimeout(() => updateState({ answersFrozen: false }), durationMs);
+    });
+    socketService.on('power_up_earned', ({ type, reason, powerUps }) => {
+      updateState({ powerUps });
+      const labels = {
+        FIFTY_FIFTY: '50:50', DOUBLE_POINTS: 'Çift Puan', TIME_EXTENSION: 'Süre Uzatma',
+        STREAK_SHIELD: 'Seri Kalkanı', HINT: 'İpucu', FREEZE: 'Dondurma'
+      };
+      const label = labels[type] || type;
+      showToast.success(reason === 'CATCH_UP' ? 'Yetişme jokeri kazandın: ' + label : 'Seri ödülü: ' + label + ' kazandın!');
+    });
+    socketService.on('power_up_activated', ({ type, targetNickname }) => {
+      if (type === 'FREEZE') {
+        showToast.success(targetNickname + ' donduruldu!');
+        return;
+      }
+      const labels = { DOUBLE_POINTS: 'Çift Puan', TIME_EXTENSION: 'Süre Uzatma', STREAK_SHIELD: 'Seri Kalkanı' };
       showToast.success((labels[type] || type) + ' aktif!');
     });
     socketService.on('power_up_used', ({ nickname, powerUpType }) => {
@@ -411,14 +565,14 @@ export function GameProvider({ children }) {
         pendingPowerUpTypeRef.current = null;
         return;
       }
-      const labels = { FIFTY_FIFTY: '50:50', DOUBLE_POINTS: 'Çift Puan', TIME_EXTENSION: 'Süre Uzatma' };
+      const labels = { FIFTY_FIFTY: '50:50', DOUBLE_POINTS: 'Çift Puan', TIME_EXTENSION: 'Süre Uzatma', STREAK_SHIELD: 'Seri Kalkanı', HINT: 'İpucu', FREEZE: 'Dondurma' };
       showToast.info(nickname + ' joker kullandı: ' + (labels[powerUpType] || powerUpType));
     });
     socketService.on('time_extended', ({ extraTimeMs }) => {
       try { timerRef.current.extendTimer(extraTimeMs); } catch { /* timer may be unavailable */ }
     });
     socketService.on('power_up_refund_failed', ({ powerUpType }) => {
-      const labels = { FIFTY_FIFTY: '50:50', DOUBLE_POINTS: 'Çift Puan', TIME_EXTENSION: 'Süre Uzatma' };
+      const labels = { FIFTY_FIFTY: '50:50', DOUBLE_POINTS: 'Çift Puan', TIME_EXTENSION: 'Süre Uzatma', STREAK_SHIELD: 'Seri Kalkanı', HINT: 'İpucu', FREEZE: 'Dondurma' };
       showToast.error((labels[powerUpType] || powerUpType) + ' jokeri geri alınamadı. Lütfen yöneticiye bildirin.');
     });
 
@@ -521,6 +675,10 @@ export function GameProvider({ children }) {
       showToast.warning(`${message} (${remainingSeconds}s remaining)`, 'host-conn');
     });
     socketService.on('host_returned', () => showToast.success('Host has reconnected!', 'host-conn'));
+    // First reconnect after a server restart brought the room back; the reconnect payload already restored the game
+    socketService.on('room_recovered', () => {
+      showToast.info('The server restarted. Your game has been restored where it left off.', 'room-recovered');
+    });
     socketService.on('error', ({ error, message, code }) => {
       // Skip errors with known codes handled by their own ack callbacks
       if (code === 'ANSWER_ERROR' || code === 'POWER_UP_ERROR') return;
@@ -554,10 +712,12 @@ export function GameProvider({ children }) {
 
     const updates = {};
     if (data.state && GAME_STATES[data.state]) updates.gameState = data.state;
+    if (data.scoringRules) updates.scoringRules = data.scoringRules;
     if (typeof data.score === 'number') updates.score = data.score;
     if (typeof data.streak === 'number') updates.streak = data.streak;
     if (data.powerUps) updates.powerUps = data.powerUps;
     if (Array.isArray(data.eliminatedOptions)) updates.eliminatedOptions = data.eliminatedOptions;
+    if (data.revealedHint !== undefined) updates.revealedHint = data.revealedHint;
     if (typeof data.hasAnswered === 'boolean') updates.hasAnswered = data.hasAnswered;
     if (data.lastAnswer) updates.lastAnswer = data.lastAnswer;
     if (typeof data.currentQuestionIndex === 'number') updates.currentQuestionIndex = data.currentQuestionIndex;
@@ -567,7 +727,19 @@ export function GameProvider({ children }) {
     if (typeof data.totalPlayersInPhase === 'number') updates.totalPlayersInPhase = data.totalPlayersInPhase;
     if (typeof data.connectedPlayerCount === 'number') updates.connectedPlayerCount = data.connectedPlayerCount;
     if (typeof data.correctAnswerIndex === 'number') updates.correctAnswerIndex = data.correctAnswerIndex;
+    if (Array.isArray(data.correctAnswerIndices)) updates.correctAnswerIndices = data.correctAnswerIndices;
+    if (Array.isArray(data.correctOrder)) updates.correctOrder = data.correctOrder;
+    if (Array.isArray(data.correctMatches)) updates.correctMatches = data.correctMatches;
+    if (typeof data.correctValue === 'number') updates.correctValue = data.correctValue;
+    if (typeof data.tolerance === 'number') updates.tolerance = data.tolerance;
+    if (Array.isArray(data.acceptedAnswers)) updates.acceptedAnswers = data.acceptedAnswers;
     if (data.distribution) updates.answerDistribution = data.distribution;
+    if (typeof data.correctCount === 'number') updates.correctCount = data.correctCount;
+    if (Array.isArray(data.histogram)) updates.answerHistogram = data.histogram;
+    if (Array.isArray(data.topWrongAnswers)) updates.topWrongAnswers = data.topWrongAnswers;
+    if (Array.isArray(data.wordCloud)) updates.wordCloud = data.wordCloud;
+    if (Array.isArray(data.clicks)) updates.clicks = data.clicks;
+    if (Array.isArray(data.hotspotRegions)) updates.hotspotRegions = data.hotspotRegions;
     if (data.explanation !== undefined) updates.explanation = data.explanation;
     if (data.leaderboard) updates.leaderboard = data.leaderboard;
     if (data.podium) updates.podium = data.podium;
@@ -589,6 +761,14 @@ export function GameProvider({ children }) {
     if (typeof data.teamMode === 'boolean') roomUpdates.teamMode = data.teamMode;
     if (data.teams) roomUpdates.teams = data.teams;
     if (data.lightningRound) roomUpdates.lightningRound = data.lightningRound;
+    if (data.powerUpLoadout) roomUpdates.powerUpLoadout = data.powerUpLoadout;
+    if (data.elimination) roomUpdates.elimination = data.elimination;
+    if (data.shuffle) roomUpdates.shuffle = data.shuffle;
+    if (typeof data.adaptive === 'boolean') roomUpdates.adaptive = data.adaptive;
+    if (data.capacity) roomUpdates.capacity = data.capacity;
+    if (typeof data.largeEvent === 'boolean') roomUpdates.largeEvent = data.largeEvent;
+    if (data.teamAnswers) roomUpdates.teamAnswers = data.teamAnswers;
+    if (typeof data.earnPowerUps === 'boolean') roomUpdates.earnPowerUps = data.earnPowerUps;
     if (data.role === 'host' && data.players) roomUpdates.players = data.players;
     roomRef.current.updateRoomState(roomUpdates);
   // eslint-disable-next-line react-hooks/exhaustive-deps
@@ -605,13 +785,22 @@ export function GameProvider({ children }) {
   const answerSubmittingRef = useRef(false);
   const answerPendingRef = useRef(false);
   const answerAcceptedRef = useRef(false);
-  const submitAnswer = useCallback((answerIndex) => {
-    if (room.isHost || !room.roomPin || state.hasAnswered || answerSubmittingRef.current) return Promise.reject(new Error('Cannot submit answer'));
+  // answerValue carries the typed number for NUMERIC questions (answerIndex is null then);
+  // confidence is the LOW / MEDIUM / HIGH wager, sent only when the quiz allows wagers
+  const submitAnswer = useCallback((answerIndex, answerValue, confidence) => {
+    if (room.isHost || !room.roomPin || state.hasAnswered || state.teamProposalSent || answerSubmittingRef.current) return Promise.reject(new Error('Cannot submit answer'));
     answerSubmittingRef.current = true;
     answerPendingRef.current = true;
     answerAcceptedRef.current = false;
     return socketService
-      .emitWithAck('submit_answer', { pin: room.roomPin, answerIndex }, 10000)
+      .emitWithAck('submit_answer', { pin: room.roomPin, answerIndex, answerValue, ...(confidence && { confidence }) }, 10000)
+      .then((response) => {
+        // Team answers: the answer went in as a proposal; the result arrives once the team's answer is locked in
+        if (response?.proposed) {
+          setState(prev => (prev.hasAnswered ? prev : { ...prev, teamProposalSent: true }));
+        }
+        return response;
+      })
       .catch((err) => {
         // If answer_received already arrived from the server, the answer was accepted — ignore the ack error
         if (answerAcceptedRef.current) return;
@@ -622,7 +811,7 @@ export function GameProvider({ children }) {
         answerPendingRef.current = false;
         answerAcceptedRef.current = false;
       });
-  }, [room.isHost, room.roomPin, state.hasAnswered]);
+  }, [room.isHost, room.roomPin, state.hasAnswered, state.teamProposalSent]);
 
   const powerUpPendingRef = useRef(false);
   // Track the power-up type currently being processed to avoid race with server events
@@ -726,6 +915,7 @@ export function GameProvider({ children }) {
   useEffect(() => {
     return () => {
       timerRef.current.stopTimer();
+      clearTimeout(freezeTimeoutRef.current);
       cleanupGameListeners();
       listenersSetupRef.current = false;
       lastSocketIdRef.current = null;
@@ -73,7 +73,9 @@ const clearSession = () => {
 const ROOM_EVENTS = [
   'player_joined', 'player_left', 'player_removed', 'player_kicked', 'player_banned',
   'player_returned', 'spectator_joined', 'spectator_left', 'spectator_returned',
-  'team_mode_updated', 'teams_updated', 'lightning_round_updated',
+  'team_mode_updated', 'teams_updated', 'lightning_round_updated', 'power_up_loadout_updated',
+  'elimination_updated', 'players_eliminated', 'eliminated', 'shuffle_updated',
+  'adaptive_updated', 'team_answers_updated', 'room_capacity_updated', 'large_event_updated',
   'banned_nicknames', 'nickname_unbanned',
 ];
 
@@ -95,7 +97,17 @@ const initialRoomState = {
   pendingReconnectData: null,
   teams: [],
   teamMode: false,
+  // Team answers: each team submits one answer, decided by majority vote or by its captain
+  teamAnswers: { enabled: false, rule: 'MAJORITY', discussionSeconds: 10 },
   lightningRound: { enabled: false, questionCount: 3 },
+  powerUpLoadout: { FIFTY_FIFTY: 1, DOUBLE_POINTS: 1, TIME_EXTENSION: 1, STREAK_SHIELD: 0, HINT: 0, FREEZE: 0 },
+  earnPowerUps: false,
+  elimination: { enabled: false, rule: 'WRONG_ANSWER', count: 1 },
+  shuffle: { questions: false, options: false },
+  adaptive: false,
+  // Players and spectators the room lets in, and the most players the host may allow
+  capacity: { players: 50, spectators: 10, limit: 50 },
+  largeEvent: false,
 };
 
 // Pre-populate state from localStorage so game page guards don't redirect
@@ -276,18 +288,66 @@ export function RoomProvider({ children }) {
 
     // Team mode events
     socketService.on('team_mode_updated', ({ teamMode, teams }) => {
-      setRoomState(prev => ({ ...prev, teamMode, teams }));
+      // Turning team mode off also turns team answers off
+      setRoomState(prev => ({ ...prev, teamMode, teams, ...(!teamMode && { teamAnswers: initialRoomState.teamAnswers }) }));
     });
 
     socketService.on('teams_updated', ({ teams }) => {
       setRoomState(prev => ({ ...prev, teams }));
     });
 
+    socketService.on('team_answers_updated', ({ teamAnswers }) => {
+      setRoomState(prev => ({ ...prev, teamAnswers }));
+    });
+
     // Lightning round events
     socketService.on('lightning_round_updated', ({ enabled, questionCount }) => {
       setRoomState(prev => ({ ...prev, lightningRound: { enabled, questionCount } }));
     });
 
+    // Power-up loadout events
+    socketService.on('power_up_loadout_updated', ({ loadout, earnPowerUps }) => {
+      setRoomState(prev => ({ ...prev, powerUpLoadout: loadout, earnPowerUps }));
+    });
+
+    // Elimination mode events
+    socketService.on('elimination_updated', ({ elimination }) => {
+      setRoomState(prev => ({ ...prev, elimination }));
+    });
+
+    socketService.on('shuffle_updated', ({ shuffle }) => {
+      setRoomState(prev => ({ ...prev, shuffle }));
+    });
+
+    socketService.on('adaptive_updated', ({ adaptive }) => {
+      setRoomState(prev => ({ ...prev, adaptive }));
+    });
+
+    socketService.on('room_capacity_updated', ({ capacity }) => {
+      setRoomState(prev => ({ ...prev, capacity }));
+    });
+
+    socketService.on('large_event_updated', ({ largeEvent }) => {
+      setRoomState(prev => ({ ...prev, largeEvent }));
+    });
+
+    // Knocked-out players carry on as spectators
+    socketService.on('players_eliminated', ({ players }) => {
+      const eliminatedIds = new Set(players.map(p => p.id));
+      setRoomState(prev => ({
+        ...prev,
+        players: prev.players.filter(p => !eliminatedIds.has(p.id)),
+        spectators: [...prev.spectators.filter(s => !eliminatedIds.has(s.id)), ...players],
+      }));
+      showToast.info(`${players.map(p => p.nickname).join(', ')} eliminated`);
+    });
+
+    socketService.on('eliminated', ({ spectatorId, spectatorToken }) => {
+      saveSession({ spectatorToken, role: 'spectator' });
+      setRoomState(prev => ({ ...prev, isSpectator: true, spectatorId, spectatorToken, playerToken: null }));
+      showToast.error('You have been eliminated. Keep watching as a spectator!');
+    });
+
     // Ban events
     socketService.on('banned_nicknames', ({ bannedNicknames }) => {
       setRoomState(prev => ({ ...prev, bannedNicknames }));
@@ -321,6 +381,8 @@ export function RoomProvider({ children }) {
       roomPin: response.pin, isHost: true, hostToken: response.hostToken,
       quiz: { title: response.quizTitle, questionCount: response.totalQuestions },
       players: [],
+      ...(response.capacity && { capacity: response.capacity }),
+      largeEvent: response.largeEvent === true,
     });
     return response;
   }, [isAuthenticated, connectSocket, updateRoomState, emitWithResponse]);
@@ -481,11 +543,33 @@ export function RoomProvider({ children }) {
   const removeTeam = useCallback((teamId) => hostEmit('remove_team', { teamId }), [hostEmit]);
   const assignTeam = useCallback((playerId, teamId) => hostEmit('assign_team', { playerId, teamId }), [hostEmit]);
   const shuffleTeams = useCallback(() => hostEmit('shuffle_teams'), [hostEmit]);
+  const balanceTeams = useCallback(() => hostEmit('balance_teams'), [hostEmit]);
   const swapTeamPlayers = useCallback((playerIdA, playerIdB) => hostEmit('swap_team_players', { playerIdA, playerIdB }), [hostEmit]);
+  const setTeamCaptain = useCallback((teamId, playerId) => hostEmit('set_team_captain', { teamId, playerId }), [hostEmit]);
+  const setTeamAnswers = useCallback(({ enabled, rule, discussionSeconds }) => hostEmit('set_team_answers', { enabled, rule, discussionSeconds }), [hostEmit]);
 
   // Lightning round
   const setLightningRound = useCallback((enabled, questionCount) => hostEmit('set_lightning_round', { enabled, questionCount }), [hostEmit]);
 
+  // Power-up loadout
+  const setPowerUpLoadout = useCallback((loadout, earn) => hostEmit('set_power_up_loadout', { loadout, earn }), [hostEmit]);
+
+  // Elimination mode
+  const setElimination = useCallback((enabled, rule, count) => hostEmit('set_elimination', { enabled, rule, count }), [hostEmit]);
+
+  // Per-player question and option order
+  const setShuffle = useCallback((questions, options) => hostEmit('set_shuffle', { questions, options }), [hostEmit]);
+
+  // Adaptive difficulty
+  const setAdaptive = useCallback((enabled) => hostEmit('set_adaptive', { enabled }), [hostEmit]);
+
+  // Room capacity and large-event mode
+  const setRoomCapacity = useCallback(({ players, spectators }) => hostEmit('set_room_capacity', { players, spectators }), [hostEmit]);
+  const setLargeEvent = useCallback((enabled) => hostEmit('set_large_event', { enabled }), [hostEmit]);
+
+  // Demo bots join the lobby one after another, as players
+  const fillWithBots = useCallback(({ count, accuracy }) => hostEmit('add_bots', { count, accuracy }), [hostEmit]);
+
   // Auto-reconnection
   const reconnectingRef = useRef(false);
   const needsInitialReconnect = useRef(roomState.isReconnecting);
@@ -558,8 +642,8 @@ export function RoomProvider({ children }) {
     reconnectHost, reconnectPlayer, reconnectSpectator,
     kickPlayer, banPlayer, getPlayers, getSpectators,
     unbanNickname, getBannedNicknames,
-    enableTeamMode, disableTeamMode, addTeam, removeTeam, assignTeam, shuffleTeams, swapTeamPlayers,
-    setLightningRound,
+    enableTeamMode, disableTeamMode, addTeam, removeTeam, assignTeam, shuffleTeams, balanceTeams, swapTeamPlayers, setTeamCaptain, setTeamAnswers,
+    setLightningRound, setPowerUpLoadout, setElimination, setShuffle, setAdaptive, setRoomCapacity, setLargeEvent, fillWithBots,
     resetRoom, updateRoomState,
     hostEmit, emitWithResponse,
     connectSocket,
@@ -571,8 +655,8 @@ export function RoomProvider({ children }) {
     reconnectHost, reconnectPlayer, reconnectSpectator,
     kickPlayer, banPlayer, getPlayers, getSpectators,
     unbanNickname, getBannedNicknames,
-    enableTeamMode, disableTeamMode, addTeam, removeTeam, assignTeam, shuffleTeams, swapTeamPlayers,
-    setLightningRound,
+    enableTeamMode, disableTeamMode, addTeam, removeTeam, assignTeam, shuffleTeams, balanceTeams, swapTeamPlayers, setTeamCaptain, setTeamAnswers,
+    setLightningRound, setPowerUpLoadout, setElimination, setShuffle, setAdaptive, setRoomCapacity, setLargeEvent, fillWithBots,
     resetRoom, updateRoomState,
     hostEmit, emitWithResponse,
     connectSocket,
@@ -1,6 +1,6 @@
 import { useState } from 'react';
-import { Container, Title, Stack, Card, Text, Button, Group, Badge, Table, Modal, Select, ActionIcon, Tabs, CopyButton, Tooltip, TextInput } from '@mantine/core';
-import { IconSchool, IconPlus, IconTrash, IconCopy, IconCheck, IconUsers, IconBook } from '@tabler/icons-react';
+import { Container, Title, Stack, Card, Text, Button, Group, Badge, Table, Modal, Select, ActionIcon, Tabs, CopyButton, Tooltip, TextInput, Switch } from '@mantine/core';
+import { IconSchool, IconPlus, IconTrash, IconCopy, IconCheck, IconUsers, IconBook, IconChartBar, IconLink } from '@tabler/icons-react';
 import { useQuery, useMutation, useQueryClient } from '@tanstack/react-query';
 import { useParams } from 'react-router-dom';
 import classroomService from '../services/classroomService';
@@ -14,12 +14,18 @@ export default function ClassroomDetail() {
   const [assignOpen, setAssignOpen] = useState(false);
   const [selectedQuiz, setSelectedQuiz] = useState(null);
   const [dueDate, setDueDate] = useState('');
+  const [adaptive, setAdaptive] = useState(false);
 
   const { data: classroom, isLoading } = useQuery({
     queryKey: ['classroom', id],
     queryFn: () => classroomService.getById(id),
   });
 
+  const { data: homeworkResults } = useQuery({
+    queryKey: ['classroom-results', id],
+    queryFn: () => classroomService.getResults(id),
+  });
+
   const { data: myQuizzes } = useQuery({
     queryKey: ['my-quizzes-for-assign'],
     queryFn: () => quizService.getMy(1, 100),
@@ -35,12 +41,14 @@ export default function ClassroomDetail() {
   });
 
   const assignQuizMutation = useMutation({
-    mutationFn: ({ quizId, dueDate }) => classroomService.assignQuiz(id, quizId, dueDate || null),
+    mutationFn: ({ quizId, dueDate, adaptive }) => classroomService.assignQuiz(id, quizId, dueDate || null, adaptive),
     onSuccess: () => {
       queryClient.invalidateQueries({ queryKey: ['classroom', id] });
       setAssignOpen(false);
       setSelectedQuiz(null);
       setDueDate('');
+      setAdaptive(false);
+      queryClient.invalidateQueries({ queryKey: ['classroom-results', id] });
       showToast.success('Quiz atandı');
     },
     onError: (err) => showToast.error(err.response?.data?.message || 'Atanamadı'),
@@ -50,6 +58,7 @@ export default function ClassroomDetail() {
     mutationFn: (index) => classroomService.removeAssignment(id, index),
     onSuccess: () => {
       queryClient.invalidateQueries({ queryKey: ['classroom', id] });
+      queryClient.invalidateQueries({ queryKey: ['classroom-results', id] });
       showToast.success('Ödev kaldırıldı');
     },
   });
@@ -58,6 +67,8 @@ export default function ClassroomDetail() {
   if (!classroom) return <Text>Sınıf bulunamadı</Text>;
 
   const quizOptions = (myQuizzes?.quizzes || []).map(q => ({ value: q.id, label: q.title }));
+  // Students open this link to play their homework on their own
+  const homeworkLink = `${window.location.origin}/homework?code=${classroom.joinCode}`;
 
   return (
     <Container size="lg" py="xl">
@@ -78,6 +89,15 @@ export default function ClassroomDetail() {
               </Tooltip>
             )}
           </CopyButton>
+          <CopyButton value={homeworkLink} timeout={2000}>
+            {({ copied, copy }) => (
+              <Tooltip label={copied ? 'Kopyalandı!' : 'Ödev bağlantısını kopyala'}>
+                <ActionIcon variant="subtle" onClick={copy}>
+                  {copied ? <IconCheck size={16} /> : <IconLink size={16} />}
+                </ActionIcon>
+              </Tooltip>
+            )}
+          </CopyButton>
         </Group>
       </Group>
 
@@ -91,6 +111,9 @@ export default function ClassroomDetail() {
           <Tabs.Tab value="assignments" leftSection={<IconBook size={14} />}>
             Ödevler ({classroom.assignedQuizzes?.length || 0})
           </Tabs.Tab>
+          <Tabs.Tab value="results" leftSection={<IconChartBar size={14} />}>
+            Sonuçlar
+          </Tabs.Tab>
         </Tabs.List>
 
         <Tabs.Panel value="students" pt="md">
@@ -151,7 +174,10 @@ export default function ClassroomDetail() {
                   <Table.Tbody>
                     {classroom.assignedQuizzes.map((a, i) => (
                       <Table.Tr key={i}>
-                        <Table.Td>{a.quiz?.title || 'Silinmiş Quiz'}</Table.Td>
+                        <Table.Td>
+                          {a.quiz?.title || 'Silinmiş Quiz'}
+                          {a.adaptive && <Badge ml="xs" size="xs" variant="light">Uyarlanabilir</Badge>}
+                        </Table.Td>
                         <Table.Td>{new Date(a.assignedAt).toLocaleDateString('tr-TR')}</Table.Td>
                         <Table.Td>
                           {a.dueDate ? new Date(a.dueDate).toLocaleDateString('tr-TR') : '-'}
@@ -173,6 +199,52 @@ export default function ClassroomDetail() {
             </Card>
           </Stack>
         </Tabs.Panel>
+
+        <Tabs.Panel value="results" pt="md">
+          <Stack>
+            {(!homeworkResults?.results || homeworkResults.results.length === 0) ? (
+              <Card withBorder>
+                <Text c="dimmed" ta="center" py="md">Henüz ödev atanmadı.</Text>
+              </Card>
+            ) : homeworkResults.results.map((r) => (
+              <Card withBorder key={r.assignmentId}>
+                <Group justify="space-between" mb="sm">
+                  <Text fw={600}>{r.quizTitle || 'Silinmiş Quiz'}</Text>
+                  <Badge variant="light">{r.attempts.length} / {classroom.students?.length || 0}</Badge>
+                </Group>
+                {r.attempts.length === 0 ? (
+                  <Text c="dimmed" size="sm">Henüz tamamlayan yok.</Text>
+                ) : (
+                  <Table>
+                    <Table.Thead>
+                      <Table.Tr>
+                        <Table.Th>Takma Ad</Table.Th>
+                        <Table.Th>Puan</Table.Th>
+                        <Table.Th>Doğru</Table.Th>
+                        <Table.Th>Ort. Süre</Table.Th>
+                        <Table.Th>Tamamlanma</Table.Th>
+                      </Table.Tr>
+                    </Table.Thead>
+                    <Table.Tbody>
+                      {r.attempts.map((a) => (
+                        <Table.Tr key={a.id}>
+                          <Table.Td>{a.nickname}</Table.Td>
+                          <Table.Td>{a.score}</Table.Td>
+                          <Table.Td>{a.correctAnswers} / {a.totalQuestions}</Table.Td>
+                          <Table.Td>{(a.averageResponseTime / 1000).toFixed(1)} sn</Table.Td>
+                          <Table.Td>{new Date(a.completedAt).toLocaleString('tr-TR')}</Table.Td>
+                        </Table.Tr>
+                      ))}
+                    </Table.Tbody>
+                  </Table>
+                )}
+                {r.pending.length > 0 && (
+                  <Text size="sm" c="dimmed" mt="sm">Tamamlamayanlar: {r.pending.join(', ')}</Text>
+                )}
+              </Card>
+            ))}
+          </Stack>
+        </Tabs.Panel>
       </Tabs>
 
       <Modal opened={assignOpen} onClose={() => setAssignOpen(false)} title="Quiz Ata" centered>
@@ -181,7 +253,10 @@ export default function ClassroomDetail() {
             value={selectedQuiz} onChange={setSelectedQuiz} searchable />
           <TextInput label="Son Tarih (opsiyonel)" type="date" value={dueDate}
             onChange={(e) => setDueDate(e.target.value)} />
-          <Button onClick={() => assignQuizMutation.mutate({ quizId: selectedQuiz, dueDate: dueDate || null })}
+          <Switch label="Uyarlanabilir zorluk" checked={adaptive}
+            description="Her öğrencinin sıradaki sorusu, bir önceki soruda nasıl yaptığına göre daha kolay ya da zor seçilir"
+            onChange={(e) => setAdaptive(e.currentTarget.checked)} />
+          <Button onClick={() => assignQuizMutation.mutate({ quizId: selectedQuiz, dueDate: dueDate || null, adaptive })}
             disabled={!selectedQuiz} loading={assignQuizMutation.isPending}>
             Ata
           </Button>
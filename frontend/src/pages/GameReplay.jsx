@@ -11,6 +11,7 @@ import {
 import { useQuery } from '@tanstack/react-query';
 import { useTranslation } from 'react-i18next';
 import { statsService } from '../services/statsService';
+import { isCorrectOption, answerIncludesOption, formatNumericKey, formatRecordedAnswer } from '../utils/questionTypes';
 
 function RankBadge({ rank }) {
   if (rank === 1) return <Badge color="yellow" leftSection={<IconTrophy size={12} />}>1.</Badge>;
@@ -234,6 +235,11 @@ export default function GameReplay() {
           {currentQuestion ? (
             <Stack gap="md">
               <Text size="lg" fw={500}>{currentQuestion.text}</Text>
+              {formatNumericKey(currentQuestion) && (
+                <Text size="sm" fw={600} c="green">
+                  {formatNumericKey(currentQuestion)} ✓
+                </Text>
+              )}
               <Stack gap="xs">
                 {currentQuestion.options.map((option, idx) => (
                   <Paper
@@ -242,19 +248,19 @@ export default function GameReplay() {
                     p="sm"
                     radius="sm"
                     style={{
-                      borderColor: idx === currentQuestion.correctAnswerIndex
+                      borderColor: isCorrectOption(currentQuestion, idx)
                         ? 'var(--mantine-color-green-6)' : undefined,
-                      backgroundColor: idx === currentQuestion.correctAnswerIndex
+                      backgroundColor: isCorrectOption(currentQuestion, idx)
                         ? 'var(--mantine-color-green-0)' : undefined
                     }}
                   >
                     <Group justify="space-between">
-                      <Text size="sm" fw={idx === currentQuestion.correctAnswerIndex ? 600 : 400}>
+                      <Text size="sm" fw={isCorrectOption(currentQuestion, idx) ? 600 : 400}>
                         {String.fromCharCode(65 + idx)}. {option}
-                        {idx === currentQuestion.correctAnswerIndex && ' ✓'}
+                        {isCorrectOption(currentQuestion, idx) && ' ✓'}
                       </Text>
                       <Text size="xs" c="dimmed">
-                        {currentAnswers.filter(a => a.answerIndex === idx).length} {t('stats.answered', 'answers')}
+                        {currentAnswers.filter(a => answerIncludesOption(a, idx)).length} {t('stats.answered', 'answers')}
                       </Text>
                     </Group>
                   </Paper>
@@ -309,15 +315,19 @@ export default function GameReplay() {
                       </Table.Td>
                       <Table.Td>
                         <Text size="sm">
-                          {currentQuestion && currentQuestion.options[answer.answerIndex]
-                            ? `${String.fromCharCode(65 + answer.answerIndex)}. ${currentQuestion.options[answer.answerIndex]}`
-                            : String.fromCharCode(65 + answer.answerIndex)}
+                          {formatRecordedAnswer(currentQuestion, answer)}
                         </Text>
                       </Table.Td>
                       <Table.Td>
-                        <Badge color={answer.isCorrect ? 'green' : 'red'} variant="light" size="sm">
-                          {answer.isCorrect ? t('game.correct', 'Correct') : t('game.wrong', 'Wrong')}
-                        </Badge>
+                        {answer.isPoll ? (
+                          <Badge color="gray" variant="light" size="sm">
+                            {t('game.poll', 'Poll')}
+                          </Badge>
+                        ) : (
+                          <Badge color={answer.isCorrect ? 'green' : 'red'} variant="light" size="sm">
+                            {answer.isCorrect ? t('game.correct', 'Correct') : t('game.wrong', 'Wrong')}
+                          </Badge>
+                        )}
                       </Table.Td>
                       <Table.Td>
                         <Text size="sm">{((answer.responseTimeMs || 0) / 1000).toFixed(1)}s</Text>
@@ -0,0 +1,331 @@
+import { useState, useEffect, useCallback, useRef } from 'react';
+import { useSearchParams } from 'react-router-dom';
+import {
+  Container,
+  Paper,
+  Stack,
+  Title,
+  Text,
+  TextInput,
+  Button,
+  Group,
+  Badge,
+  Center,
+  Box,
+} from '@mantine/core';
+import { IconBook, IconSend, IconPlayerPlay, IconArrowRight, IconClockOff } from '@tabler/icons-react';
+import { useTranslation } from 'react-i18next';
+import classroomService from '../services/classroomService';
+import { showToast, getErrorMessage } from '../utils/toast';
+import { WORD_CLOUD_MAX_LENGTH } from '../utils/questionTypes';
+import QuestionDisplay from '../components/game/QuestionDisplay';
+import AnswerOptions from '../components/game/AnswerOptions';
+import NumericAnswerInput from '../components/game/NumericAnswerInput';
+import TextAnswerInput from '../components/game/TextAnswerInput';
+import AnswerFeedback from '../components/game/AnswerFeedback';
+import Timer from '../components/game/Timer';
+
+const panelStyle = {
+  background: 'var(--theme-surface)',
+  border: '1px solid var(--theme-border)',
+};
+
+/**
+ * Self-paced homework: a student opens their classroom with its join code and nickname
+ * and plays the assigned quizzes on their own, without a host.
+ * The server times each question and scores the answers; the countdown here is only a display.
+ */
+export default function Homework() {
+  const { t } = useTranslation();
+  const [searchParams] = useSearchParams();
+  const [joinCode, setJoinCode] = useState(searchParams.get('code') || '');
+  const [nickname, setNickname] = useState('');
+  const [homework, setHomework] = useState(null);
+  const [assignmentId, setAssignmentId] = useState(null);
+  const [attempt, setAttempt] = useState(null);
+  const [feedback, setFeedback] = useState(null);
+  const [summary, setSummary] = useState(null);
+  const [remaining, setRemaining] = useState(0);
+  const [loading, setLoading] = useState(false);
+  const [submitting, setSubmitting] = useState(false);
+  const [selectedAnswer, setSelectedAnswer] = useState(null);
+  const [hotspotClick, setHotspotClick] = useState(null);
+  const deadlineRef = useRef(0);
+
+  const loadHomework = async (join = false) => {
+    setLoading(true);
+    try {
+      if (join) await classroomService.join(joinCode.trim(), nickname.trim());
+      setHomework(await classroomService.getHomework(joinCode.trim(), nickname.trim()));
+    } catch (error) {
+      showToast.error(getErrorMessage(error));
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  // Hands out the attempt's current question; its timer starts on the server now
+  const playQuestion = async (id) => {
+    setLoading(true);
+    try {
+      const next = await classroomService.startHomework(joinCode.trim(), homework.nickname, id);
+      deadlineRef.current = Date.now() + next.remainingMs;
+      setRemaining(Math.ceil(next.remainingMs / 1000));
+      setAssignmentId(id);
+      setAttempt(next);
+      setFeedback(null);
+      setSelectedAnswer(null);
+      setHotspotClick(null);
+    } catch (error) {
+      showToast.error(getErrorMessage(error));
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const submit = useCallback(async (answer) => {
+    if (!attempt || feedback || submitting) return;
+    setSubmitting(true);
+    try {
+      const result = await classroomService.submitHomeworkAnswer(attempt.attemptId, homework.nickname, answer);
+      setFeedback({ ...result.result, totalScore: result.score, streak: result.streak });
+      if (result.finished) setSummary(result.summary);
+    } catch (error) {
+      showToast.error(getErrorMessage(error));
+      setSelectedAnswer(null);
+    } finally {
+      setSubmitting(false);
+    }
+  }, [attempt, feedback, submitting, homework]);
+
+  // An unanswered question is sent empty when time runs out, so the attempt moves on
+  useEffect(() => {
+    if (!attempt || feedback) return undefined;
+    const interval = setInterval(() => {
+      const left = Math.max(0, Math.ceil((deadlineRef.current - Date.now()) / 1000));
+      setRemaining(left);
+      if (left === 0) {
+        clearInterval(interval);
+        submit({});
+      }
+    }, 250);
+    return () => clearInterval(interval);
+  }, [attempt, feedback, submit]);
+
+  const handleAnswerSelect = useCallback((answerIndex) => {
+    setSelectedAnswer(answerIndex);
+    submit({ answerIndex });
+  }, [submit]);
+
+  const handleValueSubmit = useCallback((answerValue) => submit({ answerValue }), [submit]);
+
+  const backToList = () => {
+    setAttempt(null);
+    setFeedback(null);
+    setSummary(null);
+    loadHomework();
+  };
+
+  const renderLogin = () => (
+    <Paper p="xl" radius="md" style={panelStyle}>
+      <Stack>
+        <Text size="sm" style={{ color: 'var(--theme-text-dim)' }}>{t('homework.subtitle')}</Text>
+        <TextInput
+          label={t('homework.joinCode')}
+          value={joinCode}
+          onChange={(e) => setJoinCode(e.target.value.toUpperCase())}
+        />
+        <TextInput
+          label={t('homework.nickname')}
+          value={nickname}
+          onChange={(e) => setNickname(e.target.value)}
+          maxLength={30}
+        />
+        <Group grow>
+          <Button onClick={() => loadHomework()} loading={loading} disabled={!joinCode.trim() || !nickname.trim()}>
+            {t('homework.showHomework')}
+          </Button>
+          <Button variant="light" onClick={() => loadHomework(true)} disabled={loading || !joinCode.trim() || !nickname.trim()}>
+            {t('homework.joinClassroom')}
+          </Button>
+        </Group>
+      </Stack>
+    </Paper>
+  );
+
+  const renderAssignments = () => (
+    <Stack>
+      <Group justify="space-between">
+        <Text fw={600} style={{ color: 'var(--theme-text)' }}>{homework.classroomName}</Text>
+        <Button variant="subtle" size="xs" onClick={() => setHomework(null)}>{t('homework.changeStudent')}</Button>
+      </Group>
+      {homework.assignments.length === 0 ? (
+        <Text ta="center" py="md" style={{ color: 'var(--theme-text-dim)' }}>{t('homework.noAssignments')}</Text>
+      ) : homework.assignments.map((assignment) => (
+        <Paper key={assignment.id} p="md" radius="md" style={panelStyle}>
+          <Group justify="space-between" wrap="nowrap">
+            <Stack gap={4}>
+              <Text fw={500} style={{ color: 'var(--theme-text)' }}>{assignment.quizTitle}</Text>
+              <Text size="xs" style={{ color: 'var(--theme-text-dim)' }}>
+                {assignment.dueDate
+                  ? t('homework.due', { date: new Date(assignment.dueDate).toLocaleDateString() })
+                  : t('homework.noDueDate')}
+              </Text>
+            </Stack>
+            {assignment.completed ? (
+              <Badge color="green">{t('homework.completed')}</Badge>
+            ) : assignment.isOverdue ? (
+              <Badge color="red">{t('homework.overdue')}</Badge>
+            ) : (
+              <Button
+                size="sm"
+                leftSection={<IconPlayerPlay size={16} />}
+                onClick={() => playQuestion(assignment.id)}
+                loading={loading}
+              >
+                {t('homework.play')}
+              </Button>
+            )}
+          </Group>
+        </Paper>
+      ))}
+    </Stack>
+  );
+
+  const renderAnswerInput = () => {
+    const { question } = attempt;
+    const answersLocked = submitting;
+    switch (question.type) {
+      case 'NUMERIC':
+        return <NumericAnswerInput unit={question.unit} onSubmit={handleValueSubmit} disabled={answersLocked} />;
+      case 'TYPE_ANSWER':
+        return <TextAnswerInput onSubmit={handleValueSubmit} disabled={answersLocked} />;
+      case 'WORD_CLOUD':
+        return (
+          <TextAnswerInput
+            onSubmit={handleValueSubmit}
+            disabled={answersLocked}
+            maxLength={WORD_CLOUD_MAX_LENGTH}
+            prompt={t('game.enterWord')}
+          />
+        );
+      case 'HOTSPOT':
+        return (
+          <Button
+            size="lg"
+            fullWidth
+            leftSection={<IconSend size={20} />}
+            onClick={() => handleValueSubmit(hotspotClick)}
+            disabled={!hotspotClick}
+            loading={submitting}
+          >
+            {hotspotClick ? t('game.submitAnswer') : t('game.tapImage')}
+          </Button>
+        );
+      default:
+        return (
+          <AnswerOptions
+            options={question.options || []}
+            onSelect={handleAnswerSelect}
+            disabled={answersLocked}
+            selectedIndex={selectedAnswer}
+            questionType={question.type}
+            matchTargets={question.matchTargets}
+          />
+        );
+    }
+  };
+
+  const renderFeedback = () => (
+    <Stack>
+      {feedback.answered ? (
+        <AnswerFeedback
+          isCorrect={feedback.isCorrect}
+          score={feedback.score}
+          streakBonus={0}
+          streak={feedback.streak}
+          totalScore={feedback.totalScore}
+          explanation={feedback.explanation}
+          isPoll={feedback.isPoll}
+        />
+      ) : (
+        <Center py="lg">
+          <Group gap="xs">
+            <IconClockOff size={24} style={{ color: 'var(--theme-secondary)' }} />
+            <Text fw={700} style={{ color: 'var(--theme-secondary)' }}>{t('homework.timeUp')}</Text>
+          </Group>
+        </Center>
+      )}
+      {summary ? (
+        <Button size="lg" onClick={() => setAttempt(null)}>{t('homework.seeResults')}</Button>
+      ) : (
+        <Button
+          size="lg"
+          rightSection={<IconArrowRight size={20} />}
+          onClick={() => playQuestion(assignmentId)}
+          loading={loading}
+        >
+          {t('homework.nextQuestion')}
+        </Button>
+      )}
+    </Stack>
+  );
+
+  const renderPlay = () => (
+    <Stack gap="lg">
+      <Paper p="md" radius="md" style={panelStyle}>
+        <Group justify="space-between" align="center" wrap="nowrap">
+          <Box style={{ flex: 1 }}>
+            <Timer remaining={remaining} total={attempt.question.timeLimit} compact />
+          </Box>
+          <Text fw={700} style={{ color: 'var(--theme-text)', fontFamily: 'var(--theme-font-display)' }}>
+            {t('homework.score', { score: feedback ? feedback.totalScore : attempt.score })}
+          </Text>
+        </Group>
+      </Paper>
+      <QuestionDisplay
+        question={attempt.question}
+        questionIndex={attempt.questionIndex}
+        totalQuestions={attempt.totalQuestions}
+        onImageClick={setHotspotClick}
+        selectedPoint={hotspotClick}
+        imageDisabled={!!feedback || submitting}
+      />
+      {feedback ? renderFeedback() : renderAnswerInput()}
+    </Stack>
+  );
+
+  const renderSummary = () => (
+    <Paper p="xl" radius="md" style={panelStyle}>
+      <Stack align="center">
+        <Title order={3} style={{ color: 'var(--theme-text)' }}>{t('homework.finishedTitle')}</Title>
+        <Text size="xl" fw={700} style={{ color: 'var(--theme-primary)' }}>
+          {t('homework.score', { score: summary.score })}
+        </Text>
+        <Text style={{ color: 'var(--theme-text-dim)' }}>
+          {t('homework.correctCount', { correct: summary.correctAnswers, total: summary.totalQuestions })}
+        </Text>
+        <Button variant="light" onClick={backToList}>{t('homework.backToList')}</Button>
+      </Stack>
+    </Paper>
+  );
+
+  const renderContent = () => {
+    if (!homework) return renderLogin();
+    if (attempt) return renderPlay();
+    if (summary) return renderSummary();
+    return renderAssignments();
+  };
+
+  return (
+    <Container size="sm" py="xl">
+      <Group mb="lg" gap="xs">
+        <IconBook size={28} style={{ color: 'var(--theme-primary)' }} />
+        <Title order={2} style={{ color: 'var(--theme-text)' }}>
+          {attempt ? attempt.quizTitle : t('homework.title')}
+        </Title>
+      </Group>
+      {renderContent()}
+    </Container>
+  );
+}
@@ -35,7 +35,9 @@ import Leaderboard from '../components/game/Leaderboard';
 import Podium from '../components/game/Podium';
 import ReactionOverlay from '../components/game/ReactionOverlay';
 import AnswerDistribution from '../components/game/AnswerDistribution';
+import WordCloud from '../components/game/WordCloud';
 import GamePausedBanner from '../components/game/GamePausedBanner';
+import MixedRoundNotice from '../components/game/MixedRoundNotice';
 import { showToast } from '../utils/toast';
 
 const OPTION_COLORS = ['var(--theme-primary)', 'var(--theme-secondary)', 'var(--theme-success)', 'var(--theme-warning)', 'var(--theme-accent)', 'var(--theme-primary)'];
@@ -56,7 +58,19 @@ export default function HostGame() {
     leaderboard,
     podium,
     answerDistribution,
+    correctCount,
     correctAnswerIndex,
+    correctAnswerIndices,
+    correctOrder,
+    correctMatches,
+    correctValue,
+    tolerance,
+    acceptedAnswers,
+    answerHistogram,
+    topWrongAnswers,
+    wordCloud,
+    clicks,
+    hotspotRegions,
     answeredCount,
     totalPlayersInPhase,
     connectedPlayerCount,
@@ -76,8 +90,12 @@ export default function HostGame() {
     spectators,
     isReconnecting,
     timerShortened,
+    shuffle,
   } = useGame();
 
+  // Shuffled questions: players answer different questions, so the shared screen shows no single question
+  const mixedRound = shuffle?.questions && totalQuestions > 1;
+
   useEffect(() => {
     if (isReconnecting) return;
     if (!isHost || !roomPin) {
@@ -178,56 +196,75 @@ export default function HostGame() {
               </Group>
             </Paper>
 
-            <QuestionDisplay
-              question={currentQuestion}
-              questionIndex={currentQuestionIndex}
-              totalQuestions={totalQuestions}
-              showImage={false}
-            />
-
-            <SimpleGrid cols={2} spacing="sm">
-              {currentQuestion?.options?.map((option, index) => {
-                const color = OPTION_COLORS[index];
-
-                return (
-                  <Paper
-                    key={index}
-                    p="md"
-                    radius="md"
-                    style={{
-                      background: 'var(--theme-surface)',
-                      border: `1px solid ${color}`,
-                    }}
-                  >
-                    <Group gap="sm">
-                      <Box
-                        style={{
-                          width: 28,
-                          height: 28,
-                          borderRadius: 6,
-                          border: `1px solid ${color}`,
-                          display: 'flex',
-                          alignItems: 'center',
-                          justifyContent: 'center',
-                        }}
-                      >
-                        <Text
-                          fw={700}
+            {mixedRound ? (
+              <MixedRoundNotice />
+            ) : (
+              <>
+                <QuestionDisplay
+                  question={currentQuestion}
+                  questionIndex={currentQuestionIndex}
+                  totalQuestions={totalQuestions}
+                  showImage={false}
+                />
+
+                {currentQuestion?.type === 'WORD_CLOUD' ? (
+                  // Word cloud submissions are shown as they come in
+                  <WordCloud words={wordCloud || []} />
+                ) : currentQuestion?.isPoll ? (
+                  // Polls have no answer to give away, so votes are shown as they come in
+                  <AnswerDistribution
+                    distribution={answerDistribution || currentQuestion.options.map(() => 0)}
+                    totalPlayers={totalPlayersInPhase || connectedPlayers.length || answeredCount}
+                    options={currentQuestion.options}
+                    isPoll
+                  />
+                ) : (
+                  <SimpleGrid cols={2} spacing="sm">
+                    {currentQuestion?.options?.map((option, index) => {
+                      const color = OPTION_COLORS[index];
+
+                      return (
+                        <Paper
+                          key={index}
+                          p="md"
+                          radius="md"
                           style={{
-                            fontFamily: 'var(--theme-font-display)',
-                            fontSize: '0.5rem',
-                            color,
+                            background: 'var(--theme-surface)',
+                            border: `1px solid ${color}`,
                           }}
                         >
-                          {String.fromCharCode(65 + index)}
-                        </Text>
-                      </Box>
-                      <Text size="sm" style={{ color: 'var(--theme-text)' }}>{option}</Text>
-                    </Group>
-                  </Paper>
-                );
-              })}
-            </SimpleGrid>
+                          <Group gap="sm">
+                            <Box
+                              style={{
+                                width: 28,
+                                height: 28,
+                                borderRadius: 6,
+                                border: `1px solid ${color}`,
+                                display: 'flex',
+                                alignItems: 'center',
+                                justifyContent: 'center',
+                              }}
+                            >
+                              <Text
+                                fw={700}
+                                style={{
+                                  fontFamily: 'var(--theme-font-display)',
+                                  fontSize: '0.5rem',
+                                  color,
+                                }}
+                              >
+                                {String.fromCharCode(65 + index)}
+                              </Text>
+                            </Box>
+                            <Text size="sm" style={{ color: 'var(--theme-text)' }}>{option}</Text>
+                          </Group>
+                        </Paper>
+                      );
+                    })}
+                  </SimpleGrid>
+                )}
+              </>
+            )}
 
             <Center>
               <Button
@@ -255,21 +292,42 @@ export default function HostGame() {
               {t('game.results')}
             </Text>
 
-            <QuestionDisplay
-              question={currentQuestion}
-              questionIndex={currentQuestionIndex}
-              totalQuestions={totalQuestions}
-              showImage={false}
-            />
-
-            <AnswerDistribution
-              distribution={answerDistribution}
-              correctAnswerIndex={correctAnswerIndex}
-              totalPlayers={totalPlayersInPhase || connectedPlayers.length || answeredCount}
-              options={currentQuestion?.options}
-            />
+            {mixedRound ? (
+              <MixedRoundNotice correctCount={correctCount} totalPlayers={totalPlayersInPhase || connectedPlayers.length || answeredCount} />
+            ) : (
+              <>
+                <QuestionDisplay
+                  question={currentQuestion}
+                  questionIndex={currentQuestionIndex}
+                  totalQuestions={totalQuestions}
+                  showImage={false}
+                />
+
+                <AnswerDistribution
+                  distribution={answerDistribution}
+                  correctAnswerIndex={correctAnswerIndex}
+                  correctAnswerIndices={correctAnswerIndices}
+                  correctOrder={correctOrder}
+                  correctMatches={correctMatches}
+                  matchTargets={currentQuestion?.matchTargets}
+                  histogram={answerHistogram}
+                  correctValue={correctValue}
+                  tolerance={tolerance}
+                  unit={currentQuestion?.unit}
+                  acceptedAnswers={acceptedAnswers}
+                  isPoll={currentQuestion?.isPoll}
+                  topWrongAnswers={topWrongAnswers}
+                  wordCloud={wordCloud}
+                  clicks={clicks}
+                  hotspotRegions={hotspotRegions}
+                  imageUrl={currentQuestion?.imageUrl}
+                  totalPlayers={totalPlayersInPhase || connectedPlayers.length || answeredCount}
+                  options={currentQuestion?.options}
+                />
+              </>
+            )}
 
-            {explanation && (
+            {explanation && !mixedRound && (
               <Alert
                 icon={<IconInfoCircle size={16} />}
                 
@@ -44,11 +44,20 @@ import {
   IconTrash,
   IconBolt,
   IconEye,
+  IconCrown,
+  IconScale,
 } from '@tabler/icons-react';
 import { useGame, GAME_STATES } from '../context/GameContext';
 import { showToast } from '../utils/toast';
 import PlayerAvatar from '../components/game/PlayerAvatar';
 import ShareButton from '../components/game/ShareButton';
+import PowerUpLoadoutSettings from '../components/game/PowerUpLoadoutSettings';
+import EliminationSettings from '../components/game/EliminationSettings';
+import ShuffleSettings from '../components/game/ShuffleSettings';
+import AdaptiveSettings from '../components/game/AdaptiveSettings';
+import TeamAnswerSettings from '../components/game/TeamAnswerSettings';
+import BotFillSettings from '../components/game/BotFillSettings';
+import CapacitySettings from '../components/game/CapacitySettings';
 
 export default function HostLobby() {
   const { t } = useTranslation();
@@ -76,15 +85,37 @@ export default function HostLobby() {
     removeTeam,
     assignTeam,
     shuffleTeams,
+    balanceTeams,
     swapTeamPlayers,
+    setTeamCaptain,
+    teamAnswers,
+    setTeamAnswers,
     lightningRound,
     setLightningRound,
+    powerUpLoadout,
+    earnPowerUps,
+    setPowerUpLoadout,
+    elimination,
+    setElimination,
+    shuffle,
+    setShuffle,
+    adaptive,
+    setAdaptive,
+    fillWithBots,
+    capacity,
+    setRoomCapacity,
+    largeEvent,
+    setLargeEvent,
     spectators,
     reconnectHost,
   } = useGame();
 
   const totalQuestions = gameTotalQuestions || quiz?.questionCount || 0;
 
+  // Balanced teams: spread between the strongest and weakest team's expected accuracy
+  const teamStrengths = teams.map((team) => team.strength).filter((strength) => strength !== null && strength !== undefined);
+  const strengthGap = teamStrengths.length >= 2 ? Math.max(...teamStrengths) - Math.min(...teamStrengths) : null;
+
   const [loading, setLoading] = useState(true);
   const [starting, setStarting] = useState(false);
   const [existingRoom, setExistingRoom] = useState(null);
@@ -94,6 +125,13 @@ export default function HostLobby() {
   const [newTeamName, setNewTeamName] = useState('');
   const [lightningEnabled, setLightningEnabled] = useState(lightningRound?.enabled || false);
   const [lightningCount, setLightningCount] = useState(lightningRound?.questionCount || 3);
+  const [loadout, setLoadout] = useState(powerUpLoadout);
+  const [earnEnabled, setEarnEnabled] = useState(earnPowerUps || false);
+  const [eliminationConfig, setEliminationConfig] = useState(elimination);
+  const [shuffleConfig, setShuffleConfig] = useState(shuffle);
+  const [adaptiveEnabled, setAdaptiveEnabled] = useState(adaptive || false);
+  const [largeEventEnabled, setLargeEventEnabled] = useState(largeEvent || false);
+  const [teamAnswerConfig, setTeamAnswerConfig] = useState(teamAnswers);
   const [swapSourceId, setSwapSourceId] = useState(null);
 
   useEffect(() => {
@@ -249,6 +287,7 @@ export default function HostLobby() {
         await enableTeamMode();
       } else {
         await disableTeamMode();
+        setTeamAnswerConfig((prev) => ({ ...prev, enabled: false }));
       }
     } catch (error) {
       showToast.error(error.message || 'Failed to change team mode');
@@ -275,6 +314,99 @@ export default function HostLobby() {
     }
   };
 
+  const handleLoadoutChange = async (next, earn = earnEnabled) => {
+    const previous = { loadout, earn: earnEnabled };
+    setLoadout(next);
+    setEarnEnabled(earn);
+    try {
+      await setPowerUpLoadout(next, earn);
+    } catch (error) {
+      showToast.error(error.message || 'Failed to update power-ups');
+      setLoadout(previous.loadout);
+      setEarnEnabled(previous.earn);
+    }
+  };
+
+  const handleEliminationChange = async (next) => {
+    const previous = eliminationConfig;
+    setEliminationConfig(next);
+    try {
+      await setElimination(next.enabled, next.rule, next.count);
+    } catch (error) {
+      showToast.error(error.message || 'Failed to update elimination mode');
+      setEliminationConfig(previous);
+    }
+  };
+
+  const handleShuffleChange = async (next) => {
+    const previous = shuffleConfig;
+    setShuffleConfig(next);
+    try {
+      await setShuffle(next.questions, next.options);
+    } catch (error) {
+      showToast.error(error.message || 'Failed to update shuffling');
+      setShuffleConfig(previous);
+    }
+  };
+
+  const handleAdaptiveChange = async (enabled) => {
+    setAdaptiveEnabled(enabled);
+    try {
+      await setAdaptive(enabled);
+    } catch (error) {
+      showToast.error(error.message || 'Failed to update adaptive difficulty');
+      setAdaptiveEnabled(!enabled);
+    }
+  };
+
+  // Rethrown so the inputs go back to the room's capacity
+  const handleCapacityChange = async (next) => {
+    try {
+      await setRoomCapacity(next);
+    } catch (error) {
+      showToast.error(error.message || 'Failed to update room capacity');
+      throw error;
+    }
+  };
+
+  const handleLargeEventChange = async (enabled) => {
+    setLargeEventEnabled(enabled);
+    try {
+      await setLargeEvent(enabled);
+    } catch (error) {
+      showToast.error(error.message || 'Failed to update large-event mode');
+      setLargeEventEnabled(!enabled);
+    }
+  };
+
+  const handleAddBots = async (options) => {
+    try {
+      const { count } = await fillWithBots(options);
+      showToast.success(t('game.botsJoining', { count }));
+    } catch (error) {
+      showToast.error(error.message || 'Failed to add bots');
+    }
+  };
+
+  const handleTeamAnswersChange = async (next) => {
+    const previous = teamAnswerConfig;
+    setTeamAnswerConfig(next);
+    try {
+      await setTeamAnswers(next);
+    } catch (error) {
+      showToast.error(error.message || 'Failed to update team answers');
+      setTeamAnswerConfig(previous);
+    }
+  };
+
+  const handleSetCaptain = async (teamId, playerId) => {
+    try {
+      await setTeamCaptain(teamId, playerId);
+    } catch (error) {
+      showToast.error(error.message || 'Failed to set team captain');
+    }
+  };
+
   const handleAddTeam = async () => {
     if (!newTeamName.trim()) {
       showToast.error(t('team.teamNameRequired'));
@@ -312,6 +444,14 @@ export default function HostLobby() {
     }
   };
 
+  const handleBalanceTeams = async () => {
+    try {
+      await balanceTeams();
+    } catch (error) {
+      showToast.error(error.message || t('team.balanceFailed'));
+    }
+  };
+
   const handleSwapClick = async (playerId) => {
     if (!swapSourceId) {
       setSwapSourceId(playerId);
@@ -648,6 +788,13 @@ export default function HostLobby() {
                           <Badge variant="light" size="sm" color="violet">
                             {t('team.players_other', { count: team.playerCount })}
                           </Badge>
+                          {team.strength !== null && team.strength !== undefined && (
+                            <Tooltip label={t('team.strengthHint')}>
+                              <Badge variant="outline" size="sm" color="gray" leftSection={<IconScale size={12} />}>
+                                {t('team.strength', { percent: team.strength })}
+                              </Badge>
+                            </Tooltip>
+                          )}
                         </Group>
                         <ActionIcon
                           variant="subtle"
@@ -664,16 +811,39 @@ export default function HostLobby() {
               )}
 
               {teams.length >= 2 && players.length > 0 && (
-                <Button
-                  leftSection={<IconArrowsShuffle size={16} />}
-                  onClick={handleShuffleTeams}
-                  variant="light"
-                  color="violet"
-                  fullWidth
-                >
-                  {t('team.shuffle')}
-                </Button>
+                <Group grow gap="sm">
+                  <Button
+                    leftSection={<IconArrowsShuffle size={16} />}
+                    onClick={handleShuffleTeams}
+                    variant="light"
+                    color="violet"
+                  >
+                    {t('team.shuffle')}
+                  </Button>
+                  <Tooltip label={t('team.balanceHint')}>
+                    <Button
+                      leftSection={<IconScale size={16} />}
+                      onClick={handleBalanceTeams}
+                      variant="light"
+                      color="violet"
+                    >
+                      {t('team.balance')}
+                    </Button>
+                  </Tooltip>
+                </Group>
+              )}
+
+              {strengthGap !== null && (
+                <Text ta="center" size="xs" style={{ color: 'var(--theme-text-dim)' }}>
+                  {t('team.strengthGap', { points: strengthGap })}
+                </Text>
               )}
+
+              <TeamAnswerSettings
+                value={teamAnswerConfig}
+                onChange={handleTeamAnswersChange}
+                disabled={shuffleConfig.questions}
+              />
             </Stack>
           </Paper>
         )}
@@ -723,6 +893,34 @@ export default function HostLobby() {
           </Stack>
         </Paper>
 
+        {/* Elimination mode */}
+        <EliminationSettings value={eliminationConfig} onChange={handleEliminationChange} />
+
+        {/* Per-player shuffling */}
+        <ShuffleSettings value={shuffleConfig} onChange={handleShuffleChange} />
+
+        {/* Adaptive difficulty */}
+        <AdaptiveSettings value={adaptiveEnabled} onChange={handleAdaptiveChange} disabled={shuffleConfig.questions} />
+
+        {/* Power-up loadout */}
+        <PowerUpLoadoutSettings
+          value={loadout}
+          onChange={handleLoadoutChange}
+          earn={earnEnabled}
+          onEarnChange={(earn) => handleLoadoutChange(loadout, earn)}
+        />
+
+        {/* Room capacity */}
+        <CapacitySettings
+          value={capacity}
+          onChange={handleCapacityChange}
+          largeEvent={largeEventEnabled}
+          onLargeEventChange={handleLargeEventChange}
+        />
+
+        {/* Demo bots */}
+        <BotFillSettings max={capacity.players} onAdd={handleAddBots} />
+
         {/* Players List */}
         <Stack gap="sm">
           <Text
@@ -734,7 +932,7 @@ export default function HostLobby() {
               textShadow: 'var(--theme-glow-primary)',
             }}
           >
-            {t('game.players')} ({players.length})
+            {t('game.players')} ({players.length}/{capacity.players})
           </Text>
 
           {players.length === 0 ? (
@@ -769,6 +967,10 @@ export default function HostLobby() {
                   ? teams.find((t) => t.playerIds?.includes(player.id))
                   : null;
 
+                const isCaptain = playerTeam
+                  ? (playerTeam.captainId || playerTeam.playerIds?.[0]) === player.id
+                  : false;
+
                 const isSwapSource = swapSourceId === player.id;
                 const isSwapTarget = swapSourceId && !isSwapSource && teamMode && playerTeam;
 
@@ -857,6 +1059,21 @@ export default function HostLobby() {
                               },
                             }}
                           />
+                          {playerTeam && teamAnswerConfig.enabled && (
+                            <Tooltip label={isCaptain ? t('team.captain') : t('team.makeCaptain')}>
+                              <ActionIcon
+                                variant={isCaptain ? 'filled' : 'subtle'}
+                                color="violet"
+                                size="sm"
+                                onClick={(e) => {
+                                  e.stopPropagation();
+                                  if (!isCaptain) handleSetCaptain(playerTeam.id, player.id);
+                                }}
+                              >
+                                <IconCrown size={14} />
+                              </ActionIcon>
+                            </Tooltip>
+                          )}
                           {playerTeam && (
                             <Tooltip label={isSwapSource ? t('team.swapCancel') : t('team.swapSelect')}>
                               <ActionIcon
@@ -6,6 +6,7 @@ import { IconPlus, IconDotsVertical, IconEdit, IconTrash, IconEye, IconPlayerPla
 import { useTranslation } from 'react-i18next';
 import { quizService } from '../services/quizService';
 import { showToast } from '../utils/toast';
+import { getReviewOptions } from '../utils/questionTypes';
 
 /**
  * Extract normalized import data from various JSON formats
@@ -156,15 +157,15 @@ export default function MyQuizzes() {
                         {i + 1}. {q.text}
                       </Text>
                       <Group gap={4} wrap="wrap">
-                        {q.options?.map((opt, j) => (
+                        {getReviewOptions(q).map(({ option, index, label, isCorrect }) => (
                           <Badge
-                            key={j}
+                            key={index}
                             size="sm"
-                            variant={j === q.correctAnswerIndex ? 'filled' : 'light'}
-                            color={j === q.correctAnswerIndex ? 'green' : 'gray'}
-                            leftSection={j === q.correctAnswerIndex ? <IconCheck size={10} /> : null}
+                            variant={isCorrect ? 'filled' : 'light'}
+                            color={isCorrect ? 'green' : 'gray'}
+                            leftSection={isCorrect ? <IconCheck size={10} /> : null}
                           >
-                            {opt}
+                            {q.correctOrder ? `${label}. ${option}` : option}
                           </Badge>
                         ))}
                       </Group>
@@ -13,13 +13,16 @@ import {
   Alert,
 } from '@mantine/core';
 import { useMediaQuery } from '@mantine/hooks';
-import { IconDoorExit, IconCheck, IconX, IconInfoCircle } from '@tabler/icons-react';
+import { IconDoorExit, IconCheck, IconX, IconInfoCircle, IconSend, IconBulb } from '@tabler/icons-react';
 import { useTranslation } from 'react-i18next';
 import { useGame, GAME_STATES } from '../context/GameContext';
 import Timer from '../components/game/Timer';
 import QuestionDisplay from '../components/game/QuestionDisplay';
 import AnswerOptions from '../components/game/AnswerOptions';
+import NumericAnswerInput from '../components/game/NumericAnswerInput';
+import TextAnswerInput from '../components/game/TextAnswerInput';
 import AnswerFeedback from '../components/game/AnswerFeedback';
+import ConfidencePicker from '../components/game/ConfidencePicker';
 import Leaderboard from '../components/game/Leaderboard';
 import Podium from '../components/game/Podium';
 import PlayerWaiting from '../components/game/PlayerWaiting';
@@ -28,7 +31,9 @@ import ReactionPicker from '../components/game/ReactionPicker';
 import PowerUpBar from '../components/game/PowerUpBar';
 import AnswerDistribution from '../components/game/AnswerDistribution';
 import GamePausedBanner from '../components/game/GamePausedBanner';
+import TeamProposals from '../components/game/TeamProposals';
 import { showToast } from '../utils/toast';
+import { WORD_CLOUD_MAX_LENGTH } from '../utils/questionTypes';
 import { fireCorrectAnswer, fireStreakConfetti } from '../utils/confetti';
 
 export default function PlayerGame() {
@@ -38,6 +43,7 @@ export default function PlayerGame() {
   const {
     roomPin,
     isHost,
+    isSpectator,
     gameState,
     players,
     playerId,
@@ -53,6 +59,16 @@ export default function PlayerGame() {
     leaderboard,
     podium,
     correctAnswerIndex,
+    correctAnswerIndices,
+    correctOrder,
+    correctMatches,
+    correctValue,
+    tolerance,
+    acceptedAnswers,
+    answerHistogram,
+    wordCloud,
+    clicks,
+    hotspotRegions,
     answerDistribution,
     answeredCount,
     hasAnswered,
@@ -63,18 +79,37 @@ export default function PlayerGame() {
     teamLeaderboard,
     teamPodium,
     eliminatedOptions,
+    revealedHint,
+    answersFrozen,
     isLightning,
     isReconnecting,
+    scoringRules,
+    teamAnswers,
+    teamProposals,
+    teamProposalSent,
+    teamCaptainId,
   } = useGame();
 
   const [selectedAnswer, setSelectedAnswer] = useState(null);
+  const [hotspotClick, setHotspotClick] = useState(null);
+  const [confidence, setConfidence] = useState('MEDIUM');
   const [submitting, setSubmitting] = useState(false);
   const [showScorePop, setShowScorePop] = useState(false);
 
   useEffect(() => {
     setSelectedAnswer(null);
+    setHotspotClick(null);
+    setConfidence('MEDIUM');
   }, [currentQuestionIndex]);
 
+  // The wager only goes along when the quiz allows wagers; polls are never wagered on
+  const wagersEnabled = !!scoringRules?.confidenceWagers && !currentQuestion?.isPoll;
+  const wager = wagersEnabled ? confidence : null;
+  // An opponent's FREEZE locks answering as if a submit were in flight, and so does a proposal
+  // already made while the team is still deciding
+  const answersLocked = submitting || answersFrozen || teamProposalSent;
+  const teamAnswering = teamMode && !!teamAnswers?.enabled;
+
   useEffect(() => {
     if (isReconnecting) return;
     if (!roomPin || isHost) {
@@ -82,6 +117,11 @@ export default function PlayerGame() {
     }
   }, [roomPin, isHost, isReconnecting, navigate]);
 
+  // Elimination mode: a knocked-out player watches the rest of the game
+  useEffect(() => {
+    if (isSpectator) navigate('/spectate');
+  }, [isSpectator, navigate]);
+
   // Confetti on correct answer
   useEffect(() => {
     if (lastAnswer?.isCorrect && gameState === GAME_STATES.SHOW_RESULTS) {
@@ -96,20 +136,35 @@ export default function PlayerGame() {
   // re-render (which happens frequently during ANSWERING_PHASE as the players
   // array churns on disconnect/reconnect events).
   const handleAnswerSelect = useCallback(async (answerIndex) => {
-    if (hasAnswered || submitting) return;
+    if (hasAnswered || answersLocked) return;
 
     setSelectedAnswer(answerIndex);
     setSubmitting(true);
 
     try {
-      await submitAnswer(answerIndex);
+      await submitAnswer(answerIndex, undefined, wager);
     } catch (error) {
       showToast.error(error.message);
       setSelectedAnswer(null);
     } finally {
       setSubmitting(false);
     }
-  }, [hasAnswered, submitting, submitAnswer]);
+  }, [hasAnswered, answersLocked, submitAnswer, wager]);
+
+  // NUMERIC, TYPE_ANSWER, WORD_CLOUD and HOTSPOT questions send the typed value or clicked point
+  // instead of an option index
+  const handleValueSubmit = useCallback(async (value) => {
+    if (hasAnswered || answersLocked) return;
+
+    setSubmitting(true);
+    try {
+      await submitAnswer(null, value, wager);
+    } catch (error) {
+      showToast.error(error.message);
+    } finally {
+      setSubmitting(false);
+    }
+  }, [hasAnswered, answersLocked, submitAnswer, wager]);
 
   const handleLeave = () => {
     leaveRoom();
@@ -213,9 +268,43 @@ export default function PlayerGame() {
               questionIndex={currentQuestionIndex}
               totalQuestions={totalQuestions}
               isLightning={isLightning}
+              onImageClick={setHotspotClick}
+              selectedPoint={hotspotClick}
+              imageDisabled={hasAnswered || answersLocked}
             />
 
-            {!hasAnswered && <PowerUpBar />}
+            {!hasAnswered && !currentQuestion?.isPoll && <PowerUpBar />}
+
+            {!hasAnswered && revealedHint && (
+              <Alert color="yellow" variant="light" icon={<IconBulb size={18} />} title={t('game.hint')}>
+                {revealedHint}
+              </Alert>
+            )}
+
+            {!hasAnswered && answersFrozen && (
+              <Text ta="center" fw={700} className="anim-pulse" style={{ color: 'var(--theme-secondary)' }}>
+                {'\u2744\uFE0F'} {t('game.answersFrozen')}
+              </Text>
+            )}
+
+            {!hasAnswered && !currentQuestion?.isPoll && (wagersEnabled || scoringRules?.wrongAnswerPenalty > 0) && (
+              <ConfidencePicker
+                value={confidence}
+                onChange={setConfidence}
+                showWagers={wagersEnabled}
+                wrongAnswerPenalty={scoringRules?.wrongAnswerPenalty}
+                disabled={submitting}
+              />
+            )}
+
+            {!hasAnswered && teamAnswering && (
+              <TeamProposals
+                proposals={teamProposals}
+                options={currentQuestion?.options || []}
+                captainId={teamCaptainId}
+                waiting={teamProposalSent}
+              />
+            )}
 
             {hasAnswered ? (
               <AnswerFeedback
@@ -225,14 +314,44 @@ export default function PlayerGame() {
                 streak={streak}
                 totalScore={score}
                 explanation={explanation}
+                isPoll={currentQuestion?.isPoll}
+                streakShielded={lastAnswer?.streakShielded}
+              />
+            ) : currentQuestion?.type === 'NUMERIC' ? (
+              <NumericAnswerInput
+                unit={currentQuestion?.unit}
+                onSubmit={handleValueSubmit}
+                disabled={answersLocked}
               />
+            ) : currentQuestion?.type === 'TYPE_ANSWER' ? (
+              <TextAnswerInput onSubmit={handleValueSubmit} disabled={answersLocked} />
+            ) : currentQuestion?.type === 'WORD_CLOUD' ? (
+              <TextAnswerInput
+                onSubmit={handleValueSubmit}
+                disabled={answersLocked}
+                maxLength={WORD_CLOUD_MAX_LENGTH}
+                prompt={t('game.enterWord')}
+              />
+            ) : currentQuestion?.type === 'HOTSPOT' ? (
+              <Button
+                size="lg"
+                fullWidth
+                leftSection={<IconSend size={20} />}
+                onClick={() => handleValueSubmit(hotspotClick)}
+                disabled={!hotspotClick || answersFrozen}
+                loading={submitting}
+              >
+                {hotspotClick ? t('game.submitAnswer') : t('game.tapImage')}
+              </Button>
             ) : (
               <AnswerOptions
                 options={currentQuestion?.options || []}
                 onSelect={handleAnswerSelect}
-                disabled={submitting}
+                disabled={answersLocked}
                 selectedIndex={selectedAnswer}
                 eliminatedOptions={eliminatedOptions}
+                questionType={currentQuestion?.type}
+                matchTargets={currentQuestion?.matchTargets}
               />
             )}
           </Stack>
@@ -241,7 +360,7 @@ export default function PlayerGame() {
       case GAME_STATES.SHOW_RESULTS:
         return (
           <Stack gap="lg" className="fade-slide-in">
-            {lastAnswer && (
+            {lastAnswer && !currentQuestion?.isPoll && (
               <Paper
                 p="lg"
                 radius="md"
@@ -294,7 +413,7 @@ export default function PlayerGame() {
                         color: lastAnswer.isCorrect ? 'var(--theme-warning)' : 'var(--theme-text-dim)',
                       }}
                     >
-                      +{lastAnswer.isCorrect ? lastAnswer.score : 0} {t('game.pts')}
+                      {lastAnswer.score < 0 ? lastAnswer.score : `+${lastAnswer.isCorrect ? lastAnswer.score : 0}`} {t('game.pts')}
                     </Text>
                   </Stack>
                 </Group>
@@ -306,11 +425,26 @@ export default function PlayerGame() {
               questionIndex={currentQuestionIndex}
               totalQuestions={totalQuestions}
               isLightning={isLightning}
+              showImage={currentQuestion?.type !== 'HOTSPOT'}
             />
 
             <AnswerDistribution
               distribution={answerDistribution}
               correctAnswerIndex={correctAnswerIndex}
+              correctAnswerIndices={correctAnswerIndices}
+              correctOrder={correctOrder}
+              correctMatches={correctMatches}
+              matchTargets={currentQuestion?.matchTargets}
+              histogram={answerHistogram}
+              correctValue={correctValue}
+              tolerance={tolerance}
+              unit={currentQuestion?.unit}
+              acceptedAnswers={acceptedAnswers}
+              wordCloud={wordCloud}
+              clicks={clicks}
+              hotspotRegions={hotspotRegions}
+              imageUrl={currentQuestion?.imageUrl}
+              isPoll={currentQuestion?.isPoll}
               totalPlayers={answeredCount || players.length}
               options={currentQuestion?.options}
             />
@@ -6,6 +6,7 @@ import { useTranslation } from 'react-i18next';
 import { quizService } from '../services/quizService';
 import { useAuth } from '../context/AuthContext';
 import { showToast } from '../utils/toast';
+import { getReviewOptions } from '../utils/questionTypes';
 import StarRating from '../components/StarRating';
 
 export default function QuizDetail() {
@@ -266,15 +267,15 @@ export default function QuizDetail() {
                   </Group>
 
                   <Stack gap={4}>
-                    {question.options.map((option, optIndex) => (
+                    {getReviewOptions(question).map(({ option, index, label, isCorrect }) => (
                       <Text
-                        key={optIndex}
+                        key={index}
                         size="sm"
-                        c={optIndex === question.correctAnswerIndex ? 'green' : 'dimmed'}
-                        fw={optIndex === question.correctAnswerIndex ? 500 : 400}
+                        c={isCorrect ? 'green' : 'dimmed'}
+                        fw={isCorrect ? 500 : 400}
                       >
-                        {String.fromCharCode(65 + optIndex)}. {option}
-                        {optIndex === question.correctAnswerIndex && ' ✓'}
+                        {label && `${label}. `}{option}
+                        {isCorrect && ' ✓'}
                       </Text>
                     ))}
                   </Stack>
@@ -8,8 +8,18 @@ import { IconPlus, IconEdit, IconTrash, IconArrowLeft, IconGripVertical } from '
 import { useTranslation } from 'react-i18next';
 import { quizService } from '../services/quizService';
 import { showToast } from '../utils/toast';
-import { quizTitleValidation, quizDescriptionValidation, QUIZ_CATEGORIES, quizTagsValidation } from '../constants/validation';
+import {
+  quizTitleValidation,
+  quizDescriptionValidation,
+  QUIZ_CATEGORIES,
+  quizTagsValidation,
+  MAX_PLAYED_QUESTIONS,
+  MAX_BANK_QUESTIONS,
+  countPlayedQuestions,
+} from '../constants/validation';
 import QuestionForm from '../components/QuestionForm';
+import ScoringProfileSettings from '../components/ScoringProfileSettings';
+import QuestionPoolSettings from '../components/QuestionPoolSettings';
 
 export default function QuizEdit() {
   const { t } = useTranslation();
@@ -37,6 +47,8 @@ export default function QuizEdit() {
       isPublic: quiz?.isPublic || false,
       category: quiz?.category || 'Diğer',
       tags: quiz?.tags || [],
+      scoringProfile: quiz?.scoringProfile || { preset: 'STANDARD' },
+      questionPools: quiz?.questionPools || [],
     },
     validate: {
       title: quizTitleValidation,
@@ -54,6 +66,8 @@ export default function QuizEdit() {
         isPublic: quiz.isPublic || false,
         category: quiz.category || 'Diğer',
         tags: quiz.tags || [],
+        scoringProfile: quiz.scoringProfile || { preset: 'STANDARD' },
+        questionPools: quiz.questionPools || [],
       });
     }
     // eslint-disable-next-line react-hooks/exhaustive-deps
@@ -71,7 +85,8 @@ export default function QuizEdit() {
   const deleteQuestionMutation = useMutation({
     mutationFn: (questionId) => quizService.deleteQuestion(id, questionId),
     onSuccess: () => {
-      queryClient.invalidateQueries({ queryKey: ['quiz', id, 'questions'] });
+      // The server also takes the question out of its pool, so the quiz is refetched with the questions
+      queryClient.invalidateQueries({ queryKey: ['quiz', id] });
       showToast.success('Question deleted');
     },
   });
@@ -98,6 +113,16 @@ export default function QuizEdit() {
     queryClient.invalidateQueries({ queryKey: ['quiz', id, 'questions'] });
   };
 
+  // New questions join no pool, so they count against the questions played per game
+  const playedCount = countPlayedQuestions(questions.length, quiz?.questionPools);
+  const canAddQuestion = questions.length < MAX_BANK_QUESTIONS && playedCount < MAX_PLAYED_QUESTIONS;
+
+  const handleSubmit = (values) => updateMutation.mutate({
+    ...values,
+    // A pool without questions has nothing to draw from
+    questionPools: values.questionPools.filter((pool) => pool.questionIds.length > 0),
+  });
+
   if (isLoading) {
     return (
       <Center py="xl" mt={100}>
@@ -118,7 +143,7 @@ export default function QuizEdit() {
       {/* Quiz Settings */}
       <Paper withBorder shadow="md" p={30} radius="md" mb="lg">
         <Title order={4} mb="md">Quiz Settings</Title>
-        <form onSubmit={form.onSubmit((values) => updateMutation.mutate(values))}>
+        <form onSubmit={form.onSubmit(handleSubmit)}>
           <Stack>
             <TextInput
               label={t('quiz.title')}
@@ -148,6 +173,17 @@ export default function QuizEdit() {
               {...form.getInputProps('tags')}
             />
 
+            <ScoringProfileSettings
+              value={form.values.scoringProfile}
+              onChange={(profile) => form.setFieldValue('scoringProfile', profile)}
+            />
+
+            <QuestionPoolSettings
+              value={form.values.questionPools}
+              onChange={(pools) => form.setFieldValue('questionPools', pools)}
+              questions={questions}
+            />
+
             <Switch
               label={t('quiz.makePublic')}
               description={t('quiz.makePublicDesc')}
@@ -163,11 +199,11 @@ export default function QuizEdit() {
 
       {/* Questions */}
       <Group justify="space-between" mb="md">
-        <Title order={3}>{t('quiz.questions')} ({questions.length}/50)</Title>
+        <Title order={3}>{t('quiz.questions')} ({questions.length}/{MAX_BANK_QUESTIONS})</Title>
         <Button
           leftSection={<IconPlus size={16} />}
           onClick={handleAddQuestion}
-          disabled={questions.length >= 50}
+          disabled={!canAddQuestion}
         >
           {t('quiz.addQuestion')}
         </Button>
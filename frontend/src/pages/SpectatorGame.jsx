@@ -25,7 +25,9 @@ import Podium from '../components/game/Podium';
 import ReactionOverlay from '../components/game/ReactionOverlay';
 import ReactionPicker from '../components/game/ReactionPicker';
 import AnswerDistribution from '../components/game/AnswerDistribution';
+import WordCloud from '../components/game/WordCloud';
 import GamePausedBanner from '../components/game/GamePausedBanner';
+import MixedRoundNotice from '../components/game/MixedRoundNotice';
 
 const OPTION_COLORS = ['var(--theme-primary)', 'var(--theme-secondary)', 'var(--theme-success)', 'var(--theme-warning)', 'var(--theme-accent)', 'var(--theme-primary)'];
 
@@ -46,7 +48,18 @@ export default function SpectatorGame() {
     leaderboard,
     podium,
     correctAnswerIndex,
+    correctAnswerIndices,
+    correctOrder,
+    correctMatches,
+    correctValue,
+    tolerance,
+    acceptedAnswers,
+    answerHistogram,
     answerDistribution,
+    correctCount,
+    wordCloud,
+    clicks,
+    hotspotRegions,
     answeredCount,
     totalPlayersInPhase,
     connectedPlayerCount,
@@ -57,8 +70,12 @@ export default function SpectatorGame() {
     teamPodium,
     isLightning,
     isReconnecting,
+    shuffle,
   } = useGame();
 
+  // Shuffled questions: players answer different questions, so there is no single question to watch
+  const mixedRound = shuffle?.questions && totalQuestions > 1;
+
   useEffect(() => {
     if (isReconnecting) return;
     if (!roomPin || !isSpectator) {
@@ -251,55 +268,63 @@ export default function SpectatorGame() {
               </Group>
             </Paper>
 
-            <QuestionDisplay
-              question={currentQuestion}
-              questionIndex={currentQuestionIndex}
-              totalQuestions={totalQuestions}
-              isLightning={isLightning}
-            />
+            {mixedRound ? (
+              <MixedRoundNotice />
+            ) : (
+              <>
+                <QuestionDisplay
+                  question={currentQuestion}
+                  questionIndex={currentQuestionIndex}
+                  totalQuestions={totalQuestions}
+                  isLightning={isLightning}
+                />
 
-            <SimpleGrid cols={{ base: 2, sm: 2 }} spacing="sm">
-              {currentQuestion?.options?.map((option, index) => {
-                const color = OPTION_COLORS[index];
-                return (
-                  <Paper
-                    key={index}
-                    p="md"
-                    radius="md"
-                    style={{
-                      background: 'var(--theme-surface)',
-                      border: `1px solid ${color}`,
-                    }}
-                  >
-                    <Group gap="sm">
-                      <Box
+                {currentQuestion?.type === 'WORD_CLOUD' && <WordCloud words={wordCloud || []} />}
+
+                <SimpleGrid cols={{ base: 2, sm: 2 }} spacing="sm">
+                  {currentQuestion?.options?.map((option, index) => {
+                    const color = OPTION_COLORS[index];
+                    return (
+                      <Paper
+                        key={index}
+                        p="md"
+                        radius="md"
                         style={{
-                          width: 28,
-                          height: 28,
-                          borderRadius: 6,
+                          background: 'var(--theme-surface)',
                           border: `1px solid ${color}`,
-                          display: 'flex',
-                          alignItems: 'center',
-                          justifyContent: 'center',
                         }}
                       >
-                        <Text
-                          fw={700}
-                          style={{
-                            fontFamily: 'var(--theme-font-display)',
-                            fontSize: '0.5rem',
-                            color,
-                          }}
-                        >
-                          {String.fromCharCode(65 + index)}
-                        </Text>
-                      </Box>
-                      <Text size="sm" style={{ color: 'var(--theme-text)', flex: 1 }}>{option}</Text>
-                    </Group>
-                  </Paper>
-                );
-              })}
-            </SimpleGrid>
+                        <Group gap="sm">
+                          <Box
+                            style={{
+                              width: 28,
+                              height: 28,
+                              borderRadius: 6,
+                              border: `1px solid ${color}`,
+                              display: 'flex',
+                              alignItems: 'center',
+                              justifyContent: 'center',
+                            }}
+                          >
+                            <Text
+                              fw={700}
+                              style={{
+                                fontFamily: 'var(--theme-font-display)',
+                                fontSize: '0.5rem',
+                                color,
+                              }}
+                            >
+                              {String.fromCharCode(65 + index)}
+                            </Text>
+                          </Box>
+                          <Text size="sm" style={{ color: 'var(--theme-text)', flex: 1 }}>{option}</Text>
+                        </Group>
+                      </Paper>
+                    );
+                  })}
+                </SimpleGrid>
+              </>
+            )}
 
             <Center>
               <Badge
@@ -323,21 +348,42 @@ export default function SpectatorGame() {
       case GAME_STATES.SHOW_RESULTS:
         return (
           <Stack gap="xl" className="fade-slide-in">
-            <QuestionDisplay
-              question={currentQuestion}
-              questionIndex={currentQuestionIndex}
-              totalQuestions={totalQuestions}
-              isLightning={isLightning}
-            />
+            {mixedRound ? (
+              <MixedRoundNotice correctCount={correctCount} totalPlayers={totalPlayersInPhase || connectedPlayers.length || answeredCount} />
+            ) : (
+              <>
+                <QuestionDisplay
+                  question={currentQuestion}
+                  questionIndex={currentQuestionIndex}
+                  totalQuestions={totalQuestions}
+                  isLightning={isLightning}
+                  showImage={currentQuestion?.type !== 'HOTSPOT'}
+                />
 
-            <AnswerDistribution
-              distribution={answerDistribution}
-              correctAnswerIndex={correctAnswerIndex}
-              totalPlayers={totalPlayersInPhase || connectedPlayers.length || answeredCount}
-              options={currentQuestion?.options}
-            />
+                <AnswerDistribution
+                  distribution={answerDistribution}
+                  correctAnswerIndex={correctAnswerIndex}
+                  correctAnswerIndices={correctAnswerIndices}
+                  correctOrder={correctOrder}
+                  correctMatches={correctMatches}
+                  matchTargets={currentQuestion?.matchTargets}
+                  histogram={answerHistogram}
+                  correctValue={correctValue}
+                  tolerance={tolerance}
+                  unit={currentQuestion?.unit}
+                  acceptedAnswers={acceptedAnswers}
+                  wordCloud={wordCloud}
+                  clicks={clicks}
+                  hotspotRegions={hotspotRegions}
+                  imageUrl={currentQuestion?.imageUrl}
+                  isPoll={currentQuestion?.isPoll}
+                  totalPlayers={totalPlayersInPhase || connectedPlayers.length || answeredCount}
+                  options={currentQuestion?.options}
+                />
+              </>
+            )}
 
-            {explanation && (
+            {explanation && !mixedRound && (
               <Alert
                 icon={<IconInfoCircle size={16} />}
                 
@@ -35,6 +35,7 @@ const TournamentDetail = lazy(() => import('../pages/TournamentDetail'));
 
 const Classrooms = lazy(() => import('../pages/Classrooms'));
 const ClassroomDetail = lazy(() => import('../pages/ClassroomDetail'));
+const Homework = lazy(() => import('../pages/Homework'));
 
 function PageLoader() {
   return (
@@ -81,6 +82,7 @@ export default function AppRoutes() {
         {/* Classroom Routes */}
         <Route path="/classrooms" element={<ProtectedRoute><Classrooms /></ProtectedRoute>} />
         <Route path="/classrooms/:id" element={<ProtectedRoute><ClassroomDetail /></ProtectedRoute>} />
+        <Route path="/homework" element={<Homework />} />
 
         {/* Game Routes */}
         <Route path="/join" element={<JoinGame />} />
@@ -5,9 +5,16 @@ const classroomService = {
   getMyClassrooms: () => api.get('/classrooms/my').then(r => r.data),
   getById: (id) => api.get(`/classrooms/${id}`).then(r => r.data),
   removeStudent: (id, nickname) => api.delete(`/classrooms/${id}/students/${encodeURIComponent(nickname)}`).then(r => r.data),
-  assignQuiz: (id, quizId, dueDate) => api.post(`/classrooms/${id}/assign`, { quizId, dueDate }).then(r => r.data),
+  assignQuiz: (id, quizId, dueDate, adaptive = false) => api.post(`/classrooms/${id}/assign`, { quizId, dueDate, adaptive }).then(r => r.data),
   removeAssignment: (id, index) => api.delete(`/classrooms/${id}/assign/${index}`).then(r => r.data),
   delete: (id) => api.delete(`/classrooms/${id}`).then(r => r.data),
+  getResults: (id) => api.get(`/classrooms/${id}/results`).then(r => r.data),
+  // Students play homework with the classroom's join code and their nickname, without an account
+  join: (joinCode, nickname) => api.post('/classrooms/join', { joinCode, nickname }).then(r => r.data),
+  getHomework: (joinCode, nickname) => api.post('/classrooms/homework', { joinCode, nickname }).then(r => r.data),
+  startHomework: (joinCode, nickname, assignmentId) => api.post('/classrooms/homework/start', { joinCode, nickname, assignmentId }).then(r => r.data),
+  submitHomeworkAnswer: (attemptId, nickname, { answerIndex = null, answerValue = null } = {}) =>
+    api.post(`/classrooms/homework/attempts/${attemptId}/answer`, { nickname, answerIndex, answerValue }).then(r => r.data),
 };
 
 export default classroomService;
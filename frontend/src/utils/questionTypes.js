@@ -0,0 +1,123 @@
+// Longest WORD_CLOUD submission the server accepts
+export const WORD_CLOUD_MAX_LENGTH = 30;
+
+/**
+ * Whether an option is (part of) the correct answer.
+ * MULTI_SELECT questions carry correctAnswerIndices instead of a single index.
+ */
+export function isCorrectOption(question, index) {
+  if (!question) return false;
+  if (Array.isArray(question.correctAnswerIndices)) {
+    return question.correctAnswerIndices.includes(index);
+  }
+  return index === question.correctAnswerIndex;
+}
+
+/**
+ * Whether a recorded answer picked the given option.
+ * Archived multi-select answers store their picks in answerIndices.
+ */
+export function answerIncludesOption(answer, index) {
+  if (Array.isArray(answer.answerIndices) && answer.answerIndices.length > 0) {
+    return answer.answerIndices.includes(index);
+  }
+  return answer.answerIndex === index;
+}
+
+const formatNumber = (value) => value.toLocaleString(undefined, { maximumFractionDigits: 6 });
+
+/**
+ * NUMERIC answer key as text, e.g. "1071 ± 2 AD".
+ * Returns null when the key is not available (sanitized quizzes hide it).
+ */
+export function formatNumericKey(question) {
+  if (typeof question?.correctValue !== 'number') return null;
+  const tolerance = question.tolerance ? ` ± ${formatNumber(question.tolerance)}` : '';
+  const unit = question.unit ? ` ${question.unit}` : '';
+  return `${formatNumber(question.correctValue)}${tolerance}${unit}`;
+}
+
+/**
+ * A recorded answer as text: the submitted number for NUMERIC, the typed text
+ * for TYPE_ANSWER, the click position for HOTSPOT, the chosen pairs for MATCHING,
+ * otherwise the picked options in submission order.
+ */
+export function formatRecordedAnswer(question, answer) {
+  if (typeof answer.answerValue === 'string') {
+    return answer.answerValue;
+  }
+  if (answer.answerValue && typeof answer.answerValue === 'object') {
+    const { x, y } = answer.answerValue;
+    return `(${Math.round(x * 100)}%, ${Math.round(y * 100)}%)`;
+  }
+  if (typeof answer.answerValue === 'number') {
+    return `${formatNumber(answer.answerValue)}${question?.unit ? ` ${question.unit}` : ''}`;
+  }
+  const indices = Array.isArray(answer.answerIndices) && answer.answerIndices.length > 0
+    ? answer.answerIndices
+    : [answer.answerIndex];
+  if (question?.type === 'MATCHING') {
+    return indices
+      .map((targetIndex, optionIndex) => `${question.options?.[optionIndex] ?? optionIndex + 1} → ${question.matchTargets?.[targetIndex] ?? targetIndex + 1}`)
+      .join(', ');
+  }
+  return indices
+    .map((index) => {
+      const letter = String.fromCharCode(65 + index);
+      return question?.options?.[index] ? `${letter}. ${question.options[index]}` : letter;
+    })
+    .join(', ');
+}
+
+/**
+ * Options prepared for answer-key review screens.
+ * ORDERING questions are listed in their correct sequence and numbered;
+ * NUMERIC questions show their accepted value as a single unlabeled entry
+ * and TYPE_ANSWER questions one unlabeled entry per accepted answer;
+ * HOTSPOT questions summarize how many regions are marked correct;
+ * MATCHING questions list each correct pair as an unlabeled entry;
+ * other types keep their stored order with letter labels.
+ */
+export function getReviewOptions(question) {
+  if (question?.type === 'TYPE_ANSWER') {
+    return (question.acceptedAnswers || []).map((option, index) => ({
+      option,
+      index,
+      label: null,
+      isCorrect: true,
+    }));
+  }
+  if (question?.type === 'HOTSPOT') {
+    const count = question.hotspotRegions?.length || 0;
+    return count > 0
+      ? [{ option: `${count} correct region${count === 1 ? '' : 's'}`, index: 0, label: null, isCorrect: true }]
+      : [];
+  }
+  if (question?.type === 'NUMERIC') {
+    const key = formatNumericKey(question);
+    return key ? [{ option: key, index: 0, label: null, isCorrect: true }] : [];
+  }
+  const options = question?.options || [];
+  if (Array.isArray(question?.correctMatches)) {
+    return question.correctMatches.map((targetIndex, index) => ({
+      option: `${options[index]} → ${question.matchTargets?.[targetIndex] ?? ''}`,
+      index,
+      label: null,
+      isCorrect: true,
+    }));
+  }
+  if (Array.isArray(question?.correctOrder)) {
+    return question.correctOrder.map((index, position) => ({
+      option: options[index],
+      index,
+      label: String(position + 1),
+      isCorrect: false,
+    }));
+  }
+  return options.map((option, index) => ({
+    option,
+    index,
+    label: String.fromCharCode(65 + index),
+    isCorrect: isCorrectOption(question, index),
+  }));
+}
@@ -0,0 +1,11 @@
+// Elimination mode ranks players still in the game above everyone knocked out,
+// and a later elimination above an earlier one
+const survivalRank = (player) => player.eliminatedAtQuestion ?? Number.MAX_SAFE_INTEGER;
+
+/**
+ * Sort comparator for leaderboard and podium entries: survival first, then score.
+ * Without elimination mode this is a plain score sort.
+ */
+export function compareStandings(a, b) {
+  return survivalRank(b) - survivalRank(a) || (b.score || 0) - (a.score || 0);
+}